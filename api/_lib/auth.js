@@ -0,0 +1,105 @@
+// Caller verification shared by the API functions
+//
+// Roles, volunteer teams and coordinator zones come only from the custom claims of the verified
+// ID token (set by api/sync-claims, api/create-auth-users and `node firestore-utils.js sync-claims`).
+// users/{uid} is writable by its owner, so it is read for the caller's display name and nothing else.
+// Kiosk tablets sign in with a custom token from api/kiosk carrying { kiosk, kioskDeviceId };
+// the device must still be active in kioskDevices.
+
+const admin = require('firebase-admin');
+
+const ADMIN_ROLES = ['admin', 'superadmin'];
+
+// ID token from the Authorization header (Bearer <token>), or the idToken/adminToken body field
+function getIdToken(req) {
+    const authHeader = req.headers.authorization || req.headers.Authorization || '';
+    if (authHeader.startsWith('Bearer ')) {
+        return authHeader.substring(7).trim();
+    }
+    return req.body?.idToken || req.body?.adminToken || null;
+}
+
+// Verify the caller's ID token and check their role claim.
+// Options:
+// - roles: role claims allowed to call (omit to allow any signed-in account)
+// - allowKiosk: whether an active kiosk device may call
+// - forbiddenError: message returned with 403 when the role is not allowed
+// Returns { caller, decodedToken } on success, otherwise { status, error, caller }
+// (caller is null when the token itself is missing or invalid).
+async function verifyCaller(req, { roles = null, allowKiosk = false, forbiddenError = 'You do not have permission to do this' } = {}) {
+    const idToken = getIdToken(req);
+    if (!idToken) {
+        return { status: 401, error: 'Authentication required', caller: null };
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await admin.auth().verifyIdToken(idToken);
+    } catch (tokenError) {
+        console.warn('Token verification failed:', tokenError.message);
+        return { status: 401, error: 'Invalid or expired authentication token', caller: null };
+    }
+
+    const db = admin.firestore();
+
+    if (decodedToken.kiosk === true) {
+        const caller = {
+            uid: decodedToken.uid,
+            email: null,
+            name: 'Kiosk',
+            role: 'kiosk',
+            teams: [],
+            zone: null,
+            kioskDeviceId: String(decodedToken.kioskDeviceId || '')
+        };
+        if (!allowKiosk) {
+            return { status: 403, error: forbiddenError, caller };
+        }
+        const kioskDoc = caller.kioskDeviceId
+            ? await db.collection('kioskDevices').doc(caller.kioskDeviceId).get()
+            : null;
+        if (!kioskDoc || !kioskDoc.exists || kioskDoc.data().active !== true) {
+            return { status: 403, error: 'This kiosk has been deactivated', caller };
+        }
+        caller.name = `Kiosk: ${kioskDoc.data().label}`;
+        return { caller, decodedToken };
+    }
+
+    const caller = {
+        uid: decodedToken.uid,
+        email: decodedToken.email || null,
+        name: decodedToken.email || 'Unknown',
+        role: typeof decodedToken.role === 'string' ? decodedToken.role : null,
+        teams: Array.isArray(decodedToken.teams) ? decodedToken.teams : [],
+        zone: typeof decodedToken.zone === 'string' ? decodedToken.zone : null
+    };
+
+    if (roles && !roles.includes(caller.role)) {
+        return { status: 403, error: forbiddenError, caller };
+    }
+
+    // Display name only: never read roles or teams from this document
+    const userDoc = await db.collection('users').doc(decodedToken.uid).get();
+    const userData = userDoc.exists ? userDoc.data() : {};
+    caller.name = userData.volunteerName || userData.name || decodedToken.name || decodedToken.email || 'Unknown';
+
+    return { caller, decodedToken };
+}
+
+function isAdminCaller(caller) {
+    return !!caller && ADMIN_ROLES.includes(caller.role);
+}
+
+// Admins, or volunteers whose teams claim includes the given team
+function callerHasTeam(caller, team) {
+    if (isAdminCaller(caller)) return true;
+    return !!caller && caller.role === 'volunteer' && !!team && caller.teams.includes(team);
+}
+
+module.exports = {
+    ADMIN_ROLES,
+    getIdToken,
+    verifyCaller,
+    isAdminCaller,
+    callerHasTeam
+};
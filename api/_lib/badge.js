@@ -0,0 +1,96 @@
+// Signed badge helpers shared by the API functions that issue and check badges
+// Environment variables:
+// - BADGE_SIGNING_KEY (secret used to sign badges)
+//
+// Signed badge payload: VSS1:<Praveshika ID>:<badge version>:<signature>
+// Only uppercase letters, digits and ':' so it fits QR alphanumeric mode and survives
+// the check-in desk's uppercase barcode input.
+
+const crypto = require('crypto');
+
+const BADGE_PAYLOAD_PREFIX = 'VSS1';
+const SIGNATURE_LENGTH = 32;
+
+const PAYLOAD_PATTERN = new RegExp(`^${BADGE_PAYLOAD_PREFIX}:([A-Z0-9-]+):(\\d+):([0-9A-F]{${SIGNATURE_LENGTH}})$`);
+
+// HMAC-SHA256 over "VSS1:<ID>:<version>" with the server key, truncated to 128 bits
+function signBadge(uniqueId, version) {
+    return crypto.createHmac('sha256', process.env.BADGE_SIGNING_KEY)
+        .update(`${BADGE_PAYLOAD_PREFIX}:${uniqueId.toUpperCase()}:${version}`)
+        .digest('hex')
+        .substring(0, SIGNATURE_LENGTH)
+        .toUpperCase();
+}
+
+function buildBadgePayload(uniqueId, version) {
+    return `${BADGE_PAYLOAD_PREFIX}:${uniqueId}:${version}:${signBadge(uniqueId, version)}`;
+}
+
+// Badges issued before versioning count as version 1
+function getBadgeVersion(regData) {
+    const version = parseInt(regData.badgeVersion, 10);
+    return isNaN(version) || version < 1 ? 1 : version;
+}
+
+function signaturesMatch(expected, actual) {
+    const expectedBuffer = Buffer.from(expected);
+    const actualBuffer = Buffer.from(actual);
+    return expectedBuffer.length === actualBuffer.length && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+}
+
+// Check a scanned payload against the signature and the registration's current badge version.
+// Returns { valid: true, uniqueId, version, regDoc } or { valid: false, status, uniqueId, reason }
+// with status 'forged' (bad signature or malformed), 'revoked' (superseded version or cancelled
+// registration) or 'not_found'.
+async function checkBadgePayload(db, rawPayload) {
+    const payload = String(rawPayload || '').trim().toUpperCase();
+    const match = payload.match(PAYLOAD_PATTERN);
+    if (!match) {
+        return { valid: false, status: 'forged', uniqueId: null, reason: 'This QR code is not a VSS2025 badge' };
+    }
+
+    const [, uniqueId, versionText, signature] = match;
+    const version = parseInt(versionText, 10);
+
+    // Check the signature before touching the database so forged IDs reveal nothing
+    if (!signaturesMatch(signBadge(uniqueId, version), signature)) {
+        return {
+            valid: false,
+            status: 'forged',
+            uniqueId,
+            reason: 'Badge signature is invalid. This badge was not issued by VSS2025.'
+        };
+    }
+
+    const regDoc = await db.collection('registrations').doc(uniqueId).get();
+    if (!regDoc.exists) {
+        const cancelledDoc = await db.collection('cancelledRegistrations').doc(uniqueId).get();
+        return {
+            valid: false,
+            status: cancelledDoc.exists ? 'revoked' : 'not_found',
+            uniqueId,
+            reason: cancelledDoc.exists
+                ? 'This registration has been cancelled. The badge is no longer valid.'
+                : `Participant with Praveshika ID "${uniqueId}" not found`
+        };
+    }
+
+    const currentVersion = getBadgeVersion(regDoc.data());
+    if (version !== currentVersion) {
+        return {
+            valid: false,
+            status: 'revoked',
+            uniqueId,
+            currentVersion,
+            reason: 'This badge has been revoked and replaced by a newer badge.'
+        };
+    }
+
+    return { valid: true, status: 'valid', uniqueId, version, regDoc };
+}
+
+module.exports = {
+    buildBadgePayload,
+    checkBadgePayload,
+    getBadgeVersion
+};
@@ -0,0 +1,125 @@
+// Custom claims shared by api/sync-claims, api/create-auth-users and `node firestore-utils.js sync-claims`
+//
+// Claims read by firestore.rules and getUserData() in script.js:
+// - role: 'superadmin', 'admin', 'volunteer', 'zone_coordinator' or 'participant', from the
+//   account's nonShibirarthiUsers record (written by admins only; users/{uid} is writable by
+//   its owner and is never read for roles)
+// - teams: volunteer teams
+// - zone: registration zone code a zone coordinator is limited to (only set for zone coordinators)
+// - ids: normalized Praveshika IDs linked to the account's email in emailToUids
+// Custom claims are limited to 1000 bytes; when the IDs do not fit they are left out and
+// idsOverflow is set; the rules then check the emailToUids/{email}/links documents instead.
+
+const STAFF_ROLES = ['superadmin', 'admin', 'volunteer', 'zone_coordinator'];
+
+// Zone codes used in Praveshika IDs and the registrations' zone field
+const ZONE_CODES = ['AM', 'EU', 'AR', 'AF', 'AS', 'AU'];
+
+// Firebase rejects custom claims larger than 1000 bytes of JSON
+const MAX_CLAIMS_BYTES = 1000;
+
+// Staff accounts created without an email sign in as <ID>@placeholder.local
+const PLACEHOLDER_EMAIL_DOMAIN = '@placeholder.local';
+
+// Same normalization as normalizePraveshikaId() in script.js
+function normalizeId(id) {
+    return String(id || '').toLowerCase().replace(/[/-]/g, '');
+}
+
+function normalizeZone(zone) {
+    return String(zone || '').trim().toUpperCase();
+}
+
+// Sorted, de-duplicated normalized IDs for the ids claim
+function normalizeIds(uids) {
+    return [...new Set((uids || []).map(normalizeId).filter(Boolean))].sort();
+}
+
+// The staff ID behind a placeholder sign-in email (Auth lowercases it), or null
+function getPlaceholderStaffId(email) {
+    const normalizedEmail = String(email || '').toLowerCase().trim();
+    return normalizedEmail.endsWith(PLACEHOLDER_EMAIL_DOMAIN)
+        ? normalizedEmail.slice(0, -PLACEHOLDER_EMAIL_DOMAIN.length)
+        : null;
+}
+
+// Role, teams and zone from the nonShibirarthiUsers record the admin created for the account:
+// matched by email, or by ID for accounts created without one (<ID>@placeholder.local)
+async function getStaffRecord(db, userRecord) {
+    const email = (userRecord.email || '').toLowerCase().trim();
+    if (!email) return null;
+
+    const staffId = getPlaceholderStaffId(email);
+    if (staffId) {
+        // Auth lowercases emails, so the ID is matched on its normalized form first
+        const lookups = [['normalizedId', normalizeId(staffId)], ['uniqueId', staffId.toUpperCase()]];
+        for (const [field, value] of lookups) {
+            const staffSnapshot = await db.collection('nonShibirarthiUsers')
+                .where(field, '==', value)
+                .limit(1)
+                .get();
+            if (!staffSnapshot.empty) return staffSnapshot.docs[0].data();
+        }
+        return null;
+    }
+
+    for (const candidate of new Set([userRecord.email, email])) {
+        const staffSnapshot = await db.collection('nonShibirarthiUsers')
+            .where('email', '==', candidate)
+            .limit(1)
+            .get();
+        if (!staffSnapshot.empty) return staffSnapshot.docs[0].data();
+    }
+    return null;
+}
+
+async function getLinkedIds(db, email) {
+    if (!email) return [];
+    const emailDoc = await db.collection('emailToUids').doc(email.toLowerCase().trim()).get();
+    return normalizeIds(emailDoc.exists ? emailDoc.data().uids : []);
+}
+
+// Role, teams and zone for a staff record ({ role, volunteerTeams, zone }, or null for participants).
+// A zone coordinator without a valid zone gets no staff access; label names the account in the warning.
+function getStaffClaims(staff, label) {
+    let role = staff && STAFF_ROLES.includes(staff.role) ? staff.role : 'participant';
+    const teams = role === 'volunteer' && Array.isArray(staff.volunteerTeams) ? staff.volunteerTeams : [];
+    let zone = role === 'zone_coordinator' ? normalizeZone(staff.zone) : null;
+    if (role === 'zone_coordinator' && !ZONE_CODES.includes(zone)) {
+        console.warn(`Zone coordinator ${label} has no valid zone; using participant claims`);
+        role = 'participant';
+        zone = null;
+    }
+    return { role, teams, zone };
+}
+
+// Merge role, teams, zone and ids into the account's existing claims, dropping ids if they do not fit
+function buildClaims(existingClaims, { role, teams, zone }, ids) {
+    const claims = { ...existingClaims, role, teams, ids };
+    if (zone) {
+        claims.zone = zone;
+    } else {
+        delete claims.zone;
+    }
+    delete claims.idsOverflow;
+    if (JSON.stringify(claims).length > MAX_CLAIMS_BYTES) {
+        delete claims.ids;
+        claims.idsOverflow = true;
+    }
+    return claims;
+}
+
+module.exports = {
+    STAFF_ROLES,
+    ZONE_CODES,
+    MAX_CLAIMS_BYTES,
+    PLACEHOLDER_EMAIL_DOMAIN,
+    normalizeId,
+    normalizeZone,
+    normalizeIds,
+    getPlaceholderStaffId,
+    getStaffRecord,
+    getLinkedIds,
+    getStaffClaims,
+    buildClaims
+};
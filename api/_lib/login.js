@@ -0,0 +1,132 @@
+// Signed-out login lookups shared by api/resolve-login and api/verify-praveshika
+//
+// Both endpoints answer without authentication, so they share one per-IP budget: each IP may
+// make MAX_REQUESTS_PER_WINDOW lookups per window and is locked out for LOCKOUT_MS after
+// MAX_CONSECUTIVE_MISSES unknown identifiers or wrong passwords without a correct password in
+// between. Counters live in loginThrottle/{sha256(ip)}; expiresAt can be used as a Firestore TTL field.
+
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { STAFF_ROLES, PLACEHOLDER_EMAIL_DOMAIN, normalizeId } = require('./claims');
+
+const WINDOW_MS = 10 * 60 * 1000;
+const MAX_REQUESTS_PER_WINDOW = 30;
+const MAX_CONSECUTIVE_MISSES = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+// "ra***@gmail.com": enough for someone to recognise their own address
+function maskEmail(email) {
+    const [local, domain] = String(email || '').split('@');
+    if (!local || !domain) return '';
+    return `${local.substring(0, Math.min(2, local.length - 1) || 1)}***@${domain}`;
+}
+
+function getClientIp(req) {
+    const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+    return forwarded || req.headers['x-real-ip'] || req.socket?.remoteAddress || 'unknown';
+}
+
+function getThrottleRef(db, req) {
+    const ipHash = crypto.createHash('sha256').update(getClientIp(req)).digest('hex');
+    return db.collection('loginThrottle').doc(ipHash);
+}
+
+// Count this request against the IP. Returns { allowed, retryAfter } (seconds).
+async function checkThrottle(db, throttleRef) {
+    return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(throttleRef);
+        const now = Date.now();
+        const data = doc.exists ? doc.data() : {};
+
+        if (data.lockedUntil && data.lockedUntil > now) {
+            return { allowed: false, retryAfter: Math.ceil((data.lockedUntil - now) / 1000) };
+        }
+
+        const windowStart = data.windowStart && now - data.windowStart < WINDOW_MS ? data.windowStart : now;
+        const requests = (windowStart === data.windowStart ? data.requests || 0 : 0) + 1;
+        transaction.set(throttleRef, {
+            windowStart,
+            requests,
+            misses: data.misses || 0,
+            lockedUntil: null,
+            expiresAt: admin.firestore.Timestamp.fromMillis(now + WINDOW_MS + LOCKOUT_MS)
+        });
+
+        if (requests > MAX_REQUESTS_PER_WINDOW) {
+            return { allowed: false, retryAfter: Math.ceil((windowStart + WINDOW_MS - now) / 1000) };
+        }
+        return { allowed: true };
+    });
+}
+
+// Count an unknown identifier or a wrong password; too many lock the IP out
+async function recordMiss(db, throttleRef) {
+    await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(throttleRef);
+        const misses = (doc.exists ? doc.data().misses || 0 : 0) + 1;
+        if (misses >= MAX_CONSECUTIVE_MISSES) {
+            transaction.set(throttleRef, { misses: 0, lockedUntil: Date.now() + LOCKOUT_MS }, { merge: true });
+        } else {
+            transaction.set(throttleRef, { misses }, { merge: true });
+        }
+    });
+}
+
+// Only a correct password clears the misses. Finding an ID or email does not, otherwise
+// guesses interleaved with lookups of one known ID would never reach the lockout.
+async function clearMisses(throttleRef) {
+    await throttleRef.set({ misses: 0 }, { merge: true });
+}
+
+// Registration by normalizedId, then by document ID (as typed and uppercased)
+async function findRegistrationById(db, praveshikaId) {
+    const byNormalizedId = await db.collection('registrations')
+        .where('normalizedId', '==', normalizeId(praveshikaId))
+        .limit(1)
+        .get();
+    if (!byNormalizedId.empty) return byNormalizedId.docs[0];
+
+    for (const docId of new Set([praveshikaId.toUpperCase(), praveshikaId])) {
+        if (docId.includes('/')) continue;
+        const doc = await db.collection('registrations').doc(docId).get();
+        if (doc.exists) return doc;
+    }
+    return null;
+}
+
+async function findFirstByField(db, collectionName, field, values) {
+    for (const value of new Set(values)) {
+        const snapshot = await db.collection(collectionName).where(field, '==', value).limit(1).get();
+        if (!snapshot.empty) return snapshot.docs[0];
+    }
+    return null;
+}
+
+// Sign-in email for a Praveshika ID (participants) or user ID (volunteers/admins).
+// users/{uid} is writable by its owner, so staff IDs are looked up in nonShibirarthiUsers
+// (written by admins only).
+async function resolveId(db, identifier) {
+    const regDoc = await findRegistrationById(db, identifier);
+    if (regDoc && regDoc.data().email) {
+        return { accountType: 'participant', email: regDoc.data().email, uniqueId: regDoc.id };
+    }
+
+    const staffDoc = await findFirstByField(db, 'nonShibirarthiUsers', 'normalizedId', [normalizeId(identifier)]) ||
+        await findFirstByField(db, 'nonShibirarthiUsers', 'uniqueId', [identifier, identifier.toUpperCase()]);
+    if (staffDoc && STAFF_ROLES.includes(staffDoc.data().role)) {
+        const staffData = staffDoc.data();
+        // Volunteers created without an email sign in with a placeholder address
+        return { accountType: 'volunteer', email: staffData.email || `${staffData.uniqueId || staffDoc.id}${PLACEHOLDER_EMAIL_DOMAIN}` };
+    }
+    return null;
+}
+
+module.exports = {
+    maskEmail,
+    getThrottleRef,
+    checkThrottle,
+    recordMiss,
+    clearMisses,
+    findFirstByField,
+    resolveId
+};
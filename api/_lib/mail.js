@@ -0,0 +1,41 @@
+// SMTP and HTML helpers shared by the API functions that send email
+// Environment variables (same as api/send-email):
+// - SMTP_HOST, SMTP_PORT (default: 587), SMTP_USER, SMTP_PASS
+
+const nodemailer = require('nodemailer');
+
+// Create the SMTP transporter, or null when email is not configured
+function createMailTransporter() {
+    const smtpHost = process.env.SMTP_HOST?.trim();
+    const smtpPort = parseInt(process.env.SMTP_PORT?.trim() || '587', 10);
+    const smtpUser = process.env.SMTP_USER?.trim();
+    const smtpPass = process.env.SMTP_PASS?.trim();
+
+    if (!smtpHost || !smtpUser || !smtpPass) {
+        return null;
+    }
+
+    return nodemailer.createTransport({
+        host: smtpHost,
+        port: smtpPort,
+        secure: smtpPort === 465, // true for 465, false for other ports
+        auth: {
+            user: smtpUser,
+            pass: smtpPass,
+        },
+    });
+}
+
+function escapeHtml(text) {
+    return String(text || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+module.exports = {
+    createMailTransporter,
+    escapeHtml
+};
@@ -0,0 +1,281 @@
+// Vercel serverless function to approve or reject self-service registrations
+// Environment variables required:
+// - FIREBASE_SERVICE_ACCOUNT (JSON string of service account key)
+// OR individual fields:
+// - FIREBASE_PROJECT_ID
+// - FIREBASE_CLIENT_EMAIL
+// - FIREBASE_PRIVATE_KEY
+//
+// Request body:
+// - action: 'approve' or 'reject'
+// - pendingId: document ID in the pendingRegistrations collection
+// - zone: zone code (AM, EU, AR, AF, AS, AU), required to approve
+// - shreni: Karyakarta, Swakeeya, Yuva, Kishor or Baal, required to approve
+// - reason: optional note stored with a rejection
+//
+// Approval assigns the next SeqNum and builds the Praveshika ID the same way the
+// registration spreadsheet does: <zone code><shreni code><SeqNum>, e.g. AMKK1001.
+// The registration is written to registrations/{Praveshika ID}, the email is added to
+// emailToUids (with its emailToUids/{email}/links/{normalized ID} document) and the pending
+// record is removed, all in one transaction.
+// Callers must send a valid Firebase ID token (Authorization: Bearer <token>)
+// whose role claim is admin or superadmin (see api/_lib/auth.js).
+
+const admin = require('firebase-admin');
+const { ADMIN_ROLES, verifyCaller } = require('../_lib/auth');
+const { ZONE_CODES } = require('../_lib/claims');
+
+// Initialize Firebase Admin SDK (only once)
+if (!admin.apps.length) {
+    try {
+        // Try to use full service account JSON first
+        if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+            const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+            admin.initializeApp({
+                credential: admin.credential.cert(serviceAccount)
+            });
+        } else {
+            // Fall back to individual environment variables
+            admin.initializeApp({
+                credential: admin.credential.cert({
+                    projectId: process.env.FIREBASE_PROJECT_ID,
+                    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+                    privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n')
+                })
+            });
+        }
+        console.log('Firebase Admin initialized successfully');
+    } catch (error) {
+        console.error('Error initializing Firebase Admin:', error);
+    }
+}
+
+// Shreni codes and the "Shreni for Sorting" labels from the spreadsheet
+const SHRENI_CODES = {
+    'Baal': { code: 'BA', sortLabel: '1 Baal' },
+    'Kishor': { code: 'KI', sortLabel: '2 Kishor' },
+    'Yuva': { code: 'YV', sortLabel: '3 Yuva' },
+    'Karyakarta': { code: 'KK', sortLabel: '4 Karyakarta' },
+    'Swakeeya': { code: 'SK', sortLabel: '5 Swakeeya' }
+};
+
+// SeqNum is one running counter across all zones; the spreadsheet started at 1001
+const SEQUENCE_COUNTER_DOC = 'praveshikaSeqNum';
+const FIRST_SEQ_NUM = 1001;
+
+// Highest SeqNum already issued, used to seed the counter the first time.
+// Registrations imported from the spreadsheet carry SeqNum (or only the ID, whose digits are the SeqNum).
+async function findHighestSeqNum(db) {
+    let highest = FIRST_SEQ_NUM - 1;
+    for (const collectionName of ['registrations', 'cancelledRegistrations']) {
+        const snapshot = await db.collection(collectionName).select('seqNum', 'SeqNum', 'uniqueId').get();
+        snapshot.forEach(doc => {
+            const data = doc.data();
+            const idDigits = String(data.uniqueId || doc.id).match(/(\d+)$/);
+            const candidates = [data.seqNum, data.SeqNum, idDigits ? idDigits[1] : null];
+            candidates.forEach(value => {
+                const seqNum = parseInt(value, 10);
+                if (!isNaN(seqNum) && seqNum > highest) highest = seqNum;
+            });
+        });
+    }
+    return highest;
+}
+
+async function approveRegistration(db, caller, pendingRef, zone, shreni) {
+    const counterRef = db.collection('counters').doc(SEQUENCE_COUNTER_DOC);
+    const counterDoc = await counterRef.get();
+    const seed = counterDoc.exists ? null : await findHighestSeqNum(db);
+    const zoneShreni = zone + SHRENI_CODES[shreni].code;
+
+    return db.runTransaction(async (transaction) => {
+        const pendingDoc = await transaction.get(pendingRef);
+        if (!pendingDoc.exists) {
+            return { status: 404, error: 'Pending registration not found' };
+        }
+        const pending = pendingDoc.data();
+        if (pending.status !== 'Pending') {
+            return { status: 409, error: `Registration is already ${pending.status}` };
+        }
+
+        const counter = await transaction.get(counterRef);
+        let seqNum = (counter.exists ? counter.data().lastSeqNum : seed) + 1;
+
+        // Skip any SeqNum whose ID is already taken (e.g. added by hand in the spreadsheet)
+        let uniqueId = `${zoneShreni}${seqNum}`;
+        let registrationRef = db.collection('registrations').doc(uniqueId);
+        while ((await transaction.get(registrationRef)).exists) {
+            seqNum++;
+            uniqueId = `${zoneShreni}${seqNum}`;
+            registrationRef = db.collection('registrations').doc(uniqueId);
+        }
+
+        const email = String(pending.email || '').toLowerCase().trim();
+        const emailRef = email ? db.collection('emailToUids').doc(email) : null;
+        const emailDoc = emailRef ? await transaction.get(emailRef) : null;
+
+        const { status, submittedAt, ...fields } = pending;
+        const barcode = `*${uniqueId}*`;
+        const registration = {
+            ...fields,
+            uniqueId: uniqueId,
+            normalizedId: uniqueId.toLowerCase().replace(/[/-]/g, ''),
+            seqNum: seqNum,
+            zone: zone,
+            zoneShreni: zoneShreni,
+            shreni: shreni,
+            Shreni: shreni,
+            shreniForSorting: SHRENI_CODES[shreni].sortLabel,
+            barcode: barcode,
+            Barcode: barcode,
+            Country: pending.country || '',
+            status: 'Approved',
+            createdAt: submittedAt || admin.firestore.FieldValue.serverTimestamp(),
+            approvedAt: admin.firestore.FieldValue.serverTimestamp(),
+            approvedBy: caller.uid,
+            approvedByName: caller.name,
+            pendingRegistrationId: pendingRef.id
+        };
+
+        transaction.set(registrationRef, registration);
+        transaction.set(counterRef, {
+            lastSeqNum: seqNum,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        if (emailRef) {
+            const existingUids = emailDoc.exists ? (emailDoc.data().uids || []) : [];
+            const uids = [...new Set([...existingUids, uniqueId])].sort();
+            transaction.set(emailRef, {
+                email: email,
+                uids: uids,
+                count: uids.length,
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            transaction.set(emailRef.collection('links').doc(registration.normalizedId), {
+                uniqueId: uniqueId,
+                normalizedId: registration.normalizedId,
+                email: email,
+                linkedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+
+        transaction.set(db.collection('auditLog').doc(), {
+            uniqueId: uniqueId,
+            normalizedId: registration.normalizedId,
+            action: 'registration_approved',
+            changes: [
+                { field: 'status', before: 'Pending', beforeExisted: true, after: 'Approved' },
+                { field: 'zone', before: null, beforeExisted: false, after: zone },
+                { field: 'shreni', before: null, beforeExisted: false, after: shreni }
+            ],
+            changedFields: ['status', 'zone', 'shreni'],
+            changedBy: caller.uid,
+            changedByName: caller.name,
+            changedByEmail: caller.email,
+            timestamp: admin.firestore.FieldValue.serverTimestamp(),
+            pendingRegistrationId: pendingRef.id
+        });
+
+        transaction.delete(pendingRef);
+
+        return { status: 200, uniqueId, seqNum, zoneShreni };
+    });
+}
+
+async function rejectRegistration(db, caller, pendingRef, reason) {
+    return db.runTransaction(async (transaction) => {
+        const pendingDoc = await transaction.get(pendingRef);
+        if (!pendingDoc.exists) {
+            return { status: 404, error: 'Pending registration not found' };
+        }
+        if (pendingDoc.data().status !== 'Pending') {
+            return { status: 409, error: `Registration is already ${pendingDoc.data().status}` };
+        }
+
+        transaction.update(pendingRef, {
+            status: 'Rejected',
+            rejectionReason: reason || '',
+            rejectedAt: admin.firestore.FieldValue.serverTimestamp(),
+            rejectedBy: caller.uid,
+            rejectedByName: caller.name
+        });
+        return { status: 200 };
+    });
+}
+
+module.exports = async (req, res) => {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const verification = await verifyCaller(req, { roles: ADMIN_ROLES, forbiddenError: 'Only admins can approve registrations' });
+        if (!verification.caller) {
+            return res.status(verification.status).json({ success: false, error: verification.error });
+        }
+        const caller = verification.caller;
+
+        const { action, pendingId, zone, shreni, reason } = req.body || {};
+
+        // Validate request
+        if (!pendingId || typeof pendingId !== 'string') {
+            return res.status(400).json({ success: false, error: 'pendingId is required' });
+        }
+        if (action !== 'approve' && action !== 'reject') {
+            return res.status(400).json({ success: false, error: "action must be 'approve' or 'reject'" });
+        }
+
+        const db = admin.firestore();
+        const pendingRef = db.collection('pendingRegistrations').doc(pendingId);
+
+        if (action === 'reject') {
+            const result = await rejectRegistration(db, caller, pendingRef, String(reason || '').trim());
+            if (result.status !== 200) {
+                return res.status(result.status).json({ success: false, error: result.error });
+            }
+            return res.status(200).json({ success: true, pendingId });
+        }
+
+        const zoneCode = String(zone || '').trim().toUpperCase();
+        if (!ZONE_CODES.includes(zoneCode)) {
+            return res.status(400).json({ success: false, error: `zone must be one of ${ZONE_CODES.join(', ')}` });
+        }
+        if (!SHRENI_CODES[shreni]) {
+            return res.status(400).json({ success: false, error: `shreni must be one of ${Object.keys(SHRENI_CODES).join(', ')}` });
+        }
+
+        const result = await approveRegistration(db, caller, pendingRef, zoneCode, shreni);
+        if (result.status !== 200) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+
+        console.log(`Approved pending registration ${pendingId} as ${result.uniqueId} by ${caller.email}`);
+        return res.status(200).json({
+            success: true,
+            pendingId,
+            uniqueId: result.uniqueId,
+            seqNum: result.seqNum,
+            zoneShreni: result.zoneShreni
+        });
+
+    } catch (error) {
+        console.error('Error in approve-registration:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
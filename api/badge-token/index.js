@@ -0,0 +1,207 @@
+// Vercel serverless function to issue and revoke signed badge QR payloads
+// Environment variables required:
+// - FIREBASE_SERVICE_ACCOUNT (JSON string of service account key)
+// OR individual fields:
+// - FIREBASE_PROJECT_ID
+// - FIREBASE_CLIENT_EMAIL
+// - FIREBASE_PRIVATE_KEY
+// - BADGE_SIGNING_KEY (secret used to sign badges; shared with api/verify-badge)
+//
+// Request body:
+// - uniqueId: Praveshika ID of the badge
+// - action: 'issue' (default) returns the signed payload for the current badge version;
+//   'revoke' (admins only) bumps the version so every badge printed so far is rejected
+// - uniqueIds: instead of uniqueId, admins may issue up to MAX_BULK_IDS payloads at once
+//   (used for bulk badge sheets); returns { payloads: { id: payload }, missing: [ids] }
+// - action 'fingerprints' (admins and volunteers, no uniqueId): returns { fingerprints: { id: hash } }
+//   with a SHA-256 hash of every current badge payload, so offline desks can check scanned
+//   badges exactly without holding anything that could be used to print one
+//
+// Participants may only request badges for their own registrations (the ids claim or the
+// IDs linked to their email in emailToUids). Admins (by role claim) may request any badge.
+// The caller's Firebase ID token goes in the Authorization header (Bearer <token>).
+
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { isAdminCaller, verifyCaller } = require('../_lib/auth');
+const { buildBadgePayload, getBadgeVersion } = require('../_lib/badge');
+
+// Initialize Firebase Admin SDK (only once)
+if (!admin.apps.length) {
+    try {
+        // Try to use full service account JSON first
+        if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+            const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+            admin.initializeApp({
+                credential: admin.credential.cert(serviceAccount)
+            });
+        } else {
+            // Fall back to individual environment variables
+            admin.initializeApp({
+                credential: admin.credential.cert({
+                    projectId: process.env.FIREBASE_PROJECT_ID,
+                    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+                    privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n')
+                })
+            });
+        }
+        console.log('Firebase Admin initialized successfully');
+    } catch (error) {
+        console.error('Error initializing Firebase Admin:', error);
+    }
+}
+
+function normalizeId(id) {
+    return (id || '').toString().toLowerCase().replace(/[/-]/g, '');
+}
+
+const MAX_BULK_IDS = 500;
+
+// Roles that may download badge fingerprints for offline check-in
+const FINGERPRINT_ROLES = ['admin', 'superadmin', 'volunteer'];
+
+function badgeFingerprint(payload) {
+    return crypto.createHash('sha256').update(payload).digest('hex').substring(0, 32);
+}
+
+// Whether the caller may see the badge for this registration (mirrors the profile access checks)
+async function canAccessRegistration(db, decodedToken, caller, registrationId) {
+    if (isAdminCaller(caller)) return true;
+
+    const target = normalizeId(registrationId);
+
+    // Linked IDs: the ids claim, then the emailToUids/{email}/links document (same as firestore.rules)
+    if (Array.isArray(decodedToken.ids) && decodedToken.ids.includes(target)) return true;
+
+    const email = (decodedToken.email || '').toLowerCase().trim();
+    if (!email) return false;
+    const linkDoc = await db.collection('emailToUids').doc(email).collection('links').doc(target).get();
+    return linkDoc.exists;
+}
+
+module.exports = async (req, res) => {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!process.env.BADGE_SIGNING_KEY) {
+        return res.status(500).json({ success: false, error: 'Badge signing is not configured' });
+    }
+
+    try {
+        const verification = await verifyCaller(req);
+        if (verification.error) {
+            return res.status(verification.status).json({ success: false, error: verification.error });
+        }
+        const { caller, decodedToken } = verification;
+
+        const { uniqueId, uniqueIds } = req.body || {};
+        const action = req.body?.action || 'issue';
+        const db = admin.firestore();
+
+        // Bulk issue for badge sheets
+        if (uniqueIds !== undefined) {
+            if (!isAdminCaller(caller)) {
+                return res.status(403).json({ success: false, error: 'Only admins can issue badges in bulk' });
+            }
+            if (!Array.isArray(uniqueIds) || uniqueIds.length === 0 || uniqueIds.length > MAX_BULK_IDS) {
+                return res.status(400).json({ success: false, error: `uniqueIds must contain 1 to ${MAX_BULK_IDS} Praveshika IDs` });
+            }
+
+            const ids = Array.from(new Set(uniqueIds.map(id => String(id).trim().toUpperCase()).filter(Boolean)));
+            const regDocs = await db.getAll(...ids.map(id => db.collection('registrations').doc(id)));
+            const payloads = {};
+            const missing = [];
+            regDocs.forEach((doc, index) => {
+                if (!doc.exists) {
+                    missing.push(ids[index]);
+                    return;
+                }
+                const version = getBadgeVersion(doc.data());
+                payloads[doc.id] = buildBadgePayload(doc.id, version);
+            });
+            return res.status(200).json({ success: true, payloads, missing });
+        }
+
+        // Hashes of every current badge for the offline roster
+        if (action === 'fingerprints') {
+            if (!FINGERPRINT_ROLES.includes(caller.role)) {
+                return res.status(403).json({ success: false, error: 'Only check-in volunteers and admins can download badge fingerprints' });
+            }
+            const snapshot = await db.collection('registrations').select('badgeVersion').get();
+            const fingerprints = {};
+            snapshot.forEach(doc => {
+                const version = getBadgeVersion(doc.data());
+                const payload = buildBadgePayload(doc.id, version);
+                fingerprints[doc.id] = badgeFingerprint(payload.toUpperCase());
+            });
+            return res.status(200).json({ success: true, fingerprints });
+        }
+
+        // Validate request
+        if (!uniqueId || typeof uniqueId !== 'string' || !uniqueId.trim()) {
+            return res.status(400).json({ success: false, error: 'uniqueId is required' });
+        }
+        if (action !== 'issue' && action !== 'revoke') {
+            return res.status(400).json({ success: false, error: "action must be 'issue' or 'revoke'" });
+        }
+
+        const regRef = db.collection('registrations').doc(uniqueId.trim().toUpperCase());
+
+        if (action === 'revoke') {
+            if (!isAdminCaller(caller)) {
+                return res.status(403).json({ success: false, error: 'Only admins can revoke badges' });
+            }
+
+            const newVersion = await db.runTransaction(async (transaction) => {
+                const regDoc = await transaction.get(regRef);
+                if (!regDoc.exists) return null;
+                const version = getBadgeVersion(regDoc.data()) + 1;
+                transaction.update(regRef, {
+                    badgeVersion: version,
+                    badgeRevokedAt: admin.firestore.FieldValue.serverTimestamp(),
+                    badgeRevokedBy: decodedToken.uid
+                });
+                return version;
+            });
+
+            if (newVersion === null) {
+                return res.status(404).json({ success: false, error: `Participant with Praveshika ID "${regRef.id}" not found` });
+            }
+            console.log(`Badge for ${regRef.id} revoked by ${decodedToken.email}; now version ${newVersion}`);
+            return res.status(200).json({ success: true, uniqueId: regRef.id, badgeVersion: newVersion });
+        }
+
+        // Authorize before the lookup, so a 404 never tells other callers that an ID exists
+        if (!(await canAccessRegistration(db, decodedToken, caller, regRef.id))) {
+            return res.status(403).json({ success: false, error: 'You can only download badges for your own registrations' });
+        }
+        const regDoc = await regRef.get();
+        if (!regDoc.exists) {
+            return res.status(404).json({ success: false, error: `Participant with Praveshika ID "${regRef.id}" not found` });
+        }
+
+        const version = getBadgeVersion(regDoc.data());
+        const payload = buildBadgePayload(regRef.id, version);
+        return res.status(200).json({ success: true, uniqueId: regRef.id, badgeVersion: version, payload });
+
+    } catch (error) {
+        console.error('Error in badge-token:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
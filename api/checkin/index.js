@@ -0,0 +1,558 @@
+// Vercel serverless function to record check-ins with server-side validation
+// Duplicate prevention and the registration prerequisite are enforced inside a
+// Firestore transaction so two volunteers scanning the same badge cannot both write.
+// Environment variables required:
+// - FIREBASE_SERVICE_ACCOUNT (JSON string of service account key)
+// OR individual fields:
+// - FIREBASE_PROJECT_ID
+// - FIREBASE_CLIENT_EMAIL
+// - FIREBASE_PRIVATE_KEY
+//
+// Request body:
+// - uniqueId: Praveshika ID to check in
+// - checkinTypes: array of check-in types (or a single checkinType string)
+// - notes, pickupLocation: optional
+// - fields: values for the extra fields configured on the check-in type, e.g. { tagId, itemCount }
+//   (top-level tagId and itemCount are still accepted from older clients)
+//   Cloak room deposits must name a tag registered in cloakTags that is not already issued;
+//   the tag is marked as issued to the participant in the same transaction.
+//   Ganvesh check-ins record the size handed over (issuedSize) against the size requested at
+//   registration and count it as issued in ganveshStock/{Gender}_{size}.
+// - recordedAt: optional epoch ms when the check-in actually happened (offline sync)
+// - source: optional origin of the check-in ('desk', 'batch', 'offline')
+// - clientCheckinId: optional ID of the entry in the caller's offline queue. The check-in
+//   document ID is derived from it, so a sync retried after a lost response is not written twice.
+//
+// Undo (action: 'undo'):
+// - checkinIds: array of check-in document IDs to remove
+//   A cloak room deposit still holding its tag puts the tag back into the inventory, and a
+//   ganvesh check-in takes its issued garment off ganveshStock, in the same transaction as the
+//   delete.
+// The caller's Firebase ID token goes in the Authorization header (Bearer <token>)
+// or in the idToken body field; its role and teams claims decide which types it may record.
+// Kiosk tablets cannot call this function; they check in through api/kiosk.
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { callerHasTeam, isAdminCaller, verifyCaller } = require('../_lib/auth');
+
+// Initialize Firebase Admin SDK (only once)
+if (!admin.apps.length) {
+    try {
+        // Try to use full service account JSON first
+        if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+            const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+            admin.initializeApp({
+                credential: admin.credential.cert(serviceAccount)
+            });
+        } else {
+            // Fall back to individual environment variables
+            admin.initializeApp({
+                credential: admin.credential.cert({
+                    projectId: process.env.FIREBASE_PROJECT_ID,
+                    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+                    privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n')
+                })
+            });
+        }
+        console.log('Firebase Admin initialized successfully');
+    } catch (error) {
+        console.error('Error initializing Firebase Admin:', error);
+    }
+}
+
+// Check-in types are configured in config/checkin: owning team, prerequisites, whether they
+// may repeat and any extra fields. The stored document is the only registry (created by
+// `node firestore-utils.js seed-checkin-config`); without it no check-ins are accepted.
+
+// Checkin fields that configured extra fields may not overwrite
+const RESERVED_FIELDS = ['uniqueId', 'checkinType', 'timestamp', 'checkedInBy', 'checkedInByName',
+    'notes', 'source', 'syncedAt', 'pickupLocation', 'checkedOutAt', 'checkedOutBy', 'checkedOutByName'];
+
+// Keep the registry for a minute between invocations on a warm instance
+const CONFIG_CACHE_MS = 60 * 1000;
+let cachedCheckinTypes = null;
+let cachedCheckinTypesAt = 0;
+
+const VALID_SOURCES = ['desk', 'batch', 'offline'];
+
+function normalizeId(id) {
+    return (id || '').toString().toLowerCase().replace(/[/-]/g, '');
+}
+
+// Check-in document ID: random for desk scans, stable for a queued offline entry so retries
+// of the same entry land on the same document
+function buildCheckinId(registrationId, type, callerUid, clientCheckinId, recordedAt) {
+    if (clientCheckinId) {
+        const key = crypto.createHash('sha256')
+            .update(`${callerUid}:${clientCheckinId}:${type}`)
+            .digest('hex')
+            .substring(0, 20);
+        return `${registrationId}_${type}_${key}`;
+    }
+    return `${registrationId}_${type}_${recordedAt || Date.now()}_${Math.floor(Math.random() * 1000)}`;
+}
+
+async function loadCheckinTypes(db) {
+    if (cachedCheckinTypes && Date.now() - cachedCheckinTypesAt < CONFIG_CACHE_MS) {
+        return cachedCheckinTypes;
+    }
+    const configDoc = await db.collection('config').doc('checkin').get();
+    if (!configDoc.exists || !configDoc.data().types) {
+        return null;
+    }
+    cachedCheckinTypes = configDoc.data().types;
+    cachedCheckinTypesAt = Date.now();
+    return cachedCheckinTypes;
+}
+
+function canPerformType(caller, typeConfig) {
+    if (isAdminCaller(caller)) return true;
+    return callerHasTeam(caller, typeConfig.team);
+}
+
+// Pick out and validate the configured extra fields for one check-in type.
+// Returns { values } or { error } when a required field is missing or a number is invalid.
+function collectTypeFields(typeConfig, fieldValues) {
+    const values = {};
+    for (const field of typeConfig.fields || []) {
+        if (!field.id || RESERVED_FIELDS.includes(field.id)) continue;
+        const raw = fieldValues[field.id];
+        if (raw === undefined || raw === null || String(raw).trim() === '') {
+            if (field.required) return { error: `${field.label || field.id} is required.` };
+            continue;
+        }
+        if (field.type === 'number') {
+            const number = Number(raw);
+            if (!Number.isFinite(number) || number < 0) {
+                return { error: `${field.label || field.id} must be a number.` };
+            }
+            values[field.id] = number;
+        } else {
+            values[field.id] = String(raw).trim().substring(0, 500);
+        }
+    }
+    return { values };
+}
+
+// Ganvesh kurta/kurti shoulder size in cm requested at registration, or null
+function getRequestedGanveshSize(regData) {
+    const value = regData.ganveshSize || regData['Ganvesh Kurta Shoulder Size in cm (for swayamevaks and sevikas)'];
+    const match = String(value ?? '').match(/\d+(\.\d+)?/);
+    if (!match) return null;
+    const size = Math.round(parseFloat(match[0]));
+    return size >= 20 && size <= 70 ? size : null;
+}
+
+function getRegistrationGender(regData) {
+    const gender = String(regData.gender || regData.Gender || '').trim().toLowerCase();
+    if (gender === 'male' || gender === 'm') return 'Male';
+    if (gender === 'female' || gender === 'f') return 'Female';
+    return '';
+}
+
+// Find the registration by document ID, falling back to normalizedId
+async function findRegistration(db, uniqueId) {
+    const trimmedId = uniqueId.trim();
+    const candidates = [trimmedId.toUpperCase(), trimmedId];
+    for (const candidate of candidates) {
+        const doc = await db.collection('registrations').doc(candidate).get();
+        if (doc.exists) return doc;
+    }
+
+    const query = await db.collection('registrations')
+        .where('normalizedId', '==', normalizeId(trimmedId))
+        .limit(1)
+        .get();
+    return query.empty ? null : query.docs[0];
+}
+
+// Tag numbers are stored upper-case without spaces, e.g. "c 012" -> "C012"
+function normalizeTagNumber(tagNumber) {
+    return (tagNumber || '').toString().toUpperCase().replace(/\s+/g, '');
+}
+
+// Delete check-ins and reverse their inventory effects. Each check-in is undone in its own
+// transaction; returns one result per ID with status 'undone', 'not_found' or 'forbidden'.
+async function undoCheckins(db, caller, checkinTypeConfigs, checkinIds) {
+    const results = [];
+    for (const checkinId of checkinIds) {
+        const checkinRef = db.collection('checkins').doc(checkinId);
+        const result = await db.runTransaction(async (transaction) => {
+            const checkinDoc = await transaction.get(checkinRef);
+            if (!checkinDoc.exists) {
+                return { checkinId, status: 'not_found', message: 'Check-in not found.' };
+            }
+            const checkin = checkinDoc.data();
+            const typeConfig = checkinTypeConfigs[checkin.checkinType] || {};
+            if (!canPerformType(caller, typeConfig)) {
+                return { checkinId, status: 'forbidden', message: `You do not have permission to undo ${checkin.checkinType}.` };
+            }
+
+            // Only release the tag if it is still issued for this deposit
+            const tagNumber = checkin.checkinType === 'cloak_room' ? normalizeTagNumber(checkin.tagId) : '';
+            const tagRef = /^[A-Z0-9-]{1,20}$/.test(tagNumber) ? db.collection('cloakTags').doc(tagNumber) : null;
+            const tagDoc = tagRef ? await transaction.get(tagRef) : null;
+            const releaseTag = tagDoc && tagDoc.exists &&
+                tagDoc.data().status === 'issued' && tagDoc.data().checkinId === checkinId;
+            if (releaseTag) {
+                transaction.update(tagRef, {
+                    status: 'available',
+                    uniqueId: null,
+                    participantName: null,
+                    checkinId: null,
+                    itemCount: null,
+                    itemsReturned: 0,
+                    issuedAt: null,
+                    issuedBy: null,
+                    issuedByName: null,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+            }
+
+            // The stock counter was only incremented when the gender was known
+            const restockGanvesh = checkin.checkinType === 'ganvesh_collected' &&
+                Number.isFinite(checkin.issuedSize) && !!checkin.gender;
+            if (restockGanvesh) {
+                transaction.set(db.collection('ganveshStock').doc(`${checkin.gender}_${checkin.issuedSize}`), {
+                    gender: checkin.gender,
+                    size: checkin.issuedSize,
+                    issued: admin.firestore.FieldValue.increment(-1),
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                }, { merge: true });
+            }
+
+            transaction.delete(checkinRef);
+            return {
+                checkinId,
+                checkinType: checkin.checkinType,
+                status: 'undone',
+                message: 'Check-in undone.',
+                tagReleased: releaseTag ? tagNumber : null,
+                ganveshRestocked: restockGanvesh
+            };
+        });
+        results.push(result);
+    }
+    return results;
+}
+
+function timestampToIso(timestamp) {
+    if (!timestamp) return null;
+    if (typeof timestamp.toDate === 'function') return timestamp.toDate().toISOString();
+    return null;
+}
+
+module.exports = async (req, res) => {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        // Role and teams come from the caller's token claims, never from the request
+        const verification = await verifyCaller(req);
+        if (verification.error) {
+            return res.status(verification.status).json({ success: false, error: verification.error });
+        }
+        const { caller, decodedToken } = verification;
+
+        if (req.body?.action === 'undo') {
+            const checkinIds = req.body.checkinIds;
+            if (!Array.isArray(checkinIds) || checkinIds.length === 0 || checkinIds.length > 20 ||
+                !checkinIds.every(id => typeof id === 'string' && id.trim() && id.length <= 200 && !id.includes('/'))) {
+                return res.status(400).json({ success: false, error: 'checkinIds must be a list of 1 to 20 check-in IDs' });
+            }
+            const undoDb = admin.firestore();
+            const undoTypeConfigs = await loadCheckinTypes(undoDb);
+            if (!undoTypeConfigs) {
+                return res.status(503).json({ success: false, error: 'Check-in types are not configured yet' });
+            }
+            const undoResults = await undoCheckins(undoDb, caller, undoTypeConfigs, checkinIds);
+            const undoneCount = undoResults.filter(r => r.status === 'undone').length;
+            return res.status(200).json({
+                success: undoneCount === undoResults.length,
+                results: undoResults,
+                message: `${undoneCount} of ${undoResults.length} check-in(s) undone`
+            });
+        }
+
+        const { uniqueId, notes, pickupLocation, tagId, itemCount, recordedAt, source, clientCheckinId } = req.body || {};
+        const fieldValues = { tagId, itemCount, ...(req.body?.fields || {}) };
+        let checkinTypes = req.body?.checkinTypes || req.body?.checkinType;
+        if (typeof checkinTypes === 'string') {
+            checkinTypes = [checkinTypes];
+        }
+
+        // Validate request
+        if (!uniqueId || typeof uniqueId !== 'string' || !uniqueId.trim()) {
+            return res.status(400).json({ success: false, error: 'uniqueId is required' });
+        }
+        if (!Array.isArray(checkinTypes) || checkinTypes.length === 0) {
+            return res.status(400).json({ success: false, error: 'At least one checkinType is required' });
+        }
+        if (recordedAt !== undefined && (!Number.isFinite(recordedAt) || recordedAt > Date.now() + 60000)) {
+            return res.status(400).json({ success: false, error: 'recordedAt must be a past epoch timestamp in milliseconds' });
+        }
+        if (clientCheckinId !== undefined && clientCheckinId !== null &&
+            (typeof clientCheckinId !== 'string' || !clientCheckinId.trim() || clientCheckinId.length > 200)) {
+            return res.status(400).json({ success: false, error: 'clientCheckinId must be a non-empty string of at most 200 characters' });
+        }
+
+        const db = admin.firestore();
+
+        const checkinTypeConfigs = await loadCheckinTypes(db);
+        if (!checkinTypeConfigs) {
+            console.error('config/checkin is missing; run `node firestore-utils.js seed-checkin-config`');
+            return res.status(503).json({ success: false, error: 'Check-in types are not configured yet' });
+        }
+        const unknownTypes = checkinTypes.filter(type =>
+            !checkinTypeConfigs[type] || checkinTypeConfigs[type].active === false);
+        if (unknownTypes.length) {
+            return res.status(400).json({ success: false, error: `Unknown checkin type: ${unknownTypes.join(', ')}` });
+        }
+
+        const forbiddenTypes = checkinTypes.filter(type => !canPerformType(caller, checkinTypeConfigs[type]));
+        if (forbiddenTypes.length) {
+            return res.status(403).json({
+                success: false,
+                error: `You do not have permission to perform: ${forbiddenTypes.join(', ')}`,
+                forbiddenTypes
+            });
+        }
+        const checkedInByName = caller.name;
+
+        const regDoc = await findRegistration(db, uniqueId);
+        if (!regDoc) {
+            return res.status(404).json({
+                success: false,
+                error: `Participant with Praveshika ID "${uniqueId.trim().toUpperCase()}" not found`
+            });
+        }
+        const regData = regDoc.data();
+        const registrationId = regDoc.id;
+
+        // Every check-in for a participant touches the same guard document, so concurrent
+        // transactions for the same person are serialized and see each other's writes
+        const guardRef = db.collection('checkinGuards').doc(normalizeId(registrationId));
+        const timestamp = recordedAt
+            ? admin.firestore.Timestamp.fromMillis(recordedAt)
+            : admin.firestore.FieldValue.serverTimestamp();
+
+        // Cloak room deposits take a tag from the inventory
+        const cloakTagNumber = checkinTypes.includes('cloak_room') ? normalizeTagNumber(fieldValues.tagId) : '';
+        const cloakTagValid = /^[A-Z0-9-]{1,20}$/.test(cloakTagNumber);
+        const cloakTagRef = cloakTagValid ? db.collection('cloakTags').doc(cloakTagNumber) : null;
+
+        const results = await db.runTransaction(async (transaction) => {
+            await transaction.get(guardRef);
+            const existingSnapshot = await transaction.get(
+                db.collection('checkins').where('uniqueId', '==', registrationId)
+            );
+            const cloakTagDoc = cloakTagRef ? await transaction.get(cloakTagRef) : null;
+
+            const existingByType = {};
+            existingSnapshot.docs.forEach(doc => {
+                const data = doc.data();
+                if (!existingByType[data.checkinType]) existingByType[data.checkinType] = [];
+                existingByType[data.checkinType].push({ id: doc.id, ...data });
+            });
+
+            const transactionResults = [];
+            const writtenTypes = [];
+
+            for (const type of checkinTypes) {
+                const typeConfig = checkinTypeConfigs[type];
+                const existing = existingByType[type] || [];
+                const checkinId = buildCheckinId(registrationId, type, decodedToken.uid, clientCheckinId, recordedAt);
+
+                // A retried offline sync whose first attempt was committed: report it as recorded
+                const alreadyRecorded = clientCheckinId ? existing.find(c => c.id === checkinId) : null;
+                if (alreadyRecorded) {
+                    writtenTypes.push(type);
+                    transactionResults.push({
+                        checkinType: type,
+                        status: 'checked_in',
+                        message: 'Check-in already recorded.',
+                        checkinId,
+                        alreadyRecorded: true
+                    });
+                    continue;
+                }
+
+                const missingPrerequisite = (typeConfig.prerequisites || []).find(prerequisite =>
+                    !(existingByType[prerequisite] || []).length && !writtenTypes.includes(prerequisite));
+                if (missingPrerequisite) {
+                    const prerequisiteLabel = checkinTypeConfigs[missingPrerequisite]?.label || missingPrerequisite;
+                    transactionResults.push({
+                        checkinType: type,
+                        status: 'prerequisite_missing',
+                        message: `${prerequisiteLabel} check-in must be completed before this action.`
+                    });
+                    continue;
+                }
+
+                const typeFields = collectTypeFields(typeConfig, fieldValues);
+                if (typeFields.error) {
+                    transactionResults.push({
+                        checkinType: type,
+                        status: 'invalid_field',
+                        message: typeFields.error
+                    });
+                    continue;
+                }
+
+                if (!typeConfig.repeatable) {
+                    // Cloak room only blocks while an earlier deposit has not been checked out
+                    const blocking = type === 'cloak_room'
+                        ? existing.filter(c => !c.checkedOutAt)
+                        : existing;
+
+                    if (blocking.length > 0 || writtenTypes.includes(type)) {
+                        const first = blocking[0] || {};
+                        transactionResults.push({
+                            checkinType: type,
+                            status: 'duplicate',
+                            message: type === 'cloak_room'
+                                ? 'Already checked in for Cloak Room. Please checkout first.'
+                                : 'Already checked in.',
+                            existing: {
+                                checkinId: first.id || null,
+                                timestamp: timestampToIso(first.timestamp),
+                                checkedInByName: first.checkedInByName || null
+                            }
+                        });
+                        continue;
+                    }
+                }
+
+                if (type === 'cloak_room') {
+                    const tag = cloakTagDoc && cloakTagDoc.exists ? cloakTagDoc.data() : null;
+                    let tagProblem = null;
+                    if (!cloakTagNumber) {
+                        tagProblem = 'A tag number is required for cloak room deposits.';
+                    } else if (!cloakTagValid) {
+                        tagProblem = `"${cloakTagNumber}" is not a valid tag number.`;
+                    } else if (!tag) {
+                        tagProblem = `Tag ${cloakTagNumber} is not registered in the cloak room inventory.`;
+                    } else if (tag.status === 'issued') {
+                        tagProblem = `Tag ${cloakTagNumber} is already issued to ${tag.uniqueId}.`;
+                    } else if (tag.status !== 'available') {
+                        tagProblem = `Tag ${cloakTagNumber} is ${tag.status} and cannot be issued.`;
+                    }
+                    if (tagProblem) {
+                        transactionResults.push({
+                            checkinType: type,
+                            status: 'tag_unavailable',
+                            message: tagProblem
+                        });
+                        continue;
+                    }
+                }
+
+                const checkinData = {
+                    ...typeFields.values,
+                    uniqueId: registrationId,
+                    checkinType: type,
+                    timestamp: timestamp,
+                    checkedInBy: decodedToken.uid,
+                    checkedInByName: checkedInByName,
+                    notes: notes || null,
+                    source: VALID_SOURCES.includes(source) ? source : 'desk'
+                };
+                if (recordedAt) {
+                    checkinData.syncedAt = admin.firestore.FieldValue.serverTimestamp();
+                }
+
+                if (type === 'pickup_location') {
+                    checkinData.pickupLocation = pickupLocation ||
+                        regData.normalizedPickupLocation || regData.pickupLocation || regData['Pickup Location'] || null;
+                }
+
+                if (type === 'cloak_room') {
+                    checkinData.tagId = cloakTagNumber;
+                    checkinData.itemsReturned = 0;
+                    transaction.update(cloakTagRef, {
+                        status: 'issued',
+                        uniqueId: registrationId,
+                        participantName: regData.name || regData['Full Name'] || registrationId,
+                        checkinId: checkinId,
+                        itemCount: checkinData.itemCount || null,
+                        itemsReturned: 0,
+                        issuedAt: timestamp,
+                        issuedBy: decodedToken.uid,
+                        issuedByName: checkedInByName,
+                        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                    });
+                }
+
+                if (type === 'ganvesh_collected' && checkinData.issuedSize !== undefined) {
+                    const issuedSize = Math.round(checkinData.issuedSize);
+                    const requestedSize = getRequestedGanveshSize(regData);
+                    const gender = getRegistrationGender(regData);
+                    checkinData.issuedSize = issuedSize;
+                    checkinData.requestedSize = requestedSize;
+                    checkinData.gender = gender || null;
+                    checkinData.sizeSubstituted = requestedSize !== null && requestedSize !== issuedSize;
+                    if (gender) {
+                        transaction.set(db.collection('ganveshStock').doc(`${gender}_${issuedSize}`), {
+                            gender: gender,
+                            size: issuedSize,
+                            issued: admin.firestore.FieldValue.increment(1),
+                            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                        }, { merge: true });
+                    }
+                }
+
+                transaction.set(db.collection('checkins').doc(checkinId), checkinData);
+                writtenTypes.push(type);
+                transactionResults.push({
+                    checkinType: type,
+                    status: 'checked_in',
+                    message: 'Check-in recorded.',
+                    checkinId
+                });
+            }
+
+            transaction.set(guardRef, {
+                uniqueId: registrationId,
+                lastCheckinAt: admin.firestore.FieldValue.serverTimestamp(),
+                lastCheckinBy: decodedToken.uid
+            }, { merge: true });
+
+            return transactionResults;
+        });
+
+        const checkedInCount = results.filter(r => r.status === 'checked_in').length;
+
+        return res.status(200).json({
+            success: checkedInCount > 0,
+            uniqueId: registrationId,
+            participant: {
+                name: regData.name || regData['Full Name'] || registrationId,
+                country: regData.country || regData.Country || null,
+                shreni: regData.shreni || regData.Shreni || null
+            },
+            results,
+            message: `${checkedInCount} of ${results.length} check-in(s) recorded`
+        });
+
+    } catch (error) {
+        console.error('Error in checkin:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
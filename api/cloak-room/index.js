@@ -0,0 +1,222 @@
+// Vercel serverless function to return cloak room items
+// Environment variables required:
+// - FIREBASE_SERVICE_ACCOUNT (JSON string of service account key)
+// OR individual fields:
+// - FIREBASE_PROJECT_ID
+// - FIREBASE_CLIENT_EMAIL
+// - FIREBASE_PRIVATE_KEY
+//
+// Request body:
+// - tagNumber: cloak room tag being returned (or uniqueId to find the participant's issued tag)
+// - uniqueId: Praveshika ID, used when no tag number is given
+// - count: optional number of items handed back now; defaults to everything still held
+//
+// A partial return records the count on the check-in and the tag. When the last item is
+// returned the check-in is checked out and the tag goes back into the inventory as available.
+// Check-ins made before tags were tracked have no tag document and are checked out in full.
+// Callers must be admins or volunteers on the team that owns the cloak_room check-in type
+// (by the role and teams claims on their ID token).
+
+const admin = require('firebase-admin');
+const { callerHasTeam, isAdminCaller, verifyCaller } = require('../_lib/auth');
+
+// Initialize Firebase Admin SDK (only once)
+if (!admin.apps.length) {
+    try {
+        // Try to use full service account JSON first
+        if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+            const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+            admin.initializeApp({
+                credential: admin.credential.cert(serviceAccount)
+            });
+        } else {
+            // Fall back to individual environment variables
+            admin.initializeApp({
+                credential: admin.credential.cert({
+                    projectId: process.env.FIREBASE_PROJECT_ID,
+                    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+                    privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n')
+                })
+            });
+        }
+        console.log('Firebase Admin initialized successfully');
+    } catch (error) {
+        console.error('Error initializing Firebase Admin:', error);
+    }
+}
+
+function normalizeTagNumber(tagNumber) {
+    return (tagNumber || '').toString().toUpperCase().replace(/\s+/g, '');
+}
+
+async function canManageCloakRoom(db, caller) {
+    if (isAdminCaller(caller)) return true;
+    if (caller.role !== 'volunteer') return false;
+    const configDoc = await db.collection('config').doc('checkin').get();
+    const cloakRoomType = configDoc.exists ? configDoc.data().types?.cloak_room : null;
+    const team = cloakRoomType ? cloakRoomType.team : null;
+    return callerHasTeam(caller, team);
+}
+
+module.exports = async (req, res) => {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const verification = await verifyCaller(req);
+        if (verification.error) {
+            return res.status(verification.status).json({ success: false, error: verification.error });
+        }
+        const { caller, decodedToken } = verification;
+
+        const db = admin.firestore();
+        if (!(await canManageCloakRoom(db, caller))) {
+            return res.status(403).json({ success: false, error: 'You do not have permission to return cloak room items' });
+        }
+        const returnedByName = caller.name;
+
+        const { tagNumber, uniqueId, count } = req.body || {};
+        const requestedCount = count === undefined || count === null || count === '' ? null : Number(count);
+        if (requestedCount !== null && (!Number.isInteger(requestedCount) || requestedCount < 1)) {
+            return res.status(400).json({ success: false, error: 'count must be a whole number of at least 1' });
+        }
+
+        // Find the tag: by number, or the one currently issued to the participant
+        let tagRef = null;
+        const normalizedTag = normalizeTagNumber(tagNumber);
+        if (normalizedTag) {
+            if (!/^[A-Z0-9-]{1,20}$/.test(normalizedTag)) {
+                return res.status(400).json({ success: false, error: `"${normalizedTag}" is not a valid tag number` });
+            }
+            tagRef = db.collection('cloakTags').doc(normalizedTag);
+        } else if (uniqueId && typeof uniqueId === 'string') {
+            const issued = await db.collection('cloakTags')
+                .where('uniqueId', '==', uniqueId.trim().toUpperCase())
+                .where('status', '==', 'issued')
+                .limit(1)
+                .get();
+            if (!issued.empty) tagRef = issued.docs[0].ref;
+        } else {
+            return res.status(400).json({ success: false, error: 'tagNumber or uniqueId is required' });
+        }
+
+        // Deposit recorded before tags were tracked: check out the latest open check-in in full
+        if (!tagRef) {
+            const legacy = await db.collection('checkins')
+                .where('uniqueId', '==', uniqueId.trim().toUpperCase())
+                .where('checkinType', '==', 'cloak_room')
+                .orderBy('timestamp', 'desc')
+                .limit(1)
+                .get();
+            if (legacy.empty || legacy.docs[0].data().checkedOutAt) {
+                return res.status(404).json({ success: false, error: 'No cloak room items are held for this participant' });
+            }
+            await legacy.docs[0].ref.update({
+                checkedOutAt: admin.firestore.FieldValue.serverTimestamp(),
+                checkedOutBy: decodedToken.uid,
+                checkedOutByName: returnedByName
+            });
+            return res.status(200).json({ success: true, uniqueId: legacy.docs[0].data().uniqueId, tagNumber: null, returned: null, remaining: 0, checkedOut: true });
+        }
+
+        const result = await db.runTransaction(async (transaction) => {
+            const tagDoc = await transaction.get(tagRef);
+            if (!tagDoc.exists) {
+                return { status: 404, error: `Tag ${tagRef.id} is not registered` };
+            }
+            const tag = tagDoc.data();
+            if (tag.status !== 'issued' || !tag.checkinId) {
+                return { status: 409, error: `Tag ${tagRef.id} is not currently issued` };
+            }
+
+            const checkinRef = db.collection('checkins').doc(tag.checkinId);
+            const checkinDoc = await transaction.get(checkinRef);
+
+            // Without a recorded item count only a full return is possible
+            const alreadyReturned = tag.itemsReturned || 0;
+            const held = tag.itemCount ? tag.itemCount - alreadyReturned : null;
+            if (held !== null && requestedCount !== null && requestedCount > held) {
+                return { status: 400, error: `Only ${held} item(s) are held on tag ${tagRef.id}` };
+            }
+            if (held === null && requestedCount !== null) {
+                return { status: 400, error: `No item count was recorded for tag ${tagRef.id}; return all items instead` };
+            }
+            const returned = requestedCount !== null ? requestedCount : held;
+            const remaining = held === null ? 0 : held - returned;
+            const now = admin.firestore.Timestamp.now();
+            const returnEntry = { count: returned, returnedAt: now, returnedBy: decodedToken.uid, returnedByName };
+
+            if (checkinDoc.exists) {
+                const checkinUpdate = {
+                    itemsReturned: alreadyReturned + (returned || 0),
+                    returns: admin.firestore.FieldValue.arrayUnion(returnEntry)
+                };
+                if (remaining === 0) {
+                    checkinUpdate.checkedOutAt = admin.firestore.FieldValue.serverTimestamp();
+                    checkinUpdate.checkedOutBy = decodedToken.uid;
+                    checkinUpdate.checkedOutByName = returnedByName;
+                }
+                transaction.update(checkinRef, checkinUpdate);
+            }
+
+            if (remaining === 0) {
+                // Everything collected: the tag goes back into the inventory
+                transaction.update(tagRef, {
+                    status: 'available',
+                    uniqueId: null,
+                    participantName: null,
+                    checkinId: null,
+                    itemCount: null,
+                    itemsReturned: 0,
+                    issuedAt: null,
+                    issuedBy: null,
+                    issuedByName: null,
+                    lastUniqueId: tag.uniqueId,
+                    lastReturnedAt: admin.firestore.FieldValue.serverTimestamp(),
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+            } else {
+                transaction.update(tagRef, {
+                    itemsReturned: alreadyReturned + returned,
+                    lastReturnedAt: admin.firestore.FieldValue.serverTimestamp(),
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+            }
+
+            return { status: 200, uniqueId: tag.uniqueId, returned, remaining };
+        });
+
+        if (result.status !== 200) {
+            return res.status(result.status).json({ success: false, error: result.error });
+        }
+
+        return res.status(200).json({
+            success: true,
+            uniqueId: result.uniqueId,
+            tagNumber: tagRef.id,
+            returned: result.returned,
+            remaining: result.remaining,
+            checkedOut: result.remaining === 0
+        });
+
+    } catch (error) {
+        console.error('Error in cloak-room:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
@@ -5,8 +5,27 @@
 // - FIREBASE_PROJECT_ID
 // - FIREBASE_CLIENT_EMAIL
 // - FIREBASE_PRIVATE_KEY
+// Welcome emails (same SMTP settings as api/send-email):
+// - SMTP_HOST, SMTP_PORT (default: 587), SMTP_USER, SMTP_PASS
+// - APP_BASE_URL (optional, where users land after setting their password)
+//
+// Every new account gets its own random password that is never shown to anyone;
+// the user receives a welcome email with a link to set their own password.
+// Staff created without an email sign in as <uniqueId>@placeholder.local; they get no
+// welcome email, so their initial password is returned to the admin instead.
+// The account's role, volunteer teams, coordinator zone and linked Praveshika IDs are set
+// as custom claims straight away (same shape as api/sync-claims), and its users/{uid} profile
+// document is written here, since only admins may set role, teams, zone and uniqueId.
+//
+// Callers must send a valid Firebase ID token (Authorization: Bearer <token>, or
+// adminToken in the body) whose role claim is admin or superadmin (see api/_lib/auth.js).
+// Every call, including rejected ones, is recorded in the adminAuditLog collection.
 
+const crypto = require('crypto');
 const admin = require('firebase-admin');
+const { ADMIN_ROLES, verifyCaller } = require('../_lib/auth');
+const { createMailTransporter, escapeHtml } = require('../_lib/mail');
+const { PLACEHOLDER_EMAIL_DOMAIN, normalizeZone, getLinkedIds, getStaffClaims, buildClaims } = require('../_lib/claims');
 
 // Initialize Firebase Admin SDK (only once)
 if (!admin.apps.length) {
@@ -33,6 +52,94 @@ if (!admin.apps.length) {
     }
 }
 
+// Generate a random initial password (the user sets their own through the emailed link)
+function generateInitialPassword(length = 16) {
+    const charset = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*';
+    let password = '';
+    for (let i = 0; i < length; i++) {
+        // randomInt rejects out-of-range draws, so every character is equally likely
+        password += charset[crypto.randomInt(charset.length)];
+    }
+    return password;
+}
+
+// Custom claims for a new account, built as in api/sync-claims from the role, teams and zone the
+// admin entered and the Praveshika IDs linked to its email. Superadmins are never created here.
+async function buildInitialClaims(email, role, volunteerTeams, zone) {
+    const staff = role === 'superadmin' ? null : { role, volunteerTeams, zone };
+    return buildClaims({}, getStaffClaims(staff, email), await getLinkedIds(admin.firestore(), email));
+}
+
+const ROLE_LABELS = {
+    'superadmin': 'Superadmin',
+    'admin': 'Admin',
+    'volunteer': 'Volunteer',
+    'zone_coordinator': 'Zone Coordinator',
+    'shibirarthi': 'Shibirarthi'
+};
+
+// Welcome email with the person's Praveshika ID, role and password setup link
+async function sendWelcomeEmail(transporter, { email, name, uniqueId, role, link }) {
+    const displayName = name || uniqueId;
+    const roleLabel = ROLE_LABELS[role] || role || 'Shibirarthi';
+
+    const htmlBody = `
+      <h2>Welcome to VSS2025</h2>
+      <p>Namaste ${escapeHtml(displayName)},</p>
+      <p>An account has been created for you on the Vishwa Sangh Shibir 2025 website.</p>
+      <p><strong>Praveshika ID:</strong> ${escapeHtml(uniqueId)}<br>
+         <strong>Role:</strong> ${escapeHtml(roleLabel)}<br>
+         <strong>Login email:</strong> ${escapeHtml(email)}</p>
+      <p>Please set your password using the link below before logging in:</p>
+      <p><a href="${escapeHtml(link)}">Set your password</a></p>
+      <p>You can log in with either your email address or your Praveshika ID.</p>
+      <hr>
+      <p><em>If you were not expecting this email, please contact info@vss2025.org.</em></p>
+    `;
+
+    const textBody = `
+Welcome to VSS2025
+
+Namaste ${displayName},
+
+An account has been created for you on the Vishwa Sangh Shibir 2025 website.
+
+Praveshika ID: ${uniqueId}
+Role: ${roleLabel}
+Login email: ${email}
+
+Please set your password using this link before logging in:
+${link}
+
+You can log in with either your email address or your Praveshika ID.
+
+---
+If you were not expecting this email, please contact info@vss2025.org.
+    `;
+
+    return transporter.sendMail({
+        from: `"VSS2025" <${process.env.SMTP_USER.trim()}>`,
+        to: email,
+        subject: `Welcome to VSS2025 - your ${roleLabel} account (${uniqueId})`,
+        text: textBody,
+        html: htmlBody,
+    });
+}
+
+// Record every call in the adminAuditLog collection (failures here must not block the request)
+async function writeAuditLog(req, entry) {
+    try {
+        await admin.firestore().collection('adminAuditLog').add({
+            ...entry,
+            ip: (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.socket?.remoteAddress || null,
+            userAgent: req.headers['user-agent'] || null,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+    } catch (error) {
+        console.error('Error writing audit log:', error);
+    }
+}
+
 module.exports = async (req, res) => {
     // CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
@@ -49,39 +156,63 @@ module.exports = async (req, res) => {
         return res.status(405).json({ error: 'Method not allowed' });
     }
 
+    let caller = null;
+
     try {
-        const { users, adminToken } = req.body;
+        const { users } = req.body;
+        const requestedEmails = Array.isArray(users) ? users.map(u => u?.email).filter(Boolean) : [];
+
+        // Only authenticated admins may create accounts
+        const verification = await verifyCaller(req, { roles: ADMIN_ROLES, forbiddenError: 'Only admins can manage user accounts' });
+        caller = verification.caller;
+        if (verification.status) {
+            await writeAuditLog(req, {
+                action: 'create-auth-users',
+                caller,
+                targets: requestedEmails,
+                statusCode: verification.status,
+                outcome: 'rejected',
+                error: verification.error
+            });
+            return res.status(verification.status).json({ success: false, error: verification.error });
+        }
+        console.log('Request from admin user:', caller.uid);
 
         // Validate request
         if (!users || !Array.isArray(users) || users.length === 0) {
+            await writeAuditLog(req, {
+                action: 'create-auth-users',
+                caller,
+                targets: [],
+                statusCode: 400,
+                outcome: 'invalid',
+                error: 'users array required'
+            });
             return res.status(400).json({ error: 'Invalid request: users array required' });
         }
 
-        // Verify the admin token (optional but recommended)
-        if (adminToken) {
-            try {
-                const decodedToken = await admin.auth().verifyIdToken(adminToken);
-                console.log('Request from user:', decodedToken.uid);
-            } catch (tokenError) {
-                console.warn('Token verification failed:', tokenError.message);
-                // Continue anyway for now, but you could return 401 here
-            }
-        }
-
         const results = [];
-        const defaultPassword = 'Vss@2025';
+        const transporter = createMailTransporter();
+        if (!transporter) {
+            console.warn('SMTP not configured: welcome emails will not be sent');
+        }
+        const actionCodeSettings = process.env.APP_BASE_URL
+            ? { url: process.env.APP_BASE_URL.trim() }
+            : undefined;
 
         for (const user of users) {
-            const { email, name, uniqueId } = user;
+            const { name, uniqueId, role, volunteerTeams, zone } = user;
 
-            if (!email || !uniqueId) {
+            if (!uniqueId) {
                 results.push({
-                    uniqueId: uniqueId || 'unknown',
+                    uniqueId: 'unknown',
                     success: false,
-                    error: 'Missing email or uniqueId'
+                    error: 'Missing uniqueId'
                 });
                 continue;
             }
+            const hasEmail = !!(user.email && String(user.email).trim());
+            const email = hasEmail ? String(user.email).trim() : `${uniqueId}${PLACEHOLDER_EMAIL_DOMAIN}`;
 
             try {
                 // Check if user already exists
@@ -102,21 +233,64 @@ module.exports = async (req, res) => {
                     continue;
                 }
 
-                // Create the user in Firebase Auth
+                // Create the user in Firebase Auth with their own random password
+                const initialPassword = generateInitialPassword();
                 const userRecord = await admin.auth().createUser({
                     email: email,
-                    password: defaultPassword,
+                    password: initialPassword,
                     displayName: name || uniqueId,
                     disabled: false
                 });
 
                 console.log(`Created auth user: ${email} (${userRecord.uid})`);
 
+                await admin.firestore().collection('users').doc(userRecord.uid).set({
+                    email: hasEmail ? email : null,
+                    name: name || uniqueId,
+                    uniqueId: uniqueId,
+                    role: role || 'shibirarthi',
+                    volunteerTeams: role === 'volunteer' && Array.isArray(volunteerTeams) ? volunteerTeams : [],
+                    zone: role === 'zone_coordinator' ? (normalizeZone(zone) || null) : null,
+                    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                    createdBy: caller.uid
+                });
+
+                // Without claims the account can sign in but has no access until api/sync-claims runs
+                let claimsSet = false;
+                try {
+                    await admin.auth().setCustomUserClaims(userRecord.uid, await buildInitialClaims(email, role, volunteerTeams, zone));
+                    claimsSet = true;
+                } catch (claimsError) {
+                    console.error(`Error setting claims for ${email}:`, claimsError.message);
+                }
+
+                // Email a password setup link; the account exists even if delivery fails
+                let emailSent = false;
+                let emailError = null;
+                if (!hasEmail) {
+                    emailError = 'No email provided';
+                } else if (transporter) {
+                    try {
+                        const link = await admin.auth().generatePasswordResetLink(email, actionCodeSettings);
+                        await sendWelcomeEmail(transporter, { email, name, uniqueId, role, link });
+                        emailSent = true;
+                    } catch (mailError) {
+                        console.error(`Error sending welcome email to ${email}:`, mailError.message);
+                        emailError = mailError.message;
+                    }
+                } else {
+                    emailError = 'Email service not configured';
+                }
+
                 results.push({
                     uniqueId,
                     success: true,
                     uid: userRecord.uid,
-                    email: email
+                    email: email,
+                    claimsSet,
+                    emailSent,
+                    emailError,
+                    temporaryPassword: hasEmail ? null : initialPassword
                 });
 
             } catch (userError) {
@@ -132,14 +306,37 @@ module.exports = async (req, res) => {
         const successCount = results.filter(r => r.success).length;
         const failCount = results.filter(r => !r.success).length;
 
+        await writeAuditLog(req, {
+            action: 'create-auth-users',
+            caller,
+            targets: requestedEmails,
+            statusCode: 200,
+            outcome: failCount === 0 ? 'success' : 'partial',
+            results: results.map(r => ({
+                uniqueId: r.uniqueId,
+                success: r.success,
+                emailSent: !!r.emailSent,
+                error: r.error || null
+            }))
+        });
+
+        const emailedCount = results.filter(r => r.emailSent).length;
+
         return res.status(200).json({
             success: true,
-            message: `Created ${successCount} users, ${failCount} failed`,
+            message: `Created ${successCount} users, ${failCount} failed, ${emailedCount} welcome emails sent`,
             results
         });
 
     } catch (error) {
         console.error('Error in create-auth-users:', error);
+        await writeAuditLog(req, {
+            action: 'create-auth-users',
+            caller,
+            statusCode: 500,
+            outcome: 'error',
+            error: error.message
+        });
         return res.status(500).json({
             error: 'Internal server error',
             message: error.message
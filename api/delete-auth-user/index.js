@@ -5,8 +5,13 @@
 // - FIREBASE_PROJECT_ID
 // - FIREBASE_CLIENT_EMAIL
 // - FIREBASE_PRIVATE_KEY
+//
+// Callers must send a valid Firebase ID token (Authorization: Bearer <token>, or
+// adminToken in the body) whose role claim is admin or superadmin (see api/_lib/auth.js).
+// Every call, including rejected ones, is recorded in the adminAuditLog collection.
 
 const admin = require('firebase-admin');
+const { ADMIN_ROLES, verifyCaller } = require('../_lib/auth');
 
 // Initialize Firebase Admin SDK (only once)
 if (!admin.apps.length) {
@@ -33,6 +38,20 @@ if (!admin.apps.length) {
     }
 }
 
+// Record every call in the adminAuditLog collection (failures here must not block the request)
+async function writeAuditLog(req, entry) {
+    try {
+        await admin.firestore().collection('adminAuditLog').add({
+            ...entry,
+            ip: (req.headers['x-forwarded-for'] || '').split(',')[0].trim() || req.socket?.remoteAddress || null,
+            userAgent: req.headers['user-agent'] || null,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        });
+    } catch (error) {
+        console.error('Error writing audit log:', error);
+    }
+}
+
 module.exports = async (req, res) => {
     // CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
@@ -49,25 +68,40 @@ module.exports = async (req, res) => {
         return res.status(405).json({ error: 'Method not allowed' });
     }
 
+    let caller = null;
+
     try {
-        const { email, adminToken } = req.body;
+        const { email } = req.body;
+
+        // Only authenticated admins may delete accounts
+        const verification = await verifyCaller(req, { roles: ADMIN_ROLES, forbiddenError: 'Only admins can manage user accounts' });
+        caller = verification.caller;
+        if (verification.status) {
+            await writeAuditLog(req, {
+                action: 'delete-auth-user',
+                caller,
+                targets: email ? [email] : [],
+                statusCode: verification.status,
+                outcome: 'rejected',
+                error: verification.error
+            });
+            return res.status(verification.status).json({ success: false, error: verification.error });
+        }
+        console.log('Request from admin user:', caller.uid);
 
         // Validate request
         if (!email) {
+            await writeAuditLog(req, {
+                action: 'delete-auth-user',
+                caller,
+                targets: [],
+                statusCode: 400,
+                outcome: 'invalid',
+                error: 'Email is required'
+            });
             return res.status(400).json({ error: 'Email is required' });
         }
 
-        // Verify the admin token (optional but recommended)
-        if (adminToken) {
-            try {
-                const decodedToken = await admin.auth().verifyIdToken(adminToken);
-                console.log('Request from admin user:', decodedToken.uid);
-            } catch (tokenError) {
-                console.warn('Token verification failed:', tokenError.message);
-                // Continue anyway for now, but you could return 401 here
-            }
-        }
-
         try {
             // Get user by email
             const userRecord = await admin.auth().getUserByEmail(email);
@@ -78,6 +112,15 @@ module.exports = async (req, res) => {
             
             console.log(`Deleted Auth user: ${email} (${uid})`);
             
+            await writeAuditLog(req, {
+                action: 'delete-auth-user',
+                caller,
+                targets: [email],
+                deletedUid: uid,
+                statusCode: 200,
+                outcome: 'success'
+            });
+            
             return res.status(200).json({
                 success: true,
                 message: `User ${email} deleted from Firebase Auth`,
@@ -86,6 +129,13 @@ module.exports = async (req, res) => {
             
         } catch (userError) {
             if (userError.code === 'auth/user-not-found') {
+                await writeAuditLog(req, {
+                    action: 'delete-auth-user',
+                    caller,
+                    targets: [email],
+                    statusCode: 404,
+                    outcome: 'not_found'
+                });
                 return res.status(404).json({
                     success: false,
                     error: 'User not found in Firebase Auth',
@@ -94,6 +144,14 @@ module.exports = async (req, res) => {
             }
             
             console.error('Error deleting user:', userError);
+            await writeAuditLog(req, {
+                action: 'delete-auth-user',
+                caller,
+                targets: [email],
+                statusCode: 500,
+                outcome: 'error',
+                error: userError.message
+            });
             return res.status(500).json({
                 success: false,
                 error: userError.message || 'Failed to delete user'
@@ -102,6 +160,13 @@ module.exports = async (req, res) => {
 
     } catch (error) {
         console.error('Error in delete-auth-user:', error);
+        await writeAuditLog(req, {
+            action: 'delete-auth-user',
+            caller,
+            statusCode: 500,
+            outcome: 'error',
+            error: error.message
+        });
         return res.status(500).json({
             error: 'Internal server error',
             message: error.message
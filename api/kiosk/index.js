@@ -0,0 +1,278 @@
+// Vercel serverless function for self-service check-in kiosks
+// Environment variables required:
+// - FIREBASE_SERVICE_ACCOUNT (JSON string of service account key)
+// OR individual fields:
+// - FIREBASE_PROJECT_ID
+// - FIREBASE_CLIENT_EMAIL
+// - FIREBASE_PRIVATE_KEY
+//
+// Request body:
+// - action: 'create', 'revoke', 'session', 'lookup' or 'checkin'
+// - label (create): name of the tablet, e.g. "Main gate 1"
+// - deviceId (revoke): kiosk to deactivate
+// - deviceToken (session): the token shown when the kiosk was created
+// - badge (lookup, checkin): the signed QR payload scanned from the participant's badge
+//   (BADGE_SIGNING_KEY must be set, as for api/verify-badge)
+//
+// create and revoke need an admin's Firebase ID token (Authorization: Bearer <token>).
+// The device token is returned once by create; only its SHA-256 hash is stored in
+// kioskDevices/{deviceId}. session exchanges a device token for a Firebase custom token
+// with the claims { kiosk: true, kioskDeviceId }. The kiosk sends that token to lookup and
+// checkin, which only work while the device stays active. Kiosks have no Firestore access
+// and no other API accepts them: lookup returns just the first name on the badge, and checkin
+// records the registration check-in (source 'kiosk') and returns the next steps.
+
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { ADMIN_ROLES, verifyCaller } = require('../_lib/auth');
+const { checkBadgePayload } = require('../_lib/badge');
+
+// Initialize Firebase Admin SDK (only once)
+if (!admin.apps.length) {
+    try {
+        // Try to use full service account JSON first
+        if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+            const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+            admin.initializeApp({
+                credential: admin.credential.cert(serviceAccount)
+            });
+        } else {
+            // Fall back to individual environment variables
+            admin.initializeApp({
+                credential: admin.credential.cert({
+                    projectId: process.env.FIREBASE_PROJECT_ID,
+                    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+                    privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n')
+                })
+            });
+        }
+        console.log('Firebase Admin initialized successfully');
+    } catch (error) {
+        console.error('Error initializing Firebase Admin:', error);
+    }
+}
+
+function hashDeviceToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Shown after check-in, in order
+const KIOSK_NEXT_STEPS = [
+    'Collect your kit and pay the shulk at the registration desk.',
+    'Collect your ganvesh at the ganvesh counter.',
+    'Leave any luggage at the cloak room.'
+];
+
+function normalizeId(id) {
+    return (id || '').toString().toLowerCase().replace(/[/-]/g, '');
+}
+
+// Only the participant's own first name is shown on the shared screen
+function getFirstName(regData, registrationId) {
+    return (regData.name || regData['Full Name'] || '').trim().split(/\s+/)[0] || registrationId;
+}
+
+function getNextSteps(regData) {
+    const steps = [...KIOSK_NEXT_STEPS];
+    const room = [regData.roomBuilding, regData.roomNumber].filter(Boolean).join(' - ');
+    if (room) steps.unshift(`Your room is ${room}.`);
+    return steps;
+}
+
+// Record the registration check-in for a verified badge. Uses the same guard document as
+// api/checkin, so a desk scan and a kiosk scan of the same badge cannot both be written.
+async function recordKioskCheckin(db, caller, regDoc) {
+    const configDoc = await db.collection('config').doc('checkin').get();
+    const typeConfig = configDoc.exists ? configDoc.data().types?.registration : null;
+    if (!typeConfig || typeConfig.active === false) {
+        return { status: 'unavailable' };
+    }
+
+    const registrationId = regDoc.id;
+    const guardRef = db.collection('checkinGuards').doc(normalizeId(registrationId));
+
+    return db.runTransaction(async (transaction) => {
+        await transaction.get(guardRef);
+        const existingSnapshot = await transaction.get(
+            db.collection('checkins').where('uniqueId', '==', registrationId)
+        );
+        const existingTypes = existingSnapshot.docs.map(doc => doc.data().checkinType);
+
+        if (!typeConfig.repeatable && existingTypes.includes('registration')) {
+            return { status: 'duplicate' };
+        }
+        if ((typeConfig.prerequisites || []).some(prerequisite => !existingTypes.includes(prerequisite))) {
+            return { status: 'prerequisite_missing' };
+        }
+
+        const checkinId = `${registrationId}_registration_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+        transaction.set(db.collection('checkins').doc(checkinId), {
+            uniqueId: registrationId,
+            checkinType: 'registration',
+            timestamp: admin.firestore.FieldValue.serverTimestamp(),
+            checkedInBy: caller.uid,
+            checkedInByName: caller.name,
+            notes: null,
+            source: 'kiosk'
+        });
+        transaction.set(guardRef, {
+            uniqueId: registrationId,
+            lastCheckinAt: admin.firestore.FieldValue.serverTimestamp(),
+            lastCheckinBy: caller.uid
+        }, { merge: true });
+        return { status: 'checked_in', checkinId };
+    });
+}
+
+module.exports = async (req, res) => {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const db = admin.firestore();
+        const { action } = req.body || {};
+
+        if (action === 'session') {
+            const deviceToken = String(req.body.deviceToken || '').trim();
+            if (!deviceToken) {
+                return res.status(400).json({ success: false, error: 'deviceToken is required' });
+            }
+
+            const snapshot = await db.collection('kioskDevices')
+                .where('tokenHash', '==', hashDeviceToken(deviceToken))
+                .limit(1)
+                .get();
+            if (snapshot.empty || snapshot.docs[0].data().active !== true) {
+                return res.status(403).json({ success: false, error: 'This kiosk token is not valid or has been deactivated' });
+            }
+
+            const deviceDoc = snapshot.docs[0];
+            const customToken = await admin.auth().createCustomToken(`kiosk-${deviceDoc.id}`, {
+                kiosk: true,
+                kioskDeviceId: deviceDoc.id
+            });
+            await deviceDoc.ref.update({ lastSessionAt: admin.firestore.FieldValue.serverTimestamp() });
+
+            return res.status(200).json({
+                success: true,
+                customToken,
+                deviceId: deviceDoc.id,
+                label: deviceDoc.data().label
+            });
+        }
+
+        if (action === 'lookup' || action === 'checkin') {
+            const kioskVerification = await verifyCaller(req, {
+                roles: [],
+                allowKiosk: true,
+                forbiddenError: 'Only check-in kiosks can use this action'
+            });
+            if (!kioskVerification.caller || kioskVerification.error) {
+                return res.status(kioskVerification.status).json({ success: false, error: kioskVerification.error });
+            }
+            const kioskCaller = kioskVerification.caller;
+            if (!process.env.BADGE_SIGNING_KEY) {
+                return res.status(500).json({ success: false, error: 'Badge signing is not configured' });
+            }
+
+            // Only a signed badge identifies the participant; typed IDs are not accepted
+            const badge = await checkBadgePayload(db, req.body.badge);
+            if (!badge.valid) {
+                console.warn(`Kiosk ${kioskCaller.kioskDeviceId} scanned a ${badge.status} badge${badge.uniqueId ? ` for ${badge.uniqueId}` : ''}`);
+                return res.status(403).json({ success: false, status: badge.status, error: 'This badge could not be verified' });
+            }
+            const regData = badge.regDoc.data();
+            const firstName = getFirstName(regData, badge.regDoc.id);
+
+            if (action === 'lookup') {
+                return res.status(200).json({ success: true, firstName });
+            }
+
+            const outcome = await recordKioskCheckin(db, kioskCaller, badge.regDoc);
+            if (outcome.status === 'checked_in' || outcome.status === 'duplicate') {
+                return res.status(200).json({
+                    success: true,
+                    status: outcome.status,
+                    firstName,
+                    nextSteps: getNextSteps(regData)
+                });
+            }
+            return res.status(409).json({ success: false, status: outcome.status, error: 'Check-in is not possible at the kiosk' });
+        }
+
+        if (action !== 'create' && action !== 'revoke') {
+            return res.status(400).json({ success: false, error: "action must be 'create', 'revoke', 'session', 'lookup' or 'checkin'" });
+        }
+
+        const verification = await verifyCaller(req, { roles: ADMIN_ROLES, forbiddenError: 'Only admins can manage kiosks' });
+        if (!verification.caller) {
+            return res.status(verification.status).json({ success: false, error: verification.error });
+        }
+        const caller = verification.caller;
+
+        if (action === 'create') {
+            const label = String(req.body.label || '').trim().substring(0, 100);
+            if (!label) {
+                return res.status(400).json({ success: false, error: 'label is required' });
+            }
+
+            const deviceToken = crypto.randomBytes(24).toString('base64url');
+            const deviceRef = db.collection('kioskDevices').doc();
+            await deviceRef.set({
+                label: label,
+                tokenHash: hashDeviceToken(deviceToken),
+                active: true,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                createdBy: caller.uid,
+                createdByName: caller.name
+            });
+
+            console.log(`Kiosk "${label}" (${deviceRef.id}) created by ${caller.email}`);
+            return res.status(200).json({ success: true, deviceId: deviceRef.id, label, deviceToken });
+        }
+
+        const { deviceId } = req.body;
+        if (!deviceId || typeof deviceId !== 'string') {
+            return res.status(400).json({ success: false, error: 'deviceId is required' });
+        }
+        const deviceRef = db.collection('kioskDevices').doc(deviceId);
+        const deviceDoc = await deviceRef.get();
+        if (!deviceDoc.exists) {
+            return res.status(404).json({ success: false, error: 'Kiosk not found' });
+        }
+
+        await deviceRef.update({
+            active: false,
+            revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+            revokedBy: caller.uid,
+            revokedByName: caller.name
+        });
+        // End any session the tablet already has
+        await admin.auth().revokeRefreshTokens(`kiosk-${deviceId}`).catch(error => {
+            if (error.code !== 'auth/user-not-found') throw error;
+        });
+
+        console.log(`Kiosk ${deviceId} revoked by ${caller.email}`);
+        return res.status(200).json({ success: true, deviceId });
+
+    } catch (error) {
+        console.error('Error in kiosk:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
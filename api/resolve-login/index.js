@@ -0,0 +1,256 @@
+// Vercel serverless function to resolve a login identifier before sign-in
+// Environment variables required:
+// - FIREBASE_SERVICE_ACCOUNT (JSON string of service account key)
+// OR individual fields:
+// - FIREBASE_PROJECT_ID
+// - FIREBASE_CLIENT_EMAIL
+// - FIREBASE_PRIVATE_KEY
+// - FIREBASE_WEB_API_KEY (the web app's API key, used to check passwords with the Auth REST API)
+//
+// Request body:
+// - identifier: a Praveshika ID (or volunteer/admin user ID) or an email address
+// - password: required for ID sign-in
+// - action: 'reset' with an ID identifier sends the password reset email for the account
+//   behind the ID and returns { success, found, resetSent } (resetSent is false until the
+//   first login has created the account). The sign-in screen shows the masked email from
+//   /api/verify-praveshika, so the reset response does not repeat it.
+// - action: 'first-login' with an email identifier and the password sets up the account (below)
+//
+// ID sign-in: the ID is resolved to its sign-in email on the server, the password is checked
+// against Firebase Auth and the response is { success, customToken } for signInWithCustomToken.
+// The email behind an ID is never returned; an unknown ID and a wrong password get the same
+// 401 { success: false, error, code: 'auth/invalid-credential' }.
+// First login: an email with a registration or staff record and no Firebase Auth account yet,
+// together with the default password from the registration email, creates the account and
+// returns { success, accountType, uniqueId, customToken }
+// - accountType: 'volunteer' (nonShibirarthiUsers) or 'participant' (registrations)
+// - uniqueId: the participant's Praveshika ID, used to set up the account after sign-in
+// Anything else gets the same 401 as a wrong ID sign-in.
+// Email lookups without an action return only { success, found, maskedEmail }.
+//
+// Replaces the unauthenticated limit-1 list queries on users and nonShibirarthiUsers.
+// Requests count against the per-IP throttle in api/_lib/login.js, shared with
+// /api/verify-praveshika. No authentication is required.
+
+const admin = require('firebase-admin');
+const {
+    maskEmail,
+    getThrottleRef,
+    checkThrottle,
+    recordMiss,
+    clearMisses,
+    findFirstByField,
+    resolveId
+} = require('../_lib/login');
+
+// Initialize Firebase Admin SDK (only once)
+if (!admin.apps.length) {
+    try {
+        // Try to use full service account JSON first
+        if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+            const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+            admin.initializeApp({
+                credential: admin.credential.cert(serviceAccount)
+            });
+        } else {
+            // Fall back to individual environment variables
+            admin.initializeApp({
+                credential: admin.credential.cert({
+                    projectId: process.env.FIREBASE_PROJECT_ID,
+                    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+                    privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n')
+                })
+            });
+        }
+        console.log('Firebase Admin initialized successfully');
+    } catch (error) {
+        console.error('Error initializing Firebase Admin:', error);
+    }
+}
+
+const SIGN_IN_URL = 'https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword';
+const SEND_OOB_CODE_URL = 'https://identitytoolkit.googleapis.com/v1/accounts:sendOobCode';
+
+// Default password sent in the registration emails; signing in with it for the first time
+// creates the account, and the app then asks for a new password
+const FIRST_LOGIN_PASSWORD = 'Vss@2025!';
+
+async function hasAuthAccount(email) {
+    try {
+        await admin.auth().getUserByEmail(email);
+        return true;
+    } catch (error) {
+        if (error.code === 'auth/user-not-found') return false;
+        throw error;
+    }
+}
+
+// Check the password with the Firebase Auth REST API. Returns the account's uid, or null
+// when the email and password do not match an enabled account.
+async function verifyPassword(email, password) {
+    const response = await fetch(`${SIGN_IN_URL}?key=${encodeURIComponent(process.env.FIREBASE_WEB_API_KEY)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, password, returnSecureToken: false })
+    });
+    const result = await response.json().catch(() => ({}));
+    if (response.ok && result.localId) {
+        return result.localId;
+    }
+
+    const reason = String(result.error?.message || '');
+    if (reason.startsWith('TOO_MANY_ATTEMPTS_TRY_LATER')) {
+        const error = new Error('Too many attempts. Please try again later.');
+        error.status = 429;
+        throw error;
+    }
+    if (['EMAIL_NOT_FOUND', 'INVALID_PASSWORD', 'INVALID_LOGIN_CREDENTIALS', 'USER_DISABLED'].some(code => reason.startsWith(code))) {
+        return null;
+    }
+    throw new Error(`Password check failed: ${reason || response.status}`);
+}
+
+// Firebase sends its standard password reset email, as sendPasswordResetEmail() does in the app
+async function sendPasswordResetEmail(email) {
+    const response = await fetch(`${SEND_OOB_CODE_URL}?key=${encodeURIComponent(process.env.FIREBASE_WEB_API_KEY)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ requestType: 'PASSWORD_RESET', email })
+    });
+    if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        throw new Error(`Password reset email failed: ${result.error?.message || response.status}`);
+    }
+}
+
+async function resolveEmail(db, email) {
+    const candidates = [email, email.toLowerCase()];
+    const volunteerDoc = await findFirstByField(db, 'nonShibirarthiUsers', 'email', candidates);
+    if (volunteerDoc) {
+        return { accountType: 'volunteer' };
+    }
+
+    const regDoc = await findFirstByField(db, 'registrations', 'email', candidates);
+    if (regDoc) {
+        return { accountType: 'participant', uniqueId: regDoc.id };
+    }
+    return null;
+}
+
+module.exports = async (req, res) => {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const identifier = String(req.body?.identifier || '').trim();
+        if (!identifier || identifier.length > 254) {
+            return res.status(400).json({ success: false, error: 'identifier is required' });
+        }
+
+        const db = admin.firestore();
+        const throttleRef = getThrottleRef(db, req);
+        const throttle = await checkThrottle(db, throttleRef);
+        if (!throttle.allowed) {
+            res.setHeader('Retry-After', String(throttle.retryAfter));
+            return res.status(429).json({ success: false, error: 'Too many attempts. Please try again later.', retryAfter: throttle.retryAfter });
+        }
+
+        const isEmail = identifier.includes('@');
+        if (!isEmail && req.body?.action === 'reset') {
+            if (!process.env.FIREBASE_WEB_API_KEY) {
+                return res.status(500).json({ success: false, error: 'ID sign-in is not configured' });
+            }
+            const resolvedId = await resolveId(db, identifier);
+            if (!resolvedId) {
+                await recordMiss(db, throttleRef);
+                return res.status(200).json({ success: true, found: false });
+            }
+            const hasAccount = await hasAuthAccount(resolvedId.email);
+            if (hasAccount) {
+                await sendPasswordResetEmail(resolvedId.email);
+            }
+            return res.status(200).json({ success: true, found: true, resetSent: hasAccount });
+        }
+
+        if (!isEmail) {
+            const password = String(req.body?.password || '');
+            if (!password || password.length > 4096) {
+                return res.status(400).json({ success: false, error: 'password is required' });
+            }
+            if (!process.env.FIREBASE_WEB_API_KEY) {
+                return res.status(500).json({ success: false, error: 'ID sign-in is not configured' });
+            }
+
+            const resolvedId = await resolveId(db, identifier);
+            let uid = null;
+            try {
+                uid = resolvedId ? await verifyPassword(resolvedId.email, password) : null;
+            } catch (error) {
+                if (error.status === 429) {
+                    return res.status(429).json({ success: false, error: error.message });
+                }
+                throw error;
+            }
+            // Unknown IDs and wrong passwords both count towards the lockout
+            if (!uid) {
+                await recordMiss(db, throttleRef);
+                return res.status(401).json({ success: false, error: 'Incorrect ID or password', code: 'auth/invalid-credential' });
+            }
+            await clearMisses(throttleRef);
+            return res.status(200).json({ success: true, customToken: await admin.auth().createCustomToken(uid) });
+        }
+
+        const resolved = await resolveEmail(db, identifier);
+
+        if (req.body?.action === 'first-login') {
+            const password = String(req.body?.password || '');
+            let user = null;
+            if (resolved && password === FIRST_LOGIN_PASSWORD && !(await hasAuthAccount(identifier))) {
+                try {
+                    user = await admin.auth().createUser({ email: identifier, password: FIRST_LOGIN_PASSWORD });
+                } catch (error) {
+                    // Another first login created it in the meantime
+                    if (error.code !== 'auth/email-already-exists') throw error;
+                }
+            }
+            if (!user) {
+                await recordMiss(db, throttleRef);
+                return res.status(401).json({ success: false, error: 'Incorrect email or password', code: 'auth/invalid-credential' });
+            }
+            await clearMisses(throttleRef);
+            return res.status(200).json({
+                success: true,
+                accountType: resolved.accountType,
+                ...(resolved.uniqueId ? { uniqueId: resolved.uniqueId } : {}),
+                customToken: await admin.auth().createCustomToken(user.uid)
+            });
+        }
+
+        if (!resolved) {
+            await recordMiss(db, throttleRef);
+            return res.status(200).json({ success: true, found: false });
+        }
+
+        return res.status(200).json({ success: true, found: true, maskedEmail: maskEmail(identifier) });
+
+    } catch (error) {
+        console.error('Error in resolve-login:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
@@ -0,0 +1,370 @@
+// Vercel serverless function to send templated emails to a list of participants
+// Uses the same SMTP transport as api/send-email.
+// Environment variables required:
+// - FIREBASE_SERVICE_ACCOUNT (JSON string of service account key)
+// OR individual fields:
+// - FIREBASE_PROJECT_ID
+// - FIREBASE_CLIENT_EMAIL
+// - FIREBASE_PRIVATE_KEY
+// - SMTP_HOST, SMTP_PORT (default: 587), SMTP_USER, SMTP_PASS
+// Optional:
+// - EMAIL_SEND_DELAY_MS (pause between messages, default: 250)
+// - EMAIL_HOURLY_LIMIT (messages per admin per hour, default: 500)
+//
+// Request body:
+// - subject, body: message template; merge fields are written as {{name}}, {{praveshikaId}}, ...
+// - uniqueIds: Praveshika IDs of the recipients (at most MAX_RECIPIENTS_PER_REQUEST per call)
+// - dryRun: when true nothing is sent; the rendered messages are returned for preview
+// - campaignId: returned by the first batch; pass it with later batches of the same campaign.
+//   Later batches must send the same subject and body (checked against a hash stored on the campaign).
+// - campaignName, filters: optional description stored with the campaign
+//
+// Recipient addresses and merge values are read from the registrations collection,
+// never from the request. Each delivery is recorded in emailCampaigns/{id}/deliveries.
+// Callers must send a valid Firebase ID token (Authorization: Bearer <token>)
+// whose role claim is admin or superadmin (see api/_lib/auth.js).
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { ADMIN_ROLES, verifyCaller } = require('../_lib/auth');
+const { createMailTransporter, escapeHtml } = require('../_lib/mail');
+
+// Initialize Firebase Admin SDK (only once)
+if (!admin.apps.length) {
+    try {
+        // Try to use full service account JSON first
+        if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+            const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+            admin.initializeApp({
+                credential: admin.credential.cert(serviceAccount)
+            });
+        } else {
+            // Fall back to individual environment variables
+            admin.initializeApp({
+                credential: admin.credential.cert({
+                    projectId: process.env.FIREBASE_PROJECT_ID,
+                    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+                    privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n')
+                })
+            });
+        }
+        console.log('Firebase Admin initialized successfully');
+    } catch (error) {
+        console.error('Error initializing Firebase Admin:', error);
+    }
+}
+
+// Keep each call well inside the serverless function timeout
+const MAX_RECIPIENTS_PER_REQUEST = 25;
+const DRY_RUN_PREVIEW_COUNT = 5;
+const SEND_DELAY_MS = parseInt(process.env.EMAIL_SEND_DELAY_MS || '250', 10);
+const HOURLY_LIMIT = parseInt(process.env.EMAIL_HOURLY_LIMIT || '500', 10);
+const RATE_WINDOW_MS = 60 * 60 * 1000;
+
+// Merge fields available in templates, resolved from the registration document
+const MERGE_FIELDS = {
+    name: reg => reg.name || reg['Full Name'] || '',
+    praveshikaId: reg => reg.uniqueId || '',
+    email: reg => reg.email || reg['Email address'] || '',
+    zone: reg => reg.zone || reg.Zone || '',
+    shreni: reg => reg.shreni || reg.Shreni || '',
+    arrivalDate: reg => reg.arrivalDate || reg['Date of Arrival'] || '',
+    arrivalTime: reg => reg.arrivalTime || reg['Time of Arrival'] || '',
+    arrivalPlace: reg => reg.normalizedPickupLocation || reg.arrivalPlace || reg['Place of Arrival'] || '',
+    departureDate: reg => reg.departureDate || reg['Date of Departure Train/Flight'] || '',
+    departureTime: reg => reg.departureTime || reg['Time of Departure Train/Flight'] || '',
+    postShibirTour: reg => reg.postShibirTour || reg['Post Shibir Tour'] || 'None'
+};
+
+const MERGE_FIELD_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Document IDs cannot contain '/', so such IDs are rejected before they reach doc()
+function isValidDocumentId(id) {
+    return typeof id === 'string' && id.length > 0 && id.length <= 200 && !id.includes('/') && id !== '.' && id !== '..';
+}
+
+// Hash of the message template, stored on the campaign so every batch sends the same message
+function hashTemplate(subject, body) {
+    return crypto.createHash('sha256').update(JSON.stringify([subject, body])).digest('hex');
+}
+
+// Merge fields used in a template that we do not know how to fill
+function findUnknownMergeFields(...templates) {
+    const unknown = new Set();
+    templates.forEach(template => {
+        for (const match of String(template || '').matchAll(MERGE_FIELD_PATTERN)) {
+            if (!MERGE_FIELDS[match[1]]) unknown.add(match[1]);
+        }
+    });
+    return Array.from(unknown);
+}
+
+function renderTemplate(template, reg, escape = false) {
+    return String(template || '').replace(MERGE_FIELD_PATTERN, (placeholder, field) => {
+        if (!MERGE_FIELDS[field]) return placeholder;
+        const value = String(MERGE_FIELDS[field](reg));
+        return escape ? escapeHtml(value) : value;
+    });
+}
+
+function renderMessage(subject, body, reg) {
+    return {
+        subject: renderTemplate(subject, reg),
+        text: renderTemplate(body, reg),
+        html: renderTemplate(escapeHtml(body), reg, true).replace(/\n/g, '<br>')
+    };
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Reserve `count` sends in the caller's hourly window. Returns { allowed, retryAfterSeconds, remaining }.
+async function reserveSendQuota(db, uid, count) {
+    const limitRef = db.collection('emailRateLimits').doc(uid);
+    return db.runTransaction(async (transaction) => {
+        const limitDoc = await transaction.get(limitRef);
+        const now = Date.now();
+        let windowStart = now;
+        let sent = 0;
+
+        if (limitDoc.exists) {
+            const data = limitDoc.data();
+            if (data.windowStart && now - data.windowStart < RATE_WINDOW_MS) {
+                windowStart = data.windowStart;
+                sent = data.count || 0;
+            }
+        }
+
+        if (sent + count > HOURLY_LIMIT) {
+            return {
+                allowed: false,
+                remaining: Math.max(HOURLY_LIMIT - sent, 0),
+                retryAfterSeconds: Math.ceil((windowStart + RATE_WINDOW_MS - now) / 1000)
+            };
+        }
+
+        transaction.set(limitRef, { windowStart, count: sent + count });
+        return { allowed: true, remaining: HOURLY_LIMIT - sent - count };
+    });
+}
+
+module.exports = async (req, res) => {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const verification = await verifyCaller(req, { roles: ADMIN_ROLES, forbiddenError: 'Only admins can send participant emails' });
+        if (!verification.caller) {
+            return res.status(verification.status).json({ success: false, error: verification.error });
+        }
+        const caller = verification.caller;
+
+        const { subject, body, uniqueIds, dryRun, campaignId, campaignName, filters } = req.body || {};
+
+        // Validate request
+        if (!subject || typeof subject !== 'string' || !body || typeof body !== 'string') {
+            return res.status(400).json({ success: false, error: 'subject and body are required' });
+        }
+        if (!Array.isArray(uniqueIds) || uniqueIds.length === 0) {
+            return res.status(400).json({ success: false, error: 'uniqueIds must be a non-empty array' });
+        }
+        if (!dryRun && uniqueIds.length > MAX_RECIPIENTS_PER_REQUEST) {
+            return res.status(400).json({
+                success: false,
+                error: `At most ${MAX_RECIPIENTS_PER_REQUEST} recipients can be sent per request`,
+                maxRecipientsPerRequest: MAX_RECIPIENTS_PER_REQUEST
+            });
+        }
+
+        const unknownFields = findUnknownMergeFields(subject, body);
+        if (unknownFields.length && !dryRun) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown merge field(s): ${unknownFields.join(', ')}`,
+                unknownFields
+            });
+        }
+
+        const db = admin.firestore();
+
+        // Look up recipients from registrations (document IDs are the Praveshika IDs)
+        const ids = Array.from(new Set(uniqueIds.map(id => String(id).trim()).filter(Boolean)));
+        if (ids.length === 0) {
+            return res.status(400).json({ success: false, error: 'uniqueIds must contain at least one Praveshika ID' });
+        }
+        const invalidIds = ids.filter(id => !isValidDocumentId(id));
+        if (invalidIds.length) {
+            return res.status(400).json({ success: false, error: `Invalid Praveshika ID(s): ${invalidIds.slice(0, 5).join(', ')}` });
+        }
+        if (campaignId !== undefined && campaignId !== null && !isValidDocumentId(String(campaignId))) {
+            return res.status(400).json({ success: false, error: 'campaignId is not valid' });
+        }
+        const regDocs = await db.getAll(...ids.map(id => db.collection('registrations').doc(id)));
+        const recipients = regDocs.map((doc, index) => ({
+            uniqueId: ids[index],
+            reg: doc.exists ? { uniqueId: doc.id, ...doc.data() } : null
+        }));
+
+        if (dryRun) {
+            const missing = recipients.filter(r => !r.reg).map(r => r.uniqueId);
+            const noEmail = recipients.filter(r => r.reg && !MERGE_FIELDS.email(r.reg)).map(r => r.uniqueId);
+            const previews = recipients
+                .filter(r => r.reg && MERGE_FIELDS.email(r.reg))
+                .slice(0, DRY_RUN_PREVIEW_COUNT)
+                .map(r => ({
+                    uniqueId: r.uniqueId,
+                    to: MERGE_FIELDS.email(r.reg),
+                    ...renderMessage(subject, body, r.reg)
+                }));
+
+            return res.status(200).json({
+                success: true,
+                dryRun: true,
+                recipientCount: recipients.length - missing.length - noEmail.length,
+                missing,
+                noEmail,
+                unknownFields,
+                previews,
+                mergeFields: Object.keys(MERGE_FIELDS),
+                maxRecipientsPerRequest: MAX_RECIPIENTS_PER_REQUEST
+            });
+        }
+
+        const transporter = createMailTransporter();
+        if (!transporter) {
+            return res.status(500).json({ success: false, error: 'Email service not configured. Please contact the administrator.' });
+        }
+
+        // Create the campaign on the first batch; later batches must send the same message
+        const templateHash = hashTemplate(subject, body);
+        let campaignRef;
+        if (campaignId) {
+            campaignRef = db.collection('emailCampaigns').doc(String(campaignId));
+            const campaignDoc = await campaignRef.get();
+            if (!campaignDoc.exists) {
+                return res.status(404).json({ success: false, error: `Campaign ${campaignId} not found` });
+            }
+            const campaign = campaignDoc.data();
+            // Campaigns created before the hash was stored are compared on their saved subject and body
+            const campaignHash = campaign.templateHash || hashTemplate(campaign.subject, campaign.body);
+            if (campaignHash !== templateHash) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'The subject or body differs from the first batch of this campaign. Start a new campaign to send a different message.'
+                });
+            }
+        } else {
+            campaignRef = await db.collection('emailCampaigns').add({
+                name: campaignName || subject,
+                subject,
+                body,
+                templateHash,
+                filters: filters || null,
+                createdBy: caller.uid,
+                createdByName: caller.name,
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                sentCount: 0,
+                failedCount: 0,
+                skippedCount: 0
+            });
+        }
+
+        // Recipients already delivered in this campaign are not emailed again (safe retries)
+        const deliveryRefs = recipients.map(r => campaignRef.collection('deliveries').doc(r.uniqueId));
+        const existingDeliveries = await db.getAll(...deliveryRefs);
+        const alreadySent = new Set(existingDeliveries
+            .filter(doc => doc.exists && doc.data().status === 'sent')
+            .map(doc => doc.id));
+
+        const toSend = recipients.filter(r => r.reg && MERGE_FIELDS.email(r.reg) && !alreadySent.has(r.uniqueId));
+        const quota = await reserveSendQuota(db, caller.uid, toSend.length);
+        if (!quota.allowed) {
+            res.setHeader('Retry-After', String(quota.retryAfterSeconds));
+            return res.status(429).json({
+                success: false,
+                error: `Hourly email limit reached (${quota.remaining} remaining). Try again later.`,
+                campaignId: campaignRef.id,
+                retryAfterSeconds: quota.retryAfterSeconds
+            });
+        }
+
+        const results = [];
+        const counts = { sent: 0, failed: 0, skipped: 0 };
+        const fromAddress = `"VSS2025" <${process.env.SMTP_USER.trim()}>`;
+
+        for (const recipient of recipients) {
+            const deliveryRef = campaignRef.collection('deliveries').doc(recipient.uniqueId);
+            let result;
+
+            if (alreadySent.has(recipient.uniqueId)) {
+                results.push({ uniqueId: recipient.uniqueId, status: 'already_sent' });
+                continue;
+            } else if (!recipient.reg) {
+                result = { status: 'skipped', error: 'Registration not found' };
+            } else if (!MERGE_FIELDS.email(recipient.reg)) {
+                result = { status: 'skipped', error: 'No email address on registration' };
+            } else {
+                const email = MERGE_FIELDS.email(recipient.reg);
+                try {
+                    const message = renderMessage(subject, body, recipient.reg);
+                    const info = await transporter.sendMail({
+                        from: fromAddress,
+                        to: email,
+                        subject: message.subject,
+                        text: message.text,
+                        html: message.html
+                    });
+                    result = { status: 'sent', email, messageId: info.messageId };
+                } catch (sendError) {
+                    console.error(`Error sending to ${recipient.uniqueId}:`, sendError.message);
+                    result = { status: 'failed', email, error: sendError.message };
+                }
+                await sleep(SEND_DELAY_MS);
+            }
+
+            counts[result.status]++;
+            results.push({ uniqueId: recipient.uniqueId, ...result });
+            await deliveryRef.set({
+                uniqueId: recipient.uniqueId,
+                ...result,
+                attemptedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+
+        await campaignRef.update({
+            sentCount: admin.firestore.FieldValue.increment(counts.sent),
+            failedCount: admin.firestore.FieldValue.increment(counts.failed),
+            skippedCount: admin.firestore.FieldValue.increment(counts.skipped),
+            lastBatchAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return res.status(200).json({
+            success: counts.failed === 0,
+            campaignId: campaignRef.id,
+            results,
+            counts,
+            remainingHourlyQuota: quota.remaining
+        });
+
+    } catch (error) {
+        console.error('Error in send-bulk-email:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
@@ -0,0 +1,299 @@
+// Vercel serverless function for the shulk payment ledger
+// Environment variables required:
+// - FIREBASE_SERVICE_ACCOUNT (JSON string of service account key)
+// OR individual fields:
+// - FIREBASE_PROJECT_ID
+// - FIREBASE_CLIENT_EMAIL
+// - FIREBASE_PRIVATE_KEY
+//
+// Request body:
+// - action: 'record' or 'void'
+// - payments (record): array of { uniqueId, amount, currency, amountInr, method, reference, paidAt, notes }
+//   amountInr is required when the currency is not INR (the rate used at the venue or by the bank)
+// - source (record): 'desk' or 'bank_import'
+// - paymentId, reason (void): payment to cancel and why
+//
+// Each payment gets the next receipt number (VSS2025-R00001, ...) from counters/shulkReceipt and is
+// written to shulkPayments in its own transaction. Bank imports skip references already recorded.
+// Voided payments stay in the ledger with status 'void' so receipt numbers are never reused.
+// Callers must send a valid Firebase ID token (Authorization: Bearer <token>)
+// whose role claim is admin or superadmin (see api/_lib/auth.js).
+
+const admin = require('firebase-admin');
+const { ADMIN_ROLES, verifyCaller } = require('../_lib/auth');
+
+// Initialize Firebase Admin SDK (only once)
+if (!admin.apps.length) {
+    try {
+        // Try to use full service account JSON first
+        if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+            const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+            admin.initializeApp({
+                credential: admin.credential.cert(serviceAccount)
+            });
+        } else {
+            // Fall back to individual environment variables
+            admin.initializeApp({
+                credential: admin.credential.cert({
+                    projectId: process.env.FIREBASE_PROJECT_ID,
+                    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+                    privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n')
+                })
+            });
+        }
+        console.log('Firebase Admin initialized successfully');
+    } catch (error) {
+        console.error('Error initializing Firebase Admin:', error);
+    }
+}
+
+const CURRENCIES = ['INR', 'USD', 'GBP', 'EUR', 'CAD', 'AUD', 'NZD', 'SGD', 'AED', 'KES', 'ZAR'];
+const PAYMENT_METHODS = ['cash', 'card', 'upi', 'bank_transfer', 'cheque', 'other'];
+const VALID_SOURCES = ['desk', 'bank_import'];
+
+// Praveshika IDs as typed or read from bank references (letters, digits, '-' and '/')
+const PRAVESHIKA_ID_PATTERN = /^[A-Z0-9/-]{1,40}$/;
+
+// Each payment is its own transaction, so keep requests well inside the function timeout
+const MAX_PAYMENTS_PER_REQUEST = 20;
+
+const RECEIPT_COUNTER_DOC = 'shulkReceipt';
+const RECEIPT_PREFIX = 'VSS2025-R';
+
+function roundAmount(value) {
+    return Math.round(Number(value) * 100) / 100;
+}
+
+// Check one payment from the request and normalise its fields.
+// Returns { payment } or { error }.
+function validatePayment(input) {
+    const uniqueId = String(input?.uniqueId || '').trim().toUpperCase();
+    if (!uniqueId) {
+        return { error: 'Praveshika ID is required' };
+    }
+    if (!PRAVESHIKA_ID_PATTERN.test(uniqueId)) {
+        return { error: `"${uniqueId.substring(0, 40)}" is not a valid Praveshika ID` };
+    }
+
+    const amount = roundAmount(input.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+        return { error: 'Amount must be greater than zero' };
+    }
+
+    const currency = String(input.currency || 'INR').trim().toUpperCase();
+    if (!CURRENCIES.includes(currency)) {
+        return { error: `Currency must be one of ${CURRENCIES.join(', ')}` };
+    }
+
+    let amountInr = amount;
+    if (currency !== 'INR') {
+        amountInr = roundAmount(input.amountInr);
+        if (!Number.isFinite(amountInr) || amountInr <= 0) {
+            return { error: `INR equivalent is required for ${currency} payments` };
+        }
+    }
+
+    const method = String(input.method || '').trim();
+    if (!PAYMENT_METHODS.includes(method)) {
+        return { error: `Payment method must be one of ${PAYMENT_METHODS.join(', ')}` };
+    }
+
+    const reference = String(input.reference || '').trim().substring(0, 100);
+    if (method !== 'cash' && !reference) {
+        return { error: 'A payment reference is required for non-cash payments' };
+    }
+
+    let paidAt = null;
+    if (input.paidAt) {
+        const parsed = new Date(input.paidAt);
+        if (isNaN(parsed.getTime())) {
+            return { error: 'Payment date is not valid' };
+        }
+        paidAt = admin.firestore.Timestamp.fromDate(parsed);
+    }
+
+    return {
+        payment: {
+            uniqueId,
+            amount,
+            currency,
+            amountInr,
+            method,
+            reference,
+            paidAt,
+            notes: String(input.notes || '').trim().substring(0, 500)
+        }
+    };
+}
+
+// Find the registration by document ID, falling back to normalizedId.
+// IDs written with '/' (e.g. AM/123) cannot be document IDs, so they are only matched on normalizedId.
+async function findRegistration(db, uniqueId) {
+    if (!uniqueId.includes('/')) {
+        const regDoc = await db.collection('registrations').doc(uniqueId).get();
+        if (regDoc.exists) return regDoc;
+    }
+
+    const normalizedId = uniqueId.toLowerCase().replace(/[/-]/g, '');
+    const snapshot = await db.collection('registrations').where('normalizedId', '==', normalizedId).limit(1).get();
+    return snapshot.empty ? null : snapshot.docs[0];
+}
+
+async function recordPayment(db, caller, payment, source) {
+    const regDoc = await findRegistration(db, payment.uniqueId);
+    if (!regDoc) {
+        return { status: 'not_found', error: `Registration ${payment.uniqueId} not found` };
+    }
+    const regData = regDoc.data();
+    const registrationId = regDoc.id;
+    const counterRef = db.collection('counters').doc(RECEIPT_COUNTER_DOC);
+
+    return db.runTransaction(async (transaction) => {
+        if (payment.reference && payment.method !== 'cash') {
+            const existing = await transaction.get(db.collection('shulkPayments')
+                .where('reference', '==', payment.reference)
+                .where('status', '==', 'recorded')
+                .limit(1));
+            if (!existing.empty) {
+                const previous = existing.docs[0].data();
+                return {
+                    status: 'duplicate',
+                    error: `Reference ${payment.reference} is already recorded on receipt ${previous.receiptNumber} (${previous.uniqueId})`
+                };
+            }
+        }
+
+        const counter = await transaction.get(counterRef);
+        const receiptSeq = (counter.exists ? counter.data().lastNumber || 0 : 0) + 1;
+        const receiptNumber = `${RECEIPT_PREFIX}${String(receiptSeq).padStart(5, '0')}`;
+        const paymentRef = db.collection('shulkPayments').doc();
+
+        transaction.set(paymentRef, {
+            ...payment,
+            uniqueId: registrationId,
+            normalizedId: registrationId.toLowerCase().replace(/[/-]/g, ''),
+            participantName: regData.name || regData['Full Name'] || '',
+            zone: regData.zone || regData.Zone || '',
+            paidAt: payment.paidAt || admin.firestore.FieldValue.serverTimestamp(),
+            receiptNumber: receiptNumber,
+            receiptSeq: receiptSeq,
+            status: 'recorded',
+            source: source,
+            collectedBy: caller.uid,
+            collectedByName: caller.name,
+            createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        transaction.set(counterRef, {
+            lastNumber: receiptSeq,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return { status: 'recorded', paymentId: paymentRef.id, receiptNumber, uniqueId: registrationId };
+    });
+}
+
+async function voidPayment(db, caller, paymentId, reason) {
+    const paymentRef = db.collection('shulkPayments').doc(paymentId);
+    return db.runTransaction(async (transaction) => {
+        const paymentDoc = await transaction.get(paymentRef);
+        if (!paymentDoc.exists) {
+            return { status: 404, error: 'Payment not found' };
+        }
+        if (paymentDoc.data().status !== 'recorded') {
+            return { status: 409, error: `Payment is already ${paymentDoc.data().status}` };
+        }
+
+        transaction.update(paymentRef, {
+            status: 'void',
+            voidReason: reason,
+            voidedAt: admin.firestore.FieldValue.serverTimestamp(),
+            voidedBy: caller.uid,
+            voidedByName: caller.name
+        });
+        return { status: 200, receiptNumber: paymentDoc.data().receiptNumber };
+    });
+}
+
+module.exports = async (req, res) => {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const verification = await verifyCaller(req, { roles: ADMIN_ROLES, forbiddenError: 'Only admins can record shulk payments' });
+        if (!verification.caller) {
+            return res.status(verification.status).json({ success: false, error: verification.error });
+        }
+        const caller = verification.caller;
+        const db = admin.firestore();
+        const { action } = req.body || {};
+
+        if (action === 'void') {
+            const { paymentId, reason } = req.body;
+            if (!paymentId || typeof paymentId !== 'string') {
+                return res.status(400).json({ success: false, error: 'paymentId is required' });
+            }
+            if (!/^[A-Za-z0-9_-]{1,100}$/.test(paymentId)) {
+                return res.status(400).json({ success: false, error: 'paymentId is not valid' });
+            }
+            const voidReason = String(reason || '').trim().substring(0, 500);
+            if (!voidReason) {
+                return res.status(400).json({ success: false, error: 'A reason is required to void a payment' });
+            }
+            const result = await voidPayment(db, caller, paymentId, voidReason);
+            if (result.status !== 200) {
+                return res.status(result.status).json({ success: false, error: result.error });
+            }
+            console.log(`Voided shulk receipt ${result.receiptNumber} by ${caller.email}`);
+            return res.status(200).json({ success: true, paymentId, receiptNumber: result.receiptNumber });
+        }
+
+        if (action !== 'record') {
+            return res.status(400).json({ success: false, error: "action must be 'record' or 'void'" });
+        }
+
+        const { payments, source } = req.body;
+        if (!Array.isArray(payments) || payments.length === 0) {
+            return res.status(400).json({ success: false, error: 'payments must be a non-empty array' });
+        }
+        if (payments.length > MAX_PAYMENTS_PER_REQUEST) {
+            return res.status(400).json({ success: false, error: `At most ${MAX_PAYMENTS_PER_REQUEST} payments per request` });
+        }
+        const paymentSource = VALID_SOURCES.includes(source) ? source : 'desk';
+
+        // Payments are recorded one at a time so receipt numbers stay in order
+        const results = [];
+        for (const input of payments) {
+            const validation = validatePayment(input);
+            if (validation.error) {
+                results.push({ uniqueId: input?.uniqueId || null, reference: input?.reference || null, status: 'invalid', error: validation.error });
+                continue;
+            }
+            const outcome = await recordPayment(db, caller, validation.payment, paymentSource);
+            results.push({ reference: validation.payment.reference || null, uniqueId: validation.payment.uniqueId, ...outcome });
+        }
+
+        const recorded = results.filter(r => r.status === 'recorded').length;
+        console.log(`Recorded ${recorded}/${payments.length} shulk payment(s) (${paymentSource}) by ${caller.email}`);
+        return res.status(200).json({ success: true, recorded, results });
+
+    } catch (error) {
+        console.error('Error in shulk-payment:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
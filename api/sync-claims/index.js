@@ -0,0 +1,134 @@
+// Vercel serverless function to mirror roles into Firebase Auth custom claims
+// Environment variables required:
+// - FIREBASE_SERVICE_ACCOUNT (JSON string of service account key)
+// OR individual fields:
+// - FIREBASE_PROJECT_ID
+// - FIREBASE_CLIENT_EMAIL
+// - FIREBASE_PRIVATE_KEY
+//
+// Request body:
+// - uid: Firebase Auth UID of the account to sync (admins only)
+// - email: alternatively, the account's email address (admins only)
+// - (empty body): refresh the caller's own linked Praveshika IDs
+//
+// The claims written to the account (role, teams, zone, ids) are described in api/_lib/claims.js.
+//
+// Callers must send a valid Firebase ID token (Authorization: Bearer <token>, see
+// api/_lib/auth.js). Syncing another account requires an admin or superadmin role claim, and
+// only superadmins can grant the superadmin role. Without a uid or email, only the caller's
+// ids are refreshed: role, teams and zone are never taken from the caller's own users document.
+
+const admin = require('firebase-admin');
+const { verifyCaller, isAdminCaller } = require('../_lib/auth');
+const { getStaffRecord, getLinkedIds, getStaffClaims, buildClaims } = require('../_lib/claims');
+
+// Initialize Firebase Admin SDK (only once)
+if (!admin.apps.length) {
+    try {
+        // Try to use full service account JSON first
+        if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+            const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+            admin.initializeApp({
+                credential: admin.credential.cert(serviceAccount)
+            });
+        } else {
+            // Fall back to individual environment variables
+            admin.initializeApp({
+                credential: admin.credential.cert({
+                    projectId: process.env.FIREBASE_PROJECT_ID,
+                    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+                    privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n')
+                })
+            });
+        }
+        console.log('Firebase Admin initialized successfully');
+    } catch (error) {
+        console.error('Error initializing Firebase Admin:', error);
+    }
+}
+
+async function syncAccountClaims(db, userRecord, { includeRole }) {
+    const existingClaims = userRecord.customClaims || {};
+    const staffClaims = includeRole
+        ? getStaffClaims(await getStaffRecord(db, userRecord), userRecord.email || userRecord.uid)
+        : {
+            role: existingClaims.role || 'participant',
+            teams: existingClaims.teams || [],
+            zone: existingClaims.zone || null
+        };
+
+    const ids = await getLinkedIds(db, userRecord.email);
+    const claims = buildClaims(existingClaims, staffClaims, ids);
+    await admin.auth().setCustomUserClaims(userRecord.uid, claims);
+    return claims;
+}
+
+module.exports = async (req, res) => {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const verification = await verifyCaller(req);
+        if (verification.error) {
+            return res.status(verification.status).json({ success: false, error: verification.error });
+        }
+        const { caller } = verification;
+
+        const db = admin.firestore();
+        const { uid, email } = req.body || {};
+
+        // Refresh the caller's own linked IDs
+        if (!uid && !email) {
+            const userRecord = await admin.auth().getUser(caller.uid);
+            const claims = await syncAccountClaims(db, userRecord, { includeRole: false });
+            return res.status(200).json({ success: true, uid: userRecord.uid, claims });
+        }
+
+        if (!isAdminCaller(caller)) {
+            return res.status(403).json({ success: false, error: 'Only admins can sync other accounts' });
+        }
+
+        let userRecord;
+        try {
+            userRecord = uid
+                ? await admin.auth().getUser(String(uid))
+                : await admin.auth().getUserByEmail(String(email).toLowerCase().trim());
+        } catch (lookupError) {
+            if (lookupError.code === 'auth/user-not-found') {
+                // Registrations without a login account have nothing to sync yet
+                return res.status(200).json({ success: true, synced: false });
+            }
+            throw lookupError;
+        }
+
+        const staff = await getStaffRecord(db, userRecord);
+        if (staff?.role === 'superadmin' && userRecord.customClaims?.role !== 'superadmin' &&
+            caller.role !== 'superadmin') {
+            return res.status(403).json({ success: false, error: 'Only superadmins can grant the superadmin role' });
+        }
+
+        const claims = await syncAccountClaims(db, userRecord, { includeRole: true });
+        console.log(`Synced claims for ${userRecord.email || userRecord.uid} (role: ${claims.role}) by ${caller.email}`);
+        return res.status(200).json({ success: true, synced: true, uid: userRecord.uid, claims });
+
+    } catch (error) {
+        console.error('Error in sync-claims:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
@@ -0,0 +1,104 @@
+// Vercel serverless function to verify a signed badge QR payload at the check-in desk
+// Environment variables required:
+// - FIREBASE_SERVICE_ACCOUNT (JSON string of service account key)
+// OR individual fields:
+// - FIREBASE_PROJECT_ID
+// - FIREBASE_CLIENT_EMAIL
+// - FIREBASE_PRIVATE_KEY
+// - BADGE_SIGNING_KEY (same secret as api/badge-token)
+//
+// Request body:
+// - payload: scanned QR text, VSS1:<Praveshika ID>:<badge version>:<signature>
+//
+// Response: { success, valid, status, uniqueId, reason }, where status is one of
+// 'valid', 'forged' (bad signature or malformed), 'revoked' (superseded version or
+// cancelled registration) or 'not_found'.
+// Only admins and volunteers (by role claim) may verify badges; kiosks check badges through api/kiosk.
+// The caller's Firebase ID token goes in the Authorization header (Bearer <token>).
+
+const admin = require('firebase-admin');
+const { verifyCaller } = require('../_lib/auth');
+const { checkBadgePayload } = require('../_lib/badge');
+
+// Initialize Firebase Admin SDK (only once)
+if (!admin.apps.length) {
+    try {
+        // Try to use full service account JSON first
+        if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+            const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+            admin.initializeApp({
+                credential: admin.credential.cert(serviceAccount)
+            });
+        } else {
+            // Fall back to individual environment variables
+            admin.initializeApp({
+                credential: admin.credential.cert({
+                    projectId: process.env.FIREBASE_PROJECT_ID,
+                    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+                    privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n')
+                })
+            });
+        }
+        console.log('Firebase Admin initialized successfully');
+    } catch (error) {
+        console.error('Error initializing Firebase Admin:', error);
+    }
+}
+
+const VERIFIER_ROLES = ['admin', 'superadmin', 'volunteer'];
+
+module.exports = async (req, res) => {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (!process.env.BADGE_SIGNING_KEY) {
+        return res.status(500).json({ success: false, error: 'Badge signing is not configured' });
+    }
+
+    try {
+        const verification = await verifyCaller(req, {
+            roles: VERIFIER_ROLES,
+            forbiddenError: 'Only check-in volunteers and admins can verify badges'
+        });
+        if (verification.error) {
+            return res.status(verification.status).json({ success: false, error: verification.error });
+        }
+        const { decodedToken } = verification;
+
+        const db = admin.firestore();
+
+        const check = await checkBadgePayload(db, req.body?.payload);
+        if (!check.valid) {
+            if (check.status === 'forged' && check.uniqueId) {
+                console.warn(`Forged badge scanned for ${check.uniqueId} by ${decodedToken.email}`);
+            } else if (check.status === 'revoked' && check.currentVersion) {
+                console.warn(`Revoked badge scanned for ${check.uniqueId} (current v${check.currentVersion}) by ${decodedToken.email}`);
+            }
+            const response = { success: true, valid: false, status: check.status, reason: check.reason };
+            if (check.uniqueId) response.uniqueId = check.uniqueId;
+            return res.status(200).json(response);
+        }
+
+        return res.status(200).json({ success: true, valid: true, status: 'valid', uniqueId: check.uniqueId, badgeVersion: check.version });
+
+    } catch (error) {
+        console.error('Error in verify-badge:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
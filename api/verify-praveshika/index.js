@@ -0,0 +1,102 @@
+// Vercel serverless function to check a Praveshika ID without reading the registration
+// Environment variables required:
+// - FIREBASE_SERVICE_ACCOUNT (JSON string of service account key)
+// OR individual fields:
+// - FIREBASE_PROJECT_ID
+// - FIREBASE_CLIENT_EMAIL
+// - FIREBASE_PRIVATE_KEY
+//
+// Request body:
+// - praveshikaId: a Praveshika ID (or volunteer/admin user ID); returns { success, exists, maskedEmail }
+//
+// Registrations are not publicly readable in firestore.rules, so signed-out checks of an ID
+// use this endpoint instead. It never returns the ID's document, its email in full, phone
+// numbers, medical details or any other registration field. Requests count against the
+// per-IP throttle in api/_lib/login.js, shared with /api/resolve-login.
+// No authentication is required.
+
+const admin = require('firebase-admin');
+const {
+    maskEmail,
+    getThrottleRef,
+    checkThrottle,
+    recordMiss,
+    resolveId
+} = require('../_lib/login');
+
+// Initialize Firebase Admin SDK (only once)
+if (!admin.apps.length) {
+    try {
+        // Try to use full service account JSON first
+        if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+            const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+            admin.initializeApp({
+                credential: admin.credential.cert(serviceAccount)
+            });
+        } else {
+            // Fall back to individual environment variables
+            admin.initializeApp({
+                credential: admin.credential.cert({
+                    projectId: process.env.FIREBASE_PROJECT_ID,
+                    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+                    privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n')
+                })
+            });
+        }
+        console.log('Firebase Admin initialized successfully');
+    } catch (error) {
+        console.error('Error initializing Firebase Admin:', error);
+    }
+}
+
+module.exports = async (req, res) => {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    // Handle preflight requests
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const praveshikaId = String(req.body?.praveshikaId || '').trim();
+        if (!praveshikaId || praveshikaId.length > 100) {
+            return res.status(400).json({ success: false, error: 'praveshikaId is required' });
+        }
+
+        const db = admin.firestore();
+        const throttleRef = getThrottleRef(db, req);
+        const throttle = await checkThrottle(db, throttleRef);
+        if (!throttle.allowed) {
+            res.setHeader('Retry-After', String(throttle.retryAfter));
+            return res.status(429).json({ success: false, error: 'Too many attempts. Please try again later.', retryAfter: throttle.retryAfter });
+        }
+
+        const resolved = await resolveId(db, praveshikaId);
+        if (!resolved) {
+            await recordMiss(db, throttleRef);
+            return res.status(200).json({ success: true, exists: false });
+        }
+
+        return res.status(200).json({
+            success: true,
+            exists: true,
+            maskedEmail: maskEmail(resolved.email)
+        });
+
+    } catch (error) {
+        console.error('Error in verify-praveshika:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
@@ -0,0 +1,51 @@
+// email-links.js
+// emailToUids link documents, shared by firestore-utils.js and sync_email_to_uids.js.
+// Each emailToUids/{email} document keeps one links/{normalizedId} document per linked
+// Praveshika ID, which firestore.rules checks with exists().
+// Usage: const { syncEmailLinks } = require('./email-links');
+
+const admin = require('firebase-admin');
+
+// Firestore rejects batches over 500 writes
+const MAX_BATCH_WRITES = 450;
+
+function normalizeId(id) {
+    return String(id).toLowerCase().replace(/[/-]/g, '');
+}
+
+// Add missing link documents and delete links for IDs no longer in uids.
+// Returns the number of documents written or deleted.
+async function syncEmailLinks(db, normalizedEmail, uids) {
+    const linksRef = db.collection('emailToUids').doc(normalizedEmail).collection('links');
+    const existing = await linksRef.get();
+    const existingIds = new Set(existing.docs.map(doc => doc.id));
+    const wanted = new Map(uids.map(uid => [normalizeId(uid), String(uid)]));
+
+    const writes = [];
+    existing.forEach(doc => {
+        if (!wanted.has(doc.id)) {
+            writes.push(batch => batch.delete(doc.ref));
+        }
+    });
+    wanted.forEach((uniqueId, normalizedId) => {
+        if (!existingIds.has(normalizedId)) {
+            writes.push(batch => batch.set(linksRef.doc(normalizedId), {
+                uniqueId: uniqueId,
+                normalizedId: normalizedId,
+                email: normalizedEmail,
+                linkedAt: admin.firestore.FieldValue.serverTimestamp()
+            }));
+        }
+    });
+
+    for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+        const batch = db.batch();
+        writes.slice(i, i + MAX_BATCH_WRITES).forEach(write => write(batch));
+        await batch.commit();
+    }
+    return writes.length;
+}
+
+module.exports = {
+    syncEmailLinks
+};
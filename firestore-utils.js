@@ -6,6 +6,16 @@
 
 const XLSX = require('xlsx');
 const admin = require('firebase-admin');
+const { parseFlightTrainNumber } = require('./flight-parser');
+const { syncEmailLinks } = require('./email-links');
+const {
+    STAFF_ROLES,
+    normalizeId,
+    normalizeIds,
+    getPlaceholderStaffId,
+    getStaffClaims,
+    buildClaims
+} = require('./api/_lib/claims');
 
 // ============================================================================
 // SHARED INITIALIZATION
@@ -374,6 +384,7 @@ async function importExcelData() {
                 count: uids.length,
                 updatedAt: admin.firestore.FieldValue.serverTimestamp()
             });
+            await syncEmailLinks(db, normalizedEmail, uids);
             syncCount++;
         } catch (error) {
             console.error(`✗ Error syncing email mapping for ${normalizedEmail}:`, error.message);
@@ -2109,6 +2120,81 @@ async function normalizePickupLocations() {
     }
 }
 
+// Parse arrival/departure flight or train numbers into carrier and number fields.
+// Entries that cannot be parsed are listed so they can be fixed by hand.
+async function normalizeFlightNumbers() {
+    console.log('Normalizing flight/train numbers...\n');
+    
+    let updatedCount = 0;
+    const invalidEntries = [];
+    
+    try {
+        const registrationsSnapshot = await db.collection('registrations').get();
+        console.log(`Processing ${registrationsSnapshot.size} registrations...`);
+        
+        let batch = db.batch();
+        let batchCount = 0;
+        const BATCH_SIZE = 500;
+        
+        for (const doc of registrationsSnapshot.docs) {
+            const data = doc.data();
+            const updates = {};
+            
+            const legs = [
+                { prefix: 'arrival', value: data.arrivalFlightTrain || data['Arrival Flight/Train Number'] || '' },
+                { prefix: 'departure', value: data.departureFlightTrain || data['Departure Flight/Train Number'] || '' }
+            ];
+            
+            for (const leg of legs) {
+                if (!String(leg.value).trim()) continue;
+                const parsed = parseFlightTrainNumber(leg.value);
+                if (!parsed.valid) {
+                    invalidEntries.push({ id: doc.id, field: `${leg.prefix}FlightTrain`, value: leg.value, error: parsed.error });
+                    continue;
+                }
+                if (data[`${leg.prefix}Carrier`] !== parsed.carrier || data[`${leg.prefix}Number`] !== parsed.number) {
+                    updates[`${leg.prefix}Carrier`] = parsed.carrier;
+                    updates[`${leg.prefix}Number`] = parsed.number;
+                }
+            }
+            
+            if (Object.keys(updates).length > 0) {
+                updates.normalizedAt = admin.firestore.FieldValue.serverTimestamp();
+                batch.update(db.collection('registrations').doc(doc.id), updates);
+                batchCount++;
+                updatedCount++;
+                
+                if (batchCount >= BATCH_SIZE) {
+                    await batch.commit();
+                    console.log(`Updated ${updatedCount} registrations so far...`);
+                    batch = db.batch(); // Create new batch
+                    batchCount = 0;
+                }
+            }
+        }
+        
+        if (batchCount > 0) {
+            await batch.commit();
+        }
+        
+        console.log(`\n=== Flight/Train Normalization Summary ===`);
+        console.log(`Total registrations checked: ${registrationsSnapshot.size}`);
+        console.log(`Registrations updated: ${updatedCount}`);
+        console.log(`Unparseable entries: ${invalidEntries.length}`);
+        
+        if (invalidEntries.length > 0) {
+            console.log(`\nUnparseable entries:`);
+            invalidEntries.forEach(e => {
+                console.log(`  ${e.id} ${e.field}: "${e.value}" - ${e.error}`);
+            });
+        }
+        
+    } catch (error) {
+        console.error('Error normalizing flight/train numbers:', error);
+        throw error;
+    }
+}
+
 // Normalize post tour options
 async function normalizePostTourOptions() {
     console.log('Normalizing post tour options...\n');
@@ -2592,6 +2678,19 @@ async function bulkUpdateFromCsv() {
                 continue;
             }
             
+            // Keep parsed carrier/number in sync with updated flight/train numbers
+            for (const prefix of ['arrival', 'departure']) {
+                if (updateData[`${prefix}FlightTrain`]) {
+                    const parsed = parseFlightTrainNumber(updateData[`${prefix}FlightTrain`]);
+                    if (parsed.valid) {
+                        updateData[`${prefix}Carrier`] = parsed.carrier;
+                        updateData[`${prefix}Number`] = parsed.number;
+                    } else {
+                        console.warn(`Row ${i + 1}: ${prefix}FlightTrain "${updateData[`${prefix}FlightTrain`]}" - ${parsed.error}`);
+                    }
+                }
+            }
+            
             // Add updatedAt timestamp
             updateData.updatedAt = admin.firestore.FieldValue.serverTimestamp();
             
@@ -2712,6 +2811,205 @@ async function findAllDuplicates() {
     };
 }
 
+// ============================================================================
+// CHECK-IN TYPE REGISTRY
+// ============================================================================
+
+// Default check-in types and volunteer teams. This seed is the only copy: the app, api/checkin,
+// api/cloak-room and firestore.rules all read the stored config/checkin document.
+const DEFAULT_CHECKIN_CONFIG = {
+    teams: {
+        'transportation': { label: 'Pickup Location', order: 1 },
+        'registration': { label: 'Registration', order: 2 },
+        'ganvesh_collected': { label: 'Ganvesh Collected', order: 3 },
+        'cloak_room': { label: 'Cloak Room', order: 4 },
+        'post_tour': { label: 'Post Tour', order: 5 },
+        'bhojan': { label: 'Bhojan', order: 6 }
+    },
+    types: {
+        'pickup_location': { label: 'Pickup Location', team: 'transportation', order: 1, showTab: true, repeatable: true, prerequisites: [], fields: [] },
+        'registration': { label: 'Registration', team: 'registration', order: 2, showTab: true, repeatable: false, prerequisites: [], fields: [] },
+        'shulk_paid': { label: 'Shulk Paid', team: 'registration', order: 3, showTab: false, repeatable: false, prerequisites: [], fields: [] },
+        'kit_collected': { label: 'Kit Collected', team: 'registration', order: 4, showTab: false, repeatable: false, prerequisites: [], fields: [] },
+        'ganvesh_collected': { label: 'Ganvesh Collected', team: 'ganvesh_collected', order: 5, showTab: true, repeatable: false, prerequisites: ['registration'], fields: [{ id: 'issuedSize', label: 'Size Issued (cm)', type: 'number', required: true }] },
+        'cloak_room': {
+            label: 'Cloak Room', team: 'cloak_room', order: 6, showTab: true, repeatable: false, prerequisites: ['registration'],
+            fields: [
+                { id: 'tagId', label: 'Tag Number', type: 'text', required: true },
+                { id: 'itemCount', label: 'Number of Items', type: 'number', required: false }
+            ]
+        },
+        'post_tour': { label: 'Post Tour', team: 'post_tour', order: 7, showTab: true, repeatable: false, prerequisites: [], fields: [] },
+        'departure': { label: 'Departure', team: 'registration', order: 8, showTab: true, repeatable: false, prerequisites: ['registration'], fields: [] },
+        'bhojan': { label: 'Bhojan', team: 'bhojan', order: 9, showTab: true, repeatable: true, active: false, prerequisites: ['registration'], fields: [] }
+    }
+};
+
+// Create config/checkin with the default types and teams. An existing registry is left
+// alone unless FORCE=true, so types added from User Management are not lost.
+async function seedCheckinConfig() {
+    const configRef = db.collection('config').doc('checkin');
+    const existing = await configRef.get();
+
+    if (existing.exists && process.env.FORCE !== 'true') {
+        const types = Object.keys(existing.data().types || {});
+        console.log(`config/checkin already exists with ${types.length} types: ${types.join(', ')}`);
+        console.log('Run merge-checkin-config to add missing default types, or set FORCE=true to overwrite it with the defaults.');
+        return;
+    }
+
+    await configRef.set({
+        ...DEFAULT_CHECKIN_CONFIG,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedBy: 'firestore-utils'
+    });
+    console.log(`Wrote config/checkin with ${Object.keys(DEFAULT_CHECKIN_CONFIG.types).length} types and ${Object.keys(DEFAULT_CHECKIN_CONFIG.teams).length} teams.`);
+}
+
+// Add default types and teams missing from an existing config/checkin (e.g. departure and
+// bhojan for registries seeded before they existed). Types and teams already stored, including
+// ones added or edited from User Management, are left exactly as they are.
+async function mergeCheckinConfig() {
+    const configRef = db.collection('config').doc('checkin');
+    const existing = await configRef.get();
+    if (!existing.exists) {
+        console.log('config/checkin does not exist yet; creating it with the defaults.');
+        await seedCheckinConfig();
+        return;
+    }
+
+    const stored = existing.data();
+    const addedTypes = Object.keys(DEFAULT_CHECKIN_CONFIG.types).filter(type => !(stored.types || {})[type]);
+    const addedTeams = Object.keys(DEFAULT_CHECKIN_CONFIG.teams).filter(team => !(stored.teams || {})[team]);
+    if (addedTypes.length === 0 && addedTeams.length === 0) {
+        console.log('config/checkin already has every default type and team.');
+        return;
+    }
+
+    const update = {
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedBy: 'firestore-utils'
+    };
+    addedTypes.forEach(type => { update[`types.${type}`] = DEFAULT_CHECKIN_CONFIG.types[type]; });
+    addedTeams.forEach(team => { update[`teams.${team}`] = DEFAULT_CHECKIN_CONFIG.teams[team]; });
+    await configRef.update(update);
+
+    if (addedTypes.length) console.log(`Added types: ${addedTypes.join(', ')}`);
+    if (addedTeams.length) console.log(`Added teams: ${addedTeams.join(', ')}`);
+}
+
+// Set until when the check-in desks accept barcode-only badges (printed before signed QR codes):
+// node firestore-utils.js set-unsigned-badge-cutoff 2025-12-26T18:00+05:30
+// node firestore-utils.js set-unsigned-badge-cutoff off   (only signed QR badges from now on)
+// Until a cutoff is set, barcode-only badges are accepted.
+async function setUnsignedBadgeCutoff() {
+    const value = (process.argv[3] || process.env.UNSIGNED_BADGE_CUTOFF || '').trim();
+    if (!value) {
+        console.error('Usage: node firestore-utils.js set-unsigned-badge-cutoff <ISO date-time | off>');
+        process.exit(1);
+    }
+
+    // "off" records the current time, since a missing cutoff means barcode-only badges are still accepted
+    let cutoff = new Date().toISOString();
+    if (value.toLowerCase() !== 'off') {
+        const parsed = new Date(value);
+        if (!/^\d{4}-\d{2}-\d{2}/.test(value) || isNaN(parsed.getTime())) {
+            console.error(`"${value}" is not an ISO date-time such as 2025-12-26T18:00+05:30`);
+            process.exit(1);
+        }
+        cutoff = parsed.toISOString();
+    }
+
+    await db.collection('config').doc('badges').set({
+        unsignedAcceptedUntil: cutoff,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedBy: 'firestore-utils'
+    }, { merge: true });
+    console.log(value.toLowerCase() !== 'off'
+        ? `Barcode-only badges are accepted until ${cutoff}.`
+        : 'Barcode-only badges are no longer accepted.');
+}
+
+// ============================================================================
+// CUSTOM CLAIMS
+// ============================================================================
+
+// Same claims as api/sync-claims (see api/_lib/claims.js), from maps loaded once for all accounts
+function buildAccountClaims(userRecord, staffByEmail, staffById, idsByEmail) {
+    const email = (userRecord.email || '').toLowerCase().trim();
+    const staffId = getPlaceholderStaffId(email);
+    const staff = staffId ? staffById.get(normalizeId(staffId)) : staffByEmail.get(email);
+    return buildClaims(userRecord.customClaims || {}, getStaffClaims(staff, email || userRecord.uid), idsByEmail.get(email) || []);
+}
+
+// Mirror roles, volunteer teams and linked Praveshika IDs into the custom claims of every
+// Auth account, or of one account: node firestore-utils.js sync-claims <email or uid>
+async function syncCustomClaims() {
+    const target = process.argv[3] || process.env.SYNC_TARGET || '';
+
+    console.log('Loading users, nonShibirarthiUsers and emailToUids...');
+    const [usersSnapshot, staffSnapshot, emailSnapshot] = await Promise.all([
+        db.collection('users').get(),
+        db.collection('nonShibirarthiUsers').get(),
+        db.collection('emailToUids').get()
+    ]);
+
+    // users/{uid} roles are only reported, so staff missing from nonShibirarthiUsers can be added there
+    const usersByUid = new Map();
+    usersSnapshot.forEach(doc => usersByUid.set(doc.id, doc.data()));
+    const staffByEmail = new Map();
+    const staffById = new Map();
+    staffSnapshot.forEach(doc => {
+        const data = doc.data();
+        if (data.email) staffByEmail.set(String(data.email).toLowerCase().trim(), data);
+        staffById.set(normalizeId(data.uniqueId || doc.id), data);
+    });
+    const idsByEmail = new Map();
+    emailSnapshot.forEach(doc => {
+        idsByEmail.set(doc.id.toLowerCase(), normalizeIds(doc.data().uids));
+    });
+
+    let accounts = [];
+    if (target) {
+        const userRecord = target.includes('@')
+            ? await admin.auth().getUserByEmail(target.toLowerCase().trim())
+            : await admin.auth().getUser(target);
+        accounts = [userRecord];
+    } else {
+        let pageToken;
+        do {
+            const page = await admin.auth().listUsers(1000, pageToken);
+            accounts.push(...page.users);
+            pageToken = page.pageToken;
+        } while (pageToken);
+    }
+
+    let updated = 0;
+    let unchanged = 0;
+    let overflow = 0;
+    for (const userRecord of accounts) {
+        const claims = buildAccountClaims(userRecord, staffByEmail, staffById, idsByEmail);
+        if (claims.idsOverflow) overflow++;
+        const usersRole = usersByUid.get(userRecord.uid)?.role;
+        if (claims.role === 'participant' && STAFF_ROLES.includes(usersRole)) {
+            console.warn(`  ${userRecord.email || userRecord.uid}: users/${userRecord.uid} says ${usersRole} but there is no nonShibirarthiUsers record; syncing as participant`);
+        }
+        if (JSON.stringify(claims) === JSON.stringify(userRecord.customClaims || {})) {
+            unchanged++;
+            continue;
+        }
+        await admin.auth().setCustomUserClaims(userRecord.uid, claims);
+        console.log(`  ${userRecord.email || userRecord.uid}: role=${claims.role}${claims.teams.length ? ` teams=${claims.teams.join(',')}` : ''} ids=${claims.ids ? claims.ids.length : 'overflow'}`);
+        updated++;
+    }
+
+    console.log(`\nSynced claims for ${accounts.length} account(s): ${updated} updated, ${unchanged} unchanged.`);
+    if (overflow > 0) {
+        console.log(`${overflow} account(s) have too many linked IDs for the claims and are checked against emailToUids links in the rules.`);
+    }
+    console.log('Users pick up new claims the next time they sign in.');
+}
+
 // ============================================================================
 // MAIN ROUTER
 // ============================================================================
@@ -2787,10 +3085,14 @@ async function main() {
             case 'normalize-post-tour':
                 await normalizePostTourOptions();
                 break;
+            case 'normalize-flights':
+                await normalizeFlightNumbers();
+                break;
             case 'normalize-all':
                 await normalizeZones();
                 await normalizeDates();
                 await normalizePickupLocations();
+                await normalizeFlightNumbers();
                 await normalizePostTourOptions();
                 break;
             case 'export-travel-team':
@@ -2799,6 +3101,18 @@ async function main() {
             case 'export-post-tour-team':
                 await exportPostTourTeamData();
                 break;
+            case 'seed-checkin-config':
+                await seedCheckinConfig();
+                break;
+            case 'merge-checkin-config':
+                await mergeCheckinConfig();
+                break;
+            case 'sync-claims':
+                await syncCustomClaims();
+                break;
+            case 'set-unsigned-badge-cutoff':
+                await setUnsignedBadgeCutoff();
+                break;
             default:
                 console.log('Usage: node firestore-utils.js <command>');
                 console.log('Commands:');
@@ -2823,10 +3137,15 @@ async function main() {
                 console.log('  normalize-zones     - Normalize zones to AF, AM, AR, AU, EU, AS');
                 console.log('  normalize-dates      - Normalize dates to DD-MMM-YYYY format');
                 console.log('  normalize-pickup-locations - Normalize pickup locations to standard options');
+                console.log('  normalize-flights    - Parse flight/train numbers into arrival/departure Carrier and Number fields');
                 console.log('  normalize-post-tour  - Normalize post tour options (Kandakurti->None, etc.)');
                 console.log('  normalize-all        - Run all normalization functions');
                 console.log('  export-travel-team   - Export travel team CSV (transportation data)');
                 console.log('  export-post-tour-team - Export post tour team CSV');
+                console.log('  seed-checkin-config  - Create config/checkin with the default check-in types and teams (FORCE=true to overwrite)');
+                console.log('  merge-checkin-config - Add default check-in types and teams missing from config/checkin, keeping custom ones');
+                console.log('  sync-claims [email|uid] - Copy roles, volunteer teams, coordinator zones and linked Praveshika IDs into Auth custom claims');
+                console.log('  set-unsigned-badge-cutoff <ISO date-time|off> - Accept barcode-only badges at check-in until this time');
                 process.exit(1);
         }
         console.log('\nProcess finished');
@@ -0,0 +1,107 @@
+// flight-parser.js
+// Flight/train number parsing shared by the web app and the Node scripts.
+// Browser: loaded with a <script> tag before script.js, which exposes the functions as globals.
+// Node: const { parseFlightTrainNumber } = require('./flight-parser');
+
+(function (root) {
+    // Common IATA airline codes for flights into Hyderabad (unknown codes are still accepted if well-formed)
+    const IATA_AIRLINES = {
+        '6E': 'IndiGo',
+        'AI': 'Air India',
+        'IX': 'Air India Express',
+        'UK': 'Vistara',
+        'SG': 'SpiceJet',
+        'QP': 'Akasa Air',
+        'I5': 'AIX Connect',
+        'G8': 'Go First',
+        '9I': 'Alliance Air',
+        'S5': 'Star Air',
+        'EK': 'Emirates',
+        'QR': 'Qatar Airways',
+        'EY': 'Etihad Airways',
+        'FZ': 'flydubai',
+        'G9': 'Air Arabia',
+        'WY': 'Oman Air',
+        'GF': 'Gulf Air',
+        'KU': 'Kuwait Airways',
+        'J9': 'Jazeera Airways',
+        'SV': 'Saudia',
+        'SQ': 'Singapore Airlines',
+        'TR': 'Scoot',
+        'MH': 'Malaysia Airlines',
+        'AK': 'AirAsia',
+        'TG': 'Thai Airways',
+        'CX': 'Cathay Pacific',
+        'UL': 'SriLankan Airlines',
+        'BA': 'British Airways',
+        'LH': 'Lufthansa',
+        'AF': 'Air France',
+        'KL': 'KLM',
+        'TK': 'Turkish Airlines',
+        'VS': 'Virgin Atlantic',
+        'AA': 'American Airlines',
+        'UA': 'United Airlines',
+        'DL': 'Delta Air Lines',
+        'AC': 'Air Canada',
+        'QF': 'Qantas',
+        'NZ': 'Air New Zealand',
+        'ET': 'Ethiopian Airlines',
+        'KQ': 'Kenya Airways'
+    };
+
+    // Carrier stored for Indian Railways trains
+    const INDIAN_RAILWAYS_CARRIER = 'IR';
+
+    // Parse a free-text flight/train entry such as "6E6417 (A320)", "AI 102" or "15023 GKP-YPR Express".
+    // Returns { type, carrier, carrierName, number, notes, valid, error }.
+    function parseFlightTrainNumber(value) {
+        const raw = (value || '').toString().trim();
+        const result = { type: 'unknown', carrier: '', carrierName: '', number: '', notes: '', valid: false, error: '' };
+        if (!raw) {
+            result.error = 'Flight/Train number is empty';
+            return result;
+        }
+
+        const upper = raw.toUpperCase();
+        const cleanNotes = text => text.replace(/^[\s\-,:/]+/, '').replace(/^\((.*)\)$/, '$1').trim();
+
+        // Indian train numbers are 5 digits, optionally followed by the train name
+        const trainMatch = upper.match(/^(\d{5})(?!\d)(.*)$/);
+        if (trainMatch) {
+            result.type = 'train';
+            result.carrier = INDIAN_RAILWAYS_CARRIER;
+            result.carrierName = 'Indian Railways';
+            result.number = trainMatch[1];
+            result.notes = cleanNotes(raw.substring(5));
+            result.valid = true;
+            return result;
+        }
+
+        // IATA airline designator: two characters, letters or digits but not two digits,
+        // followed by a 1-4 digit flight number and an optional operational suffix letter
+        const flightMatch = upper.match(/^([A-Z]{2}|[A-Z]\d|\d[A-Z])\s*-?\s*(\d{1,4})([A-Z]?)(?![A-Z0-9])(.*)$/);
+        if (flightMatch) {
+            result.type = 'flight';
+            result.carrier = flightMatch[1];
+            result.carrierName = IATA_AIRLINES[flightMatch[1]] || '';
+            result.number = flightMatch[2] + flightMatch[3];
+            result.notes = cleanNotes(raw.substring(raw.length - flightMatch[4].length));
+            result.valid = true;
+            return result;
+        }
+
+        if (/^\d+/.test(upper)) {
+            result.error = 'Train numbers must have 5 digits (e.g. 12723)';
+        } else {
+            result.error = 'Flight numbers must start with a 2-character airline code (e.g. 6E 6417, AI 102)';
+        }
+        return result;
+    }
+
+    const flightParser = { IATA_AIRLINES, INDIAN_RAILWAYS_CARRIER, parseFlightTrainNumber };
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = flightParser;
+    } else {
+        Object.assign(root, flightParser);
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -33,7 +33,7 @@ function waitForFirebase(callback, maxRetries = 50) {
 }
 
 // Protected tabs that require authentication
-const PROTECTED_TABS = ['shibirarthi', 'shibir-resources', 'checkin', 'admin-dashboard', 'user-management', 'participant-lookup'];
+const PROTECTED_TABS = ['shibirarthi', 'shibir-resources', 'checkin', 'admin-dashboard', 'user-management', 'participant-lookup', 'communications', 'accommodation', 'approvals', 'badges', 'ganveshstock', 'shulk', 'bhojan'];
 // Removed tabs (commented out): 'myprofile', 'mytransportation', 'mytours'
 
 // Helper function to check if a tab is protected
@@ -41,21 +41,16 @@ function isProtectedTab(tabName) {
     return PROTECTED_TABS.includes(tabName);
 }
 
-// Generic helper to fetch user data from Firestore
+// Generic helper to fetch user data. Role and volunteer teams come from the account's
+// custom claims (set by /api/sync-claims), the rest from the users document in Firestore.
 // 
 // TO SETUP INITIAL SUPERADMIN:
-// 1. User logs in with their registered email and default password
-// 2. Once logged in, go to Firebase Console > Firestore Database
-// 3. Navigate to the 'users' collection
-// 4. Find the user document by their UID (you can find this in Firebase Authentication)
-// 5. Edit the document and add a field: role = "superadmin" (type: string)
-// 6. Save the document
-// 7. The user will now have access to the Admin Dashboard on next login
+// 1. User logs in with their registered email once so their account exists
+// 2. Run: node set-superadmin.js <user-email>
+//    (updates the users document and the role claim)
+// 3. The user logs out and back in to pick up the new claims
 //
-// ALTERNATIVE: Use Firebase Admin SDK to set role programmatically:
-//   const admin = require('firebase-admin');
-//   const db = admin.firestore();
-//   await db.collection('users').doc(USER_UID).update({ role: 'superadmin' });
+// To backfill claims for every existing account: node firestore-utils.js sync-claims
 //
 async function getUserData(user) {
     if (!user || !window.firebase || !firebase.firestore) {
@@ -63,14 +58,20 @@ async function getUserData(user) {
     }
     
     try {
+        const { claims } = await user.getIdTokenResult();
         const db = firebase.firestore();
         const userDoc = await db.collection('users').doc(user.uid).get();
         
-        if (!userDoc.exists) {
+        if (!userDoc.exists && !claims.role) {
             return null;
         }
         
-        return userDoc.data();
+        return {
+            ...(userDoc.exists ? userDoc.data() : {}),
+            role: claims.role || null,
+            volunteerTeams: claims.teams || [],
+            zone: claims.zone || null
+        };
     } catch (error) {
         // Silently return null for permission errors (happens during user creation flow)
         if (error.code === 'permission-denied') {
@@ -105,9 +106,31 @@ async function getVolunteerTeams(user) {
     return userData?.volunteerTeams || [];
 }
 
-// Helper function to check if user can view dashboard
+// Helper function to check if user is a zone coordinator (limited to one zone's registrations)
+async function isZoneCoordinator(user) {
+    const userData = await getUserData(user);
+    return userData?.role === 'zone_coordinator' && !!userData.zone;
+}
+
+// Zone code a zone coordinator is limited to, or null for everyone else
+async function getCoordinatorZone(user) {
+    const userData = await getUserData(user);
+    return userData?.role === 'zone_coordinator' ? (userData.zone || null) : null;
+}
+
+// Helper function to check if user can view dashboard (zone coordinators see their zone only)
 async function canViewDashboard(user) {
-    return await isAdmin(user);
+    return await isAdmin(user) || await isZoneCoordinator(user);
+}
+
+// Zone of the signed-in zone coordinator (set on login); null for admins and everyone else
+let coordinatorZone = null;
+
+// Registrations query for the dashboard, participant lookup and exports. Zone coordinators
+// only get their own zone; firestore.rules reject their queries without this filter.
+function getRegistrationsQuery(db = firebase.firestore()) {
+    const registrationsRef = db.collection('registrations');
+    return coordinatorZone ? registrationsRef.where('zone', '==', coordinatorZone) : registrationsRef;
 }
 
 // Helper function to check if user can perform checkin
@@ -133,16 +156,9 @@ async function hasAccessToCheckinType(user, checkinType) {
     const teams = await getVolunteerTeams(user);
     if (!Array.isArray(teams) || teams.length === 0) return false;
     
-    const teamMap = {
-        'pickup_location': 'transportation',
-        'registration': 'registration',
-        'shulk_paid': 'registration',  // Shulk paid is part of registration
-        'kit_collected': 'registration',  // Kit collected is part of registration
-        'ganvesh_collected': 'ganvesh_collected',
-        'cloak_room': 'cloak_room',
-        'post_tour': 'post_tour'
-    };
-    const requiredTeam = teamMap[checkinType];
+    // Owning team comes from the check-in type registry (config/checkin)
+    await loadCheckinConfig();
+    const requiredTeam = getCheckinTypeTeam(checkinType);
     if (!requiredTeam) return false;
     
     return teams.includes(requiredTeam);
@@ -214,6 +230,27 @@ function loadPageContent(pageName) {
                 case 'participant-lookup':
                     loadParticipantLookupPage(user);
                     break;
+                case 'communications':
+                    loadCommunicationsPage(user);
+                    break;
+                case 'accommodation':
+                    loadAccommodationPage(user);
+                    break;
+                case 'approvals':
+                    loadApprovalsPage(user);
+                    break;
+                case 'badges':
+                    loadBadgePrintingPage(user);
+                    break;
+                case 'ganveshstock':
+                    loadGanveshStockPage(user);
+                    break;
+                case 'shulk':
+                    loadShulkLedgerPage(user);
+                    break;
+                case 'bhojan':
+                    loadBhojanPage(user);
+                    break;
                 case 'shibir-resources':
                     initializeShibirResources(user);
                     break;
@@ -226,6 +263,14 @@ function loadPageContent(pageName) {
 }
 
 function activateTab(tabName, skipAuthCheck = false) {
+    // Kiosk tablets only ever show the kiosk screen
+    if (isKioskMode()) {
+        document.querySelectorAll('.tab-content').forEach(tab => {
+            tab.classList.toggle('active', tab.id === 'kiosk');
+        });
+        return;
+    }
+    
     // During initialization, skip auth check to prevent premature login prompts
     // Wait for auth state to be determined first
     if (!skipAuthCheck && authInitializing && isProtectedTab(tabName)) {
@@ -301,6 +346,27 @@ function activateTab(tabName, skipAuthCheck = false) {
                     case 'participant-lookup':
                         loadParticipantLookupPage(user);
                         break;
+                    case 'communications':
+                        loadCommunicationsPage(user);
+                        break;
+                    case 'accommodation':
+                        loadAccommodationPage(user);
+                        break;
+                    case 'approvals':
+                        loadApprovalsPage(user);
+                        break;
+                    case 'badges':
+                        loadBadgePrintingPage(user);
+                        break;
+                    case 'ganveshstock':
+                        loadGanveshStockPage(user);
+                        break;
+                    case 'shulk':
+                        loadShulkLedgerPage(user);
+                        break;
+                    case 'bhojan':
+                        loadBhojanPage(user);
+                        break;
                     case 'shibir-resources':
                         initializeShibirResources(user);
                         break;
@@ -1066,6 +1132,12 @@ document.addEventListener('DOMContentLoaded', function() {
 function showForgotPassword() {
     const loginContainer = document.getElementById('loginFormContainer');
     const forgotContainer = document.getElementById('forgotPasswordFormContainer');
+    // Carry over whatever was typed on the login form; the reset form accepts either
+    const loginIdentifier = document.getElementById('loginIdentifier');
+    const forgotInput = document.getElementById('forgotPasswordEmail');
+    if (loginIdentifier && forgotInput && !forgotInput.value) {
+        forgotInput.value = loginIdentifier.value.trim();
+    }
     if (loginContainer && forgotContainer) {
         loginContainer.style.display = 'none';
         forgotContainer.style.display = 'block';
@@ -1088,14 +1160,14 @@ document.addEventListener('DOMContentLoaded', function() {
         forgotPasswordForm.addEventListener('submit', function(e) {
             e.preventDefault();
             
-            const email = document.getElementById('forgotPasswordEmail').value.trim();
+            const identifier = document.getElementById('forgotPasswordEmail').value.trim();
             
-            if (!email) {
-                showNotification('Please enter your email address.', 'error');
+            if (!identifier) {
+                showNotification('Please enter your email address or Praveshika ID.', 'error');
                 return;
             }
             
-            if (!isValidEmail(email)) {
+            if (identifier.includes('@') && !isValidEmail(identifier)) {
                 showNotification('Please enter a valid email address.', 'error');
                 return;
             }
@@ -1103,10 +1175,36 @@ document.addEventListener('DOMContentLoaded', function() {
             // Firebase password reset
             if (window.firebase && firebase.auth) {
                 showNotification('Sending password reset email...', 'info');
+                let sentTo = '';
                 
-                firebase.auth().sendPasswordResetEmail(email)
+                // Check the ID or email first so we can tell people who never logged in what to do.
+                // For an ID the server sends the email itself, so the address never reaches the browser.
+                const isEmailIdentifier = identifier.includes('@');
+                const lookup = isEmailIdentifier
+                    ? resolveLogin(identifier)
+                    : verifyPraveshika(identifier).then((verified) => ({ found: verified.exists, maskedEmail: verified.maskedEmail }));
+                lookup
+                    .then((resolved) => {
+                        if (!resolved.found) {
+                            throw { code: 'auth/user-not-found' };
+                        }
+                        sentTo = resolved.maskedEmail;
+                        if (!isEmailIdentifier) {
+                            return resolveLogin(identifier, { action: 'reset' })
+                                .then((reset) => {
+                                    if (!reset.resetSent) {
+                                        throw { code: 'account-not-activated' };
+                                    }
+                                });
+                        }
+                        return firebase.auth().sendPasswordResetEmail(identifier)
+                            .catch((resetError) => {
+                                // Registered, but the first login has not created the account yet
+                                throw resetError.code === 'auth/user-not-found' ? { code: 'account-not-activated' } : resetError;
+                            });
+                    })
                     .then(() => {
-                        showNotification('Password reset email sent! Please check your inbox.', 'success');
+                        showNotification(`Password reset email sent to ${sentTo}! Please check your inbox.`, 'success');
                         setTimeout(() => {
                             closeLogin();
                             showLoginForm(); // Reset to login form
@@ -1116,7 +1214,9 @@ document.addEventListener('DOMContentLoaded', function() {
                         let errorMessage = 'Error sending password reset email. ';
                         
                         if (error.code === 'auth/user-not-found') {
-                            errorMessage = 'No account found with this email address.';
+                            errorMessage = 'No account found with this email address or Praveshika ID.';
+                        } else if (error.code === 'account-not-activated') {
+                            errorMessage = 'You have not logged in yet. Please log in with the default password from your registration email, then set your own password.';
                         } else if (error.code === 'auth/invalid-email') {
                             errorMessage = 'Invalid email address.';
                         } else if (error.code === 'auth/too-many-requests') {
@@ -1167,8 +1267,7 @@ document.addEventListener('DOMContentLoaded', function() {
                 const isEmail = isValidEmail(identifier);
                 
                 if (isEmail) {
-                    // Direct email login with default password support
-                    const DEFAULT_PASSWORD = 'Vss@2025!';
+                    // Direct email login; the first login with the default password sets up the account
                     const db = firebase.firestore();
                     
                     // Try to login first
@@ -1178,248 +1277,74 @@ document.addEventListener('DOMContentLoaded', function() {
                             checkAndPromptPasswordReset(userCredential.user, loginForm);
                         })
                         .catch((error) => {
-                            // If user not found or invalid credentials and password is default, try to auto-create account
                             // Firebase may return different error codes: 'auth/user-not-found', 'auth/invalid-credential', or 'auth/invalid-login-credentials'
                             const isUserNotFound = error.code === 'auth/user-not-found' || 
                                                   error.code === 'auth/invalid-credential' || 
                                                   error.code === 'auth/invalid-login-credentials';
                             
-                            // Check if user exists in nonShibirarthiUsers or registrations (for auto-creation)
-                            // Allow this check even if password doesn't match exactly (user might have typo)
+                            // No account yet, or a wrong password: /api/resolve-login creates the account only
+                            // when the email is registered (or a volunteer/admin), has no account yet and the
+                            // password is the default one from the registration email
                             if (isUserNotFound) {
-                                // First check if email exists in nonShibirarthiUsers (volunteers/admins)
                                 showNotification('Checking account...', 'info');
                                 
-                                db.collection('nonShibirarthiUsers').where('email', '==', identifier).limit(1).get()
-                                    .then(volunteerSnapshot => {
-                                        if (!volunteerSnapshot.empty) {
-                                            // Found volunteer/admin - create Auth account for them
-                                            const volunteerDoc = volunteerSnapshot.docs[0];
-                                            const volunteerData = volunteerDoc.data();
-                                            
-                                            // If password matches default, create account
-                                            if (password === DEFAULT_PASSWORD) {
-                                                showNotification('Creating your volunteer account...', 'info');
-                                                return firebase.auth().createUserWithEmailAndPassword(identifier, DEFAULT_PASSWORD)
-                                                    .then((userCredential) => {
-                                                        const user = userCredential.user;
-                                                        showNotification('Account created! You are now logged in.', 'success');
-                                                        // Volunteer accounts don't need password reset prompt
-                                                        return 'volunteer_created';
-                                                    })
-                                                    .catch((createError) => {
-                                                        if (createError.code === 'auth/email-already-in-use') {
-                                                            showNotification('Incorrect password. Please check your credentials.', 'error');
-                                                        } else {
-                                                            console.error('Volunteer account creation error:', createError);
-                                                            showNotification('Error creating account: ' + createError.message, 'error');
-                                                        }
-                                                        return 'error';
-                                                    });
-                                            } else {
-                                                // Password doesn't match - account might already exist with different password
-                                                showNotification('Incorrect password. Please check your credentials or use "Forgot Password".', 'error');
-                                                return 'error';
-                                            }
-                                        }
-                                        
-                                        // Not found in nonShibirarthiUsers, check registrations
-                                        return db.collection('registrations').where('email', '==', identifier).limit(1).get();
-                                    })
-                                    .then(result => {
-                                        // If volunteer was created or error occurred, stop here
-                                        if (result === 'volunteer_created' || result === 'error') {
-                                            return null;
-                                        }
-                                        
-                                        const querySnapshot = result;
-                                        let matchingDoc = null;
-                                        
-                                        if (querySnapshot && !querySnapshot.empty) {
-                                            matchingDoc = querySnapshot.docs[0];
-                                        } else if (querySnapshot) {
-                                            // Fallback: search through all documents
-                                            return db.collection('registrations').get()
-                                                .then(allDocs => {
-                                                    const normalizedEmail = identifier.toLowerCase().trim();
-                                                    for (const doc of allDocs.docs) {
-                                                        const docData = doc.data();
-                                                        const docEmail = docData.email ? docData.email.toLowerCase().trim() : '';
-                                                        if (docEmail === normalizedEmail) {
-                                                            matchingDoc = doc;
-                                                            break;
-                                                        }
-                                                    }
-                                                    return matchingDoc;
-                                                });
-                                        }
-                                        
-                                        return matchingDoc;
+                                let firstLogin = null;
+                                resolveLogin(identifier, { action: 'first-login', password })
+                                    .then((result) => {
+                                        firstLogin = result;
+                                        showNotification('Creating your account...', 'info');
+                                        return firebase.auth().signInWithCustomToken(result.customToken);
                                     })
-                                    .then(matchingDoc => {
-                                        // If null, volunteer was already handled
-                                        if (matchingDoc === null) {
-                                            return;
-                                        }
-                                        
-                                        if (!matchingDoc) {
-                                            showNotification('Email not found. Please contact your administrator.', 'error');
+                                    .then((userCredential) => {
+                                        const user = userCredential.user;
+                                        if (firstLogin.accountType === 'volunteer') {
+                                            showNotification('Account created! You are now logged in.', 'success');
+                                            // Volunteer accounts don't need password reset prompt
                                             return;
                                         }
                                         
-                                        const data = matchingDoc.data();
-                                        const actualPraveshikaId = matchingDoc.id;
-                                        
-                                        // Auto-create Firebase Auth account with default password
-                                        // DO NOT create user document in Firestore yet - will be created after password reset
-                                        showNotification('Creating your account...', 'info');
-                                        return firebase.auth().createUserWithEmailAndPassword(identifier, DEFAULT_PASSWORD)
-                                            .then((userCredential) => {
-                                                const user = userCredential.user;
-                                                
+                                        // Signed in now, so the registration linked to this email can be read
+                                        return db.collection('registrations').doc(firstLogin.uniqueId).get()
+                                            .then(regDoc => regDoc.exists ? regDoc.data() : {})
+                                            .catch(() => ({}))
+                                            .then(data => {
                                                 // Store registration data temporarily for later use
                                                 // We'll create the user document after password is changed
                                                 // For now, just prompt password reset
                                                 checkAndPromptPasswordReset(user, loginForm, {
                                                     email: identifier,
                                                     name: data.name || data['Full Name'] || '',
-                                                    uniqueId: actualPraveshikaId || '',
+                                                    uniqueId: firstLogin.uniqueId,
                                                     registrationData: data
                                                 });
-                                            })
-                                            .catch((createError) => {
-                                                console.error('Account creation error:', createError);
-                                                if (createError.code === 'auth/email-already-in-use') {
-                                                    // Account already exists - this means user has a different password
-                                                    // Try to login again with default password
-                                                    firebase.auth().signInWithEmailAndPassword(identifier, DEFAULT_PASSWORD)
-                                                        .then((userCredential) => {
-                                                            checkAndPromptPasswordReset(userCredential.user, loginForm);
-                                                        })
-                                                        .catch((loginError) => {
-                                                            // If login still fails, the password was changed
-                                                            if (loginError.code === 'auth/wrong-password' || 
-                                                                loginError.code === 'auth/invalid-credential' || 
-                                                                loginError.code === 'auth/invalid-login-credentials') {
-                                                                showNotification('The default password has been changed. Please use your current password or use "Forgot Password" to reset it.', 'error');
-                                                            } else {
-                                                                handleLoginError(loginError);
-                                                            }
-                                                        });
-                                                } else {
-                                                    handleLoginError(createError);
-                                                }
                                             });
                                     })
-                                    .catch((dbError) => {
-                                        console.error('Database error:', dbError);
-                                        // If permission denied, user might need to contact admin
-                                        if (dbError.code === 'permission-denied') {
-                                            showNotification('Permission error. Please contact your administrator or try logging in with your exact password.', 'error');
+                                    .catch((setupError) => {
+                                        if (setupError.code === 'auth/invalid-credential') {
+                                            showNotification('Incorrect email or password. Please check your credentials or use "Forgot Password".', 'error');
+                                        } else if (setupError.code === 'auth/too-many-requests') {
+                                            showNotification('Too many attempts. Please try again later.', 'error');
                                         } else {
+                                            console.error('Account setup error:', setupError);
                                             showNotification('Error checking account. Please try again or contact your administrator.', 'error');
                                         }
                                     });
-                            } else if (error.code === 'auth/user-not-found') {
-                                showNotification('Email not found. Please contact your administrator.', 'error');
-                            } else if (error.code === 'auth/wrong-password' || error.code === 'auth/invalid-login-credentials' || error.code === 'auth/invalid-credential') {
-                                showNotification('Incorrect password. Please check your credentials.', 'error');
                             } else {
                                 handleLoginError(error);
                             }
                         });
                 } else {
-                    // Praveshika ID login - normalize and look up email
-                    const db = firebase.firestore();
-                    const normalizedId = normalizePraveshikaId(identifier);
-                    
-                    // Helper function to find email by normalized Praveshika ID or User ID
-                    // Checks both registrations (for shibirarthi) and users (for volunteers/admins)
-                    function findEmailByPraveshikaId(normalizedId) {
-                        // First: Try checking registrations collection with normalizedId field (most efficient)
-                        return db.collection('registrations').where('normalizedId', '==', normalizedId).limit(1).get()
-                            .then((regQuerySnapshot) => {
-                                if (!regQuerySnapshot.empty) {
-                                    const email = regQuerySnapshot.docs[0].data().email;
-                                    if (email) return email;
-                                }
-                                return null;
-                            })
-                            .then((email) => {
-                                if (email) return email;
-                                // Second: Try direct document lookup and normalize document ID
-                                return db.collection('registrations').doc(identifier).get()
-                                    .then((doc) => {
-                                        if (doc.exists) {
-                                            const docNormalizedId = normalizePraveshikaId(doc.id);
-                                            if (docNormalizedId === normalizedId && doc.data().email) {
-                                                const email = doc.data().email;
-                                                if (email) return email;
-                                            }
-                                        }
-                                        return null;
-                                    });
-                            })
-                            .then((email) => {
-                                if (email) return email;
-                                // Third: Check users collection for volunteers/admins by uniqueId
-                                return db.collection('users').where('uniqueId', '==', identifier).limit(1).get()
-                                    .then((userQuerySnapshot) => {
-                                        if (!userQuerySnapshot.empty) {
-                                            const userData = userQuerySnapshot.docs[0].data();
-                                            // For volunteers/admins, use their email or generate placeholder
-                                            if (userData.role === 'volunteer' || userData.role === 'admin') {
-                                                // If they have a real email, use it; otherwise use placeholder format
-                                                return userData.email || `${userData.uniqueId}@placeholder.local`;
-                                            }
-                                        }
-                                        return null;
-                                    });
-                            })
-                            .then((email) => {
-                                if (email) return email;
-                                // Fourth: Search all registration documents by normalizing document IDs (fallback for old data)
-                                return db.collection('registrations').get()
-                                    .then((allDocs) => {
-                                        for (const doc of allDocs.docs) {
-                                            const docNormalizedId = normalizePraveshikaId(doc.id);
-                                            if (docNormalizedId === normalizedId) {
-                                                const email = doc.data().email;
-                                                if (email) return email;
-                                            }
-                                            // Also check normalizedId field in case document ID doesn't match
-                                            const regData = doc.data();
-                                            if (regData.normalizedId && normalizePraveshikaId(regData.normalizedId) === normalizedId) {
-                                                const email = regData.email;
-                                                if (email) return email;
-                                            }
-                                        }
-                                        return null;
-                                    });
-                            });
-                    }
-                    
-                    // Find email and login
-                    findEmailByPraveshikaId(normalizedId)
-                        .then((email) => {
-                            if (!email) {
-                                showNotification('ID not found. Volunteers/Admins: Contact your administrator.', 'error');
-                                throw { code: 'auth/user-not-found', message: 'No email found for this ID.' };
-                            }
-                            // Login with the found email
-                            return firebase.auth().signInWithEmailAndPassword(email, password);
-                        })
+                    // Praveshika ID (shibirarthi) or user ID (volunteers/admins) login: /api/resolve-login
+                    // checks the password against the account behind the ID and returns a custom token,
+                    // so the email is never sent to the browser
+                    resolveLogin(identifier, { password })
+                        .then((result) => firebase.auth().signInWithCustomToken(result.customToken))
                         .then((userCredential) => {
                             checkAndPromptPasswordReset(userCredential.user, loginForm);
                         })
                         .catch((error) => {
-                            // Check if user doesn't exist or wrong password
-                            if (error.code === 'auth/user-not-found') {
-                                showNotification('ID not found. Contact your administrator if you are a volunteer/admin.', 'error');
-                            } else if (error.code === 'auth/wrong-password') {
-                                showNotification('Incorrect password. Please try again.', 'error');
-                            } else if (error.code === 'auth/invalid-login-credentials' || error.code === 'auth/invalid-credential') {
-                                showNotification('Email not found or incorrect password. Please check your credentials.', 'error');
+                            if (error.code === 'auth/invalid-credential') {
+                                showNotification('Incorrect ID or password. Volunteers/Admins: contact your administrator if your ID is not recognised.', 'error');
                             } else {
                                 handleLoginError(error);
                             }
@@ -1699,7 +1624,11 @@ document.addEventListener('DOMContentLoaded', function() {
                             };
                         }
                         
-                        return db.collection('users').doc(currentUser.uid).set(userData, { merge: true })
+                        // Role, teams and uniqueId are fixed once the document exists (see firestore.rules),
+                        // so only a missing document is created here
+                        const userRef = db.collection('users').doc(currentUser.uid);
+                        return userRef.get()
+                            .then((existingDoc) => existingDoc.exists ? null : userRef.set(userData))
                             .then(() => {
                                 // Clear pending user creation if exists
                                 localStorage.removeItem('pendingUserCreation_' + currentUser.uid);
@@ -1834,6 +1763,102 @@ function normalizePraveshikaId(praveshikaId) {
     return praveshikaId.toString().toLowerCase().replace(/[/-]/g, '');
 }
 
+// Check a Praveshika ID (or volunteer/admin user ID) before sign-in. Registrations are not
+// publicly readable, so /api/verify-praveshika answers with { exists, maskedEmail } and nothing else.
+async function verifyPraveshika(praveshikaId) {
+    const response = await fetch('/api/verify-praveshika', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ praveshikaId })
+    });
+
+    let result;
+    try {
+        result = await response.json();
+    } catch (jsonError) {
+        throw new Error(`Verification service returned an invalid response (${response.status})`);
+    }
+
+    if (!response.ok) {
+        const error = new Error(result.error || `Verification failed (${response.status})`);
+        if (response.status === 429) error.code = 'auth/too-many-requests';
+        throw error;
+    }
+    return result;
+}
+
+// Look up an email before sign-in, or sign in with a Praveshika ID and password.
+// users, nonShibirarthiUsers and registrations are not readable while signed out, so
+// /api/resolve-login (rate limited per IP) answers with only what sign-in needs; for an ID
+// that is a custom token once the password has been checked.
+// options: { password } to sign in with an ID, { action: 'reset' } to send an ID's reset email,
+// or { action: 'first-login', password } to set up the account for a registered email
+async function resolveLogin(identifier, options = {}) {
+    const response = await fetch('/api/resolve-login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ identifier, ...options })
+    });
+
+    let result;
+    try {
+        result = await response.json();
+    } catch (jsonError) {
+        throw new Error(`Login service returned an invalid response (${response.status})`);
+    }
+
+    if (!response.ok) {
+        const error = new Error(result.error || `Login lookup failed (${response.status})`);
+        if (response.status === 429) error.code = 'auth/too-many-requests';
+        if (response.status === 401) error.code = result.code || 'auth/invalid-credential';
+        throw error;
+    }
+    return result;
+}
+
+// Ask /api/sync-claims to set an account's role, teams and linked IDs (admins only).
+// target is { uid } or { email }; idToken defaults to the signed-in admin's token.
+async function syncUserClaims(target, idToken = null) {
+    const token = idToken || await firebase.auth().currentUser.getIdToken();
+    const response = await fetch('/api/sync-claims', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(target)
+    });
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+        throw new Error(result.error || `Claims sync failed (${response.status})`);
+    }
+    return result;
+}
+
+// Refresh the signed-in account's linked Praveshika IDs once per browser session,
+// so registrations approved since the last login are covered by the token
+async function refreshOwnClaims(user) {
+    const sessionKey = 'claimsRefreshed_' + user.uid;
+    if (sessionStorage.getItem(sessionKey)) return;
+
+    try {
+        const response = await fetch('/api/sync-claims', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${await user.getIdToken()}`
+            },
+            body: JSON.stringify({})
+        });
+        if (response.ok) {
+            sessionStorage.setItem(sessionKey, '1');
+            await user.getIdToken(true);
+        }
+    } catch (error) {
+        console.warn('Could not refresh account claims:', error);
+    }
+}
+
 // Update UI based on auth state
 function updateAuthUI() {
     // Wait for Firebase to be initialized
@@ -1861,6 +1886,11 @@ async function handleAuthStateChange(user) {
         authInitializing = false;
     }
     
+    if (isKioskMode()) {
+        await handleKioskAuthState(user);
+        return;
+    }
+    
     // Update lastLoginAt timestamp when user logs in
     if (user && window.firebase && firebase.firestore) {
         const db = firebase.firestore();
@@ -1874,6 +1904,7 @@ async function handleAuthStateChange(user) {
                 console.error('Error updating lastLoginAt:', error);
             }
         }
+        await refreshOwnClaims(user);
     }
     
     const loginBtn = document.querySelector('.header-actions .login-btn');
@@ -1889,6 +1920,14 @@ async function handleAuthStateChange(user) {
     const adminDashboardNavItem = document.getElementById('adminDashboardNavItem');
     const userManagementNavItem = document.getElementById('userManagementNavItem');
     const participantLookupNavItem = document.getElementById('participantLookupNavItem');
+    const communicationsNavItem = document.getElementById('communicationsNavItem');
+    const accommodationNavItem = document.getElementById('accommodationNavItem');
+    const approvalsNavItem = document.getElementById('approvalsNavItem');
+    const badgesNavItem = document.getElementById('badgesNavItem');
+    const ganveshstockNavItem = document.getElementById('ganveshstockNavItem');
+    const shulkNavItem = document.getElementById('shulkNavItem');
+    const bhojanNavItem = document.getElementById('bhojanNavItem');
+    const registerNavItem = document.getElementById('registerNavItem');
     
     if (user) {
         // Check user roles
@@ -1897,6 +1936,7 @@ async function handleAuthStateChange(user) {
         const canPerformCheckinUser = await canPerformCheckin(user);
         const canViewDashboardUser = await canViewDashboard(user);
         const isVolunteerUser = await isVolunteer(user);
+        coordinatorZone = await getCoordinatorZone(user);
         
         // User is logged in
         if (loginBtn) {
@@ -1929,6 +1969,14 @@ async function handleAuthStateChange(user) {
             if (adminDashboardNavItem) adminDashboardNavItem.style.display = 'none';
             if (userManagementNavItem) userManagementNavItem.style.display = 'none';
             if (participantLookupNavItem) participantLookupNavItem.style.display = 'none';
+            if (communicationsNavItem) communicationsNavItem.style.display = 'none';
+            if (accommodationNavItem) accommodationNavItem.style.display = 'none';
+            if (approvalsNavItem) approvalsNavItem.style.display = 'none';
+            if (badgesNavItem) badgesNavItem.style.display = 'none';
+            if (ganveshstockNavItem) ganveshstockNavItem.style.display = 'none';
+            if (shulkNavItem) shulkNavItem.style.display = 'none';
+            if (bhojanNavItem) bhojanNavItem.style.display = 'none';
+            if (registerNavItem) registerNavItem.style.display = 'none';
             
             if (checkinNavItem && canPerformCheckinUser) {
                 checkinNavItem.style.display = '';
@@ -1951,6 +1999,9 @@ async function handleAuthStateChange(user) {
             if (mediaNavItem) {
                 mediaNavItem.style.display = 'none';
             }
+            if (registerNavItem) {
+                registerNavItem.style.display = 'none';
+            }
             
             // Show protected tabs for all authenticated shibirarthis/admins
             if (shibirarthiNavItem) {
@@ -1981,9 +2032,9 @@ async function handleAuthStateChange(user) {
                 }
             }
             
-            // Show admin dashboard for both superadmins and admins
+            // Show admin dashboard for superadmins, admins and zone coordinators (their zone only)
             if (adminDashboardNavItem) {
-                if (isAdminUser) {
+                if (canViewDashboardUser) {
                     adminDashboardNavItem.style.display = '';
                 } else {
                     adminDashboardNavItem.style.display = 'none';
@@ -1999,18 +2050,83 @@ async function handleAuthStateChange(user) {
                 }
             }
             
-            // Show participant lookup for both superadmins and admins
+            // Show participant lookup for superadmins, admins and zone coordinators (their zone only)
             if (participantLookupNavItem) {
-                if (isAdminUser) {
+                if (canViewDashboardUser) {
                     participantLookupNavItem.style.display = '';
                 } else {
                     participantLookupNavItem.style.display = 'none';
                 }
             }
+            
+            // Show communications for both superadmins and admins
+            if (communicationsNavItem) {
+                if (isAdminUser) {
+                    communicationsNavItem.style.display = '';
+                } else {
+                    communicationsNavItem.style.display = 'none';
+                }
+            }
+            
+            // Show accommodation allocation for both superadmins and admins
+            if (accommodationNavItem) {
+                if (isAdminUser) {
+                    accommodationNavItem.style.display = '';
+                } else {
+                    accommodationNavItem.style.display = 'none';
+                }
+            }
+            
+            // Show registration approvals for both superadmins and admins
+            if (approvalsNavItem) {
+                if (isAdminUser) {
+                    approvalsNavItem.style.display = '';
+                } else {
+                    approvalsNavItem.style.display = 'none';
+                }
+            }
+            
+            // Show bulk badge printing for both superadmins and admins
+            if (badgesNavItem) {
+                if (isAdminUser) {
+                    badgesNavItem.style.display = '';
+                } else {
+                    badgesNavItem.style.display = 'none';
+                }
+            }
+            
+            // Show ganvesh stock for both superadmins and admins
+            if (ganveshstockNavItem) {
+                if (isAdminUser) {
+                    ganveshstockNavItem.style.display = '';
+                } else {
+                    ganveshstockNavItem.style.display = 'none';
+                }
+            }
+            
+            // Show shulk ledger for both superadmins and admins
+            if (shulkNavItem) {
+                if (isAdminUser) {
+                    shulkNavItem.style.display = '';
+                } else {
+                    shulkNavItem.style.display = 'none';
+                }
+            }
+            
+            // Show bhojan forecast for both superadmins and admins
+            if (bhojanNavItem) {
+                if (isAdminUser) {
+                    bhojanNavItem.style.display = '';
+                } else {
+                    bhojanNavItem.style.display = 'none';
+                }
+            }
         }
     } else {
         // User is logged out - clear shibir resources
         clearShibirResources();
+        stopOccupancyListener();
+        coordinatorZone = null;
         
         // User is logged out
         if (loginBtn) {
@@ -2028,6 +2144,9 @@ async function handleAuthStateChange(user) {
         if (mediaNavItem) {
             mediaNavItem.style.display = '';
         }
+        if (registerNavItem) {
+            registerNavItem.style.display = '';
+        }
         
         // Hide protected tabs
         if (shibirarthiNavItem) {
@@ -2057,6 +2176,27 @@ async function handleAuthStateChange(user) {
         if (participantLookupNavItem) {
             participantLookupNavItem.style.display = 'none';
         }
+        if (communicationsNavItem) {
+            communicationsNavItem.style.display = 'none';
+        }
+        if (accommodationNavItem) {
+            accommodationNavItem.style.display = 'none';
+        }
+        if (approvalsNavItem) {
+            approvalsNavItem.style.display = 'none';
+        }
+        if (badgesNavItem) {
+            badgesNavItem.style.display = 'none';
+        }
+        if (ganveshstockNavItem) {
+            ganveshstockNavItem.style.display = 'none';
+        }
+        if (shulkNavItem) {
+            shulkNavItem.style.display = 'none';
+        }
+        if (bhojanNavItem) {
+            bhojanNavItem.style.display = 'none';
+        }
         
         // If user is on protected tab, redirect to home
         const currentHash = window.location.hash.substring(1);
@@ -2098,7 +2238,8 @@ function extractProfileData(data, userData = null, userEmail = '') {
         emergencyContactNumber: data.emergencyContactNumber || data['Emergency Contact Number'] || '',
         emergencyContactRelation: data.emergencyContactRelation || data['Relationship of Emergency Contact Person'] || '',
         pickupNeeded: data.pickupNeeded || data['Do you need a pickup on arrival?'] || '',
-        dropoffNeeded: data.dropoffNeeded || data['Do you need a drop off for departure?'] || ''
+        dropoffNeeded: data.dropoffNeeded || data['Do you need a drop off for departure?'] || '',
+        room: formatRoomLabel(data.roomBuilding, data.roomNumber)
     };
 }
 
@@ -2116,18 +2257,19 @@ function createProfileCardHTML(profileData, index, isExpanded = false) {
             gender, age, occupation, educationalQual, zone, ganveshSize, sanghYears, hssResponsibility,
             currentResponsibility, otherOrgResponsibility, shikshaVarg, emergencyContactName,
             emergencyContactNumber, emergencyContactRelation, pickupNeeded, dropoffNeeded,
-            accommodation, ganaNumber, vahiniNumber, anikiniNumber } = profileData;
+            accommodation, ganaNumber, vahiniNumber, anikiniNumber, room } = profileData;
     
                 const safeName = escapeHtml(name || '');
                 const safeUniqueId = escapeHtml(uniqueId || '');
                 const safeCountry = escapeHtml(country || '');
                 const safeShreni = escapeHtml(shreni || '');
                 const safeBarcode = escapeHtml(barcode || uniqueId || '');
+                const safeRoom = escapeHtml(room || '');
                 
     return `
         <div class="profile-tab-pane ${isExpanded ? 'active' : ''}" id="profileTab${index}" style="display: ${isExpanded ? 'block' : 'none'};">
                 <div class="user-profile-card-actions">
-                    <button class="btn btn-primary btn-sm" onclick="event.stopPropagation(); showBadge('${safeName}', '${safeCountry}', '${safeShreni}', '${safeBarcode}', '${safeUniqueId}');">
+                    <button class="btn btn-primary btn-sm" onclick="event.stopPropagation(); showBadge('${safeName}', '${safeCountry}', '${safeShreni}', '${safeBarcode}', '${safeUniqueId}', '${safeRoom}');">
                             📇 View Badge
                         </button>
                     </div>
@@ -2258,10 +2400,14 @@ function createProfileCardHTML(profileData, index, isExpanded = false) {
                                 </div>
                             </div>
                         </div>
-                        ${accommodation || ganaNumber || vahiniNumber || anikiniNumber ? `
+                        ${accommodation || room || ganaNumber || vahiniNumber || anikiniNumber ? `
                         <div class="profile-tile">
                             <h4 class="tile-title">Shibir Assignment</h4>
                             <div class="tile-content">
+                                ${room ? `<div class="info-item">
+                                    <span class="info-label">Room</span>
+                                    <span class="info-value">${formatValue(room)}</span>
+                                </div>` : ''}
                                 ${accommodation ? `<div class="info-item">
                                     <span class="info-label">Accommodation</span>
                                     <span class="info-value">${formatValue(accommodation)}</span>
@@ -2696,9 +2842,14 @@ function loadUserProfile(user) {
                                 <h3>Checkin Status</h3>
                                 <div id="checkinStatusContent">Loading checkin status...</div>
                             </div>
+                            <div id="shulkPaymentsSection" class="checkin-status-section" style="margin-top: 2rem; padding-top: 2rem; border-top: 2px solid #e0e0e0;">
+                                <h3>Shulk Payments</h3>
+                                <div id="shulkPaymentsContent">Loading payments...</div>
+                            </div>
                         `;
                         // Load checkin status for all uniqueIds
                         loadCheckinStatusForProfile(allUniqueIdsForCheckin);
+                        loadShulkPaymentsForProfile(allUniqueIdsForCheckin);
                     });
             })
             .catch((error) => {
@@ -3652,6 +3803,8 @@ function saveTransportationSection(uniqueId, section) {
     let pickupLocation = '';
     let pickupNeeded = '';
     let dropoffNeeded = '';
+    let arrivalFlight = null;
+    let departureFlight = null;
 
     if (section === 'arrival') {
         pickupNeeded = document.getElementById('pickupNeeded')?.value.trim() || '';
@@ -3679,6 +3832,12 @@ function saveTransportationSection(uniqueId, section) {
                 showNotification('Please specify the other pickup location.', 'error');
                 return;
             }
+            
+            // Unrecognised numbers are saved as typed, without a carrier and number
+            arrivalFlight = parseFlightTrainNumber(flightTrainNumber);
+            if (!arrivalFlight.valid) {
+                showNotification(`Arrival Flight/Train Number: ${arrivalFlight.error}. Saving it as entered; please double-check it.`, 'warning');
+            }
         } else {
             // If No, clear all arrival fields
             pickupLocation = '';
@@ -3712,6 +3871,11 @@ function saveTransportationSection(uniqueId, section) {
                 showNotification('Please specify the other drop off location.', 'error');
                 return;
             }
+            
+            departureFlight = parseFlightTrainNumber(returnFlightTrainNumber);
+            if (!departureFlight.valid) {
+                showNotification(`Departure Flight/Train Number: ${departureFlight.error}. Saving it as entered; please double-check it.`, 'warning');
+            }
         } else {
             // If No, clear all return fields
             dropoffLocation = '';
@@ -3792,17 +3956,24 @@ function saveTransportationSection(uniqueId, section) {
                             updateData.arrivalDate = arrivalDate;
                             updateData.arrivalTime = arrivalTime;
                             updateData.arrivalFlightTrain = flightTrainNumber;
+                            updateData.arrivalCarrier = arrivalFlight ? arrivalFlight.carrier : '';
+                            updateData.arrivalNumber = arrivalFlight ? arrivalFlight.number : '';
                             updateData.pickupNeeded = pickupNeeded;
                         } else if (section === 'return') {
                             updateData.departureDate = returnDate;
                             updateData.departureTime = returnTime;
                             updateData.departurePlace = dropoffLocation;
                             updateData.departureFlightTrain = returnFlightTrainNumber;
+                            updateData.departureCarrier = departureFlight ? departureFlight.carrier : '';
+                            updateData.departureNumber = departureFlight ? departureFlight.number : '';
                             updateData.dropoffNeeded = dropoffNeeded;
                         }
                         
                         // Use set with merge: true
-                        return db.collection('registrations').doc(uniqueId).set(updateData, { merge: true });
+                        const auditChanges = buildAuditChanges(existingData, updateData);
+                        return commitAuditedRegistrationWrite(uniqueId, 'transportation_update', auditChanges,
+                            batch => batch.set(db.collection('registrations').doc(uniqueId), updateData, { merge: true }),
+                            { section: section });
                     });
             })
             .then(() => {
@@ -3972,6 +4143,12 @@ function toggleReturnFields() {
 }
 
 // Validate transportation section (helper for onchange)
+// ============================================
+// FLIGHT / TRAIN NUMBER PARSING
+// ============================================
+
+// IATA_AIRLINES and parseFlightTrainNumber come from flight-parser.js (shared with firestore-utils.js)
+
 function validateTransportationSection(section) {
     let isValid = true;
     let saveButton = null;
@@ -4012,6 +4189,13 @@ function validateTransportationSection(section) {
                 if (input) input.style.borderColor = '';
             });
         }
+        
+        // Flight/train numbers that are not an IATA flight or an Indian train number are
+        // highlighted but can still be saved (the transport team fixes them by hand)
+        if (flightTrainNumber && !parseFlightTrainNumber(flightTrainNumber).valid) {
+            const input = document.getElementById('flightTrainNumber');
+            if (input) input.style.borderColor = '#f0ad4e';
+        }
     } else if (section === 'return') {
         const dropoffLocationSelect = document.getElementById('dropoffLocation')?.value.trim();
         const dropoffLocationOther = document.getElementById('dropoffLocationOther')?.value.trim();
@@ -4051,6 +4235,11 @@ function validateTransportationSection(section) {
             const dropoffLocationOtherInput = document.getElementById('dropoffLocationOther');
             if (dropoffLocationOtherInput) dropoffLocationOtherInput.style.borderColor = '';
         }
+        
+        if (returnFlightTrainNumber && !parseFlightTrainNumber(returnFlightTrainNumber).valid) {
+            const input = document.getElementById('returnFlightTrainNumber');
+            if (input) input.style.borderColor = '#f0ad4e';
+        }
     }
     
     // Enable/disable save button based on validation
@@ -4570,7 +4759,9 @@ function saveToursInfo(uniqueId) {
                         };
                         
                         // Use set with merge: true to update postShibirTour field
-                        return db.collection('registrations').doc(uniqueId).set(updateData, { merge: true });
+                        const auditChanges = buildAuditChanges(existingData, updateData);
+                        return commitAuditedRegistrationWrite(uniqueId, 'tour_update', auditChanges,
+                            batch => batch.set(db.collection('registrations').doc(uniqueId), updateData, { merge: true }));
                     });
             })
             .then(() => {
@@ -4598,10 +4789,38 @@ function saveToursInfo(uniqueId) {
 }
 
 // Admin Dashboard Functions
+// Dashboard stats are cached per zone so a coordinator never sees another zone's cached data
+function getDashboardCacheKey() {
+    return coordinatorZone ? `adminDashboardStatsCache_${coordinatorZone}` : 'adminDashboardStatsCache';
+}
+
+// Show the coordinator's zone in the header and hide sections that span all zones
+function applyDashboardZoneScope() {
+    const scopeEl = document.getElementById('dashboardZoneScope');
+    if (scopeEl) {
+        scopeEl.textContent = coordinatorZone ? `Showing registrations for zone ${coordinatorZone} only` : '';
+        scopeEl.style.display = coordinatorZone ? 'block' : 'none';
+    }
+    document.querySelectorAll('.admin-only-section').forEach(el => {
+        el.style.display = coordinatorZone ? 'none' : '';
+    });
+    
+    // Upasthita counts come from check-ins, which zone coordinators cannot read
+    const statusFilter = document.getElementById('dashboardStatusFilter');
+    const checkedInOption = statusFilter?.querySelector('option[value="checkedin"]');
+    if (checkedInOption) {
+        checkedInOption.hidden = !!coordinatorZone;
+        checkedInOption.disabled = !!coordinatorZone;
+        if (coordinatorZone && statusFilter.value === 'checkedin') {
+            statusFilter.value = 'registered';
+        }
+    }
+}
+
 async function loadAdminDashboard(user) {
-    // Verify user is admin (superadmin or admin)
-    const isAdminUser = await isAdmin(user);
-    if (!isAdminUser) {
+    // Verify user is admin (superadmin or admin) or a zone coordinator
+    const canView = await canViewDashboard(user);
+    if (!canView) {
         const loadingDiv = document.getElementById('adminDashboardLoading');
         if (loadingDiv) {
             loadingDiv.innerHTML = '<p style="color: red;">Access denied. You do not have permission to view this dashboard.</p>';
@@ -4622,6 +4841,9 @@ async function loadAdminDashboard(user) {
         return;
     }
     
+    coordinatorZone = await getCoordinatorZone(user);
+    applyDashboardZoneScope();
+    
     // Set a timeout to prevent infinite loading (30 seconds)
     const loadingTimeout = setTimeout(() => {
         if (loadingDiv.style.display !== 'none') {
@@ -4642,7 +4864,7 @@ async function loadAdminDashboard(user) {
     
     try {
         const db = firebase.firestore();
-        const CACHE_KEY = 'adminDashboardStatsCache';
+        const CACHE_KEY = getDashboardCacheKey();
         const CACHE_MAX_AGE = 60 * 60 * 1000; // 1 hour in milliseconds
         
         // Check cache first
@@ -4659,19 +4881,21 @@ async function loadAdminDashboard(user) {
             window.dashboardRegistrations = registrations;
         } else {
             // Cache expired or missing - fetch fresh data
-            // Fetch all registrations (only approved remain after migration)
-            const registrationsSnapshot = await db.collection('registrations').get();
+            // Fetch all registrations (only approved remain after migration), or the coordinator's zone
+            const registrationsSnapshot = await getRegistrationsQuery(db).get();
             registrations = [];
             registrationsSnapshot.forEach(doc => {
                 registrations.push(doc.data());
             });
             
-            // Fetch all users
-            const usersSnapshot = await db.collection('users').get();
+            // Fetch all users (zone coordinators cannot read user accounts)
             users = [];
-            usersSnapshot.forEach(doc => {
-                users.push(doc.data());
-            });
+            if (!coordinatorZone) {
+                const usersSnapshot = await db.collection('users').get();
+                usersSnapshot.forEach(doc => {
+                    users.push(doc.data());
+                });
+            }
             
             // Calculate statistics
             stats = calculateStatistics(registrations, users);
@@ -4728,6 +4952,9 @@ async function loadAdminDashboard(user) {
             console.error('Error loading transportation analytics:', error);
         }
         
+        // Check-ins, the change log and the ganvesh/shulk summaries span all zones
+        if (coordinatorZone) return;
+        
         try {
             // Load transportation changes (default to "all") - non-blocking
             loadTransportationChanges('all').catch(error => {
@@ -4746,6 +4973,31 @@ async function loadAdminDashboard(user) {
             console.error('Error initiating checkin analytics load:', error);
         }
         
+        try {
+            // Keep the on-campus headcount live while the dashboard is open
+            startOccupancyListener();
+        } catch (error) {
+            console.error('Error starting occupancy listener:', error);
+        }
+        
+        try {
+            // Load ganvesh shortages and substitutions - non-blocking
+            loadGanveshDashboardSummary(window.dashboardRegistrations || []).catch(error => {
+                console.error('Error loading ganvesh summary:', error);
+            });
+        } catch (error) {
+            console.error('Error initiating ganvesh summary load:', error);
+        }
+        
+        try {
+            // Load shulk balances by zone - non-blocking
+            loadShulkZoneBalances(window.dashboardRegistrations || []).catch(error => {
+                console.error('Error loading shulk balances:', error);
+            });
+        } catch (error) {
+            console.error('Error initiating shulk balances load:', error);
+        }
+        
     } catch (error) {
         // Clear timeout
         clearTimeout(loadingTimeout);
@@ -4753,7 +5005,7 @@ async function loadAdminDashboard(user) {
         console.error('Error loading admin dashboard:', error);
         
         // Clear potentially corrupted cache
-        const CACHE_KEY = 'adminDashboardStatsCache';
+        const CACHE_KEY = getDashboardCacheKey();
         try {
             localStorage.removeItem(CACHE_KEY);
         } catch (e) {
@@ -4763,7 +5015,7 @@ async function loadAdminDashboard(user) {
         loadingDiv.innerHTML = `
             <p style="color: red;">Error loading dashboard data: ${error.message || error}</p>
             <p style="margin-top: 1rem;">
-                <button onclick="localStorage.removeItem('adminDashboardStatsCache'); window.location.reload();" 
+                <button onclick="localStorage.removeItem('${CACHE_KEY}'); window.location.reload();" 
                         class="btn btn-primary" style="padding: 0.5rem 1rem;">
                     Clear Cache & Retry
                 </button>
@@ -4775,7 +5027,7 @@ async function loadAdminDashboard(user) {
 // Registration Status Management Functions
 
 // Move registration to cancelled collection
-async function moveToCancelled(uniqueId, reason = '') {
+async function moveToCancelled(uniqueId, reason = '', auditExtra = {}) {
     if (!window.firebase || !firebase.firestore) {
         throw new Error('Firebase not initialized');
     }
@@ -4801,18 +5053,23 @@ async function moveToCancelled(uniqueId, reason = '') {
         
         const regData = regDoc.data();
         
-        // Copy to cancelledRegistrations
-        await db.collection('cancelledRegistrations').doc(uniqueId).set({
-            ...regData,
-            status: 'Cancelled',
-            cancelledAt: firebase.firestore.FieldValue.serverTimestamp(),
-            cancelledBy: user.uid,
-            cancelledByName: (await getUserData(user))?.name || user.email || 'Unknown',
-            cancellationReason: reason
-        });
-        
-        // Delete from registrations
-        await db.collection('registrations').doc(uniqueId).delete();
+        const cancelledByName = (await getUserData(user))?.name || user.email || 'Unknown';
+        
+        // Copy to cancelledRegistrations and delete from registrations, together with the audit entry
+        await commitAuditedRegistrationWrite(uniqueId, 'cancel', [
+            { field: 'status', before: regData.status || null, beforeExisted: regData.status !== undefined, after: 'Cancelled' },
+            { field: 'collection', before: 'registrations', beforeExisted: true, after: 'cancelledRegistrations' }
+        ], batch => {
+            batch.set(db.collection('cancelledRegistrations').doc(uniqueId), {
+                ...regData,
+                status: 'Cancelled',
+                cancelledAt: firebase.firestore.FieldValue.serverTimestamp(),
+                cancelledBy: user.uid,
+                cancelledByName: cancelledByName,
+                cancellationReason: reason
+            });
+            batch.delete(db.collection('registrations').doc(uniqueId));
+        }, { reason: reason || null, ...auditExtra });
         
         // Update emailToUids mapping - remove this UID
         // NOTE: This is best-effort and may be blocked by security rules;
@@ -4853,7 +5110,7 @@ async function moveToCancelled(uniqueId, reason = '') {
 }
 
 // Restore registration from cancelled collection
-async function restoreFromCancelled(uniqueId) {
+async function restoreFromCancelled(uniqueId, auditExtra = {}) {
     if (!window.firebase || !firebase.firestore) {
         throw new Error('Firebase not initialized');
     }
@@ -4882,17 +5139,22 @@ async function restoreFromCancelled(uniqueId) {
         // Remove cancellation-specific fields
         const { cancelledAt, cancelledBy, cancelledByName, cancellationReason, migratedAt, originalCollection, originalStatus, ...cleanData } = regData;
         
-        // Copy to registrations
-        await db.collection('registrations').doc(uniqueId).set({
-            ...cleanData,
-            status: 'Approved',
-            restoredAt: firebase.firestore.FieldValue.serverTimestamp(),
-            restoredBy: user.uid,
-            restoredByName: (await getUserData(user))?.name || user.email || 'Unknown'
-        });
-        
-        // Delete from cancelledRegistrations
-        await db.collection('cancelledRegistrations').doc(uniqueId).delete();
+        const restoredByName = (await getUserData(user))?.name || user.email || 'Unknown';
+        
+        // Copy to registrations and delete from cancelledRegistrations, together with the audit entry
+        await commitAuditedRegistrationWrite(uniqueId, 'restore', [
+            { field: 'status', before: regData.status || 'Cancelled', beforeExisted: true, after: 'Approved' },
+            { field: 'collection', before: 'cancelledRegistrations', beforeExisted: true, after: 'registrations' }
+        ], batch => {
+            batch.set(db.collection('registrations').doc(uniqueId), {
+                ...cleanData,
+                status: 'Approved',
+                restoredAt: firebase.firestore.FieldValue.serverTimestamp(),
+                restoredBy: user.uid,
+                restoredByName: restoredByName
+            });
+            batch.delete(db.collection('cancelledRegistrations').doc(uniqueId));
+        }, auditExtra);
         
         // Update emailToUids mapping - add this UID back
         const email = regData.email || '';
@@ -4930,30 +5192,8 @@ async function restoreFromCancelled(uniqueId) {
 
 // User Management Functions
 
-// Generate a secure random password
-function generateSecurePassword(length = 12) {
-    const charset = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*';
-    let password = '';
-    const crypto = window.crypto || window.msCrypto;
-    
-    if (crypto && crypto.getRandomValues) {
-        const values = new Uint32Array(length);
-        crypto.getRandomValues(values);
-        for (let i = 0; i < length; i++) {
-            password += charset[values[i] % charset.length];
-        }
-    } else {
-        // Fallback for older browsers
-        for (let i = 0; i < length; i++) {
-            password += charset[Math.floor(Math.random() * charset.length)];
-        }
-    }
-    
-    return password;
-}
-
 // Create a new user (volunteer or admin)
-async function createNewUser(name, email, uniqueId, role, volunteerTeams = []) {
+async function createNewUser(name, email, uniqueId, role, volunteerTeams = [], zone = '') {
     if (!window.firebase || !firebase.auth || !firebase.firestore) {
         throw new Error('Firebase not initialized');
     }
@@ -4976,8 +5216,11 @@ async function createNewUser(name, email, uniqueId, role, volunteerTeams = []) {
     if (!uniqueId || !uniqueId.trim()) {
         throw new Error('ID is required');
     }
-    if (!role || (role !== 'volunteer' && role !== 'admin' && role !== 'shibirarthi')) {
-        throw new Error('Role must be either "volunteer", "admin", or "shibirarthi"');
+    if (!role || (role !== 'volunteer' && role !== 'admin' && role !== 'zone_coordinator' && role !== 'shibirarthi')) {
+        throw new Error('Role must be either "volunteer", "admin", "zone_coordinator", or "shibirarthi"');
+    }
+    if (role === 'zone_coordinator' && !REGISTRATION_ZONES[zone]) {
+        throw new Error(`Zone coordinators need a zone (${Object.keys(REGISTRATION_ZONES).join(', ')})`);
     }
     
     // Validate email format if provided
@@ -4992,14 +5235,7 @@ async function createNewUser(name, email, uniqueId, role, volunteerTeams = []) {
     const trimmedName = name.trim();
     const trimmedUniqueId = uniqueId.trim();
     
-    // Generate secure random password
-    // const tempPassword = generateSecurePassword(12);
-    const tempPassword = "Vss@2025";
-    
     try {
-        // Store current auth credentials to restore later
-        const currentUserEmail = currentUser.email;
-        
         // Handle different collections based on role
         const normalizedId = trimmedUniqueId.toLowerCase().replace(/[/-]/g, '');
         const db = firebase.firestore();
@@ -5047,6 +5283,13 @@ async function createNewUser(name, email, uniqueId, role, volunteerTeams = []) {
                         email: emailLower
                     });
                 }
+                
+                // An existing account with this email gets the new ID in its claims
+                try {
+                    await syncUserClaims({ email: emailLower });
+                } catch (claimsError) {
+                    console.warn('Could not sync claims for', emailLower, claimsError);
+                }
             }
             
             // Return success without creating auth user
@@ -5057,34 +5300,10 @@ async function createNewUser(name, email, uniqueId, role, volunteerTeams = []) {
                 name: trimmedName,
                 uniqueId: trimmedUniqueId,
                 role: role,
-                temporaryPassword: null,
-                needsReauth: false,
-                adminEmail: currentUserEmail
+                temporaryPassword: null
             };
         } else {
-            // For volunteers/admins, create auth user
-            // If no email provided, generate a placeholder email using the uniqueId
-            const userEmail = trimmedEmail || `${trimmedUniqueId}@placeholder.local`;
-            
-            // Create the user account
-            // NOTE: This will sign out the current user and sign in the new user
-            const userCredential = await firebase.auth().createUserWithEmailAndPassword(userEmail, tempPassword);
-            const newUser = userCredential.user;
-            
-            // Create user document in Firestore
-            await db.collection('users').doc(newUser.uid).set({
-                email: trimmedEmail || null,
-                name: trimmedName,
-                uniqueId: trimmedUniqueId,
-                role: role,
-                volunteerTeams: role === 'volunteer' ? volunteerTeams : [],
-                country: 'Bharat',
-                shreni: 'Volunteer',
-                createdAt: firebase.firestore.FieldValue.serverTimestamp(),
-                createdBy: currentUser.uid
-            });
-            // For volunteers/admins, create a record in nonShibirarthiUsers collection
-            // This allows them to have profile information like shibirarthi
+            // For volunteers/admins, the staff record comes first: api/sync-claims reads roles from it
             await db.collection('nonShibirarthiUsers').doc(trimmedUniqueId).set({
                 uniqueId: trimmedUniqueId,
                 normalizedId: normalizedId,
@@ -5096,48 +5315,55 @@ async function createNewUser(name, email, uniqueId, role, volunteerTeams = []) {
                 Shreni: 'Volunteer',
                 role: role,
                 volunteerTeams: role === 'volunteer' ? volunteerTeams : [],
+                zone: role === 'zone_coordinator' ? zone : null,
                 createdAt: firebase.firestore.FieldValue.serverTimestamp(),
                 createdBy: currentUser.uid
             });
             
-            // Sign out the newly created user
-            await firebase.auth().signOut();
-            
-            // Send password reset email to the new user (only if email provided)
-            if (trimmedEmail) {
-                try {
-                    await firebase.auth().sendPasswordResetEmail(trimmedEmail);
-                } catch (emailError) {
-                    console.warn('Could not send password reset email:', emailError);
-                }
+            // The login account and users/{uid} document are created server-side, so the admin stays signed in.
+            // Without an email the account signs in as <ID>@placeholder.local with the returned password.
+            const response = await fetch('/api/create-auth-users', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${await currentUser.getIdToken()}`
+                },
+                body: JSON.stringify({
+                    users: [{
+                        email: trimmedEmail || null,
+                        name: trimmedName,
+                        uniqueId: trimmedUniqueId,
+                        role: role,
+                        volunteerTeams: role === 'volunteer' ? volunteerTeams : [],
+                        zone: role === 'zone_coordinator' ? zone : null
+                    }]
+                })
+            });
+            const authResult = await response.json();
+            const created = authResult.results && authResult.results[0];
+            if (!response.ok || !created || !created.success) {
+                throw new Error((created && created.error) || authResult.error || `Account creation failed (${response.status})`);
             }
             
             return {
                 success: true,
-                uid: newUser.uid,
+                uid: created.uid,
                 email: trimmedEmail || 'No email provided',
                 name: trimmedName,
                 uniqueId: trimmedUniqueId,
                 role: role,
-                temporaryPassword: tempPassword,
-                needsReauth: true,
-                adminEmail: currentUserEmail
+                temporaryPassword: created.temporaryPassword || null,
+                emailSent: !!created.emailSent,
+                emailError: created.emailError || null,
+                // The API sets the role, teams and zone claims when it creates the account
+                claimsSynced: created.claimsSet !== false
             };
         }
         
     } catch (error) {
         console.error('Error creating user:', error);
         
-        // Handle specific error cases
-        if (error.code === 'auth/email-already-in-use') {
-            throw new Error('This email is already in use');
-        } else if (error.code === 'auth/invalid-email') {
-            throw new Error('Invalid email address');
-        } else if (error.code === 'auth/weak-password') {
-            throw new Error('Password is too weak');
-        } else {
-            throw new Error(error.message || 'Failed to create user');
-        }
+        throw new Error(error.message || 'Failed to create user');
     }
 }
 
@@ -5158,9 +5384,9 @@ async function loadUserManagement() {
         
         const db = firebase.firestore();
         
-        // Fetch all users from nonShibirarthiUsers collection (volunteers and admins)
+        // Fetch all users from nonShibirarthiUsers collection (volunteers, admins and zone coordinators)
         const usersSnapshot = await db.collection('nonShibirarthiUsers')
-            .where('role', 'in', ['volunteer', 'admin'])
+            .where('role', 'in', ['volunteer', 'admin', 'zone_coordinator'])
             .get();
         
         const users = [];
@@ -5213,8 +5439,10 @@ async function loadUserManagementPage(user) {
     }
     
     try {
-        // Load user management data
+        // Load user management data and the check-in types/teams volunteers can be assigned
         await loadUserManagement();
+        await loadCheckinConfigEditor();
+        await loadKioskDevices();
         
         // Show data div, hide loading
         loadingDiv.style.display = 'none';
@@ -5272,6 +5500,9 @@ function displayUserManagementUI(users) {
                     ${user.role === 'volunteer' && Array.isArray(user.volunteerTeams) && user.volunteerTeams.length > 0
                         ? `<div style="margin-top: 0.25rem; font-size: 0.8em; color: #555;">Teams: ${escapeHtml(user.volunteerTeams.join(', '))}</div>`
                         : ''}
+                    ${user.role === 'zone_coordinator' && user.zone
+                        ? `<div style="margin-top: 0.25rem; font-size: 0.8em; color: #555;">Zone: ${escapeHtml(REGISTRATION_ZONES[user.zone] || user.zone)}</div>`
+                        : ''}
                 </td>
                 <td>${createdDate}</td>
                 <td>
@@ -5407,9 +5638,9 @@ async function deleteUser(uniqueId, name, email) {
             
             // Last resort: scan all users with role volunteer/admin and match uniqueId
             if (!deletedFromUsers) {
-                console.log('Scanning all volunteer/admin users to find match...');
+                console.log('Scanning all volunteer/admin/zone coordinator users to find match...');
                 const allUsersSnapshot = await db.collection('users')
-                    .where('role', 'in', ['volunteer', 'admin'])
+                    .where('role', 'in', ['volunteer', 'admin', 'zone_coordinator'])
                     .get();
                 for (const doc of allUsersSnapshot.docs) {
                     const data = doc.data();
@@ -5483,11 +5714,11 @@ async function deleteUser(uniqueId, name, email) {
                 const response = await fetch('/api/delete-auth-user', {
                     method: 'POST',
                     headers: {
-                        'Content-Type': 'application/json'
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${adminToken}`
                     },
                     body: JSON.stringify({
-                        email: email,
-                        adminToken: adminToken
+                        email: email
                     })
                 });
                 
@@ -5506,7 +5737,11 @@ async function deleteUser(uniqueId, name, email) {
                     }
                 } else {
                     // API endpoint doesn't exist (local development) or server error
-                    if (response.status === 404 || response.status === 501) {
+                    if (response.status === 401) {
+                        showNotification('Your session has expired. Please log in again to delete the Auth account.', 'error');
+                    } else if (response.status === 403) {
+                        showNotification('Only admins can delete Auth accounts.', 'error');
+                    } else if (response.status === 404 || response.status === 501) {
                         console.warn('Auth deletion API not available (local development). Auth account must be deleted manually from Firebase Console.');
                     } else {
                         const errorText = await response.text();
@@ -5565,11 +5800,19 @@ async function deleteUser(uniqueId, name, email) {
 function handleRoleChange() {
     const roleSelect = document.getElementById('newUserRole');
     const volunteerTeamsGroup = document.getElementById('volunteerTeamsGroup');
+    const coordinatorZoneGroup = document.getElementById('coordinatorZoneGroup');
     
     if (!roleSelect || !volunteerTeamsGroup) return;
     
     const role = roleSelect.value;
     
+    // Show the zone picker only for zone coordinators
+    if (coordinatorZoneGroup) {
+        coordinatorZoneGroup.style.display = role === 'zone_coordinator' ? 'block' : 'none';
+        const zoneSelect = document.getElementById('newUserZone');
+        if (zoneSelect && role !== 'zone_coordinator') zoneSelect.value = '';
+    }
+    
     // Show volunteer teams only for volunteer role
     if (role === 'volunteer') {
         volunteerTeamsGroup.style.display = 'block';
@@ -5600,6 +5843,7 @@ async function handleUserCreationSubmit(event) {
     const email = emailInput.value.trim();
     const uniqueId = idInput ? idInput.value.trim() : '';
     const role = roleSelect.value;
+    const zone = role === 'zone_coordinator' ? (document.getElementById('newUserZone')?.value || '') : '';
     const teamCheckboxes = document.querySelectorAll('#newUserTeams .volunteer-team-checkbox');
     const volunteerTeams = [];
     if (role === 'volunteer') {
@@ -5619,27 +5863,33 @@ async function handleUserCreationSubmit(event) {
     }
     
     try {
-        const result = await createNewUser(name, email, uniqueId, role, volunteerTeams);
+        const result = await createNewUser(name, email, uniqueId, role, volunteerTeams, zone);
         
-        // Show success message with important note about re-authentication
+        // Show success message
         if (messageContainer) {
             messageContainer.className = 'user-creation-message success';
             const emailDisplay = result.email !== 'No email provided' 
                 ? `<strong>Email:</strong> ${escapeHtml(result.email)}<br>` 
                 : '<strong>Email:</strong> Not provided<br>';
-            const emailSentNote = result.email !== 'No email provided'
-                ? `<em>A password reset email has been sent to ${escapeHtml(result.email)}.</em><br><br>`
-                : '<em>No email provided - user must use the temporary password shown below.</em><br><br>';
+            let emailSentNote = '';
+            if (result.temporaryPassword) {
+                emailSentNote = `<strong>Temporary Password:</strong> <code>${escapeHtml(result.temporaryPassword)}</code><br>
+                    <em>No email provided - user must log in with their ID and the temporary password shown above.</em><br><br>`;
+            } else if (result.emailSent) {
+                emailSentNote = `<em>A welcome email with a password setup link has been sent to ${escapeHtml(result.email)}.</em><br><br>`;
+            } else if (result.uid) {
+                emailSentNote = `<em>Welcome email not sent: ${escapeHtml(result.emailError || 'unknown error')}. The user can use "Forgot password" to set a password.</em><br><br>`;
+            }
             
             messageContainer.innerHTML = `
                 <strong>Success!</strong> User created successfully.<br>
                 <strong>Name:</strong> ${escapeHtml(result.name)}<br>
                 <strong>ID:</strong> ${escapeHtml(result.uniqueId)}<br>
                 ${emailDisplay}
-                <strong>Temporary Password:</strong> <code>${escapeHtml(result.temporaryPassword)}</code><br>
                 ${emailSentNote}
-                <strong style="color: #ff6b35;">Note:</strong> You have been signed out. Please log back in to continue.<br>
-                <button class="btn btn-primary" onclick="window.location.reload()">Reload and Login</button>
+                ${result.claimsSynced === false
+                    ? `<strong style="color: #dc3545;">Warning:</strong> The ${escapeHtml(result.role)} role could not be applied to the login yet. Run <code>node firestore-utils.js sync-claims ${escapeHtml(result.uid)}</code> before they sign in.<br><br>`
+                    : ''}
             `;
         }
         
@@ -5648,6 +5898,7 @@ async function handleUserCreationSubmit(event) {
         emailInput.value = '';
         if (idInput) idInput.value = '';
         roleSelect.value = 'volunteer';
+        handleRoleChange();
         // Clear team selections
         teamCheckboxes.forEach(cb => { cb.checked = false; });
         
@@ -5792,11 +6043,12 @@ let batchUserData = [];
 
 // Download template CSV for batch user upload
 function downloadUserTemplate() {
-    const headers = ['name', 'uniqueId', 'email', 'role', 'volunteerTeams'];
+    const headers = ['name', 'uniqueId', 'email', 'role', 'volunteerTeams', 'zone'];
     const exampleRows = [
-        ['Volunteer One', 'VOL001', 'volunteer1@example.com', 'volunteer', 'registration,transportation'],
-        ['Volunteer Two', 'VOL002', 'volunteer2@example.com', 'volunteer', 'ganvesh_collected,cloak_room,post_tour'],
-        ['Admin User', 'ADM001', 'admin@example.com', 'admin', '']
+        ['Volunteer One', 'VOL001', 'volunteer1@example.com', 'volunteer', 'registration,transportation', ''],
+        ['Volunteer Two', 'VOL002', 'volunteer2@example.com', 'volunteer', 'ganvesh_collected,cloak_room,post_tour', ''],
+        ['Admin User', 'ADM001', 'admin@example.com', 'admin', '', ''],
+        ['Zone Coordinator', 'ZC001', 'coordinator@example.com', 'zone_coordinator', '', 'EU']
     ];
     
     // Build CSV content
@@ -5843,8 +6095,9 @@ async function previewBatchUsers(event) {
         messageDiv.style.display = 'none';
     }
     
-    // Valid volunteer teams
-    const validTeams = ['transportation', 'registration', 'ganvesh_collected', 'cloak_room', 'post_tour'];
+    // Valid volunteer teams come from the check-in type registry
+    await loadCheckinConfig();
+    const validTeams = getVolunteerTeamOptions().map(team => team.id);
     
     try {
         const text = await file.text();
@@ -5862,6 +6115,8 @@ async function previewBatchUsers(event) {
         const emailIdx = headers.findIndex(h => h === 'email');
         const roleIdx = headers.findIndex(h => h === 'role');
         const teamsIdx = headers.findIndex(h => h === 'volunteerteams' || h === 'teams' || h === 'volunteer teams');
+        // Optional: only zone coordinator rows need a zone
+        const zoneIdx = headers.findIndex(h => h === 'zone');
         
         // Validate all required columns exist
         const missingCols = [];
@@ -5891,6 +6146,7 @@ async function previewBatchUsers(event) {
             const role = (row[roleIdx] || '').trim().toLowerCase();
             const teamsStr = (row[teamsIdx] || '').trim();
             const teams = teamsStr ? teamsStr.split(/[,;]/).map(t => t.trim().toLowerCase()).filter(Boolean) : [];
+            const zone = zoneIdx === -1 ? '' : (row[zoneIdx] || '').trim().toUpperCase();
             
             // Rigorous validation for each row
             const rowErrors = [];
@@ -5924,8 +6180,10 @@ async function previewBatchUsers(event) {
             // Role validation
             if (!role) {
                 rowErrors.push('role is empty');
-            } else if (role !== 'volunteer' && role !== 'admin' && role !== 'shibirarthi') {
-                rowErrors.push('role must be "volunteer", "admin", or "shibirarthi"');
+            } else if (role !== 'volunteer' && role !== 'admin' && role !== 'zone_coordinator' && role !== 'shibirarthi') {
+                rowErrors.push('role must be "volunteer", "admin", "zone_coordinator", or "shibirarthi"');
+            } else if (role === 'zone_coordinator' && !REGISTRATION_ZONES[zone]) {
+                rowErrors.push(`zone required for zone coordinators (${Object.keys(REGISTRATION_ZONES).join(', ')})`);
             }
             
             // Teams validation (required for volunteers only)
@@ -5949,6 +6207,7 @@ async function previewBatchUsers(event) {
                     email: email || '(empty)',
                     role: role || '(empty)',
                     volunteerTeams: teams,
+                    zone: zone,
                     status: 'invalid',
                     errors: rowErrors
                 });
@@ -5959,6 +6218,7 @@ async function previewBatchUsers(event) {
                     email,
                     role: role, // Keep the role as-is (volunteer, admin, or shibirarthi)
                     volunteerTeams: role === 'shibirarthi' ? [] : teams, // Shibirarthi doesn't need teams
+                    zone: role === 'zone_coordinator' ? zone : null,
                     status: 'pending',
                     errors: []
                 });
@@ -6041,6 +6301,7 @@ async function previewBatchUsers(event) {
                 <td>${escapeHtml(user.role)}</td>
                 <td style="font-size: 0.8rem;">${escapeHtml(user.volunteerTeams.join(', ') || '-')}</td>
                 <td id="batchUserStatus${idx}" style="color: ${statusColor}; font-size: 0.85rem;">${statusText}</td>
+                <td id="batchUserEmailStatus${idx}" style="font-size: 0.85rem;">-</td>
             </tr>
         `}).join('');
         
@@ -6243,6 +6504,7 @@ async function executeBatchUserCreation() {
                         Shreni: 'Volunteer',
                         role: user.role,
                         volunteerTeams: user.role === 'volunteer' ? user.volunteerTeams : [],
+                        zone: user.role === 'zone_coordinator' ? user.zone : null,
                         createdAt: firebase.firestore.FieldValue.serverTimestamp(),
                         createdBy: currentUser.uid,
                         batchCreated: true
@@ -6295,7 +6557,10 @@ async function executeBatchUserCreation() {
                 .map(u => ({
                     email: u.email,
                     name: u.name,
-                    uniqueId: u.uniqueId
+                    uniqueId: u.uniqueId,
+                    role: u.role,
+                    volunteerTeams: u.volunteerTeams,
+                    zone: u.zone
                 }));
             
             if (usersForAuth.length > 0) {
@@ -6306,23 +6571,40 @@ async function executeBatchUserCreation() {
                 const response = await fetch('/api/create-auth-users', {
                     method: 'POST',
                     headers: {
-                        'Content-Type': 'application/json'
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${adminToken}`
                     },
                     body: JSON.stringify({
-                        users: usersForAuth,
-                        adminToken: adminToken
+                        users: usersForAuth
                     })
                 });
                 
                 const authResult = await response.json();
                 console.log('Auth creation result:', authResult);
                 
-                if (authResult.success) {
+                if (response.status === 401 || response.status === 403) {
+                    // Rejected by the API: no Auth accounts were created
+                    const authMessage = response.status === 401
+                        ? 'Your session has expired. Please log in again and retry.'
+                        : 'Only admins can create login accounts.';
+                    usersForAuth.forEach(authUser => {
+                        const userIndex = batchUserData.findIndex(u => u.uniqueId === authUser.uniqueId);
+                        const statusCell = document.getElementById(`batchUserStatus${userIndex}`);
+                        const row = document.getElementById(`batchUserRow${userIndex}`);
+                        if (statusCell) {
+                            statusCell.textContent = `Firestore ✓, Auth: ${authResult.error || 'not authorized'}`;
+                            statusCell.style.color = '#ffc107';
+                        }
+                        if (row) row.style.backgroundColor = '#fff3cd';
+                    });
+                    showNotification(`Firestore: ${successCount} created. ${authMessage}`, 'error');
+                } else if (authResult.success) {
                     // Update status cells with auth results
                     for (const result of authResult.results) {
                         const userIndex = batchUserData.findIndex(u => u.uniqueId === result.uniqueId);
                         if (userIndex !== -1) {
                             const statusCell = document.getElementById(`batchUserStatus${userIndex}`);
+                            const emailStatusCell = document.getElementById(`batchUserEmailStatus${userIndex}`);
                             const row = document.getElementById(`batchUserRow${userIndex}`);
                             
                             if (result.success) {
@@ -6330,6 +6612,10 @@ async function executeBatchUserCreation() {
                                     statusCell.textContent = 'Created + Auth ✓';
                                     statusCell.style.color = '#28a745';
                                 }
+                                if (emailStatusCell) {
+                                    emailStatusCell.textContent = result.emailSent ? 'Sent ✓' : `Not sent: ${result.emailError || 'unknown error'}`;
+                                    emailStatusCell.style.color = result.emailSent ? '#28a745' : '#dc3545';
+                                }
                             } else {
                                 if (statusCell) {
                                     statusCell.textContent = `Firestore ✓, Auth: ${result.error}`;
@@ -6341,7 +6627,9 @@ async function executeBatchUserCreation() {
                     }
                     
                     const authSuccessCount = authResult.results.filter(r => r.success).length;
-                    showNotification(`Created ${successCount} users. ${authSuccessCount} can now log in.`, 'success');
+                    const emailedCount = authResult.results.filter(r => r.emailSent).length;
+                    showNotification(`Created ${successCount} users. ${authSuccessCount} login accounts, ${emailedCount} welcome emails sent.`,
+                        emailedCount === authSuccessCount ? 'success' : 'warning');
                 } else {
                     showNotification(`Firestore: ${successCount} created. Auth API error: ${authResult.error}`, 'warning');
                 }
@@ -6375,4230 +6663,10286 @@ async function executeBatchUserCreation() {
 }
 
 // ============================================
-// PARTICIPANT LOOKUP FUNCTIONS
+// CHECK-IN TYPE SETTINGS
 // ============================================
 
-// Load participant lookup page
-async function loadParticipantLookupPage(user) {
-    // Verify user is admin (superadmin or admin)
-    const isAdminUser = await isAdmin(user);
-    if (!isAdminUser) {
-        const loadingDiv = document.getElementById('participantLookupLoading');
-        if (loadingDiv) {
-            loadingDiv.innerHTML = '<p style="color: red;">Access denied. You do not have permission to view this page.</p>';
+// Show the check-in type registry in User Management; superadmins can edit it
+async function loadCheckinConfigEditor() {
+    const container = document.getElementById('checkinConfigEditor');
+    if (!container) return;
+
+    await loadCheckinConfig(true);
+    const user = firebase.auth().currentUser;
+    const canEdit = await isSuperadmin(user);
+    const formDiv = document.getElementById('checkinConfigForms');
+    if (formDiv) formDiv.style.display = canEdit ? 'block' : 'none';
+
+    const teamOptions = getVolunteerTeamOptions();
+    const typeRows = sortByConfiguredOrder(Object.entries(checkinConfig.types)).map(([type, typeConfig]) => {
+        const fields = (typeConfig.fields || [])
+            .map(field => `${field.label || field.id}${field.required ? ' *' : ''}`).join(', ');
+        const prerequisites = (typeConfig.prerequisites || []).map(p => CHECKIN_TYPE_LABELS[p] || p).join(', ');
+        return `
+            <tr${typeConfig.active === false ? ' style="color: #999;"' : ''}>
+                <td>${escapeHtml(type)}</td>
+                <td>${escapeHtml(typeConfig.label || type)}</td>
+                <td>${escapeHtml(checkinConfig.teams[typeConfig.team]?.label || typeConfig.team || '-')}</td>
+                <td>${escapeHtml(prerequisites || '-')}</td>
+                <td>${typeConfig.repeatable ? 'Yes' : 'No'}</td>
+                <td>${typeConfig.showTab === false ? 'No' : 'Yes'}</td>
+                <td>${escapeHtml(fields || '-')}</td>
+                <td>${typeConfig.active === false ? 'Retired' : 'Active'}</td>
+                <td>${canEdit ? `<button class="btn btn-secondary btn-sm" onclick="editCheckinTypeConfig('${escapeHtml(type)}')">Edit</button>` : ''}</td>
+            </tr>`;
+    }).join('');
+
+    container.innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Type</th>
+                    <th>Label</th>
+                    <th>Team</th>
+                    <th>Requires</th>
+                    <th>Repeats</th>
+                    <th>Own Tab</th>
+                    <th>Extra Fields</th>
+                    <th>Status</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>${typeRows}</tbody>
+        </table>
+        <p style="margin-top: 0.75rem;"><strong>Teams:</strong> ${teamOptions.map(team => `${escapeHtml(team.label)} (${escapeHtml(team.id)})`).join(', ')}</p>`;
+
+    const teamSelect = document.getElementById('checkinTypeTeam');
+    if (teamSelect) {
+        const current = teamSelect.value;
+        teamSelect.innerHTML = teamOptions.map(team => `<option value="${escapeHtml(team.id)}">${escapeHtml(team.label)}</option>`).join('');
+        if (current) teamSelect.value = current;
+    }
+
+    renderVolunteerTeamOptions();
+}
+
+// Fill the type form with an existing type for editing
+function editCheckinTypeConfig(type) {
+    const typeConfig = getCheckinTypeConfig(type);
+    if (!typeConfig) return;
+
+    document.getElementById('checkinTypeId').value = type;
+    document.getElementById('checkinTypeLabel').value = typeConfig.label || '';
+    document.getElementById('checkinTypeTeam').value = typeConfig.team || '';
+    document.getElementById('checkinTypeOrder').value = typeConfig.order ?? '';
+    document.getElementById('checkinTypePrerequisites').value = (typeConfig.prerequisites || []).join(', ');
+    document.getElementById('checkinTypeRepeatable').checked = !!typeConfig.repeatable;
+    document.getElementById('checkinTypeShowTab').checked = typeConfig.showTab !== false;
+    document.getElementById('checkinTypeActive').checked = typeConfig.active !== false;
+    document.getElementById('checkinTypeFields').value = (typeConfig.fields || [])
+        .map(field => [field.id, field.label || '', field.type || 'text', field.required ? 'required' : ''].join(' | ').replace(/ \| $/, ''))
+        .join('\n');
+    document.getElementById('checkinTypeId').focus();
+}
+
+// Parse "id | Label | text|number | required" lines into field definitions
+function parseCheckinTypeFields(text) {
+    const fields = [];
+    const errors = [];
+    text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+        const [id, label, type, required] = line.split('|').map(part => part.trim());
+        if (!/^[a-zA-Z][a-zA-Z0-9_]*$/.test(id || '')) {
+            errors.push(`"${line}": field ID must start with a letter and use only letters, digits and _`);
+        } else if (CHECKIN_RESERVED_FIELDS.includes(id)) {
+            errors.push(`"${id}" is a built-in checkin field and cannot be used`);
+        } else if (type && !['text', 'number'].includes(type)) {
+            errors.push(`"${id}": type must be text or number`);
+        } else {
+            fields.push({ id, label: label || id, type: type || 'text', required: required === 'required' });
         }
+    });
+    return { fields, errors };
+}
+
+// Write the whole registry back; the first save also stores the defaults it was built from
+async function saveCheckinConfig(config) {
+    const user = firebase.auth().currentUser;
+    await firebase.firestore().collection('config').doc('checkin').set({
+        teams: config.teams,
+        types: config.types,
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+        updatedBy: user.uid
+    });
+    applyCheckinConfig(config);
+    checkinConfigPromise = Promise.resolve(checkinConfig);
+    localStorage.setItem(CHECKIN_CONFIG_CACHE_KEY, JSON.stringify({ teams: config.teams, types: config.types }));
+}
+
+async function handleCheckinTypeSubmit(event) {
+    event.preventDefault();
+
+    const type = document.getElementById('checkinTypeId').value.trim().toLowerCase();
+    const label = document.getElementById('checkinTypeLabel').value.trim();
+    const team = document.getElementById('checkinTypeTeam').value;
+    const orderRaw = document.getElementById('checkinTypeOrder').value;
+    const prerequisites = document.getElementById('checkinTypePrerequisites').value
+        .split(',').map(p => p.trim().toLowerCase()).filter(Boolean);
+    const { fields, errors } = parseCheckinTypeFields(document.getElementById('checkinTypeFields').value);
+
+    if (!/^[a-z][a-z0-9_]*$/.test(type)) {
+        errors.push('Type ID must start with a letter and use only lowercase letters, digits and _');
+    }
+    if (!label) errors.push('Label is required');
+    if (!checkinConfig.teams[team]) errors.push('Select a team');
+    prerequisites.forEach(p => {
+        if (p === type) errors.push('A type cannot require itself');
+        else if (!checkinConfig.types[p]) errors.push(`Unknown prerequisite type: ${p}`);
+    });
+    if (errors.length) {
+        showNotification(errors.join('. '), 'error');
         return;
     }
-    
-    const loadingDiv = document.getElementById('participantLookupLoading');
-    const dataDiv = document.getElementById('participantLookupData');
-    
+
+    const existing = checkinConfig.types[type];
+    const config = {
+        teams: checkinConfig.teams,
+        types: {
+            ...checkinConfig.types,
+            [type]: {
+                label,
+                team,
+                order: orderRaw === '' ? (existing?.order ?? Object.keys(checkinConfig.types).length + 1) : parseInt(orderRaw, 10),
+                showTab: document.getElementById('checkinTypeShowTab').checked,
+                repeatable: document.getElementById('checkinTypeRepeatable').checked,
+                active: document.getElementById('checkinTypeActive').checked,
+                prerequisites,
+                fields
+            }
+        }
+    };
+
+    try {
+        await saveCheckinConfig(config);
+        showNotification(`Check-in type "${label}" ${existing ? 'updated' : 'added'}.`, 'success');
+        document.getElementById('checkinTypeForm').reset();
+        await loadCheckinConfigEditor();
+    } catch (error) {
+        console.error('Error saving check-in type:', error);
+        showNotification('Error saving check-in type: ' + error.message, 'error');
+    }
+}
+
+async function handleCheckinTeamSubmit(event) {
+    event.preventDefault();
+
+    const team = document.getElementById('checkinTeamId').value.trim().toLowerCase();
+    const label = document.getElementById('checkinTeamLabel').value.trim();
+    if (!/^[a-z][a-z0-9_]*$/.test(team) || !label) {
+        showNotification('Team ID (lowercase letters, digits and _) and label are required.', 'error');
+        return;
+    }
+
+    const existing = checkinConfig.teams[team];
+    const config = {
+        types: checkinConfig.types,
+        teams: {
+            ...checkinConfig.teams,
+            [team]: { label, order: existing?.order ?? Object.keys(checkinConfig.teams).length + 1 }
+        }
+    };
+
+    try {
+        await saveCheckinConfig(config);
+        showNotification(`Team "${label}" ${existing ? 'updated' : 'added'}.`, 'success');
+        document.getElementById('checkinTeamForm').reset();
+        await loadCheckinConfigEditor();
+    } catch (error) {
+        console.error('Error saving team:', error);
+        showNotification('Error saving team: ' + error.message, 'error');
+    }
+}
+
+// ============================================
+// COMMUNICATIONS (BULK EMAIL CAMPAIGNS)
+// ============================================
+
+// Batch size must not exceed MAX_RECIPIENTS_PER_REQUEST in api/send-bulk-email
+const COMMUNICATIONS_BATCH_SIZE = 25;
+
+const COMMUNICATIONS_MERGE_FIELDS = ['name', 'praveshikaId', 'email', 'zone', 'shreni', 'arrivalDate', 'arrivalTime', 'arrivalPlace', 'departureDate', 'departureTime', 'postShibirTour'];
+
+// Current recipient list and campaign progress (campaignId is kept so a stopped send can resume)
+let communicationsRecipients = [];
+let communicationsCampaign = null;
+
+// Load Communications page (admins only)
+async function loadCommunicationsPage(user) {
+    const isAdminUser = await isAdmin(user);
+    const loadingDiv = document.getElementById('communicationsLoading');
+    const dataDiv = document.getElementById('communicationsData');
+
+    if (!isAdminUser) {
+        if (loadingDiv) {
+            loadingDiv.innerHTML = '<p style="color: red;">Access denied. You do not have permission to view this page.</p>';
+        }
+        return;
+    }
+
     if (!loadingDiv || !dataDiv) return;
-    
+
     loadingDiv.style.display = 'block';
     dataDiv.style.display = 'none';
-    
+
     if (!window.firebase || !firebase.firestore) {
         loadingDiv.innerHTML = '<p style="color: red;">Firebase not initialized.</p>';
         return;
     }
-    
+
     try {
-        // Clear previous results
-        clearParticipantLookupResults();
-        
-        // Show data div, hide loading
+        // getFilteredRegistrations() works off the dashboard data; load it if the dashboard hasn't yet
+        if (!window.dashboardRegistrations || !window.dashboardUsers) {
+            const db = firebase.firestore();
+            const [registrationsSnapshot, usersSnapshot] = await Promise.all([
+                db.collection('registrations').get(),
+                db.collection('users').get()
+            ]);
+            window.dashboardRegistrations = registrationsSnapshot.docs.map(doc => doc.data());
+            window.dashboardUsers = usersSnapshot.docs.map(doc => doc.data());
+        }
+
+        populateCommunicationsFilters(window.dashboardRegistrations);
+        renderCommunicationsMergeFields();
+
         loadingDiv.style.display = 'none';
         dataDiv.style.display = 'block';
-        
     } catch (error) {
-        console.error('Error loading participant lookup page:', error);
-        loadingDiv.innerHTML = '<p style="color: red;">Error loading participant lookup. Please try again.</p>';
+        console.error('Error loading communications page:', error);
+        loadingDiv.innerHTML = '<p style="color: red;">Error loading communications. Please try again.</p>';
     }
 }
 
-// Search participant by Unique ID (exact match) - kept for backward compatibility
-async function searchParticipantByUniqueId() {
-    // Redirect to enhanced search function
-    await searchParticipantByLoginId();
+// Fill zone and tour dropdowns from the registrations that exist
+function populateCommunicationsFilters(registrations) {
+    const zones = new Set();
+    const tours = new Set();
+    registrations.forEach(reg => {
+        const zone = reg.zone || reg.Zone || '';
+        if (zone) zones.add(zone);
+        tours.add(getCommunicationsTour(reg));
+    });
+
+    const fillSelect = (id, values) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        const current = select.value;
+        select.innerHTML = '<option value="">All</option>' +
+            Array.from(values).sort().map(v => `<option value="${escapeHtml(v)}">${escapeHtml(v)}</option>`).join('');
+        select.value = current;
+    };
+
+    fillSelect('commsZoneFilter', zones);
+    fillSelect('commsTourFilter', tours);
 }
 
-// Search participant by Name
-async function searchParticipantByName() {
-    const nameInput = document.getElementById('lookupName');
-    if (!nameInput) return;
-    
-    const name = nameInput.value.trim();
-    if (!name) {
-        showNotification('Please enter a name to search', 'error');
+function getCommunicationsTour(reg) {
+    return reg.postShibirTour || reg['Post Shibir Tour'] || reg['Post Shibir Tours'] || 'None';
+}
+
+function renderCommunicationsMergeFields() {
+    const container = document.getElementById('commsMergeFields');
+    if (!container) return;
+    container.innerHTML = COMMUNICATIONS_MERGE_FIELDS.map(field =>
+        `<button type="button" class="btn btn-secondary btn-sm" onclick="insertCommunicationsMergeField('${field}')">{{${field}}}</button>`
+    ).join(' ');
+}
+
+// Insert a merge field at the cursor in the message body
+function insertCommunicationsMergeField(field) {
+    const textarea = document.getElementById('commsBody');
+    if (!textarea) return;
+    const placeholder = `{{${field}}}`;
+    const start = textarea.selectionStart ?? textarea.value.length;
+    const end = textarea.selectionEnd ?? textarea.value.length;
+    textarea.value = textarea.value.substring(0, start) + placeholder + textarea.value.substring(end);
+    textarea.focus();
+    textarea.selectionStart = textarea.selectionEnd = start + placeholder.length;
+}
+
+function getCommunicationsFilters() {
+    return {
+        status: document.getElementById('commsStatusFilter')?.value || 'registered',
+        zone: document.getElementById('commsZoneFilter')?.value || '',
+        shreni: document.getElementById('commsShreniFilter')?.value || '',
+        tour: document.getElementById('commsTourFilter')?.value || '',
+        missingArrival: !!document.getElementById('commsMissingArrivalFilter')?.checked
+    };
+}
+
+// Build the recipient list: status via getFilteredRegistrations(), then zone/shreni/tour/arrival
+async function buildCommunicationsRecipients() {
+    const filters = getCommunicationsFilters();
+    const registrations = await getFilteredRegistrations(filters.status);
+
+    communicationsRecipients = registrations.filter(reg => {
+        if (filters.zone && (reg.zone || reg.Zone || '') !== filters.zone) return false;
+        if (filters.shreni && (reg.shreni || reg.Shreni || '') !== filters.shreni) return false;
+        if (filters.tour && getCommunicationsTour(reg) !== filters.tour) return false;
+        if (filters.missingArrival) {
+            const hasArrival = (reg.arrivalDate || reg['Date of Arrival']) &&
+                (reg.arrivalTime || reg['Time of Arrival']);
+            if (hasArrival) return false;
+        }
+        return !!reg.uniqueId;
+    });
+
+    // A new recipient list starts a new campaign
+    communicationsCampaign = null;
+    renderCommunicationsRecipients();
+    return communicationsRecipients;
+}
+
+function renderCommunicationsRecipients(statusById = {}) {
+    const container = document.getElementById('commsRecipients');
+    if (!container) return;
+
+    const withEmail = communicationsRecipients.filter(reg => reg.email || reg['Email address']).length;
+    let html = `<p><strong>${communicationsRecipients.length}</strong> recipient(s) match the filters` +
+        (withEmail < communicationsRecipients.length ? ` (${communicationsRecipients.length - withEmail} without an email address will be skipped)` : '') +
+        '</p>';
+
+    if (communicationsRecipients.length > 0) {
+        html += `
+            <div style="max-height: 400px; overflow-y: auto;">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Praveshika ID</th>
+                            <th>Name</th>
+                            <th>Email</th>
+                            <th>Zone</th>
+                            <th>Shreni</th>
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${communicationsRecipients.map(reg => {
+                            const status = statusById[reg.uniqueId];
+                            return `
+                                <tr>
+                                    <td>${escapeHtml(reg.uniqueId)}</td>
+                                    <td>${escapeHtml(reg.name || reg['Full Name'] || '')}</td>
+                                    <td>${escapeHtml(reg.email || reg['Email address'] || '')}</td>
+                                    <td>${escapeHtml(reg.zone || reg.Zone || '')}</td>
+                                    <td>${escapeHtml(reg.shreni || reg.Shreni || '')}</td>
+                                    <td>${status ? `<span class="comms-status comms-status-${escapeHtml(status.status)}" title="${escapeHtml(status.error || '')}">${escapeHtml(status.status.replace('_', ' '))}</span>` : ''}</td>
+                                </tr>`;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>`;
+    }
+
+    container.innerHTML = html;
+}
+
+// POST to the bulk email API with the caller's ID token
+async function callBulkEmailApi(payload) {
+    const user = firebase.auth().currentUser;
+    if (!user) {
+        throw new Error('Please log in to send emails');
+    }
+
+    const idToken = await user.getIdToken();
+    const response = await fetch('/api/send-bulk-email', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${idToken}`
+        },
+        body: JSON.stringify(payload)
+    });
+
+    let result;
+    try {
+        result = await response.json();
+    } catch (jsonError) {
+        throw new Error(`Email service returned an invalid response (${response.status})`);
+    }
+
+    if (!response.ok) {
+        const error = new Error(result.error || `Email service error (${response.status})`);
+        error.status = response.status;
+        error.result = result;
+        throw error;
+    }
+    return result;
+}
+
+function getCommunicationsTemplate() {
+    return {
+        subject: document.getElementById('commsSubject')?.value.trim() || '',
+        body: document.getElementById('commsBody')?.value || ''
+    };
+}
+
+// Dry run: render the message for the first few recipients without sending anything
+async function previewCommunicationsCampaign() {
+    const { subject, body } = getCommunicationsTemplate();
+    if (!subject || !body.trim()) {
+        showNotification('Please enter a subject and message.', 'error');
         return;
     }
-    
-    if (!window.firebase || !firebase.firestore) {
-        showNotification('Firebase not initialized', 'error');
+
+    const recipients = await buildCommunicationsRecipients();
+    if (recipients.length === 0) {
+        showNotification('No recipients match the selected filters.', 'error');
         return;
     }
-    
+
+    const previewDiv = document.getElementById('commsPreview');
+    if (previewDiv) previewDiv.innerHTML = '<p>Generating preview...</p>';
+
     try {
-        const db = firebase.firestore();
-        const nameLower = name.toLowerCase();
-        const results = [];
-        
-        // Fetch all registrations in batches to avoid limit restrictions
-        // This matches the behavior of Praveshika ID search (no status filter)
-        let allRegistrations = [];
-        let lastDoc = null;
-        const batchSize = 2000;
-        
-        // Fetch registrations in batches until all are retrieved
-        while (true) {
-            let query = db.collection('registrations').limit(batchSize);
-            if (lastDoc) {
-                query = query.startAfter(lastDoc);
-            }
-            
-            const batch = await query.get();
-            if (batch.empty) break;
-            
-            allRegistrations = allRegistrations.concat(batch.docs);
-            lastDoc = batch.docs[batch.docs.length - 1];
-            
-            // If we got fewer than batchSize, we've reached the end
-            if (batch.docs.length < batchSize) break;
-        }
-        
-        // Filter client-side for case-insensitive partial name match
-        // No status filter - show all registrations like Praveshika ID search
-        allRegistrations.forEach(doc => {
-            const data = doc.data();
-            const regName = (data.name || data['Full Name'] || '').toLowerCase();
-            if (regName.includes(nameLower)) {
-                results.push(doc);
-            }
+        const result = await callBulkEmailApi({
+            subject,
+            body,
+            uniqueIds: recipients.map(reg => reg.uniqueId),
+            dryRun: true
         });
-        
-        if (results.length === 0) {
-            showNotification('No participants found with this name', 'info');
-            clearParticipantLookupResults();
-            return;
-        }
-        
-        if (results.length === 1) {
-            const regData = results[0].data();
-            const uniqueId = regData.uniqueId || results[0].id;
-            displayParticipantLookupResults(regData, uniqueId);
-        } else {
-            // Show selection list
-            displayParticipantSelectionList(results, 'name');
+
+        let html = `<p><strong>Dry run:</strong> ${result.recipientCount} email(s) would be sent.`;
+        if (result.noEmail?.length) html += ` ${result.noEmail.length} without an email address.`;
+        if (result.missing?.length) html += ` ${result.missing.length} registration(s) not found.`;
+        html += '</p>';
+        if (result.unknownFields?.length) {
+            html += `<p style="color: #dc3545;">Unknown merge field(s): ${escapeHtml(result.unknownFields.join(', '))}. Fix these before sending.</p>`;
         }
+
+        (result.previews || []).forEach(preview => {
+            html += `
+                <div class="comms-preview-message">
+                    <p><strong>To:</strong> ${escapeHtml(preview.to)} (${escapeHtml(preview.uniqueId)})</p>
+                    <p><strong>Subject:</strong> ${escapeHtml(preview.subject)}</p>
+                    <div class="comms-preview-body">${escapeHtml(preview.text).replace(/\n/g, '<br>')}</div>
+                </div>`;
+        });
+
+        if (previewDiv) previewDiv.innerHTML = html;
     } catch (error) {
-        console.error('Error searching participant by name:', error);
-        showNotification('Error searching participant: ' + error.message, 'error');
+        console.error('Error generating email preview:', error);
+        if (previewDiv) previewDiv.innerHTML = '';
+        showNotification('Error generating preview: ' + error.message, 'error');
     }
 }
 
-// Search participant by Email (group match) - using emailToUids collection
-async function searchParticipantByEmail() {
-    const emailInput = document.getElementById('lookupEmail');
-    if (!emailInput) return;
-    
-    const email = emailInput.value.trim();
-    if (!email) {
-        showNotification('Please enter an email address', 'error');
+// Send the campaign in batches, showing per-recipient delivery status as batches complete
+async function sendCommunicationsCampaign() {
+    const { subject, body } = getCommunicationsTemplate();
+    if (!subject || !body.trim()) {
+        showNotification('Please enter a subject and message.', 'error');
         return;
     }
-    
-    if (!window.firebase || !firebase.firestore) {
-        showNotification('Firebase not initialized', 'error');
+
+    // Resume the stopped campaign if there is one, otherwise start fresh from the filters
+    if (!communicationsCampaign) {
+        await buildCommunicationsRecipients();
+        if (communicationsRecipients.length === 0) {
+            showNotification('No recipients match the selected filters.', 'error');
+            return;
+        }
+        communicationsCampaign = { campaignId: null, statusById: {}, subject, body };
+    } else if (communicationsCampaign.subject !== subject || communicationsCampaign.body !== body) {
+        showNotification('The message changed since this campaign started. Rebuild the recipient list to start a new campaign.', 'error');
         return;
     }
-    
+
+    const pending = communicationsRecipients.filter(reg => {
+        const status = communicationsCampaign.statusById[reg.uniqueId]?.status;
+        return status !== 'sent' && status !== 'already_sent';
+    });
+    if (pending.length === 0) {
+        showNotification('All recipients in this campaign have already been emailed.', 'info');
+        return;
+    }
+
+    if (!confirm(`Send "${subject}" to ${pending.length} participant(s)?\n\nThis will send real emails.`)) {
+        return;
+    }
+
+    const sendBtn = document.getElementById('commsSendBtn');
+    const progressDiv = document.getElementById('commsProgress');
+    if (sendBtn) sendBtn.disabled = true;
+
+    const filters = getCommunicationsFilters();
+    const totals = { sent: 0, failed: 0, skipped: 0 };
+
     try {
-        const db = firebase.firestore();
-        const emailLower = email.toLowerCase().trim();
-        const results = [];
-        
-        // First, try exact match using emailToUids collection
-        const emailToUidsDoc = await db.collection('emailToUids').doc(emailLower).get();
-        
-        if (emailToUidsDoc.exists) {
-            // Found exact match - get all UIDs for this email
-            const emailToUidsData = emailToUidsDoc.data();
-            const uids = emailToUidsData.uids || [];
-            
-            // Fetch all registration documents for these UIDs
-            const registrationPromises = uids.map(uid => 
-                db.collection('registrations').doc(uid).get()
-                    .then(doc => doc.exists ? doc : null)
-                    .catch(error => {
-                        console.error(`Error fetching registration for ${uid}:`, error);
-                        return null;
-                    })
-            );
-            
-            const registrationDocs = await Promise.all(registrationPromises);
-            registrationDocs.forEach(doc => {
-                if (doc) {
-                    results.push(doc);
-                }
-            });
-        } else {
-            // No exact match - try partial search in emailToUids collection
-            // Get all emailToUids documents and filter for emails containing the search term
-            const allEmailToUids = await db.collection('emailToUids').get();
-            const matchingEmails = [];
-            
-            allEmailToUids.docs.forEach(doc => {
-                const emailData = doc.data();
-                const docEmail = (emailData.email || doc.id).toLowerCase();
-                if (docEmail.includes(emailLower)) {
-                    matchingEmails.push(doc);
+        for (let i = 0; i < pending.length; i += COMMUNICATIONS_BATCH_SIZE) {
+            const batch = pending.slice(i, i + COMMUNICATIONS_BATCH_SIZE);
+            if (progressDiv) {
+                progressDiv.textContent = `Sending ${Math.min(i + batch.length, pending.length)} of ${pending.length}...`;
+            }
+
+            let result;
+            try {
+                result = await callBulkEmailApi({
+                    subject,
+                    body,
+                    uniqueIds: batch.map(reg => reg.uniqueId),
+                    campaignId: communicationsCampaign.campaignId,
+                    campaignName: subject,
+                    filters
+                });
+            } catch (error) {
+                if (error.result?.campaignId) {
+                    communicationsCampaign.campaignId = error.result.campaignId;
                 }
-            });
-            
-            // Collect all UIDs from matching emails
-            const allUids = new Set();
-            matchingEmails.forEach(doc => {
-                const emailData = doc.data();
-                const uids = emailData.uids || [];
-                uids.forEach(uid => allUids.add(uid));
-            });
-            
-            // Fetch all registration documents for these UIDs
-            const registrationPromises = Array.from(allUids).map(uid => 
-                db.collection('registrations').doc(uid).get()
-                    .then(doc => doc.exists ? doc : null)
-                    .catch(error => {
-                        console.error(`Error fetching registration for ${uid}:`, error);
-                        return null;
-                    })
-            );
-            
-            const registrationDocs = await Promise.all(registrationPromises);
-            registrationDocs.forEach(doc => {
-                if (doc) {
-                    results.push(doc);
+                if (error.status === 429) {
+                    const minutes = Math.ceil((error.result?.retryAfterSeconds || 3600) / 60);
+                    showNotification(`Hourly email limit reached. Click Send again in about ${minutes} minute(s) to resume.`, 'error');
+                } else {
+                    showNotification('Sending stopped: ' + error.message, 'error');
                 }
+                break;
+            }
+
+            communicationsCampaign.campaignId = result.campaignId;
+            (result.results || []).forEach(r => {
+                communicationsCampaign.statusById[r.uniqueId] = r;
+                if (totals[r.status] !== undefined) totals[r.status]++;
             });
+            renderCommunicationsRecipients(communicationsCampaign.statusById);
         }
-        
-        if (results.length === 0) {
-            showNotification('No participants found with this email', 'info');
-            clearParticipantLookupResults();
-            return;
-        }
-        
-        if (results.length === 1) {
-            const regData = results[0].data();
-            const uniqueId = regData.uniqueId || results[0].id;
-            displayParticipantLookupResults(regData, uniqueId);
-        } else {
-            // Show selection list
-            displayParticipantSelectionList(results, 'email');
+    } finally {
+        if (sendBtn) sendBtn.disabled = false;
+    }
+
+    const summary = `Sent ${totals.sent}, failed ${totals.failed}, skipped ${totals.skipped}`;
+    if (progressDiv) progressDiv.textContent = summary;
+    showNotification(summary, totals.failed > 0 ? 'error' : 'success');
+}
+
+// ============================================
+// ACCOMMODATION / ROOM ALLOCATION
+// ============================================
+
+// Rooms live in the rooms collection ({ building, room, capacity, gender }). A participant's
+// assignment is stored on their registration (roomId, roomBuilding, roomNumber) so it can be
+// shown on My Profile and the badge without reading the rooms collection.
+let accommodationRooms = [];
+let accommodationRegistrations = [];
+
+const ROOM_GENDERS = ['Male', 'Female'];
+
+// Firestore batches allow 500 writes; each assignment writes a registration and an audit entry
+const ROOM_ASSIGNMENT_BATCH_SIZE = 200;
+
+function getRegistrationGender(reg) {
+    const gender = (reg.gender || reg.Gender || '').toString().trim().toLowerCase();
+    if (gender === 'male' || gender === 'm') return 'Male';
+    if (gender === 'female' || gender === 'f') return 'Female';
+    return '';
+}
+
+// Display label for a participant's room ("Building - Room")
+function formatRoomLabel(building, roomNumber) {
+    if (!building && !roomNumber) return '';
+    return [building, roomNumber].filter(Boolean).join(' - ');
+}
+
+// Load Accommodation page (admins only)
+async function loadAccommodationPage(user) {
+    const isAdminUser = await isAdmin(user);
+    const loadingDiv = document.getElementById('accommodationLoading');
+    const dataDiv = document.getElementById('accommodationData');
+
+    if (!isAdminUser) {
+        if (loadingDiv) {
+            loadingDiv.innerHTML = '<p style="color: red;">Access denied. You do not have permission to view this page.</p>';
         }
+        return;
+    }
+
+    if (!loadingDiv || !dataDiv) return;
+
+    loadingDiv.style.display = 'block';
+    dataDiv.style.display = 'none';
+
+    if (!window.firebase || !firebase.firestore) {
+        loadingDiv.innerHTML = '<p style="color: red;">Firebase not initialized.</p>';
+        return;
+    }
+
+    try {
+        await loadAccommodationData();
+        loadingDiv.style.display = 'none';
+        dataDiv.style.display = 'block';
     } catch (error) {
-        console.error('Error searching participant by email:', error);
-        showNotification('Error searching participant: ' + error.message, 'error');
+        console.error('Error loading accommodation page:', error);
+        loadingDiv.innerHTML = '<p style="color: red;">Error loading accommodation. Please try again.</p>';
     }
 }
 
-// Display participant selection list (when email or name search returns multiple results)
-function displayParticipantSelectionList(docs, searchType = 'email') {
-    const resultsDiv = document.getElementById('participantLookupResults');
-    const detailsDiv = document.getElementById('participantLookupDetails');
-    
-    if (!resultsDiv) return;
-    
-    if (detailsDiv) {
-        detailsDiv.style.display = 'none';
+// Fetch rooms and registrations fresh (assignments must reflect the database, not a cache)
+async function loadAccommodationData() {
+    const db = firebase.firestore();
+    const [roomsSnapshot, registrationsSnapshot] = await Promise.all([
+        db.collection('rooms').get(),
+        db.collection('registrations').get()
+    ]);
+
+    accommodationRooms = roomsSnapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => (a.building || '').localeCompare(b.building || '') ||
+            (a.room || '').localeCompare(b.room || '', undefined, { numeric: true }));
+    accommodationRegistrations = registrationsSnapshot.docs
+        .map(doc => ({ uniqueId: doc.id, ...doc.data() }))
+        .filter(reg => (reg.status || 'Approved') !== 'Cancelled');
+
+    renderAccommodationBuildingsFilter();
+    renderAccommodationRooms();
+}
+
+function getRoomOccupants(roomId) {
+    return accommodationRegistrations.filter(reg => reg.roomId === roomId);
+}
+
+function renderAccommodationBuildingsFilter() {
+    const select = document.getElementById('accommodationBuildingFilter');
+    if (!select) return;
+    const current = select.value;
+    const buildings = Array.from(new Set(accommodationRooms.map(r => r.building).filter(Boolean))).sort();
+    select.innerHTML = '<option value="">All Buildings</option>' +
+        buildings.map(b => `<option value="${escapeHtml(b)}">${escapeHtml(b)}</option>`).join('');
+    select.value = buildings.includes(current) ? current : '';
+}
+
+// Render rooms grouped by building, with draggable occupant chips and an unassigned pool
+function renderAccommodationRooms() {
+    const container = document.getElementById('accommodationRooms');
+    const summaryDiv = document.getElementById('accommodationSummary');
+    if (!container) return;
+
+    const buildingFilter = document.getElementById('accommodationBuildingFilter')?.value || '';
+    const rooms = accommodationRooms.filter(r => !buildingFilter || r.building === buildingFilter);
+    const roomIds = new Set(accommodationRooms.map(r => r.id));
+    const unassigned = accommodationRegistrations.filter(reg => !reg.roomId || !roomIds.has(reg.roomId));
+
+    if (summaryDiv) {
+        const totalCapacity = accommodationRooms.reduce((sum, r) => sum + (parseInt(r.capacity, 10) || 0), 0);
+        summaryDiv.innerHTML = `
+            <p><strong>${accommodationRooms.length}</strong> rooms, capacity <strong>${totalCapacity}</strong>.
+               <strong>${accommodationRegistrations.length - unassigned.length}</strong> assigned,
+               <strong>${unassigned.length}</strong> unassigned.</p>`;
     }
-    
-    const searchTypeText = searchType === 'name' ? 'with this name' : 'with this email';
-    let html = `<div class="participant-search-results">
-        <div style="margin-bottom: 1rem;">
-            <button type="button" class="btn btn-sm btn-secondary" onclick="clearParticipantLookupResults(); document.getElementById('lookupName')?.value && (document.getElementById('lookupName').value = ''); document.getElementById('lookupEmail')?.value && (document.getElementById('lookupEmail').value = '');" style="display: flex; align-items: center; gap: 0.5rem;">
-                <span>←</span> Back
-            </button>
-        </div>
-        <h4>${docs.length} participant(s) found ${searchTypeText}. Please select:</h4>
-        <ul style="list-style: none; padding: 0;">`;
-    
-    docs.forEach(doc => {
-        const data = doc.data();
-        const name = data.name || data['Full Name'] || 'Unknown';
-        const uniqueId = data.uniqueId || doc.id;
-        const email = data.email || data['Email address'] || '';
-        
-        html += `
-            <li style="margin: 0.5rem 0; padding: 0.5rem; border: 1px solid #ddd; border-radius: 4px;">
-                <button class="btn btn-link" onclick="selectParticipantFromLookup('${escapeHtml(uniqueId)}')" style="text-align: left; width: 100%;">
-                    <strong>${escapeHtml(name)}</strong><br>
-                    <small>Praveshika ID: ${escapeHtml(uniqueId)}${email ? ' - ' + escapeHtml(email) : ''}</small>
-                </button>
-            </li>`;
+
+    const chipHTML = (reg) => `
+        <div class="room-occupant" draggable="true" ondragstart="handleRoomOccupantDragStart(event, '${escapeHtml(reg.uniqueId)}')"
+             title="${escapeHtml([reg.zone || reg.Zone, reg.shreni || reg.Shreni].filter(Boolean).join(' / '))}">
+            ${escapeHtml(reg.name || reg['Full Name'] || reg.uniqueId)}
+            <span class="room-occupant-id">${escapeHtml(reg.uniqueId)}</span>
+        </div>`;
+
+    let html = '';
+    const buildings = Array.from(new Set(rooms.map(r => r.building || 'Unnamed Building')));
+    buildings.forEach(building => {
+        html += `<h4 style="margin: 1.5rem 0 0.75rem;">${escapeHtml(building)}</h4><div class="room-grid">`;
+        rooms.filter(r => (r.building || 'Unnamed Building') === building).forEach(room => {
+            const occupants = getRoomOccupants(room.id);
+            const capacity = parseInt(room.capacity, 10) || 0;
+            const isFull = occupants.length >= capacity;
+            html += `
+                <div class="room-card${isFull ? ' full' : ''}" ondragover="event.preventDefault()" ondrop="handleRoomDrop(event, '${escapeHtml(room.id)}')">
+                    <div class="room-card-header">
+                        <strong>${escapeHtml(room.room)}</strong>
+                        <span>${escapeHtml(room.gender || '')} · ${occupants.length}/${capacity}</span>
+                        <button class="btn btn-secondary btn-sm" onclick="deleteRoom('${escapeHtml(room.id)}')" title="Delete room">✕</button>
+                    </div>
+                    ${occupants.map(chipHTML).join('')}
+                </div>`;
+        });
+        html += '</div>';
     });
-    
-    html += '</ul></div>';
-    
-    resultsDiv.innerHTML = html;
-    resultsDiv.style.display = 'block';
+
+    if (accommodationRooms.length === 0) {
+        html = '<p style="color: #666;">No rooms yet. Add rooms above to start allocating.</p>';
+    }
+
+    html += `
+        <h4 style="margin: 1.5rem 0 0.75rem;">Unassigned (${unassigned.length})</h4>
+        <div class="room-card room-unassigned" ondragover="event.preventDefault()" ondrop="handleRoomDrop(event, '')">
+            ${unassigned.slice(0, 300).map(chipHTML).join('')}
+            ${unassigned.length > 300 ? `<p style="color: #666;">...and ${unassigned.length - 300} more</p>` : ''}
+        </div>`;
+
+    container.innerHTML = html;
 }
 
-// Select participant from lookup results
-async function selectParticipantFromLookup(uniqueId) {
-    if (!window.firebase || !firebase.firestore) {
-        showNotification('Firebase not initialized', 'error');
+// Add a room from the form
+async function addRoom() {
+    const building = document.getElementById('roomBuilding')?.value.trim() || '';
+    const room = document.getElementById('roomNumber')?.value.trim() || '';
+    const capacity = parseInt(document.getElementById('roomCapacity')?.value, 10);
+    const gender = document.getElementById('roomGender')?.value || '';
+
+    if (!building || !room || !capacity || capacity < 1 || !ROOM_GENDERS.includes(gender)) {
+        showNotification('Please enter building, room, a capacity of at least 1 and gender.', 'error');
         return;
     }
-    
+
+    if (accommodationRooms.some(r => r.building === building && r.room === room)) {
+        showNotification(`Room ${room} already exists in ${building}.`, 'error');
+        return;
+    }
+
     try {
         const db = firebase.firestore();
-        const regDoc = await db.collection('registrations').doc(uniqueId).get();
-        
-        if (regDoc.exists) {
-            const regData = regDoc.data();
-            displayParticipantLookupResults(regData, uniqueId);
-        } else {
-            // Check if it's in cancelled collection
-            const cancelledDoc = await db.collection('cancelledRegistrations').doc(uniqueId).get();
-            if (cancelledDoc.exists) {
-                displayParticipantLookupResults(cancelledDoc.data(), uniqueId);
-            } else {
-                showNotification('Participant not found', 'error');
+        await db.collection('rooms').add({
+            building,
+            room,
+            capacity,
+            gender,
+            createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+            createdBy: firebase.auth().currentUser?.uid || null
+        });
+        document.getElementById('roomNumber').value = '';
+        showNotification(`Added ${formatRoomLabel(building, room)}`, 'success');
+        await loadAccommodationData();
+    } catch (error) {
+        console.error('Error adding room:', error);
+        showNotification('Error adding room: ' + error.message, 'error');
+    }
+}
+
+// Delete an empty room
+async function deleteRoom(roomId) {
+    const room = accommodationRooms.find(r => r.id === roomId);
+    if (!room) return;
+
+    if (getRoomOccupants(roomId).length > 0) {
+        showNotification('Move everyone out of this room before deleting it.', 'error');
+        return;
+    }
+    if (!confirm(`Delete room ${formatRoomLabel(room.building, room.room)}?`)) {
+        return;
+    }
+
+    try {
+        await firebase.firestore().collection('rooms').doc(roomId).delete();
+        showNotification('Room deleted', 'success');
+        await loadAccommodationData();
+    } catch (error) {
+        console.error('Error deleting room:', error);
+        showNotification('Error deleting room: ' + error.message, 'error');
+    }
+}
+
+// Registration update and audit changes for moving a participant into a room ('' to unassign)
+function buildRoomAssignment(reg, room) {
+    const update = {
+        uniqueId: reg.uniqueId,
+        roomId: room ? room.id : null,
+        roomBuilding: room ? room.building : null,
+        roomNumber: room ? room.room : null,
+        roomAssignedAt: firebase.firestore.FieldValue.serverTimestamp()
+    };
+    const changes = buildAuditChanges(reg, {
+        roomId: update.roomId,
+        roomBuilding: update.roomBuilding,
+        roomNumber: update.roomNumber
+    });
+    return { update, changes };
+}
+
+// Auto-assign participants to rooms of their gender, keeping zone and shreni together
+async function autoAssignRooms() {
+    const reassignAll = !!document.getElementById('accommodationReassignAll')?.checked;
+    const roomIds = new Set(accommodationRooms.map(r => r.id));
+
+    const toAssign = accommodationRegistrations.filter(reg =>
+        reassignAll || !reg.roomId || !roomIds.has(reg.roomId));
+    if (toAssign.length === 0) {
+        showNotification('Everyone already has a room.', 'info');
+        return;
+    }
+
+    // Remaining space per room, counting only occupants we are keeping
+    const occupancy = {};
+    accommodationRooms.forEach(room => {
+        occupancy[room.id] = reassignAll ? 0 : getRoomOccupants(room.id).length;
+    });
+
+    const sortKey = reg => [
+        reg.zone || reg.Zone || '~',
+        reg.shreni || reg.Shreni || '~',
+        reg.name || reg['Full Name'] || ''
+    ].join('|');
+
+    const assignments = [];
+    const unplaced = [];
+
+    ROOM_GENDERS.forEach(gender => {
+        const rooms = accommodationRooms.filter(r => r.gender === gender);
+        const people = toAssign
+            .filter(reg => getRegistrationGender(reg) === gender)
+            .sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+
+        let roomIndex = 0;
+        people.forEach(reg => {
+            while (roomIndex < rooms.length &&
+                   occupancy[rooms[roomIndex].id] >= (parseInt(rooms[roomIndex].capacity, 10) || 0)) {
+                roomIndex++;
+            }
+            if (roomIndex >= rooms.length) {
+                unplaced.push(reg);
+                return;
+            }
+            const room = rooms[roomIndex];
+            occupancy[room.id]++;
+            if (reg.roomId !== room.id) {
+                assignments.push({ reg, room });
+            }
+        });
+    });
+
+    const noGender = toAssign.filter(reg => !getRegistrationGender(reg));
+
+    let confirmMessage = `Assign ${assignments.length} participant(s) to rooms?`;
+    if (unplaced.length) confirmMessage += `\n\n${unplaced.length} cannot be placed (not enough beds for their gender).`;
+    if (noGender.length) confirmMessage += `\n${noGender.length} have no gender recorded and will be skipped.`;
+    if (assignments.length === 0) {
+        showNotification('No assignments to make. ' + (unplaced.length ? `${unplaced.length} participant(s) have no free bed.` : ''), 'info');
+        return;
+    }
+    if (!confirm(confirmMessage)) {
+        return;
+    }
+
+    const user = firebase.auth().currentUser;
+    const userData = await getUserData(user);
+    const db = firebase.firestore();
+    const statusDiv = document.getElementById('accommodationStatus');
+
+    try {
+        for (let i = 0; i < assignments.length; i += ROOM_ASSIGNMENT_BATCH_SIZE) {
+            const batch = db.batch();
+            assignments.slice(i, i + ROOM_ASSIGNMENT_BATCH_SIZE).forEach(({ reg, room }) => {
+                const { update, changes } = buildRoomAssignment(reg, room);
+                batch.update(db.collection('registrations').doc(reg.uniqueId), update);
+                if (changes.length) {
+                    batch.set(db.collection('auditLog').doc(),
+                        buildAuditEntry(reg.uniqueId, 'room_assignment', changes, user, userData, { source: 'auto_assign' }));
+                }
+            });
+            await batch.commit();
+            if (statusDiv) {
+                statusDiv.textContent = `Assigned ${Math.min(i + ROOM_ASSIGNMENT_BATCH_SIZE, assignments.length)} of ${assignments.length}...`;
             }
         }
+
+        showNotification(`Assigned ${assignments.length} participant(s) to rooms`, 'success');
+        if (statusDiv) {
+            statusDiv.textContent = unplaced.length
+                ? `${unplaced.length} participant(s) could not be placed. Add more rooms and run auto-assign again.`
+                : '';
+        }
+        await loadAccommodationData();
     } catch (error) {
-        console.error('Error loading participant:', error);
-        showNotification('Error loading participant: ' + error.message, 'error');
+        console.error('Error auto-assigning rooms:', error);
+        showNotification('Error assigning rooms: ' + error.message, 'error');
+        await loadAccommodationData();
     }
 }
 
-// Store current participant data for editing
-let currentParticipantData = null;
-let currentParticipantUniqueId = null;
+// Drag-and-drop overrides
+function handleRoomOccupantDragStart(event, uniqueId) {
+    event.dataTransfer.setData('text/plain', uniqueId);
+    event.dataTransfer.effectAllowed = 'move';
+}
 
-// Display participant lookup results with all fields
-function displayParticipantLookupResults(regData, uniqueId) {
-    const resultsDiv = document.getElementById('participantLookupResults');
-    const detailsDiv = document.getElementById('participantLookupDetails');
-    const fieldsDiv = document.getElementById('participantLookupFields');
-    const editBtn = document.getElementById('editParticipantBtn');
-    const saveBtn = document.getElementById('saveParticipantBtn');
-    const cancelBtn = document.getElementById('cancelEditBtn');
-    
-    if (!detailsDiv || !fieldsDiv) return;
-    
-    // Hide results selection list
-    if (resultsDiv) {
-        resultsDiv.style.display = 'none';
+function handleRoomDrop(event, roomId) {
+    event.preventDefault();
+    const uniqueId = event.dataTransfer.getData('text/plain');
+    if (uniqueId) {
+        moveParticipantToRoom(uniqueId, roomId);
     }
-    
-    // Store current data
-    currentParticipantData = regData;
-    currentParticipantUniqueId = uniqueId;
-    
-    // Reset edit mode buttons to default state
-    if (editBtn) editBtn.style.display = 'inline-block';
-    if (saveBtn) saveBtn.style.display = 'none';
-    if (cancelBtn) cancelBtn.style.display = 'none';
-    
-    // Check if user is admin to show status management buttons
-    const user = firebase.auth().currentUser;
-    if (user) {
-        isAdmin(user).then(isAdminUser => {
-            if (isAdminUser) {
-                const statusBtnContainer = document.getElementById('statusManagementButtons');
-                if (statusBtnContainer) {
-                    // Check if registration exists in cancelled collection
-                    const db = firebase.firestore();
-                    db.collection('cancelledRegistrations').doc(uniqueId).get().then(cancelledDoc => {
-                        if (cancelledDoc.exists) {
-                            // Show restore button
-                            statusBtnContainer.innerHTML = `
-                                <div style="margin: 1rem 0; padding: 1rem; background: #fff3cd; border-radius: 4px; border: 1px solid #ffc107;">
-                                    <h4 style="margin: 0 0 0.5rem 0; color: #856404;">⚠️ This registration is cancelled</h4>
-                                    <button class="btn btn-info" onclick="handleRestoreRegistration('${uniqueId}')">
-                                        Restore to Active
-                                    </button>
-                                </div>
-                            `;
-                        } else {
-                            // Show cancel button
-                            statusBtnContainer.innerHTML = `
-                                <div style="margin: 1rem 0; padding: 1rem; background: #f5f5f5; border-radius: 4px;">
-                                    <h4 style="margin: 0 0 0.5rem 0;">Status Management</h4>
-                                    <button class="btn btn-warning" onclick="handleCancelRegistration('${uniqueId}')">
-                                        Cancel Registration
-                                    </button>
-                                </div>
-                            `;
-                        }
-                    }).catch(() => {
-                        // On error, assume active and show cancel button
-                        if (statusBtnContainer) {
-                            statusBtnContainer.innerHTML = `
-                                <div style="margin: 1rem 0; padding: 1rem; background: #f5f5f5; border-radius: 4px;">
-                                    <h4 style="margin: 0 0 0.5rem 0;">Status Management</h4>
-                                    <button class="btn btn-warning" onclick="handleCancelRegistration('${uniqueId}')">
-                                        Cancel Registration
-                                    </button>
-                                </div>
-                            `;
-                        }
-                    });
-                }
-            }
-        }).catch(() => {});
+}
+
+// Move a single participant into a room ('' unassigns). Gender and capacity mismatches
+// can be overridden after confirmation.
+async function moveParticipantToRoom(uniqueId, roomId) {
+    const reg = accommodationRegistrations.find(r => r.uniqueId === uniqueId);
+    if (!reg || (reg.roomId || '') === (roomId || '')) return;
+
+    const room = roomId ? accommodationRooms.find(r => r.id === roomId) : null;
+    if (roomId && !room) return;
+
+    if (room) {
+        const warnings = [];
+        const gender = getRegistrationGender(reg);
+        if (gender && room.gender && gender !== room.gender) {
+            warnings.push(`${room.room} is a ${room.gender} room but this participant is ${gender}.`);
+        }
+        if (getRoomOccupants(room.id).length >= (parseInt(room.capacity, 10) || 0)) {
+            warnings.push(`${room.room} is already full (capacity ${room.capacity}).`);
+        }
+        if (warnings.length && !confirm(`${warnings.join('\n')}\n\nMove anyway?`)) {
+            return;
+        }
     }
-    
-    // Display all fields
-    let html = '<div class="participant-fields-display">';
-    
-    // Get all fields from the registration document
-    const fieldNames = Object.keys(regData).sort();
-    
-    fieldNames.forEach(fieldName => {
-        const fieldValue = regData[fieldName];
-        // Handle Firestore timestamp fields
-        if (fieldName === 'importedAt' || fieldName === 'createdAt' || fieldName === 'updatedAt' || 
-            fieldName === 'travelupdateAt' || fieldName === 'tourupdateAt') {
-            // Format timestamp fields
-            let displayValue = '';
-            if (fieldValue && fieldValue.toDate) {
-                displayValue = new Date(fieldValue.toDate()).toLocaleString();
-            } else if (fieldValue) {
-                displayValue = String(fieldValue);
-            } else {
-                displayValue = 'N/A';
+
+    try {
+        const { update, changes } = buildRoomAssignment(reg, room);
+        await commitAuditedRegistrationWrite(uniqueId, 'room_assignment', changes,
+            (batch, db) => batch.update(db.collection('registrations').doc(uniqueId), update),
+            { source: 'manual' });
+
+        reg.roomId = update.roomId;
+        reg.roomBuilding = update.roomBuilding;
+        reg.roomNumber = update.roomNumber;
+        renderAccommodationRooms();
+        showNotification(room
+            ? `Moved ${reg.name || uniqueId} to ${formatRoomLabel(room.building, room.room)}`
+            : `Removed ${reg.name || uniqueId} from their room`, 'success');
+    } catch (error) {
+        console.error('Error moving participant:', error);
+        showNotification('Error moving participant: ' + error.message, 'error');
+    }
+}
+
+// Export room list for the selected building (or every building, one file each)
+function exportAccommodationCSV() {
+    const buildingFilter = document.getElementById('accommodationBuildingFilter')?.value || '';
+    const buildings = buildingFilter
+        ? [buildingFilter]
+        : Array.from(new Set(accommodationRooms.map(r => r.building).filter(Boolean))).sort();
+
+    if (buildings.length === 0) {
+        showNotification('No rooms to export', 'error');
+        return;
+    }
+
+    const headers = ['Building', 'Room', 'Room Gender', 'Capacity', 'Praveshika ID', 'Name', 'Gender', 'Zone', 'Shreni', 'Phone'];
+
+    buildings.forEach(building => {
+        const rows = [];
+        accommodationRooms.filter(r => r.building === building).forEach(room => {
+            const occupants = getRoomOccupants(room.id);
+            if (occupants.length === 0) {
+                rows.push([room.building, room.room, room.gender, room.capacity, '', '', '', '', '', '']);
             }
-            html += `
-                <div class="field-row" data-field="${escapeHtml(fieldName)}">
-                    <label><strong>${escapeHtml(fieldName)}:</strong></label>
-                    <div class="field-value">${escapeHtml(displayValue)}</div>
-                </div>`;
-        } else {
-            // Regular field - display as string
-            const displayValue = fieldValue !== null && fieldValue !== undefined ? String(fieldValue) : '';
-            html += `
-                <div class="field-row" data-field="${escapeHtml(fieldName)}">
-                    <label><strong>${escapeHtml(fieldName)}:</strong></label>
-                    <div class="field-value">${escapeHtml(displayValue)}</div>
-                </div>`;
-        }
+            occupants.forEach(reg => {
+                rows.push([
+                    room.building,
+                    room.room,
+                    room.gender,
+                    room.capacity,
+                    reg.uniqueId,
+                    reg.name || reg['Full Name'] || '',
+                    reg.gender || reg.Gender || '',
+                    reg.zone || reg.Zone || '',
+                    reg.shreni || reg.Shreni || '',
+                    reg.phone || ''
+                ]);
+            });
+        });
+        exportToCSV(`accommodation_${building.replace(/[^a-z0-9]+/gi, '_')}.csv`, headers, rows);
     });
-    
-    html += '</div>';
-    
-    fieldsDiv.innerHTML = html;
-    detailsDiv.style.display = 'block';
 }
 
-// Enable edit mode
-function enableParticipantEditMode() {
-    const fieldsDiv = document.getElementById('participantLookupFields');
-    const editBtn = document.getElementById('editParticipantBtn');
-    const saveBtn = document.getElementById('saveParticipantBtn');
-    const cancelBtn = document.getElementById('cancelEditBtn');
-    
-    if (!fieldsDiv || !currentParticipantData) return;
-    
-    // Convert display fields to input fields
-    const fieldRows = fieldsDiv.querySelectorAll('.field-row');
-    fieldRows.forEach(row => {
-        const fieldName = row.getAttribute('data-field');
-        const fieldValueDiv = row.querySelector('.field-value');
-        
-        if (fieldValueDiv) {
-            const currentValue = fieldValueDiv.textContent.trim();
-            // Skip timestamp fields - they shouldn't be edited
-            if (fieldName === 'importedAt' || fieldName === 'createdAt' || fieldName === 'updatedAt' || 
-                fieldName === 'travelupdateAt' || fieldName === 'tourupdateAt') {
-                return; // Keep as display only
-            }
-            
-            // Replace with input field
-            const input = document.createElement('input');
-            input.type = 'text';
-            input.className = 'form-input';
-            input.value = currentValue;
-            input.style.width = '100%';
-            input.setAttribute('data-field-name', fieldName);
-            
-            fieldValueDiv.replaceWith(input);
-        }
+// ============================================
+// GANVESH STOCK
+// ============================================
+
+// Stock is kept per garment size in ganveshStock/{Gender}_{size}: quantity is what has been
+// received (entered by admins) and issued is incremented by /api/checkin each time a
+// ganvesh_collected check-in records the size handed over.
+
+// Garment supplied for each gender (sizes are kurta/kurti shoulder width in cm)
+const GANVESH_GARMENTS = { 'Male': 'Kurta', 'Female': 'Kurti' };
+
+let ganveshComparison = [];
+
+// Requested size as a whole number of cm, or null if missing or implausible
+function parseGanveshSize(value) {
+    const match = String(value ?? '').match(/\d+(\.\d+)?/);
+    if (!match) return null;
+    const size = Math.round(parseFloat(match[0]));
+    return size >= 20 && size <= 70 ? size : null;
+}
+
+function getRegistrationGanveshSize(reg) {
+    return parseGanveshSize(reg.ganveshSize || reg['Ganvesh Kurta Shoulder Size in cm (for swayamevaks and sevikas)']);
+}
+
+async function loadGanveshStock() {
+    const snapshot = await firebase.firestore().collection('ganveshStock').get();
+    const stock = {};
+    snapshot.forEach(doc => {
+        const data = doc.data();
+        stock[doc.id] = {
+            gender: data.gender,
+            size: data.size,
+            quantity: data.quantity || 0,
+            issued: data.issued || 0
+        };
     });
-    
-    // Show/hide buttons
-    if (editBtn) editBtn.style.display = 'none';
-    if (saveBtn) saveBtn.style.display = 'inline-block';
-    if (cancelBtn) cancelBtn.style.display = 'inline-block';
+    return stock;
 }
 
-// Cancel edit mode
-function cancelParticipantEditMode() {
-    if (!currentParticipantData || !currentParticipantUniqueId) return;
-    displayParticipantLookupResults(currentParticipantData, currentParticipantUniqueId);
+// One row per gender and size with demand from registrations against stock and issues so far
+function buildGanveshComparison(registrations, stock) {
+    const rows = {};
+    const missing = { Male: 0, Female: 0, unknownGender: 0 };
+    const rowFor = (gender, size) => {
+        const key = `${gender}_${size}`;
+        if (!rows[key]) rows[key] = { gender, size, demand: 0, quantity: 0, issued: 0 };
+        return rows[key];
+    };
+
+    registrations.forEach(reg => {
+        const gender = getRegistrationGender(reg);
+        const size = getRegistrationGanveshSize(reg);
+        if (!gender) {
+            missing.unknownGender++;
+        } else if (size === null) {
+            missing[gender]++;
+        } else {
+            rowFor(gender, size).demand++;
+        }
+    });
+
+    Object.values(stock).forEach(item => {
+        if (!GANVESH_GARMENTS[item.gender] || !item.size) return;
+        const row = rowFor(item.gender, item.size);
+        row.quantity = item.quantity;
+        row.issued = item.issued;
+    });
+
+    const list = Object.values(rows)
+        .map(row => ({
+            ...row,
+            available: row.quantity - row.issued,
+            shortage: Math.max(0, row.demand - row.quantity)
+        }))
+        .sort((a, b) => a.gender.localeCompare(b.gender) || a.size - b.size);
+    return { rows: list, missing };
 }
 
-// Handle cancel registration
-async function handleCancelRegistration(uniqueId) {
-    if (!uniqueId) {
-        showNotification('Invalid registration ID', 'error');
+// Load Ganvesh Stock page (admins only)
+async function loadGanveshStockPage(user) {
+    const isAdminUser = await isAdmin(user);
+    const loadingDiv = document.getElementById('ganveshstockLoading');
+    const dataDiv = document.getElementById('ganveshstockData');
+
+    if (!isAdminUser) {
+        if (loadingDiv) {
+            loadingDiv.innerHTML = '<p style="color: red;">Access denied. You do not have permission to view this page.</p>';
+        }
         return;
     }
-    
-    const reason = prompt('Please provide a reason for cancellation (optional):');
-    if (reason === null) {
-        return; // User cancelled
+
+    if (!loadingDiv || !dataDiv) return;
+
+    loadingDiv.style.display = 'block';
+    dataDiv.style.display = 'none';
+
+    if (!window.firebase || !firebase.firestore) {
+        loadingDiv.innerHTML = '<p style="color: red;">Firebase not initialized.</p>';
+        return;
     }
-    
+
     try {
-        showNotification('Cancelling registration...', 'info');
-        await moveToCancelled(uniqueId, reason || '');
-        showNotification('Registration cancelled successfully', 'success');
-        
-        // Refresh the display
-        const db = firebase.firestore();
-        const cancelledDoc = await db.collection('cancelledRegistrations').doc(uniqueId).get();
-        if (cancelledDoc.exists) {
-            displayParticipantLookupResults(cancelledDoc.data(), uniqueId);
-        } else {
-            showNotification('Error: Could not find cancelled registration', 'error');
+        if (!window.dashboardRegistrations) {
+            const registrationsSnapshot = await firebase.firestore().collection('registrations').get();
+            window.dashboardRegistrations = registrationsSnapshot.docs.map(doc => doc.data());
         }
+
+        await refreshGanveshComparison();
+        await loadGanveshSubstitutions();
+
+        loadingDiv.style.display = 'none';
+        dataDiv.style.display = 'block';
     } catch (error) {
-        console.error('Error cancelling registration:', error);
-        showNotification('Error cancelling registration: ' + error.message, 'error');
+        console.error('Error loading ganvesh stock page:', error);
+        loadingDiv.innerHTML = '<p style="color: red;">Error loading ganvesh stock. Please try again.</p>';
     }
 }
 
-// Handle restore registration
-async function handleRestoreRegistration(uniqueId) {
-    if (!uniqueId) {
-        showNotification('Invalid registration ID', 'error');
+async function refreshGanveshComparison() {
+    const status = document.getElementById('ganveshDemandFilter')?.value || 'registered';
+    const [registrations, stock] = await Promise.all([getFilteredRegistrations(status), loadGanveshStock()]);
+    const comparison = buildGanveshComparison(registrations, stock);
+    ganveshComparison = comparison.rows;
+    renderGanveshComparison(comparison);
+}
+
+function renderGanveshComparison(comparison) {
+    const tableDiv = document.getElementById('ganveshStockTable');
+    const summaryDiv = document.getElementById('ganveshStockSummary');
+    if (!tableDiv) return;
+
+    const totals = comparison.rows.reduce((sum, row) => {
+        sum.demand += row.demand;
+        sum.quantity += row.quantity;
+        sum.issued += row.issued;
+        sum.shortage += row.shortage;
+        return sum;
+    }, { demand: 0, quantity: 0, issued: 0, shortage: 0 });
+
+    if (summaryDiv) {
+        const shortSizes = comparison.rows.filter(row => row.shortage > 0).length;
+        summaryDiv.innerHTML = `
+            <strong>${totals.demand}</strong> requested, <strong>${totals.quantity}</strong> in stock, <strong>${totals.issued}</strong> issued.
+            ${shortSizes ? `<span style="color: #c62828;"><strong>${totals.shortage}</strong> short across ${shortSizes} size(s).</span>` : '<span style="color: #2e7d32;">No shortages.</span>'}
+            <br><small>No size given: ${comparison.missing.Male} male, ${comparison.missing.Female} female; gender unknown: ${comparison.missing.unknownGender}.</small>`;
+    }
+
+    if (comparison.rows.length === 0) {
+        tableDiv.innerHTML = '<p style="color: #666;">No sizes requested and no stock entered yet.</p>';
         return;
     }
-    
-    if (!confirm('Are you sure you want to restore this registration to active status?')) {
+
+    const rows = comparison.rows.map(row => `
+        <tr${row.shortage > 0 ? ' class="ganvesh-short"' : ''}>
+            <td>${escapeHtml(GANVESH_GARMENTS[row.gender])} (${escapeHtml(row.gender)})</td>
+            <td>${row.size}</td>
+            <td>${row.demand}</td>
+            <td>${row.quantity}</td>
+            <td>${row.issued}</td>
+            <td${row.available < 0 ? ' style="color: #c62828;"' : ''}>${row.available}</td>
+            <td>${row.shortage || '-'}</td>
+            <td><button class="btn btn-secondary btn-sm" onclick="editGanveshStock('${escapeHtml(row.gender)}', ${row.size}, ${row.quantity})">Edit</button></td>
+        </tr>`).join('');
+
+    tableDiv.innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Garment</th>
+                    <th>Size (cm)</th>
+                    <th>Requested</th>
+                    <th>Stock</th>
+                    <th>Issued</th>
+                    <th>Available</th>
+                    <th>Short</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+function editGanveshStock(gender, size, quantity) {
+    document.getElementById('ganveshStockGender').value = gender;
+    document.getElementById('ganveshStockSize').value = size;
+    document.getElementById('ganveshStockQuantity').value = quantity;
+    document.getElementById('ganveshStockQuantity').focus();
+}
+
+// Set the quantity received for one size (the issued count is left to the check-in API)
+async function saveGanveshStock() {
+    const gender = document.getElementById('ganveshStockGender')?.value;
+    const size = parseGanveshSize(document.getElementById('ganveshStockSize')?.value);
+    const quantity = parseInt(document.getElementById('ganveshStockQuantity')?.value, 10);
+
+    if (!GANVESH_GARMENTS[gender] || size === null) {
+        showNotification('Select a garment and enter a size between 20 and 70 cm.', 'error');
         return;
     }
-    
+    if (isNaN(quantity) || quantity < 0) {
+        showNotification('Enter the quantity in stock (0 or more).', 'error');
+        return;
+    }
+
     try {
-        showNotification('Restoring registration...', 'info');
-        await restoreFromCancelled(uniqueId);
-        showNotification('Registration restored successfully', 'success');
-        
-        // Refresh the display
-        const db = firebase.firestore();
-        const regDoc = await db.collection('registrations').doc(uniqueId).get();
-        if (regDoc.exists) {
-            displayParticipantLookupResults(regDoc.data(), uniqueId);
-        } else {
-            showNotification('Error: Could not find restored registration', 'error');
-        }
+        const user = firebase.auth().currentUser;
+        await firebase.firestore().collection('ganveshStock').doc(`${gender}_${size}`).set({
+            gender: gender,
+            size: size,
+            quantity: quantity,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+            updatedBy: user.uid
+        }, { merge: true });
+        showNotification(`${GANVESH_GARMENTS[gender]} size ${size}: stock set to ${quantity}.`, 'success');
+        document.getElementById('ganveshStockQuantity').value = '';
+        await refreshGanveshComparison();
     } catch (error) {
-        console.error('Error restoring registration:', error);
-        showNotification('Error restoring registration: ' + error.message, 'error');
+        console.error('Error saving ganvesh stock:', error);
+        showNotification('Error saving stock: ' + error.message, 'error');
     }
 }
 
-// Field name mapping from old format to normalized format (for Firestore compatibility)
-// Firestore field paths cannot contain: ~ * / [ ]
-const fieldNameMapping = {
-    'Age': 'age',
-    'Any Dietary Restrictions': 'dietaryRestrictions',
-    'Any Other Details': 'otherDetails',
-    'Any Pre-existing Medical Condition': 'medicalCondition',
-    'Arrival Flight/Train Number': 'arrivalFlightTrain',
-    'Associated with sangh for how many years/months': 'sanghYears',
-    'BarCode': 'barcode',
-    'Barcode': 'barcode',
-    'City of Current Residence': 'city',
-    'Country': 'country',
-    'Country of Current Residence': 'country',
-    'Date of Arrival': 'arrivalDate',
-    'Date of Departure Train/Flight': 'departureDate',
-    'Departure Flight/Train Number': 'departureFlightTrain',
-    'Do you have any responsibility in Hindu Swayamsevak Sangh?': 'hssResponsibility',
-    'Do you have any responsibility in any other organisation (e.g. VHP, Sewa International etc)?': 'otherOrgResponsibility',
-    'Do you need a drop off for departure?': 'dropoffNeeded',
-    'Do you need a pickup on arrival?': 'pickupNeeded',
-    'Educational Qualification': 'educationalQual',
-    'Email address': 'email',
-    'Emergency Contact Name': 'emergencyContactName',
-    'Emergency Contact Number': 'emergencyContactNumber',
-    'Emergency Contact Relation': 'emergencyContactRelation',
-    'Full Name': 'name',
-    'Ganvesh Kurta Shoulder Size in cm (for swayamevaks and sevikas)': 'ganveshSize',
-    'Gender': 'gender',
-    'Occupation (e.g. Engineer/Business/Homemaker/Student)': 'occupation',
-    'Phone number on which you can be contacted in Bharat (by call or WhatsApp)': 'phone',
-    'Place of Arrival': 'arrivalPlace',
-    'Place of Departure Train/Flight': 'departurePlace',
-    'Please select a post shibir tour option': 'postShibirTour',
-    'Praveshika ID': 'uniqueId',
-    'Relationship of Emergency Contact Person': 'emergencyContactRelation',
-    'SeqNum': 'seqNum',
-    'Shreni': 'shreni',
-    'Corrected Shreni': 'shreni',
-    'Default Shreni': 'shreni',
-    'Status': 'status',
-    'Time of Arrival': 'arrivalTime',
-    'Time of Departure Train/Flight': 'departureTime',
-    'Timestamp': 'createdAt',
-    'What is your current responsibility in HSS or other organisation?': 'currentResponsibility',
-    'Whatsapp Number': 'whatsapp',
-    'Which Sangh Shiksha Varg have you completed': 'shikshaVarg',
-    'Zone': 'zone',
-    'Zone/Shreni': 'zone'
-};
+// Ganvesh handed out in a different size from the one requested
+async function fetchGanveshSubstitutions() {
+    const snapshot = await firebase.firestore().collection('checkins')
+        .where('checkinType', '==', 'ganvesh_collected')
+        .where('sizeSubstituted', '==', true)
+        .get();
+    return snapshot.docs
+        .map(doc => doc.data())
+        .sort((a, b) => (safeTimestampToDate(b.timestamp)?.getTime() || 0) - (safeTimestampToDate(a.timestamp)?.getTime() || 0));
+}
 
-// Validate if a field name is valid for Firestore
-// Firestore field paths cannot contain: * ~ / [ ] and cannot be empty
-function isValidFirestoreFieldName(fieldName) {
-    if (!fieldName || fieldName.trim() === '') {
-        return false;
+async function loadGanveshSubstitutions() {
+    const listDiv = document.getElementById('ganveshSubstitutionsList');
+    if (!listDiv) return;
+
+    const substitutions = await fetchGanveshSubstitutions();
+    if (substitutions.length === 0) {
+        listDiv.innerHTML = '<p style="color: #666;">No substitutions recorded.</p>';
+        return;
     }
-    // Firestore field names cannot contain these characters: * ~ / [ ]
-    const invalidChars = ['*', '~', '/', '[', ']'];
-    for (const char of invalidChars) {
-        if (fieldName.includes(char)) {
-            return false;
+
+    // Requested -> issued pairs, most common first
+    const pairs = {};
+    substitutions.forEach(s => {
+        const key = `${s.gender || '?'}|${s.requestedSize}|${s.issuedSize}`;
+        pairs[key] = (pairs[key] || 0) + 1;
+    });
+    const pairSummary = Object.entries(pairs)
+        .sort((a, b) => b[1] - a[1])
+        .map(([key, count]) => {
+            const [gender, requested, issued] = key.split('|');
+            return `${escapeHtml(GANVESH_GARMENTS[gender] || gender)} ${escapeHtml(requested)} → ${escapeHtml(issued)}: ${count}`;
+        }).join('<br>');
+
+    const rows = substitutions.map(s => {
+        const when = safeTimestampToDate(s.timestamp);
+        return `
+            <tr>
+                <td>${escapeHtml(s.uniqueId)}</td>
+                <td>${escapeHtml(s.gender || '-')}</td>
+                <td>${escapeHtml(String(s.requestedSize ?? '-'))}</td>
+                <td>${escapeHtml(String(s.issuedSize ?? '-'))}</td>
+                <td>${when ? escapeHtml(when.toLocaleString()) : '-'}</td>
+                <td>${escapeHtml(s.checkedInByName || '-')}</td>
+            </tr>`;
+    }).join('');
+
+    listDiv.innerHTML = `
+        <p>${pairSummary}</p>
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Praveshika ID</th>
+                    <th>Gender</th>
+                    <th>Requested</th>
+                    <th>Issued</th>
+                    <th>When</th>
+                    <th>By</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+function exportGanveshComparison() {
+    if (ganveshComparison.length === 0) {
+        showNotification('Nothing to export yet.', 'error');
+        return;
+    }
+    const headers = ['Garment', 'Gender', 'Size (cm)', 'Requested', 'Stock', 'Issued', 'Available', 'Short'];
+    const rows = ganveshComparison.map(row => [
+        GANVESH_GARMENTS[row.gender], row.gender, row.size, row.demand, row.quantity, row.issued, row.available, row.shortage
+    ]);
+    exportToCSV('ganvesh_stock_vs_demand.csv', headers, rows);
+}
+
+// Dashboard panel: sizes that are short and how many substitutions the desk has made
+async function loadGanveshDashboardSummary(registrations) {
+    const container = document.getElementById('ganveshShortageSummary');
+    if (!container) return;
+
+    const [stock, substitutions] = await Promise.all([loadGanveshStock(), fetchGanveshSubstitutions()]);
+    if (Object.keys(stock).length === 0) {
+        container.innerHTML = '<p style="color: #666;">No ganvesh stock entered yet. Add it on the Ganvesh Stock page.</p>';
+        return;
+    }
+
+    const { rows } = buildGanveshComparison(registrations, stock);
+    const shortRows = rows.filter(row => row.shortage > 0 || row.available < 0);
+    container.innerHTML = `
+        <p><strong>${substitutions.length}</strong> substitution(s) recorded at the desk.</p>
+        ${shortRows.length === 0 ? '<p style="color: #2e7d32;">Stock covers every requested size.</p>' : `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Garment</th>
+                    <th>Size (cm)</th>
+                    <th>Requested</th>
+                    <th>Stock</th>
+                    <th>Short</th>
+                    <th>Available Now</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${shortRows.map(row => `
+                <tr class="ganvesh-short">
+                    <td>${escapeHtml(GANVESH_GARMENTS[row.gender])}</td>
+                    <td>${row.size}</td>
+                    <td>${row.demand}</td>
+                    <td>${row.quantity}</td>
+                    <td>${row.shortage}</td>
+                    <td>${row.available}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>`}`;
+}
+
+// At the desk, start the issued size at the requested size and show what is left in stock
+async function prefillGanveshIssuedSize(regData) {
+    if (currentCheckinType !== 'ganvesh_collected') return;
+    const input = document.getElementById('checkinField-issuedSize');
+    if (!input) return;
+
+    const requestedSize = getRegistrationGanveshSize(regData);
+    const gender = getRegistrationGender(regData);
+    input.value = requestedSize ?? '';
+
+    let hint = document.getElementById('ganveshIssueHint');
+    if (!hint) {
+        hint = document.createElement('p');
+        hint.id = 'ganveshIssueHint';
+        hint.style.cssText = 'margin: 0.25rem 0 0; font-size: 0.85rem; color: #666;';
+        input.insertAdjacentElement('afterend', hint);
+    }
+    hint.textContent = requestedSize === null ? 'No size requested at registration.' : `Requested size: ${requestedSize} cm`;
+
+    if (requestedSize === null || !gender || isCheckinOffline()) return;
+    try {
+        const stockDoc = await firebase.firestore().collection('ganveshStock').doc(`${gender}_${requestedSize}`).get();
+        if (stockDoc.exists) {
+            const available = (stockDoc.data().quantity || 0) - (stockDoc.data().issued || 0);
+            hint.textContent += ` (${Math.max(available, 0)} left in stock)`;
+            if (available <= 0) hint.style.color = '#c62828';
         }
+    } catch (error) {
+        // Volunteers without stock access still get the requested size
+        console.warn('Could not read ganvesh stock:', error.message);
     }
-    return true;
 }
 
-// Normalize a field name to a valid Firestore field name
-function normalizeFieldName(fieldName) {
-    if (!fieldName) return fieldName;
-    
-    // If the field name is already valid, return it as-is
-    if (isValidFirestoreFieldName(fieldName)) {
-        // Check if it needs mapping to normalized name
-        return fieldNameMapping[fieldName] || fieldName;
+// ============================================
+// SHULK PAYMENT LEDGER
+// ============================================
+
+// Payments are recorded through /api/shulk-payment, which numbers receipts and writes
+// shulkPayments documents. Balances are worked out from the ledger, not from the
+// shulk_paid check-in, which only says the desk has seen the participant pay.
+
+// Shulk due per participant (see Key Dates on the home page)
+const SHULK_AMOUNT_INR = 2000;
+
+const SHULK_CURRENCIES = ['INR', 'USD', 'GBP', 'EUR', 'CAD', 'AUD', 'NZD', 'SGD', 'AED', 'KES', 'ZAR'];
+const SHULK_PAYMENT_METHODS = {
+    'cash': 'Cash',
+    'card': 'Card',
+    'upi': 'UPI',
+    'bank_transfer': 'Bank Transfer',
+    'cheque': 'Cheque',
+    'other': 'Other'
+};
+
+// Praveshika IDs as they appear in bank narrations, e.g. "VSS AMKK1001" or "EU-YV-1002"
+const PRAVESHIKA_ID_IN_TEXT = /\b(AM|EU|AR|AF|AS|AU)[\s-]?(BA|KI|YV|KK|SK)[\s-]?(\d{3,})\b/i;
+
+// Payments sent per /api/shulk-payment request (the API records each in its own transaction)
+const SHULK_PAYMENT_CHUNK_SIZE = 20;
+
+// Payments shown on screen, by document ID, for receipt downloads
+const shulkPaymentCache = {};
+let shulkReconciliationRows = [];
+
+async function callShulkPaymentApi(payload) {
+    const user = firebase.auth().currentUser;
+    if (!user) {
+        throw new Error('Please log in first');
     }
-    
-    // If invalid, try to map it to a normalized name
-    if (fieldNameMapping[fieldName]) {
-        return fieldNameMapping[fieldName];
+
+    const idToken = await user.getIdToken();
+    const response = await fetch('/api/shulk-payment', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${idToken}`
+        },
+        body: JSON.stringify(payload)
+    });
+
+    let result;
+    try {
+        result = await response.json();
+    } catch (jsonError) {
+        throw new Error(`Payment service returned an invalid response (${response.status})`);
     }
-    
-    // If no mapping exists and field name is invalid, replace invalid characters
-    // This is a fallback for any unmapped invalid field names
-    let normalized = fieldName;
-    const invalidChars = ['*', '~', '/', '[', ']'];
-    invalidChars.forEach(char => {
-        normalized = normalized.replace(new RegExp('\\' + char, 'g'), '_');
+
+    if (!response.ok) {
+        throw new Error(result.error || `Payment service error (${response.status})`);
+    }
+    return result;
+}
+
+function formatInr(amount) {
+    return `INR ${Number(amount || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+}
+
+function formatShulkAmount(payment) {
+    const amount = `${payment.currency} ${Number(payment.amount || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+    return payment.currency === 'INR' ? amount : `${amount} (${formatInr(payment.amountInr)})`;
+}
+
+// Recorded (not voided) payments for the given Praveshika IDs, newest first
+async function fetchShulkPayments(uniqueIds, includeVoid = false) {
+    const db = firebase.firestore();
+    const snapshots = await Promise.all(uniqueIds.map(uniqueId =>
+        db.collection('shulkPayments').where('uniqueId', '==', uniqueId).get()));
+    const payments = [];
+    snapshots.forEach(snapshot => snapshot.forEach(doc => {
+        const payment = { id: doc.id, ...doc.data() };
+        shulkPaymentCache[doc.id] = payment;
+        if (includeVoid || payment.status === 'recorded') payments.push(payment);
+    }));
+    return payments.sort((a, b) => (b.receiptSeq || 0) - (a.receiptSeq || 0));
+}
+
+// Total INR collected per Praveshika ID across the whole ledger
+async function loadShulkTotalsByParticipant() {
+    const snapshot = await firebase.firestore().collection('shulkPayments')
+        .where('status', '==', 'recorded')
+        .get();
+    const totals = {};
+    const references = new Set();
+    snapshot.forEach(doc => {
+        const payment = doc.data();
+        totals[payment.uniqueId] = (totals[payment.uniqueId] || 0) + (payment.amountInr || 0);
+        if (payment.reference) references.add(payment.reference);
     });
-    
-    console.warn(`Field name "${fieldName}" contains invalid characters. Using normalized name: "${normalized}"`);
-    return normalized;
+    return { totals, references };
 }
 
-// Save participant edits
-async function saveParticipantEdits() {
+// Load Shulk Ledger page (admins only)
+async function loadShulkLedgerPage(user) {
+    const isAdminUser = await isAdmin(user);
+    const loadingDiv = document.getElementById('shulkLoading');
+    const dataDiv = document.getElementById('shulkData');
+
+    if (!isAdminUser) {
+        if (loadingDiv) {
+            loadingDiv.innerHTML = '<p style="color: red;">Access denied. You do not have permission to view this page.</p>';
+        }
+        return;
+    }
+
+    if (!loadingDiv || !dataDiv) return;
+
     if (!window.firebase || !firebase.firestore) {
-        showNotification('Firebase not initialized', 'error');
+        loadingDiv.innerHTML = '<p style="color: red;">Firebase not initialized.</p>';
         return;
     }
-    
-    // Verify user is authenticated and is an admin
-    const user = firebase.auth().currentUser;
-    if (!user) {
-        showNotification('You must be logged in to update participant information', 'error');
+
+    const currencySelect = document.getElementById('shulkPaymentCurrency');
+    if (currencySelect && currencySelect.options.length === 0) {
+        currencySelect.innerHTML = SHULK_CURRENCIES.map(code => `<option value="${code}">${code}</option>`).join('');
+    }
+    const methodSelect = document.getElementById('shulkPaymentMethod');
+    if (methodSelect && methodSelect.options.length === 0) {
+        methodSelect.innerHTML = Object.entries(SHULK_PAYMENT_METHODS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+    }
+    updateShulkCurrencyFields();
+
+    loadingDiv.style.display = 'none';
+    dataDiv.style.display = 'block';
+}
+
+function updateShulkCurrencyFields() {
+    const currency = document.getElementById('shulkPaymentCurrency')?.value || 'INR';
+    const inrGroup = document.getElementById('shulkPaymentInrGroup');
+    if (inrGroup) inrGroup.style.display = currency === 'INR' ? 'none' : 'block';
+}
+
+async function recordShulkPayment() {
+    const uniqueId = (document.getElementById('shulkPaymentId')?.value || '').trim().toUpperCase();
+    const payment = {
+        uniqueId: uniqueId,
+        amount: parseFloat(document.getElementById('shulkPaymentAmount')?.value),
+        currency: document.getElementById('shulkPaymentCurrency')?.value || 'INR',
+        amountInr: parseFloat(document.getElementById('shulkPaymentInr')?.value),
+        method: document.getElementById('shulkPaymentMethod')?.value || 'cash',
+        reference: document.getElementById('shulkPaymentReference')?.value.trim() || '',
+        paidAt: document.getElementById('shulkPaymentDate')?.value || null,
+        notes: document.getElementById('shulkPaymentNotes')?.value.trim() || ''
+    };
+
+    if (!uniqueId) {
+        showNotification('Please enter a Praveshika ID.', 'error');
         return;
     }
-    
-    // Double-check user document exists and has admin role (required for Firestore rules)
-    const db = firebase.firestore();
-    let userDoc;
-    try {
-        userDoc = await db.collection('users').doc(user.uid).get();
-        if (!userDoc.exists) {
-            showNotification('Error: Your user account is not properly set up. Please contact an administrator.', 'error');
-            console.error('User document does not exist for uid:', user.uid);
-            return;
-        }
-        
-        const userData = userDoc.data();
-        const userRole = userData?.role;
-        if (userRole !== 'admin' && userRole !== 'superadmin') {
-            showNotification('Permission denied. Only administrators can update participant information.', 'error');
-            console.error('User does not have admin role. Current role:', userRole);
-            return;
-        }
-    } catch (error) {
-        console.error('Error verifying user permissions:', error);
-        showNotification('Error verifying permissions. Please try again.', 'error');
+    if (!(payment.amount > 0)) {
+        showNotification('Please enter the amount received.', 'error');
         return;
     }
-    
-    const isAdminUser = await isAdmin(user);
-    if (!isAdminUser) {
-        showNotification('Permission denied. Only administrators can update participant information.', 'error');
+    if (payment.currency !== 'INR' && !(payment.amountInr > 0)) {
+        showNotification('Please enter the INR equivalent for foreign currency payments.', 'error');
         return;
     }
-    
-    const fieldsDiv = document.getElementById('participantLookupFields');
-    if (!fieldsDiv || !currentParticipantUniqueId) return;
-    
-    // Collect all field values and normalize field names
-    const updatedData = {};
-    const inputs = fieldsDiv.querySelectorAll('input[data-field-name]');
-    
-    inputs.forEach(input => {
-        const originalFieldName = input.getAttribute('data-field-name');
-        // Skip uniqueId from inputs - we'll set it explicitly below
-        if (originalFieldName !== 'uniqueId') {
-            // Normalize the field name to ensure it's valid for Firestore
-            const normalizedFieldName = normalizeFieldName(originalFieldName);
-            const fieldValue = input.value.trim();
-            
-            // Only add valid field names to updateData
-            if (isValidFirestoreFieldName(normalizedFieldName)) {
-                updatedData[normalizedFieldName] = fieldValue;
-            } else {
-                console.warn(`Skipping invalid field name: "${originalFieldName}" (normalized to: "${normalizedFieldName}")`);
-            }
-        }
-    });
-    
-    // Verify the existing registration document exists and has uniqueId
-    let existingRegDoc;
+    if (payment.method !== 'cash' && !payment.reference) {
+        showNotification('Please enter the transaction reference.', 'error');
+        return;
+    }
+
     try {
-        existingRegDoc = await db.collection('registrations').doc(currentParticipantUniqueId).get();
-        if (!existingRegDoc.exists) {
-            showNotification('Error: Registration document not found.', 'error');
+        const result = await callShulkPaymentApi({ action: 'record', source: 'desk', payments: [payment] });
+        const outcome = result.results[0];
+        if (outcome.status !== 'recorded') {
+            showNotification(outcome.error || 'Payment was not recorded.', 'error');
             return;
         }
-        
-        const existingData = existingRegDoc.data();
-        // Ensure uniqueId exists in the document (required by Firestore rules)
-        // If it doesn't exist, this is a data integrity issue - the document should always have uniqueId
-        if (!existingData.uniqueId) {
-            console.warn('Registration document missing uniqueId field. This may cause permission errors.');
-            // We'll still try to update, but the Firestore rule may fail
-        }
+        showNotification(`Payment recorded. Receipt ${outcome.receiptNumber}.`, 'success');
+        ['shulkPaymentAmount', 'shulkPaymentInr', 'shulkPaymentReference', 'shulkPaymentNotes'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+        document.getElementById('shulkLedgerLookupId').value = outcome.uniqueId;
+        await lookupShulkLedger();
     } catch (error) {
-        console.error('Error fetching existing registration:', error);
-        showNotification('Error fetching registration data. Please try again.', 'error');
-        return;
+        console.error('Error recording shulk payment:', error);
+        showNotification('Error recording payment: ' + error.message, 'error');
     }
-    
-    // Preserve critical fields as required by Firebase security rules
-    // uniqueId must be preserved and match the document ID (required for admin updates)
-    // Always set uniqueId to ensure it exists (matches document ID)
-    updatedData.uniqueId = currentParticipantUniqueId;
-    
-    // Preserve normalizedId if it exists (should not be changed)
-    if (currentParticipantData?.normalizedId) {
-        updatedData.normalizedId = currentParticipantData.normalizedId;
-    } else if (existingRegDoc?.data()?.normalizedId) {
-        updatedData.normalizedId = existingRegDoc.data().normalizedId;
-    }
-    
-    // Note: As an admin, we can update name and email if they're in the form inputs
-    // The Firebase rules allow admins to update any field except uniqueId must be preserved
-    
-    // Add updatedAt timestamp
-    updatedData.updatedAt = firebase.firestore.FieldValue.serverTimestamp();
-    
-    // Show confirmation dialog
-    const confirmMessage = `Are you sure you want to update the registration for Praveshika ID: ${currentParticipantUniqueId}?\n\nThis will modify the database.`;
-    if (!confirm(confirmMessage)) {
+}
+
+// Ledger and balance for one participant
+async function lookupShulkLedger() {
+    const uniqueId = (document.getElementById('shulkLedgerLookupId')?.value || '').trim().toUpperCase();
+    const resultDiv = document.getElementById('shulkLedgerResult');
+    if (!resultDiv) return;
+    if (!uniqueId) {
+        showNotification('Please enter a Praveshika ID.', 'error');
         return;
     }
-    
+
+    resultDiv.innerHTML = '<p>Loading...</p>';
     try {
-        // Update the document (only updates specified fields, preserves others)
-        await db.collection('registrations').doc(currentParticipantUniqueId).update(updatedData);
-        
-        showNotification('Participant information updated successfully', 'success');
-        
-        // Reload the data to show updated values
-        const regDoc = await db.collection('registrations').doc(currentParticipantUniqueId).get();
-        if (regDoc.exists) {
-            displayParticipantLookupResults(regDoc.data(), currentParticipantUniqueId);
-        }
-        
+        const payments = await fetchShulkPayments([uniqueId], true);
+        const paid = payments.filter(p => p.status === 'recorded').reduce((sum, p) => sum + (p.amountInr || 0), 0);
+        const balance = SHULK_AMOUNT_INR - paid;
+
+        const rows = payments.map(p => {
+            const paidAt = safeTimestampToDate(p.paidAt);
+            const isVoid = p.status === 'void';
+            return `
+                <tr${isVoid ? ' style="color: #999; text-decoration: line-through;"' : ''}>
+                    <td>${escapeHtml(p.receiptNumber)}</td>
+                    <td>${paidAt ? escapeHtml(paidAt.toLocaleDateString()) : '-'}</td>
+                    <td>${escapeHtml(formatShulkAmount(p))}</td>
+                    <td>${escapeHtml(SHULK_PAYMENT_METHODS[p.method] || p.method)}</td>
+                    <td>${escapeHtml(p.reference || '-')}</td>
+                    <td>${escapeHtml(p.collectedByName || '-')}</td>
+                    <td>${isVoid ? `Void: ${escapeHtml(p.voidReason || '')}` : `
+                        <button class="btn btn-secondary btn-sm" onclick="downloadShulkReceipt('${p.id}')">Receipt</button>
+                        <button class="btn btn-secondary btn-sm" onclick="voidShulkPayment('${p.id}')">Void</button>`}</td>
+                </tr>`;
+        }).join('');
+
+        resultDiv.innerHTML = `
+            <p><strong>${escapeHtml(uniqueId)}</strong>: paid ${escapeHtml(formatInr(paid))} of ${escapeHtml(formatInr(SHULK_AMOUNT_INR))}.
+               ${balance > 0 ? `<span style="color: #c62828;">Balance due ${escapeHtml(formatInr(balance))}.</span>` :
+                 balance < 0 ? `<span style="color: #e65100;">Overpaid by ${escapeHtml(formatInr(-balance))}.</span>` :
+                 '<span style="color: #2e7d32;">Fully paid.</span>'}</p>
+            ${payments.length === 0 ? '<p style="color: #666;">No payments recorded.</p>' : `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Receipt</th>
+                        <th>Date</th>
+                        <th>Amount</th>
+                        <th>Method</th>
+                        <th>Reference</th>
+                        <th>Collected By</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>`}`;
     } catch (error) {
-        console.error('Error updating participant:', error);
-        console.error('Error details:', {
-            code: error.code,
-            message: error.message,
-            stack: error.stack
-        });
-        console.error('Update data:', updatedData);
-        console.error('User UID:', user.uid);
-        console.error('User role:', userDoc?.data()?.role);
-        
-        let errorMsg = 'Error updating participant information. Please try again.';
-        if (error.code === 'permission-denied') {
-            errorMsg = 'Permission denied. You do not have permission to update this registration. Please ensure you are logged in as an administrator and that your user account has the correct role in Firestore.';
-        } else if (error.message) {
-            errorMsg = error.message;
-        }
-        showNotification(errorMsg, 'error');
+        console.error('Error loading shulk ledger:', error);
+        resultDiv.innerHTML = '<p style="color: red;">Error loading payments. Please try again.</p>';
     }
 }
 
-// Clear participant lookup results
-function clearParticipantLookupResults() {
-    const resultsDiv = document.getElementById('participantLookupResults');
-    const detailsDiv = document.getElementById('participantLookupDetails');
-    
-    if (resultsDiv) {
-        resultsDiv.innerHTML = '';
-        resultsDiv.style.display = 'none';
+async function voidShulkPayment(paymentId) {
+    const payment = shulkPaymentCache[paymentId];
+    const reason = prompt(`Void receipt ${payment?.receiptNumber || ''}? Enter the reason:`);
+    if (reason === null) return;
+    if (!reason.trim()) {
+        showNotification('A reason is required to void a payment.', 'error');
+        return;
     }
-    
-    if (detailsDiv) {
-        detailsDiv.style.display = 'none';
+
+    try {
+        const result = await callShulkPaymentApi({ action: 'void', paymentId, reason: reason.trim() });
+        showNotification(`Receipt ${result.receiptNumber} voided.`, 'success');
+        await lookupShulkLedger();
+    } catch (error) {
+        console.error('Error voiding shulk payment:', error);
+        showNotification('Error voiding payment: ' + error.message, 'error');
     }
-    
-    currentParticipantData = null;
-    currentParticipantUniqueId = null;
 }
 
-function calculateStatistics(registrations, users) {
-    const stats = {
-        totalRegistrations: registrations.length,
-        totalUsers: users.length,
-        totalUserAccounts: 0, // Unique email addresses
-        totalPraveshikaIds: registrations.length,
-        countryBreakdown: {},
-        zoneBreakdown: {},
-        zoneCountryMap: {}, // Map of zone -> {country: count}
-        shreniBreakdown: {},
-        tourBreakdown: {},
-        pickupBreakdown: {},
-        dropoffBreakdown: {},
-        genderBreakdown: {},
-        countryOverallBreakdown: {},
-        zoneShreniBreakdown: {},
-        ageBreakdown: {},
-        shikshaVargBreakdown: {},
-        shikshaVargShreniBreakdown: {},
-        shreniGenderBreakdown: {},
-        arrivalDateBreakdown: {},
-        arrivalTimeBucketsBreakdown: {},
-        pickupNeededBreakdown: {},
-        dropoffNeededBreakdown: {},
-        placeOfArrivalBreakdown: {},
-        placeArrivalDateBreakdown: {},
-        placeArrivalDateTimeBreakdown: {},
-        placeOfDepartureBreakdown: {},
-        placeDepartureDateBreakdown: {},
-        ganaveshSizeBreakdown: {},
-        medicalConditionsBreakdown: {},
-        dietaryRestrictionsBreakdown: {},
-        travelUpdateStats: {
-            totalUpdated: 0,
-            totalNotUpdated: 0,
-            updatePercentage: 0
-        },
-        totalPraveshikaIdsWithAccounts: 0,
-        emailCorrections: {
-            lateRegistrations: [],
-            updatedRegistrations: [],
-            needsConfirmation: []
-        }
-    };
-    
-    // Collect all registration uniqueIds (for linking to user accounts)
-    const registrationUniqueIds = new Set();
-    
-    // Count unique email addresses
-    const uniqueEmails = new Set();
-    users.forEach(user => {
-        if (user.email) {
-            uniqueEmails.add(user.email.toLowerCase().trim());
-        }
+function downloadShulkReceipt(paymentId) {
+    const payment = shulkPaymentCache[paymentId];
+    if (!payment) {
+        showNotification('Payment not found. Please reload the page.', 'error');
+        return;
+    }
+    if (typeof window.jspdf === 'undefined') {
+        showNotification('PDF library not loaded', 'error');
+        return;
+    }
+
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF('portrait', 'mm', 'a5');
+    const paidAt = safeTimestampToDate(payment.paidAt);
+    const margin = 14;
+    let y = 20;
+
+    doc.setFontSize(16);
+    doc.setFont(undefined, 'bold');
+    doc.text('VSS2025 Shulk Receipt', margin, y);
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'normal');
+    y += 8;
+    doc.text(`Receipt No: ${payment.receiptNumber}`, margin, y);
+    doc.text(`Date: ${paidAt ? paidAt.toLocaleDateString() : ''}`, 100, y);
+
+    y += 6;
+    doc.line(margin, y, 134, y);
+    y += 10;
+
+    const lines = [
+        ['Received from', payment.participantName || ''],
+        ['Praveshika ID', payment.uniqueId],
+        ['Zone', payment.zone || ''],
+        ['Amount', formatShulkAmount(payment)],
+        ['Payment method', SHULK_PAYMENT_METHODS[payment.method] || payment.method],
+        ['Reference', payment.reference || '-'],
+        ['Collected by', payment.collectedByName || '']
+    ];
+    lines.forEach(([label, value]) => {
+        doc.setFont(undefined, 'bold');
+        doc.text(`${label}:`, margin, y);
+        doc.setFont(undefined, 'normal');
+        doc.text(String(value), 55, y);
+        y += 8;
     });
-    stats.totalUserAccounts = uniqueEmails.size;
-    
-    // Process each registration
-    registrations.forEach(reg => {
-        // Track registration uniqueId for account linking
-        const regId = reg.uniqueId || reg.UniqueId || reg['Praveshika ID'] || reg['Unique ID'] || reg['Praveshika_ID'];
-        if (regId) {
-            registrationUniqueIds.add(regId.toString().trim());
-        }
-        
-        // Country breakdown
-        const country = reg.Country || reg.country || reg['Country of Current Residence'] || 'Unknown';
-        stats.countryBreakdown[country] = (stats.countryBreakdown[country] || 0) + 1;
-        
-        // Zone breakdown (zone can be in various fields)
-        const zone = reg.Zone || reg.zone || reg['Zone/Shreni'] || reg['Zone'] || 'Unknown';
-        stats.zoneBreakdown[zone] = (stats.zoneBreakdown[zone] || 0) + 1;
-        
-        // Build zone -> country mapping
-        if (!stats.zoneCountryMap[zone]) {
-            stats.zoneCountryMap[zone] = {};
+
+    y += 4;
+    doc.setFontSize(8);
+    doc.text('Towards the shulk for Vishwa Sangh Shibir 2025.', margin, y);
+
+    if (payment.status === 'void') {
+        doc.setFontSize(48);
+        doc.setTextColor(200, 0, 0);
+        doc.text('VOID', 45, 120, { angle: 30 });
+        doc.setTextColor(0, 0, 0);
+    }
+
+    doc.save(`shulk_receipt_${payment.receiptNumber}.pdf`);
+}
+
+// Bank statement columns recognised by header name (first match wins)
+const BANK_CSV_COLUMNS = {
+    date: ['value date', 'transaction date', 'txn date', 'date'],
+    amount: ['credit', 'deposit', 'credit amount', 'amount'],
+    reference: ['utr', 'reference', 'ref no', 'reference no', 'transaction id', 'cheque no'],
+    description: ['description', 'narration', 'details', 'remarks', 'particulars']
+};
+
+function findBankCsvColumn(headers, names) {
+    const lower = headers.map(h => h.toLowerCase().trim());
+    for (const name of names) {
+        const index = lower.indexOf(name);
+        if (index !== -1) return index;
+    }
+    return -1;
+}
+
+// Read a bank statement CSV and match each credit to a registration by the Praveshika ID
+// in its narration or reference
+async function previewBankStatement() {
+    const fileInput = document.getElementById('shulkBankCsv');
+    const file = fileInput?.files?.[0];
+    if (!file) {
+        showNotification('Please choose a bank statement CSV file.', 'error');
+        return;
+    }
+
+    try {
+        const rows = parseCSV(await file.text()).filter(row => row.some(cell => cell !== ''));
+        if (rows.length < 2) {
+            showNotification('The file has no transactions.', 'error');
+            return;
         }
-        stats.zoneCountryMap[zone][country] = (stats.zoneCountryMap[zone][country] || 0) + 1;
-        
-        // Shreni breakdown
-        const shreni = reg.Shreni || reg.shreni || reg['Corrected Shreni'] || reg['Default Shreni'] || 'Unknown';
-        stats.shreniBreakdown[shreni] = (stats.shreniBreakdown[shreni] || 0) + 1;
-        
-        // Tour breakdown
-        const tour = reg.postShibirTour || reg['Post Shibir Tour'] || reg['Post Shibir Tours'] || 
-                    reg['Please select a post shibir tour option'] || 'Not Selected';
-        stats.tourBreakdown[tour] = (stats.tourBreakdown[tour] || 0) + 1;
-        
-        // Pickup location breakdown
-        const pickup = reg.pickupLocation || reg['Pickup Location'] || 
-                      reg['Do you need a pickup on arrival?'] || 'Not Specified';
-        stats.pickupBreakdown[pickup] = (stats.pickupBreakdown[pickup] || 0) + 1;
-        
-        // Dropoff location breakdown
-        const dropoff = reg.dropoffLocation || reg['Dropoff Location'] || 
-                       reg['Drop-off Location'] || reg['Return Location'] || 'Not Specified';
-        stats.dropoffBreakdown[dropoff] = (stats.dropoffBreakdown[dropoff] || 0) + 1;
-        
-        // Gender breakdown
-        const gender = reg.gender || reg.Gender || 'Not Specified';
-        stats.genderBreakdown[gender] = (stats.genderBreakdown[gender] || 0) + 1;
-        
-        // Country overall breakdown (same as countryBreakdown but separate for clarity)
-        stats.countryOverallBreakdown[country] = (stats.countryOverallBreakdown[country] || 0) + 1;
-        
-        // Zone by Shreni breakdown
-        const zoneShreniKey = `${zone} | ${shreni}`;
-        stats.zoneShreniBreakdown[zoneShreniKey] = (stats.zoneShreniBreakdown[zoneShreniKey] || 0) + 1;
-        
-        // Age breakdown (dynamic buckets based on data)
-        const age = parseInt(reg.age || reg.Age || 0);
-        if (age > 0) {
-            let ageBucket = '';
-            if (age <= 20) ageBucket = '0-20';
-            else if (age <= 30) ageBucket = '21-30';
-            else if (age <= 35) ageBucket = '31-35';
-            else if (age <= 40) ageBucket = '36-40';
-            else if (age <= 50) ageBucket = '41-50';
-            else if (age <= 60) ageBucket = '51-60';
-            else ageBucket = '60+';
-            stats.ageBreakdown[ageBucket] = (stats.ageBreakdown[ageBucket] || 0) + 1;
+
+        const headers = rows[0];
+        const columns = {};
+        Object.entries(BANK_CSV_COLUMNS).forEach(([key, names]) => {
+            columns[key] = findBankCsvColumn(headers, names);
+        });
+        if (columns.amount === -1 || (columns.description === -1 && columns.reference === -1)) {
+            showNotification('Could not find the amount and description/reference columns in the CSV header.', 'error');
+            return;
         }
-        
-        // Shiksha Varg breakdown
-        const shikshaVarg = reg.shikshaVarg || reg['Which Sangh Shiksha Varg have you completed'] || reg['Shiksha Varg'] || 'Not specified';
-        stats.shikshaVargBreakdown[shikshaVarg] = (stats.shikshaVargBreakdown[shikshaVarg] || 0) + 1;
-        
-        // Shiksha Varg by Shreni
-        const shikshaVargShreniKey = `${shreni} | ${shikshaVarg}`;
-        stats.shikshaVargShreniBreakdown[shikshaVargShreniKey] = (stats.shikshaVargShreniBreakdown[shikshaVargShreniKey] || 0) + 1;
-        
-        // Shreni by Gender breakdown
-        const shreniGenderKey = `${shreni} | ${gender}`;
-        stats.shreniGenderBreakdown[shreniGenderKey] = (stats.shreniGenderBreakdown[shreniGenderKey] || 0) + 1;
-        
-        // Date of Arrival breakdown
-        const arrivalDate = reg.arrivalDate || reg['Date of Arrival'] || '';
-        if (arrivalDate) {
-            stats.arrivalDateBreakdown[arrivalDate] = (stats.arrivalDateBreakdown[arrivalDate] || 0) + 1;
+
+        if (!window.dashboardRegistrations) {
+            const registrationsSnapshot = await firebase.firestore().collection('registrations').get();
+            window.dashboardRegistrations = registrationsSnapshot.docs.map(doc => doc.data());
         }
-        
-        // Arrival Time Buckets (2/4 hour sections)
-        const arrivalTime = reg.arrivalTime || reg['Time of Arrival'] || '';
-        if (arrivalTime) {
-            const timeBucket = getTimeBucket(arrivalTime);
-            stats.arrivalTimeBucketsBreakdown[timeBucket] = (stats.arrivalTimeBucketsBreakdown[timeBucket] || 0) + 1;
+        const knownIds = new Set(window.dashboardRegistrations.map(reg => String(reg.uniqueId || '').toUpperCase()));
+        const { references } = await loadShulkTotalsByParticipant();
+
+        shulkReconciliationRows = rows.slice(1).map(row => {
+            const cell = index => (index === -1 ? '' : (row[index] || '').trim());
+            const description = cell(columns.description);
+            const reference = cell(columns.reference) || description.substring(0, 100);
+            const amount = parseFloat(cell(columns.amount).replace(/[^0-9.-]/g, ''));
+            const idMatch = `${description} ${cell(columns.reference)}`.match(PRAVESHIKA_ID_IN_TEXT);
+            const uniqueId = idMatch ? `${idMatch[1]}${idMatch[2]}${idMatch[3]}`.toUpperCase() : '';
+
+            let status = 'matched';
+            if (!(amount > 0)) status = 'not_credit';
+            else if (references.has(reference)) status = 'already_recorded';
+            else if (!uniqueId) status = 'no_id';
+            else if (!knownIds.has(uniqueId)) status = 'unknown_id';
+
+            return { date: cell(columns.date), amount, reference, description, uniqueId, status };
+        }).filter(row => row.status !== 'not_credit');
+
+        renderBankReconciliation();
+    } catch (error) {
+        console.error('Error reading bank statement:', error);
+        showNotification('Error reading bank statement: ' + error.message, 'error');
+    }
+}
+
+const BANK_MATCH_LABELS = {
+    'matched': 'Ready to record',
+    'already_recorded': 'Already in ledger',
+    'no_id': 'No Praveshika ID found',
+    'unknown_id': 'ID not registered',
+    'recorded': 'Recorded',
+    'failed': 'Failed'
+};
+
+function renderBankReconciliation() {
+    const resultDiv = document.getElementById('shulkBankResult');
+    if (!resultDiv) return;
+
+    if (shulkReconciliationRows.length === 0) {
+        resultDiv.innerHTML = '<p style="color: #666;">No credits found in the statement.</p>';
+        return;
+    }
+
+    const counts = {};
+    shulkReconciliationRows.forEach(row => { counts[row.status] = (counts[row.status] || 0) + 1; });
+    const summary = Object.entries(counts)
+        .map(([status, count]) => `${escapeHtml(BANK_MATCH_LABELS[status] || status)}: <strong>${count}</strong>`)
+        .join(' &nbsp; ');
+
+    const rows = shulkReconciliationRows.map(row => `
+        <tr class="bank-match-${row.status}">
+            <td>${escapeHtml(row.date)}</td>
+            <td>${escapeHtml(formatInr(row.amount))}</td>
+            <td>${escapeHtml(row.reference)}</td>
+            <td>${escapeHtml(row.description)}</td>
+            <td>${escapeHtml(row.uniqueId || '-')}</td>
+            <td>${escapeHtml(row.error || BANK_MATCH_LABELS[row.status] || row.status)}</td>
+        </tr>`).join('');
+
+    resultDiv.innerHTML = `
+        <p>${summary}</p>
+        <div style="display: flex; gap: 1rem; flex-wrap: wrap; margin-bottom: 1rem;">
+            <button class="btn btn-primary" onclick="recordMatchedBankPayments()"${counts.matched ? '' : ' disabled'}>Record ${counts.matched || 0} Matched Payment(s)</button>
+            <button class="btn btn-secondary" onclick="exportBankReconciliation()">Export Unmatched</button>
+        </div>
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Date</th>
+                    <th>Amount</th>
+                    <th>Reference</th>
+                    <th>Description</th>
+                    <th>Praveshika ID</th>
+                    <th>Result</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+// Bank statements are for the INR account, so amounts are taken as INR
+async function recordMatchedBankPayments() {
+    const matched = shulkReconciliationRows.filter(row => row.status === 'matched');
+    if (matched.length === 0) return;
+    if (!confirm(`Record ${matched.length} bank transfer(s) in the shulk ledger?`)) return;
+
+    // A chunk whose request fails stays matched so it can be recorded again; references
+    // already in the ledger are skipped on the retry
+    let requestErrors = 0;
+    for (let i = 0; i < matched.length; i += SHULK_PAYMENT_CHUNK_SIZE) {
+        const chunk = matched.slice(i, i + SHULK_PAYMENT_CHUNK_SIZE);
+        try {
+            const result = await callShulkPaymentApi({
+                action: 'record',
+                source: 'bank_import',
+                payments: chunk.map(row => ({
+                    uniqueId: row.uniqueId,
+                    amount: row.amount,
+                    currency: 'INR',
+                    method: 'bank_transfer',
+                    reference: row.reference,
+                    paidAt: parseImportDate(row.date),
+                    notes: row.description
+                }))
+            });
+            result.results.forEach((outcome, index) => {
+                chunk[index].status = outcome.status === 'recorded' ? 'recorded' : 'failed';
+                chunk[index].error = outcome.status === 'recorded' ? `Receipt ${outcome.receiptNumber}` : outcome.error;
+            });
+        } catch (error) {
+            console.error('Error recording bank payments:', error);
+            requestErrors++;
+            chunk.forEach(row => {
+                row.error = `Not recorded yet: ${error.message}`;
+            });
         }
-        
-        // Pickup Needed breakdown
-        const pickupNeeded = reg.pickupNeeded || reg['Do you need a pickup on arrival?'] || 'Not specified';
-        stats.pickupNeededBreakdown[pickupNeeded] = (stats.pickupNeededBreakdown[pickupNeeded] || 0) + 1;
-        
-        // Dropoff Needed breakdown
-        const dropoffNeeded = reg.dropoffNeeded || reg['Do you need a drop off for departure?'] || 'Not specified';
-        stats.dropoffNeededBreakdown[dropoffNeeded] = (stats.dropoffNeededBreakdown[dropoffNeeded] || 0) + 1;
-        
-        // Place of Arrival breakdown
-        const placeOfArrival = reg.arrivalPlace || reg['Place of Arrival'] || reg.pickupLocation || '';
-        if (placeOfArrival) {
-            stats.placeOfArrivalBreakdown[placeOfArrival] = (stats.placeOfArrivalBreakdown[placeOfArrival] || 0) + 1;
-            
-            // Place of Arrival by Date
-            if (arrivalDate) {
-                const placeDateKey = `${placeOfArrival} | ${arrivalDate}`;
-                stats.placeArrivalDateBreakdown[placeDateKey] = (stats.placeArrivalDateBreakdown[placeDateKey] || 0) + 1;
-                
-                // Place of Arrival by Date and Time Bucket
-                if (arrivalTime) {
-                    const timeBucket = getTimeBucket(arrivalTime);
-                    const placeDateTimeKey = `${placeOfArrival} | ${arrivalDate} | ${timeBucket}`;
-                    stats.placeArrivalDateTimeBreakdown[placeDateTimeKey] = (stats.placeArrivalDateTimeBreakdown[placeDateTimeKey] || 0) + 1;
-                }
-            }
-        }
-        
-        // Place of Departure breakdown
-        const placeOfDeparture = reg.departurePlace || reg['Place of Departure'] || '';
-        if (placeOfDeparture) {
-            stats.placeOfDepartureBreakdown[placeOfDeparture] = (stats.placeOfDepartureBreakdown[placeOfDeparture] || 0) + 1;
-            
-            // Place of Departure by Date
-            const departureDate = reg.departureDate || reg['Date of Departure'] || reg['Date of Departure Train/Flight'] || '';
-            if (departureDate) {
-                const placeDepDateKey = `${placeOfDeparture} | ${departureDate}`;
-                stats.placeDepartureDateBreakdown[placeDepDateKey] = (stats.placeDepartureDateBreakdown[placeDepDateKey] || 0) + 1;
-            }
-        }
-        
-        // Ganavesh Size breakdown
-        const ganaveshSize = reg.ganveshSize || reg['Ganvesh Kurta Shoulder Size in cm (for swayamevaks and sevikas)'] || '';
-        if (ganaveshSize) {
-            stats.ganaveshSizeBreakdown[ganaveshSize] = (stats.ganaveshSizeBreakdown[ganaveshSize] || 0) + 1;
-        }
-        
-        // Medical Conditions breakdown
-        const medicalCondition = reg.medicalCondition || reg['Medical Condition'] || reg['Do you have any medical condition?'] || '';
-        if (medicalCondition && medicalCondition.toLowerCase() !== 'no' && medicalCondition.toLowerCase() !== 'none') {
-            stats.medicalConditionsBreakdown[medicalCondition] = (stats.medicalConditionsBreakdown[medicalCondition] || 0) + 1;
-        }
-        
-        // Dietary Restrictions breakdown
-        const dietaryRestriction = reg.dietaryRestriction || reg['Dietary Restriction'] || reg['Dietary Restrictions'] || reg['Diet'] || '';
-        if (dietaryRestriction) {
-            stats.dietaryRestrictionsBreakdown[dietaryRestriction] = (stats.dietaryRestrictionsBreakdown[dietaryRestriction] || 0) + 1;
-        }
-        
-        // Track travel updates (check if travelupdateAt field exists)
-        if (reg.travelupdateAt) {
-            stats.travelUpdateStats.totalUpdated++;
-        } else {
-            stats.travelUpdateStats.totalNotUpdated++;
-        }
-    });
-    
-    // Calculate travel update percentage
-    const totalRegistrations = registrations.length;
-    stats.travelUpdateStats.updatePercentage = totalRegistrations > 0 
-        ? ((stats.travelUpdateStats.totalUpdated / totalRegistrations) * 100).toFixed(1) 
-        : '0.0';
-    
-    // Calculate totals for percentages
-    stats.totalCountries = Object.keys(stats.countryBreakdown).length;
-    stats.totalShrenis = Object.keys(stats.shreniBreakdown).length;
-    
-    // Calculate total distinct Praveshika IDs that have user accounts (for the current registration set)
-    // This ensures no double-counting across multiple user docs and respects the current filter
-    const praveshikaIdsWithAccounts = new Set();
-    users.forEach(user => {
-        // Direct uniqueId on user (often primary ID)
-        if (user.uniqueId) {
-            const id = user.uniqueId.toString().trim();
-            if (registrationUniqueIds.has(id)) {
-                praveshikaIdsWithAccounts.add(id);
-            }
-        }
-        
-        // associatedRegistrations on user
-        if (Array.isArray(user.associatedRegistrations)) {
-            user.associatedRegistrations.forEach(reg => {
-                const id = (reg.uniqueId || reg.id || '').toString().trim();
-                if (id && registrationUniqueIds.has(id)) {
-                    praveshikaIdsWithAccounts.add(id);
-                }
-            });
-        } else if (user.associatedRegistrations && typeof user.associatedRegistrations === 'object') {
-            Object.values(user.associatedRegistrations).forEach(reg => {
-                const id = (reg.uniqueId || reg.id || '').toString().trim();
-                if (id && registrationUniqueIds.has(id)) {
-                    praveshikaIdsWithAccounts.add(id);
-                }
-            });
-        }
-        
-        // Fallback: emailToUids-style structure on user (if present)
-        if (user.emailToUids) {
-            const idsArray = Array.isArray(user.emailToUids.uniqueIds)
-                ? user.emailToUids.uniqueIds
-                : (Array.isArray(user.emailToUids) ? user.emailToUids : []);
-            idsArray.forEach(rawId => {
-                const id = rawId && rawId.toString().trim();
-                if (id && registrationUniqueIds.has(id)) {
-                    praveshikaIdsWithAccounts.add(id);
-                }
-            });
-        }
-    });
-    
-    stats.totalPraveshikaIdsWithAccounts = praveshikaIdsWithAccounts.size;
-    
-    // Track email corrections and late/updated registrations
+        renderBankReconciliation();
+    }
+    const recorded = matched.filter(row => row.status === 'recorded').length;
+    const retryNote = requestErrors ? ' Some requests failed; record the remaining matched payments again.' : '';
+    showNotification(`${recorded} of ${matched.length} payment(s) recorded.${retryNote}`, recorded === matched.length ? 'success' : 'error');
+}
+
+// Statement dates are usually DD/MM/YYYY; returns an ISO date or null
+function parseImportDate(value) {
+    const text = String(value || '').trim();
+    const dmy = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    if (dmy) {
+        return `${dmy[3]}-${dmy[2].padStart(2, '0')}-${dmy[1].padStart(2, '0')}`;
+    }
+    const parsed = new Date(text);
+    return isNaN(parsed.getTime()) ? null : parsed.toISOString();
+}
+
+function exportBankReconciliation() {
+    const unmatched = shulkReconciliationRows.filter(row => !['recorded', 'already_recorded'].includes(row.status));
+    if (unmatched.length === 0) {
+        showNotification('Every credit is in the ledger.', 'success');
+        return;
+    }
+    const headers = ['Date', 'Amount', 'Reference', 'Description', 'Praveshika ID', 'Result'];
+    const rows = unmatched.map(row => [
+        row.date, row.amount, row.reference, row.description, row.uniqueId, row.error || BANK_MATCH_LABELS[row.status] || row.status
+    ]);
+    exportToCSV('shulk_bank_unmatched.csv', headers, rows);
+}
+
+// Dashboard: expected, collected and outstanding shulk per zone
+let shulkOutstandingRows = [];
+
+async function loadShulkZoneBalances(registrations) {
+    const tableBody = document.getElementById('shulkZoneTableBody');
+    if (!tableBody) return;
+
+    const { totals } = await loadShulkTotalsByParticipant();
+    const zones = {};
+    shulkOutstandingRows = [];
+
     registrations.forEach(reg => {
-        const email = reg.email || reg['Email address'] || '';
-        const createdAt = reg.createdAt || reg.timestamp;
-        const updatedAt = reg.updatedAt || reg.travelupdateAt;
-        const isLate = createdAt && (() => {
-            const regDate = createdAt.toDate ? createdAt.toDate() : new Date(createdAt);
-            // Consider late if registered after a certain date (adjust as needed)
-            const cutoffDate = new Date('2025-01-01'); // Adjust this date
-            return regDate > cutoffDate;
-        })();
-        
-        if (isLate) {
-            stats.emailCorrections.lateRegistrations.push({
-                uniqueId: reg.uniqueId || '',
-                email: email,
-                name: reg.name || reg['Full Name'] || '',
-                registrationDate: createdAt
-            });
-        }
-        
-        if (updatedAt) {
-            stats.emailCorrections.updatedRegistrations.push({
-                uniqueId: reg.uniqueId || '',
-                email: email,
-                name: reg.name || reg['Full Name'] || '',
-                updatedDate: updatedAt
-            });
+        const zone = reg.zone || reg.Zone || 'Not Specified';
+        if (!zones[zone]) zones[zone] = { participants: 0, collected: 0, outstanding: 0, fullyPaid: 0 };
+        const paid = totals[reg.uniqueId] || 0;
+        const balance = Math.max(0, SHULK_AMOUNT_INR - paid);
+        zones[zone].participants++;
+        zones[zone].collected += paid;
+        zones[zone].outstanding += balance;
+        if (balance === 0) {
+            zones[zone].fullyPaid++;
+        } else {
+            shulkOutstandingRows.push([
+                reg.uniqueId || '', reg.name || reg['Full Name'] || '', zone,
+                reg.email || reg['Email address'] || '', paid, balance
+            ]);
         }
     });
-    
-    return stats;
-}
 
-function displayAdminStatistics(stats, registrations, users = []) {
-    // Guard: ensure users is always defined to avoid ReferenceError
-    const safeUsers = Array.isArray(users) ? users : [];
-    // Update metric cards with null checks
-    const totalRegistrationsEl = document.getElementById('totalRegistrations');
-    if (totalRegistrationsEl) {
-        totalRegistrationsEl.textContent = stats.totalRegistrations;
-    }
-    
-    const totalUsersEl = document.getElementById('totalUsers');
-    if (totalUsersEl) {
-        totalUsersEl.textContent = stats.totalUsers;
+    const zoneNames = Object.keys(zones).sort();
+    if (zoneNames.length === 0) {
+        tableBody.innerHTML = '<tr><td colspan="6">No registrations</td></tr>';
+        return;
     }
-    
-    const totalUserAccountsEl = document.getElementById('totalUserAccounts');
-    if (totalUserAccountsEl) {
-        totalUserAccountsEl.textContent = stats.totalUserAccounts;
+
+    tableBody.innerHTML = zoneNames.map(zone => {
+        const z = zones[zone];
+        return `
+            <tr>
+                <td>${escapeHtml(zone)}</td>
+                <td>${z.participants}</td>
+                <td>${escapeHtml(formatInr(z.participants * SHULK_AMOUNT_INR))}</td>
+                <td>${escapeHtml(formatInr(z.collected))}</td>
+                <td${z.outstanding > 0 ? ' style="color: #c62828;"' : ''}>${escapeHtml(formatInr(z.outstanding))}</td>
+                <td>${z.fullyPaid} / ${z.participants}</td>
+            </tr>`;
+    }).join('');
+}
+
+function exportShulkOutstanding() {
+    if (shulkOutstandingRows.length === 0) {
+        showNotification('No outstanding balances.', 'success');
+        return;
     }
-    
-    const totalPraveshikaIdsEl = document.getElementById('totalPraveshikaIds');
-    if (totalPraveshikaIdsEl) {
-        totalPraveshikaIdsEl.textContent = stats.totalPraveshikaIds;
+    const headers = ['Praveshika ID', 'Name', 'Zone', 'Email', 'Paid (INR)', 'Balance (INR)'];
+    exportToCSV('shulk_outstanding.csv', headers, shulkOutstandingRows);
+}
+
+// My Profile: receipts and balance for each of the user's registrations
+async function loadShulkPaymentsForProfile(uniqueIds) {
+    const container = document.getElementById('shulkPaymentsContent');
+    if (!container || !window.firebase || !firebase.firestore) return;
+
+    if (!uniqueIds || uniqueIds.length === 0) {
+        container.innerHTML = '<p>No Praveshika ID found for shulk payments</p>';
+        return;
     }
-    
-    const totalCountriesEl = document.getElementById('totalCountries');
-    if (totalCountriesEl) {
-        totalCountriesEl.textContent = stats.totalCountries;
+
+    try {
+        const payments = await fetchShulkPayments(uniqueIds);
+        container.innerHTML = uniqueIds.map(uniqueId => {
+            const own = payments.filter(p => p.uniqueId === uniqueId);
+            const paid = own.reduce((sum, p) => sum + (p.amountInr || 0), 0);
+            const balance = Math.max(0, SHULK_AMOUNT_INR - paid);
+            return `
+                <div class="shulk-profile-entry">
+                    <p><strong>${escapeHtml(uniqueId)}</strong>: ${balance === 0
+                        ? '<span style="color: #2e7d32;">Shulk paid</span>'
+                        : `${escapeHtml(formatInr(balance))} due${paid > 0 ? ` (${escapeHtml(formatInr(paid))} paid)` : ''}`}</p>
+                    ${own.map(p => {
+                        const paidAt = safeTimestampToDate(p.paidAt);
+                        return `
+                        <div class="shulk-receipt-row">
+                            <span>${escapeHtml(p.receiptNumber)} &middot; ${escapeHtml(formatShulkAmount(p))}${paidAt ? ` &middot; ${escapeHtml(paidAt.toLocaleDateString())}` : ''}</span>
+                            <button class="btn btn-secondary btn-sm" onclick="downloadShulkReceipt('${p.id}')">📄 Receipt</button>
+                        </div>`;
+                    }).join('')}
+                </div>`;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading shulk payments:', error);
+        container.innerHTML = '<p>Error loading shulk payments</p>';
     }
-    
-    const totalShrenisEl = document.getElementById('totalShrenis');
-    if (totalShrenisEl) {
-        totalShrenisEl.textContent = stats.totalShrenis;
+}
+
+// ============================================
+// BHOJAN FORECAST
+// ============================================
+
+// Meals the kitchen cooks each day. `serve` is when a participant must be on campus to be
+// counted for the meal; `start`/`end` is the window used to match bhojan check-ins to a meal.
+const BHOJAN_MEALS = [
+    { id: 'breakfast', label: 'Breakfast', serve: '07:30', start: '06:00', end: '10:30' },
+    { id: 'lunch', label: 'Lunch', serve: '12:30', start: '11:00', end: '15:30' },
+    { id: 'dinner', label: 'Dinner', serve: '19:30', start: '18:00', end: '22:30' }
+];
+
+// Answers to "Any Dietary Restrictions" that mean no special meal
+const NO_DIET_ANSWERS = ['', 'no', 'none', 'nil', 'na', 'n/a', '-', 'no restriction', 'no restrictions', 'nothing'];
+const NO_DIET_LABEL = 'No restriction';
+
+// Keep the report to a sensible number of days even if a travel date is mistyped
+const BHOJAN_MAX_DAYS = 21;
+
+// Last generated forecast, kept for printing and export
+let bhojanForecast = null;
+
+const TRAVEL_DATE_MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// YYYY-MM-DD for a calendar date, or null if the day does not exist in that month
+function buildTravelDate(year, month, day) {
+    if (year < 1900 || year > 2100 || month < 1 || month > 12 || day < 1) return null;
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    if (day > daysInMonth) return null;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Travel dates are stored in the formats the app and scripts write, each parsed explicitly:
+// - YYYY-MM-DD from the date picker
+// - MM/DD/YYYY from the importer (excelSerialToMMDDYYYY) and formatDateValue; a first part
+//   over 12 can only be a day, so DD/MM/YYYY typed by hand is still read correctly
+// - DD-MMM-YYYY from `node firestore-utils.js normalize-dates`
+// - Excel serial numbers from cells that were never converted
+// Anything else returns null rather than guessing.
+function parseTravelDate(value) {
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:$|T)/);
+    if (iso) return buildTravelDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+
+    const slash = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (slash) {
+        const first = Number(slash[1]);
+        const second = Number(slash[2]);
+        const year = Number(slash[3]);
+        return first > 12
+            ? buildTravelDate(year, second, first)
+            : buildTravelDate(year, first, second);
     }
-    
-    // Display three main tables:
-    // 1. Registrations by Zone (with Registered and Upasthita)
-    // 2. Registrations by Shreni (with Male, Female, Total, Percentage + Volunteers, Others, Grand Total)
-    // 3. Registrations by Shreni/Zone Matrix
-    
-    // Store data globally for table population
-    // Only store original full data if not already set (preserve original for filter resets)
-    if (!window.allDashboardRegistrations || registrations.length >= (window.allDashboardRegistrations?.length || 0)) {
-        window.allDashboardRegistrations = registrations;
+
+    const named = text.match(/^(\d{1,2})[-\s]([A-Za-z]{3})[A-Za-z]*[-\s,]+(\d{4})$/);
+    if (named) {
+        const month = TRAVEL_DATE_MONTHS.indexOf(named[2].toUpperCase()) + 1;
+        return month ? buildTravelDate(Number(named[3]), month, Number(named[1])) : null;
     }
-    window.dashboardStats = stats;
-    window.dashboardRegistrations = registrations;
-    window.dashboardUsers = safeUsers;
-    
-    // Populate the three main tables
-    displayZoneWithStatusTable(registrations, safeUsers);
-    displayShreniWithGenderTable(registrations);
-    displayShreniZoneMatrix(registrations);
-    
-    // Display total Praveshika IDs with accounts
-    const totalPraveshikaIdsWithAccountsEl = document.getElementById('totalPraveshikaIdsWithAccounts');
-    if (totalPraveshikaIdsWithAccountsEl) {
-        totalPraveshikaIdsWithAccountsEl.textContent = stats.totalPraveshikaIdsWithAccounts || 0;
+
+    // Excel serial: days since 1899-12-30 (1954 to 2119 covers any real travel date)
+    if (/^\d{5}(\.\d+)?$/.test(text)) {
+        const serial = Math.floor(Number(text));
+        if (serial < 20000 || serial > 80000) return null;
+        const date = new Date(Date.UTC(1899, 11, 30) + serial * 86400000);
+        return buildTravelDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
     }
-    
-    // Initialize dashboard tables with filters (commented out - not using filter dropdown anymore)
-    // updateDashboardWithFilter();
+
+    return null;
 }
 
-// Display Registrations by Zone with Registered and Upasthita columns
-async function displayZoneWithStatusTable(registrations, users) {
-    const tableBody = document.getElementById('zoneTableBody');
-    if (!tableBody) return;
-    
-    // Define the zones we want to display
-    const zoneOrder = ['AM', 'EU', 'AR', 'AF', 'AS', 'AU'];
-    const zoneLabels = {
-        'AM': 'Americas',
-        'EU': 'Europe',
-        'AR': 'AR',
-        'AF': 'Africa',
-        'AS': 'SE Asia',
-        'AU': 'Australasia'
+// Order YYYY-MM-DD dates from parseTravelDate; unparseable dates (null) go last
+function compareTravelDates(a, b) {
+    if (a === b) return 0;
+    if (!a) return 1;
+    if (!b) return -1;
+    return a < b ? -1 : 1;
+}
+
+function formatLocalDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function getDietLabel(reg) {
+    const diet = String(reg.dietaryRestrictions || reg.dietaryRestriction || reg['Any Dietary Restrictions'] ||
+        reg['Dietary Restrictions'] || reg['Dietary Restriction'] || reg.Diet || '').trim();
+    if (NO_DIET_ANSWERS.includes(diet.toLowerCase())) return NO_DIET_LABEL;
+    return diet.charAt(0).toUpperCase() + diet.slice(1);
+}
+
+// Planned stay from the travel details; a missing time counts the whole day
+function getPlannedStay(reg) {
+    const arrival = getTravelLeg(reg, 'arrival');
+    const departure = getTravelLeg(reg, 'departure');
+    return {
+        arrivalDate: parseTravelDate(arrival.date),
+        arrivalMinutes: parseTimeToMinutes(arrival.time),
+        departureDate: parseTravelDate(departure.date),
+        departureMinutes: parseTimeToMinutes(departure.time)
     };
-    
-    // Get checked-in uniqueIds (for Upasthita / venue check-in)
-    const checkedInIds = new Set();
+}
+
+function plannedToArriveBy(stay, date, minutes) {
+    if (!stay.arrivalDate || date < stay.arrivalDate) return false;
+    return date > stay.arrivalDate || stay.arrivalMinutes === null || stay.arrivalMinutes <= minutes;
+}
+
+// No departure date means they stay to the end
+function plannedToStayUntil(stay, date, minutes) {
+    if (!stay.departureDate || date < stay.departureDate) return true;
+    return date === stay.departureDate && (stay.departureMinutes === null || stay.departureMinutes >= minutes);
+}
+
+// Meal a bhojan check-in belongs to, from the time it was scanned
+function getMealForTime(date) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    return BHOJAN_MEALS.find(meal =>
+        minutes >= parseTimeToMinutes(meal.start) && minutes <= parseTimeToMinutes(meal.end)) || null;
+}
+
+async function loadBhojanPage(user) {
+    const isAdminUser = await isAdmin(user);
+    const loadingDiv = document.getElementById('bhojanLoading');
+    const dataDiv = document.getElementById('bhojanData');
+
+    if (!isAdminUser) {
+        if (loadingDiv) {
+            loadingDiv.innerHTML = '<p style="color: red;">Access denied. You do not have permission to view this page.</p>';
+        }
+        return;
+    }
+
+    if (!loadingDiv || !dataDiv) return;
+
+    loadingDiv.style.display = 'block';
+    dataDiv.style.display = 'none';
+
+    if (!window.firebase || !firebase.firestore) {
+        loadingDiv.innerHTML = '<p style="color: red;">Firebase not initialized.</p>';
+        return;
+    }
+
     try {
-        if (window.firebase && firebase.firestore) {
-            const db = firebase.firestore();
-            const checkinSnapshot = await db.collection('checkins')
-                .where('checkinType', '==', 'registration')
-                .get();
-            checkinSnapshot.forEach(doc => {
-                const data = doc.data();
-                if (data.uniqueId) checkedInIds.add(data.uniqueId);
-            });
+        if (!window.dashboardRegistrations) {
+            const registrationsSnapshot = await firebase.firestore().collection('registrations').get();
+            window.dashboardRegistrations = registrationsSnapshot.docs.map(doc => doc.data());
         }
+
+        await generateBhojanForecast();
+
+        loadingDiv.style.display = 'none';
+        dataDiv.style.display = 'block';
     } catch (error) {
-        console.error('Error fetching checkin data:', error);
+        console.error('Error loading bhojan forecast page:', error);
+        loadingDiv.innerHTML = '<p style="color: red;">Error loading bhojan forecast. Please try again.</p>';
     }
-    
-    // Count by zone and build country breakdown
-    const zoneCounts = {};
-    const zoneCountryMap = {};
-    zoneOrder.forEach(zone => {
-        zoneCounts[zone] = { registered: 0, checkedIn: 0 };
-        zoneCountryMap[zone] = {};
-    });
-    zoneCounts['Others'] = { registered: 0, checkedIn: 0 };
-    zoneCountryMap['Others'] = {};
-    
-    registrations.forEach(reg => {
-        const zone = reg.Zone || reg.zone || 'Unknown';
-        const normalizedZone = zoneOrder.find(z => zone.toUpperCase().startsWith(z)) || 'Others';
-        const country = reg.Country || reg.country || reg['Country of Current Residence'] || 'Unknown';
-        
-        zoneCounts[normalizedZone].registered++;
-        if (checkedInIds.has(reg.uniqueId)) {
-            zoneCounts[normalizedZone].checkedIn++;
+}
+
+// Arrivals, departures and meals actually served, keyed by normalized Praveshika ID
+async function fetchBhojanCheckins() {
+    const snapshot = await firebase.firestore().collection('checkins')
+        .where('checkinType', 'in', ['registration', 'departure', 'bhojan'])
+        .get();
+
+    const arrivedAt = new Map();
+    const departedAt = new Map();
+    const served = {};
+    snapshot.forEach(doc => {
+        const checkin = doc.data();
+        const key = normalizePraveshikaId(checkin.uniqueId || '');
+        const timestamp = safeTimestampToDate(checkin.timestamp);
+        if (!key || !timestamp) return;
+
+        if (checkin.checkinType === 'registration') {
+            arrivedAt.set(key, timestamp);
+        } else if (checkin.checkinType === 'departure') {
+            departedAt.set(key, timestamp);
+        } else {
+            const meal = getMealForTime(timestamp);
+            if (!meal) return;
+            const mealKey = `${formatLocalDate(timestamp)}|${meal.id}`;
+            if (!served[mealKey]) served[mealKey] = new Set();
+            served[mealKey].add(key);
         }
-        
-        // Build country breakdown for each zone
-        zoneCountryMap[normalizedZone][country] = (zoneCountryMap[normalizedZone][country] || 0) + 1;
-    });
-    
-    // Build table HTML
-    let html = '';
-    let totalRegistered = 0, totalCheckedIn = 0;
-    
-    zoneOrder.forEach(zone => {
-        const label = zoneLabels[zone] || zone;
-        const counts = zoneCounts[zone];
-        totalRegistered += counts.registered;
-        totalCheckedIn += counts.checkedIn;
-        
-        // Escape the country breakdown for onclick
-        const countryBreakdownJson = JSON.stringify(zoneCountryMap[zone]).replace(/"/g, '&quot;');
-        
-        html += `
-            <tr>
-                <td>${escapeHtml(label)}</td>
-                <td>${counts.registered}</td>
-                <td>${counts.checkedIn}</td>
-                <td>
-                    <button class="btn btn-small btn-secondary" 
-                            onclick="showZoneCountryDetails('${escapeHtml(label)}', '${countryBreakdownJson}', ${counts.registered})">
-                        View Countries
-                    </button>
-                </td>
-            </tr>
-        `;
     });
-    
-    // Add Others row
-    const others = zoneCounts['Others'];
-    totalRegistered += others.registered;
-    totalCheckedIn += others.checkedIn;
-    
-    const othersCountryBreakdownJson = JSON.stringify(zoneCountryMap['Others']).replace(/"/g, '&quot;');
-    html += `
-        <tr>
-            <td>Others</td>
-            <td>${others.registered}</td>
-            <td>${others.checkedIn}</td>
-            <td>
-                <button class="btn btn-small btn-secondary" 
-                        onclick="showZoneCountryDetails('Others', '${othersCountryBreakdownJson}', ${others.registered})">
-                    View Countries
-                </button>
-            </td>
-        </tr>
-    `;
-    
-    // Add Total row
-    html += `
-        <tr style="font-weight: bold; background-color: #f0f0f0;">
-            <td>Total</td>
-            <td>${totalRegistered}</td>
-            <td>${totalCheckedIn}</td>
-            <td></td>
-        </tr>
-    `;
-    
-    tableBody.innerHTML = html;
-    
-    // Store data for export
-    window.zoneCheckinData = {
-        zoneCounts: zoneCounts,
-        zoneCountryMap: zoneCountryMap,
-        zoneOrder: zoneOrder,
-        zoneLabels: zoneLabels,
-        totals: {
-            registered: totalRegistered,
-            checkedIn: totalCheckedIn
-        }
-    };
+    return { arrivedAt, departedAt, served };
 }
 
-// Export zone and country checkin data to CSV
-function exportZoneCheckinData() {
-    if (!window.zoneCheckinData) {
-        showNotification('No data available to export', 'error');
-        return;
-    }
-    
-    const data = window.zoneCheckinData;
+// Forecast = travel plans only. Expected refines it with check-ins: for meals already served
+// only people who had checked in by then count, and anyone who has checked out is dropped.
+function buildBhojanForecast(registrations, checkins, fromDate, toDate) {
+    const now = new Date();
+    const people = registrations.map(reg => ({
+        key: normalizePraveshikaId(reg.uniqueId || ''),
+        stay: getPlannedStay(reg),
+        diet: getDietLabel(reg)
+    }));
+
     const rows = [];
-    
-    // Header row
-    rows.push(['Zone', 'Country', 'Registered', 'Upasthita']);
-    
-    // Add data for each zone
-    data.zoneOrder.forEach(zone => {
-        const label = data.zoneLabels[zone] || zone;
-        const counts = data.zoneCounts[zone];
-        const countryMap = data.zoneCountryMap[zone] || {};
-        
-        // Add zone summary row
-        rows.push([label, 'All Countries', counts.registered, counts.checkedIn]);
-        
-        // Add country breakdown rows
-        const countries = Object.keys(countryMap).sort();
-        countries.forEach(country => {
-            const countryCount = countryMap[country];
-            // Calculate country-specific checkin counts (approximate based on proportion)
-            const registered = countryCount;
-            const checkedIn = Math.round((counts.checkedIn / counts.registered) * countryCount) || 0;
-            rows.push(['', country, registered, checkedIn]);
+    const diets = new Set();
+    for (let day = new Date(`${fromDate}T00:00`); formatLocalDate(day) <= toDate; day.setDate(day.getDate() + 1)) {
+        const date = formatLocalDate(day);
+        BHOJAN_MEALS.forEach(meal => {
+            const minutes = parseTimeToMinutes(meal.serve);
+            const mealAt = new Date(`${date}T${meal.serve}`);
+            const row = { date, meal, forecast: 0, expected: 0, served: checkins.served[`${date}|${meal.id}`]?.size || 0, diets: {} };
+
+            people.forEach(person => {
+                const plannedStays = plannedToStayUntil(person.stay, date, minutes);
+                if (plannedToArriveBy(person.stay, date, minutes) && plannedStays) row.forecast++;
+
+                const arrivedAt = checkins.arrivedAt.get(person.key);
+                const departedAt = checkins.departedAt.get(person.key);
+                let expected;
+                if (departedAt && departedAt <= mealAt) {
+                    expected = false;
+                } else if (mealAt <= now) {
+                    expected = !!arrivedAt && arrivedAt <= mealAt;
+                } else if (arrivedAt) {
+                    expected = plannedStays;
+                } else {
+                    expected = plannedToArriveBy(person.stay, date, minutes) && plannedStays;
+                }
+
+                if (expected) {
+                    row.expected++;
+                    row.diets[person.diet] = (row.diets[person.diet] || 0) + 1;
+                    diets.add(person.diet);
+                }
+            });
+            rows.push(row);
         });
-        
-        // Add empty row for spacing
-        rows.push([]);
+    }
+
+    const withoutTravelDates = people.filter(person => !person.stay.arrivalDate).length;
+    const dietLabels = [...diets].filter(diet => diet !== NO_DIET_LABEL).sort();
+    if (diets.has(NO_DIET_LABEL)) dietLabels.unshift(NO_DIET_LABEL);
+    return { rows, dietLabels, withoutTravelDates };
+}
+
+// First arrival to last departure in the travel details, capped at BHOJAN_MAX_DAYS
+function getDefaultBhojanRange(registrations) {
+    const dates = [];
+    registrations.forEach(reg => {
+        const stay = getPlannedStay(reg);
+        if (stay.arrivalDate) dates.push(stay.arrivalDate);
+        if (stay.departureDate) dates.push(stay.departureDate);
     });
-    
-    // Add Others zone
-    if (data.zoneCounts['Others']) {
-        const othersCounts = data.zoneCounts['Others'];
-        const othersCountryMap = data.zoneCountryMap['Others'] || {};
-        rows.push(['Others', 'All Countries', othersCounts.registered, othersCounts.checkedIn]);
-        
-        const countries = Object.keys(othersCountryMap).sort();
-        countries.forEach(country => {
-            const countryCount = othersCountryMap[country];
-            const registered = countryCount;
-            const checkedIn = Math.round((othersCounts.checkedIn / othersCounts.registered) * countryCount) || 0;
-            rows.push(['', country, registered, checkedIn]);
-        });
-        rows.push([]);
+    if (dates.length === 0) {
+        const today = formatLocalDate(new Date());
+        return { fromDate: today, toDate: today };
     }
-    
-    // Add totals row
-    rows.push(['Total', 'All Countries', data.totals.registered, data.totals.checkedIn]);
-    
-    // Convert to CSV
-    const csvContent = rows.map(row => {
-        return row.map(cell => {
-            if (cell === null || cell === undefined) return '';
-            const str = String(cell);
-            if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-                return `"${str.replace(/"/g, '""')}"`;
-            }
-            return str;
-        }).join(',');
-    }).join('\n');
-    
-    // Create download link
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    const url = URL.createObjectURL(blob);
-    link.setAttribute('href', url);
-    link.setAttribute('download', `zone_country_checkin_${new Date().toISOString().split('T')[0]}.csv`);
-    link.style.visibility = 'hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    
-    showNotification('Zone and country checkin data exported successfully', 'success');
+    dates.sort();
+    return { fromDate: dates[0], toDate: dates[dates.length - 1] };
 }
 
-// Display Registrations by Shreni with Male, Female, Total, Percentage columns
-// Plus Volunteers, Others, Grand Total rows
-async function displayShreniWithGenderTable(registrations) {
-    const tableBody = document.getElementById('shreniTableBody');
-    if (!tableBody) return;
-    
-    // Define shreni order
-    const shreniOrder = ['Karyakarta', 'Swakeeya', 'Yuva', 'Kishor', 'Baal'];
-    
-    // Normalize shreni names
-    const normalizeShreni = (shreni) => {
-        if (!shreni) return 'Unknown';
-        const s = shreni.toLowerCase().trim();
-        if (s.includes('karyakarta') || s === 'kk') return 'Karyakarta';
-        if (s.includes('swakeeya') || s === 'sw') return 'Swakeeya';
-        if (s.includes('yuva') || s === 'yv') return 'Yuva';
-        if (s.includes('kishor') || s === 'ks') return 'Kishor';
-        if (s.includes('baal') || s === 'bl') return 'Baal';
-        return shreni;
-    };
-    
-    // Count by shreni and gender
-    const shreniCounts = {};
-    shreniOrder.forEach(shreni => {
-        shreniCounts[shreni] = { male: 0, female: 0, total: 0 };
+async function generateBhojanForecast() {
+    const resultsDiv = document.getElementById('bhojanResults');
+    const fromInput = document.getElementById('bhojanFromDate');
+    const toInput = document.getElementById('bhojanToDate');
+    if (!resultsDiv || !fromInput || !toInput) return;
+
+    const registrations = await getFilteredRegistrations('registered');
+    if (!fromInput.value || !toInput.value) {
+        const range = getDefaultBhojanRange(registrations);
+        fromInput.value = fromInput.value || range.fromDate;
+        toInput.value = toInput.value || range.toDate;
+    }
+
+    const fromDate = fromInput.value;
+    let toDate = toInput.value;
+    if (toDate < fromDate) {
+        showNotification('The end date must be on or after the start date.', 'error');
+        return;
+    }
+    const lastAllowed = new Date(`${fromDate}T00:00`);
+    lastAllowed.setDate(lastAllowed.getDate() + BHOJAN_MAX_DAYS - 1);
+    if (toDate > formatLocalDate(lastAllowed)) {
+        toDate = formatLocalDate(lastAllowed);
+        toInput.value = toDate;
+        showNotification(`Showing the first ${BHOJAN_MAX_DAYS} days only.`, 'info');
+    }
+
+    resultsDiv.innerHTML = '<p>Calculating forecast...</p>';
+    const checkins = await fetchBhojanCheckins();
+    bhojanForecast = buildBhojanForecast(registrations, checkins, fromDate, toDate);
+    renderBhojanForecast();
+}
+
+function formatDietCounts(diets, dietLabels) {
+    return dietLabels
+        .filter(diet => diet !== NO_DIET_LABEL && diets[diet])
+        .map(diet => `${diet}: ${diets[diet]}`)
+        .join(', ');
+}
+
+function renderBhojanForecast() {
+    const resultsDiv = document.getElementById('bhojanResults');
+    if (!resultsDiv || !bhojanForecast) return;
+
+    const { rows, dietLabels, withoutTravelDates } = bhojanForecast;
+    const today = formatLocalDate(new Date());
+
+    let html = withoutTravelDates > 0
+        ? `<p style="color: #666;">${withoutTravelDates} participant(s) have no arrival date and are only counted once they check in.</p>`
+        : '';
+    html += `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Date</th>
+                    <th>Meal</th>
+                    <th>Forecast</th>
+                    <th>Expected</th>
+                    <th>Served</th>
+                    <th>Special Diets</th>
+                </tr>
+            </thead>
+            <tbody>`;
+
+    rows.forEach(row => {
+        html += `
+                <tr${row.date === today ? ' class="bhojan-today"' : ''}>
+                    <td>${escapeHtml(row.date)}</td>
+                    <td>${escapeHtml(row.meal.label)}</td>
+                    <td>${row.forecast}</td>
+                    <td><strong>${row.expected}</strong></td>
+                    <td>${row.served || '-'}</td>
+                    <td>${escapeHtml(formatDietCounts(row.diets, dietLabels))}</td>
+                </tr>`;
     });
-    shreniCounts['Others'] = { male: 0, female: 0, total: 0 };
-    
-    let totalMale = 0, totalFemale = 0, totalCount = 0;
-    
-    registrations.forEach(reg => {
-        const rawShreni = reg.Shreni || reg.shreni || reg['Corrected Shreni'] || reg['Default Shreni'] || 'Unknown';
-        const shreni = normalizeShreni(rawShreni);
-        const gender = (reg.gender || reg.Gender || '').toLowerCase();
-        
-        const bucket = shreniOrder.includes(shreni) ? shreni : 'Others';
-        
-        if (gender === 'male' || gender === 'm') {
-            shreniCounts[bucket].male++;
-            totalMale++;
-        } else if (gender === 'female' || gender === 'f') {
-            shreniCounts[bucket].female++;
-            totalFemale++;
+
+    html += '</tbody></table>';
+    resultsDiv.innerHTML = html;
+}
+
+function exportBhojanForecast() {
+    if (!bhojanForecast) {
+        showNotification('Generate a forecast first.', 'error');
+        return;
+    }
+    const { rows, dietLabels } = bhojanForecast;
+    const headers = ['Date', 'Meal', 'Forecast', 'Expected', 'Served', ...dietLabels];
+    const csvRows = rows.map(row => [
+        row.date, row.meal.label, row.forecast, row.expected, row.served,
+        ...dietLabels.map(diet => row.diets[diet] || 0)
+    ]);
+    exportToCSV('bhojan_forecast.csv', headers, csvRows);
+}
+
+// One page per day for the kitchen: expected count per meal, split by diet
+function printBhojanSheets() {
+    if (!bhojanForecast || bhojanForecast.rows.length === 0) {
+        showNotification('Generate a forecast first.', 'error');
+        return;
+    }
+
+    const { rows, dietLabels } = bhojanForecast;
+    const dates = [...new Set(rows.map(row => row.date))];
+    const sheets = dates.map(date => `
+        <div class="sheet">
+            <h2>VSS2025 Bhojan Sheet - ${escapeHtml(new Date(`${date}T00:00`).toLocaleDateString('en-IN', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }))}</h2>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Meal</th>
+                        <th>Serve At</th>
+                        <th>Expected</th>
+                        ${dietLabels.map(diet => `<th>${escapeHtml(diet)}</th>`).join('')}
+                        <th>Cooked</th>
+                        <th>Notes</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.filter(row => row.date === date).map(row => `
+                        <tr>
+                            <td>${escapeHtml(row.meal.label)}</td>
+                            <td>${escapeHtml(row.meal.serve)}</td>
+                            <td><strong>${row.expected}</strong></td>
+                            ${dietLabels.map(diet => `<td>${row.diets[diet] || 0}</td>`).join('')}
+                            <td></td>
+                            <td></td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>
+            <p>Printed ${escapeHtml(new Date().toLocaleString())}. Counts change as people check in and out; print again on the day.</p>
+        </div>`).join('');
+
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+        showNotification('Please allow pop-ups to print bhojan sheets.', 'error');
+        return;
+    }
+
+    printWindow.document.write(`<!DOCTYPE html>
+<html>
+<head>
+    <title>VSS2025 Bhojan Sheets</title>
+    <style>
+        body { font-family: Arial, sans-serif; font-size: 14px; margin: 1.5cm; }
+        h2 { margin: 0 0 1rem; font-size: 20px; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { border: 1px solid #333; padding: 8px; text-align: left; }
+        th { background: #eee; }
+        .sheet { page-break-after: always; }
+        .sheet:last-child { page-break-after: auto; }
+    </style>
+</head>
+<body>${sheets}</body>
+</html>`);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+}
+
+// ============================================
+// SELF-SERVICE REGISTRATION
+// ============================================
+
+// Countries seen in the registration spreadsheet and the zone each was assigned to
+const COUNTRY_ZONES = {
+    'Argentina': 'AM', 'Canada': 'AM', 'Dominica': 'AM', 'Mexico': 'AM', 'Panama': 'AM', 'United States': 'AM',
+    'Denmark': 'EU', 'Finland': 'EU', 'France': 'EU', 'Germany': 'EU', 'Ireland': 'EU', 'Kazakhstan': 'EU',
+    'Netherlands': 'EU', 'Norway': 'EU', 'Russia': 'EU', 'Switzerland': 'EU', 'United Kingdom': 'EU',
+    'Bahrain': 'AR', 'Egypt': 'AR', 'Kuwait': 'AR', 'Oman': 'AR', 'Qatar': 'AR', 'Saudi Arabia': 'AR',
+    'United Arab Emirates': 'AR',
+    'Benin': 'AF', 'Botswana': 'AF', 'Burundi': 'AF', 'Congo': 'AF', 'Côte d Ivoire': 'AF', 'Ethiopia': 'AF',
+    'Gambia': 'AF', 'Ghana': 'AF', 'Guinea': 'AF', 'Kenya': 'AF', 'Liberia': 'AF', 'Madagascar': 'AF',
+    'Malawi': 'AF', 'Mauritius': 'AF', 'Mozambique': 'AF', 'Namibia': 'AF', 'Nigeria': 'AF', 'Rwanda': 'AF',
+    'Seychelles': 'AF', 'Sierra Leone': 'AF', 'South Africa': 'AF', 'South Sudan': 'AF', 'Tanzania': 'AF',
+    'Togo': 'AF', 'Uganda': 'AF', 'Zambia': 'AF', 'Zimbabwe': 'AF',
+    'India (Bharat)': 'AS', 'Indonesia': 'AS', 'Japan': 'AS', 'Laos': 'AS', 'Malaysia': 'AS', 'Myanmar': 'AS',
+    'Singapore': 'AS', 'South Korea': 'AS', 'Sri Lanka': 'AS', 'Taiwan': 'AS', 'Thailand': 'AS',
+    'Australia': 'AU', 'New Zealand': 'AU'
+};
+
+const REGISTRATION_ZONES = {
+    'AM': 'Americas',
+    'EU': 'Europe',
+    'AR': 'AR',
+    'AF': 'Africa',
+    'AS': 'SE Asia',
+    'AU': 'Australasia'
+};
+
+// Shreni options in spreadsheet sort order, with the two-letter code used in Praveshika IDs
+const REGISTRATION_SHRENIS = [
+    { name: 'Baal', code: 'BA' },
+    { name: 'Kishor', code: 'KI' },
+    { name: 'Yuva', code: 'YV' },
+    { name: 'Karyakarta', code: 'KK' },
+    { name: 'Swakeeya', code: 'SK' }
+];
+
+const REGISTRATION_PLACES = [
+    'Rajiv Gandhi International Airport (RGIA)',
+    'Secunderabad Railway Station',
+    'Nampally Railway Station',
+    'Kacheguda Railway Station',
+    'Cherlapally Railway Station',
+    'Lingampally Railway Station',
+    'Mahatma Gandhi Bus Station (MGBS)',
+    'Jubilee Bus Station (JBS)'
+];
+
+const REGISTRATION_STEP_COUNT = 6;
+let currentRegistrationStep = 1;
+
+// Form inputs keyed by the normalized field name stored on the registration (see fieldNameMapping)
+const REGISTRATION_FORM_FIELDS = {
+    name: 'regName',
+    email: 'regEmail',
+    country: 'regCountry',
+    city: 'regCity',
+    age: 'regAge',
+    gender: 'regGender',
+    phone: 'regPhone',
+    whatsapp: 'regWhatsapp',
+    educationalQual: 'regEducationalQual',
+    occupation: 'regOccupation',
+    emergencyContactName: 'regEmergencyContactName',
+    emergencyContactRelation: 'regEmergencyContactRelation',
+    emergencyContactNumber: 'regEmergencyContactNumber',
+    sanghYears: 'regSanghYears',
+    shikshaVarg: 'regShikshaVarg',
+    hssResponsibility: 'regHssResponsibility',
+    otherOrgResponsibility: 'regOtherOrgResponsibility',
+    currentResponsibility: 'regCurrentResponsibility',
+    arrivalDate: 'regArrivalDate',
+    arrivalTime: 'regArrivalTime',
+    arrivalPlace: 'regArrivalPlace',
+    arrivalFlightTrain: 'regArrivalFlightTrain',
+    pickupNeeded: 'regPickupNeeded',
+    departureDate: 'regDepartureDate',
+    departureTime: 'regDepartureTime',
+    departurePlace: 'regDeparturePlace',
+    departureFlightTrain: 'regDepartureFlightTrain',
+    dropoffNeeded: 'regDropoffNeeded',
+    postShibirTour: 'regPostShibirTour',
+    ganveshSize: 'regGanveshSize',
+    medicalCondition: 'regMedicalCondition',
+    dietaryRestrictions: 'regDietaryRestrictions',
+    otherDetails: 'regOtherDetails'
+};
+
+// Label for a field: the spreadsheet column it maps from (the longest, when several map to it)
+function getRegistrationFieldLabel(field) {
+    const labels = Object.keys(fieldNameMapping).filter(label => fieldNameMapping[label] === field);
+    return labels.sort((a, b) => b.length - a.length)[0] || field;
+}
+
+// Strip spaces, dashes, dots and brackets; returns '' unless 7-15 digits with an optional leading +
+function normalizeRegistrationPhone(value) {
+    const cleaned = (value || '').toString().trim().replace(/[\s\-.()]/g, '');
+    return /^\+?\d{7,15}$/.test(cleaned) ? cleaned : '';
+}
+
+// Zone code for a country, or '' when the spreadsheet never assigned one
+function suggestZoneForCountry(country) {
+    const key = Object.keys(COUNTRY_ZONES).find(c => c.toLowerCase() === (country || '').toString().trim().toLowerCase());
+    return key ? COUNTRY_ZONES[key] : '';
+}
+
+// Default shreni as derived in the spreadsheet: by age, and for adults by whether they hold a responsibility
+function suggestShreni(age, hssResponsibility, otherOrgResponsibility) {
+    const years = parseInt(age, 10);
+    if (isNaN(years)) return '';
+    if (years <= 11) return 'Baal';
+    if (years <= 17) return 'Kishor';
+    if (years <= 30) return 'Yuva';
+    const hasResponsibility = [hssResponsibility, otherOrgResponsibility]
+        .some(value => (value || '').toString().trim().toLowerCase() === 'yes');
+    return hasResponsibility ? 'Karyakarta' : 'Swakeeya';
+}
+
+function getRegistrationPlaceValue(selectId) {
+    const value = document.getElementById(selectId)?.value || '';
+    if (value === 'Other') {
+        return document.getElementById(selectId + 'Other')?.value.trim() || '';
+    }
+    return value;
+}
+
+// Read the form into the document shape stored in pendingRegistrations
+function collectRegistrationFormData() {
+    const data = {};
+    Object.entries(REGISTRATION_FORM_FIELDS).forEach(([field, inputId]) => {
+        if (field === 'arrivalPlace' || field === 'departurePlace') {
+            data[field] = getRegistrationPlaceValue(inputId);
         } else {
-            // Count as other/unknown - add to total but not male/female
+            data[field] = document.getElementById(inputId)?.value.trim() || '';
         }
-        shreniCounts[bucket].total++;
-        totalCount++;
-    });
-    
-    // Build table HTML
-    let html = '';
-    let subtotalMale = 0, subtotalFemale = 0, subtotalCount = 0;
-    
-    // Shibirarthi rows (main shrenis)
-    shreniOrder.forEach(shreni => {
-        const counts = shreniCounts[shreni];
-        const percentage = totalCount > 0 ? ((counts.total / totalCount) * 100).toFixed(1) : '0.0';
-        subtotalMale += counts.male;
-        subtotalFemale += counts.female;
-        subtotalCount += counts.total;
-        
-        html += `
-            <tr>
-                <td>${escapeHtml(shreni)}</td>
-                <td>${counts.male}</td>
-                <td>${counts.female}</td>
-                <td>${counts.total}</td>
-                <td>${percentage}%</td>
-            </tr>
-        `;
     });
-    
-    // Shibirarthi Total row
-    const subtotalPercentage = totalCount > 0 ? ((subtotalCount / totalCount) * 100).toFixed(1) : '0.0';
-    html += `
-        <tr style="font-weight: bold; background-color: #e8e8e8;">
-            <td>Shibirarthi Total</td>
-            <td>${subtotalMale}</td>
-            <td>${subtotalFemale}</td>
-            <td>${subtotalCount}</td>
-            <td>${subtotalPercentage}%</td>
-        </tr>
-    `;
-    
-    // Volunteers row (from nonShibirarthiUsers collection or role='volunteer')
-    // For now, we count from "Others" as placeholder - actual volunteers should come from different collection
-    const volunteersCount = { male: 0, female: 0, total: 0 };
-    // Note: Actual volunteer counts would come from nonShibirarthiUsers collection
-    // This is a placeholder - volunteers aren't in registrations collection
-    html += `
-        <tr>
-            <td>Volunteers</td>
-            <td>${volunteersCount.male}</td>
-            <td>${volunteersCount.female}</td>
-            <td>${volunteersCount.total}</td>
-            <td>-</td>
-        </tr>
-    `;
-    
-    // Others row
-    const others = shreniCounts['Others'];
-    const othersPercentage = totalCount > 0 ? ((others.total / totalCount) * 100).toFixed(1) : '0.0';
-    html += `
-        <tr>
-            <td>Others</td>
-            <td>${others.male}</td>
-            <td>${others.female}</td>
-            <td>${others.total}</td>
-            <td>${othersPercentage}%</td>
-        </tr>
-    `;
-    
-    // Grand Total row
-    html += `
-        <tr style="font-weight: bold; background-color: #d0d0d0;">
-            <td>Grand Total</td>
-            <td>${totalMale}</td>
-            <td>${totalFemale}</td>
-            <td>${totalCount}</td>
-            <td>100%</td>
-        </tr>
-    `;
-    
-    tableBody.innerHTML = html;
+    data.email = data.email.toLowerCase();
+    data.age = parseInt(data.age, 10);
+    data.phone = normalizeRegistrationPhone(data.phone);
+    data.whatsapp = normalizeRegistrationPhone(data.whatsapp) || data.whatsapp;
+    data.emergencyContactNumber = normalizeRegistrationPhone(data.emergencyContactNumber);
+    return data;
 }
 
-// Display Registrations by Shreni/Zone Matrix
-// Rows: Americas, Europe, AR, Africa, SE Asia, Australasia, Others, Total
-// Columns: Karyakarta, Swakeeya, Yuva, Kishor, Baal, Total
-function displayShreniZoneMatrix(registrations) {
-    const tableBody = document.getElementById('shreniZoneMatrixTableBody');
-    if (!tableBody) return;
-    
-    // Define zones and shrenis
-    const zoneOrder = ['AM', 'EU', 'AR', 'AF', 'AS', 'AU'];
-    const zoneLabels = {
-        'AM': 'Americas',
-        'EU': 'Europe',
-        'AR': 'AR',
-        'AF': 'Africa',
-        'AS': 'SE Asia',
-        'AU': 'Australasia'
-    };
-    const shreniOrder = ['Karyakarta', 'Swakeeya', 'Yuva', 'Kishor', 'Baal'];
-    
-    // Normalize shreni names
-    const normalizeShreni = (shreni) => {
-        if (!shreni) return 'Unknown';
-        const s = shreni.toLowerCase().trim();
-        if (s.includes('karyakarta') || s === 'kk') return 'Karyakarta';
-        if (s.includes('swakeeya') || s === 'sw') return 'Swakeeya';
-        if (s.includes('yuva') || s === 'yv') return 'Yuva';
-        if (s.includes('kishor') || s === 'ks') return 'Kishor';
-        if (s.includes('baal') || s === 'bl') return 'Baal';
-        return 'Other';
+// Returns a list of error messages for one step of the form
+function validateRegistrationStep(step) {
+    const errors = [];
+    const value = id => document.getElementById(id)?.value.trim() || '';
+    const required = (id, label) => {
+        if (!value(id)) errors.push(`${label} is required`);
     };
-    
-    // Initialize matrix
-    const matrix = {};
-    [...zoneOrder, 'Others'].forEach(zone => {
-        matrix[zone] = {};
-        shreniOrder.forEach(shreni => {
-            matrix[zone][shreni] = 0;
+
+    if (step === 1) {
+        required('regName', 'Full Name');
+        required('regEmail', 'Email address');
+        if (value('regEmail') && !isValidEmail(value('regEmail'))) {
+            errors.push('Please enter a valid email address');
+        }
+        required('regCountry', 'Country');
+        required('regCity', 'City');
+        const age = Number(value('regAge'));
+        if (!value('regAge') || !Number.isInteger(age) || age < 1 || age > 120) {
+            errors.push('Age must be a whole number between 1 and 120');
+        }
+        required('regGender', 'Gender');
+        if (!normalizeRegistrationPhone(value('regPhone'))) {
+            errors.push('Phone number must have 7 to 15 digits, optionally starting with + and the country code');
+        }
+        if (value('regWhatsapp') && !normalizeRegistrationPhone(value('regWhatsapp'))) {
+            errors.push('Whatsapp number must have 7 to 15 digits, optionally starting with + and the country code');
+        }
+    } else if (step === 2) {
+        required('regEmergencyContactName', 'Emergency Contact Name');
+        required('regEmergencyContactRelation', 'Relationship of Emergency Contact Person');
+        if (!normalizeRegistrationPhone(value('regEmergencyContactNumber'))) {
+            errors.push('Emergency contact number must have 7 to 15 digits, optionally starting with + and the country code');
+        }
+    } else if (step === 3) {
+        required('regSanghYears', 'Association with sangh');
+        required('regHssResponsibility', 'HSS responsibility');
+        required('regOtherOrgResponsibility', 'Other organisation responsibility');
+    } else if (step === 4) {
+        if (value('regArrivalDate') && value('regDepartureDate') && value('regDepartureDate') < value('regArrivalDate')) {
+            errors.push('Departure date cannot be before the arrival date');
+        }
+        ['regArrivalPlace', 'regDeparturePlace'].forEach(id => {
+            if (value(id) === 'Other' && !value(id + 'Other')) {
+                errors.push('Please specify the other location');
+            }
         });
-        matrix[zone]['Total'] = 0;
+    } else if (step === 5) {
+        const size = value('regGanveshSize');
+        if (size && (isNaN(Number(size)) || Number(size) < 20 || Number(size) > 70)) {
+            errors.push('Ganvesh size should be the shoulder width in cm (20-70)');
+        }
+    }
+    return errors;
+}
+
+function showRegistrationStep(step) {
+    currentRegistrationStep = step;
+    document.querySelectorAll('#selfRegistrationForm .register-step').forEach(el => {
+        el.classList.toggle('active', Number(el.dataset.step) === step);
     });
-    
-    // Count registrations
-    registrations.forEach(reg => {
-        const zone = reg.Zone || reg.zone || 'Unknown';
-        const normalizedZone = zoneOrder.find(z => zone.toUpperCase().startsWith(z)) || 'Others';
-        
-        const rawShreni = reg.Shreni || reg.shreni || reg['Corrected Shreni'] || reg['Default Shreni'] || 'Unknown';
-        const shreni = normalizeShreni(rawShreni);
-        
-        if (shreniOrder.includes(shreni)) {
-            matrix[normalizedZone][shreni]++;
+    document.querySelectorAll('#registerStepIndicator li').forEach(el => {
+        const elStep = Number(el.dataset.step);
+        el.classList.toggle('active', elStep === step);
+        el.classList.toggle('done', elStep < step);
+    });
+
+    document.getElementById('registerPrevBtn').style.display = step > 1 ? '' : 'none';
+    document.getElementById('registerNextBtn').style.display = step < REGISTRATION_STEP_COUNT ? '' : 'none';
+    document.getElementById('registerSubmitBtn').style.display = step === REGISTRATION_STEP_COUNT ? '' : 'none';
+    document.getElementById('registerStepError').innerHTML = '';
+
+    if (step === REGISTRATION_STEP_COUNT) {
+        renderRegistrationReview();
+    }
+    document.getElementById('register')?.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Flight/train numbers we cannot parse are accepted as typed, with a warning
+function getRegistrationFlightWarnings() {
+    const warnings = [];
+    [['regArrivalFlightTrain', 'Arrival'], ['regDepartureFlightTrain', 'Departure']].forEach(([id, label]) => {
+        const value = document.getElementById(id)?.value.trim() || '';
+        if (value) {
+            const parsed = parseFlightTrainNumber(value);
+            if (!parsed.valid) warnings.push(`${label} Flight/Train: ${parsed.error}`);
         }
-        matrix[normalizedZone]['Total']++;
     });
-    
-    // Build table HTML
-    let html = '';
-    const totals = {};
-    shreniOrder.forEach(shreni => totals[shreni] = 0);
-    totals['Total'] = 0;
-    
-    // Zone rows
-    [...zoneOrder, 'Others'].forEach(zone => {
-        const label = zoneLabels[zone] || zone;
-        html += `<tr><td>${escapeHtml(label)}</td>`;
-        
-        shreniOrder.forEach(shreni => {
-            const count = matrix[zone][shreni];
-            totals[shreni] += count;
-            html += `<td>${count}</td>`;
-        });
-        
-        const zoneTotal = matrix[zone]['Total'];
-        totals['Total'] += zoneTotal;
-        html += `<td>${zoneTotal}</td></tr>`;
-    });
-    
-    // Total row
-    html += `<tr style="font-weight: bold; background-color: #f0f0f0;"><td>Total</td>`;
-    shreniOrder.forEach(shreni => {
-        html += `<td>${totals[shreni]}</td>`;
-    });
-    html += `<td>${totals['Total']}</td></tr>`;
-    
-    tableBody.innerHTML = html;
+    return warnings;
 }
 
-// Update dashboard based on status filter
-async function updateDashboardWithFilter() {
-    const filterValue = document.getElementById('dashboardStatusFilter')?.value || 'registered';
-    // Use the original full registrations data for filtering, not the potentially filtered data
-    const registrations = window.allDashboardRegistrations || window.dashboardRegistrations || [];
-    const users = window.dashboardUsers || [];
-    
-    // Get filtered registrations based on status
-    let filteredRegistrations = [];
-    
-    if (filterValue === 'registered') {
-        filteredRegistrations = registrations;
-    } else if (filterValue === 'logged') {
-        // Get uniqueIds that have user accounts
-        const userUniqueIds = new Set();
-        users.forEach(user => {
-            if (user.uniqueId) {
-                userUniqueIds.add(user.uniqueId);
-            }
-            // Also check associated registrations
-            if (user.associatedRegistrations) {
-                user.associatedRegistrations.forEach(reg => {
-                    if (reg.uniqueId) {
-                        userUniqueIds.add(reg.uniqueId);
-                    }
-                });
+function changeRegistrationStep(delta) {
+    if (delta > 0) {
+        const errors = validateRegistrationStep(currentRegistrationStep);
+        if (errors.length > 0) {
+            document.getElementById('registerStepError').innerHTML = errors.map(escapeHtml).join('<br>');
+            return;
+        }
+        if (currentRegistrationStep === 4) {
+            const warnings = getRegistrationFlightWarnings();
+            if (warnings.length) {
+                showNotification(`${warnings.join('. ')}. Please double-check before submitting.`, 'warning');
             }
-        });
-        filteredRegistrations = registrations.filter(reg => userUniqueIds.has(reg.uniqueId));
-    } else if (filterValue === 'checkedin') {
-        // Get uniqueIds that have registration checkin
+        }
+    }
+    const nextStep = Math.min(Math.max(currentRegistrationStep + delta, 1), REGISTRATION_STEP_COUNT);
+    showRegistrationStep(nextStep);
+}
+
+function renderRegistrationReview() {
+    const reviewDiv = document.getElementById('registerReview');
+    if (!reviewDiv) return;
+
+    const data = collectRegistrationFormData();
+    const rows = Object.keys(REGISTRATION_FORM_FIELDS)
+        .map(field => `
+            <tr>
+                <th>${escapeHtml(getRegistrationFieldLabel(field))}</th>
+                <td>${escapeHtml(data[field] === '' || data[field] === undefined ? '-' : String(data[field]))}</td>
+            </tr>`)
+        .join('');
+
+    reviewDiv.innerHTML = `
+        <p>Please check your details before submitting. Use Back to make changes.</p>
+        <table class="data-table register-review-table"><tbody>${rows}</tbody></table>`;
+}
+
+async function submitSelfRegistration(event) {
+    event.preventDefault();
+
+    // Re-validate every step in case fields were changed after moving on
+    for (let step = 1; step < REGISTRATION_STEP_COUNT; step++) {
+        const errors = validateRegistrationStep(step);
+        if (errors.length > 0) {
+            showRegistrationStep(step);
+            document.getElementById('registerStepError').innerHTML = errors.map(escapeHtml).join('<br>');
+            return;
+        }
+    }
+
+    if (!window.firebase || !firebase.firestore) {
+        showNotification('Registration is not available right now. Please try again later.', 'error');
+        return;
+    }
+
+    const submitBtn = document.getElementById('registerSubmitBtn');
+    submitBtn.disabled = true;
+    submitBtn.textContent = 'Submitting...';
+
+    try {
         const db = firebase.firestore();
-        const checkinSnapshot = await db.collection('checkins')
-            .where('checkinType', '==', 'registration')
-            .get();
-        const checkedInIds = new Set();
-        checkinSnapshot.forEach(doc => {
-            const data = doc.data();
-            if (data.uniqueId) {
-                checkedInIds.add(data.uniqueId);
-            }
+        const docRef = await db.collection('pendingRegistrations').add({
+            ...collectRegistrationFormData(),
+            status: 'Pending',
+            submittedAt: firebase.firestore.FieldValue.serverTimestamp()
         });
-        filteredRegistrations = registrations.filter(reg => checkedInIds.has(reg.uniqueId));
+
+        document.getElementById('selfRegistrationForm').style.display = 'none';
+        document.getElementById('registerStepIndicator').style.display = 'none';
+        document.getElementById('registerReference').textContent = docRef.id;
+        document.getElementById('registerSuccess').style.display = 'block';
+        showNotification('Registration submitted. You will receive an email once it is approved.', 'success');
+    } catch (error) {
+        console.error('Error submitting registration:', error);
+        showNotification('Error submitting registration. Please check your details and try again.', 'error');
+    } finally {
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Submit Registration';
     }
-    
-    // Recalculate stats with filtered data
-    const filteredStats = calculateStatistics(filteredRegistrations, users);
-    displayAdminStatistics(filteredStats, filteredRegistrations, users);
-    
-    // Update specific tables
-    updateShreniGenderTable();
-    updateZoneStatsTable();
-    updateZoneShreniTable();
 }
 
-// Update Shreni Gender table with filter
-async function updateShreniGenderTable() {
-    const filterValue = document.getElementById('shreniGenderFilter')?.value || 'registered';
-    const registrations = await getFilteredRegistrations(filterValue);
-    
-    const shreniGenderMap = {};
-    const shrenis = ['Karyakarta', 'Swakeeya', 'Yuva', 'Kishor', 'Baal'];
-    
-    registrations.forEach(reg => {
-        const shreni = reg.shreni || reg.Shreni || '';
-        const gender = reg.gender || reg.Gender || '';
-        
-        if (shrenis.includes(shreni)) {
-            if (!shreniGenderMap[shreni]) {
-                shreniGenderMap[shreni] = { Female: 0, Male: 0, Total: 0 };
-            }
-            if (gender.toLowerCase() === 'female') {
-                shreniGenderMap[shreni].Female++;
-            } else if (gender.toLowerCase() === 'male') {
-                shreniGenderMap[shreni].Male++;
-            }
-            shreniGenderMap[shreni].Total++;
-        }
-    });
-    
-    const total = registrations.filter(r => shrenis.includes(r.shreni || r.Shreni || '')).length;
-    
-    let html = '';
-    let grandTotalFemale = 0;
-    let grandTotalMale = 0;
-    
-    shrenis.forEach(shreni => {
-        const counts = shreniGenderMap[shreni] || { Female: 0, Male: 0, Total: 0 };
-        grandTotalFemale += counts.Female;
-        grandTotalMale += counts.Male;
-        const percentage = total > 0 ? ((counts.Total / total) * 100).toFixed(0) : 0;
-        html += `
-            <tr>
-                <td>${escapeHtml(shreni)}</td>
-                <td>${counts.Female}</td>
-                <td>${counts.Male}</td>
-                <td>${counts.Total}</td>
-                <td>${percentage}%</td>
-            </tr>
-        `;
+// Populate the country list and place dropdowns and wire up the form
+document.addEventListener('DOMContentLoaded', function() {
+    const form = document.getElementById('selfRegistrationForm');
+    if (!form) return;
+
+    const countryList = document.getElementById('regCountryList');
+    if (countryList) {
+        countryList.innerHTML = Object.keys(COUNTRY_ZONES).sort()
+            .map(country => `<option value="${escapeHtml(country)}"></option>`).join('');
+    }
+
+    form.querySelectorAll('.register-place-select').forEach(select => {
+        select.innerHTML = '<option value="">Select</option>' +
+            REGISTRATION_PLACES.map(place => `<option value="${escapeHtml(place)}">${escapeHtml(place)}</option>`).join('') +
+            '<option value="Other">Other</option>';
+        select.addEventListener('change', () => {
+            const otherInput = document.getElementById(select.id + 'Other');
+            if (otherInput) otherInput.style.display = select.value === 'Other' ? '' : 'none';
+        });
     });
-    
-    // Add totals row
-    const grandTotal = grandTotalFemale + grandTotalMale;
-    html += `
-        <tr style="font-weight: bold; background: #f0f0f0;">
-            <td>Total</td>
-            <td>${grandTotalFemale}</td>
-            <td>${grandTotalMale}</td>
-            <td>${grandTotal}</td>
-            <td>100%</td>
-        </tr>
-    `;
-    
-    // Add Volunteer and Others rows (if any)
-    const volunteerRegs = registrations.filter(r => (r.shreni || r.Shreni || '').toLowerCase() === 'volunteer');
-    if (volunteerRegs.length > 0) {
-        const volunteerFemale = volunteerRegs.filter(r => (r.gender || '').toLowerCase() === 'female').length;
-        const volunteerMale = volunteerRegs.filter(r => (r.gender || '').toLowerCase() === 'male').length;
-        html += `
-            <tr>
-                <td>Volunteer</td>
-                <td>${volunteerFemale}</td>
-                <td>${volunteerMale}</td>
-                <td>${volunteerRegs.length}</td>
-                <td>0%</td>
-            </tr>
-        `;
+
+    form.addEventListener('submit', submitSelfRegistration);
+});
+
+// ============================================
+// REGISTRATION APPROVALS
+// ============================================
+
+let pendingRegistrationsList = [];
+
+async function loadApprovalsPage(user) {
+    const isAdminUser = await isAdmin(user);
+    const loadingDiv = document.getElementById('approvalsLoading');
+    const dataDiv = document.getElementById('approvalsData');
+
+    if (!isAdminUser) {
+        if (loadingDiv) {
+            loadingDiv.innerHTML = '<p style="color: red;">Access denied. You do not have permission to view this page.</p>';
+        }
+        return;
+    }
+
+    if (!loadingDiv || !dataDiv) return;
+
+    loadingDiv.style.display = 'block';
+    dataDiv.style.display = 'none';
+
+    if (!window.firebase || !firebase.firestore) {
+        loadingDiv.innerHTML = '<p style="color: red;">Firebase not initialized.</p>';
+        return;
+    }
+
+    try {
+        await loadPendingRegistrations();
+        loadingDiv.style.display = 'none';
+        dataDiv.style.display = 'block';
+    } catch (error) {
+        console.error('Error loading approvals page:', error);
+        loadingDiv.innerHTML = '<p style="color: red;">Error loading pending registrations. Please try again.</p>';
     }
-    
-    document.getElementById('shreniGenderTableBody').innerHTML = html;
 }
 
-// Update Zone Statistics table
-async function updateZoneStatsTable() {
-    const filterValue = document.getElementById('zoneStatsFilter')?.value || 'registered';
-    const registrations = await getFilteredRegistrations(filterValue);
-    const users = window.dashboardUsers || [];
-    
-    const zones = ['SE Asia', 'AR', 'Americas', 'Europe', 'Africa', 'Australasia', 'Unknown'];
-    const zoneMap = {
-        'AS': 'SE Asia',
-        'AR': 'AR',
-        'AM': 'Americas',
-        'EU': 'Europe',
-        'AF': 'Africa',
-        'AU': 'Australasia'
-    };
-    
-    const stats = {};
-    
-    // Get checked in uniqueIds
+async function loadPendingRegistrations() {
     const db = firebase.firestore();
-    const checkinSnapshot = await db.collection('checkins')
-        .where('checkinType', '==', 'registration')
-        .get();
-    const checkedInIds = new Set();
-    checkinSnapshot.forEach(doc => {
-        if (doc.data().uniqueId) checkedInIds.add(doc.data().uniqueId);
-    });
-    
-    registrations.forEach(reg => {
-        const zone = zoneMap[reg.zone] || reg.zone || 'Unknown';
-        if (!stats[zone]) {
-            stats[zone] = { registered: 0, checkedin: 0 };
-        }
-        stats[zone].registered++;
-        if (checkedInIds.has(reg.uniqueId)) {
-            stats[zone].checkedin++;
-        }
+    const status = document.getElementById('approvalsStatusFilter')?.value || 'Pending';
+    const snapshot = await db.collection('pendingRegistrations').where('status', '==', status).get();
+
+    pendingRegistrationsList = snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => (safeTimestampToDate(a.submittedAt)?.getTime() || 0) - (safeTimestampToDate(b.submittedAt)?.getTime() || 0));
+
+    // Flag emails that already have registrations (possible duplicates)
+    const emails = [...new Set(pendingRegistrationsList.map(p => p.email).filter(Boolean))];
+    const emailDocs = await Promise.all(emails.map(email =>
+        db.collection('emailToUids').doc(email).get().catch(() => null)));
+    const existingByEmail = {};
+    emailDocs.forEach((doc, index) => {
+        if (doc && doc.exists) existingByEmail[emails[index]] = doc.data().uids || [];
     });
-    
-    let html = '';
-    zones.forEach(zone => {
-        const s = stats[zone] || { registered: 0, checkedin: 0 };
-        html += `
-            <tr>
-                <td>${escapeHtml(zone)}</td>
-                <td>${s.registered}</td>
-                <td>${s.checkedin}</td>
-            </tr>
-        `;
+    pendingRegistrationsList.forEach(p => {
+        p.existingIds = existingByEmail[p.email] || [];
     });
-    
-    // Add totals
-    const totalRegistered = Object.values(stats).reduce((sum, s) => sum + s.registered, 0);
-    const totalCheckedIn = Object.values(stats).reduce((sum, s) => sum + s.checkedin, 0);
-    const pctCheckedIn = totalRegistered > 0 ? Math.round((totalCheckedIn / totalRegistered) * 100) : 0;
-    
-    html += `
-        <tr style="font-weight: bold; background: #f0f0f0;">
-            <td>Total</td>
-            <td>${totalRegistered}</td>
-            <td>${totalCheckedIn}</td>
-        </tr>
-        <tr style="font-weight: bold;">
-            <td>% to Registered</td>
-            <td></td>
-            <td>${pctCheckedIn}%</td>
-        </tr>
-    `;
-    
-    document.getElementById('zoneStatsTableBody').innerHTML = html;
+
+    renderPendingRegistrations();
 }
 
-// Update Zone Shreni table
-async function updateZoneShreniTable() {
-    const filterValue = document.getElementById('zoneShreniTableFilter')?.value || 'registered';
-    const registrations = await getFilteredRegistrations(filterValue);
-    
-    const zoneMap = {
-        'AS': 'SE Asia',
-        'AR': 'AR',
-        'AM': 'Americas',
-        'EU': 'Europe',
-        'AF': 'Africa',
-        'AU': 'Australasia'
-    };
-    const zones = ['Americas', 'Europe', 'AR', 'Africa', 'SE Asia', 'Australasia', 'Others'];
-    const shrenis = ['Karyakarta', 'Swakeeya', 'Yuva', 'Kishor', 'Baal'];
-    
-    const matrix = {};
-    zones.forEach(zone => {
-        matrix[zone] = {};
-        shrenis.forEach(shreni => {
-            matrix[zone][shreni] = 0;
-        });
+function renderPendingRegistrations() {
+    const listDiv = document.getElementById('approvalsList');
+    const summary = document.getElementById('approvalsSummary');
+    if (!listDiv) return;
+
+    const status = document.getElementById('approvalsStatusFilter')?.value || 'Pending';
+    if (summary) summary.textContent = `${pendingRegistrationsList.length} ${status.toLowerCase()} registration(s)`;
+
+    if (pendingRegistrationsList.length === 0) {
+        listDiv.innerHTML = `<p style="color: #666;">No ${status.toLowerCase()} registrations.</p>`;
+        return;
+    }
+
+    const zoneOptions = selected => '<option value="">Select zone</option>' + Object.entries(REGISTRATION_ZONES)
+        .map(([code, label]) => `<option value="${code}" ${code === selected ? 'selected' : ''}>${code} - ${escapeHtml(label)}</option>`)
+        .join('');
+    const shreniOptions = selected => '<option value="">Select shreni</option>' + REGISTRATION_SHRENIS
+        .map(s => `<option value="${s.name}" ${s.name === selected ? 'selected' : ''}>${s.name} (${s.code})</option>`)
+        .join('');
+
+    listDiv.innerHTML = pendingRegistrationsList.map(p => {
+        const submitted = safeTimestampToDate(p.submittedAt);
+        const detailRows = Object.keys(REGISTRATION_FORM_FIELDS)
+            .filter(field => p[field] !== undefined && p[field] !== '')
+            .map(field => `<tr><th>${escapeHtml(getRegistrationFieldLabel(field))}</th><td>${escapeHtml(String(p[field]))}</td></tr>`)
+            .join('');
+        const safeId = escapeHtml(p.id);
+
+        return `
+            <div class="approval-card" id="approval-${safeId}">
+                <div class="approval-card-header">
+                    <div>
+                        <strong>${escapeHtml(p.name || 'Unknown')}</strong>
+                        <span class="approval-meta">${escapeHtml(p.email || '')} &middot; ${escapeHtml(p.country || '')} &middot; Age ${escapeHtml(String(p.age || '-'))} &middot; ${escapeHtml(p.gender || '')}</span>
+                        <span class="approval-meta">Submitted ${submitted ? escapeHtml(submitted.toLocaleString()) : '-'} &middot; Ref ${safeId}</span>
+                        ${p.existingIds.length ? `<span class="approval-warning">Email already registered: ${escapeHtml(p.existingIds.join(', '))}</span>` : ''}
+                        ${p.status === 'Rejected' ? `<span class="approval-warning">Rejected by ${escapeHtml(p.rejectedByName || '-')}${p.rejectionReason ? ': ' + escapeHtml(p.rejectionReason) : ''}</span>` : ''}
+                    </div>
+                    ${p.status === 'Pending' ? `
+                    <div class="approval-actions">
+                        <select id="approvalZone-${safeId}" class="form-input">${zoneOptions(suggestZoneForCountry(p.country))}</select>
+                        <select id="approvalShreni-${safeId}" class="form-input">${shreniOptions(suggestShreni(p.age, p.hssResponsibility, p.otherOrgResponsibility))}</select>
+                        <button class="btn btn-primary btn-sm" onclick="approvePendingRegistration('${safeId}')">Approve</button>
+                        <button class="btn btn-secondary btn-sm" onclick="rejectPendingRegistration('${safeId}')">Reject</button>
+                    </div>` : ''}
+                </div>
+                <details>
+                    <summary>All details</summary>
+                    <table class="data-table"><tbody>${detailRows}</tbody></table>
+                </details>
+            </div>`;
+    }).join('');
+}
+
+async function callApproveRegistrationApi(payload) {
+    const user = firebase.auth().currentUser;
+    if (!user) {
+        throw new Error('Please log in to approve registrations');
+    }
+
+    const idToken = await user.getIdToken();
+    const response = await fetch('/api/approve-registration', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${idToken}`
+        },
+        body: JSON.stringify(payload)
     });
-    
-    registrations.forEach(reg => {
-        const zone = zoneMap[reg.zone] || reg.zone || 'Others';
-        const shreni = reg.shreni || reg.Shreni || '';
-        if (shrenis.includes(shreni) && zones.includes(zone)) {
-            matrix[zone][shreni]++;
+
+    let result;
+    try {
+        result = await response.json();
+    } catch (jsonError) {
+        throw new Error(`Approval service returned an invalid response (${response.status})`);
+    }
+
+    if (!response.ok) {
+        throw new Error(result.error || `Approval service error (${response.status})`);
+    }
+    return result;
+}
+
+async function approvePendingRegistration(pendingId) {
+    const pending = pendingRegistrationsList.find(p => p.id === pendingId);
+    if (!pending) return;
+
+    const zone = document.getElementById(`approvalZone-${pendingId}`)?.value || '';
+    const shreni = document.getElementById(`approvalShreni-${pendingId}`)?.value || '';
+    if (!zone || !shreni) {
+        showNotification('Please select a zone and shreni before approving.', 'error');
+        return;
+    }
+    if (pending.existingIds.length &&
+        !confirm(`${pending.email} already has registration(s) ${pending.existingIds.join(', ')}. Approve anyway?`)) {
+        return;
+    }
+
+    try {
+        const result = await callApproveRegistrationApi({ action: 'approve', pendingId, zone, shreni });
+        showNotification(`Approved ${pending.name} as ${result.uniqueId}.`, 'success');
+        pendingRegistrationsList = pendingRegistrationsList.filter(p => p.id !== pendingId);
+        renderPendingRegistrations();
+    } catch (error) {
+        console.error('Error approving registration:', error);
+        showNotification('Error approving registration: ' + error.message, 'error');
+    }
+}
+
+async function rejectPendingRegistration(pendingId) {
+    const pending = pendingRegistrationsList.find(p => p.id === pendingId);
+    if (!pending) return;
+
+    const reason = prompt(`Reason for rejecting ${pending.name || 'this registration'} (optional):`);
+    if (reason === null) return;
+
+    try {
+        await callApproveRegistrationApi({ action: 'reject', pendingId, reason });
+        showNotification(`Rejected registration for ${pending.name}.`, 'success');
+        pendingRegistrationsList = pendingRegistrationsList.filter(p => p.id !== pendingId);
+        renderPendingRegistrations();
+    } catch (error) {
+        console.error('Error rejecting registration:', error);
+        showNotification('Error rejecting registration: ' + error.message, 'error');
+    }
+}
+
+// ============================================
+// BULK BADGE SHEETS
+// ============================================
+
+// Grid for each "badges per sheet" option on portrait A4
+const BADGE_SHEET_LAYOUTS = {
+    4: { cols: 2, rows: 2 },
+    6: { cols: 2, rows: 3 },
+    8: { cols: 2, rows: 4 },
+    10: { cols: 2, rows: 5 }
+};
+
+// Sheet geometry in mm: page margin, gap between badges (room for crop marks), crop mark offset/length
+const BADGE_SHEET_PAGE = { width: 210, height: 297, margin: 10, gutter: 6 };
+const BADGE_CROP_MARK = { offset: 1, length: 4 };
+
+// badge-token issues at most this many signed payloads per call
+const BADGE_TOKEN_BATCH_SIZE = 500;
+
+let badgePrintList = [];
+
+async function loadBadgePrintingPage(user) {
+    const isAdminUser = await isAdmin(user);
+    const loadingDiv = document.getElementById('badgesLoading');
+    const dataDiv = document.getElementById('badgesData');
+
+    if (!isAdminUser) {
+        if (loadingDiv) {
+            loadingDiv.innerHTML = '<p style="color: red;">Access denied. You do not have permission to view this page.</p>';
         }
-    });
-    
-    let html = '';
-    zones.forEach(zone => {
-        html += '<tr><td>' + escapeHtml(zone) + '</td>';
-        shrenis.forEach(shreni => {
-            html += '<td>' + matrix[zone][shreni] + '</td>';
-        });
-        html += '</tr>';
-    });
-    
-    // Add totals row
-    html += '<tr style="font-weight: bold; background: #f0f0f0;"><td>Total</td>';
-    shrenis.forEach(shreni => {
-        const total = zones.reduce((sum, zone) => sum + (matrix[zone][shreni] || 0), 0);
-        html += '<td>' + total + '</td>';
-    });
-    html += '</tr>';
-    
-    document.getElementById('zoneShreniTableTableBody').innerHTML = html;
+        return;
+    }
+
+    if (!loadingDiv || !dataDiv) return;
+
+    loadingDiv.style.display = 'block';
+    dataDiv.style.display = 'none';
+
+    if (!window.firebase || !firebase.firestore) {
+        loadingDiv.innerHTML = '<p style="color: red;">Firebase not initialized.</p>';
+        return;
+    }
+
+    try {
+        // Print counts must reflect the database, so registrations are always read fresh here
+        const db = firebase.firestore();
+        const [registrationsSnapshot, usersSnapshot] = await Promise.all([
+            db.collection('registrations').get(),
+            window.dashboardUsers ? Promise.resolve(null) : db.collection('users').get()
+        ]);
+        window.dashboardRegistrations = registrationsSnapshot.docs.map(doc => doc.data());
+        if (usersSnapshot) {
+            window.dashboardUsers = usersSnapshot.docs.map(doc => doc.data());
+        }
+
+        const zoneSelect = document.getElementById('badgeZoneFilter');
+        if (zoneSelect) {
+            const zones = new Set(window.dashboardRegistrations.map(reg => reg.zone || reg.Zone || '').filter(Boolean));
+            const current = zoneSelect.value;
+            zoneSelect.innerHTML = '<option value="">All</option>' +
+                Array.from(zones).sort().map(z => `<option value="${escapeHtml(z)}">${escapeHtml(z)}</option>`).join('');
+            zoneSelect.value = current;
+        }
+
+        await loadBadgePrintHistory();
+
+        loadingDiv.style.display = 'none';
+        dataDiv.style.display = 'block';
+    } catch (error) {
+        console.error('Error loading badge printing page:', error);
+        loadingDiv.innerHTML = '<p style="color: red;">Error loading badge printing. Please try again.</p>';
+    }
 }
 
-// Helper function to get filtered registrations
-async function getFilteredRegistrations(filterValue) {
-    const registrations = window.dashboardRegistrations || [];
-    const users = window.dashboardUsers || [];
-    
-    if (filterValue === 'registered') {
-        return registrations;
-    } else if (filterValue === 'logged') {
-        const userUniqueIds = new Set();
-        users.forEach(user => {
-            if (user.uniqueId) userUniqueIds.add(user.uniqueId);
-            if (user.associatedRegistrations) {
-                user.associatedRegistrations.forEach(reg => {
-                    if (reg.uniqueId) userUniqueIds.add(reg.uniqueId);
-                });
+function getBadgePrintFilters() {
+    const idList = (document.getElementById('badgeIdList')?.value || '')
+        .split(/[\s,;]+/)
+        .map(id => id.trim().toUpperCase())
+        .filter(Boolean);
+    return {
+        status: document.getElementById('badgeStatusFilter')?.value || 'registered',
+        zone: document.getElementById('badgeZoneFilter')?.value || '',
+        shreni: document.getElementById('badgeShreniFilter')?.value || '',
+        notPrinted: !!document.getElementById('badgeNotPrintedFilter')?.checked,
+        idList: Array.from(new Set(idList))
+    };
+}
+
+// Badges to print: a pasted ID list, or status via getFilteredRegistrations() then zone/shreni
+async function buildBadgePrintList() {
+    const filters = getBadgePrintFilters();
+    const statusEl = document.getElementById('badgePrintStatus');
+    let notFound = [];
+
+    if (filters.idList.length > 0) {
+        const byId = new Map((window.dashboardRegistrations || []).map(reg => [normalizePraveshikaId(reg.uniqueId), reg]));
+        badgePrintList = [];
+        filters.idList.forEach(id => {
+            const reg = byId.get(normalizePraveshikaId(id));
+            if (reg) {
+                badgePrintList.push(reg);
+            } else {
+                notFound.push(id);
             }
         });
-        return registrations.filter(reg => userUniqueIds.has(reg.uniqueId));
-    } else if (filterValue === 'checkedin') {
-        const db = firebase.firestore();
-        const checkinSnapshot = await db.collection('checkins')
-            .where('checkinType', '==', 'registration')
-            .get();
-        const checkedInIds = new Set();
-        checkinSnapshot.forEach(doc => {
-            if (doc.data().uniqueId) checkedInIds.add(doc.data().uniqueId);
+    } else {
+        const registrations = await getFilteredRegistrations(filters.status);
+        badgePrintList = registrations.filter(reg => {
+            if (filters.zone && (reg.zone || reg.Zone || '') !== filters.zone) return false;
+            if (filters.shreni && (reg.shreni || reg.Shreni || '') !== filters.shreni) return false;
+            return !!reg.uniqueId;
         });
-        return registrations.filter(reg => checkedInIds.has(reg.uniqueId));
     }
-    return registrations;
+
+    if (filters.notPrinted) {
+        badgePrintList = badgePrintList.filter(reg => !reg.badgePrintCount);
+    }
+
+    badgePrintList.sort((a, b) => String(a.uniqueId).localeCompare(String(b.uniqueId)));
+
+    const reprints = badgePrintList.filter(reg => reg.badgePrintCount > 0).length;
+    if (statusEl) {
+        statusEl.textContent = `${badgePrintList.length} badge(s) selected` +
+            (reprints ? `, ${reprints} already printed before` : '') +
+            (notFound.length ? `. Not found: ${notFound.join(', ')}` : '');
+    }
+    renderBadgePrintList();
 }
 
-// Export Travel Team Data
-async function exportTravelTeamData() {
-    const registrations = window.dashboardRegistrations || [];
-    
-    const headers = ['Praveshika ID', 'Name', 'Email', 'Phone', 'Pickup Location', 'Arrival Date', 'Arrival Time', 
-                     'Flight/Train Number', 'Dropoff Location', 'Departure Date', 'Departure Time', 'Departure Flight/Train Number'];
-    
-    const rows = registrations.map(reg => {
-        return [
-            reg.uniqueId || '',
-            reg.name || reg['Full Name'] || '',
-            reg.email || reg['Email address'] || '',
-            reg.phone || '',
-            reg.normalizedPickupLocation || reg.arrivalPlace || reg['Place of Arrival'] || '',
-            reg.arrivalDate || reg['Date of Arrival'] || '',
-            reg.arrivalTime || reg['Time of Arrival'] || '',
-            reg.arrivalFlightTrain || reg['Arrival Flight/Train Number'] || '',
-            reg.departurePlace || reg['Place of Departure Train/Flight'] || '',
-            reg.departureDate || reg['Date of Departure Train/Flight'] || '',
-            reg.departureTime || reg['Time of Departure Train/Flight'] || '',
-            reg.departureFlightTrain || reg['Departure Flight/Train Number'] || ''
-        ];
-    });
-    
-    exportToCSV('travel_team_data.csv', headers, rows);
+function renderBadgePrintList() {
+    const listDiv = document.getElementById('badgePrintList');
+    if (!listDiv) return;
+
+    if (badgePrintList.length === 0) {
+        listDiv.innerHTML = '';
+        return;
+    }
+
+    // Show the first rows only; the PDF includes everyone
+    const previewRows = badgePrintList.slice(0, 100).map(reg => {
+        const lastPrinted = safeTimestampToDate(reg.lastBadgePrintedAt);
+        return `
+            <tr>
+                <td>${escapeHtml(reg.uniqueId)}</td>
+                <td>${escapeHtml(reg.name || reg['Full Name'] || '')}</td>
+                <td>${escapeHtml(reg.zone || reg.Zone || '')}</td>
+                <td>${escapeHtml(reg.shreni || reg.Shreni || '')}</td>
+                <td>${reg.badgePrintCount || 0}</td>
+                <td>${lastPrinted ? escapeHtml(lastPrinted.toLocaleString()) : '-'}</td>
+            </tr>`;
+    }).join('');
+
+    listDiv.innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Praveshika ID</th>
+                    <th>Name</th>
+                    <th>Zone</th>
+                    <th>Shreni</th>
+                    <th>Times Printed</th>
+                    <th>Last Printed</th>
+                </tr>
+            </thead>
+            <tbody>${previewRows}</tbody>
+        </table>
+        ${badgePrintList.length > 100 ? `<p style="color: #666;">Showing 100 of ${badgePrintList.length}.</p>` : ''}`;
 }
 
-// Export Post Tour Team Data
-async function exportPostTourTeamData() {
-    const registrations = window.dashboardRegistrations || [];
-    
-    const headers = ['Praveshika ID', 'Name', 'Email', 'Phone', 'Post Tour Selection', 'Accommodation'];
-    
-    const rows = registrations.map(reg => {
-        return [
-            reg.uniqueId || '',
-            reg.name || reg['Full Name'] || '',
-            reg.email || reg['Email address'] || '',
-            reg.phone || '',
-            reg.postShibirTour || reg['Post Shibir Tour'] || 'None',
-            reg.accommodation || ''
-        ];
-    });
-    
-    exportToCSV('post_tour_team_data.csv', headers, rows);
+// Signed QR payloads for all badges, fetched in batches. Missing entries fall back to Code128.
+// Returns { payloads: { id: payload }, errors: [messages] } for batches the server could not sign
+async function fetchBadgePayloads(uniqueIds, onProgress) {
+    const payloads = {};
+    const errors = [];
+    for (let i = 0; i < uniqueIds.length; i += BADGE_TOKEN_BATCH_SIZE) {
+        const batch = uniqueIds.slice(i, i + BADGE_TOKEN_BATCH_SIZE);
+        try {
+            const result = await callBadgeApi('/api/badge-token', { uniqueIds: batch });
+            Object.assign(payloads, result.payloads || {});
+        } catch (error) {
+            console.warn('Could not issue signed badges for this batch:', error.message);
+            errors.push(error.message);
+        }
+        if (onProgress) onProgress(Math.min(i + BADGE_TOKEN_BATCH_SIZE, uniqueIds.length));
+    }
+    return { payloads, errors };
 }
 
-// Export Tours Data (broader tour-focused slice)
-async function exportToursData() {
-    const registrations = window.dashboardRegistrations || [];
-    
-    const headers = [
-        'Praveshika ID',
-        'Name',
-        'Email',
-        'Phone',
-        'Zone',
-        'Shreni',
-        'Gender',
-        'Post Tour Selection',
-        'Accommodation',
-        'Arrival Date',
-        'Arrival Time',
-        'Arrival Place',
-        'Departure Date',
-        'Departure Time',
-        'Departure Place'
-    ];
-    
-    const rows = registrations.map(reg => {
-        return [
-            reg.uniqueId || '',
-            reg.name || reg['Full Name'] || '',
-            reg.email || reg['Email address'] || '',
-            reg.phone || '',
-            reg.zone || reg.Zone || '',
-            reg.shreni || reg.Shreni || '',
-            reg.gender || reg.Gender || '',
-            reg.postShibirTour || reg['Post Shibir Tour'] || reg['Post Shibir Tours'] || reg['Please select a post shibir tour option'] || 'None',
-            reg.accommodation || '',
-            reg.arrivalDate || reg['Date of Arrival'] || '',
-            reg.arrivalTime || reg['Time of Arrival'] || '',
-            reg.normalizedPickupLocation || reg.arrivalPlace || reg['Place of Arrival'] || '',
-            reg.departureDate || reg['Date of Departure Train/Flight'] || '',
-            reg.departureTime || reg['Time of Departure Train/Flight'] || '',
-            reg.departurePlace || reg['Place of Departure Train/Flight'] || ''
-        ];
-    });
-    
-    exportToCSV('tours_data.csv', headers, rows);
+// PNG data URL of a QR code for a signed payload
+function badgePayloadToQrDataUrl(payload) {
+    const qr = qrcode(0, 'M');
+    qr.addData(payload, 'Alphanumeric');
+    qr.make();
+
+    const moduleSize = 4;
+    const quietZone = 4;
+    const count = qr.getModuleCount();
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = (count + quietZone * 2) * moduleSize;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = '#000000';
+    for (let row = 0; row < count; row++) {
+        for (let col = 0; col < count; col++) {
+            if (qr.isDark(row, col)) {
+                context.fillRect((col + quietZone) * moduleSize, (row + quietZone) * moduleSize, moduleSize, moduleSize);
+            }
+        }
+    }
+    return canvas.toDataURL('image/png');
 }
 
-// Helper function to export to CSV
-function exportToCSV(filename, headers, rows) {
-    const csvContent = [
-        headers.join(','),
-        ...rows.map(row => row.map(cell => {
-            const str = String(cell || '');
-            // Escape quotes and wrap in quotes if contains comma or quote
-            if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-                return '"' + str.replace(/"/g, '""') + '"';
+// PNG data URL of a legacy Code128 barcode, or null if it cannot be drawn
+function badgeBarcodeToDataUrl(value) {
+    if (typeof JsBarcode === 'undefined' || !value) return null;
+    try {
+        const canvas = document.createElement('canvas');
+        JsBarcode(canvas, value, { format: "CODE128", width: 2, height: 60, displayValue: true, margin: 4 });
+        return canvas.toDataURL('image/png');
+    } catch (error) {
+        console.error('Barcode generation error:', error);
+        return null;
+    }
+}
+
+// Short lines just outside each corner of a badge, showing where to cut
+function drawBadgeCropMarks(pdf, x, y, width, height) {
+    const { offset, length } = BADGE_CROP_MARK;
+    pdf.setDrawColor(0);
+    pdf.setLineWidth(0.2);
+    [[x, y, -1, -1], [x + width, y, 1, -1], [x, y + height, -1, 1], [x + width, y + height, 1, 1]]
+        .forEach(([cornerX, cornerY, dirX, dirY]) => {
+            pdf.line(cornerX + dirX * offset, cornerY, cornerX + dirX * (offset + length), cornerY);
+            pdf.line(cornerX, cornerY + dirY * offset, cornerX, cornerY + dirY * (offset + length));
+        });
+}
+
+// Draw one badge into the cell at (x, y): logo and title across the top, details on the left, code on the right
+function drawBadgeOnSheet(pdf, reg, x, y, width, height, logoDataUrl, codeImage) {
+    const padding = 4;
+    const name = reg.name || reg['Full Name'] || '';
+    const country = reg.country || reg.Country || reg['Country of Current Residence'] || '';
+    const shreni = reg.shreni || reg.Shreni || '';
+    const room = formatRoomLabel(reg.roomBuilding, reg.roomNumber);
+
+    pdf.setDrawColor(180);
+    pdf.setLineWidth(0.1);
+    pdf.rect(x, y, width, height);
+
+    // Header
+    const headerHeight = Math.min(height * 0.2, 14);
+    let headerTextX = x + padding;
+    if (logoDataUrl) {
+        pdf.addImage(logoDataUrl, 'PNG', x + padding, y + padding / 2, headerHeight, headerHeight, 'badgeLogo');
+        headerTextX += headerHeight + 2;
+    }
+    pdf.setTextColor(139, 69, 19);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(Math.min(headerHeight * 1.1, 13));
+    pdf.text('VSS2025', headerTextX, y + padding / 2 + headerHeight * 0.65);
+
+    // Code on the right
+    const bodyTop = y + headerHeight + padding;
+    const bodyHeight = height - headerHeight - padding * 2;
+    let codeWidth = 0;
+    if (codeImage) {
+        codeWidth = codeImage.isQr ? Math.min(bodyHeight, width * 0.42) : Math.min(width * 0.5, bodyHeight * 2);
+        const codeHeight = codeImage.isQr ? codeWidth : Math.min(codeWidth * 0.45, bodyHeight);
+        pdf.addImage(codeImage.dataUrl, 'PNG', x + width - padding - codeWidth, bodyTop + (bodyHeight - codeHeight) / 2, codeWidth, codeHeight);
+    }
+
+    // Details on the left
+    const textWidth = width - padding * 3 - codeWidth;
+    const nameSize = Math.max(9, Math.min(18, bodyHeight * 0.5));
+    pdf.setTextColor(0);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(nameSize);
+    const nameLines = pdf.splitTextToSize(name, textWidth).slice(0, 2);
+    let textY = bodyTop + nameSize * 0.35;
+    pdf.text(nameLines, x + padding, textY);
+    textY += nameLines.length * nameSize * 0.4 + 1.5;
+
+    const detailSize = Math.max(7, nameSize * 0.6);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(detailSize);
+    [country, shreni, reg.uniqueId, room ? `Room: ${room}` : '']
+        .filter(Boolean)
+        .forEach(line => {
+            if (textY > y + height - padding) return;
+            pdf.text(pdf.splitTextToSize(String(line), textWidth)[0], x + padding, textY);
+            textY += detailSize * 0.45;
+        });
+}
+
+async function generateBadgeSheetPDF() {
+    if (badgePrintList.length === 0) {
+        await buildBadgePrintList();
+        if (badgePrintList.length === 0) {
+            showNotification('No badges match the selection.', 'error');
+            return;
+        }
+    }
+    if (typeof window.jspdf === 'undefined') {
+        showNotification('PDF library not loaded. Please refresh the page.', 'error');
+        return;
+    }
+
+    const perSheet = parseInt(document.getElementById('badgesPerSheet')?.value, 10) || 8;
+    const layout = BADGE_SHEET_LAYOUTS[perSheet] || BADGE_SHEET_LAYOUTS[8];
+    const statusEl = document.getElementById('badgePrintStatus');
+    const setStatus = text => { if (statusEl) statusEl.textContent = text; };
+    const registrations = badgePrintList.slice();
+
+    if (typeof qrcode === 'undefined') {
+        showNotification('QR code library not loaded. Please refresh the page.', 'error');
+        return;
+    }
+
+    try {
+        setStatus('Signing badges...');
+        const { payloads, errors: signingErrors } = await fetchBadgePayloads(registrations.map(reg => reg.uniqueId),
+            done => setStatus(`Signing badges... ${done} / ${registrations.length}`));
+
+        // Badges without a signed QR code are only printed while barcode-only badges are still
+        // accepted at check-in, and only after the admin confirms
+        const unsignedIds = registrations
+            .map(reg => String(reg.uniqueId).toUpperCase())
+            .filter(id => !payloads[id]);
+        if (unsignedIds.length) {
+            const reason = signingErrors.length ? signingErrors[0] : 'not found in registrations';
+            if (!(await acceptsUnsignedBadges())) {
+                setStatus(`Stopped: ${unsignedIds.length} badge(s) could not be signed (${reason}).`);
+                showNotification('Badge sheets were not generated because some badges could not be signed. Please try again.', 'error');
+                return;
             }
-            return str;
-        }).join(','))
-    ].join('\n');
-    
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    const url = URL.createObjectURL(blob);
-    link.setAttribute('href', url);
-    link.setAttribute('download', filename);
-    link.style.visibility = 'hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    
-    showNotification(`Exported ${rows.length} records to ${filename}`, 'success');
+            const preview = unsignedIds.slice(0, 10).join(', ') + (unsignedIds.length > 10 ? ', ...' : '');
+            if (!confirm(`${unsignedIds.length} of ${registrations.length} badge(s) could not be signed (${reason}):\n${preview}\n\n` +
+                'Print them with a barcode only? Barcode-only badges cannot be verified and stop being accepted at the configured cutoff.\n\n' +
+                'Cancel to stop and try again.')) {
+                setStatus('Cancelled: some badges could not be signed.');
+                return;
+            }
+        }
+
+        let logoDataUrl = null;
+        try {
+            logoDataUrl = await getPublicResourceUrl('logo.png').then(url => imageToDataURL(url));
+        } catch (logoError) {
+            console.warn('Badge logo could not be loaded:', logoError);
+        }
+
+        const { jsPDF } = window.jspdf;
+        const pdf = new jsPDF('portrait', 'mm', 'a4');
+        const { width: pageWidth, height: pageHeight, margin, gutter } = BADGE_SHEET_PAGE;
+        const cellWidth = (pageWidth - margin * 2 - gutter * (layout.cols - 1)) / layout.cols;
+        const cellHeight = (pageHeight - margin * 2 - gutter * (layout.rows - 1)) / layout.rows;
+        let unsignedCount = 0;
+
+        for (let index = 0; index < registrations.length; index++) {
+            const slot = index % perSheet;
+            if (index > 0 && slot === 0) pdf.addPage();
+
+            const reg = registrations[index];
+            const x = margin + (slot % layout.cols) * (cellWidth + gutter);
+            const y = margin + Math.floor(slot / layout.cols) * (cellHeight + gutter);
+
+            let codeImage = null;
+            const payload = payloads[String(reg.uniqueId).toUpperCase()];
+            if (payload) {
+                codeImage = { isQr: true, dataUrl: badgePayloadToQrDataUrl(payload) };
+            } else {
+                unsignedCount++;
+                const barcodeUrl = badgeBarcodeToDataUrl(reg.barcode || reg.Barcode || reg.uniqueId);
+                if (barcodeUrl) codeImage = { isQr: false, dataUrl: barcodeUrl };
+            }
+
+            drawBadgeOnSheet(pdf, reg, x, y, cellWidth, cellHeight, logoDataUrl, codeImage);
+            drawBadgeCropMarks(pdf, x, y, cellWidth, cellHeight);
+
+            // Let the page repaint during large runs
+            if (index % 50 === 49) {
+                setStatus(`Drawing badges... ${index + 1} / ${registrations.length}`);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        const stamp = new Date().toISOString().slice(0, 16).replace(/[-:T]/g, '');
+        pdf.save(`VSS2025_Badges_${registrations.length}_${stamp}.pdf`);
+
+        setStatus('Recording print history...');
+        await recordBadgePrintJob(registrations, perSheet, unsignedCount);
+        setStatus(`Generated ${registrations.length} badge(s) on ${Math.ceil(registrations.length / perSheet)} sheet(s)` +
+            (unsignedCount ? `; ${unsignedCount} used a barcode because a signed QR code could not be issued` : '') + '.');
+        showNotification('Badge sheets generated.', 'success');
+        renderBadgePrintList();
+        await loadBadgePrintHistory();
+    } catch (error) {
+        console.error('Error generating badge sheets:', error);
+        setStatus('');
+        showNotification('Error generating badge sheets: ' + error.message, 'error');
+    }
 }
 
-// Display email corrections for late and updated registrations
-function displayEmailCorrections(emailCorrections) {
-    // Display late registrations
-    const lateRegsTbody = document.getElementById('lateRegistrationsTableBody');
-    if (lateRegsTbody && emailCorrections.lateRegistrations) {
-        let html = '';
-        if (emailCorrections.lateRegistrations.length === 0) {
-            html = '<tr><td colspan="5" style="text-align: center;">No late registrations found</td></tr>';
-        } else {
-            emailCorrections.lateRegistrations.forEach(reg => {
-                const regDate = reg.registrationDate && reg.registrationDate.toDate 
-                    ? reg.registrationDate.toDate().toLocaleDateString() 
-                    : (reg.registrationDate ? new Date(reg.registrationDate).toLocaleDateString() : 'N/A');
-                html += `<tr>
-                    <td>${escapeHtml(reg.uniqueId)}</td>
-                    <td>${escapeHtml(reg.name)}</td>
-                    <td>${escapeHtml(reg.email)}</td>
-                    <td>${regDate}</td>
-                    <td><span style="color: #f57c00;">Late Registration</span></td>
-                </tr>`;
+// Store the print job and bump each registration's print count so reprints are visible
+async function recordBadgePrintJob(registrations, perSheet, unsignedCount) {
+    const db = firebase.firestore();
+    const user = firebase.auth().currentUser;
+    const userData = await getUserData(user);
+    const filters = getBadgePrintFilters();
+    const uniqueIds = registrations.map(reg => reg.uniqueId);
+
+    const jobRef = await db.collection('badgePrints').add({
+        uniqueIds: uniqueIds,
+        count: uniqueIds.length,
+        reprintCount: registrations.filter(reg => reg.badgePrintCount > 0).length,
+        unsignedCount: unsignedCount,
+        badgesPerSheet: perSheet,
+        filters: filters.idList.length
+            ? { idList: true }
+            : { status: filters.status, zone: filters.zone, shreni: filters.shreni, notPrinted: filters.notPrinted },
+        printedBy: user.uid,
+        printedByName: userData?.volunteerName || userData?.name || user.email || 'Unknown',
+        printedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+
+    const BATCH_SIZE = 400;
+    for (let i = 0; i < registrations.length; i += BATCH_SIZE) {
+        const batch = db.batch();
+        registrations.slice(i, i + BATCH_SIZE).forEach(reg => {
+            batch.update(db.collection('registrations').doc(reg.uniqueId), {
+                uniqueId: reg.uniqueId,
+                badgePrintCount: firebase.firestore.FieldValue.increment(1),
+                lastBadgePrintedAt: firebase.firestore.FieldValue.serverTimestamp(),
+                lastBadgePrintJobId: jobRef.id
             });
+        });
+        await batch.commit();
+    }
+
+    // Keep the local copies in step for the list and the "not printed yet" filter
+    const now = new Date();
+    registrations.forEach(reg => {
+        reg.badgePrintCount = (reg.badgePrintCount || 0) + 1;
+        reg.lastBadgePrintedAt = now;
+        reg.lastBadgePrintJobId = jobRef.id;
+    });
+}
+
+async function loadBadgePrintHistory() {
+    const historyDiv = document.getElementById('badgePrintHistory');
+    if (!historyDiv) return;
+
+    const db = firebase.firestore();
+    const snapshot = await db.collection('badgePrints').orderBy('printedAt', 'desc').limit(25).get();
+    if (snapshot.empty) {
+        historyDiv.innerHTML = '<p style="color: #666;">No badges printed yet.</p>';
+        return;
+    }
+
+    const rows = snapshot.docs.map(doc => {
+        const job = doc.data();
+        const printedAt = safeTimestampToDate(job.printedAt);
+        const filters = job.filters || {};
+        const selection = filters.idList
+            ? 'Pasted ID list'
+            : [filters.status, filters.zone, filters.shreni, filters.notPrinted ? 'not printed yet' : '']
+                .filter(Boolean).join(', ');
+        return `
+            <tr>
+                <td>${printedAt ? escapeHtml(printedAt.toLocaleString()) : '-'}</td>
+                <td>${escapeHtml(job.printedByName || '-')}</td>
+                <td>${job.count || 0}</td>
+                <td>${job.reprintCount || 0}</td>
+                <td>${job.badgesPerSheet || '-'}</td>
+                <td>${escapeHtml(selection || '-')}</td>
+                <td><button class="btn btn-secondary btn-sm" onclick="loadBadgePrintJobIds('${escapeHtml(doc.id)}')">Load IDs</button></td>
+            </tr>`;
+    }).join('');
+
+    historyDiv.innerHTML = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Printed</th>
+                    <th>By</th>
+                    <th>Badges</th>
+                    <th>Reprints</th>
+                    <th>Per Sheet</th>
+                    <th>Selection</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+// Put a previous job's IDs back into the ID list so the same badges can be reprinted
+async function loadBadgePrintJobIds(jobId) {
+    try {
+        const doc = await firebase.firestore().collection('badgePrints').doc(jobId).get();
+        if (!doc.exists) return;
+        const idList = document.getElementById('badgeIdList');
+        if (idList) idList.value = (doc.data().uniqueIds || []).join('\n');
+        await buildBadgePrintList();
+    } catch (error) {
+        console.error('Error loading print job:', error);
+        showNotification('Error loading print job: ' + error.message, 'error');
+    }
+}
+
+// ============================================
+// REGISTRATION AUDIT TRAIL
+// ============================================
+
+// Every write to a registration records the before/after value of each changed
+// field in the auditLog collection, together with who made the change and when.
+// System timestamps are left out of the diff since they change on every save.
+const AUDIT_IGNORED_FIELDS = ['updatedAt', 'travelupdateAt', 'tourupdateAt', 'restoredAt', 'restoredBy', 'restoredByName'];
+
+const AUDIT_ACTION_LABELS = {
+    'participant_edit': 'Participant Edit',
+    'transportation_update': 'Transportation Update',
+    'tour_update': 'Tour Update',
+    'cancel': 'Registration Cancelled',
+    'restore': 'Registration Restored',
+    'room_assignment': 'Room Assignment',
+    'registration_approved': 'Registration Approved',
+    'revert': 'Change Reverted'
+};
+
+// Fields a revert may write back, by audit action. Participants and zone coordinators can only
+// record travel and tour changes (firestore.rules checks changedFields); participant edits by
+// admins may touch any field except the document identity.
+const AUDIT_TRAVEL_FIELDS = [
+    'arrivalDate', 'arrivalTime', 'arrivalPlace', 'arrivalFlightTrain', 'arrivalCarrier', 'arrivalNumber', 'pickupNeeded',
+    'departureDate', 'departureTime', 'departurePlace', 'departureFlightTrain', 'departureCarrier', 'departureNumber', 'dropoffNeeded'
+];
+const AUDIT_REVERTIBLE_FIELDS = {
+    'transportation_update': AUDIT_TRAVEL_FIELDS,
+    'tour_update': ['postShibirTour'],
+    'room_assignment': ['roomId', 'roomBuilding', 'roomNumber'],
+    'participant_edit': null
+};
+const AUDIT_PROTECTED_FIELDS = ['uniqueId', 'normalizedId', 'badgeVersion', 'badgeRevokedAt', 'badgeRevokedBy'];
+
+// Changes of an audit entry that a revert is allowed to write back. Every change must be listed
+// in changedFields (the list the rules validate) and allowed for the entry's action.
+function getRevertibleChanges(entry) {
+    if (!(entry.action in AUDIT_REVERTIBLE_FIELDS)) return { changes: [], rejected: entry.changedFields || [] };
+    const allowedFields = AUDIT_REVERTIBLE_FIELDS[entry.action];
+    const listedFields = Array.isArray(entry.changedFields) ? entry.changedFields : [];
+    const changes = [];
+    const rejected = [];
+    (entry.changes || []).forEach(change => {
+        const field = change && typeof change.field === 'string' ? change.field : '';
+        const before = change ? change.before : undefined;
+        const allowed = field &&
+            isValidFirestoreFieldName(field) &&
+            listedFields.includes(field) &&
+            !AUDIT_PROTECTED_FIELDS.includes(field) &&
+            (allowedFields === null || allowedFields.includes(field)) &&
+            // Travel, tour and room values are plain values; anything else was not written by this app
+            (allowedFields === null || before === null || ['string', 'number', 'boolean'].includes(typeof before));
+        if (allowed) {
+            changes.push(change);
+        } else {
+            rejected.push(field || '(unnamed)');
         }
-        lateRegsTbody.innerHTML = html;
+    });
+    return { changes, rejected };
+}
+
+// Comparable key for a field value (handles Firestore Timestamps)
+function auditValueKey(value) {
+    if (value === undefined || value === null) return 'null';
+    if (value && typeof value.toMillis === 'function') return `ts:${value.toMillis()}`;
+    return JSON.stringify(value);
+}
+
+// Skip FieldValue sentinels (serverTimestamp, arrayUnion...) which have no comparable value
+function isFieldValueSentinel(value) {
+    return !!value && typeof value === 'object' && value instanceof firebase.firestore.FieldValue;
+}
+
+// Build the list of changed fields between the stored document and the written data
+function buildAuditChanges(beforeData, updateData) {
+    const changes = [];
+    Object.keys(updateData || {}).forEach(field => {
+        if (AUDIT_IGNORED_FIELDS.includes(field)) return;
+        const after = updateData[field];
+        if (isFieldValueSentinel(after)) return;
+        const before = beforeData ? beforeData[field] : undefined;
+        if (auditValueKey(before) === auditValueKey(after)) return;
+        changes.push({
+            field: field,
+            before: before === undefined ? null : before,
+            beforeExisted: before !== undefined,
+            after: after === undefined ? null : after
+        });
+    });
+    return changes;
+}
+
+// Audit entry document (also used directly by bulk operations that write in batches)
+function buildAuditEntry(uniqueId, action, changes, user, userData, extra = {}) {
+    return {
+        uniqueId: uniqueId,
+        normalizedId: normalizePraveshikaId(uniqueId),
+        action: action,
+        changes: changes,
+        changedFields: changes.map(c => c.field),
+        changedBy: user.uid,
+        changedByName: userData?.volunteerName || userData?.name || user.email || 'Unknown',
+        changedByEmail: user.email || null,
+        timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+        ...extra
+    };
+}
+
+// Audit entry ID of the revert of an entry. There is only one per original entry and the rules
+// never allow an entry to be overwritten, so a second revert of the same change fails as a whole.
+function getRevertAuditId(auditId) {
+    return `revert_${auditId}`;
+}
+
+// Commit a registration change together with its audit entry in one batch, so a change is never
+// saved without its before/after record. applyWrites(batch, db) adds the registration writes.
+// Errors are thrown to the caller, which reports them to the user.
+async function commitAuditedRegistrationWrite(uniqueId, action, changes, applyWrites, extra = {}) {
+    const user = firebase.auth().currentUser;
+    if (!user) {
+        throw new Error('Not authenticated');
     }
-    
-    // Display updated registrations
-    const updatedRegsTbody = document.getElementById('updatedRegistrationsTableBody');
-    if (updatedRegsTbody && emailCorrections.updatedRegistrations) {
-        let html = '';
-        if (emailCorrections.updatedRegistrations.length === 0) {
-            html = '<tr><td colspan="5" style="text-align: center;">No updated registrations found</td></tr>';
+
+    const db = firebase.firestore();
+    const batch = db.batch();
+    applyWrites(batch, db);
+    if (changes && changes.length > 0) {
+        const userData = await getUserData(user);
+        const entryRef = extra.revertOf
+            ? db.collection('auditLog').doc(getRevertAuditId(extra.revertOf))
+            : db.collection('auditLog').doc();
+        batch.set(entryRef, buildAuditEntry(uniqueId, action, changes, user, userData, extra));
+    }
+    await batch.commit();
+}
+
+// Load and render the change history for a participant on the lookup page
+async function loadParticipantAuditHistory(uniqueId) {
+    const container = document.getElementById('participantAuditHistory');
+    if (!container || !window.firebase || !firebase.firestore) return;
+
+    // The rules only let admins read auditLog
+    const user = firebase.auth().currentUser;
+    if (!user || !(await isAdmin(user))) {
+        container.innerHTML = '<p style="color: #666;">The change history is only available to admins.</p>';
+        return;
+    }
+
+    container.innerHTML = '<p>Loading change history...</p>';
+
+    try {
+        const db = firebase.firestore();
+        // Sorted client-side to avoid needing a composite index
+        const snapshot = await db.collection('auditLog')
+            .where('uniqueId', '==', uniqueId)
+            .get();
+
+        const entries = snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .sort((a, b) => (safeTimestampToDate(b.timestamp)?.getTime() || 0) - (safeTimestampToDate(a.timestamp)?.getTime() || 0));
+
+        if (entries.length === 0) {
+            container.innerHTML = '<p style="color: #666;">No recorded changes for this participant.</p>';
+            return;
+        }
+
+        const revertedIds = new Set(entries.filter(e => e.revertOf).map(e => e.revertOf));
+
+        let html = '<div class="audit-timeline">';
+        entries.forEach(entry => {
+            const when = safeTimestampToDate(entry.timestamp);
+            const actionLabel = AUDIT_ACTION_LABELS[entry.action] || entry.action;
+            const isReverted = revertedIds.has(entry.id);
+            const canRevert = !isReverted && (entry.action in AUDIT_REVERTIBLE_FIELDS || entry.action === 'cancel' || entry.action === 'restore');
+
+            html += `
+                <div class="audit-timeline-entry${isReverted ? ' reverted' : ''}">
+                    <div class="audit-timeline-header">
+                        <strong>${escapeHtml(actionLabel)}</strong>
+                        <span class="audit-timeline-meta">${escapeHtml(when ? when.toLocaleString() : 'Pending')} · ${escapeHtml(entry.changedByName || entry.changedByEmail || 'Unknown')}</span>
+                        ${isReverted ? '<span class="audit-reverted-badge">Reverted</span>' : ''}
+                        ${canRevert ? `<button class="btn btn-secondary btn-sm" onclick="revertAuditEntry('${escapeHtml(entry.id)}')">Revert</button>` : ''}
+                    </div>
+                    ${entry.reason ? `<p class="audit-timeline-reason">Reason: ${escapeHtml(entry.reason)}</p>` : ''}
+                    <table class="data-table audit-changes-table">
+                        <thead>
+                            <tr>
+                                <th>Field</th>
+                                <th>Before</th>
+                                <th>After</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${(entry.changes || []).map(change => `
+                                <tr>
+                                    <td>${escapeHtml(change.field)}</td>
+                                    <td>${escapeHtml(formatAuditValue(change.before))}</td>
+                                    <td>${escapeHtml(formatAuditValue(change.after))}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>`;
+        });
+        html += '</div>';
+
+        container.innerHTML = html;
+    } catch (error) {
+        console.error('Error loading audit history:', error);
+        container.innerHTML = '<p style="color: #dc3545;">Error loading change history.</p>';
+    }
+}
+
+// Display helper for audit values
+function formatAuditValue(value) {
+    if (value === null || value === undefined || value === '') return '—';
+    const asDate = safeTimestampToDate(value);
+    if (asDate && typeof value === 'object') return asDate.toLocaleString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+// Revert a recorded change (admins only). Field edits are written back to their
+// previous values; cancellations and restores are undone by moving the record back.
+async function revertAuditEntry(auditId) {
+    if (!window.firebase || !firebase.firestore || !firebase.auth) return;
+
+    const user = firebase.auth().currentUser;
+    if (!user || !(await isAdmin(user))) {
+        showNotification('Permission denied. Only administrators can revert changes.', 'error');
+        return;
+    }
+
+    const db = firebase.firestore();
+
+    try {
+        const entryDoc = await db.collection('auditLog').doc(auditId).get();
+        if (!entryDoc.exists) {
+            showNotification('Audit entry not found', 'error');
+            return;
+        }
+        const entry = entryDoc.data();
+        const actionLabel = AUDIT_ACTION_LABELS[entry.action] || entry.action;
+
+        // The revert's own entry has a fixed ID, so this check and the batch below both see an earlier revert
+        const revertEntryDoc = await db.collection('auditLog').doc(getRevertAuditId(auditId)).get();
+        if (revertEntryDoc.exists) {
+            showNotification('This change has already been reverted.', 'info');
+            loadParticipantAuditHistory(entry.uniqueId);
+            return;
+        }
+
+        const { changes: revertibleChanges, rejected } = getRevertibleChanges(entry);
+        if (entry.action !== 'cancel' && entry.action !== 'restore') {
+            if (revertibleChanges.length === 0) {
+                showNotification('This change cannot be reverted automatically.', 'error');
+                return;
+            }
+            if (rejected.length) {
+                console.warn(`Audit entry ${auditId} has fields that cannot be reverted:`, rejected);
+            }
+        }
+
+        const revertFields = entry.action === 'cancel' || entry.action === 'restore'
+            ? (entry.changedFields || [])
+            : revertibleChanges.map(change => change.field);
+        const skippedNote = rejected.length && entry.action !== 'cancel' && entry.action !== 'restore'
+            ? `\n\nNot reverted (not editable this way): ${rejected.join(', ')}`
+            : '';
+        if (!confirm(`Revert "${actionLabel}" for ${entry.uniqueId}?\n\nFields: ${revertFields.join(', ')}${skippedNote}`)) {
+            return;
+        }
+
+        if (entry.action === 'cancel') {
+            await restoreFromCancelled(entry.uniqueId, { revertOf: auditId });
+        } else if (entry.action === 'restore') {
+            await moveToCancelled(entry.uniqueId, `Reverted restore (${auditId})`, { revertOf: auditId });
         } else {
-            emailCorrections.updatedRegistrations.forEach(reg => {
-                const updateDate = reg.updatedDate && reg.updatedDate.toDate 
-                    ? reg.updatedDate.toDate().toLocaleDateString() 
-                    : (reg.updatedDate ? new Date(reg.updatedDate).toLocaleDateString() : 'N/A');
-                html += `<tr>
-                    <td>${escapeHtml(reg.uniqueId)}</td>
-                    <td>${escapeHtml(reg.name)}</td>
-                    <td>${escapeHtml(reg.email)}</td>
-                    <td>${updateDate}</td>
-                    <td><span style="color: #388e3c;">Updated</span></td>
-                </tr>`;
-            });
+            const regRef = db.collection('registrations').doc(entry.uniqueId);
+            const regDoc = await regRef.get();
+            if (!regDoc.exists) {
+                showNotification('Registration not found (it may have been cancelled). Restore it first.', 'error');
+                return;
+            }
+            const currentData = regDoc.data();
+
+            const revertData = {
+                uniqueId: entry.uniqueId,
+                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+            };
+            const revertChanges = [];
+            revertibleChanges.forEach(change => {
+                revertData[change.field] = change.beforeExisted === false
+                    ? firebase.firestore.FieldValue.delete()
+                    : change.before;
+                revertChanges.push({
+                    field: change.field,
+                    before: currentData[change.field] === undefined ? null : currentData[change.field],
+                    beforeExisted: currentData[change.field] !== undefined,
+                    after: change.beforeExisted === false ? null : change.before
+                });
+            });
+
+            await commitAuditedRegistrationWrite(entry.uniqueId, 'revert', revertChanges,
+                batch => batch.update(regRef, revertData),
+                { revertOf: auditId });
+        }
+
+        showNotification(`Reverted ${actionLabel} for ${entry.uniqueId}`, 'success');
+
+        // Refresh the lookup view
+        const refreshed = await db.collection('registrations').doc(entry.uniqueId).get();
+        if (refreshed.exists) {
+            displayParticipantLookupResults(refreshed.data(), entry.uniqueId);
+        } else {
+            loadParticipantAuditHistory(entry.uniqueId);
+        }
+    } catch (error) {
+        console.error('Error reverting change:', error);
+        showNotification('Error reverting change: ' + error.message, 'error');
+    }
+}
+
+// ============================================
+// PARTICIPANT LOOKUP FUNCTIONS
+// ============================================
+
+// Load participant lookup page
+async function loadParticipantLookupPage(user) {
+    // Verify user is admin (superadmin or admin) or a zone coordinator
+    const canView = await canViewDashboard(user);
+    if (!canView) {
+        const loadingDiv = document.getElementById('participantLookupLoading');
+        if (loadingDiv) {
+            loadingDiv.innerHTML = '<p style="color: red;">Access denied. You do not have permission to view this page.</p>';
+        }
+        return;
+    }
+    
+    const loadingDiv = document.getElementById('participantLookupLoading');
+    const dataDiv = document.getElementById('participantLookupData');
+    
+    if (!loadingDiv || !dataDiv) return;
+    
+    loadingDiv.style.display = 'block';
+    dataDiv.style.display = 'none';
+    
+    if (!window.firebase || !firebase.firestore) {
+        loadingDiv.innerHTML = '<p style="color: red;">Firebase not initialized.</p>';
+        return;
+    }
+    
+    try {
+        // Clear previous results
+        clearParticipantLookupResults();
+        
+        // Show data div, hide loading
+        loadingDiv.style.display = 'none';
+        dataDiv.style.display = 'block';
+        
+    } catch (error) {
+        console.error('Error loading participant lookup page:', error);
+        loadingDiv.innerHTML = '<p style="color: red;">Error loading participant lookup. Please try again.</p>';
+    }
+}
+
+// Search participant by Unique ID (exact match) - kept for backward compatibility
+async function searchParticipantByUniqueId() {
+    // Redirect to enhanced search function
+    await searchParticipantByLoginId();
+}
+
+// Search participant by Name
+async function searchParticipantByName() {
+    const nameInput = document.getElementById('lookupName');
+    if (!nameInput) return;
+    
+    const name = nameInput.value.trim();
+    if (!name) {
+        showNotification('Please enter a name to search', 'error');
+        return;
+    }
+    
+    if (!window.firebase || !firebase.firestore) {
+        showNotification('Firebase not initialized', 'error');
+        return;
+    }
+    
+    try {
+        const db = firebase.firestore();
+        const nameLower = name.toLowerCase();
+        const results = [];
+        
+        // Fetch all registrations in batches to avoid limit restrictions
+        // This matches the behavior of Praveshika ID search (no status filter)
+        let allRegistrations = [];
+        let lastDoc = null;
+        const batchSize = 2000;
+        
+        // Fetch registrations in batches until all are retrieved
+        while (true) {
+            let query = getRegistrationsQuery(db).limit(batchSize);
+            if (lastDoc) {
+                query = query.startAfter(lastDoc);
+            }
+            
+            const batch = await query.get();
+            if (batch.empty) break;
+            
+            allRegistrations = allRegistrations.concat(batch.docs);
+            lastDoc = batch.docs[batch.docs.length - 1];
+            
+            // If we got fewer than batchSize, we've reached the end
+            if (batch.docs.length < batchSize) break;
+        }
+        
+        // Filter client-side for case-insensitive partial name match
+        // No status filter - show all registrations like Praveshika ID search
+        allRegistrations.forEach(doc => {
+            const data = doc.data();
+            const regName = (data.name || data['Full Name'] || '').toLowerCase();
+            if (regName.includes(nameLower)) {
+                results.push(doc);
+            }
+        });
+        
+        if (results.length === 0) {
+            showNotification('No participants found with this name', 'info');
+            clearParticipantLookupResults();
+            return;
+        }
+        
+        if (results.length === 1) {
+            const regData = results[0].data();
+            const uniqueId = regData.uniqueId || results[0].id;
+            displayParticipantLookupResults(regData, uniqueId);
+        } else {
+            // Show selection list
+            displayParticipantSelectionList(results, 'name');
+        }
+    } catch (error) {
+        console.error('Error searching participant by name:', error);
+        showNotification('Error searching participant: ' + error.message, 'error');
+    }
+}
+
+// Search participant by Email (group match) - using emailToUids collection
+async function searchParticipantByEmail() {
+    const emailInput = document.getElementById('lookupEmail');
+    if (!emailInput) return;
+    
+    const email = emailInput.value.trim();
+    if (!email) {
+        showNotification('Please enter an email address', 'error');
+        return;
+    }
+    
+    if (!window.firebase || !firebase.firestore) {
+        showNotification('Firebase not initialized', 'error');
+        return;
+    }
+    
+    try {
+        const db = firebase.firestore();
+        const emailLower = email.toLowerCase().trim();
+        const results = [];
+        
+        if (coordinatorZone) {
+            // Zone coordinators cannot read emailToUids - match emails within their zone's registrations
+            const zoneRegistrations = await getRegistrationsQuery(db).get();
+            zoneRegistrations.docs.forEach(doc => {
+                const data = doc.data();
+                const regEmail = (data.email || data['Email address'] || '').toLowerCase();
+                if (regEmail.includes(emailLower)) {
+                    results.push(doc);
+                }
+            });
+        } else {
+            // First, try exact match using emailToUids collection
+            const emailToUidsDoc = await db.collection('emailToUids').doc(emailLower).get();
+        
+            if (emailToUidsDoc.exists) {
+                // Found exact match - get all UIDs for this email
+                const emailToUidsData = emailToUidsDoc.data();
+                const uids = emailToUidsData.uids || [];
+            
+                // Fetch all registration documents for these UIDs
+                const registrationPromises = uids.map(uid => 
+                    db.collection('registrations').doc(uid).get()
+                        .then(doc => doc.exists ? doc : null)
+                        .catch(error => {
+                            console.error(`Error fetching registration for ${uid}:`, error);
+                            return null;
+                        })
+                );
+            
+                const registrationDocs = await Promise.all(registrationPromises);
+                registrationDocs.forEach(doc => {
+                    if (doc) {
+                        results.push(doc);
+                    }
+                });
+            } else {
+                // No exact match - try partial search in emailToUids collection
+                // Get all emailToUids documents and filter for emails containing the search term
+                const allEmailToUids = await db.collection('emailToUids').get();
+                const matchingEmails = [];
+            
+                allEmailToUids.docs.forEach(doc => {
+                    const emailData = doc.data();
+                    const docEmail = (emailData.email || doc.id).toLowerCase();
+                    if (docEmail.includes(emailLower)) {
+                        matchingEmails.push(doc);
+                    }
+                });
+            
+                // Collect all UIDs from matching emails
+                const allUids = new Set();
+                matchingEmails.forEach(doc => {
+                    const emailData = doc.data();
+                    const uids = emailData.uids || [];
+                    uids.forEach(uid => allUids.add(uid));
+                });
+            
+                // Fetch all registration documents for these UIDs
+                const registrationPromises = Array.from(allUids).map(uid => 
+                    db.collection('registrations').doc(uid).get()
+                        .then(doc => doc.exists ? doc : null)
+                        .catch(error => {
+                            console.error(`Error fetching registration for ${uid}:`, error);
+                            return null;
+                        })
+                );
+            
+                const registrationDocs = await Promise.all(registrationPromises);
+                registrationDocs.forEach(doc => {
+                    if (doc) {
+                        results.push(doc);
+                    }
+                });
+            }
+        }
+        
+        if (results.length === 0) {
+            showNotification('No participants found with this email', 'info');
+            clearParticipantLookupResults();
+            return;
+        }
+        
+        if (results.length === 1) {
+            const regData = results[0].data();
+            const uniqueId = regData.uniqueId || results[0].id;
+            displayParticipantLookupResults(regData, uniqueId);
+        } else {
+            // Show selection list
+            displayParticipantSelectionList(results, 'email');
+        }
+    } catch (error) {
+        console.error('Error searching participant by email:', error);
+        showNotification('Error searching participant: ' + error.message, 'error');
+    }
+}
+
+// Display participant selection list (when email or name search returns multiple results)
+function displayParticipantSelectionList(docs, searchType = 'email') {
+    const resultsDiv = document.getElementById('participantLookupResults');
+    const detailsDiv = document.getElementById('participantLookupDetails');
+    
+    if (!resultsDiv) return;
+    
+    if (detailsDiv) {
+        detailsDiv.style.display = 'none';
+    }
+    
+    const searchTypeText = searchType === 'name' ? 'with this name' : 'with this email';
+    let html = `<div class="participant-search-results">
+        <div style="margin-bottom: 1rem;">
+            <button type="button" class="btn btn-sm btn-secondary" onclick="clearParticipantLookupResults(); document.getElementById('lookupName')?.value && (document.getElementById('lookupName').value = ''); document.getElementById('lookupEmail')?.value && (document.getElementById('lookupEmail').value = '');" style="display: flex; align-items: center; gap: 0.5rem;">
+                <span>←</span> Back
+            </button>
+        </div>
+        <h4>${docs.length} participant(s) found ${searchTypeText}. Please select:</h4>
+        <ul style="list-style: none; padding: 0;">`;
+    
+    docs.forEach(doc => {
+        const data = doc.data();
+        const name = data.name || data['Full Name'] || 'Unknown';
+        const uniqueId = data.uniqueId || doc.id;
+        const email = data.email || data['Email address'] || '';
+        
+        html += `
+            <li style="margin: 0.5rem 0; padding: 0.5rem; border: 1px solid #ddd; border-radius: 4px;">
+                <button class="btn btn-link" onclick="selectParticipantFromLookup('${escapeHtml(uniqueId)}')" style="text-align: left; width: 100%;">
+                    <strong>${escapeHtml(name)}</strong><br>
+                    <small>Praveshika ID: ${escapeHtml(uniqueId)}${email ? ' - ' + escapeHtml(email) : ''}</small>
+                </button>
+            </li>`;
+    });
+    
+    html += '</ul></div>';
+    
+    resultsDiv.innerHTML = html;
+    resultsDiv.style.display = 'block';
+}
+
+// Select participant from lookup results
+async function selectParticipantFromLookup(uniqueId) {
+    if (!window.firebase || !firebase.firestore) {
+        showNotification('Firebase not initialized', 'error');
+        return;
+    }
+    
+    try {
+        const db = firebase.firestore();
+        const regDoc = await db.collection('registrations').doc(uniqueId).get();
+        
+        if (regDoc.exists) {
+            const regData = regDoc.data();
+            displayParticipantLookupResults(regData, uniqueId);
+        } else if (coordinatorZone) {
+            showNotification('Participant not found', 'error');
+        } else {
+            // Check if it's in cancelled collection
+            const cancelledDoc = await db.collection('cancelledRegistrations').doc(uniqueId).get();
+            if (cancelledDoc.exists) {
+                displayParticipantLookupResults(cancelledDoc.data(), uniqueId);
+            } else {
+                showNotification('Participant not found', 'error');
+            }
+        }
+    } catch (error) {
+        console.error('Error loading participant:', error);
+        showNotification('Error loading participant: ' + error.message, 'error');
+    }
+}
+
+// Store current participant data for editing
+let currentParticipantData = null;
+let currentParticipantUniqueId = null;
+
+// Travel fields zone coordinators may edit (must match the registrations update rule in firestore.rules)
+const ZONE_COORDINATOR_EDITABLE_FIELDS = [
+    'arrivalDate', 'arrivalTime', 'arrivalPlace', 'arrivalFlightTrain', 'arrivalCarrier', 'arrivalNumber', 'pickupNeeded',
+    'departureDate', 'departureTime', 'departurePlace', 'departureFlightTrain', 'departureCarrier', 'departureNumber', 'dropoffNeeded'
+];
+
+// Display participant lookup results with all fields
+function displayParticipantLookupResults(regData, uniqueId) {
+    const resultsDiv = document.getElementById('participantLookupResults');
+    const detailsDiv = document.getElementById('participantLookupDetails');
+    const fieldsDiv = document.getElementById('participantLookupFields');
+    const editBtn = document.getElementById('editParticipantBtn');
+    const saveBtn = document.getElementById('saveParticipantBtn');
+    const cancelBtn = document.getElementById('cancelEditBtn');
+    
+    if (!detailsDiv || !fieldsDiv) return;
+    
+    // Hide results selection list
+    if (resultsDiv) {
+        resultsDiv.style.display = 'none';
+    }
+    
+    // Store current data
+    currentParticipantData = regData;
+    currentParticipantUniqueId = uniqueId;
+    
+    // Reset edit mode buttons to default state
+    if (editBtn) editBtn.style.display = 'inline-block';
+    if (saveBtn) saveBtn.style.display = 'none';
+    if (cancelBtn) cancelBtn.style.display = 'none';
+    
+    // Check if user is admin to show status management buttons
+    const user = firebase.auth().currentUser;
+    if (user) {
+        isAdmin(user).then(isAdminUser => {
+            if (isAdminUser) {
+                const statusBtnContainer = document.getElementById('statusManagementButtons');
+                if (statusBtnContainer) {
+                    // Check if registration exists in cancelled collection
+                    const db = firebase.firestore();
+                    db.collection('cancelledRegistrations').doc(uniqueId).get().then(cancelledDoc => {
+                        if (cancelledDoc.exists) {
+                            // Show restore button
+                            statusBtnContainer.innerHTML = `
+                                <div style="margin: 1rem 0; padding: 1rem; background: #fff3cd; border-radius: 4px; border: 1px solid #ffc107;">
+                                    <h4 style="margin: 0 0 0.5rem 0; color: #856404;">⚠️ This registration is cancelled</h4>
+                                    <button class="btn btn-info" onclick="handleRestoreRegistration('${uniqueId}')">
+                                        Restore to Active
+                                    </button>
+                                </div>
+                            `;
+                        } else {
+                            // Show cancel button
+                            statusBtnContainer.innerHTML = `
+                                <div style="margin: 1rem 0; padding: 1rem; background: #f5f5f5; border-radius: 4px;">
+                                    <h4 style="margin: 0 0 0.5rem 0;">Status Management</h4>
+                                    <button class="btn btn-warning" onclick="handleCancelRegistration('${uniqueId}')">
+                                        Cancel Registration
+                                    </button>
+                                    <button class="btn btn-secondary" onclick="revokeParticipantBadge('${uniqueId}')">
+                                        Revoke Badge
+                                    </button>
+                                </div>
+                            `;
+                        }
+                    }).catch(() => {
+                        // On error, assume active and show cancel button
+                        if (statusBtnContainer) {
+                            statusBtnContainer.innerHTML = `
+                                <div style="margin: 1rem 0; padding: 1rem; background: #f5f5f5; border-radius: 4px;">
+                                    <h4 style="margin: 0 0 0.5rem 0;">Status Management</h4>
+                                    <button class="btn btn-warning" onclick="handleCancelRegistration('${uniqueId}')">
+                                        Cancel Registration
+                                    </button>
+                                    <button class="btn btn-secondary" onclick="revokeParticipantBadge('${uniqueId}')">
+                                        Revoke Badge
+                                    </button>
+                                </div>
+                            `;
+                        }
+                    });
+                }
+            }
+        }).catch(() => {});
+    }
+    
+    // Display all fields
+    let html = '<div class="participant-fields-display">';
+    
+    // Get all fields from the registration document
+    const fieldNames = Object.keys(regData).sort();
+    
+    fieldNames.forEach(fieldName => {
+        const fieldValue = regData[fieldName];
+        // Handle Firestore timestamp fields
+        if (fieldName === 'importedAt' || fieldName === 'createdAt' || fieldName === 'updatedAt' || 
+            fieldName === 'travelupdateAt' || fieldName === 'tourupdateAt') {
+            // Format timestamp fields
+            let displayValue = '';
+            if (fieldValue && fieldValue.toDate) {
+                displayValue = new Date(fieldValue.toDate()).toLocaleString();
+            } else if (fieldValue) {
+                displayValue = String(fieldValue);
+            } else {
+                displayValue = 'N/A';
+            }
+            html += `
+                <div class="field-row" data-field="${escapeHtml(fieldName)}">
+                    <label><strong>${escapeHtml(fieldName)}:</strong></label>
+                    <div class="field-value">${escapeHtml(displayValue)}</div>
+                </div>`;
+        } else {
+            // Regular field - display as string
+            const displayValue = fieldValue !== null && fieldValue !== undefined ? String(fieldValue) : '';
+            html += `
+                <div class="field-row" data-field="${escapeHtml(fieldName)}">
+                    <label><strong>${escapeHtml(fieldName)}:</strong></label>
+                    <div class="field-value">${escapeHtml(displayValue)}</div>
+                </div>`;
+        }
+    });
+    
+    html += '</div>';
+    
+    fieldsDiv.innerHTML = html;
+    detailsDiv.style.display = 'block';
+    
+    // The change history is only readable by admins (checked in loadParticipantAuditHistory)
+    loadParticipantAuditHistory(uniqueId);
+}
+
+// Enable edit mode
+function enableParticipantEditMode() {
+    const fieldsDiv = document.getElementById('participantLookupFields');
+    const editBtn = document.getElementById('editParticipantBtn');
+    const saveBtn = document.getElementById('saveParticipantBtn');
+    const cancelBtn = document.getElementById('cancelEditBtn');
+    
+    if (!fieldsDiv || !currentParticipantData) return;
+    
+    // Convert display fields to input fields
+    const fieldRows = fieldsDiv.querySelectorAll('.field-row');
+    fieldRows.forEach(row => {
+        const fieldName = row.getAttribute('data-field');
+        const fieldValueDiv = row.querySelector('.field-value');
+        
+        if (fieldValueDiv) {
+            const currentValue = fieldValueDiv.textContent.trim();
+            // Skip timestamp fields - they shouldn't be edited
+            if (fieldName === 'importedAt' || fieldName === 'createdAt' || fieldName === 'updatedAt' || 
+                fieldName === 'travelupdateAt' || fieldName === 'tourupdateAt') {
+                return; // Keep as display only
+            }
+            // Zone coordinators can only edit travel details
+            if (coordinatorZone && !ZONE_COORDINATOR_EDITABLE_FIELDS.includes(fieldName)) {
+                return;
+            }
+            
+            // Replace with input field
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'form-input';
+            input.value = currentValue;
+            input.style.width = '100%';
+            input.setAttribute('data-field-name', fieldName);
+            
+            fieldValueDiv.replaceWith(input);
+        }
+    });
+    
+    // Show/hide buttons
+    if (editBtn) editBtn.style.display = 'none';
+    if (saveBtn) saveBtn.style.display = 'inline-block';
+    if (cancelBtn) cancelBtn.style.display = 'inline-block';
+}
+
+// Cancel edit mode
+function cancelParticipantEditMode() {
+    if (!currentParticipantData || !currentParticipantUniqueId) return;
+    displayParticipantLookupResults(currentParticipantData, currentParticipantUniqueId);
+}
+
+// Handle cancel registration
+async function handleCancelRegistration(uniqueId) {
+    if (!uniqueId) {
+        showNotification('Invalid registration ID', 'error');
+        return;
+    }
+    
+    const reason = prompt('Please provide a reason for cancellation (optional):');
+    if (reason === null) {
+        return; // User cancelled
+    }
+    
+    try {
+        showNotification('Cancelling registration...', 'info');
+        await moveToCancelled(uniqueId, reason || '');
+        showNotification('Registration cancelled successfully', 'success');
+        
+        // Refresh the display
+        const db = firebase.firestore();
+        const cancelledDoc = await db.collection('cancelledRegistrations').doc(uniqueId).get();
+        if (cancelledDoc.exists) {
+            displayParticipantLookupResults(cancelledDoc.data(), uniqueId);
+        } else {
+            showNotification('Error: Could not find cancelled registration', 'error');
+        }
+    } catch (error) {
+        console.error('Error cancelling registration:', error);
+        showNotification('Error cancelling registration: ' + error.message, 'error');
+    }
+}
+
+// Handle restore registration
+async function handleRestoreRegistration(uniqueId) {
+    if (!uniqueId) {
+        showNotification('Invalid registration ID', 'error');
+        return;
+    }
+    
+    if (!confirm('Are you sure you want to restore this registration to active status?')) {
+        return;
+    }
+    
+    try {
+        showNotification('Restoring registration...', 'info');
+        await restoreFromCancelled(uniqueId);
+        showNotification('Registration restored successfully', 'success');
+        
+        // Refresh the display
+        const db = firebase.firestore();
+        const regDoc = await db.collection('registrations').doc(uniqueId).get();
+        if (regDoc.exists) {
+            displayParticipantLookupResults(regDoc.data(), uniqueId);
+        } else {
+            showNotification('Error: Could not find restored registration', 'error');
+        }
+    } catch (error) {
+        console.error('Error restoring registration:', error);
+        showNotification('Error restoring registration: ' + error.message, 'error');
+    }
+}
+
+// Field name mapping from old format to normalized format (for Firestore compatibility)
+// Firestore field paths cannot contain: ~ * / [ ]
+const fieldNameMapping = {
+    'Age': 'age',
+    'Any Dietary Restrictions': 'dietaryRestrictions',
+    'Any Other Details': 'otherDetails',
+    'Any Pre-existing Medical Condition': 'medicalCondition',
+    'Arrival Flight/Train Number': 'arrivalFlightTrain',
+    'Associated with sangh for how many years/months': 'sanghYears',
+    'BarCode': 'barcode',
+    'Barcode': 'barcode',
+    'City of Current Residence': 'city',
+    'Country': 'country',
+    'Country of Current Residence': 'country',
+    'Date of Arrival': 'arrivalDate',
+    'Date of Departure Train/Flight': 'departureDate',
+    'Departure Flight/Train Number': 'departureFlightTrain',
+    'Do you have any responsibility in Hindu Swayamsevak Sangh?': 'hssResponsibility',
+    'Do you have any responsibility in any other organisation (e.g. VHP, Sewa International etc)?': 'otherOrgResponsibility',
+    'Do you need a drop off for departure?': 'dropoffNeeded',
+    'Do you need a pickup on arrival?': 'pickupNeeded',
+    'Educational Qualification': 'educationalQual',
+    'Email address': 'email',
+    'Emergency Contact Name': 'emergencyContactName',
+    'Emergency Contact Number': 'emergencyContactNumber',
+    'Emergency Contact Relation': 'emergencyContactRelation',
+    'Full Name': 'name',
+    'Ganvesh Kurta Shoulder Size in cm (for swayamevaks and sevikas)': 'ganveshSize',
+    'Gender': 'gender',
+    'Occupation (e.g. Engineer/Business/Homemaker/Student)': 'occupation',
+    'Phone number on which you can be contacted in Bharat (by call or WhatsApp)': 'phone',
+    'Place of Arrival': 'arrivalPlace',
+    'Place of Departure Train/Flight': 'departurePlace',
+    'Please select a post shibir tour option': 'postShibirTour',
+    'Praveshika ID': 'uniqueId',
+    'Relationship of Emergency Contact Person': 'emergencyContactRelation',
+    'SeqNum': 'seqNum',
+    'Shreni': 'shreni',
+    'Corrected Shreni': 'shreni',
+    'Default Shreni': 'shreni',
+    'Status': 'status',
+    'Time of Arrival': 'arrivalTime',
+    'Time of Departure Train/Flight': 'departureTime',
+    'Timestamp': 'createdAt',
+    'What is your current responsibility in HSS or other organisation?': 'currentResponsibility',
+    'Whatsapp Number': 'whatsapp',
+    'Which Sangh Shiksha Varg have you completed': 'shikshaVarg',
+    'Zone': 'zone',
+    'Zone/Shreni': 'zone'
+};
+
+// Validate if a field name is valid for Firestore
+// Firestore field paths cannot contain: * ~ / [ ] and cannot be empty
+function isValidFirestoreFieldName(fieldName) {
+    if (!fieldName || fieldName.trim() === '') {
+        return false;
+    }
+    // Firestore field names cannot contain these characters: * ~ / [ ]
+    const invalidChars = ['*', '~', '/', '[', ']'];
+    for (const char of invalidChars) {
+        if (fieldName.includes(char)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Normalize a field name to a valid Firestore field name
+function normalizeFieldName(fieldName) {
+    if (!fieldName) return fieldName;
+    
+    // If the field name is already valid, return it as-is
+    if (isValidFirestoreFieldName(fieldName)) {
+        // Check if it needs mapping to normalized name
+        return fieldNameMapping[fieldName] || fieldName;
+    }
+    
+    // If invalid, try to map it to a normalized name
+    if (fieldNameMapping[fieldName]) {
+        return fieldNameMapping[fieldName];
+    }
+    
+    // If no mapping exists and field name is invalid, replace invalid characters
+    // This is a fallback for any unmapped invalid field names
+    let normalized = fieldName;
+    const invalidChars = ['*', '~', '/', '[', ']'];
+    invalidChars.forEach(char => {
+        normalized = normalized.replace(new RegExp('\\' + char, 'g'), '_');
+    });
+    
+    console.warn(`Field name "${fieldName}" contains invalid characters. Using normalized name: "${normalized}"`);
+    return normalized;
+}
+
+// Save participant edits
+async function saveParticipantEdits() {
+    if (!window.firebase || !firebase.firestore) {
+        showNotification('Firebase not initialized', 'error');
+        return;
+    }
+    
+    // Verify user is authenticated and is an admin
+    const user = firebase.auth().currentUser;
+    if (!user) {
+        showNotification('You must be logged in to update participant information', 'error');
+        return;
+    }
+    
+    // Double-check the account has the admin or zone coordinator role claim (required for Firestore rules)
+    const db = firebase.firestore();
+    let userRole = null;
+    try {
+        const userData = await getUserData(user);
+        if (!userData) {
+            showNotification('Error: Your user account is not properly set up. Please contact an administrator.', 'error');
+            console.error('No user data or role claim for uid:', user.uid);
+            return;
+        }
+        
+        userRole = userData.role;
+        if (userRole !== 'admin' && userRole !== 'superadmin' && !(userRole === 'zone_coordinator' && userData.zone)) {
+            showNotification('Permission denied. Only administrators can update participant information.', 'error');
+            console.error('User does not have admin role. Current role:', userRole);
+            return;
+        }
+    } catch (error) {
+        console.error('Error verifying user permissions:', error);
+        showNotification('Error verifying permissions. Please try again.', 'error');
+        return;
+    }
+    
+    const isZoneCoordinatorUser = userRole === 'zone_coordinator';
+    
+    const fieldsDiv = document.getElementById('participantLookupFields');
+    if (!fieldsDiv || !currentParticipantUniqueId) return;
+    
+    // Collect all field values and normalize field names
+    const updatedData = {};
+    const inputs = fieldsDiv.querySelectorAll('input[data-field-name]');
+    
+    inputs.forEach(input => {
+        const originalFieldName = input.getAttribute('data-field-name');
+        // Skip uniqueId from inputs - we'll set it explicitly below
+        if (originalFieldName !== 'uniqueId') {
+            // Normalize the field name to ensure it's valid for Firestore
+            const normalizedFieldName = normalizeFieldName(originalFieldName);
+            const fieldValue = input.value.trim();
+            
+            // Only add valid field names to updateData (travel fields only for zone coordinators)
+            if (isZoneCoordinatorUser && !ZONE_COORDINATOR_EDITABLE_FIELDS.includes(normalizedFieldName)) {
+                console.warn(`Skipping field outside zone coordinator access: "${originalFieldName}"`);
+            } else if (isValidFirestoreFieldName(normalizedFieldName)) {
+                updatedData[normalizedFieldName] = fieldValue;
+            } else {
+                console.warn(`Skipping invalid field name: "${originalFieldName}" (normalized to: "${normalizedFieldName}")`);
+            }
+        }
+    });
+    
+    // Verify the existing registration document exists and has uniqueId
+    let existingRegDoc;
+    try {
+        existingRegDoc = await db.collection('registrations').doc(currentParticipantUniqueId).get();
+        if (!existingRegDoc.exists) {
+            showNotification('Error: Registration document not found.', 'error');
+            return;
+        }
+        
+        const existingData = existingRegDoc.data();
+        if (isZoneCoordinatorUser && existingData.zone !== coordinatorZone) {
+            showNotification('Permission denied. This registration is not in your zone.', 'error');
+            return;
+        }
+        // Ensure uniqueId exists in the document (required by Firestore rules)
+        // If it doesn't exist, this is a data integrity issue - the document should always have uniqueId
+        if (!existingData.uniqueId) {
+            console.warn('Registration document missing uniqueId field. This may cause permission errors.');
+            // We'll still try to update, but the Firestore rule may fail
+        }
+    } catch (error) {
+        console.error('Error fetching existing registration:', error);
+        showNotification('Error fetching registration data. Please try again.', 'error');
+        return;
+    }
+    
+    if (isZoneCoordinatorUser) {
+        // Zone coordinators may only touch travel fields, so record it as a travel update
+        updatedData.travelupdateAt = firebase.firestore.FieldValue.serverTimestamp();
+    } else {
+        // Preserve critical fields as required by Firebase security rules
+        // uniqueId must be preserved and match the document ID (required for admin updates)
+        // Always set uniqueId to ensure it exists (matches document ID)
+        updatedData.uniqueId = currentParticipantUniqueId;
+        
+        // Preserve normalizedId if it exists (should not be changed)
+        if (currentParticipantData?.normalizedId) {
+            updatedData.normalizedId = currentParticipantData.normalizedId;
+        } else if (existingRegDoc?.data()?.normalizedId) {
+            updatedData.normalizedId = existingRegDoc.data().normalizedId;
+        }
+    }
+    
+    // Note: As an admin, we can update name and email if they're in the form inputs
+    // The Firebase rules allow admins to update any field except uniqueId must be preserved
+    
+    // Add updatedAt timestamp
+    updatedData.updatedAt = firebase.firestore.FieldValue.serverTimestamp();
+    
+    // Show confirmation dialog
+    const confirmMessage = `Are you sure you want to update the registration for Praveshika ID: ${currentParticipantUniqueId}?\n\nThis will modify the database.`;
+    if (!confirm(confirmMessage)) {
+        return;
+    }
+    
+    const auditChanges = buildAuditChanges(existingRegDoc?.data(), updatedData);
+    
+    try {
+        // Update the document (only updates specified fields, preserves others)
+        await commitAuditedRegistrationWrite(currentParticipantUniqueId, 'participant_edit', auditChanges,
+            batch => batch.update(db.collection('registrations').doc(currentParticipantUniqueId), updatedData));
+        
+        showNotification('Participant information updated successfully', 'success');
+        
+        // Reload the data to show updated values
+        const regDoc = await db.collection('registrations').doc(currentParticipantUniqueId).get();
+        if (regDoc.exists) {
+            displayParticipantLookupResults(regDoc.data(), currentParticipantUniqueId);
+        }
+        
+    } catch (error) {
+        console.error('Error updating participant:', error);
+        console.error('Error details:', {
+            code: error.code,
+            message: error.message,
+            stack: error.stack
+        });
+        console.error('Update data:', updatedData);
+        console.error('User UID:', user.uid);
+        console.error('User role:', userRole);
+        
+        let errorMsg = 'Error updating participant information. Please try again.';
+        if (error.code === 'permission-denied') {
+            errorMsg = 'Permission denied. You do not have permission to update this registration. Please ensure you are logged in as an administrator and that your user account has the correct role in Firestore.';
+        } else if (error.message) {
+            errorMsg = error.message;
+        }
+        showNotification(errorMsg, 'error');
+    }
+}
+
+// Clear participant lookup results
+function clearParticipantLookupResults() {
+    const resultsDiv = document.getElementById('participantLookupResults');
+    const detailsDiv = document.getElementById('participantLookupDetails');
+    
+    if (resultsDiv) {
+        resultsDiv.innerHTML = '';
+        resultsDiv.style.display = 'none';
+    }
+    
+    if (detailsDiv) {
+        detailsDiv.style.display = 'none';
+    }
+    
+    currentParticipantData = null;
+    currentParticipantUniqueId = null;
+}
+
+function calculateStatistics(registrations, users) {
+    const stats = {
+        totalRegistrations: registrations.length,
+        totalUsers: users.length,
+        totalUserAccounts: 0, // Unique email addresses
+        totalPraveshikaIds: registrations.length,
+        countryBreakdown: {},
+        zoneBreakdown: {},
+        zoneCountryMap: {}, // Map of zone -> {country: count}
+        shreniBreakdown: {},
+        tourBreakdown: {},
+        pickupBreakdown: {},
+        dropoffBreakdown: {},
+        genderBreakdown: {},
+        countryOverallBreakdown: {},
+        zoneShreniBreakdown: {},
+        ageBreakdown: {},
+        shikshaVargBreakdown: {},
+        shikshaVargShreniBreakdown: {},
+        shreniGenderBreakdown: {},
+        arrivalDateBreakdown: {},
+        arrivalTimeBucketsBreakdown: {},
+        pickupNeededBreakdown: {},
+        dropoffNeededBreakdown: {},
+        placeOfArrivalBreakdown: {},
+        placeArrivalDateBreakdown: {},
+        placeArrivalDateTimeBreakdown: {},
+        placeOfDepartureBreakdown: {},
+        placeDepartureDateBreakdown: {},
+        ganaveshSizeBreakdown: {},
+        medicalConditionsBreakdown: {},
+        dietaryRestrictionsBreakdown: {},
+        travelUpdateStats: {
+            totalUpdated: 0,
+            totalNotUpdated: 0,
+            updatePercentage: 0
+        },
+        totalPraveshikaIdsWithAccounts: 0,
+        emailCorrections: {
+            lateRegistrations: [],
+            updatedRegistrations: [],
+            needsConfirmation: []
+        }
+    };
+    
+    // Collect all registration uniqueIds (for linking to user accounts)
+    const registrationUniqueIds = new Set();
+    
+    // Count unique email addresses
+    const uniqueEmails = new Set();
+    users.forEach(user => {
+        if (user.email) {
+            uniqueEmails.add(user.email.toLowerCase().trim());
+        }
+    });
+    stats.totalUserAccounts = uniqueEmails.size;
+    
+    // Process each registration
+    registrations.forEach(reg => {
+        // Track registration uniqueId for account linking
+        const regId = reg.uniqueId || reg.UniqueId || reg['Praveshika ID'] || reg['Unique ID'] || reg['Praveshika_ID'];
+        if (regId) {
+            registrationUniqueIds.add(regId.toString().trim());
+        }
+        
+        // Country breakdown
+        const country = reg.Country || reg.country || reg['Country of Current Residence'] || 'Unknown';
+        stats.countryBreakdown[country] = (stats.countryBreakdown[country] || 0) + 1;
+        
+        // Zone breakdown (zone can be in various fields)
+        const zone = reg.Zone || reg.zone || reg['Zone/Shreni'] || reg['Zone'] || 'Unknown';
+        stats.zoneBreakdown[zone] = (stats.zoneBreakdown[zone] || 0) + 1;
+        
+        // Build zone -> country mapping
+        if (!stats.zoneCountryMap[zone]) {
+            stats.zoneCountryMap[zone] = {};
+        }
+        stats.zoneCountryMap[zone][country] = (stats.zoneCountryMap[zone][country] || 0) + 1;
+        
+        // Shreni breakdown
+        const shreni = reg.Shreni || reg.shreni || reg['Corrected Shreni'] || reg['Default Shreni'] || 'Unknown';
+        stats.shreniBreakdown[shreni] = (stats.shreniBreakdown[shreni] || 0) + 1;
+        
+        // Tour breakdown
+        const tour = reg.postShibirTour || reg['Post Shibir Tour'] || reg['Post Shibir Tours'] || 
+                    reg['Please select a post shibir tour option'] || 'Not Selected';
+        stats.tourBreakdown[tour] = (stats.tourBreakdown[tour] || 0) + 1;
+        
+        // Pickup location breakdown
+        const pickup = reg.pickupLocation || reg['Pickup Location'] || 
+                      reg['Do you need a pickup on arrival?'] || 'Not Specified';
+        stats.pickupBreakdown[pickup] = (stats.pickupBreakdown[pickup] || 0) + 1;
+        
+        // Dropoff location breakdown
+        const dropoff = reg.dropoffLocation || reg['Dropoff Location'] || 
+                       reg['Drop-off Location'] || reg['Return Location'] || 'Not Specified';
+        stats.dropoffBreakdown[dropoff] = (stats.dropoffBreakdown[dropoff] || 0) + 1;
+        
+        // Gender breakdown
+        const gender = reg.gender || reg.Gender || 'Not Specified';
+        stats.genderBreakdown[gender] = (stats.genderBreakdown[gender] || 0) + 1;
+        
+        // Country overall breakdown (same as countryBreakdown but separate for clarity)
+        stats.countryOverallBreakdown[country] = (stats.countryOverallBreakdown[country] || 0) + 1;
+        
+        // Zone by Shreni breakdown
+        const zoneShreniKey = `${zone} | ${shreni}`;
+        stats.zoneShreniBreakdown[zoneShreniKey] = (stats.zoneShreniBreakdown[zoneShreniKey] || 0) + 1;
+        
+        // Age breakdown (dynamic buckets based on data)
+        const age = parseInt(reg.age || reg.Age || 0);
+        if (age > 0) {
+            let ageBucket = '';
+            if (age <= 20) ageBucket = '0-20';
+            else if (age <= 30) ageBucket = '21-30';
+            else if (age <= 35) ageBucket = '31-35';
+            else if (age <= 40) ageBucket = '36-40';
+            else if (age <= 50) ageBucket = '41-50';
+            else if (age <= 60) ageBucket = '51-60';
+            else ageBucket = '60+';
+            stats.ageBreakdown[ageBucket] = (stats.ageBreakdown[ageBucket] || 0) + 1;
+        }
+        
+        // Shiksha Varg breakdown
+        const shikshaVarg = reg.shikshaVarg || reg['Which Sangh Shiksha Varg have you completed'] || reg['Shiksha Varg'] || 'Not specified';
+        stats.shikshaVargBreakdown[shikshaVarg] = (stats.shikshaVargBreakdown[shikshaVarg] || 0) + 1;
+        
+        // Shiksha Varg by Shreni
+        const shikshaVargShreniKey = `${shreni} | ${shikshaVarg}`;
+        stats.shikshaVargShreniBreakdown[shikshaVargShreniKey] = (stats.shikshaVargShreniBreakdown[shikshaVargShreniKey] || 0) + 1;
+        
+        // Shreni by Gender breakdown
+        const shreniGenderKey = `${shreni} | ${gender}`;
+        stats.shreniGenderBreakdown[shreniGenderKey] = (stats.shreniGenderBreakdown[shreniGenderKey] || 0) + 1;
+        
+        // Date of Arrival breakdown
+        const arrivalDate = reg.arrivalDate || reg['Date of Arrival'] || '';
+        if (arrivalDate) {
+            stats.arrivalDateBreakdown[arrivalDate] = (stats.arrivalDateBreakdown[arrivalDate] || 0) + 1;
+        }
+        
+        // Arrival Time Buckets (2/4 hour sections)
+        const arrivalTime = reg.arrivalTime || reg['Time of Arrival'] || '';
+        if (arrivalTime) {
+            const timeBucket = getTimeBucket(arrivalTime);
+            stats.arrivalTimeBucketsBreakdown[timeBucket] = (stats.arrivalTimeBucketsBreakdown[timeBucket] || 0) + 1;
+        }
+        
+        // Pickup Needed breakdown
+        const pickupNeeded = reg.pickupNeeded || reg['Do you need a pickup on arrival?'] || 'Not specified';
+        stats.pickupNeededBreakdown[pickupNeeded] = (stats.pickupNeededBreakdown[pickupNeeded] || 0) + 1;
+        
+        // Dropoff Needed breakdown
+        const dropoffNeeded = reg.dropoffNeeded || reg['Do you need a drop off for departure?'] || 'Not specified';
+        stats.dropoffNeededBreakdown[dropoffNeeded] = (stats.dropoffNeededBreakdown[dropoffNeeded] || 0) + 1;
+        
+        // Place of Arrival breakdown
+        const placeOfArrival = reg.arrivalPlace || reg['Place of Arrival'] || reg.pickupLocation || '';
+        if (placeOfArrival) {
+            stats.placeOfArrivalBreakdown[placeOfArrival] = (stats.placeOfArrivalBreakdown[placeOfArrival] || 0) + 1;
+            
+            // Place of Arrival by Date
+            if (arrivalDate) {
+                const placeDateKey = `${placeOfArrival} | ${arrivalDate}`;
+                stats.placeArrivalDateBreakdown[placeDateKey] = (stats.placeArrivalDateBreakdown[placeDateKey] || 0) + 1;
+                
+                // Place of Arrival by Date and Time Bucket
+                if (arrivalTime) {
+                    const timeBucket = getTimeBucket(arrivalTime);
+                    const placeDateTimeKey = `${placeOfArrival} | ${arrivalDate} | ${timeBucket}`;
+                    stats.placeArrivalDateTimeBreakdown[placeDateTimeKey] = (stats.placeArrivalDateTimeBreakdown[placeDateTimeKey] || 0) + 1;
+                }
+            }
+        }
+        
+        // Place of Departure breakdown
+        const placeOfDeparture = reg.departurePlace || reg['Place of Departure'] || '';
+        if (placeOfDeparture) {
+            stats.placeOfDepartureBreakdown[placeOfDeparture] = (stats.placeOfDepartureBreakdown[placeOfDeparture] || 0) + 1;
+            
+            // Place of Departure by Date
+            const departureDate = reg.departureDate || reg['Date of Departure'] || reg['Date of Departure Train/Flight'] || '';
+            if (departureDate) {
+                const placeDepDateKey = `${placeOfDeparture} | ${departureDate}`;
+                stats.placeDepartureDateBreakdown[placeDepDateKey] = (stats.placeDepartureDateBreakdown[placeDepDateKey] || 0) + 1;
+            }
+        }
+        
+        // Ganavesh Size breakdown
+        const ganaveshSize = reg.ganveshSize || reg['Ganvesh Kurta Shoulder Size in cm (for swayamevaks and sevikas)'] || '';
+        if (ganaveshSize) {
+            stats.ganaveshSizeBreakdown[ganaveshSize] = (stats.ganaveshSizeBreakdown[ganaveshSize] || 0) + 1;
+        }
+        
+        // Medical Conditions breakdown
+        const medicalCondition = reg.medicalCondition || reg['Medical Condition'] || reg['Do you have any medical condition?'] || '';
+        if (medicalCondition && medicalCondition.toLowerCase() !== 'no' && medicalCondition.toLowerCase() !== 'none') {
+            stats.medicalConditionsBreakdown[medicalCondition] = (stats.medicalConditionsBreakdown[medicalCondition] || 0) + 1;
+        }
+        
+        // Dietary Restrictions breakdown
+        const dietaryRestriction = reg.dietaryRestriction || reg['Dietary Restriction'] || reg['Dietary Restrictions'] || reg['Diet'] || '';
+        if (dietaryRestriction) {
+            stats.dietaryRestrictionsBreakdown[dietaryRestriction] = (stats.dietaryRestrictionsBreakdown[dietaryRestriction] || 0) + 1;
+        }
+        
+        // Track travel updates (check if travelupdateAt field exists)
+        if (reg.travelupdateAt) {
+            stats.travelUpdateStats.totalUpdated++;
+        } else {
+            stats.travelUpdateStats.totalNotUpdated++;
+        }
+    });
+    
+    // Calculate travel update percentage
+    const totalRegistrations = registrations.length;
+    stats.travelUpdateStats.updatePercentage = totalRegistrations > 0 
+        ? ((stats.travelUpdateStats.totalUpdated / totalRegistrations) * 100).toFixed(1) 
+        : '0.0';
+    
+    // Calculate totals for percentages
+    stats.totalCountries = Object.keys(stats.countryBreakdown).length;
+    stats.totalShrenis = Object.keys(stats.shreniBreakdown).length;
+    
+    // Calculate total distinct Praveshika IDs that have user accounts (for the current registration set)
+    // This ensures no double-counting across multiple user docs and respects the current filter
+    const praveshikaIdsWithAccounts = new Set();
+    users.forEach(user => {
+        // Direct uniqueId on user (often primary ID)
+        if (user.uniqueId) {
+            const id = user.uniqueId.toString().trim();
+            if (registrationUniqueIds.has(id)) {
+                praveshikaIdsWithAccounts.add(id);
+            }
+        }
+        
+        // associatedRegistrations on user
+        if (Array.isArray(user.associatedRegistrations)) {
+            user.associatedRegistrations.forEach(reg => {
+                const id = (reg.uniqueId || reg.id || '').toString().trim();
+                if (id && registrationUniqueIds.has(id)) {
+                    praveshikaIdsWithAccounts.add(id);
+                }
+            });
+        } else if (user.associatedRegistrations && typeof user.associatedRegistrations === 'object') {
+            Object.values(user.associatedRegistrations).forEach(reg => {
+                const id = (reg.uniqueId || reg.id || '').toString().trim();
+                if (id && registrationUniqueIds.has(id)) {
+                    praveshikaIdsWithAccounts.add(id);
+                }
+            });
+        }
+        
+        // Fallback: emailToUids-style structure on user (if present)
+        if (user.emailToUids) {
+            const idsArray = Array.isArray(user.emailToUids.uniqueIds)
+                ? user.emailToUids.uniqueIds
+                : (Array.isArray(user.emailToUids) ? user.emailToUids : []);
+            idsArray.forEach(rawId => {
+                const id = rawId && rawId.toString().trim();
+                if (id && registrationUniqueIds.has(id)) {
+                    praveshikaIdsWithAccounts.add(id);
+                }
+            });
+        }
+    });
+    
+    stats.totalPraveshikaIdsWithAccounts = praveshikaIdsWithAccounts.size;
+    
+    // Track email corrections and late/updated registrations
+    registrations.forEach(reg => {
+        const email = reg.email || reg['Email address'] || '';
+        const createdAt = reg.createdAt || reg.timestamp;
+        const updatedAt = reg.updatedAt || reg.travelupdateAt;
+        const isLate = createdAt && (() => {
+            const regDate = createdAt.toDate ? createdAt.toDate() : new Date(createdAt);
+            // Consider late if registered after a certain date (adjust as needed)
+            const cutoffDate = new Date('2025-01-01'); // Adjust this date
+            return regDate > cutoffDate;
+        })();
+        
+        if (isLate) {
+            stats.emailCorrections.lateRegistrations.push({
+                uniqueId: reg.uniqueId || '',
+                email: email,
+                name: reg.name || reg['Full Name'] || '',
+                registrationDate: createdAt
+            });
+        }
+        
+        if (updatedAt) {
+            stats.emailCorrections.updatedRegistrations.push({
+                uniqueId: reg.uniqueId || '',
+                email: email,
+                name: reg.name || reg['Full Name'] || '',
+                updatedDate: updatedAt
+            });
+        }
+    });
+    
+    return stats;
+}
+
+function displayAdminStatistics(stats, registrations, users = []) {
+    // Guard: ensure users is always defined to avoid ReferenceError
+    const safeUsers = Array.isArray(users) ? users : [];
+    // Update metric cards with null checks
+    const totalRegistrationsEl = document.getElementById('totalRegistrations');
+    if (totalRegistrationsEl) {
+        totalRegistrationsEl.textContent = stats.totalRegistrations;
+    }
+    
+    const totalUsersEl = document.getElementById('totalUsers');
+    if (totalUsersEl) {
+        totalUsersEl.textContent = stats.totalUsers;
+    }
+    
+    const totalUserAccountsEl = document.getElementById('totalUserAccounts');
+    if (totalUserAccountsEl) {
+        totalUserAccountsEl.textContent = stats.totalUserAccounts;
+    }
+    
+    const totalPraveshikaIdsEl = document.getElementById('totalPraveshikaIds');
+    if (totalPraveshikaIdsEl) {
+        totalPraveshikaIdsEl.textContent = stats.totalPraveshikaIds;
+    }
+    
+    const totalCountriesEl = document.getElementById('totalCountries');
+    if (totalCountriesEl) {
+        totalCountriesEl.textContent = stats.totalCountries;
+    }
+    
+    const totalShrenisEl = document.getElementById('totalShrenis');
+    if (totalShrenisEl) {
+        totalShrenisEl.textContent = stats.totalShrenis;
+    }
+    
+    // Display three main tables:
+    // 1. Registrations by Zone (with Registered and Upasthita)
+    // 2. Registrations by Shreni (with Male, Female, Total, Percentage + Volunteers, Others, Grand Total)
+    // 3. Registrations by Shreni/Zone Matrix
+    
+    // Store data globally for table population
+    // Only store original full data if not already set (preserve original for filter resets)
+    if (!window.allDashboardRegistrations || registrations.length >= (window.allDashboardRegistrations?.length || 0)) {
+        window.allDashboardRegistrations = registrations;
+    }
+    window.dashboardStats = stats;
+    window.dashboardRegistrations = registrations;
+    window.dashboardUsers = safeUsers;
+    
+    // Populate the three main tables
+    displayZoneWithStatusTable(registrations, safeUsers);
+    displayShreniWithGenderTable(registrations);
+    displayShreniZoneMatrix(registrations);
+    
+    // Display total Praveshika IDs with accounts
+    const totalPraveshikaIdsWithAccountsEl = document.getElementById('totalPraveshikaIdsWithAccounts');
+    if (totalPraveshikaIdsWithAccountsEl) {
+        totalPraveshikaIdsWithAccountsEl.textContent = stats.totalPraveshikaIdsWithAccounts || 0;
+    }
+    
+    // Initialize dashboard tables with filters (commented out - not using filter dropdown anymore)
+    // updateDashboardWithFilter();
+}
+
+// Display Registrations by Zone with Registered and Upasthita columns
+async function displayZoneWithStatusTable(registrations, users) {
+    const tableBody = document.getElementById('zoneTableBody');
+    if (!tableBody) return;
+    
+    // Define the zones we want to display (only their own zone for zone coordinators)
+    const zoneOrder = ['AM', 'EU', 'AR', 'AF', 'AS', 'AU'].filter(zone => !coordinatorZone || zone === coordinatorZone);
+    const zoneLabels = {
+        'AM': 'Americas',
+        'EU': 'Europe',
+        'AR': 'AR',
+        'AF': 'Africa',
+        'AS': 'SE Asia',
+        'AU': 'Australasia'
+    };
+    
+    // Get checked-in uniqueIds (for Upasthita / venue check-in); zone coordinators cannot read check-ins
+    const checkedInIds = new Set();
+    try {
+        if (window.firebase && firebase.firestore && !coordinatorZone) {
+            const db = firebase.firestore();
+            const checkinSnapshot = await db.collection('checkins')
+                .where('checkinType', '==', 'registration')
+                .get();
+            checkinSnapshot.forEach(doc => {
+                const data = doc.data();
+                if (data.uniqueId) checkedInIds.add(data.uniqueId);
+            });
+        }
+    } catch (error) {
+        console.error('Error fetching checkin data:', error);
+    }
+    
+    // Count by zone and build country breakdown
+    const zoneCounts = {};
+    const zoneCountryMap = {};
+    zoneOrder.forEach(zone => {
+        zoneCounts[zone] = { registered: 0, checkedIn: 0 };
+        zoneCountryMap[zone] = {};
+    });
+    zoneCounts['Others'] = { registered: 0, checkedIn: 0 };
+    zoneCountryMap['Others'] = {};
+    
+    registrations.forEach(reg => {
+        const zone = reg.Zone || reg.zone || 'Unknown';
+        const normalizedZone = zoneOrder.find(z => zone.toUpperCase().startsWith(z)) || 'Others';
+        const country = reg.Country || reg.country || reg['Country of Current Residence'] || 'Unknown';
+        
+        zoneCounts[normalizedZone].registered++;
+        if (checkedInIds.has(reg.uniqueId)) {
+            zoneCounts[normalizedZone].checkedIn++;
+        }
+        
+        // Build country breakdown for each zone
+        zoneCountryMap[normalizedZone][country] = (zoneCountryMap[normalizedZone][country] || 0) + 1;
+    });
+    
+    // Build table HTML
+    let html = '';
+    let totalRegistered = 0, totalCheckedIn = 0;
+    
+    zoneOrder.forEach(zone => {
+        const label = zoneLabels[zone] || zone;
+        const counts = zoneCounts[zone];
+        totalRegistered += counts.registered;
+        totalCheckedIn += counts.checkedIn;
+        
+        // Escape the country breakdown for onclick
+        const countryBreakdownJson = JSON.stringify(zoneCountryMap[zone]).replace(/"/g, '&quot;');
+        
+        html += `
+            <tr>
+                <td>${escapeHtml(label)}</td>
+                <td>${counts.registered}</td>
+                <td>${counts.checkedIn}</td>
+                <td>
+                    <button class="btn btn-small btn-secondary" 
+                            onclick="showZoneCountryDetails('${escapeHtml(label)}', '${countryBreakdownJson}', ${counts.registered})">
+                        View Countries
+                    </button>
+                </td>
+            </tr>
+        `;
+    });
+    
+    // Add Others row
+    const others = zoneCounts['Others'];
+    totalRegistered += others.registered;
+    totalCheckedIn += others.checkedIn;
+    
+    const othersCountryBreakdownJson = JSON.stringify(zoneCountryMap['Others']).replace(/"/g, '&quot;');
+    html += `
+        <tr>
+            <td>Others</td>
+            <td>${others.registered}</td>
+            <td>${others.checkedIn}</td>
+            <td>
+                <button class="btn btn-small btn-secondary" 
+                        onclick="showZoneCountryDetails('Others', '${othersCountryBreakdownJson}', ${others.registered})">
+                    View Countries
+                </button>
+            </td>
+        </tr>
+    `;
+    
+    // Add Total row
+    html += `
+        <tr style="font-weight: bold; background-color: #f0f0f0;">
+            <td>Total</td>
+            <td>${totalRegistered}</td>
+            <td>${totalCheckedIn}</td>
+            <td></td>
+        </tr>
+    `;
+    
+    tableBody.innerHTML = html;
+    
+    // Store data for export
+    window.zoneCheckinData = {
+        zoneCounts: zoneCounts,
+        zoneCountryMap: zoneCountryMap,
+        zoneOrder: zoneOrder,
+        zoneLabels: zoneLabels,
+        totals: {
+            registered: totalRegistered,
+            checkedIn: totalCheckedIn
+        }
+    };
+}
+
+// Export zone and country checkin data to CSV
+function exportZoneCheckinData() {
+    if (!window.zoneCheckinData) {
+        showNotification('No data available to export', 'error');
+        return;
+    }
+    
+    const data = window.zoneCheckinData;
+    const rows = [];
+    
+    // Header row
+    rows.push(['Zone', 'Country', 'Registered', 'Upasthita']);
+    
+    // Add data for each zone
+    data.zoneOrder.forEach(zone => {
+        const label = data.zoneLabels[zone] || zone;
+        const counts = data.zoneCounts[zone];
+        const countryMap = data.zoneCountryMap[zone] || {};
+        
+        // Add zone summary row
+        rows.push([label, 'All Countries', counts.registered, counts.checkedIn]);
+        
+        // Add country breakdown rows
+        const countries = Object.keys(countryMap).sort();
+        countries.forEach(country => {
+            const countryCount = countryMap[country];
+            // Calculate country-specific checkin counts (approximate based on proportion)
+            const registered = countryCount;
+            const checkedIn = Math.round((counts.checkedIn / counts.registered) * countryCount) || 0;
+            rows.push(['', country, registered, checkedIn]);
+        });
+        
+        // Add empty row for spacing
+        rows.push([]);
+    });
+    
+    // Add Others zone
+    if (data.zoneCounts['Others']) {
+        const othersCounts = data.zoneCounts['Others'];
+        const othersCountryMap = data.zoneCountryMap['Others'] || {};
+        rows.push(['Others', 'All Countries', othersCounts.registered, othersCounts.checkedIn]);
+        
+        const countries = Object.keys(othersCountryMap).sort();
+        countries.forEach(country => {
+            const countryCount = othersCountryMap[country];
+            const registered = countryCount;
+            const checkedIn = Math.round((othersCounts.checkedIn / othersCounts.registered) * countryCount) || 0;
+            rows.push(['', country, registered, checkedIn]);
+        });
+        rows.push([]);
+    }
+    
+    // Add totals row
+    rows.push(['Total', 'All Countries', data.totals.registered, data.totals.checkedIn]);
+    
+    // Convert to CSV
+    const csvContent = rows.map(row => {
+        return row.map(cell => {
+            if (cell === null || cell === undefined) return '';
+            const str = String(cell);
+            if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+                return `"${str.replace(/"/g, '""')}"`;
+            }
+            return str;
+        }).join(',');
+    }).join('\n');
+    
+    // Create download link
+    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', `zone_country_checkin_${new Date().toISOString().split('T')[0]}.csv`);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    showNotification('Zone and country checkin data exported successfully', 'success');
+}
+
+// Display Registrations by Shreni with Male, Female, Total, Percentage columns
+// Plus Volunteers, Others, Grand Total rows
+async function displayShreniWithGenderTable(registrations) {
+    const tableBody = document.getElementById('shreniTableBody');
+    if (!tableBody) return;
+    
+    // Define shreni order
+    const shreniOrder = ['Karyakarta', 'Swakeeya', 'Yuva', 'Kishor', 'Baal'];
+    
+    // Normalize shreni names
+    const normalizeShreni = (shreni) => {
+        if (!shreni) return 'Unknown';
+        const s = shreni.toLowerCase().trim();
+        if (s.includes('karyakarta') || s === 'kk') return 'Karyakarta';
+        if (s.includes('swakeeya') || s === 'sw') return 'Swakeeya';
+        if (s.includes('yuva') || s === 'yv') return 'Yuva';
+        if (s.includes('kishor') || s === 'ks') return 'Kishor';
+        if (s.includes('baal') || s === 'bl') return 'Baal';
+        return shreni;
+    };
+    
+    // Count by shreni and gender
+    const shreniCounts = {};
+    shreniOrder.forEach(shreni => {
+        shreniCounts[shreni] = { male: 0, female: 0, total: 0 };
+    });
+    shreniCounts['Others'] = { male: 0, female: 0, total: 0 };
+    
+    let totalMale = 0, totalFemale = 0, totalCount = 0;
+    
+    registrations.forEach(reg => {
+        const rawShreni = reg.Shreni || reg.shreni || reg['Corrected Shreni'] || reg['Default Shreni'] || 'Unknown';
+        const shreni = normalizeShreni(rawShreni);
+        const gender = (reg.gender || reg.Gender || '').toLowerCase();
+        
+        const bucket = shreniOrder.includes(shreni) ? shreni : 'Others';
+        
+        if (gender === 'male' || gender === 'm') {
+            shreniCounts[bucket].male++;
+            totalMale++;
+        } else if (gender === 'female' || gender === 'f') {
+            shreniCounts[bucket].female++;
+            totalFemale++;
+        } else {
+            // Count as other/unknown - add to total but not male/female
+        }
+        shreniCounts[bucket].total++;
+        totalCount++;
+    });
+    
+    // Build table HTML
+    let html = '';
+    let subtotalMale = 0, subtotalFemale = 0, subtotalCount = 0;
+    
+    // Shibirarthi rows (main shrenis)
+    shreniOrder.forEach(shreni => {
+        const counts = shreniCounts[shreni];
+        const percentage = totalCount > 0 ? ((counts.total / totalCount) * 100).toFixed(1) : '0.0';
+        subtotalMale += counts.male;
+        subtotalFemale += counts.female;
+        subtotalCount += counts.total;
+        
+        html += `
+            <tr>
+                <td>${escapeHtml(shreni)}</td>
+                <td>${counts.male}</td>
+                <td>${counts.female}</td>
+                <td>${counts.total}</td>
+                <td>${percentage}%</td>
+            </tr>
+        `;
+    });
+    
+    // Shibirarthi Total row
+    const subtotalPercentage = totalCount > 0 ? ((subtotalCount / totalCount) * 100).toFixed(1) : '0.0';
+    html += `
+        <tr style="font-weight: bold; background-color: #e8e8e8;">
+            <td>Shibirarthi Total</td>
+            <td>${subtotalMale}</td>
+            <td>${subtotalFemale}</td>
+            <td>${subtotalCount}</td>
+            <td>${subtotalPercentage}%</td>
+        </tr>
+    `;
+    
+    // Volunteers row (from nonShibirarthiUsers collection or role='volunteer')
+    // For now, we count from "Others" as placeholder - actual volunteers should come from different collection
+    const volunteersCount = { male: 0, female: 0, total: 0 };
+    // Note: Actual volunteer counts would come from nonShibirarthiUsers collection
+    // This is a placeholder - volunteers aren't in registrations collection
+    html += `
+        <tr>
+            <td>Volunteers</td>
+            <td>${volunteersCount.male}</td>
+            <td>${volunteersCount.female}</td>
+            <td>${volunteersCount.total}</td>
+            <td>-</td>
+        </tr>
+    `;
+    
+    // Others row
+    const others = shreniCounts['Others'];
+    const othersPercentage = totalCount > 0 ? ((others.total / totalCount) * 100).toFixed(1) : '0.0';
+    html += `
+        <tr>
+            <td>Others</td>
+            <td>${others.male}</td>
+            <td>${others.female}</td>
+            <td>${others.total}</td>
+            <td>${othersPercentage}%</td>
+        </tr>
+    `;
+    
+    // Grand Total row
+    html += `
+        <tr style="font-weight: bold; background-color: #d0d0d0;">
+            <td>Grand Total</td>
+            <td>${totalMale}</td>
+            <td>${totalFemale}</td>
+            <td>${totalCount}</td>
+            <td>100%</td>
+        </tr>
+    `;
+    
+    tableBody.innerHTML = html;
+}
+
+// Display Registrations by Shreni/Zone Matrix
+// Rows: Americas, Europe, AR, Africa, SE Asia, Australasia, Others, Total
+// Columns: Karyakarta, Swakeeya, Yuva, Kishor, Baal, Total
+function displayShreniZoneMatrix(registrations) {
+    const tableBody = document.getElementById('shreniZoneMatrixTableBody');
+    if (!tableBody) return;
+    
+    // Define zones and shrenis
+    const zoneOrder = ['AM', 'EU', 'AR', 'AF', 'AS', 'AU'];
+    const zoneLabels = {
+        'AM': 'Americas',
+        'EU': 'Europe',
+        'AR': 'AR',
+        'AF': 'Africa',
+        'AS': 'SE Asia',
+        'AU': 'Australasia'
+    };
+    const shreniOrder = ['Karyakarta', 'Swakeeya', 'Yuva', 'Kishor', 'Baal'];
+    
+    // Normalize shreni names
+    const normalizeShreni = (shreni) => {
+        if (!shreni) return 'Unknown';
+        const s = shreni.toLowerCase().trim();
+        if (s.includes('karyakarta') || s === 'kk') return 'Karyakarta';
+        if (s.includes('swakeeya') || s === 'sw') return 'Swakeeya';
+        if (s.includes('yuva') || s === 'yv') return 'Yuva';
+        if (s.includes('kishor') || s === 'ks') return 'Kishor';
+        if (s.includes('baal') || s === 'bl') return 'Baal';
+        return 'Other';
+    };
+    
+    // Initialize matrix
+    const matrix = {};
+    [...zoneOrder, 'Others'].forEach(zone => {
+        matrix[zone] = {};
+        shreniOrder.forEach(shreni => {
+            matrix[zone][shreni] = 0;
+        });
+        matrix[zone]['Total'] = 0;
+    });
+    
+    // Count registrations
+    registrations.forEach(reg => {
+        const zone = reg.Zone || reg.zone || 'Unknown';
+        const normalizedZone = zoneOrder.find(z => zone.toUpperCase().startsWith(z)) || 'Others';
+        
+        const rawShreni = reg.Shreni || reg.shreni || reg['Corrected Shreni'] || reg['Default Shreni'] || 'Unknown';
+        const shreni = normalizeShreni(rawShreni);
+        
+        if (shreniOrder.includes(shreni)) {
+            matrix[normalizedZone][shreni]++;
+        }
+        matrix[normalizedZone]['Total']++;
+    });
+    
+    // Build table HTML
+    let html = '';
+    const totals = {};
+    shreniOrder.forEach(shreni => totals[shreni] = 0);
+    totals['Total'] = 0;
+    
+    // Zone rows
+    [...zoneOrder, 'Others'].forEach(zone => {
+        const label = zoneLabels[zone] || zone;
+        html += `<tr><td>${escapeHtml(label)}</td>`;
+        
+        shreniOrder.forEach(shreni => {
+            const count = matrix[zone][shreni];
+            totals[shreni] += count;
+            html += `<td>${count}</td>`;
+        });
+        
+        const zoneTotal = matrix[zone]['Total'];
+        totals['Total'] += zoneTotal;
+        html += `<td>${zoneTotal}</td></tr>`;
+    });
+    
+    // Total row
+    html += `<tr style="font-weight: bold; background-color: #f0f0f0;"><td>Total</td>`;
+    shreniOrder.forEach(shreni => {
+        html += `<td>${totals[shreni]}</td>`;
+    });
+    html += `<td>${totals['Total']}</td></tr>`;
+    
+    tableBody.innerHTML = html;
+}
+
+// Update dashboard based on status filter
+async function updateDashboardWithFilter() {
+    const filterValue = document.getElementById('dashboardStatusFilter')?.value || 'registered';
+    // Use the original full registrations data for filtering, not the potentially filtered data
+    const registrations = window.allDashboardRegistrations || window.dashboardRegistrations || [];
+    const users = window.dashboardUsers || [];
+    
+    // Get filtered registrations based on status
+    let filteredRegistrations = [];
+    
+    if (filterValue === 'registered') {
+        filteredRegistrations = registrations;
+    } else if (filterValue === 'logged') {
+        // Get uniqueIds that have user accounts
+        const userUniqueIds = new Set();
+        users.forEach(user => {
+            if (user.uniqueId) {
+                userUniqueIds.add(user.uniqueId);
+            }
+            // Also check associated registrations
+            if (user.associatedRegistrations) {
+                user.associatedRegistrations.forEach(reg => {
+                    if (reg.uniqueId) {
+                        userUniqueIds.add(reg.uniqueId);
+                    }
+                });
+            }
+        });
+        filteredRegistrations = registrations.filter(reg => userUniqueIds.has(reg.uniqueId));
+    } else if (filterValue === 'checkedin' && !coordinatorZone) {
+        // Get uniqueIds that have registration checkin
+        const db = firebase.firestore();
+        const checkinSnapshot = await db.collection('checkins')
+            .where('checkinType', '==', 'registration')
+            .get();
+        const checkedInIds = new Set();
+        checkinSnapshot.forEach(doc => {
+            const data = doc.data();
+            if (data.uniqueId) {
+                checkedInIds.add(data.uniqueId);
+            }
+        });
+        filteredRegistrations = registrations.filter(reg => checkedInIds.has(reg.uniqueId));
+    }
+    
+    // Recalculate stats with filtered data
+    const filteredStats = calculateStatistics(filteredRegistrations, users);
+    displayAdminStatistics(filteredStats, filteredRegistrations, users);
+    
+    // Update specific tables
+    updateShreniGenderTable();
+    updateZoneStatsTable();
+    updateZoneShreniTable();
+}
+
+// Update Shreni Gender table with filter
+async function updateShreniGenderTable() {
+    const filterValue = document.getElementById('shreniGenderFilter')?.value || 'registered';
+    const registrations = await getFilteredRegistrations(filterValue);
+    
+    const shreniGenderMap = {};
+    const shrenis = ['Karyakarta', 'Swakeeya', 'Yuva', 'Kishor', 'Baal'];
+    
+    registrations.forEach(reg => {
+        const shreni = reg.shreni || reg.Shreni || '';
+        const gender = reg.gender || reg.Gender || '';
+        
+        if (shrenis.includes(shreni)) {
+            if (!shreniGenderMap[shreni]) {
+                shreniGenderMap[shreni] = { Female: 0, Male: 0, Total: 0 };
+            }
+            if (gender.toLowerCase() === 'female') {
+                shreniGenderMap[shreni].Female++;
+            } else if (gender.toLowerCase() === 'male') {
+                shreniGenderMap[shreni].Male++;
+            }
+            shreniGenderMap[shreni].Total++;
+        }
+    });
+    
+    const total = registrations.filter(r => shrenis.includes(r.shreni || r.Shreni || '')).length;
+    
+    let html = '';
+    let grandTotalFemale = 0;
+    let grandTotalMale = 0;
+    
+    shrenis.forEach(shreni => {
+        const counts = shreniGenderMap[shreni] || { Female: 0, Male: 0, Total: 0 };
+        grandTotalFemale += counts.Female;
+        grandTotalMale += counts.Male;
+        const percentage = total > 0 ? ((counts.Total / total) * 100).toFixed(0) : 0;
+        html += `
+            <tr>
+                <td>${escapeHtml(shreni)}</td>
+                <td>${counts.Female}</td>
+                <td>${counts.Male}</td>
+                <td>${counts.Total}</td>
+                <td>${percentage}%</td>
+            </tr>
+        `;
+    });
+    
+    // Add totals row
+    const grandTotal = grandTotalFemale + grandTotalMale;
+    html += `
+        <tr style="font-weight: bold; background: #f0f0f0;">
+            <td>Total</td>
+            <td>${grandTotalFemale}</td>
+            <td>${grandTotalMale}</td>
+            <td>${grandTotal}</td>
+            <td>100%</td>
+        </tr>
+    `;
+    
+    // Add Volunteer and Others rows (if any)
+    const volunteerRegs = registrations.filter(r => (r.shreni || r.Shreni || '').toLowerCase() === 'volunteer');
+    if (volunteerRegs.length > 0) {
+        const volunteerFemale = volunteerRegs.filter(r => (r.gender || '').toLowerCase() === 'female').length;
+        const volunteerMale = volunteerRegs.filter(r => (r.gender || '').toLowerCase() === 'male').length;
+        html += `
+            <tr>
+                <td>Volunteer</td>
+                <td>${volunteerFemale}</td>
+                <td>${volunteerMale}</td>
+                <td>${volunteerRegs.length}</td>
+                <td>0%</td>
+            </tr>
+        `;
+    }
+    
+    document.getElementById('shreniGenderTableBody').innerHTML = html;
+}
+
+// Update Zone Statistics table
+async function updateZoneStatsTable() {
+    const filterValue = document.getElementById('zoneStatsFilter')?.value || 'registered';
+    const registrations = await getFilteredRegistrations(filterValue);
+    const users = window.dashboardUsers || [];
+    
+    const zones = ['SE Asia', 'AR', 'Americas', 'Europe', 'Africa', 'Australasia', 'Unknown'];
+    const zoneMap = {
+        'AS': 'SE Asia',
+        'AR': 'AR',
+        'AM': 'Americas',
+        'EU': 'Europe',
+        'AF': 'Africa',
+        'AU': 'Australasia'
+    };
+    
+    const stats = {};
+    
+    // Get checked in uniqueIds
+    const db = firebase.firestore();
+    const checkinSnapshot = await db.collection('checkins')
+        .where('checkinType', '==', 'registration')
+        .get();
+    const checkedInIds = new Set();
+    checkinSnapshot.forEach(doc => {
+        if (doc.data().uniqueId) checkedInIds.add(doc.data().uniqueId);
+    });
+    
+    registrations.forEach(reg => {
+        const zone = zoneMap[reg.zone] || reg.zone || 'Unknown';
+        if (!stats[zone]) {
+            stats[zone] = { registered: 0, checkedin: 0 };
+        }
+        stats[zone].registered++;
+        if (checkedInIds.has(reg.uniqueId)) {
+            stats[zone].checkedin++;
+        }
+    });
+    
+    let html = '';
+    zones.forEach(zone => {
+        const s = stats[zone] || { registered: 0, checkedin: 0 };
+        html += `
+            <tr>
+                <td>${escapeHtml(zone)}</td>
+                <td>${s.registered}</td>
+                <td>${s.checkedin}</td>
+            </tr>
+        `;
+    });
+    
+    // Add totals
+    const totalRegistered = Object.values(stats).reduce((sum, s) => sum + s.registered, 0);
+    const totalCheckedIn = Object.values(stats).reduce((sum, s) => sum + s.checkedin, 0);
+    const pctCheckedIn = totalRegistered > 0 ? Math.round((totalCheckedIn / totalRegistered) * 100) : 0;
+    
+    html += `
+        <tr style="font-weight: bold; background: #f0f0f0;">
+            <td>Total</td>
+            <td>${totalRegistered}</td>
+            <td>${totalCheckedIn}</td>
+        </tr>
+        <tr style="font-weight: bold;">
+            <td>% to Registered</td>
+            <td></td>
+            <td>${pctCheckedIn}%</td>
+        </tr>
+    `;
+    
+    document.getElementById('zoneStatsTableBody').innerHTML = html;
+}
+
+// Update Zone Shreni table
+async function updateZoneShreniTable() {
+    const filterValue = document.getElementById('zoneShreniTableFilter')?.value || 'registered';
+    const registrations = await getFilteredRegistrations(filterValue);
+    
+    const zoneMap = {
+        'AS': 'SE Asia',
+        'AR': 'AR',
+        'AM': 'Americas',
+        'EU': 'Europe',
+        'AF': 'Africa',
+        'AU': 'Australasia'
+    };
+    const zones = ['Americas', 'Europe', 'AR', 'Africa', 'SE Asia', 'Australasia', 'Others'];
+    const shrenis = ['Karyakarta', 'Swakeeya', 'Yuva', 'Kishor', 'Baal'];
+    
+    const matrix = {};
+    zones.forEach(zone => {
+        matrix[zone] = {};
+        shrenis.forEach(shreni => {
+            matrix[zone][shreni] = 0;
+        });
+    });
+    
+    registrations.forEach(reg => {
+        const zone = zoneMap[reg.zone] || reg.zone || 'Others';
+        const shreni = reg.shreni || reg.Shreni || '';
+        if (shrenis.includes(shreni) && zones.includes(zone)) {
+            matrix[zone][shreni]++;
+        }
+    });
+    
+    let html = '';
+    zones.forEach(zone => {
+        html += '<tr><td>' + escapeHtml(zone) + '</td>';
+        shrenis.forEach(shreni => {
+            html += '<td>' + matrix[zone][shreni] + '</td>';
+        });
+        html += '</tr>';
+    });
+    
+    // Add totals row
+    html += '<tr style="font-weight: bold; background: #f0f0f0;"><td>Total</td>';
+    shrenis.forEach(shreni => {
+        const total = zones.reduce((sum, zone) => sum + (matrix[zone][shreni] || 0), 0);
+        html += '<td>' + total + '</td>';
+    });
+    html += '</tr>';
+    
+    document.getElementById('zoneShreniTableTableBody').innerHTML = html;
+}
+
+// Helper function to get filtered registrations
+async function getFilteredRegistrations(filterValue) {
+    const registrations = window.dashboardRegistrations || [];
+    const users = window.dashboardUsers || [];
+    
+    if (filterValue === 'registered') {
+        return registrations;
+    } else if (filterValue === 'logged') {
+        const userUniqueIds = new Set();
+        users.forEach(user => {
+            if (user.uniqueId) userUniqueIds.add(user.uniqueId);
+            if (user.associatedRegistrations) {
+                user.associatedRegistrations.forEach(reg => {
+                    if (reg.uniqueId) userUniqueIds.add(reg.uniqueId);
+                });
+            }
+        });
+        return registrations.filter(reg => userUniqueIds.has(reg.uniqueId));
+    } else if (filterValue === 'checkedin') {
+        const db = firebase.firestore();
+        const checkinSnapshot = await db.collection('checkins')
+            .where('checkinType', '==', 'registration')
+            .get();
+        const checkedInIds = new Set();
+        checkinSnapshot.forEach(doc => {
+            if (doc.data().uniqueId) checkedInIds.add(doc.data().uniqueId);
+        });
+        return registrations.filter(reg => checkedInIds.has(reg.uniqueId));
+    }
+    return registrations;
+}
+
+// Export Travel Team Data
+async function exportTravelTeamData() {
+    const registrations = window.dashboardRegistrations || [];
+    
+    const headers = ['Praveshika ID', 'Name', 'Email', 'Phone', 'Pickup Location', 'Arrival Date', 'Arrival Time', 
+                     'Flight/Train Number', 'Dropoff Location', 'Departure Date', 'Departure Time', 'Departure Flight/Train Number'];
+    
+    const rows = registrations.map(reg => {
+        return [
+            reg.uniqueId || '',
+            reg.name || reg['Full Name'] || '',
+            reg.email || reg['Email address'] || '',
+            reg.phone || '',
+            reg.normalizedPickupLocation || reg.arrivalPlace || reg['Place of Arrival'] || '',
+            reg.arrivalDate || reg['Date of Arrival'] || '',
+            reg.arrivalTime || reg['Time of Arrival'] || '',
+            reg.arrivalFlightTrain || reg['Arrival Flight/Train Number'] || '',
+            reg.departurePlace || reg['Place of Departure Train/Flight'] || '',
+            reg.departureDate || reg['Date of Departure Train/Flight'] || '',
+            reg.departureTime || reg['Time of Departure Train/Flight'] || '',
+            reg.departureFlightTrain || reg['Departure Flight/Train Number'] || ''
+        ];
+    });
+    
+    exportToCSV('travel_team_data.csv', headers, rows);
+}
+
+// Export Post Tour Team Data
+async function exportPostTourTeamData() {
+    const registrations = window.dashboardRegistrations || [];
+    
+    const headers = ['Praveshika ID', 'Name', 'Email', 'Phone', 'Post Tour Selection', 'Accommodation'];
+    
+    const rows = registrations.map(reg => {
+        return [
+            reg.uniqueId || '',
+            reg.name || reg['Full Name'] || '',
+            reg.email || reg['Email address'] || '',
+            reg.phone || '',
+            reg.postShibirTour || reg['Post Shibir Tour'] || 'None',
+            reg.accommodation || ''
+        ];
+    });
+    
+    exportToCSV('post_tour_team_data.csv', headers, rows);
+}
+
+// Export Tours Data (broader tour-focused slice)
+async function exportToursData() {
+    const registrations = window.dashboardRegistrations || [];
+    
+    const headers = [
+        'Praveshika ID',
+        'Name',
+        'Email',
+        'Phone',
+        'Zone',
+        'Shreni',
+        'Gender',
+        'Post Tour Selection',
+        'Accommodation',
+        'Arrival Date',
+        'Arrival Time',
+        'Arrival Place',
+        'Departure Date',
+        'Departure Time',
+        'Departure Place'
+    ];
+    
+    const rows = registrations.map(reg => {
+        return [
+            reg.uniqueId || '',
+            reg.name || reg['Full Name'] || '',
+            reg.email || reg['Email address'] || '',
+            reg.phone || '',
+            reg.zone || reg.Zone || '',
+            reg.shreni || reg.Shreni || '',
+            reg.gender || reg.Gender || '',
+            reg.postShibirTour || reg['Post Shibir Tour'] || reg['Post Shibir Tours'] || reg['Please select a post shibir tour option'] || 'None',
+            reg.accommodation || '',
+            reg.arrivalDate || reg['Date of Arrival'] || '',
+            reg.arrivalTime || reg['Time of Arrival'] || '',
+            reg.normalizedPickupLocation || reg.arrivalPlace || reg['Place of Arrival'] || '',
+            reg.departureDate || reg['Date of Departure Train/Flight'] || '',
+            reg.departureTime || reg['Time of Departure Train/Flight'] || '',
+            reg.departurePlace || reg['Place of Departure Train/Flight'] || ''
+        ];
+    });
+    
+    exportToCSV('tours_data.csv', headers, rows);
+}
+
+// Helper function to export to CSV
+function exportToCSV(filename, headers, rows) {
+    const csvContent = [
+        headers.join(','),
+        ...rows.map(row => row.map(cell => {
+            const str = String(cell || '');
+            // Escape quotes and wrap in quotes if contains comma or quote
+            if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+                return '"' + str.replace(/"/g, '""') + '"';
+            }
+            return str;
+        }).join(','))
+    ].join('\n');
+    
+    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', filename);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    showNotification(`Exported ${rows.length} records to ${filename}`, 'success');
+}
+
+// Display email corrections for late and updated registrations
+function displayEmailCorrections(emailCorrections) {
+    // Display late registrations
+    const lateRegsTbody = document.getElementById('lateRegistrationsTableBody');
+    if (lateRegsTbody && emailCorrections.lateRegistrations) {
+        let html = '';
+        if (emailCorrections.lateRegistrations.length === 0) {
+            html = '<tr><td colspan="5" style="text-align: center;">No late registrations found</td></tr>';
+        } else {
+            emailCorrections.lateRegistrations.forEach(reg => {
+                const regDate = reg.registrationDate && reg.registrationDate.toDate 
+                    ? reg.registrationDate.toDate().toLocaleDateString() 
+                    : (reg.registrationDate ? new Date(reg.registrationDate).toLocaleDateString() : 'N/A');
+                html += `<tr>
+                    <td>${escapeHtml(reg.uniqueId)}</td>
+                    <td>${escapeHtml(reg.name)}</td>
+                    <td>${escapeHtml(reg.email)}</td>
+                    <td>${regDate}</td>
+                    <td><span style="color: #f57c00;">Late Registration</span></td>
+                </tr>`;
+            });
+        }
+        lateRegsTbody.innerHTML = html;
+    }
+    
+    // Display updated registrations
+    const updatedRegsTbody = document.getElementById('updatedRegistrationsTableBody');
+    if (updatedRegsTbody && emailCorrections.updatedRegistrations) {
+        let html = '';
+        if (emailCorrections.updatedRegistrations.length === 0) {
+            html = '<tr><td colspan="5" style="text-align: center;">No updated registrations found</td></tr>';
+        } else {
+            emailCorrections.updatedRegistrations.forEach(reg => {
+                const updateDate = reg.updatedDate && reg.updatedDate.toDate 
+                    ? reg.updatedDate.toDate().toLocaleDateString() 
+                    : (reg.updatedDate ? new Date(reg.updatedDate).toLocaleDateString() : 'N/A');
+                html += `<tr>
+                    <td>${escapeHtml(reg.uniqueId)}</td>
+                    <td>${escapeHtml(reg.name)}</td>
+                    <td>${escapeHtml(reg.email)}</td>
+                    <td>${updateDate}</td>
+                    <td><span style="color: #388e3c;">Updated</span></td>
+                </tr>`;
+            });
+        }
+        updatedRegsTbody.innerHTML = html;
+    }
+}
+
+// Export registration data with transportation to CSV
+function exportRegistrationDataWithTransport() {
+    if (!window.firebase || !firebase.firestore) {
+        showNotification('Firebase not initialized', 'error');
+        return;
+    }
+    
+    const db = firebase.firestore();
+    showNotification('Preparing export...', 'info');
+    
+    // Fetch all registrations (only their own zone for zone coordinators)
+    getRegistrationsQuery(db).get()
+        .then((snapshot) => {
+            const registrations = [];
+            snapshot.forEach((doc) => {
+                registrations.push(doc.data());
+            });
+            
+            // Prepare CSV data
+            const csvRows = [];
+            
+            // CSV Header
+            csvRows.push([
+                'Name',
+                'Praveshika ID',
+                'Email ID',
+                'Phone Number',
+                'Pickup Needed',
+                'Place of Arrival',
+                'Date of Arrival',
+                'Time of Arrival',
+                'Arrival Flight/Train Number',
+                'Dropoff Needed',
+                'Date of Departure',
+                'Time of Departure',
+                'Departure Flight/Train Number',
+                'Place of Departure'
+            ].join(','));
+            
+            // CSV Data Rows
+            registrations.forEach((reg) => {
+                const name = escapeCsvField(reg.name || reg['Full Name'] || '');
+                const praveshikaId = escapeCsvField(reg.uniqueId || reg['Praveshika ID'] || '');
+                const email = escapeCsvField(reg.email || reg['Email address'] || reg['Email'] || '');
+                const phone = escapeCsvField(reg.phone || reg.Phone || reg['Phone number on which you can be contacted in Bharat (by call or WhatsApp)'] || '');
+                const pickupNeeded = escapeCsvField(reg.pickupNeeded || reg['Do you need a pickup on arrival?'] || '');
+                const placeOfArrival = escapeCsvField(reg.arrivalPlace || reg['Place of Arrival'] || reg.pickupLocation || '');
+                const arrivalDate = escapeCsvField(reg.arrivalDate || reg['Date of Arrival'] || '');
+                const arrivalTime = escapeCsvField(reg.arrivalTime || reg['Time of Arrival'] || '');
+                const arrivalFlightTrain = escapeCsvField(reg.arrivalFlightTrain || reg['Arrival Flight/Train Number'] || reg.flightTrainNumber || '');
+                const dropoffNeeded = escapeCsvField(reg.dropoffNeeded || reg['Do you need a drop off for departure?'] || '');
+                const departureDate = escapeCsvField(reg.departureDate || reg['Date of Departure'] || reg['Date of Departure Train/Flight'] || '');
+                const departureTime = escapeCsvField(reg.departureTime || reg['Time of Departure'] || reg['Time of Departure Train/Flight'] || '');
+                const departureFlightTrain = escapeCsvField(reg.departureFlightTrain || reg['Departure Flight/Train Number'] || reg.returnFlightTrainNumber || '');
+                const placeOfDeparture = escapeCsvField(reg.departurePlace || reg['Place of Departure'] || '');
+                
+                csvRows.push([
+                    name,
+                    praveshikaId,
+                    email,
+                    phone,
+                    pickupNeeded,
+                    placeOfArrival,
+                    arrivalDate,
+                    arrivalTime,
+                    arrivalFlightTrain,
+                    dropoffNeeded,
+                    departureDate,
+                    departureTime,
+                    departureFlightTrain,
+                    placeOfDeparture
+                ].join(','));
+            });
+            
+            // Create CSV content
+            const csvContent = csvRows.join('\n');
+            
+            // Create download link
+            const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+            const link = document.createElement('a');
+            const url = URL.createObjectURL(blob);
+            link.setAttribute('href', url);
+            link.setAttribute('download', `VSS2025_Registration_Transport_Data_${new Date().toISOString().split('T')[0]}.csv`);
+            link.style.visibility = 'hidden';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            
+            showNotification('CSV file downloaded successfully!', 'success');
+        })
+        .catch((error) => {
+            console.error('Error exporting data:', error);
+            showNotification('Error exporting data: ' + error.message, 'error');
+        });
+}
+
+// Helper function to escape CSV fields
+function escapeCsvField(field) {
+    if (field === null || field === undefined) return '';
+    const str = String(field);
+    // If field contains comma, quote, or newline, wrap in quotes and escape quotes
+    if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+        return '"' + str.replace(/"/g, '""') + '"';
+    }
+    return str;
+}
+
+// Gender slicing with range details
+function updateGenderSlicing() {
+    const startRange = parseInt(document.getElementById('genderRangeStart')?.value || 0);
+    const endRange = parseInt(document.getElementById('genderRangeEnd')?.value || 1000);
+    
+    if (!window.dashboardStats || !window.dashboardRegistrations) {
+        showNotification('Dashboard data not loaded. Please refresh the dashboard.', 'error');
+        return;
+    }
+    
+    const stats = window.dashboardStats;
+    const registrations = window.dashboardRegistrations;
+    
+    // Filter registrations by range (using index or ID number)
+    const filteredRegs = registrations.filter((reg, index) => {
+        const regIndex = index + 1; // 1-based index
+        return regIndex >= startRange && regIndex <= endRange;
+    });
+    
+    // Calculate gender breakdown for filtered range
+    const genderBreakdown = {};
+    filteredRegs.forEach(reg => {
+        const gender = reg.gender || reg.Gender || 'Not Specified';
+        genderBreakdown[gender] = (genderBreakdown[gender] || 0) + 1;
+    });
+    
+    // Display in table
+    const tbody = document.getElementById('genderSlicingTableBody');
+    if (!tbody) return;
+    
+    const total = filteredRegs.length;
+    const sortedEntries = Object.entries(genderBreakdown).sort((a, b) => b[1] - a[1]);
+    
+    let html = '';
+    sortedEntries.forEach(([gender, count]) => {
+        const percentage = total > 0 ? ((count / total) * 100).toFixed(1) : '0.0';
+        html += `<tr>
+            <td>${escapeHtml(gender)}</td>
+            <td>${count}</td>
+            <td>${percentage}%</td>
+            <td>Range ${startRange}-${endRange} (${total} total)</td>
+        </tr>`;
+    });
+    
+    if (sortedEntries.length === 0) {
+        html = '<tr><td colspan="4" style="text-align: center;">No data in this range</td></tr>';
+    }
+    
+    tbody.innerHTML = html;
+}
+
+// Enhanced search by login ID (Praveshika ID) to show all related IDs
+async function searchParticipantByLoginId() {
+    const loginIdInput = document.getElementById('lookupUniqueId');
+    if (!loginIdInput) return;
+    
+    const loginId = loginIdInput.value.trim();
+    if (!loginId) {
+        showNotification('Please enter a Praveshika ID', 'error');
+        return;
+    }
+    
+    if (!window.firebase || !firebase.firestore) {
+        showNotification('Firebase not initialized', 'error');
+        return;
+    }
+    
+    try {
+        const db = firebase.firestore();
+        // Normalize: uppercase the ID
+        const uppercasedId = loginId.toUpperCase().trim();
+        const normalizedId = normalizePraveshikaId(loginId);
+        
+        // First, find the registration with this ID (within their zone for zone coordinators)
+        const regQuery = await getRegistrationsQuery(db)
+            .where('normalizedId', '==', normalizedId)
+            .limit(1)
+            .get();
+        
+        if (regQuery.empty && coordinatorZone) {
+            showNotification(`Participant not found in zone ${coordinatorZone}`, 'error');
+            clearParticipantLookupResults();
+        } else if (regQuery.empty) {
+            // Try direct document ID lookup with uppercased ID first
+            let regDoc = await db.collection('registrations').doc(uppercasedId).get();
+            // Fallback to original ID if not found
+            if (!regDoc.exists) {
+                regDoc = await db.collection('registrations').doc(loginId).get();
+            }
+            if (regDoc.exists) {
+                const regData = regDoc.data();
+                // Only show if status is "Approved"
+                if (regData.status !== 'Approved') {
+                    showNotification('Participant not found or not approved', 'error');
+                    clearParticipantLookupResults();
+                    return;
+                }
+                
+                const email = regData.email || regData['Email address'] || '';
+                
+                // Find all registrations with the same email (only approved ones)
+                if (email) {
+                    const allRegs = await getRegistrationsQuery(db).get();
+                    const relatedRegs = [];
+                    allRegs.docs.forEach(doc => {
+                        const data = doc.data();
+                        // Only include registrations with status "Approved"
+                        if (data.status === 'Approved') {
+                            const regEmail = (data.email || data['Email address'] || '').toLowerCase();
+                            if (regEmail === email.toLowerCase()) {
+                                relatedRegs.push({
+                                    doc: doc,
+                                    data: data,
+                                    uniqueId: data.uniqueId || doc.id
+                                });
+                            }
+                        }
+                    });
+                    
+                    if (relatedRegs.length > 1) {
+                        displayRelatedIds(relatedRegs, loginId);
+                    } else {
+                        displayParticipantLookupResults(regData, loginId);
+                    }
+                } else {
+                    displayParticipantLookupResults(regData, loginId);
+                }
+            } else {
+                showNotification('Participant not found', 'error');
+                clearParticipantLookupResults();
+            }
+        } else {
+            const regData = regQuery.docs[0].data();
+            // Only show if status is "Approved"
+            if (regData.status !== 'Approved') {
+                showNotification('Participant not found or not approved', 'error');
+                clearParticipantLookupResults();
+                return;
+            }
+            
+            const foundUniqueId = regData.uniqueId || regQuery.docs[0].id;
+            const email = regData.email || regData['Email address'] || '';
+            
+            // Find all registrations with the same email (only approved ones)
+            if (email) {
+                const allRegs = await getRegistrationsQuery(db).get();
+                const relatedRegs = [];
+                allRegs.docs.forEach(doc => {
+                    const data = doc.data();
+                    // Only include registrations with status "Approved"
+                    if (data.status === 'Approved') {
+                        const regEmail = (data.email || data['Email address'] || '').toLowerCase();
+                        if (regEmail === email.toLowerCase()) {
+                            relatedRegs.push({
+                                doc: doc,
+                                data: data,
+                                uniqueId: data.uniqueId || doc.id
+                            });
+                        }
+                    }
+                });
+                
+                if (relatedRegs.length > 1) {
+                    displayRelatedIds(relatedRegs, foundUniqueId);
+                } else {
+                    displayParticipantLookupResults(regData, foundUniqueId);
+                }
+            } else {
+                displayParticipantLookupResults(regData, foundUniqueId);
+            }
+        }
+    } catch (error) {
+        console.error('Error searching participant by login ID:', error);
+        showNotification('Error searching participant: ' + error.message, 'error');
+    }
+}
+
+// Display related IDs when searching by login ID
+function displayRelatedIds(relatedRegs, searchedId) {
+    const resultsDiv = document.getElementById('participantLookupResults');
+    const detailsDiv = document.getElementById('participantLookupDetails');
+    
+    if (!resultsDiv) return;
+    
+    if (detailsDiv) {
+        detailsDiv.style.display = 'none';
+    }
+    
+    let html = `<div class="participant-search-results">
+        <div style="margin-bottom: 1rem;">
+            <button type="button" class="btn btn-sm btn-secondary" onclick="clearParticipantLookupResults(); document.getElementById('lookupUniqueId')?.value && (document.getElementById('lookupUniqueId').value = '');" style="display: flex; align-items: center; gap: 0.5rem;">
+                <span>←</span> Back
+            </button>
+        </div>
+        <h4>Found ${relatedRegs.length} related registration(s) for this login ID. Please select:</h4>
+        <ul style="list-style: none; padding: 0;">`;
+    
+    relatedRegs.forEach(reg => {
+        const name = reg.data.name || reg.data['Full Name'] || 'Unknown';
+        const uniqueId = reg.uniqueId;
+        const email = reg.data.email || reg.data['Email address'] || '';
+        const isSearched = uniqueId === searchedId;
+        
+        html += `
+            <li style="margin: 0.5rem 0; padding: 0.5rem; border: 1px solid #ddd; border-radius: 4px; ${isSearched ? 'background: #e3f2fd;' : ''}">
+                <button class="btn btn-link" onclick="selectParticipantFromLookup('${escapeHtml(uniqueId)}')" style="text-align: left; width: 100%;">
+                    <strong>${escapeHtml(name)}</strong> ${isSearched ? '<span style="color: #1976d2;">(Searched ID)</span>' : ''}<br>
+                    <small>Praveshika ID: ${escapeHtml(uniqueId)}${email ? ' - ' + escapeHtml(email) : ''}</small>
+                </button>
+            </li>`;
+    });
+    
+    html += '</ul></div>';
+    
+    resultsDiv.innerHTML = html;
+    resultsDiv.style.display = 'block';
+}
+
+// Export all data to Excel
+async function exportAllDataToExcel() {
+    if (!window.firebase || !firebase.firestore) {
+        showNotification('Firebase not initialized', 'error');
+        return;
+    }
+    
+    if (coordinatorZone) {
+        showNotification('Full website exports are only available to admins', 'error');
+        return;
+    }
+    
+    showNotification('Preparing Excel export...', 'info');
+    
+    try {
+        const db = firebase.firestore();
+        
+        // Fetch all registrations
+        const registrationsSnapshot = await db.collection('registrations').get();
+        const registrations = [];
+        registrationsSnapshot.forEach(doc => {
+            const data = doc.data();
+            data._documentId = doc.id;
+            registrations.push(data);
+        });
+        
+        // Convert to CSV first (Excel can open CSV)
+        const csvRows = [];
+        
+        // Get all unique field names
+        const allFields = new Set();
+        registrations.forEach(reg => {
+            Object.keys(reg).forEach(key => {
+                if (key !== '_documentId') allFields.add(key);
+            });
+        });
+        
+        const fieldArray = Array.from(allFields).sort();
+        
+        // Add document ID as first column
+        csvRows.push(['Document ID', ...fieldArray].map(f => escapeCsvField(f)).join(','));
+        
+        // Add data rows
+        registrations.forEach(reg => {
+            const row = [reg._documentId || ''];
+            fieldArray.forEach(field => {
+                let value = reg[field];
+                if (value && typeof value === 'object') {
+                    if (value.toDate) {
+                        value = value.toDate().toISOString();
+                    } else {
+                        value = JSON.stringify(value);
+                    }
+                }
+                row.push(value || '');
+            });
+            csvRows.push(row.map(f => escapeCsvField(f)).join(','));
+        });
+        
+        const csvContent = csvRows.join('\n');
+        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', `VSS2025_All_Data_${new Date().toISOString().split('T')[0]}.csv`);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        showNotification('Excel file (CSV format) downloaded successfully!', 'success');
+    } catch (error) {
+        console.error('Error exporting to Excel:', error);
+        showNotification('Error exporting to Excel: ' + error.message, 'error');
+    }
+}
+
+// Export collection as comprehensive CSV with all fields
+async function exportCollectionAsCSV(collectionName) {
+    if (!window.firebase || !firebase.firestore) {
+        showNotification('Firebase not initialized', 'error');
+        return;
+    }
+    
+    if (coordinatorZone) {
+        showNotification('Collection exports are only available to admins', 'error');
+        return;
+    }
+    
+    showNotification(`Preparing ${collectionName} export...`, 'info');
+    
+    try {
+        const db = firebase.firestore();
+        const snapshot = await db.collection(collectionName).get();
+        
+        if (snapshot.empty) {
+            showNotification(`No data found in ${collectionName} collection`, 'info');
+            return;
+        }
+        
+        const docs = [];
+        snapshot.forEach(doc => {
+            const data = doc.data();
+            data._documentId = doc.id;
+            docs.push(data);
+        });
+        
+        // Get all unique field names
+        const allFields = new Set();
+        docs.forEach(doc => {
+            Object.keys(doc).forEach(key => {
+                if (key !== '_documentId') allFields.add(key);
+            });
+        });
+        
+        const fieldArray = Array.from(allFields).sort();
+        
+        // Create CSV
+        const csvRows = [];
+        csvRows.push(['Document ID', ...fieldArray].map(f => escapeCsvField(f)).join(','));
+        
+        docs.forEach(doc => {
+            const row = [doc._documentId || ''];
+            fieldArray.forEach(field => {
+                let value = doc[field];
+                if (value && typeof value === 'object') {
+                    if (value.toDate) {
+                        value = value.toDate().toISOString();
+                    } else if (value instanceof Date) {
+                        value = value.toISOString();
+                    } else {
+                        value = JSON.stringify(value);
+                    }
+                }
+                row.push(value || '');
+            });
+            csvRows.push(row.map(f => escapeCsvField(f)).join(','));
+        });
+        
+        const csvContent = csvRows.join('\n');
+        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', `VSS2025_${collectionName}_${new Date().toISOString().split('T')[0]}.csv`);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        showNotification(`${collectionName} CSV file downloaded successfully!`, 'success');
+    } catch (error) {
+        console.error(`Error exporting ${collectionName}:`, error);
+        showNotification(`Error exporting ${collectionName}: ` + error.message, 'error');
+    }
+}
+
+function displayBreakdownTable(tableBodyId, breakdown, total) {
+    const tbody = document.getElementById(tableBodyId);
+    if (!tbody) return;
+    
+    // Handle null or undefined breakdown
+    if (!breakdown || typeof breakdown !== 'object') {
+        tbody.innerHTML = '<tr><td colspan="3" style="text-align: center;">No data available</td></tr>';
+        return;
+    }
+    
+    // Sort by count descending
+    const sortedEntries = Object.entries(breakdown).sort((a, b) => b[1] - a[1]);
+    
+    let html = '';
+    sortedEntries.forEach(([key, count]) => {
+        const percentage = total > 0 ? ((count / total) * 100).toFixed(1) : '0.0';
+        html += `
+            <tr>
+                <td>${escapeHtml(key || 'Not specified')}</td>
+                <td>${count}</td>
+                <td>${percentage}%</td>
+            </tr>
+        `;
+    });
+    
+    if (sortedEntries.length === 0) {
+        html = '<tr><td colspan="3" style="text-align: center;">No data available</td></tr>';
+    }
+    
+    tbody.innerHTML = html;
+}
+
+// Display multi-column breakdown table (for zone|shreni, place|date, etc.)
+function displayMultiColumnBreakdownTable(tableBodyId, breakdown, total, separator) {
+    const tbody = document.getElementById(tableBodyId);
+    if (!tbody) return;
+    
+    // Handle null or undefined breakdown
+    if (!breakdown || typeof breakdown !== 'object') {
+        // Calculate colspan based on table structure - for Shreni/Gender it's 4 columns
+        const table = tbody.closest('table');
+        const headerCols = table ? table.querySelectorAll('thead th').length : 4;
+        tbody.innerHTML = `<tr><td colspan="${headerCols}" style="text-align: center;">No data available</td></tr>`;
+        return;
+    }
+    
+    // Sort by count descending
+    const sortedEntries = Object.entries(breakdown).sort((a, b) => b[1] - a[1]);
+    
+    let html = '';
+    sortedEntries.forEach(([key, count]) => {
+        const percentage = total > 0 ? ((count / total) * 100).toFixed(1) : '0.0';
+        const parts = key.split(separator).map(p => p.trim());
+        
+        // Determine number of columns based on separator count
+        let rowHtml = '<tr>';
+        parts.forEach(part => {
+            rowHtml += `<td>${escapeHtml(part || 'Not specified')}</td>`;
+        });
+        rowHtml += `<td>${count}</td>`;
+        rowHtml += `<td>${percentage}%</td>`;
+        rowHtml += '</tr>';
+        html += rowHtml;
+    });
+    
+    if (sortedEntries.length === 0) {
+        // Calculate colspan based on table structure
+        const table = tbody.closest('table');
+        const headerCols = table ? table.querySelectorAll('thead th').length : 4;
+        html = `<tr><td colspan="${headerCols}" style="text-align: center;">No data available</td></tr>`;
+    }
+    
+    tbody.innerHTML = html;
+}
+
+/**
+ * Get Shreni and Gender breakdown data from registrations
+ * @param {Array} registrations - Array of registration objects
+ * @returns {Object} Object with shreniGenderBreakdown data and total count
+ */
+function getShreniGenderBreakdown(registrations) {
+    if (!registrations || !Array.isArray(registrations)) {
+        return {
+            breakdown: {},
+            total: 0
+        };
+    }
+    
+    const breakdown = {};
+    
+    registrations.forEach(reg => {
+        // Extract Shreni (with fallbacks for different field names)
+        const shreni = reg.Shreni || reg.shreni || reg['Corrected Shreni'] || reg['Default Shreni'] || 'Unknown';
+        
+        // Extract Gender (with fallbacks for different field names)
+        const gender = reg.gender || reg.Gender || 'Not Specified';
+        
+        // Create key in format "Shreni | Gender"
+        const key = `${shreni} | ${gender}`;
+        breakdown[key] = (breakdown[key] || 0) + 1;
+    });
+    
+    return {
+        breakdown: breakdown,
+        total: registrations.length
+    };
+}
+
+// Helper function to get time bucket from time string (2/4 hour sections)
+function getTimeBucket(timeStr) {
+    if (!timeStr) return 'Unknown';
+    
+    // Convert to string if it's not already
+    const timeString = String(timeStr).trim();
+    if (!timeString) return 'Unknown';
+    
+    // Try to parse time string (could be HH:MM or HH:MM:SS format)
+    const timeMatch = timeString.match(/(\d{1,2}):(\d{2})/);
+    if (!timeMatch) return 'Unknown';
+    
+    const hours = parseInt(timeMatch[1]);
+    const minutes = parseInt(timeMatch[2]);
+    
+    // Create 4-hour buckets: 00-04, 04-08, 08-12, 12-16, 16-20, 20-24
+    if (hours >= 0 && hours < 4) return '00:00-04:00';
+    if (hours >= 4 && hours < 8) return '04:00-08:00';
+    if (hours >= 8 && hours < 12) return '08:00-12:00';
+    if (hours >= 12 && hours < 16) return '12:00-16:00';
+    if (hours >= 16 && hours < 20) return '16:00-20:00';
+    if (hours >= 20 && hours < 24) return '20:00-24:00';
+    
+    return 'Unknown';
+}
+
+// Zone breakdown table with clickable rows
+function displayZoneBreakdownTable(zoneBreakdown, zoneCountryMap, total) {
+    const tbody = document.getElementById('zoneTableBody');
+    if (!tbody) return;
+    
+    // Sort by count descending
+    const sortedEntries = Object.entries(zoneBreakdown).sort((a, b) => b[1] - a[1]);
+    
+    let html = '';
+    sortedEntries.forEach(([zone, count]) => {
+        const percentage = total > 0 ? ((count / total) * 100).toFixed(1) : '0.0';
+        const zoneEscaped = escapeHtml(zone);
+        const countryMapJson = JSON.stringify(zoneCountryMap[zone] || {}).replace(/"/g, '&quot;');
+        html += `
+            <tr style="cursor: pointer;" onclick="showZoneCountryDetails('${zoneEscaped}', '${countryMapJson}', ${total})">
+                <td>${zoneEscaped}</td>
+                <td>${count}</td>
+                <td>${percentage}%</td>
+                <td><button class="btn btn-small btn-secondary">View Countries</button></td>
+            </tr>
+        `;
+    });
+    
+    if (sortedEntries.length === 0) {
+        html = '<tr><td colspan="4" style="text-align: center;">No data available</td></tr>';
+    }
+    
+    tbody.innerHTML = html;
+}
+
+// Show country breakdown for a specific zone
+function showZoneCountryDetails(zone, countryBreakdownJson, total) {
+    const zoneBreakdownDiv = document.getElementById('zoneBreakdown');
+    const zoneCountryDetailsDiv = document.getElementById('zoneCountryDetails');
+    const zoneCountryTitle = document.getElementById('zoneCountryTitle');
+    const zoneCountryTableBody = document.getElementById('zoneCountryTableBody');
+    
+    if (!zoneBreakdownDiv || !zoneCountryDetailsDiv || !zoneCountryTitle || !zoneCountryTableBody) return;
+    
+    // Parse the country breakdown JSON
+    let countryBreakdown;
+    try {
+        countryBreakdown = JSON.parse(countryBreakdownJson.replace(/&quot;/g, '"'));
+    } catch (e) {
+        console.error('Error parsing country breakdown:', e);
+        countryBreakdown = {};
+    }
+    
+    // Hide zone breakdown, show country details
+    zoneBreakdownDiv.style.display = 'none';
+    zoneCountryDetailsDiv.style.display = 'block';
+    zoneCountryTitle.textContent = `Countries in Zone: ${zone}`;
+    
+    // Sort by count descending
+    const sortedEntries = Object.entries(countryBreakdown).sort((a, b) => b[1] - a[1]);
+    
+    // Build table with headers
+    let html = `
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Country</th>
+                    <th>Count</th>
+                    <th>Percentage</th>
+                    <th>Action</th>
+                </tr>
+            </thead>
+            <tbody>
+    `;
+    
+    sortedEntries.forEach(([country, count]) => {
+        const percentage = total > 0 ? ((count / total) * 100).toFixed(1) : '0.0';
+        const countryEscaped = escapeHtml(country);
+        html += `
+            <tr style="cursor: pointer;" onclick="showCountryShibirarthis('${escapeHtml(zone)}', '${countryEscaped.replace(/'/g, "\\'")}')">
+                <td>${countryEscaped}</td>
+                <td>${count}</td>
+                <td>${percentage}%</td>
+                <td><button class="btn btn-small btn-secondary">View Shibirarthis</button></td>
+            </tr>
+        `;
+    });
+    
+    if (sortedEntries.length === 0) {
+        html += '<tr><td colspan="4" style="text-align: center;">No data available</td></tr>';
+    }
+    
+    html += `
+            </tbody>
+        </table>
+    `;
+    
+    zoneCountryTableBody.innerHTML = html;
+}
+
+// Show Shibirarthis for a specific country
+async function showCountryShibirarthis(zone, country) {
+    if (!window.firebase || !firebase.firestore) {
+        showNotification('Firebase not initialized', 'error');
+        return;
+    }
+    
+    const zoneCountryDetailsDiv = document.getElementById('zoneCountryDetails');
+    const zoneCountryTitle = document.getElementById('zoneCountryTitle');
+    
+    if (!zoneCountryDetailsDiv || !zoneCountryTitle) return;
+    
+    // Show loading
+    const tbody = document.getElementById('zoneCountryTableBody');
+    if (tbody) {
+        tbody.innerHTML = '<p style="text-align: center; padding: 2rem;">Loading Shibirarthis...</p>';
+    }
+    
+    // Map zone labels back to zone codes for comparison
+    const zoneLabelToCode = {
+        'Americas': 'AM',
+        'Europe': 'EU',
+        'AR': 'AR',
+        'Africa': 'AF',
+        'SE Asia': 'AS',
+        'Australasia': 'AU',
+        'Others': 'Others'
+    };
+    const zoneOrder = ['AM', 'EU', 'AR', 'AF', 'AS', 'AU'];
+    const targetZoneCode = zoneLabelToCode[zone] || zone;
+    
+    try {
+        const db = firebase.firestore();
+        
+        // Fetch registrations (zone coordinators only get their own zone) and filter to this country
+        const registrationsSnapshot = await getRegistrationsQuery(db).get();
+        const countryRegistrations = [];
+        
+        registrationsSnapshot.forEach(doc => {
+            const data = doc.data();
+            const regCountry = data.Country || data.country || data['Country of Current Residence'] || '';
+            const regZone = data.Zone || data.zone || data['Zone/Shreni'] || '';
+            
+            // Normalize the registration's zone to match how we count
+            const normalizedRegZone = zoneOrder.find(z => regZone.toUpperCase().startsWith(z)) || 'Others';
+            
+            // Match country and zone (using normalized zone code)
+            const zoneMatches = targetZoneCode === 'Others' 
+                ? normalizedRegZone === 'Others'
+                : normalizedRegZone === targetZoneCode;
+            
+            if (regCountry === country && zoneMatches) {
+                countryRegistrations.push({
+                    uniqueId: data.uniqueId || doc.id,
+                    name: data.name || data['Full Name'] || 'Unknown',
+                    email: data.email || data['Email address'] || '',
+                    shreni: data.Shreni || data.shreni || data['Corrected Shreni'] || '',
+                    phone: data.phone || data.Phone || '',
+                    city: data.city || data.City || data['City of Current Residence'] || ''
+                });
+            }
+        });
+        
+        // Sort by name
+        countryRegistrations.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+        
+        // Update UI
+        zoneCountryTitle.textContent = `Shibirarthis in ${country} (Zone: ${zone})`;
+        
+        if (tbody) {
+            if (countryRegistrations.length === 0) {
+                tbody.innerHTML = '<p style="text-align: center; padding: 2rem;">No Shibirarthis found in this country.</p>';
+            } else {
+                let html = `
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Praveshika ID</th>
+                                <th>Email</th>
+                                <th>Shreni</th>
+                                <th>City</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                `;
+                
+                countryRegistrations.forEach(reg => {
+                    html += `
+                        <tr>
+                            <td>${escapeHtml(reg.name)}</td>
+                            <td>${escapeHtml(reg.uniqueId)}</td>
+                            <td>${escapeHtml(reg.email)}</td>
+                            <td>${escapeHtml(reg.shreni)}</td>
+                            <td>${escapeHtml(reg.city)}</td>
+                        </tr>
+                    `;
+                });
+                
+                html += `
+                        </tbody>
+                    </table>
+                    <p style="margin-top: 1rem;"><strong>Total:</strong> ${countryRegistrations.length} Shibirarthi(s)</p>
+                `;
+                
+                tbody.innerHTML = html;
+            }
+        }
+        
+    } catch (error) {
+        console.error('Error loading country Shibirarthis:', error);
+        if (tbody) {
+            tbody.innerHTML = '<p style="text-align: center; padding: 2rem; color: red;">Error loading Shibirarthis</p>';
+        }
+    }
+}
+
+// Close zone country details view
+function closeZoneCountryDetails() {
+    const zoneBreakdownDiv = document.getElementById('zoneBreakdown');
+    const zoneCountryDetailsDiv = document.getElementById('zoneCountryDetails');
+    
+    if (zoneBreakdownDiv) zoneBreakdownDiv.style.display = 'block';
+    if (zoneCountryDetailsDiv) zoneCountryDetailsDiv.style.display = 'none';
+}
+
+// Load transportation analytics
+function loadTransportationAnalytics(registrations) {
+    // Display pickup location summary (same as pickup breakdown)
+    const pickupBreakdown = {};
+    registrations.forEach(reg => {
+        const pickup = reg.pickupLocation || reg['Pickup Location'] || reg['Place of Arrival'] || 'Not Specified';
+        pickupBreakdown[pickup] = (pickupBreakdown[pickup] || 0) + 1;
+    });
+    
+    displayBreakdownTable('pickupLocationSummaryTableBody', pickupBreakdown, registrations.length);
+    
+    // Enhanced transportation analytics with more fields
+    displayEnhancedTransportationAnalytics(registrations);
+    
+    // Load complex transportation view
+    displayComplexTransportationView(registrations);
+}
+
+// Display enhanced transportation analytics
+function displayEnhancedTransportationAnalytics(registrations) {
+    // Add analytics sections to the transportation analytics area
+    const transportationSection = document.querySelector('.transportation-changes-section');
+    if (!transportationSection) return;
+    
+    // Create analytics container if it doesn't exist
+    let analyticsContainer = document.getElementById('enhancedTransportationAnalytics');
+    if (!analyticsContainer) {
+        analyticsContainer = document.createElement('div');
+        analyticsContainer.id = 'enhancedTransportationAnalytics';
+        analyticsContainer.className = 'analytics-section';
+        analyticsContainer.style.cssText = 'margin-top: 2rem; padding-top: 2rem; border-top: 2px solid #e0e0e0;';
+        transportationSection.parentNode.insertBefore(analyticsContainer, transportationSection.nextSibling);
+    }
+    
+    // Extract all transportation-related fields
+    const placeOfArrivalBreakdown = {};
+    const arrivalDateBreakdown = {};
+    const arrivalTimeBreakdown = {};
+    const modeOfTravelBreakdown = {};
+    const returnPlaceBreakdown = {};
+    const returnDateBreakdown = {};
+    
+    registrations.forEach(reg => {
+        // Place of Arrival
+        const placeOfArrival = reg['Place of Arrival'] || reg.placeOfArrival || reg.pickupLocation || reg['Pickup Location'] || 'Not Specified';
+        if (placeOfArrival && placeOfArrival !== 'Not Specified') {
+            placeOfArrivalBreakdown[placeOfArrival] = (placeOfArrivalBreakdown[placeOfArrival] || 0) + 1;
+        }
+        
+        // Date of Arrival
+        const arrivalDate = reg['Date of Arrival'] || reg.dateOfArrival || reg.arrivalDate || reg['Arrival Date'] || '';
+        if (arrivalDate) {
+            arrivalDateBreakdown[arrivalDate] = (arrivalDateBreakdown[arrivalDate] || 0) + 1;
+        }
+        
+        // Arrival Time
+        const arrivalTime = reg['Arrival Time'] || reg.arrivalTime || reg['Time of Arrival'] || '';
+        if (arrivalTime) {
+            // Group by time ranges for better analytics
+            const timeRange = getTimeRange(arrivalTime);
+            arrivalTimeBreakdown[timeRange] = (arrivalTimeBreakdown[timeRange] || 0) + 1;
+        }
+        
+        // Mode of Travel
+        const modeOfTravel = reg['Mode of Travel'] || reg.modeOfTravel || reg['Transportation Mode'] || '';
+        if (modeOfTravel) {
+            modeOfTravelBreakdown[modeOfTravel] = (modeOfTravelBreakdown[modeOfTravel] || 0) + 1;
+        }
+        
+        // Return Place
+        const returnPlace = reg['Place of Return'] || reg.returnPlace || reg.dropoffLocation || reg['Dropoff Location'] || '';
+        if (returnPlace) {
+            returnPlaceBreakdown[returnPlace] = (returnPlaceBreakdown[returnPlace] || 0) + 1;
+        }
+        
+        // Return Date
+        const returnDate = reg['Date of Return'] || reg.returnDate || reg['Return Date'] || '';
+        if (returnDate) {
+            returnDateBreakdown[returnDate] = (returnDateBreakdown[returnDate] || 0) + 1;
+        }
+    });
+    
+    // Build HTML for analytics
+    let html = `
+        <h3>Enhanced Transportation Analytics</h3>
+        
+        <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(400px, 1fr)); gap: 2rem; margin-top: 1.5rem;">
+    `;
+    
+    // Place of Arrival breakdown
+    if (Object.keys(placeOfArrivalBreakdown).length > 0) {
+        html += `
+            <div class="analytics-subsection">
+                <h4>Place of Arrival</h4>
+                ${createBreakdownHTML(placeOfArrivalBreakdown, registrations.length)}
+            </div>
+        `;
+    }
+    
+    // Date of Arrival breakdown
+    if (Object.keys(arrivalDateBreakdown).length > 0) {
+        html += `
+            <div class="analytics-subsection">
+                <h4>Date of Arrival</h4>
+                ${createBreakdownHTML(arrivalDateBreakdown, registrations.length)}
+            </div>
+        `;
+    }
+    
+    // Arrival Time breakdown
+    if (Object.keys(arrivalTimeBreakdown).length > 0) {
+        html += `
+            <div class="analytics-subsection">
+                <h4>Arrival Time Distribution</h4>
+                ${createBreakdownHTML(arrivalTimeBreakdown, registrations.length)}
+            </div>
+        `;
+    }
+    
+    // Mode of Travel breakdown
+    if (Object.keys(modeOfTravelBreakdown).length > 0) {
+        html += `
+            <div class="analytics-subsection">
+                <h4>Mode of Travel</h4>
+                ${createBreakdownHTML(modeOfTravelBreakdown, registrations.length)}
+            </div>
+        `;
+    }
+    
+    // Return Place breakdown
+    if (Object.keys(returnPlaceBreakdown).length > 0) {
+        html += `
+            <div class="analytics-subsection">
+                <h4>Place of Return</h4>
+                ${createBreakdownHTML(returnPlaceBreakdown, registrations.length)}
+            </div>
+        `;
+    }
+    
+    // Return Date breakdown
+    if (Object.keys(returnDateBreakdown).length > 0) {
+        html += `
+            <div class="analytics-subsection">
+                <h4>Date of Return</h4>
+                ${createBreakdownHTML(returnDateBreakdown, registrations.length)}
+            </div>
+        `;
+    }
+    
+    html += `
+        </div>
+    `;
+    
+    analyticsContainer.innerHTML = html;
+}
+
+// Helper to create breakdown HTML
+function createBreakdownHTML(breakdown, total) {
+    const sortedEntries = Object.entries(breakdown).sort((a, b) => b[1] - a[1]);
+    let html = '<table class="data-table" style="margin-top: 0.5rem;">';
+    html += '<thead><tr><th>Value</th><th>Count</th><th>Percentage</th></tr></thead><tbody>';
+    
+    sortedEntries.forEach(([key, count]) => {
+        const percentage = total > 0 ? ((count / total) * 100).toFixed(1) : '0.0';
+        html += `
+            <tr>
+                <td>${escapeHtml(key)}</td>
+                <td>${count}</td>
+                <td>${percentage}%</td>
+            </tr>
+        `;
+    });
+    
+    html += '</tbody></table>';
+    return html;
+}
+
+// Helper to get time range from time string
+function getTimeRange(timeStr) {
+    if (!timeStr) return 'Unknown';
+    
+    // Convert to string in case it's a number, Date, or other type
+    const timeString = String(timeStr);
+    
+    // Try to extract hour from time string (format: HH:MM or HH:MM:SS)
+    const timeMatch = timeString.match(/(\d{1,2}):\d{2}/);
+    if (!timeMatch) return 'Unknown';
+    
+    const hour = parseInt(timeMatch[1]);
+    
+    if (hour >= 0 && hour < 6) return '00:00 - 05:59';
+    if (hour >= 6 && hour < 12) return '06:00 - 11:59';
+    if (hour >= 12 && hour < 18) return '12:00 - 17:59';
+    return '18:00 - 23:59';
+}
+
+// ============================================
+// VEHICLE RUN PLANNER
+// ============================================
+
+// Last generated plan, kept for printing manifests
+let vehiclePlan = null;
+
+// Convert a time string ("14:05", "2:05 PM", "14:05:00") to minutes after midnight, or null
+function parseTimeToMinutes(timeStr) {
+    if (!timeStr) return null;
+    const timeMatch = String(timeStr).trim().match(/(\d{1,2}):(\d{2})(?::\d{2})?\s*(am|pm)?/i);
+    if (!timeMatch) return null;
+
+    let hours = parseInt(timeMatch[1], 10);
+    const minutes = parseInt(timeMatch[2], 10);
+    const meridiem = (timeMatch[3] || '').toLowerCase();
+    if (meridiem === 'pm' && hours < 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+    if (hours > 23 || minutes > 59) return null;
+    return hours * 60 + minutes;
+}
+
+function formatMinutesAsTime(totalMinutes) {
+    if (totalMinutes === null || totalMinutes === undefined) return '';
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+// Travel fields for one direction: 'arrival' (pickups) or 'departure' (drop-offs)
+function getTravelLeg(reg, direction) {
+    if (direction === 'departure') {
+        return {
+            needed: reg.dropoffNeeded || reg['Do you need a drop off for departure?'] || '',
+            place: reg.departurePlace || reg['Place of Departure Train/Flight'] || '',
+            date: reg.departureDate || reg['Date of Departure Train/Flight'] || '',
+            time: reg.departureTime || reg['Time of Departure Train/Flight'] || '',
+            flightTrain: reg.departureFlightTrain || reg['Departure Flight/Train Number'] || ''
+        };
+    }
+    return {
+        needed: reg.pickupNeeded || reg['Do you need a pickup on arrival?'] || '',
+        place: reg.normalizedPickupLocation || reg.arrivalPlace || reg['Place of Arrival'] || '',
+        date: reg.arrivalDate || reg['Date of Arrival'] || '',
+        time: reg.arrivalTime || reg['Time of Arrival'] || '',
+        flightTrain: reg.arrivalFlightTrain || reg['Arrival Flight/Train Number'] || ''
+    };
+}
+
+// Same rule as the travel form: "Yes", or no answer but travel details filled in
+function travelLegNeedsVehicle(leg) {
+    const needed = String(leg.needed).trim().toLowerCase();
+    if (needed === 'yes') return true;
+    return needed === '' && !!(leg.place || leg.date || leg.time || leg.flightTrain);
+}
+
+// Group participants into vehicle runs. Within each place and date, people are sorted by
+// time and a run collects everyone within `waitWindow` minutes of its first passenger,
+// up to `capacity` seats. People without a usable time are grouped separately.
+function planVehicleRuns(registrations, direction, capacity, waitWindow) {
+    const groups = {};
+
+    registrations.forEach(reg => {
+        const leg = getTravelLeg(reg, direction);
+        if (!travelLegNeedsVehicle(leg)) return;
+
+        const place = leg.place || 'Not Specified';
+        // Dates are stored in several formats, so runs are grouped and ordered by the parsed date
+        const sortDate = parseTravelDate(leg.date);
+        const date = sortDate || leg.date || 'Not Specified';
+        const key = `${place}||${date}`;
+        if (!groups[key]) groups[key] = { place, date, sortDate, passengers: [] };
+        groups[key].passengers.push({
+            uniqueId: reg.uniqueId || '',
+            name: reg.name || reg['Full Name'] || '',
+            phone: reg.phone || reg.Phone || '',
+            zone: reg.zone || reg.Zone || '',
+            time: leg.time,
+            minutes: parseTimeToMinutes(leg.time),
+            flightTrain: leg.flightTrain
+        });
+    });
+
+    const runs = [];
+    Object.values(groups)
+        .sort((a, b) => compareTravelDates(a.sortDate, b.sortDate) || a.date.localeCompare(b.date) || a.place.localeCompare(b.place))
+        .forEach(group => {
+            const timed = group.passengers.filter(p => p.minutes !== null).sort((a, b) => a.minutes - b.minutes);
+            const untimed = group.passengers.filter(p => p.minutes === null);
+            let vehicleNumber = 0;
+
+            let current = null;
+            timed.forEach(passenger => {
+                if (!current || current.passengers.length >= capacity ||
+                    passenger.minutes - current.firstMinutes > waitWindow) {
+                    current = {
+                        place: group.place,
+                        date: group.date,
+                        sortDate: group.sortDate,
+                        vehicleNumber: ++vehicleNumber,
+                        firstMinutes: passenger.minutes,
+                        lastMinutes: passenger.minutes,
+                        passengers: []
+                    };
+                    runs.push(current);
+                }
+                current.lastMinutes = passenger.minutes;
+                current.passengers.push(passenger);
+            });
+
+            for (let i = 0; i < untimed.length; i += capacity) {
+                runs.push({
+                    place: group.place,
+                    date: group.date,
+                    sortDate: group.sortDate,
+                    vehicleNumber: ++vehicleNumber,
+                    firstMinutes: null,
+                    lastMinutes: null,
+                    passengers: untimed.slice(i, i + capacity)
+                });
+            }
+        });
+
+    return runs;
+}
+
+// Build the plan from the dashboard registrations and show a summary table
+function generateVehiclePlan() {
+    const registrations = window.dashboardRegistrations || [];
+    const direction = document.getElementById('vehiclePlanDirection')?.value || 'arrival';
+    const capacity = parseInt(document.getElementById('vehiclePlanCapacity')?.value, 10);
+    const waitWindow = parseInt(document.getElementById('vehiclePlanWaitWindow')?.value, 10);
+    const dateFilter = document.getElementById('vehiclePlanDate')?.value || '';
+    const resultsDiv = document.getElementById('vehiclePlanResults');
+    if (!resultsDiv) return;
+
+    if (!capacity || capacity < 1 || isNaN(waitWindow) || waitWindow < 0) {
+        showNotification('Please enter a vehicle capacity of at least 1 and a wait window in minutes.', 'error');
+        return;
+    }
+    if (registrations.length === 0) {
+        showNotification('Registrations are not loaded yet. Please wait for the dashboard to finish loading.', 'error');
+        return;
+    }
+
+    const runs = planVehicleRuns(registrations, direction, capacity, waitWindow)
+        .filter(run => !dateFilter || run.sortDate === dateFilter || run.date === dateFilter);
+    vehiclePlan = { direction, capacity, waitWindow, runs };
+
+    if (runs.length === 0) {
+        resultsDiv.innerHTML = `<p style="color: #666;">No participants need a ${direction === 'departure' ? 'drop off' : 'pickup'}${dateFilter ? ' on ' + escapeHtml(dateFilter) : ''}.</p>`;
+        return;
+    }
+
+    const passengerCount = runs.reduce((sum, run) => sum + run.passengers.length, 0);
+    const timeHeader = direction === 'departure' ? 'Departures' : 'Arrivals';
+
+    let html = `
+        <p><strong>${runs.length}</strong> vehicle run(s) for <strong>${passengerCount}</strong> participant(s).</p>
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Date</th>
+                    <th>Place</th>
+                    <th>Vehicle</th>
+                    <th>${timeHeader}</th>
+                    <th>Passengers</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>`;
+
+    runs.forEach((run, index) => {
+        const timeWindow = run.firstMinutes === null
+            ? 'Time not provided'
+            : `${formatMinutesAsTime(run.firstMinutes)} - ${formatMinutesAsTime(run.lastMinutes)}`;
+        html += `
+                <tr>
+                    <td>${escapeHtml(run.date)}</td>
+                    <td>${escapeHtml(run.place)}</td>
+                    <td>${run.vehicleNumber}</td>
+                    <td>${escapeHtml(timeWindow)}</td>
+                    <td>${run.passengers.length} / ${capacity}</td>
+                    <td><button class="btn btn-secondary btn-sm" onclick="printVehicleManifests(${index})">Print</button></td>
+                </tr>`;
+    });
+
+    html += '</tbody></table>';
+    resultsDiv.innerHTML = html;
+}
+
+// Open a printable page with one manifest per vehicle (all runs, or a single run by index)
+function printVehicleManifests(runIndex = null) {
+    if (!vehiclePlan || vehiclePlan.runs.length === 0) {
+        showNotification('Generate a plan first.', 'error');
+        return;
+    }
+
+    const runs = runIndex === null ? vehiclePlan.runs : [vehiclePlan.runs[runIndex]].filter(Boolean);
+    const isDeparture = vehiclePlan.direction === 'departure';
+    const title = isDeparture ? 'Drop-off Manifest' : 'Pickup Manifest';
+
+    const manifests = runs.map(run => `
+        <div class="manifest">
+            <h2>VSS2025 ${title}</h2>
+            <p><strong>${isDeparture ? 'Drop-off at' : 'Pickup from'}:</strong> ${escapeHtml(run.place)}
+               &nbsp; <strong>Date:</strong> ${escapeHtml(run.date)}
+               &nbsp; <strong>Vehicle:</strong> ${run.vehicleNumber}
+               &nbsp; <strong>${isDeparture ? 'Departures' : 'Arrivals'}:</strong> ${run.firstMinutes === null ? 'Time not provided' : `${formatMinutesAsTime(run.firstMinutes)} - ${formatMinutesAsTime(run.lastMinutes)}`}</p>
+            <p><strong>Driver:</strong> ____________________ &nbsp; <strong>Vehicle No.:</strong> ____________ &nbsp; <strong>Coordinator:</strong> ____________________</p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Name</th>
+                        <th>Praveshika ID</th>
+                        <th>Phone</th>
+                        <th>Time</th>
+                        <th>Flight/Train</th>
+                        <th>Zone</th>
+                        <th>✓</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${run.passengers.map((p, i) => `
+                        <tr>
+                            <td>${i + 1}</td>
+                            <td>${escapeHtml(p.name)}</td>
+                            <td>${escapeHtml(p.uniqueId)}</td>
+                            <td>${escapeHtml(p.phone)}</td>
+                            <td>${escapeHtml(p.time || '')}</td>
+                            <td>${escapeHtml(p.flightTrain)}</td>
+                            <td>${escapeHtml(p.zone)}</td>
+                            <td></td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>
+        </div>`).join('');
+
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+        showNotification('Please allow pop-ups to print manifests.', 'error');
+        return;
+    }
+
+    printWindow.document.write(`<!DOCTYPE html>
+<html>
+<head>
+    <title>VSS2025 ${title}s</title>
+    <style>
+        body { font-family: Arial, sans-serif; font-size: 12px; margin: 1.5cm; }
+        h2 { margin: 0 0 0.5rem; font-size: 18px; }
+        table { width: 100%; border-collapse: collapse; margin-top: 0.5rem; }
+        th, td { border: 1px solid #333; padding: 4px 6px; text-align: left; }
+        th { background: #eee; }
+        .manifest { page-break-after: always; }
+        .manifest:last-child { page-break-after: auto; }
+    </style>
+</head>
+<body>${manifests}</body>
+</html>`);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+}
+
+// Load transportation changes based on time period
+async function loadTransportationChanges(period) {
+    if (!window.firebase || !firebase.firestore) {
+        showNotification('Firebase not initialized.', 'error');
+        return;
+    }
+    
+    const db = firebase.firestore();
+    const now = new Date();
+    let startTime;
+    
+    if (period === 'day') {
+        startTime = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+    } else if (period === 'week') {
+        startTime = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+    } else {
+        startTime = null; // Anytime
+    }
+    
+    try {
+        // First, load summary counts for all periods
+        await loadTransportationChangeSummary();
+        
+        // For "anytime" period, use optimized query limited to 1000 most recent changes
+        if (!startTime) {
+            // Use query with orderBy and limit instead of loading all documents
+            // This shows the last 1000 transportation changes, not all historical changes
+            // Note: orderBy only returns documents where the field exists
+            let query = db.collection('registrations')
+                .orderBy('travelupdateAt', 'desc')
+                .limit(1000);
+            
+            const snapshot = await query.get();
+            const changes = [];
+            
+            snapshot.forEach(doc => {
+                const data = doc.data();
+                if (data.travelupdateAt) {
+                    changes.push({
+                        name: data.name || data['Full Name'] || 'Unknown',
+                        uniqueId: data.uniqueId || doc.id,
+                        email: data.email || data['Email address'] || '',
+                        pickupLocation: data.arrivalPlace || data.pickupLocation || data['Pickup Location'] || data['Place of Arrival'] || 'Not Specified',
+                        arrivalDate: data.arrivalDate || data['Arrival Date'] || data['Date of Arrival'] || '',
+                        arrivalTime: data.arrivalTime || data['Arrival Time'] || data['Time of Arrival'] || '',
+                        travelupdateAt: data.travelupdateAt
+                    });
+                }
+            });
+            
+            displayTransportationChanges(changes);
+            return;
+        }
+        
+        // For day/week periods, use query
+        let query = db.collection('registrations')
+            .where('travelupdateAt', '>=', firebase.firestore.Timestamp.fromDate(startTime))
+            .orderBy('travelupdateAt', 'desc');
+        
+        const snapshot = await query.get();
+        
+        const changes = [];
+        snapshot.forEach(doc => {
+            const data = doc.data();
+            if (data.travelupdateAt) {
+                changes.push({
+                    name: data.name || data['Full Name'] || 'Unknown',
+                    uniqueId: data.uniqueId || doc.id,
+                    email: data.email || data['Email address'] || '',
+                    pickupLocation: data.arrivalPlace || data.pickupLocation || data['Pickup Location'] || data['Place of Arrival'] || 'Not Specified',
+                    arrivalDate: data.arrivalDate || data['Arrival Date'] || data['Date of Arrival'] || '',
+                    arrivalTime: data.arrivalTime || data['Arrival Time'] || data['Time of Arrival'] || '',
+                    travelupdateAt: data.travelupdateAt
+                });
+            }
+        });
+        
+        displayTransportationChanges(changes);
+        
+    } catch (error) {
+        console.error('Error loading transportation changes:', error);
+        // If the query fails (e.g., no index), show error message
+        // Note: Firestore requires a composite index for queries with orderBy on different fields
+        showNotification('Error loading transportation changes. The query may require a Firestore index. Please try again or contact support.', 'error');
+    }
+}
+
+// Load summary counts for transportation changes
+async function loadTransportationChangeSummary() {
+    if (!window.firebase || !firebase.firestore) {
+        return;
+    }
+    
+    const db = firebase.firestore();
+    const now = new Date();
+    const dayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+    const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+    
+    try {
+        // Count changes in last day
+        const dayQuery = db.collection('registrations')
+            .where('travelupdateAt', '>=', firebase.firestore.Timestamp.fromDate(dayAgo));
+        const daySnapshot = await dayQuery.get();
+        const dayCount = daySnapshot.size;
+        
+        // Count changes in last week
+        const weekQuery = db.collection('registrations')
+            .where('travelupdateAt', '>=', firebase.firestore.Timestamp.fromDate(weekAgo));
+        const weekSnapshot = await weekQuery.get();
+        const weekCount = weekSnapshot.size;
+        
+        // Count total changes (all registrations with travelupdateAt)
+        const totalQuery = db.collection('registrations')
+            .where('travelupdateAt', '>', firebase.firestore.Timestamp.fromDate(new Date(0)));
+        const totalSnapshot = await totalQuery.get();
+        const totalCount = totalSnapshot.size;
+        
+        // Update UI
+        const dayEl = document.getElementById('transportationChangesDay');
+        if (dayEl) dayEl.textContent = dayCount;
+        
+        const weekEl = document.getElementById('transportationChangesWeek');
+        if (weekEl) weekEl.textContent = weekCount;
+        
+        const totalEl = document.getElementById('totalTransportationChanges');
+        if (totalEl) totalEl.textContent = totalCount;
+        
+    } catch (error) {
+        console.error('Error loading transportation change summary:', error);
+        // Fallback: try to get approximate counts
+        try {
+            const allSnapshot = await db.collection('registrations').get();
+            let dayCount = 0;
+            let weekCount = 0;
+            let totalCount = 0;
+            
+            allSnapshot.forEach(doc => {
+                const data = doc.data();
+                if (data.travelupdateAt) {
+                    totalCount++;
+                    const updateTime = data.travelupdateAt.toDate ? data.travelupdateAt.toDate() : null;
+                    if (updateTime) {
+                        if (updateTime >= dayAgo) dayCount++;
+                        if (updateTime >= weekAgo) weekCount++;
+                    }
+                }
+            });
+            
+            const dayEl = document.getElementById('transportationChangesDay');
+            if (dayEl) dayEl.textContent = dayCount;
+            
+            const weekEl = document.getElementById('transportationChangesWeek');
+            if (weekEl) weekEl.textContent = weekCount;
+            
+            const totalEl = document.getElementById('totalTransportationChanges');
+            if (totalEl) totalEl.textContent = totalCount;
+        } catch (fallbackError) {
+            console.error('Error in fallback summary calculation:', fallbackError);
+        }
+    }
+}
+
+// Helper function to display transportation changes
+function displayTransportationChanges(changes) {
+    // Display changes
+    const tbody = document.getElementById('transportationChangesTableBody');
+    if (!tbody) return;
+    
+    let html = '';
+    if (changes.length === 0) {
+        html = '<tr><td colspan="7" style="text-align: center;">No changes found for the selected period.</td></tr>';
+    } else {
+        changes.forEach(change => {
+            const updateTime = change.travelupdateAt ? 
+                (change.travelupdateAt.toDate ? change.travelupdateAt.toDate().toLocaleString() : 'Unknown') : 
+                'Unknown';
+            
+            // Add "Last changed" indicator to Praveshika ID
+            const praveshikaIdDisplay = escapeHtml(change.uniqueId) + 
+                ' <span style="color: #28a745; font-size: 0.85rem; font-weight: bold;">(Last changed)</span>';
+            
+            html += `
+                <tr>
+                    <td>${escapeHtml(change.name)}</td>
+                    <td>${praveshikaIdDisplay}</td>
+                    <td>${escapeHtml(change.email)}</td>
+                    <td>${escapeHtml(change.pickupLocation)}</td>
+                    <td>${escapeHtml(change.arrivalDate)}</td>
+                    <td>${escapeHtml(change.arrivalTime)}</td>
+                    <td>${escapeHtml(updateTime)}</td>
+                </tr>
+            `;
+        });
+    }
+    
+    tbody.innerHTML = html;
+}
+
+// Helper function to format date value (handles Excel serial dates, Date objects, strings, etc.)
+function formatDateValue(dateValue) {
+    if (!dateValue) return '';
+    
+    const str = String(dateValue).trim();
+    if (!str) return '';
+    
+    const num = parseFloat(str);
+    
+    // If it's a number that looks like an Excel serial date (between 1 and 100000)
+    if (!isNaN(num) && num > 0 && num < 100000) {
+        // Excel serial date - convert to actual date
+        // Excel epoch is January 1, 1900 (serial number 1)
+        // Excel incorrectly treats 1900 as a leap year, so we adjust
+        const excelEpoch = new Date(1899, 11, 30); // Dec 30, 1899
+        const days = Math.floor(num);
+        const date = new Date(excelEpoch);
+        date.setDate(date.getDate() + days);
+        
+        // Verify it's a reasonable date (between 1900 and 2100)
+        if (date.getFullYear() >= 1900 && date.getFullYear() < 2100) {
+            return date.toLocaleDateString('en-US', { year: 'numeric', month: '2-digit', day: '2-digit' });
+        }
+    }
+    
+    // If it's a valid date string or Date object
+    const date = new Date(str);
+    if (!isNaN(date.getTime())) {
+        // Check if it's a reasonable date (not year 1900 from Excel conversion)
+        if (date.getFullYear() > 1900 && date.getFullYear() < 2100) {
+            return date.toLocaleDateString('en-US', { year: 'numeric', month: '2-digit', day: '2-digit' });
+        }
+    }
+    
+    // If it looks like a date string already (contains / or -)
+    if (str.match(/^\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}$/)) {
+        return str;
+    }
+    
+    // If it's just a number that's too large to be a date, return empty
+    if (!isNaN(num) && num >= 100000) {
+        return '';
+    }
+    
+    return str;
+}
+
+// Helper function to format time value (handles decimal numbers, invalid formats, etc.)
+function formatTimeValue(timeValue) {
+    if (!timeValue) return '';
+    
+    const str = String(timeValue).trim();
+    if (!str) return '';
+    
+    // If it's a decimal number (like 0.33333333333575865), return empty
+    const num = parseFloat(str);
+    if (!isNaN(num) && num >= 0 && num < 1 && str.includes('.')) {
+        return '';
+    }
+    
+    // If it's a number that looks like a time in decimal format (e.g., 14.5 for 14:30)
+    if (!isNaN(num) && num >= 0 && num < 24 && num % 1 !== 0) {
+        const hours = Math.floor(num);
+        const minutes = Math.round((num - hours) * 60);
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+    
+    // If it matches time format (HH:MM or HH:MM:SS)
+    if (str.match(/^\d{1,2}:\d{2}(:\d{2})?$/)) {
+        return str;
+    }
+    
+    // If it's a valid time string, try to parse it
+    const timeMatch = str.match(/(\d{1,2}):?(\d{2})?/);
+    if (timeMatch) {
+        const hours = parseInt(timeMatch[1]);
+        const minutes = timeMatch[2] ? parseInt(timeMatch[2]) : 0;
+        if (hours >= 0 && hours < 24 && minutes >= 0 && minutes < 60) {
+            return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+        }
+    }
+    
+    // If it's an invalid number format, return empty
+    if (!isNaN(num) && (num < 0 || num >= 24)) {
+        return '';
+    }
+    
+    return str;
+}
+
+// Display complex transportation view: sorted by location, date, time
+function displayComplexTransportationView(registrations) {
+    const tbody = document.getElementById('complexTransportationTableBody');
+    if (!tbody) return;
+    
+    // Filter registrations that have transportation details
+    // Look for various field name variations
+    const transportationData = registrations
+        .filter(reg => {
+            const pickup = reg.pickupLocation || reg['Pickup Location'] || reg['Place of Arrival'] || reg.placeOfArrival;
+            const arrivalDate = reg.arrivalDate || reg['Arrival Date'] || reg['Date of Arrival'] || reg.dateOfArrival;
+            const arrivalTime = reg.arrivalTime || reg['Arrival Time'] || reg['Time of Arrival'] || reg.timeOfArrival;
+            return pickup || arrivalDate || arrivalTime;
+        })
+        .map(reg => {
+            // Get raw values
+            const rawPickupLocation = reg.pickupLocation || reg['Pickup Location'] || reg['Place of Arrival'] || reg.placeOfArrival || '';
+            const rawArrivalDate = reg.arrivalDate || reg['Arrival Date'] || reg['Date of Arrival'] || reg.dateOfArrival || '';
+            const rawArrivalTime = reg.arrivalTime || reg['Arrival Time'] || reg['Time of Arrival'] || reg.timeOfArrival || '';
+            
+            // Clean up pickup location - if it's a number that looks like a date, it's probably wrong
+            let pickupLocation = rawPickupLocation;
+            const pickupNum = parseFloat(rawPickupLocation);
+            if (!isNaN(pickupNum) && pickupNum > 10000 && pickupNum < 100000) {
+                // This looks like a date serial number in the wrong field
+                pickupLocation = '';
+            }
+            
+            return {
+                name: reg.name || reg['Full Name'] || 'Unknown',
+                uniqueId: reg.uniqueId || '',
+                email: reg.email || reg['Email address'] || '',
+                pickupLocation: pickupLocation,
+                arrivalDate: formatDateValue(rawArrivalDate),
+                arrivalTime: formatTimeValue(rawArrivalTime),
+                flightTrainNumber: reg.flightTrainNumber || reg['Flight/Train Number'] || reg['Flight Number'] || reg['Train Number'] || '',
+                modeOfTravel: reg['Mode of Travel'] || reg.modeOfTravel || ''
+            };
+        });
+    
+    // Sort by: 1) Pickup Location (alphabetical), 2) Arrival Date, 3) Arrival Time
+    transportationData.sort((a, b) => {
+        // First by pickup location
+        const locationCompare = String(a.pickupLocation || '').localeCompare(String(b.pickupLocation || ''));
+        if (locationCompare !== 0) return locationCompare;
+        
+        // Then by arrival date
+        const dateCompare = String(a.arrivalDate || '').localeCompare(String(b.arrivalDate || ''));
+        if (dateCompare !== 0) return dateCompare;
+        
+        // Finally by arrival time
+        return String(a.arrivalTime || '').localeCompare(String(b.arrivalTime || ''));
+    });
+    
+    let html = '';
+    if (transportationData.length === 0) {
+        html = '<tr><td colspan="8" style="text-align: center;">No transportation data available.</td></tr>';
+    } else {
+        transportationData.forEach(item => {
+            html += `
+                <tr>
+                    <td>${escapeHtml(item.pickupLocation)}</td>
+                    <td>${escapeHtml(item.arrivalDate)}</td>
+                    <td>${escapeHtml(item.arrivalTime)}</td>
+                    <td>${escapeHtml(item.modeOfTravel)}</td>
+                    <td>${escapeHtml(item.name)}</td>
+                    <td>${escapeHtml(item.uniqueId)}</td>
+                    <td>${escapeHtml(item.flightTrainNumber)}</td>
+                    <td>${escapeHtml(item.email)}</td>
+                </tr>
+            `;
+        });
+    }
+    
+    tbody.innerHTML = html;
+}
+
+// Badge Feature Functions
+// Helper function to convert image to data URL to avoid CORS issues
+function imageToDataURL(url) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.crossOrigin = 'anonymous'; // Enable CORS
+        img.onload = function() {
+            try {
+                const canvas = document.createElement('canvas');
+                canvas.width = img.width;
+                canvas.height = img.height;
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(img, 0, 0);
+                resolve(canvas.toDataURL('image/png'));
+            } catch (error) {
+                // If CORS fails, try without crossOrigin
+                const img2 = new Image();
+                img2.onload = function() {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = img2.width;
+                    canvas.height = img2.height;
+                    const ctx = canvas.getContext('2d');
+                    ctx.drawImage(img2, 0, 0);
+                    resolve(canvas.toDataURL('image/png'));
+                };
+                img2.onerror = () => resolve(null); // Return null if image can't be loaded
+                img2.src = url;
+            }
+        };
+        img.onerror = () => {
+            // If CORS fails, try without crossOrigin
+            const img2 = new Image();
+            img2.onload = function() {
+                try {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = img2.width;
+                    canvas.height = img2.height;
+                    const ctx = canvas.getContext('2d');
+                    ctx.drawImage(img2, 0, 0);
+                    resolve(canvas.toDataURL('image/png'));
+                } catch (error) {
+                    resolve(null); // Return null if conversion fails
+                }
+            };
+            img2.onerror = () => resolve(null); // Return null if image can't be loaded
+            img2.src = url;
+        };
+        img.src = url;
+    });
+}
+
+function showBadge(name, country, shreni, barcode, uniqueId, room = '') {
+    // Create badge modal
+    const modal = document.createElement('div');
+    modal.id = 'badgeModal';
+    modal.className = 'modal badge-modal';
+    modal.style.display = 'block';
+    document.body.style.overflow = 'hidden';
+
+    // Use uniqueId if barcode is empty or same as uniqueId
+    const barcodeValue = barcode && barcode !== 'N/A' && barcode !== uniqueId ? barcode : uniqueId;
+
+    // Load logo and convert to data URL to avoid CORS issues (from protected-resources)
+    // Use public resource URL since logo should be accessible without login
+    getPublicResourceUrl('logo.png').then(url => {
+        return imageToDataURL(url);
+    }).then(logoDataUrl => {
+        const logoSrc = logoDataUrl || '';
+        
+        modal.innerHTML = `
+            <div class="modal-content badge-modal-content">
+                <span class="close" onclick="closeBadge()">&times;</span>
+                <h2>VSS2025 Badge</h2>
+                <div id="badgeContainer" class="badge-container">
+                    <div class="badge-content">
+                        <img src="${logoSrc}" alt="VSS Logo" class="badge-logo" crossorigin="anonymous" onerror="this.style.display='none'">
+                        <h3 class="badge-name">${escapeHtml(name)}</h3>
+                        <div class="badge-details">
+                            <p><strong>Country:</strong> ${escapeHtml(country)}</p>
+                            <p><strong>Shreni:</strong> ${escapeHtml(shreni)}</p>
+                            <p><strong>Praveshika ID:</strong> ${escapeHtml(uniqueId)}</p>
+                            ${room ? `<p><strong>Room:</strong> ${escapeHtml(room)}</p>` : ''}
+                        </div>
+                        <div class="badge-barcode-container">
+                            <div id="badgeQr" class="badge-qr"></div>
+                            <svg id="badgeBarcode"></svg>
+                        </div>
+                    </div>
+                </div>
+                <div class="badge-actions">
+                    <button class="btn btn-primary" onclick="downloadBadgeAsPDF('${escapeHtml(name)}', '${escapeHtml(country)}', '${escapeHtml(shreni)}', '${escapeHtml(barcodeValue)}')">
+                        📄 Download PDF
+                    </button>
+                    <button class="btn btn-secondary" onclick="downloadBadgeAsJPG('${escapeHtml(name)}', '${escapeHtml(country)}', '${escapeHtml(shreni)}', '${escapeHtml(barcodeValue)}')">
+                        🖼️ Download JPG
+                    </button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        // Generate signed QR code (or Code128 barcode as fallback)
+        setTimeout(() => {
+            renderBadgeCode(barcodeValue, uniqueId);
+        }, 100);
+    }).catch(error => {
+        console.error('Error loading logo:', error);
+        // Create modal without logo if image loading fails
+        modal.innerHTML = `
+            <div class="modal-content badge-modal-content">
+                <span class="close" onclick="closeBadge()">&times;</span>
+                <h2>VSS2025 Badge</h2>
+                <div id="badgeContainer" class="badge-container">
+                    <div class="badge-content">
+                        <h3 class="badge-name">${escapeHtml(name)}</h3>
+                        <div class="badge-details">
+                            <p><strong>Country:</strong> ${escapeHtml(country)}</p>
+                            <p><strong>Shreni:</strong> ${escapeHtml(shreni)}</p>
+                            <p><strong>Praveshika ID:</strong> ${escapeHtml(uniqueId)}</p>
+                            ${room ? `<p><strong>Room:</strong> ${escapeHtml(room)}</p>` : ''}
+                        </div>
+                        <div class="badge-barcode-container">
+                            <div id="badgeQr" class="badge-qr"></div>
+                            <svg id="badgeBarcode"></svg>
+                        </div>
+                    </div>
+                </div>
+                <div class="badge-actions">
+                    <button class="btn btn-primary" onclick="downloadBadgeAsPDF('${escapeHtml(name)}', '${escapeHtml(country)}', '${escapeHtml(shreni)}', '${escapeHtml(barcodeValue)}')">
+                        📄 Download PDF
+                    </button>
+                    <button class="btn btn-secondary" onclick="downloadBadgeAsJPG('${escapeHtml(name)}', '${escapeHtml(country)}', '${escapeHtml(shreni)}', '${escapeHtml(barcodeValue)}')">
+                        🖼️ Download JPG
+                    </button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+        
+        // Generate signed QR code (or Code128 barcode as fallback)
+        setTimeout(() => {
+            renderBadgeCode(barcodeValue, uniqueId);
+        }, 100);
+    });
+}
+
+function closeBadge() {
+    const modal = document.getElementById('badgeModal');
+    if (modal) {
+        modal.remove();
+        document.body.style.overflow = 'auto';
+    }
+}
+
+function downloadBadgeAsPDF(name, country, shreni, barcode) {
+    const badgeContainer = document.getElementById('badgeContainer');
+    if (!badgeContainer) return;
+
+    if (typeof html2canvas === 'undefined' || typeof window.jspdf === 'undefined') {
+        showNotification('PDF library not loaded. Please refresh the page.', 'error');
+        return;
+    }
+
+    showNotification('Generating PDF...', 'info');
+
+    // Ensure logo is loaded before capturing
+    const logoImg = badgeContainer.querySelector('.badge-logo');
+    const logoLoaded = new Promise((resolve) => {
+        if (!logoImg || logoImg.complete) {
+            resolve();
+            return;
+        }
+        logoImg.onload = () => resolve();
+        logoImg.onerror = () => resolve(); // Continue even if logo fails
+        // Timeout after 2 seconds
+        setTimeout(() => resolve(), 2000);
+    });
+
+    logoLoaded.then(() => {
+        // Small delay to ensure rendering is complete
+        setTimeout(() => {
+            html2canvas(badgeContainer, {
+                scale: 2,
+                backgroundColor: '#ffffff',
+                logging: false,
+                useCORS: true,
+                allowTaint: false,
+                imageTimeout: 15000,
+                onclone: (clonedDoc) => {
+                    // Ensure logo is visible in cloned document
+                    const clonedLogo = clonedDoc.querySelector('.badge-logo');
+                    if (clonedLogo && logoImg) {
+                        clonedLogo.src = logoImg.src;
+                        clonedLogo.style.display = 'block';
+                    }
+                }
+            }).then(canvas => {
+        const imgData = canvas.toDataURL('image/png');
+        const { jsPDF } = window.jspdf;
+        const pdf = new jsPDF('portrait', 'mm', 'a4');
+        const imgWidth = 210; // A4 width in mm
+        const pageHeight = 297; // A4 height in mm
+        const imgHeight = (canvas.height * imgWidth) / canvas.width;
+        let heightLeft = imgHeight;
+        let position = 0;
+
+        pdf.addImage(imgData, 'PNG', 0, position, imgWidth, imgHeight);
+        heightLeft -= pageHeight;
+
+        while (heightLeft >= 0) {
+            position = heightLeft - imgHeight;
+            pdf.addPage();
+            pdf.addImage(imgData, 'PNG', 0, position, imgWidth, imgHeight);
+            heightLeft -= pageHeight;
         }
-        updatedRegsTbody.innerHTML = html;
-    }
+
+                pdf.save(`VSS2025_Badge_${name.replace(/\s+/g, '_')}.pdf`);
+                showNotification('PDF downloaded successfully!', 'success');
+            }).catch(error => {
+                console.error('PDF generation error:', error);
+                showNotification('Error generating PDF. Please try again.', 'error');
+            });
+        }, 100);
+    });
 }
 
-// Export registration data with transportation to CSV
-function exportRegistrationDataWithTransport() {
-    if (!window.firebase || !firebase.firestore) {
-        showNotification('Firebase not initialized', 'error');
+function downloadBadgeAsJPG(name, country, shreni, barcode) {
+    const badgeContainer = document.getElementById('badgeContainer');
+    if (!badgeContainer) return;
+
+    if (typeof html2canvas === 'undefined') {
+        showNotification('Image library not loaded. Please refresh the page.', 'error');
         return;
     }
-    
-    const db = firebase.firestore();
-    showNotification('Preparing export...', 'info');
-    
-    // Fetch all registrations
-    db.collection('registrations').get()
-        .then((snapshot) => {
-            const registrations = [];
-            snapshot.forEach((doc) => {
-                registrations.push(doc.data());
-            });
-            
-            // Prepare CSV data
-            const csvRows = [];
-            
-            // CSV Header
-            csvRows.push([
-                'Name',
-                'Praveshika ID',
-                'Email ID',
-                'Phone Number',
-                'Pickup Needed',
-                'Place of Arrival',
-                'Date of Arrival',
-                'Time of Arrival',
-                'Arrival Flight/Train Number',
-                'Dropoff Needed',
-                'Date of Departure',
-                'Time of Departure',
-                'Departure Flight/Train Number',
-                'Place of Departure'
-            ].join(','));
-            
-            // CSV Data Rows
-            registrations.forEach((reg) => {
-                const name = escapeCsvField(reg.name || reg['Full Name'] || '');
-                const praveshikaId = escapeCsvField(reg.uniqueId || reg['Praveshika ID'] || '');
-                const email = escapeCsvField(reg.email || reg['Email address'] || reg['Email'] || '');
-                const phone = escapeCsvField(reg.phone || reg.Phone || reg['Phone number on which you can be contacted in Bharat (by call or WhatsApp)'] || '');
-                const pickupNeeded = escapeCsvField(reg.pickupNeeded || reg['Do you need a pickup on arrival?'] || '');
-                const placeOfArrival = escapeCsvField(reg.arrivalPlace || reg['Place of Arrival'] || reg.pickupLocation || '');
-                const arrivalDate = escapeCsvField(reg.arrivalDate || reg['Date of Arrival'] || '');
-                const arrivalTime = escapeCsvField(reg.arrivalTime || reg['Time of Arrival'] || '');
-                const arrivalFlightTrain = escapeCsvField(reg.arrivalFlightTrain || reg['Arrival Flight/Train Number'] || reg.flightTrainNumber || '');
-                const dropoffNeeded = escapeCsvField(reg.dropoffNeeded || reg['Do you need a drop off for departure?'] || '');
-                const departureDate = escapeCsvField(reg.departureDate || reg['Date of Departure'] || reg['Date of Departure Train/Flight'] || '');
-                const departureTime = escapeCsvField(reg.departureTime || reg['Time of Departure'] || reg['Time of Departure Train/Flight'] || '');
-                const departureFlightTrain = escapeCsvField(reg.departureFlightTrain || reg['Departure Flight/Train Number'] || reg.returnFlightTrainNumber || '');
-                const placeOfDeparture = escapeCsvField(reg.departurePlace || reg['Place of Departure'] || '');
-                
-                csvRows.push([
-                    name,
-                    praveshikaId,
-                    email,
-                    phone,
-                    pickupNeeded,
-                    placeOfArrival,
-                    arrivalDate,
-                    arrivalTime,
-                    arrivalFlightTrain,
-                    dropoffNeeded,
-                    departureDate,
-                    departureTime,
-                    departureFlightTrain,
-                    placeOfDeparture
-                ].join(','));
+
+    showNotification('Generating image...', 'info');
+
+    // Ensure logo is loaded before capturing
+    const logoImg = badgeContainer.querySelector('.badge-logo');
+    const logoLoaded = new Promise((resolve) => {
+        if (!logoImg || logoImg.complete) {
+            resolve();
+            return;
+        }
+        logoImg.onload = () => resolve();
+        logoImg.onerror = () => resolve(); // Continue even if logo fails
+        // Timeout after 2 seconds
+        setTimeout(() => resolve(), 2000);
+    });
+
+    logoLoaded.then(() => {
+        // Small delay to ensure rendering is complete
+        setTimeout(() => {
+            html2canvas(badgeContainer, {
+                scale: 2,
+                backgroundColor: '#ffffff',
+                logging: false,
+                useCORS: true,
+                allowTaint: false,
+                imageTimeout: 15000,
+                onclone: (clonedDoc) => {
+                    // Ensure logo is visible in cloned document
+                    const clonedLogo = clonedDoc.querySelector('.badge-logo');
+                    if (clonedLogo && logoImg) {
+                        clonedLogo.src = logoImg.src;
+                        clonedLogo.style.display = 'block';
+                    }
+                }
+            }).then(canvas => {
+                canvas.toBlob(blob => {
+                    const url = URL.createObjectURL(blob);
+                    const link = document.createElement('a');
+                    link.href = url;
+                    link.download = `VSS2025_Badge_${name.replace(/\s+/g, '_')}.jpg`;
+                    document.body.appendChild(link);
+                    link.click();
+                    document.body.removeChild(link);
+                    URL.revokeObjectURL(url);
+                    showNotification('Image downloaded successfully!', 'success');
+                }, 'image/jpeg', 0.95);
+            }).catch(error => {
+                console.error('Image generation error:', error);
+                showNotification('Error generating image. Please try again.', 'error');
             });
-            
-            // Create CSV content
-            const csvContent = csvRows.join('\n');
-            
-            // Create download link
-            const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-            const link = document.createElement('a');
-            const url = URL.createObjectURL(blob);
-            link.setAttribute('href', url);
-            link.setAttribute('download', `VSS2025_Registration_Transport_Data_${new Date().toISOString().split('T')[0]}.csv`);
-            link.style.visibility = 'hidden';
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            
-            showNotification('CSV file downloaded successfully!', 'success');
-        })
-        .catch((error) => {
-            console.error('Error exporting data:', error);
-            showNotification('Error exporting data: ' + error.message, 'error');
-        });
+        }, 100);
+    });
 }
 
-// Helper function to escape CSV fields
-function escapeCsvField(field) {
-    if (field === null || field === undefined) return '';
-    const str = String(field);
-    // If field contains comma, quote, or newline, wrap in quotes and escape quotes
-    if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-        return '"' + str.replace(/"/g, '""') + '"';
-    }
-    return str;
+// Helper function to escape HTML
+function escapeHtml(text) {
+    if (text == null) return ''; // Handle null and undefined
+    // Convert to string to handle numbers, Date objects, and other types
+    const textStr = String(text);
+    const map = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#039;'
+    };
+    return textStr.replace(/[&<>"']/g, m => map[m]);
 }
 
-// Gender slicing with range details
-function updateGenderSlicing() {
-    const startRange = parseInt(document.getElementById('genderRangeStart')?.value || 0);
-    const endRange = parseInt(document.getElementById('genderRangeEnd')?.value || 1000);
-    
-    if (!window.dashboardStats || !window.dashboardRegistrations) {
-        showNotification('Dashboard data not loaded. Please refresh the dashboard.', 'error');
-        return;
+// Close badge modal when clicking outside
+window.addEventListener('click', function(event) {
+    const badgeModal = document.getElementById('badgeModal');
+    if (event.target === badgeModal) {
+        closeBadge();
     }
-    
-    const stats = window.dashboardStats;
-    const registrations = window.dashboardRegistrations;
-    
-    // Filter registrations by range (using index or ID number)
-    const filteredRegs = registrations.filter((reg, index) => {
-        const regIndex = index + 1; // 1-based index
-        return regIndex >= startRange && regIndex <= endRange;
-    });
-    
-    // Calculate gender breakdown for filtered range
-    const genderBreakdown = {};
-    filteredRegs.forEach(reg => {
-        const gender = reg.gender || reg.Gender || 'Not Specified';
-        genderBreakdown[gender] = (genderBreakdown[gender] || 0) + 1;
-    });
-    
-    // Display in table
-    const tbody = document.getElementById('genderSlicingTableBody');
-    if (!tbody) return;
-    
-    const total = filteredRegs.length;
-    const sortedEntries = Object.entries(genderBreakdown).sort((a, b) => b[1] - a[1]);
-    
-    let html = '';
-    sortedEntries.forEach(([gender, count]) => {
-        const percentage = total > 0 ? ((count / total) * 100).toFixed(1) : '0.0';
-        html += `<tr>
-            <td>${escapeHtml(gender)}</td>
-            <td>${count}</td>
-            <td>${percentage}%</td>
-            <td>Range ${startRange}-${endRange} (${total} total)</td>
-        </tr>`;
+});
+
+// ============================================
+// CHECKIN MODULE FUNCTIONS
+// ============================================
+
+// Global variables for checkin
+let currentCheckinType = 'pickup_location';
+let currentCheckinParticipantUniqueId = null;
+let checkinHistoryListener = null;
+let currentHistoryPage = 1;
+let historyPageSize = 50;
+let checkinNotificationSettings = {
+    enabled: true,
+    types: [],
+    soundEnabled: false,
+    duration: 5000
+};
+
+// ============================================
+// CHECK-IN TYPE REGISTRY
+// ============================================
+
+// Check-in types and volunteer teams are configured in config/checkin so new types can be
+// added from User Management without a code change. That document is the only registry:
+// it is created with the defaults by `node firestore-utils.js seed-checkin-config`, and
+// api/checkin and firestore.rules read the same document.
+const EMPTY_CHECKIN_CONFIG = { teams: {}, types: {} };
+
+// Checkin document fields that extra form fields may not overwrite (mirrors api/checkin)
+const CHECKIN_RESERVED_FIELDS = ['uniqueId', 'checkinType', 'timestamp', 'checkedInBy', 'checkedInByName',
+    'notes', 'source', 'syncedAt', 'pickupLocation', 'checkedOutAt', 'checkedOutBy', 'checkedOutByName'];
+
+const CHECKIN_CONFIG_CACHE_KEY = 'checkinConfigCache';
+
+let checkinConfig = null;
+let checkinConfigPromise = null;
+
+// Checkin type labels, rebuilt from the registry (insertion order follows the configured order)
+const CHECKIN_TYPE_LABELS = {};
+
+function sortByConfiguredOrder(entries) {
+    return entries.sort((a, b) => (a[1].order ?? 999) - (b[1].order ?? 999) || a[0].localeCompare(b[0]));
+}
+
+function applyCheckinConfig(config) {
+    checkinConfig = {
+        teams: { ...(config?.teams || EMPTY_CHECKIN_CONFIG.teams) },
+        types: { ...(config?.types || EMPTY_CHECKIN_CONFIG.types) }
+    };
+    Object.keys(CHECKIN_TYPE_LABELS).forEach(type => delete CHECKIN_TYPE_LABELS[type]);
+    sortByConfiguredOrder(Object.entries(checkinConfig.types)).forEach(([type, typeConfig]) => {
+        CHECKIN_TYPE_LABELS[type] = typeConfig.label || type;
     });
-    
-    if (sortedEntries.length === 0) {
-        html = '<tr><td colspan="4" style="text-align: center;">No data in this range</td></tr>';
-    }
-    
-    tbody.innerHTML = html;
 }
 
-// Enhanced search by login ID (Praveshika ID) to show all related IDs
-async function searchParticipantByLoginId() {
-    const loginIdInput = document.getElementById('lookupUniqueId');
-    if (!loginIdInput) return;
-    
-    const loginId = loginIdInput.value.trim();
-    if (!loginId) {
-        showNotification('Please enter a Praveshika ID', 'error');
-        return;
-    }
-    
-    if (!window.firebase || !firebase.firestore) {
-        showNotification('Firebase not initialized', 'error');
-        return;
-    }
-    
-    try {
-        const db = firebase.firestore();
-        // Normalize: uppercase the ID
-        const uppercasedId = loginId.toUpperCase().trim();
-        const normalizedId = normalizePraveshikaId(loginId);
-        
-        // First, find the registration with this ID
-        const regQuery = await db.collection('registrations')
-            .where('normalizedId', '==', normalizedId)
-            .limit(1)
-            .get();
-        
-        if (regQuery.empty) {
-            // Try direct document ID lookup with uppercased ID first
-            let regDoc = await db.collection('registrations').doc(uppercasedId).get();
-            // Fallback to original ID if not found
-            if (!regDoc.exists) {
-                regDoc = await db.collection('registrations').doc(loginId).get();
-            }
-            if (regDoc.exists) {
-                const regData = regDoc.data();
-                // Only show if status is "Approved"
-                if (regData.status !== 'Approved') {
-                    showNotification('Participant not found or not approved', 'error');
-                    clearParticipantLookupResults();
-                    return;
-                }
-                
-                const email = regData.email || regData['Email address'] || '';
-                
-                // Find all registrations with the same email (only approved ones)
-                if (email) {
-                    const allRegs = await db.collection('registrations').get();
-                    const relatedRegs = [];
-                    allRegs.docs.forEach(doc => {
-                        const data = doc.data();
-                        // Only include registrations with status "Approved"
-                        if (data.status === 'Approved') {
-                            const regEmail = (data.email || data['Email address'] || '').toLowerCase();
-                            if (regEmail === email.toLowerCase()) {
-                                relatedRegs.push({
-                                    doc: doc,
-                                    data: data,
-                                    uniqueId: data.uniqueId || doc.id
-                                });
-                            }
-                        }
-                    });
-                    
-                    if (relatedRegs.length > 1) {
-                        displayRelatedIds(relatedRegs, loginId);
-                    } else {
-                        displayParticipantLookupResults(regData, loginId);
-                    }
-                } else {
-                    displayParticipantLookupResults(regData, loginId);
-                }
+applyCheckinConfig(EMPTY_CHECKIN_CONFIG);
+
+// Load the registry from Firestore (once per page load unless forced). Falls back to the last
+// copy cached on this device, so offline check-in keeps working with the same types.
+async function loadCheckinConfig(forceRefresh = false) {
+    if (checkinConfigPromise && !forceRefresh) return checkinConfigPromise;
+
+    checkinConfigPromise = (async () => {
+        try {
+            const doc = await firebase.firestore().collection('config').doc('checkin').get();
+            if (doc.exists) {
+                const data = doc.data();
+                applyCheckinConfig(data);
+                localStorage.setItem(CHECKIN_CONFIG_CACHE_KEY, JSON.stringify({ teams: data.teams, types: data.types }));
             } else {
-                showNotification('Participant not found', 'error');
-                clearParticipantLookupResults();
-            }
-        } else {
-            const regData = regQuery.docs[0].data();
-            // Only show if status is "Approved"
-            if (regData.status !== 'Approved') {
-                showNotification('Participant not found or not approved', 'error');
-                clearParticipantLookupResults();
-                return;
+                console.warn('config/checkin does not exist; run `node firestore-utils.js seed-checkin-config`.');
+                applyCheckinConfig(EMPTY_CHECKIN_CONFIG);
             }
-            
-            const foundUniqueId = regData.uniqueId || regQuery.docs[0].id;
-            const email = regData.email || regData['Email address'] || '';
-            
-            // Find all registrations with the same email (only approved ones)
-            if (email) {
-                const allRegs = await db.collection('registrations').get();
-                const relatedRegs = [];
-                allRegs.docs.forEach(doc => {
-                    const data = doc.data();
-                    // Only include registrations with status "Approved"
-                    if (data.status === 'Approved') {
-                        const regEmail = (data.email || data['Email address'] || '').toLowerCase();
-                        if (regEmail === email.toLowerCase()) {
-                            relatedRegs.push({
-                                doc: doc,
-                                data: data,
-                                uniqueId: data.uniqueId || doc.id
-                            });
-                        }
-                    }
-                });
-                
-                if (relatedRegs.length > 1) {
-                    displayRelatedIds(relatedRegs, foundUniqueId);
-                } else {
-                    displayParticipantLookupResults(regData, foundUniqueId);
-                }
-            } else {
-                displayParticipantLookupResults(regData, foundUniqueId);
+        } catch (error) {
+            console.warn('Could not load check-in configuration, using cached copy:', error.message);
+            let cached = null;
+            try {
+                cached = JSON.parse(localStorage.getItem(CHECKIN_CONFIG_CACHE_KEY) || 'null');
+            } catch (e) {
+                cached = null;
             }
+            applyCheckinConfig(cached || EMPTY_CHECKIN_CONFIG);
         }
-    } catch (error) {
-        console.error('Error searching participant by login ID:', error);
-        showNotification('Error searching participant: ' + error.message, 'error');
-    }
+        return checkinConfig;
+    })();
+    return checkinConfigPromise;
 }
 
-// Display related IDs when searching by login ID
-function displayRelatedIds(relatedRegs, searchedId) {
-    const resultsDiv = document.getElementById('participantLookupResults');
-    const detailsDiv = document.getElementById('participantLookupDetails');
-    
-    if (!resultsDiv) return;
-    
-    if (detailsDiv) {
-        detailsDiv.style.display = 'none';
-    }
-    
-    let html = `<div class="participant-search-results">
-        <div style="margin-bottom: 1rem;">
-            <button type="button" class="btn btn-sm btn-secondary" onclick="clearParticipantLookupResults(); document.getElementById('lookupUniqueId')?.value && (document.getElementById('lookupUniqueId').value = '');" style="display: flex; align-items: center; gap: 0.5rem;">
-                <span>←</span> Back
-            </button>
-        </div>
-        <h4>Found ${relatedRegs.length} related registration(s) for this login ID. Please select:</h4>
-        <ul style="list-style: none; padding: 0;">`;
-    
-    relatedRegs.forEach(reg => {
-        const name = reg.data.name || reg.data['Full Name'] || 'Unknown';
-        const uniqueId = reg.uniqueId;
-        const email = reg.data.email || reg.data['Email address'] || '';
-        const isSearched = uniqueId === searchedId;
-        
-        html += `
-            <li style="margin: 0.5rem 0; padding: 0.5rem; border: 1px solid #ddd; border-radius: 4px; ${isSearched ? 'background: #e3f2fd;' : ''}">
-                <button class="btn btn-link" onclick="selectParticipantFromLookup('${escapeHtml(uniqueId)}')" style="text-align: left; width: 100%;">
-                    <strong>${escapeHtml(name)}</strong> ${isSearched ? '<span style="color: #1976d2;">(Searched ID)</span>' : ''}<br>
-                    <small>Praveshika ID: ${escapeHtml(uniqueId)}${email ? ' - ' + escapeHtml(email) : ''}</small>
-                </button>
-            </li>`;
-    });
-    
-    html += '</ul></div>';
-    
-    resultsDiv.innerHTML = html;
-    resultsDiv.style.display = 'block';
+function getCheckinTypeConfig(checkinType) {
+    return checkinConfig.types[checkinType] || null;
 }
 
-// Export all data to Excel
-async function exportAllDataToExcel() {
-    if (!window.firebase || !firebase.firestore) {
-        showNotification('Firebase not initialized', 'error');
-        return;
+// Team allowed to perform a check-in type, or null for unknown or retired types
+function getCheckinTypeTeam(checkinType) {
+    const typeConfig = getCheckinTypeConfig(checkinType);
+    return typeConfig && typeConfig.active !== false ? typeConfig.team || null : null;
+}
+
+function isRepeatableCheckinType(checkinType) {
+    return !!getCheckinTypeConfig(checkinType)?.repeatable;
+}
+
+function getCheckinTypePrerequisites(checkinType) {
+    return getCheckinTypeConfig(checkinType)?.prerequisites || [];
+}
+
+// Active types with their own tab on the check-in page, in configured order
+function getCheckinTabTypes() {
+    return sortByConfiguredOrder(Object.entries(checkinConfig.types))
+        .filter(([, typeConfig]) => typeConfig.active !== false && typeConfig.showTab !== false)
+        .map(([type]) => type);
+}
+
+function getVolunteerTeamOptions() {
+    return sortByConfiguredOrder(Object.entries(checkinConfig.teams))
+        .map(([team, teamConfig]) => ({ id: team, label: teamConfig.label || team }));
+}
+
+// Render the check-in type tabs from the registry
+function renderCheckinTypeTabs() {
+    const container = document.querySelector('.checkin-type-tabs');
+    if (!container) return;
+
+    const tabTypes = getCheckinTabTypes();
+    if (!tabTypes.includes(currentCheckinType) && tabTypes.length) {
+        currentCheckinType = tabTypes[0];
     }
-    
-    showNotification('Preparing Excel export...', 'info');
-    
-    try {
-        const db = firebase.firestore();
-        
-        // Fetch all registrations
-        const registrationsSnapshot = await db.collection('registrations').get();
-        const registrations = [];
-        registrationsSnapshot.forEach(doc => {
-            const data = doc.data();
-            data._documentId = doc.id;
-            registrations.push(data);
-        });
-        
-        // Convert to CSV first (Excel can open CSV)
-        const csvRows = [];
-        
-        // Get all unique field names
-        const allFields = new Set();
-        registrations.forEach(reg => {
-            Object.keys(reg).forEach(key => {
-                if (key !== '_documentId') allFields.add(key);
-            });
-        });
-        
-        const fieldArray = Array.from(allFields).sort();
-        
-        // Add document ID as first column
-        csvRows.push(['Document ID', ...fieldArray].map(f => escapeCsvField(f)).join(','));
-        
-        // Add data rows
-        registrations.forEach(reg => {
-            const row = [reg._documentId || ''];
-            fieldArray.forEach(field => {
-                let value = reg[field];
-                if (value && typeof value === 'object') {
-                    if (value.toDate) {
-                        value = value.toDate().toISOString();
-                    } else {
-                        value = JSON.stringify(value);
-                    }
-                }
-                row.push(value || '');
-            });
-            csvRows.push(row.map(f => escapeCsvField(f)).join(','));
-        });
-        
-        const csvContent = csvRows.join('\n');
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-        const link = document.createElement('a');
-        const url = URL.createObjectURL(blob);
-        link.setAttribute('href', url);
-        link.setAttribute('download', `VSS2025_All_Data_${new Date().toISOString().split('T')[0]}.csv`);
-        link.style.visibility = 'hidden';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        
-        showNotification('Excel file (CSV format) downloaded successfully!', 'success');
-    } catch (error) {
-        console.error('Error exporting to Excel:', error);
-        showNotification('Error exporting to Excel: ' + error.message, 'error');
+    container.innerHTML = tabTypes.map(type => `
+        <button class="checkin-type-tab${type === currentCheckinType ? ' active' : ''}" data-checkin-type="${escapeHtml(type)}" onclick="switchCheckinType('${escapeHtml(type)}')">${escapeHtml(CHECKIN_TYPE_LABELS[type])}</button>`).join('');
+
+    // History filter lists every type, including retired ones that still have records
+    const historyFilter = document.getElementById('historyFilterType');
+    if (historyFilter) {
+        const current = historyFilter.value;
+        historyFilter.innerHTML = '<option value="">All Types</option>' +
+            Object.keys(CHECKIN_TYPE_LABELS).map(type =>
+                `<option value="${escapeHtml(type)}">${escapeHtml(CHECKIN_TYPE_LABELS[type])}</option>`).join('');
+        historyFilter.value = current;
     }
 }
 
-// Export collection as comprehensive CSV with all fields
-async function exportCollectionAsCSV(collectionName) {
-    if (!window.firebase || !firebase.firestore) {
-        showNotification('Firebase not initialized', 'error');
-        return;
+// Render the extra form fields configured for the current check-in type
+function renderCheckinExtraFields() {
+    const container = document.getElementById('checkinExtraFields');
+    if (!container) return;
+
+    const fields = getCheckinTypeConfig(currentCheckinType)?.fields || [];
+    container.style.display = fields.length ? 'block' : 'none';
+    container.innerHTML = fields.map((field, index) => `
+        <label for="checkinField-${escapeHtml(field.id)}"${index > 0 ? ' style="margin-top: 0.5rem;"' : ''}>${escapeHtml(field.label || field.id)}:${field.required ? ' <span style="color: red;">*</span>' : ''}</label>
+        <input type="${field.type === 'number' ? 'number' : 'text'}" id="checkinField-${escapeHtml(field.id)}" class="form-input"${field.type === 'number' ? ' min="0"' : ''} placeholder="Enter ${escapeHtml((field.label || field.id).toLowerCase())}">`).join('');
+}
+
+// Values of the extra fields for a check-in type, plus the labels of required fields left empty
+function getCheckinExtraFieldValues(checkinType) {
+    const values = {};
+    const missing = [];
+    (getCheckinTypeConfig(checkinType)?.fields || []).forEach(field => {
+        const raw = document.getElementById(`checkinField-${field.id}`)?.value.trim() || '';
+        if (raw === '') {
+            if (field.required) missing.push(field.label || field.id);
+            return;
+        }
+        values[field.id] = field.type === 'number' ? Number(raw) : raw;
+    });
+    return { values, missing };
+}
+
+function clearCheckinExtraFields() {
+    document.querySelectorAll('#checkinExtraFields input').forEach(input => { input.value = ''; });
+    document.getElementById('ganveshIssueHint')?.remove();
+}
+
+// Team checkboxes on the Create User form and the list of valid teams for CSV uploads
+function renderVolunteerTeamOptions() {
+    const teams = getVolunteerTeamOptions();
+    const checkboxContainer = document.getElementById('newUserTeams');
+    if (checkboxContainer) {
+        const checked = Array.from(checkboxContainer.querySelectorAll('.volunteer-team-checkbox:checked')).map(cb => cb.value);
+        checkboxContainer.innerHTML = teams.map(team => `
+            <label style="display: inline-flex; align-items: center; gap: 0.35rem;">
+                <input type="checkbox" value="${escapeHtml(team.id)}" class="volunteer-team-checkbox"${checked.includes(team.id) ? ' checked' : ''}>
+                <span>${escapeHtml(team.label)}</span>
+            </label>`).join('');
+    }
+    const validTeamsList = document.getElementById('validTeamsList');
+    if (validTeamsList) {
+        validTeamsList.textContent = teams.map(team => team.id).join(', ');
+    }
+}
+
+// Load notification settings from localStorage
+function loadNotificationSettings() {
+    const saved = localStorage.getItem('checkinNotificationSettings');
+    if (saved) {
+        try {
+            checkinNotificationSettings = JSON.parse(saved);
+        } catch (e) {
+            console.error('Error loading notification settings:', e);
+        }
     }
+}
+
+// Save notification settings to localStorage
+function saveNotificationSettings() {
+    localStorage.setItem('checkinNotificationSettings', JSON.stringify(checkinNotificationSettings));
+}
+
+// Initialize checkin interface
+async function initializeCheckinInterface() {
+    if (!window.firebase || !firebase.auth) return;
     
-    showNotification(`Preparing ${collectionName} export...`, 'info');
+    const user = firebase.auth().currentUser;
+    if (!user) return;
     
-    try {
-        const db = firebase.firestore();
-        const snapshot = await db.collection(collectionName).get();
-        
-        if (snapshot.empty) {
-            showNotification(`No data found in ${collectionName} collection`, 'info');
-            return;
+    const canPerform = await canPerformCheckin(user);
+    if (!canPerform) return;
+    
+    // Check if user has access to checkin tab
+    const checkinTab = document.getElementById('checkin');
+    if (!checkinTab) return;
+    
+    // Load notification settings
+    loadNotificationSettings();
+    
+    // Initialize checkin interface
+    const checkinLoading = document.getElementById('checkinLoading');
+    const checkinData = document.getElementById('checkinData');
+    
+    if (checkinLoading && checkinData) {
+        try {
+            // Build the type tabs from the registry, then filter them by user permissions
+            await loadCheckinConfig();
+            renderCheckinTypeTabs();
+            updateCheckinFormForType();
+            await filterCheckinTypeTabs(user);
+            
+            // Load recent checkins
+            await loadRecentCheckins(currentCheckinType);
+            
+            // Setup checkin form
+            setupCheckinForm();
+            
+            // Setup uppercase conversion for Praveshika ID inputs
+            setupPraveshikaIdInputs();
+            
+            // Setup offline mode indicators and sync
+            setupOfflineCheckinMode();
+            
+            // Setup real-time listeners
+            setupCheckinListeners();
+            
+            // Load checkin history
+            await loadCheckinHistory();
+            
+            checkinLoading.style.display = 'none';
+            checkinData.style.display = 'block';
+        } catch (error) {
+            console.error('Error initializing checkin interface:', error);
+            if (checkinLoading) {
+                checkinLoading.innerHTML = '<p>Error loading checkin interface. Please refresh the page.</p>';
+            }
         }
-        
-        const docs = [];
-        snapshot.forEach(doc => {
-            const data = doc.data();
-            data._documentId = doc.id;
-            docs.push(data);
-        });
-        
-        // Get all unique field names
-        const allFields = new Set();
-        docs.forEach(doc => {
-            Object.keys(doc).forEach(key => {
-                if (key !== '_documentId') allFields.add(key);
-            });
-        });
-        
-        const fieldArray = Array.from(allFields).sort();
-        
-        // Create CSV
-        const csvRows = [];
-        csvRows.push(['Document ID', ...fieldArray].map(f => escapeCsvField(f)).join(','));
-        
-        docs.forEach(doc => {
-            const row = [doc._documentId || ''];
-            fieldArray.forEach(field => {
-                let value = doc[field];
-                if (value && typeof value === 'object') {
-                    if (value.toDate) {
-                        value = value.toDate().toISOString();
-                    } else if (value instanceof Date) {
-                        value = value.toISOString();
-                    } else {
-                        value = JSON.stringify(value);
-                    }
-                }
-                row.push(value || '');
-            });
-            csvRows.push(row.map(f => escapeCsvField(f)).join(','));
-        });
-        
-        const csvContent = csvRows.join('\n');
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-        const link = document.createElement('a');
-        const url = URL.createObjectURL(blob);
-        link.setAttribute('href', url);
-        link.setAttribute('download', `VSS2025_${collectionName}_${new Date().toISOString().split('T')[0]}.csv`);
-        link.style.visibility = 'hidden';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        
-        showNotification(`${collectionName} CSV file downloaded successfully!`, 'success');
-    } catch (error) {
-        console.error(`Error exporting ${collectionName}:`, error);
-        showNotification(`Error exporting ${collectionName}: ` + error.message, 'error');
     }
 }
 
-function displayBreakdownTable(tableBodyId, breakdown, total) {
-    const tbody = document.getElementById(tableBodyId);
-    if (!tbody) return;
+// Filter checkin type tabs based on user permissions
+async function filterCheckinTypeTabs(user) {
+    const tabs = document.querySelectorAll('.checkin-type-tab');
+    const isAdminUser = await isAdmin(user);
     
-    // Handle null or undefined breakdown
-    if (!breakdown || typeof breakdown !== 'object') {
-        tbody.innerHTML = '<tr><td colspan="3" style="text-align: center;">No data available</td></tr>';
+    if (isAdminUser) {
+        // Admins can see all tabs
+        tabs.forEach(tab => tab.style.display = '');
         return;
     }
     
-    // Sort by count descending
-    const sortedEntries = Object.entries(breakdown).sort((a, b) => b[1] - a[1]);
+    // Volunteers: show only tabs their teams allow
+    const teams = await getVolunteerTeams(user);
+    if (!Array.isArray(teams) || teams.length === 0) {
+        // No teams assigned: hide all checkin tabs
+        tabs.forEach(tab => tab.style.display = 'none');
+        return;
+    }
     
-    let html = '';
-    sortedEntries.forEach(([key, count]) => {
-        const percentage = total > 0 ? ((count / total) * 100).toFixed(1) : '0.0';
-        html += `
-            <tr>
-                <td>${escapeHtml(key || 'Not specified')}</td>
-                <td>${count}</td>
-                <td>${percentage}%</td>
-            </tr>
-        `;
+    let firstVisibleTabId = null;
+    
+    tabs.forEach(tab => {
+        const checkinType = tab.getAttribute('data-checkin-type');
+        const requiredTeam = getCheckinTypeTeam(checkinType);
+        if (requiredTeam && teams.includes(requiredTeam)) {
+            tab.style.display = '';
+            if (!firstVisibleTabId) {
+                firstVisibleTabId = checkinType;
+            }
+        } else {
+            tab.style.display = 'none';
+        }
     });
     
-    if (sortedEntries.length === 0) {
-        html = '<tr><td colspan="3" style="text-align: center;">No data available</td></tr>';
+    // Ensure currentCheckinType is valid for this volunteer
+    if (firstVisibleTabId) {
+        currentCheckinType = firstVisibleTabId;
+        // For volunteers, automatically activate the first visible tab
+        // For registration volunteers, this will be 'registration'
+        // This ensures the tab is visually selected when the page loads
+        switchCheckinType(firstVisibleTabId);
     }
     
-    tbody.innerHTML = html;
+    // Specifically ensure registration is selected if volunteer has registration access
+    if (!isAdminUser && teams.includes('registration')) {
+        currentCheckinType = 'registration';
+        switchCheckinType('registration');
+    }
 }
 
-// Display multi-column breakdown table (for zone|shreni, place|date, etc.)
-function displayMultiColumnBreakdownTable(tableBodyId, breakdown, total, separator) {
-    const tbody = document.getElementById(tableBodyId);
-    if (!tbody) return;
+// Switch checkin type
+function switchCheckinType(checkinType) {
+    // Rapid scan is tied to the type it was started for
+    if (rapidScanEnabled && checkinType !== currentCheckinType) {
+        toggleRapidScanMode(false);
+        showNotification('Rapid scan turned off because the check-in type changed.', 'info');
+    }
     
-    // Handle null or undefined breakdown
-    if (!breakdown || typeof breakdown !== 'object') {
-        // Calculate colspan based on table structure - for Shreni/Gender it's 4 columns
-        const table = tbody.closest('table');
-        const headerCols = table ? table.querySelectorAll('thead th').length : 4;
-        tbody.innerHTML = `<tr><td colspan="${headerCols}" style="text-align: center;">No data available</td></tr>`;
-        return;
+    currentCheckinType = checkinType;
+    
+    // Update tab active state
+    document.querySelectorAll('.checkin-type-tab').forEach(tab => {
+        tab.classList.remove('active');
+        if (tab.getAttribute('data-checkin-type') === checkinType) {
+            tab.classList.add('active');
+        }
+    });
+    
+    // Update form
+    updateCheckinFormForType();
+    
+    // Load recent checkins
+    loadRecentCheckins(checkinType);
+    
+    // Clear participant info
+    clearParticipantInfo();
+}
+
+// Update checkin form based on type
+function updateCheckinFormForType() {
+    const pickupLocationGroup = document.getElementById('pickupLocationGroup');
+    const registrationOptionsGroup = document.getElementById('registrationOptionsGroup');
+    const cloakRoomCheckoutBtn = document.getElementById('cloakRoomCheckoutBtn');
+    const checkinTypeDisplay = document.getElementById('checkinTypeDisplay');
+    
+    if (checkinTypeDisplay) {
+        checkinTypeDisplay.textContent = CHECKIN_TYPE_LABELS[currentCheckinType] || currentCheckinType;
+    }
+    
+    if (pickupLocationGroup) {
+        pickupLocationGroup.style.display = currentCheckinType === 'pickup_location' ? 'block' : 'none';
+    }
+    
+    if (registrationOptionsGroup) {
+        registrationOptionsGroup.style.display = currentCheckinType === 'registration' ? 'block' : 'none';
+        
+        // Setup checkbox event listeners for registration type
+        if (currentCheckinType === 'registration') {
+            setupRegistrationCheckboxes();
+        }
     }
     
-    // Sort by count descending
-    const sortedEntries = Object.entries(breakdown).sort((a, b) => b[1] - a[1]);
+    renderCheckinExtraFields();
     
-    let html = '';
-    sortedEntries.forEach(([key, count]) => {
-        const percentage = total > 0 ? ((count / total) * 100).toFixed(1) : '0.0';
-        const parts = key.split(separator).map(p => p.trim());
-        
-        // Determine number of columns based on separator count
-        let rowHtml = '<tr>';
-        parts.forEach(part => {
-            rowHtml += `<td>${escapeHtml(part || 'Not specified')}</td>`;
-        });
-        rowHtml += `<td>${count}</td>`;
-        rowHtml += `<td>${percentage}%</td>`;
-        rowHtml += '</tr>';
-        html += rowHtml;
-    });
+    if (cloakRoomCheckoutBtn) {
+        cloakRoomCheckoutBtn.style.display = currentCheckinType === 'cloak_room' ? 'inline-block' : 'none';
+    }
     
-    if (sortedEntries.length === 0) {
-        // Calculate colspan based on table structure
-        const table = tbody.closest('table');
-        const headerCols = table ? table.querySelectorAll('thead th').length : 4;
-        html = `<tr><td colspan="${headerCols}" style="text-align: center;">No data available</td></tr>`;
+    const cloakRoomReturnGroup = document.getElementById('cloakRoomReturnGroup');
+    if (cloakRoomReturnGroup) {
+        cloakRoomReturnGroup.style.display = currentCheckinType === 'cloak_room' ? 'block' : 'none';
     }
     
-    tbody.innerHTML = html;
+    updateCloakRoomDesk();
 }
 
-/**
- * Get Shreni and Gender breakdown data from registrations
- * @param {Array} registrations - Array of registration objects
- * @returns {Object} Object with shreniGenderBreakdown data and total count
- */
-function getShreniGenderBreakdown(registrations) {
-    if (!registrations || !Array.isArray(registrations)) {
-        return {
-            breakdown: {},
-            total: 0
-        };
+// Setup registration checkboxes with event listeners
+function setupRegistrationCheckboxes() {
+    const registrationCheckbox = document.getElementById('registrationCheckbox');
+    const shulkPaidCheckbox = document.getElementById('shulkPaidCheckbox');
+    const kitCollectedCheckbox = document.getElementById('kitCollectedCheckbox');
+    
+    // Remove existing listeners if any
+    if (registrationCheckbox) {
+        registrationCheckbox.removeEventListener('change', handleRegistrationCheckboxChange);
+        registrationCheckbox.addEventListener('change', handleRegistrationCheckboxChange);
+    }
+    if (shulkPaidCheckbox) {
+        shulkPaidCheckbox.removeEventListener('change', handleRegistrationCheckboxChange);
+        shulkPaidCheckbox.addEventListener('change', handleRegistrationCheckboxChange);
+    }
+    if (kitCollectedCheckbox) {
+        kitCollectedCheckbox.removeEventListener('change', handleRegistrationCheckboxChange);
+        kitCollectedCheckbox.addEventListener('change', handleRegistrationCheckboxChange);
     }
+}
+
+// Handle registration checkbox changes
+function handleRegistrationCheckboxChange(event) {
+    const checkbox = event.target;
     
-    const breakdown = {};
+    // Don't allow unchecking frozen checkboxes
+    if (checkbox.dataset.frozen === 'true' && !checkbox.checked) {
+        checkbox.checked = true;
+        showNotification('This item is already checked in and cannot be unchecked', 'info');
+        return;
+    }
     
-    registrations.forEach(reg => {
-        // Extract Shreni (with fallbacks for different field names)
-        const shreni = reg.Shreni || reg.shreni || reg['Corrected Shreni'] || reg['Default Shreni'] || 'Unknown';
-        
-        // Extract Gender (with fallbacks for different field names)
-        const gender = reg.gender || reg.Gender || 'Not Specified';
-        
-        // Create key in format "Shreni | Gender"
-        const key = `${shreni} | ${gender}`;
-        breakdown[key] = (breakdown[key] || 0) + 1;
-    });
+    const registrationCheckbox = document.getElementById('registrationCheckbox');
+    const shulkPaidCheckbox = document.getElementById('shulkPaidCheckbox');
+    const kitCollectedCheckbox = document.getElementById('kitCollectedCheckbox');
     
-    return {
-        breakdown: breakdown,
-        total: registrations.length
-    };
+    const regChecked = registrationCheckbox && registrationCheckbox.checked && registrationCheckbox.dataset.frozen !== 'true';
+    const shulkChecked = shulkPaidCheckbox && shulkPaidCheckbox.checked && shulkPaidCheckbox.dataset.frozen !== 'true';
+    const kitChecked = kitCollectedCheckbox && kitCollectedCheckbox.checked && kitCollectedCheckbox.dataset.frozen !== 'true';
+    
+    // Count how many are checked (excluding frozen ones)
+    const checkedCount = [regChecked, shulkChecked, kitChecked].filter(Boolean).length;
+    
+    // If 2 or more are selected, registration must be included
+    if (checkedCount >= 2 && registrationCheckbox && !registrationCheckbox.checked && registrationCheckbox.dataset.frozen !== 'true') {
+        registrationCheckbox.checked = true;
+    }
 }
 
-// Helper function to get time bucket from time string (2/4 hour sections)
-function getTimeBucket(timeStr) {
-    if (!timeStr) return 'Unknown';
+// Get selected registration actions from checkboxes
+function getSelectedRegistrationActions() {
+    const types = [];
     
-    // Convert to string if it's not already
-    const timeString = String(timeStr).trim();
-    if (!timeString) return 'Unknown';
+    const registrationCheckbox = document.getElementById('registrationCheckbox');
+    const shulkPaidCheckbox = document.getElementById('shulkPaidCheckbox');
+    const kitCollectedCheckbox = document.getElementById('kitCollectedCheckbox');
     
-    // Try to parse time string (could be HH:MM or HH:MM:SS format)
-    const timeMatch = timeString.match(/(\d{1,2}):(\d{2})/);
-    if (!timeMatch) return 'Unknown';
+    const regChecked = registrationCheckbox && registrationCheckbox.checked;
+    const shulkChecked = shulkPaidCheckbox && shulkPaidCheckbox.checked;
+    const kitChecked = kitCollectedCheckbox && kitCollectedCheckbox.checked;
     
-    const hours = parseInt(timeMatch[1]);
-    const minutes = parseInt(timeMatch[2]);
+    // Count how many are checked
+    const checkedCount = [regChecked, shulkChecked, kitChecked].filter(Boolean).length;
     
-    // Create 4-hour buckets: 00-04, 04-08, 08-12, 12-16, 16-20, 20-24
-    if (hours >= 0 && hours < 4) return '00:00-04:00';
-    if (hours >= 4 && hours < 8) return '04:00-08:00';
-    if (hours >= 8 && hours < 12) return '08:00-12:00';
-    if (hours >= 12 && hours < 16) return '12:00-16:00';
-    if (hours >= 16 && hours < 20) return '16:00-20:00';
-    if (hours >= 20 && hours < 24) return '20:00-24:00';
+    // If 2 or more are selected, registration must be included
+    if (checkedCount >= 2 && !regChecked) {
+        // Auto-check registration if not already frozen
+        if (registrationCheckbox && registrationCheckbox.dataset.frozen !== 'true') {
+            registrationCheckbox.checked = true;
+            types.push('registration');
+        }
+    }
     
-    return 'Unknown';
+    // Add checked types
+    if (regChecked) {
+        types.push('registration');
+    }
+    if (shulkChecked) {
+        types.push('shulk_paid');
+    }
+    if (kitChecked) {
+        types.push('kit_collected');
+    }
+    
+    return types;
 }
 
-// Zone breakdown table with clickable rows
-function displayZoneBreakdownTable(zoneBreakdown, zoneCountryMap, total) {
-    const tbody = document.getElementById('zoneTableBody');
-    if (!tbody) return;
-    
-    // Sort by count descending
-    const sortedEntries = Object.entries(zoneBreakdown).sort((a, b) => b[1] - a[1]);
+// Switch search mode
+function switchSearchMode(mode) {
+    // Update button states
+    document.querySelectorAll('.search-tab-btn').forEach(btn => {
+        btn.classList.remove('active');
+    });
+    event?.target?.classList.add('active');
     
-    let html = '';
-    sortedEntries.forEach(([zone, count]) => {
-        const percentage = total > 0 ? ((count / total) * 100).toFixed(1) : '0.0';
-        const zoneEscaped = escapeHtml(zone);
-        const countryMapJson = JSON.stringify(zoneCountryMap[zone] || {}).replace(/"/g, '&quot;');
-        html += `
-            <tr style="cursor: pointer;" onclick="showZoneCountryDetails('${zoneEscaped}', '${countryMapJson}', ${total})">
-                <td>${zoneEscaped}</td>
-                <td>${count}</td>
-                <td>${percentage}%</td>
-                <td><button class="btn btn-small btn-secondary">View Countries</button></td>
-            </tr>
-        `;
+    // Show/hide search modes
+    document.querySelectorAll('.search-mode').forEach(div => {
+        div.classList.remove('active');
     });
     
-    if (sortedEntries.length === 0) {
-        html = '<tr><td colspan="4" style="text-align: center;">No data available</td></tr>';
+    const targetMode = document.getElementById(`searchMode-${mode}`);
+    if (targetMode) {
+        targetMode.classList.add('active');
     }
     
-    tbody.innerHTML = html;
+    // Clear participant info when switching modes
+    clearParticipantInfo();
+    
+    // Stop camera if active
+    if (barcodeScannerActive) {
+        stopBarcodeScan();
+    }
 }
 
-// Show country breakdown for a specific zone
-function showZoneCountryDetails(zone, countryBreakdownJson, total) {
-    const zoneBreakdownDiv = document.getElementById('zoneBreakdown');
-    const zoneCountryDetailsDiv = document.getElementById('zoneCountryDetails');
-    const zoneCountryTitle = document.getElementById('zoneCountryTitle');
-    const zoneCountryTableBody = document.getElementById('zoneCountryTableBody');
-    
-    if (!zoneBreakdownDiv || !zoneCountryDetailsDiv || !zoneCountryTitle || !zoneCountryTableBody) return;
+// Search participant by barcode/Praveshika ID
+async function searchParticipant() {
+    const barcodeInput = document.getElementById('barcodeInput');
+    if (!barcodeInput) return;
     
-    // Parse the country breakdown JSON
-    let countryBreakdown;
-    try {
-        countryBreakdown = JSON.parse(countryBreakdownJson.replace(/&quot;/g, '"'));
-    } catch (e) {
-        console.error('Error parsing country breakdown:', e);
-        countryBreakdown = {};
+    let uniqueId = barcodeInput.value.trim().toUpperCase();
+    // Update the input field to uppercase
+    if (barcodeInput.value !== uniqueId) {
+        barcodeInput.value = uniqueId;
     }
     
-    // Hide zone breakdown, show country details
-    zoneBreakdownDiv.style.display = 'none';
-    zoneCountryDetailsDiv.style.display = 'block';
-    zoneCountryTitle.textContent = `Countries in Zone: ${zone}`;
-    
-    // Sort by count descending
-    const sortedEntries = Object.entries(countryBreakdown).sort((a, b) => b[1] - a[1]);
+    if (!uniqueId) {
+        showNotification('Please enter a barcode or Praveshika ID', 'error');
+        return;
+    }
     
-    // Build table with headers
-    let html = `
-        <table class="data-table">
-            <thead>
-                <tr>
-                    <th>Country</th>
-                    <th>Count</th>
-                    <th>Percentage</th>
-                    <th>Action</th>
-                </tr>
-            </thead>
-            <tbody>
-    `;
+    // Handheld scanners type the whole QR payload into the input
+    if (isSignedBadgePayload(uniqueId)) {
+        await handleScannedBadgeCode(uniqueId);
+        return;
+    }
     
-    sortedEntries.forEach(([country, count]) => {
-        const percentage = total > 0 ? ((count / total) * 100).toFixed(1) : '0.0';
-        const countryEscaped = escapeHtml(country);
-        html += `
-            <tr style="cursor: pointer;" onclick="showCountryShibirarthis('${escapeHtml(zone)}', '${countryEscaped.replace(/'/g, "\\'")}')">
-                <td>${countryEscaped}</td>
-                <td>${count}</td>
-                <td>${percentage}%</td>
-                <td><button class="btn btn-small btn-secondary">View Shibirarthis</button></td>
-            </tr>
-        `;
-    });
+    await searchByPraveshikaIdDirect(uniqueId);
+}
+
+// Search by Praveshika ID
+async function searchByPraveshikaId() {
+    const manualInput = document.getElementById('manualPraveshikaId');
+    if (!manualInput) return;
     
-    if (sortedEntries.length === 0) {
-        html += '<tr><td colspan="4" style="text-align: center;">No data available</td></tr>';
+    let uniqueId = manualInput.value.trim().toUpperCase();
+    // Update the input field to uppercase
+    if (manualInput.value !== uniqueId) {
+        manualInput.value = uniqueId;
     }
     
-    html += `
-            </tbody>
-        </table>
-    `;
+    if (!uniqueId) {
+        showNotification('Please enter a Praveshika ID', 'error');
+        return;
+    }
     
-    zoneCountryTableBody.innerHTML = html;
+    await searchByPraveshikaIdDirect(uniqueId);
 }
 
-// Show Shibirarthis for a specific country
-async function showCountryShibirarthis(zone, country) {
+// Look up a registration by Praveshika ID: normalized ID first, then the document ID.
+// Returns the document snapshot or null.
+async function findRegistrationByPraveshikaId(uniqueId) {
+    const db = firebase.firestore();
+    // Normalize: uppercase and trim the ID
+    const uppercasedId = uniqueId.toUpperCase().trim();
+    const normalizedId = normalizePraveshikaId(uniqueId);
+    
+    // Search in registrations collection by normalized ID
+    const registrationsQuery = await db.collection('registrations')
+        .where('normalizedId', '==', normalizedId)
+        .limit(1)
+        .get();
+    if (!registrationsQuery.empty) {
+        return registrationsQuery.docs[0];
+    }
+    
+    // Try direct document ID lookup with uppercased ID
+    let regDoc = await db.collection('registrations').doc(uppercasedId).get();
+    
+    // If not found, try original ID as fallback
+    if (!regDoc.exists) {
+        regDoc = await db.collection('registrations').doc(uniqueId).get();
+    }
+    return regDoc.exists ? regDoc : null;
+}
+
+// Direct search by Praveshika ID
+async function searchByPraveshikaIdDirect(uniqueId) {
+    // Use the cached roster when the venue network is down
+    if (isCheckinOffline()) {
+        searchOfflineRosterById(uniqueId);
+        return;
+    }
+    
     if (!window.firebase || !firebase.firestore) {
         showNotification('Firebase not initialized', 'error');
         return;
     }
     
-    const zoneCountryDetailsDiv = document.getElementById('zoneCountryDetails');
-    const zoneCountryTitle = document.getElementById('zoneCountryTitle');
+    try {
+        const regDoc = await findRegistrationByPraveshikaId(uniqueId);
+        if (regDoc) {
+            displayParticipantInfo(regDoc.data(), regDoc.id);
+        } else {
+            showNotification(`Participant with Praveshika ID "${uniqueId.toUpperCase().trim()}" not found`, 'error');
+        }
+    } catch (error) {
+        console.error('Error searching participant:', error);
+        showNotification('Error searching participant: ' + error.message, 'error');
+    }
+}
+
+// Search by name for check-in
+async function searchByNameForCheckin() {
+    const nameInput = document.getElementById('searchByNameCheckin');
+    if (!nameInput) return;
     
-    if (!zoneCountryDetailsDiv || !zoneCountryTitle) return;
+    const name = nameInput.value.trim();
+    if (!name) {
+        showNotification('Please enter a name to search', 'error');
+        return;
+    }
     
-    // Show loading
-    const tbody = document.getElementById('zoneCountryTableBody');
-    if (tbody) {
-        tbody.innerHTML = '<p style="text-align: center; padding: 2rem;">Loading Shibirarthis...</p>';
+    if (isCheckinOffline()) {
+        searchOfflineRosterByName(name);
+        return;
     }
     
-    // Map zone labels back to zone codes for comparison
-    const zoneLabelToCode = {
-        'Americas': 'AM',
-        'Europe': 'EU',
-        'AR': 'AR',
-        'Africa': 'AF',
-        'SE Asia': 'AS',
-        'Australasia': 'AU',
-        'Others': 'Others'
-    };
-    const zoneOrder = ['AM', 'EU', 'AR', 'AF', 'AS', 'AU'];
-    const targetZoneCode = zoneLabelToCode[zone] || zone;
+    if (!window.firebase || !firebase.firestore) {
+        showNotification('Firebase not initialized', 'error');
+        return;
+    }
+    
+    // Clear previous selections when new search is performed
+    clearParticipantInfo();
+    if (window.selectedUniqueIdsForCheckin) {
+        window.selectedUniqueIdsForCheckin.clear();
+    }
     
     try {
         const db = firebase.firestore();
+        const nameLower = name.toLowerCase();
+        const results = [];
         
-        // Fetch all registrations for this country
-        const registrationsSnapshot = await db.collection('registrations').get();
-        const countryRegistrations = [];
+        // Fetch all registrations and filter client-side for case-insensitive partial name match
+        const allRegistrations = await db.collection('registrations').limit(2000).get();
         
-        registrationsSnapshot.forEach(doc => {
+        allRegistrations.docs.forEach(doc => {
             const data = doc.data();
-            const regCountry = data.Country || data.country || data['Country of Current Residence'] || '';
-            const regZone = data.Zone || data.zone || data['Zone/Shreni'] || '';
-            
-            // Normalize the registration's zone to match how we count
-            const normalizedRegZone = zoneOrder.find(z => regZone.toUpperCase().startsWith(z)) || 'Others';
-            
-            // Match country and zone (using normalized zone code)
-            const zoneMatches = targetZoneCode === 'Others' 
-                ? normalizedRegZone === 'Others'
-                : normalizedRegZone === targetZoneCode;
-            
-            if (regCountry === country && zoneMatches) {
-                countryRegistrations.push({
-                    uniqueId: data.uniqueId || doc.id,
-                    name: data.name || data['Full Name'] || 'Unknown',
-                    email: data.email || data['Email address'] || '',
-                    shreni: data.Shreni || data.shreni || data['Corrected Shreni'] || '',
-                    phone: data.phone || data.Phone || '',
-                    city: data.city || data.City || data['City of Current Residence'] || ''
-                });
+            const regName = (data.name || data['Full Name'] || '').toLowerCase();
+            if (regName.includes(nameLower)) {
+                results.push(doc);
             }
         });
         
-        // Sort by name
-        countryRegistrations.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+        if (results.length === 0) {
+            showNotification('No participants found with this name', 'info');
+            clearParticipantInfo();
+            return;
+        }
         
-        // Update UI
-        zoneCountryTitle.textContent = `Shibirarthis in ${country} (Zone: ${zone})`;
+        if (results.length === 1) {
+            const regData = results[0].data();
+            const uniqueId = regData.uniqueId || results[0].id;
+            displayParticipantInfo(regData, uniqueId);
+        } else {
+            // Show list of results
+            displayParticipantSearchResults(results, 'name');
+        }
+    } catch (error) {
+        console.error('Error searching by name:', error);
+        showNotification('Error searching: ' + error.message, 'error');
+    }
+}
+
+// Search by email for checkin (email only, with multi-select)
+async function searchByEmailForCheckin() {
+    const emailInput = document.getElementById('searchByEmail');
+    if (!emailInput) return;
+    
+    const email = emailInput.value.trim();
+    if (!email) {
+        showNotification('Please enter an email address to search', 'error');
+        return;
+    }
+    
+    if (!window.firebase || !firebase.firestore) {
+        showNotification('Firebase not initialized', 'error');
+        return;
+    }
+    
+    // Clear previous selections when new search is performed
+    clearParticipantInfo();
+    if (window.selectedUniqueIdsForCheckin) {
+        window.selectedUniqueIdsForCheckin.clear();
+    }
+    
+    try {
+        const db = firebase.firestore();
+        const emailLower = email.toLowerCase().trim();
+        const allUids = new Set();
         
-        if (tbody) {
-            if (countryRegistrations.length === 0) {
-                tbody.innerHTML = '<p style="text-align: center; padding: 2rem;">No Shibirarthis found in this country.</p>';
-            } else {
-                let html = `
-                    <table class="data-table">
-                        <thead>
-                            <tr>
-                                <th>Name</th>
-                                <th>Praveshika ID</th>
-                                <th>Email</th>
-                                <th>Shreni</th>
-                                <th>City</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                `;
-                
-                countryRegistrations.forEach(reg => {
-                    html += `
-                        <tr>
-                            <td>${escapeHtml(reg.name)}</td>
-                            <td>${escapeHtml(reg.uniqueId)}</td>
-                            <td>${escapeHtml(reg.email)}</td>
-                            <td>${escapeHtml(reg.shreni)}</td>
-                            <td>${escapeHtml(reg.city)}</td>
-                        </tr>
-                    `;
-                });
-                
-                html += `
-                        </tbody>
-                    </table>
-                    <p style="margin-top: 1rem;"><strong>Total:</strong> ${countryRegistrations.length} Shibirarthi(s)</p>
-                `;
-                
-                tbody.innerHTML = html;
-            }
+        // First, try exact match using emailToUids collection
+        const emailToUidsDoc = await db.collection('emailToUids').doc(emailLower).get();
+        
+        if (emailToUidsDoc.exists) {
+            // Found exact match - get all UIDs for this email
+            const emailToUidsData = emailToUidsDoc.data();
+            const uids = emailToUidsData.uids || [];
+            uids.forEach(uid => allUids.add(uid));
+        } else {
+            // No exact match - try partial search in emailToUids collection
+            // Get all emailToUids documents and filter for emails containing the search term
+            const allEmailToUids = await db.collection('emailToUids').get();
+            
+            allEmailToUids.docs.forEach(doc => {
+                const emailData = doc.data();
+                const docEmail = (emailData.email || doc.id).toLowerCase();
+                if (docEmail.includes(emailLower)) {
+                    const uids = emailData.uids || [];
+                    uids.forEach(uid => allUids.add(uid));
+                }
+            });
+        }
+        
+        if (allUids.size === 0) {
+            showNotification('No participants found with this email', 'info');
+            clearParticipantInfo();
+            return;
+        }
+        
+        // Fetch all registration documents for these UIDs
+        const registrationPromises = Array.from(allUids).map(uid => 
+            db.collection('registrations').doc(uid).get()
+                .then(doc => doc.exists ? doc : null)
+                .catch(error => {
+                    console.error(`Error fetching registration for ${uid}:`, error);
+                    return null;
+                })
+        );
+        
+        const registrationDocs = await Promise.all(registrationPromises);
+        const results = registrationDocs.filter(doc => doc !== null);
+        
+        if (results.length === 0) {
+            showNotification('No participants found with this email', 'info');
+            clearParticipantInfo();
+            return;
         }
         
-    } catch (error) {
-        console.error('Error loading country Shibirarthis:', error);
-        if (tbody) {
-            tbody.innerHTML = '<p style="text-align: center; padding: 2rem; color: red;">Error loading Shibirarthis</p>';
-        }
+        // Display results with multi-select capability
+        displayEmailSearchResultsForCheckin(results, email);
+        
+    } catch (error) {
+        console.error('Error searching by email:', error);
+        showNotification('Error searching by email: ' + error.message, 'error');
+    }
+}
+
+// Display email search results with multi-select for checkin
+function displayEmailSearchResultsForCheckin(docs, searchEmail) {
+    const participantInfo = document.getElementById('participantInfo');
+    const participantDetails = document.getElementById('participantDetails');
+    
+    if (!participantInfo || !participantDetails) return;
+    
+    // Store selected uniqueIds
+    window.selectedUniqueIdsForCheckin = new Set();
+    
+    let html = `<div class="participant-search-results">
+        <h4>${docs.length} participant(s) found with email "${escapeHtml(searchEmail)}". Select participants to check in:</h4>
+        <div style="margin-bottom: 1rem;">
+            <button type="button" class="btn btn-sm btn-secondary" onclick="selectAllEmailResults()" style="margin-right: 0.5rem;">Select All</button>
+            <button type="button" class="btn btn-sm btn-secondary" onclick="deselectAllEmailResults()">Deselect All</button>
+        </div>
+        <ul style="list-style: none; padding: 0; max-height: 400px; overflow-y: auto;">`;
+    
+    docs.forEach((doc, index) => {
+        const data = doc.data();
+        const name = data.name || data['Full Name'] || 'Unknown';
+        const uniqueId = data.uniqueId || doc.id;
+        const email = data.email || data['Email address'] || '';
+        
+        html += `
+            <li style="margin: 0.5rem 0; padding: 0.75rem; border: 1px solid #ddd; border-radius: 4px; background: #f9f9f9;">
+                <label style="display: flex; align-items: center; gap: 0.75rem; cursor: pointer;">
+                    <input type="checkbox" class="email-result-checkbox" data-unique-id="${escapeHtml(uniqueId)}" data-index="${index}" onchange="toggleEmailResultSelection('${escapeHtml(uniqueId)}')" style="width: 18px; height: 18px; cursor: pointer;">
+                    <div style="flex: 1;">
+                        <strong>${escapeHtml(name)}</strong><br>
+                        <small style="color: #666;">Praveshika ID: ${escapeHtml(uniqueId)}${email ? ' - ' + escapeHtml(email) : ''}</small>
+                    </div>
+                </label>
+            </li>`;
+    });
+    
+    html += `</ul>
+        <div style="margin-top: 1rem; padding-top: 1rem; border-top: 2px solid #007bff;">
+            <button class="btn btn-primary" onclick="proceedWithSelectedEmailResults()" id="proceedEmailCheckinBtn" disabled>
+                Check In Selected (0)
+            </button>
+            <button class="btn btn-secondary" onclick="clearParticipantInfo()" style="margin-left: 0.5rem;">
+                Cancel
+            </button>
+        </div>
+    </div>`;
+    
+    participantDetails.innerHTML = html;
+    participantInfo.style.display = 'block';
+}
+
+// Toggle email result selection
+function toggleEmailResultSelection(uniqueId) {
+    if (!window.selectedUniqueIdsForCheckin) {
+        window.selectedUniqueIdsForCheckin = new Set();
+    }
+    
+    const checkbox = document.querySelector(`.email-result-checkbox[data-unique-id="${escapeHtml(uniqueId)}"]`);
+    if (checkbox && checkbox.checked) {
+        window.selectedUniqueIdsForCheckin.add(uniqueId);
+    } else {
+        window.selectedUniqueIdsForCheckin.delete(uniqueId);
     }
+    
+    updateProceedButton();
 }
 
-// Close zone country details view
-function closeZoneCountryDetails() {
-    const zoneBreakdownDiv = document.getElementById('zoneBreakdown');
-    const zoneCountryDetailsDiv = document.getElementById('zoneCountryDetails');
+// Select all email results
+function selectAllEmailResults() {
+    if (!window.selectedUniqueIdsForCheckin) {
+        window.selectedUniqueIdsForCheckin = new Set();
+    }
     
-    if (zoneBreakdownDiv) zoneBreakdownDiv.style.display = 'block';
-    if (zoneCountryDetailsDiv) zoneCountryDetailsDiv.style.display = 'none';
+    document.querySelectorAll('.email-result-checkbox').forEach(checkbox => {
+        checkbox.checked = true;
+        const uniqueId = checkbox.getAttribute('data-unique-id');
+        window.selectedUniqueIdsForCheckin.add(uniqueId);
+    });
+    
+    updateProceedButton();
 }
 
-// Load transportation analytics
-function loadTransportationAnalytics(registrations) {
-    // Display pickup location summary (same as pickup breakdown)
-    const pickupBreakdown = {};
-    registrations.forEach(reg => {
-        const pickup = reg.pickupLocation || reg['Pickup Location'] || reg['Place of Arrival'] || 'Not Specified';
-        pickupBreakdown[pickup] = (pickupBreakdown[pickup] || 0) + 1;
+// Deselect all email results
+function deselectAllEmailResults() {
+    if (window.selectedUniqueIdsForCheckin) {
+        window.selectedUniqueIdsForCheckin.clear();
+    }
+    
+    document.querySelectorAll('.email-result-checkbox').forEach(checkbox => {
+        checkbox.checked = false;
     });
     
-    displayBreakdownTable('pickupLocationSummaryTableBody', pickupBreakdown, registrations.length);
+    updateProceedButton();
+}
+
+// Update proceed button
+function updateProceedButton() {
+    const proceedBtn = document.getElementById('proceedEmailCheckinBtn');
+    if (proceedBtn) {
+        const count = window.selectedUniqueIdsForCheckin ? window.selectedUniqueIdsForCheckin.size : 0;
+        proceedBtn.textContent = `Check In Selected (${count})`;
+        proceedBtn.disabled = count === 0;
+    }
+}
+
+// Proceed with selected email results
+async function proceedWithSelectedEmailResults() {
+    if (!window.selectedUniqueIdsForCheckin || window.selectedUniqueIdsForCheckin.size === 0) {
+        showNotification('Please select at least one participant', 'error');
+        return;
+    }
     
-    // Enhanced transportation analytics with more fields
-    displayEnhancedTransportationAnalytics(registrations);
+    const uniqueIds = Array.from(window.selectedUniqueIdsForCheckin);
     
-    // Load complex transportation view
-    displayComplexTransportationView(registrations);
+    if (uniqueIds.length === 1) {
+        // Single selection - display participant info for checkin
+        const uniqueId = uniqueIds[0];
+        const db = firebase.firestore();
+        const regDoc = await db.collection('registrations').doc(uniqueId).get();
+        if (regDoc.exists) {
+            displayParticipantInfo(regDoc.data(), uniqueId);
+        }
+    } else {
+        // Multiple selections - use batch checkin
+        await executeBatchCheckin(uniqueIds);
+    }
 }
 
-// Display enhanced transportation analytics
-function displayEnhancedTransportationAnalytics(registrations) {
-    // Add analytics sections to the transportation analytics area
-    const transportationSection = document.querySelector('.transportation-changes-section');
-    if (!transportationSection) return;
+// Advanced search by name or email
+async function advancedSearch() {
+    const nameInput = document.getElementById('searchByName');
+    const emailInput = document.getElementById('searchByEmail');
     
-    // Create analytics container if it doesn't exist
-    let analyticsContainer = document.getElementById('enhancedTransportationAnalytics');
-    if (!analyticsContainer) {
-        analyticsContainer = document.createElement('div');
-        analyticsContainer.id = 'enhancedTransportationAnalytics';
-        analyticsContainer.className = 'analytics-section';
-        analyticsContainer.style.cssText = 'margin-top: 2rem; padding-top: 2rem; border-top: 2px solid #e0e0e0;';
-        transportationSection.parentNode.insertBefore(analyticsContainer, transportationSection.nextSibling);
+    if (!nameInput || !emailInput) return;
+    
+    const name = nameInput.value.trim();
+    const email = emailInput.value.trim();
+    
+    if (!name && !email) {
+        showNotification('Please enter a name or email to search', 'error');
+        return;
     }
     
-    // Extract all transportation-related fields
-    const placeOfArrivalBreakdown = {};
-    const arrivalDateBreakdown = {};
-    const arrivalTimeBreakdown = {};
-    const modeOfTravelBreakdown = {};
-    const returnPlaceBreakdown = {};
-    const returnDateBreakdown = {};
+    if (!window.firebase || !firebase.firestore) {
+        showNotification('Firebase not initialized', 'error');
+        return;
+    }
     
-    registrations.forEach(reg => {
-        // Place of Arrival
-        const placeOfArrival = reg['Place of Arrival'] || reg.placeOfArrival || reg.pickupLocation || reg['Pickup Location'] || 'Not Specified';
-        if (placeOfArrival && placeOfArrival !== 'Not Specified') {
-            placeOfArrivalBreakdown[placeOfArrival] = (placeOfArrivalBreakdown[placeOfArrival] || 0) + 1;
-        }
-        
-        // Date of Arrival
-        const arrivalDate = reg['Date of Arrival'] || reg.dateOfArrival || reg.arrivalDate || reg['Arrival Date'] || '';
-        if (arrivalDate) {
-            arrivalDateBreakdown[arrivalDate] = (arrivalDateBreakdown[arrivalDate] || 0) + 1;
-        }
+    try {
+        const db = firebase.firestore();
+        let results = [];
+        let searchType = null;
         
-        // Arrival Time
-        const arrivalTime = reg['Arrival Time'] || reg.arrivalTime || reg['Time of Arrival'] || '';
-        if (arrivalTime) {
-            // Group by time ranges for better analytics
-            const timeRange = getTimeRange(arrivalTime);
-            arrivalTimeBreakdown[timeRange] = (arrivalTimeBreakdown[timeRange] || 0) + 1;
+        if (email) {
+            // Email search: use emailToUids collection to find all Praveshika IDs linked to matching emails
+            searchType = 'email';
+            const emailLower = email.toLowerCase().trim();
+            const allUids = new Set();
+            
+            // First, try exact match using emailToUids collection
+            const emailToUidsDoc = await db.collection('emailToUids').doc(emailLower).get();
+            
+            if (emailToUidsDoc.exists) {
+                // Found exact match - get all UIDs for this email
+                const emailToUidsData = emailToUidsDoc.data();
+                const uids = emailToUidsData.uids || [];
+                uids.forEach(uid => allUids.add(uid));
+            } else {
+                // No exact match - try partial search in emailToUids collection
+                // Get all emailToUids documents and filter for emails containing the search term
+                const allEmailToUids = await db.collection('emailToUids').get();
+                
+                allEmailToUids.docs.forEach(doc => {
+                    const emailData = doc.data();
+                    const docEmail = (emailData.email || doc.id).toLowerCase();
+                    if (docEmail.includes(emailLower)) {
+                        const uids = emailData.uids || [];
+                        uids.forEach(uid => allUids.add(uid));
+                    }
+                });
+            }
+            
+            // Fetch all registration documents for these UIDs
+            const registrationPromises = Array.from(allUids).map(uid => 
+                db.collection('registrations').doc(uid).get()
+                    .then(doc => doc.exists ? doc : null)
+                    .catch(error => {
+                        console.error(`Error fetching registration for ${uid}:`, error);
+                        return null;
+                    })
+            );
+            
+            const registrationDocs = await Promise.all(registrationPromises);
+            registrationDocs.forEach(doc => {
+                if (doc) {
+                    results.push(doc);
+                }
+            });
+        } else if (name) {
+            // Name search: case-insensitive partial search
+            searchType = 'name';
+            const nameLower = name.toLowerCase();
+            
+            // Fetch all registrations in batches to avoid limit restrictions
+            let allRegistrations = [];
+            let lastDoc = null;
+            const batchSize = 1000;
+            
+            // Fetch registrations in batches until all are retrieved
+            while (true) {
+                let query = db.collection('registrations').limit(batchSize);
+                if (lastDoc) {
+                    query = query.startAfter(lastDoc);
+                }
+                
+                const batch = await query.get();
+                if (batch.empty) break;
+                
+                allRegistrations = allRegistrations.concat(batch.docs);
+                lastDoc = batch.docs[batch.docs.length - 1];
+                
+                // If we got fewer than batchSize, we've reached the end
+                if (batch.docs.length < batchSize) break;
+            }
+            
+            // Filter client-side for case-insensitive partial name match
+            allRegistrations.forEach(doc => {
+                const data = doc.data();
+                const regName = (data.name || data['Full Name'] || '').toLowerCase();
+                if (regName.includes(nameLower)) {
+                    results.push(doc);
+                }
+            });
         }
         
-        // Mode of Travel
-        const modeOfTravel = reg['Mode of Travel'] || reg.modeOfTravel || reg['Transportation Mode'] || '';
-        if (modeOfTravel) {
-            modeOfTravelBreakdown[modeOfTravel] = (modeOfTravelBreakdown[modeOfTravel] || 0) + 1;
+        if (results.length === 0) {
+            showNotification('No participants found', 'info');
+            return;
         }
         
-        // Return Place
-        const returnPlace = reg['Place of Return'] || reg.returnPlace || reg.dropoffLocation || reg['Dropoff Location'] || '';
-        if (returnPlace) {
-            returnPlaceBreakdown[returnPlace] = (returnPlaceBreakdown[returnPlace] || 0) + 1;
+        if (results.length === 1) {
+            const regData = results[0].data();
+            const uniqueId = regData.uniqueId || results[0].id;
+            displayParticipantInfo(regData, uniqueId);
+        } else {
+            // Show list of results with appropriate options
+            displayParticipantSearchResults(results, searchType);
         }
+    } catch (error) {
+        console.error('Error in advanced search:', error);
+        showNotification('Error searching: ' + error.message, 'error');
+    }
+}
+
+// Display participant search results
+function displayParticipantSearchResults(docs, searchType) {
+    const participantInfo = document.getElementById('participantInfo');
+    const participantDetails = document.getElementById('participantDetails');
+    
+    if (!participantInfo || !participantDetails) return;
+    
+    const isEmailSearch = searchType === 'email';
+    const uniqueIds = [];
+    
+    let html = `<div class="participant-search-results">
+        <h4>${docs.length} result(s) found${isEmailSearch ? ' with this email' : ''}. Please select:</h4>
+        <ul style="list-style: none; padding: 0;">`;
+    
+    docs.forEach(doc => {
+        const data = doc.data();
+        const name = data.name || data['Full Name'] || 'Unknown';
+        const uniqueId = data.uniqueId || doc.id;
+        const email = data.email || data['Email address'] || '';
+        uniqueIds.push(uniqueId);
         
-        // Return Date
-        const returnDate = reg['Date of Return'] || reg.returnDate || reg['Return Date'] || '';
-        if (returnDate) {
-            returnDateBreakdown[returnDate] = (returnDateBreakdown[returnDate] || 0) + 1;
-        }
+        html += `
+            <li style="margin: 0.5rem 0; padding: 0.5rem; border: 1px solid #ddd; border-radius: 4px;">
+                <button class="btn btn-link" onclick="selectParticipantFromSearch('${escapeHtml(uniqueId)}')" style="text-align: left; width: 100%;">
+                    <strong>${escapeHtml(name)}</strong><br>
+                    <small>${escapeHtml(uniqueId)}${email ? ' - ' + escapeHtml(email) : ''}</small>
+                </button>
+            </li>`;
     });
     
-    // Build HTML for analytics
-    let html = `
-        <h3>Enhanced Transportation Analytics</h3>
-        
-        <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(400px, 1fr)); gap: 2rem; margin-top: 1.5rem;">
-    `;
+    html += '</ul>';
     
-    // Place of Arrival breakdown
-    if (Object.keys(placeOfArrivalBreakdown).length > 0) {
+    // Show batch check-in button for email search with multiple results
+    if (isEmailSearch && docs.length > 1) {
         html += `
-            <div class="analytics-subsection">
-                <h4>Place of Arrival</h4>
-                ${createBreakdownHTML(placeOfArrivalBreakdown, registrations.length)}
-            </div>
-        `;
+            <div style="margin-top: 1rem; padding-top: 1rem; border-top: 2px solid #007bff;">
+                <p><strong>Batch Check-in:</strong> Check in all ${docs.length} participants with this email?</p>
+                <button class="btn btn-primary" onclick="batchCheckinFromEmail([${uniqueIds.map(id => `'${escapeHtml(id)}'`).join(',')}])">
+                    Check In All (${docs.length})
+                </button>
+            </div>`;
     }
     
-    // Date of Arrival breakdown
-    if (Object.keys(arrivalDateBreakdown).length > 0) {
-        html += `
-            <div class="analytics-subsection">
-                <h4>Date of Arrival</h4>
-                ${createBreakdownHTML(arrivalDateBreakdown, registrations.length)}
-            </div>
-        `;
+    html += '</div>';
+    participantDetails.innerHTML = html;
+    participantInfo.style.display = 'block';
+}
+
+// Select participant from search results
+async function selectParticipantFromSearch(uniqueId) {
+    if (isCheckinOffline()) {
+        selectOfflineRosterParticipant(uniqueId);
+        return;
     }
     
-    // Arrival Time breakdown
-    if (Object.keys(arrivalTimeBreakdown).length > 0) {
-        html += `
-            <div class="analytics-subsection">
-                <h4>Arrival Time Distribution</h4>
-                ${createBreakdownHTML(arrivalTimeBreakdown, registrations.length)}
-            </div>
-        `;
+    const db = firebase.firestore();
+    const regDoc = await db.collection('registrations').doc(uniqueId).get();
+    if (regDoc.exists) {
+        displayParticipantInfo(regDoc.data(), uniqueId);
     }
-    
-    // Mode of Travel breakdown
-    if (Object.keys(modeOfTravelBreakdown).length > 0) {
-        html += `
-            <div class="analytics-subsection">
-                <h4>Mode of Travel</h4>
-                ${createBreakdownHTML(modeOfTravelBreakdown, registrations.length)}
-            </div>
-        `;
+}
+
+// Batch check-in from email search results
+async function batchCheckinFromEmail(uniqueIds) {
+    if (!uniqueIds || !Array.isArray(uniqueIds) || uniqueIds.length === 0) {
+        showNotification('No participants selected for batch check-in', 'error');
+        return;
     }
     
-    // Return Place breakdown
-    if (Object.keys(returnPlaceBreakdown).length > 0) {
-        html += `
-            <div class="analytics-subsection">
-                <h4>Place of Return</h4>
-                ${createBreakdownHTML(returnPlaceBreakdown, registrations.length)}
-            </div>
-        `;
+    // Validate all IDs are strings
+    const validIds = uniqueIds.filter(id => id && typeof id === 'string' && id.trim() !== '');
+    if (validIds.length === 0) {
+        showNotification('No valid Praveshika IDs provided for batch check-in', 'error');
+        return;
     }
     
-    // Return Date breakdown
-    if (Object.keys(returnDateBreakdown).length > 0) {
-        html += `
-            <div class="analytics-subsection">
-                <h4>Date of Return</h4>
-                ${createBreakdownHTML(returnDateBreakdown, registrations.length)}
-            </div>
-        `;
+    // Confirm batch check-in with explicit list of IDs
+    const idsList = validIds.slice(0, 5).join(', ') + (validIds.length > 5 ? ` and ${validIds.length - 5} more` : '');
+    const confirmMessage = `Are you sure you want to check in ${validIds.length} participant(s) with these Praveshika IDs?\n\n${idsList}\n\nThis will check in ONLY these specific IDs, not all users with the same email.`;
+    if (!confirm(confirmMessage)) {
+        return;
     }
     
-    html += `
-        </div>
-    `;
+    // Use existing batch check-in function with validated IDs
+    await executeBatchCheckin(validIds);
     
-    analyticsContainer.innerHTML = html;
+    // Clear participant info display
+    clearParticipantInfo();
 }
 
-// Helper to create breakdown HTML
-function createBreakdownHTML(breakdown, total) {
-    const sortedEntries = Object.entries(breakdown).sort((a, b) => b[1] - a[1]);
-    let html = '<table class="data-table" style="margin-top: 0.5rem;">';
-    html += '<thead><tr><th>Value</th><th>Count</th><th>Percentage</th></tr></thead><tbody>';
+// Display participant information
+function displayParticipantInfo(regData, uniqueId) {
+    const participantInfo = document.getElementById('participantInfo');
+    const participantDetails = document.getElementById('participantDetails');
+    const checkinForm = document.getElementById('checkinForm');
     
-    sortedEntries.forEach(([key, count]) => {
-        const percentage = total > 0 ? ((count / total) * 100).toFixed(1) : '0.0';
-        html += `
-            <tr>
-                <td>${escapeHtml(key)}</td>
-                <td>${count}</td>
-                <td>${percentage}%</td>
-            </tr>
-        `;
-    });
+    if (!participantInfo || !participantDetails || !checkinForm) return;
     
-    html += '</tbody></table>';
-    return html;
-}
-
-// Helper to get time range from time string
-function getTimeRange(timeStr) {
-    if (!timeStr) return 'Unknown';
+    currentCheckinParticipantUniqueId = uniqueId;
     
-    // Convert to string in case it's a number, Date, or other type
-    const timeString = String(timeStr);
+    // Reset registration checkboxes before displaying new participant
+    // This ensures old checkbox states don't carry over to the new participant
+    resetRegistrationCheckboxes();
     
-    // Try to extract hour from time string (format: HH:MM or HH:MM:SS)
-    const timeMatch = timeString.match(/(\d{1,2}):\d{2}/);
-    if (!timeMatch) return 'Unknown';
+    const name = regData.name || regData['Full Name'] || 'Unknown';
+    const email = regData.email || regData['Email address'] || 'N/A';
+    const country = regData.country || regData.Country || 'N/A';
+    const shreni = regData.shreni || regData.Shreni || 'N/A';
+    
+    participantDetails.innerHTML = `
+        <div class="participant-details">
+            <div style="background: #e8f4f8; padding: 1rem; border-radius: 8px; margin-bottom: 1rem; border-left: 4px solid #007bff;">
+                <p style="margin: 0; font-weight: bold; color: #007bff;">Ready to Check In</p>
+                <p style="margin: 0.5rem 0 0 0; font-size: 0.9em;">Praveshika ID: <strong>${escapeHtml(uniqueId)}</strong></p>
+            </div>
+            <p><strong>Name:</strong> ${escapeHtml(name)}</p>
+            <p><strong>Praveshika ID:</strong> <strong style="color: #007bff;">${escapeHtml(uniqueId)}</strong></p>
+            <p><strong>Email:</strong> ${escapeHtml(email)}</p>
+            <p><strong>Country:</strong> ${escapeHtml(country)}</p>
+            <p><strong>Shreni:</strong> ${escapeHtml(shreni)}</p>
+        </div>
+    `;
+    
+    participantInfo.style.display = 'block';
+    checkinForm.style.display = 'block';
+    
+    // Display the Praveshika ID in the check-in form for clarity
+    const checkinTypeDisplay = document.getElementById('checkinTypeDisplay');
+    if (checkinTypeDisplay) {
+        const typeLabel = CHECKIN_TYPE_LABELS[currentCheckinType] || currentCheckinType;
+        checkinTypeDisplay.textContent = typeLabel;
+    }
+    
+    // Add a clear indicator of which Praveshika ID will be checked in
+    const formHeader = checkinForm.querySelector('h3');
+    if (formHeader && !formHeader.dataset.praveshikaIdDisplayed) {
+        const idDisplay = document.createElement('div');
+        idDisplay.style.cssText = 'background: #fff3cd; padding: 0.75rem; border-radius: 4px; margin-bottom: 1rem; border-left: 4px solid #ffc107;';
+        idDisplay.innerHTML = `<strong>Checking in:</strong> <span style="color: #007bff; font-weight: bold;">${escapeHtml(uniqueId)}</span>`;
+        checkinForm.insertBefore(idDisplay, checkinForm.querySelector('form'));
+        formHeader.dataset.praveshikaIdDisplayed = 'true';
+    } else if (formHeader && formHeader.dataset.praveshikaIdDisplayed) {
+        // Update the ID display if it already exists
+        const existingDisplay = checkinForm.querySelector('div[style*="background: #fff3cd"]');
+        if (existingDisplay) {
+            existingDisplay.innerHTML = `<strong>Checking in:</strong> <span style="color: #007bff; font-weight: bold;">${escapeHtml(uniqueId)}</span>`;
+        }
+    }
     
-    const hour = parseInt(timeMatch[1]);
+    prefillGanveshIssuedSize(regData);
     
-    if (hour >= 0 && hour < 6) return '00:00 - 05:59';
-    if (hour >= 6 && hour < 12) return '06:00 - 11:59';
-    if (hour >= 12 && hour < 18) return '12:00 - 17:59';
-    return '18:00 - 23:59';
+    // Check if already checked in (this will update checkboxes based on new participant's status)
+    // Skipped offline: status comes from Firestore and is re-checked when the queue syncs
+    if (!isCheckinOffline()) {
+        checkCheckinStatus(uniqueId);
+    }
 }
 
-// Load transportation changes based on time period
-async function loadTransportationChanges(period) {
-    if (!window.firebase || !firebase.firestore) {
-        showNotification('Firebase not initialized.', 'error');
-        return;
+// Reset registration checkboxes to default state
+function resetRegistrationCheckboxes() {
+    const registrationCheckbox = document.getElementById('registrationCheckbox');
+    const shulkPaidCheckbox = document.getElementById('shulkPaidCheckbox');
+    const kitCollectedCheckbox = document.getElementById('kitCollectedCheckbox');
+    
+    // Reset all checkboxes to unchecked and unfrozen
+    if (registrationCheckbox) {
+        registrationCheckbox.checked = false;
+        registrationCheckbox.disabled = false;
+        registrationCheckbox.dataset.frozen = 'false';
+        registrationCheckbox.title = '';
     }
     
-    const db = firebase.firestore();
-    const now = new Date();
-    let startTime;
+    if (shulkPaidCheckbox) {
+        shulkPaidCheckbox.checked = false;
+        shulkPaidCheckbox.disabled = false;
+        shulkPaidCheckbox.dataset.frozen = 'false';
+        shulkPaidCheckbox.title = '';
+    }
     
-    if (period === 'day') {
-        startTime = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-    } else if (period === 'week') {
-        startTime = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-    } else {
-        startTime = null; // Anytime
+    if (kitCollectedCheckbox) {
+        kitCollectedCheckbox.checked = false;
+        kitCollectedCheckbox.disabled = false;
+        kitCollectedCheckbox.dataset.frozen = 'false';
+        kitCollectedCheckbox.title = '';
     }
+}
+
+// Clear participant info
+function clearParticipantInfo() {
+    currentCheckinParticipantUniqueId = null;
+    const participantInfo = document.getElementById('participantInfo');
+    const checkinForm = document.getElementById('checkinForm');
     
-    try {
-        // First, load summary counts for all periods
-        await loadTransportationChangeSummary();
-        
-        // For "anytime" period, use optimized query limited to 1000 most recent changes
-        if (!startTime) {
-            // Use query with orderBy and limit instead of loading all documents
-            // This shows the last 1000 transportation changes, not all historical changes
-            // Note: orderBy only returns documents where the field exists
-            let query = db.collection('registrations')
-                .orderBy('travelupdateAt', 'desc')
-                .limit(1000);
-            
-            const snapshot = await query.get();
-            const changes = [];
-            
-            snapshot.forEach(doc => {
-                const data = doc.data();
-                if (data.travelupdateAt) {
-                    changes.push({
-                        name: data.name || data['Full Name'] || 'Unknown',
-                        uniqueId: data.uniqueId || doc.id,
-                        email: data.email || data['Email address'] || '',
-                        pickupLocation: data.arrivalPlace || data.pickupLocation || data['Pickup Location'] || data['Place of Arrival'] || 'Not Specified',
-                        arrivalDate: data.arrivalDate || data['Arrival Date'] || data['Date of Arrival'] || '',
-                        arrivalTime: data.arrivalTime || data['Arrival Time'] || data['Time of Arrival'] || '',
-                        travelupdateAt: data.travelupdateAt
-                    });
-                }
-            });
-            
-            displayTransportationChanges(changes);
-            return;
+    if (participantInfo) participantInfo.style.display = 'none';
+    if (checkinForm) {
+        checkinForm.style.display = 'none';
+        // Remove the Praveshika ID display indicator
+        const idDisplay = checkinForm.querySelector('div[style*="background: #fff3cd"]');
+        if (idDisplay) {
+            idDisplay.remove();
+        }
+        const formHeader = checkinForm.querySelector('h3');
+        if (formHeader) {
+            formHeader.dataset.praveshikaIdDisplayed = 'false';
         }
-        
-        // For day/week periods, use query
-        let query = db.collection('registrations')
-            .where('travelupdateAt', '>=', firebase.firestore.Timestamp.fromDate(startTime))
-            .orderBy('travelupdateAt', 'desc');
-        
-        const snapshot = await query.get();
-        
-        const changes = [];
-        snapshot.forEach(doc => {
-            const data = doc.data();
-            if (data.travelupdateAt) {
-                changes.push({
-                    name: data.name || data['Full Name'] || 'Unknown',
-                    uniqueId: data.uniqueId || doc.id,
-                    email: data.email || data['Email address'] || '',
-                    pickupLocation: data.arrivalPlace || data.pickupLocation || data['Pickup Location'] || data['Place of Arrival'] || 'Not Specified',
-                    arrivalDate: data.arrivalDate || data['Arrival Date'] || data['Date of Arrival'] || '',
-                    arrivalTime: data.arrivalTime || data['Arrival Time'] || data['Time of Arrival'] || '',
-                    travelupdateAt: data.travelupdateAt
-                });
-            }
-        });
-        
-        displayTransportationChanges(changes);
-        
-    } catch (error) {
-        console.error('Error loading transportation changes:', error);
-        // If the query fails (e.g., no index), show error message
-        // Note: Firestore requires a composite index for queries with orderBy on different fields
-        showNotification('Error loading transportation changes. The query may require a Firestore index. Please try again or contact support.', 'error');
     }
+    
+    // Clear inputs
+    const barcodeInput = document.getElementById('barcodeInput');
+    const manualInput = document.getElementById('manualPraveshikaId');
+    const nameSearchInput = document.getElementById('searchByNameCheckin');
+    if (barcodeInput) barcodeInput.value = '';
+    if (manualInput) manualInput.value = '';
+    if (nameSearchInput) nameSearchInput.value = '';
 }
 
-// Load summary counts for transportation changes
-async function loadTransportationChangeSummary() {
-    if (!window.firebase || !firebase.firestore) {
+// Setup checkin form
+function setupCheckinForm() {
+    const form = document.getElementById('checkinFormElement');
+    if (!form) return;
+    
+    // Prevent duplicate event listeners by checking if form already has listener
+    if (form.dataset.checkinFormSetup === 'true') {
         return;
     }
     
-    const db = firebase.firestore();
-    const now = new Date();
-    const dayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-    const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+    // Mark form as set up
+    form.dataset.checkinFormSetup = 'true';
     
-    try {
-        // Count changes in last day
-        const dayQuery = db.collection('registrations')
-            .where('travelupdateAt', '>=', firebase.firestore.Timestamp.fromDate(dayAgo));
-        const daySnapshot = await dayQuery.get();
-        const dayCount = daySnapshot.size;
-        
-        // Count changes in last week
-        const weekQuery = db.collection('registrations')
-            .where('travelupdateAt', '>=', firebase.firestore.Timestamp.fromDate(weekAgo));
-        const weekSnapshot = await weekQuery.get();
-        const weekCount = weekSnapshot.size;
-        
-        // Count total changes (all registrations with travelupdateAt)
-        const totalQuery = db.collection('registrations')
-            .where('travelupdateAt', '>', firebase.firestore.Timestamp.fromDate(new Date(0)));
-        const totalSnapshot = await totalQuery.get();
-        const totalCount = totalSnapshot.size;
-        
-        // Update UI
-        const dayEl = document.getElementById('transportationChangesDay');
-        if (dayEl) dayEl.textContent = dayCount;
-        
-        const weekEl = document.getElementById('transportationChangesWeek');
-        if (weekEl) weekEl.textContent = weekCount;
-        
-        const totalEl = document.getElementById('totalTransportationChanges');
-        if (totalEl) totalEl.textContent = totalCount;
-        
-    } catch (error) {
-        console.error('Error loading transportation change summary:', error);
-        // Fallback: try to get approximate counts
-        try {
-            const allSnapshot = await db.collection('registrations').get();
-            let dayCount = 0;
-            let weekCount = 0;
-            let totalCount = 0;
-            
-            allSnapshot.forEach(doc => {
-                const data = doc.data();
-                if (data.travelupdateAt) {
-                    totalCount++;
-                    const updateTime = data.travelupdateAt.toDate ? data.travelupdateAt.toDate() : null;
-                    if (updateTime) {
-                        if (updateTime >= dayAgo) dayCount++;
-                        if (updateTime >= weekAgo) weekCount++;
-                    }
-                }
-            });
-            
-            const dayEl = document.getElementById('transportationChangesDay');
-            if (dayEl) dayEl.textContent = dayCount;
-            
-            const weekEl = document.getElementById('transportationChangesWeek');
-            if (weekEl) weekEl.textContent = weekCount;
-            
-            const totalEl = document.getElementById('totalTransportationChanges');
-            if (totalEl) totalEl.textContent = totalCount;
-        } catch (fallbackError) {
-            console.error('Error in fallback summary calculation:', fallbackError);
-        }
-    }
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await performCheckin();
+    });
+    
+    // Setup automatic uppercase conversion for Praveshika ID inputs
+    setupPraveshikaIdInputs();
 }
 
-// Helper function to display transportation changes
-function displayTransportationChanges(changes) {
-    // Display changes
-    const tbody = document.getElementById('transportationChangesTableBody');
-    if (!tbody) return;
-    
-    let html = '';
-    if (changes.length === 0) {
-        html = '<tr><td colspan="7" style="text-align: center;">No changes found for the selected period.</td></tr>';
-    } else {
-        changes.forEach(change => {
-            const updateTime = change.travelupdateAt ? 
-                (change.travelupdateAt.toDate ? change.travelupdateAt.toDate().toLocaleString() : 'Unknown') : 
-                'Unknown';
-            
-            // Add "Last changed" indicator to Praveshika ID
-            const praveshikaIdDisplay = escapeHtml(change.uniqueId) + 
-                ' <span style="color: #28a745; font-size: 0.85rem; font-weight: bold;">(Last changed)</span>';
-            
-            html += `
-                <tr>
-                    <td>${escapeHtml(change.name)}</td>
-                    <td>${praveshikaIdDisplay}</td>
-                    <td>${escapeHtml(change.email)}</td>
-                    <td>${escapeHtml(change.pickupLocation)}</td>
-                    <td>${escapeHtml(change.arrivalDate)}</td>
-                    <td>${escapeHtml(change.arrivalTime)}</td>
-                    <td>${escapeHtml(updateTime)}</td>
-                </tr>
-            `;
+// Setup automatic uppercase conversion for Praveshika ID inputs
+function setupPraveshikaIdInputs() {
+    // Barcode input - convert to uppercase on input
+    const barcodeInput = document.getElementById('barcodeInput');
+    if (barcodeInput && !barcodeInput.dataset.uppercaseSetup) {
+        barcodeInput.dataset.uppercaseSetup = 'true';
+        barcodeInput.addEventListener('input', function(e) {
+            const cursorPos = this.selectionStart;
+            const originalLength = this.value.length;
+            this.value = this.value.toUpperCase();
+            // Restore cursor position after uppercase conversion
+            const newLength = this.value.length;
+            const newCursorPos = cursorPos + (newLength - originalLength);
+            this.setSelectionRange(newCursorPos, newCursorPos);
+        });
+        // Also convert on paste
+        barcodeInput.addEventListener('paste', function(e) {
+            setTimeout(() => {
+                const cursorPos = this.selectionStart;
+                const originalLength = this.value.length;
+                this.value = this.value.toUpperCase();
+                const newLength = this.value.length;
+                const newCursorPos = cursorPos + (newLength - originalLength);
+                this.setSelectionRange(newCursorPos, newCursorPos);
+            }, 0);
+        });
+        // Handheld scanners finish each badge with Enter
+        barcodeInput.addEventListener('keydown', function(e) {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            if (rapidScanEnabled) {
+                handleRapidScan(this.value);
+            } else {
+                searchParticipant();
+            }
         });
     }
     
-    tbody.innerHTML = html;
+    // Manual Praveshika ID input - convert to uppercase on input
+    const manualInput = document.getElementById('manualPraveshikaId');
+    if (manualInput && !manualInput.dataset.uppercaseSetup) {
+        manualInput.dataset.uppercaseSetup = 'true';
+        manualInput.addEventListener('input', function(e) {
+            const cursorPos = this.selectionStart;
+            const originalLength = this.value.length;
+            this.value = this.value.toUpperCase();
+            // Restore cursor position after uppercase conversion
+            const newLength = this.value.length;
+            const newCursorPos = cursorPos + (newLength - originalLength);
+            this.setSelectionRange(newCursorPos, newCursorPos);
+        });
+        // Also convert on paste
+        manualInput.addEventListener('paste', function(e) {
+            setTimeout(() => {
+                const cursorPos = this.selectionStart;
+                const originalLength = this.value.length;
+                this.value = this.value.toUpperCase();
+                const newLength = this.value.length;
+                const newCursorPos = cursorPos + (newLength - originalLength);
+                this.setSelectionRange(newCursorPos, newCursorPos);
+            }, 0);
+        });
+    }
 }
 
-// Helper function to format date value (handles Excel serial dates, Date objects, strings, etc.)
-function formatDateValue(dateValue) {
-    if (!dateValue) return '';
-    
-    const str = String(dateValue).trim();
-    if (!str) return '';
-    
-    const num = parseFloat(str);
-    
-    // If it's a number that looks like an Excel serial date (between 1 and 100000)
-    if (!isNaN(num) && num > 0 && num < 100000) {
-        // Excel serial date - convert to actual date
-        // Excel epoch is January 1, 1900 (serial number 1)
-        // Excel incorrectly treats 1900 as a leap year, so we adjust
-        const excelEpoch = new Date(1899, 11, 30); // Dec 30, 1899
-        const days = Math.floor(num);
-        const date = new Date(excelEpoch);
-        date.setDate(date.getDate() + days);
-        
-        // Verify it's a reasonable date (between 1900 and 2100)
-        if (date.getFullYear() >= 1900 && date.getFullYear() < 2100) {
-            return date.toLocaleDateString('en-US', { year: 'numeric', month: '2-digit', day: '2-digit' });
-        }
+// Submit a check-in to the /api/checkin endpoint, which enforces permissions,
+// the registration prerequisite and duplicate prevention on the server.
+// Resolves to the parsed JSON response; network failures reject with code 'unavailable'.
+async function submitCheckinToApi(payload) {
+    const user = firebase.auth().currentUser;
+    if (!user) {
+        throw new Error('Please log in to perform checkin');
     }
     
-    // If it's a valid date string or Date object
-    const date = new Date(str);
-    if (!isNaN(date.getTime())) {
-        // Check if it's a reasonable date (not year 1900 from Excel conversion)
-        if (date.getFullYear() > 1900 && date.getFullYear() < 2100) {
-            return date.toLocaleDateString('en-US', { year: 'numeric', month: '2-digit', day: '2-digit' });
-        }
+    const idToken = await user.getIdToken();
+    let response;
+    try {
+        response = await fetch('/api/checkin', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${idToken}`
+            },
+            body: JSON.stringify(payload)
+        });
+    } catch (networkError) {
+        const error = new Error('Check-in service unreachable');
+        error.code = 'unavailable';
+        throw error;
     }
     
-    // If it looks like a date string already (contains / or -)
-    if (str.match(/^\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}$/)) {
-        return str;
+    let result;
+    try {
+        result = await response.json();
+    } catch (jsonError) {
+        const error = new Error(`Check-in service returned an invalid response (${response.status})`);
+        error.status = response.status;
+        throw error;
     }
     
-    // If it's just a number that's too large to be a date, return empty
-    if (!isNaN(num) && num >= 100000) {
-        return '';
+    if (!response.ok) {
+        const error = new Error(result.error || `Check-in failed (${response.status})`);
+        error.status = response.status;
+        error.result = result;
+        throw error;
     }
     
-    return str;
+    return result;
 }
 
-// Helper function to format time value (handles decimal numbers, invalid formats, etc.)
-function formatTimeValue(timeValue) {
-    if (!timeValue) return '';
+// Remove check-ins through /api/checkin so a cloak room tag goes back into the inventory and
+// ganvesh stock is returned along with the check-in. Throws if any of them could not be undone.
+async function undoCheckinsViaApi(checkinIds) {
+    const result = await submitCheckinToApi({ action: 'undo', checkinIds });
+    const failed = (result.results || []).filter(r => r.status !== 'undone');
+    if (failed.length) {
+        throw new Error(failed.map(r => r.message).join(' '));
+    }
+    return result;
+}
+
+// Show the per-type results returned by /api/checkin
+function showCheckinApiResults(result) {
+    const participantName = result.participant?.name || result.uniqueId;
+    const checkedIn = result.results.filter(r => r.status === 'checked_in');
+    
+    result.results.forEach(r => {
+        const typeLabel = CHECKIN_TYPE_LABELS[r.checkinType] || r.checkinType;
+        if (r.status === 'duplicate') {
+            const timeStr = r.existing?.timestamp ? new Date(r.existing.timestamp).toLocaleString() : 'Unknown';
+            const byStr = r.existing?.checkedInByName ? ` by ${r.existing.checkedInByName}` : '';
+            showNotification(`Already checked in for ${typeLabel} at ${timeStr}${byStr}.`, 'info');
+        } else if (['prerequisite_missing', 'invalid_field', 'tag_unavailable'].includes(r.status)) {
+            showNotification(`${typeLabel}: ${r.message}`, 'error');
+        }
+    });
     
-    const str = String(timeValue).trim();
-    if (!str) return '';
+    if (checkedIn.length) {
+        const labels = checkedIn.map(r => CHECKIN_TYPE_LABELS[r.checkinType] || r.checkinType).join(', ');
+        showNotification(`Check-in successful for ${participantName} (${result.uniqueId}): ${labels}`, 'success');
+    }
     
-    // If it's a decimal number (like 0.33333333333575865), return empty
-    const num = parseFloat(str);
-    if (!isNaN(num) && num >= 0 && num < 1 && str.includes('.')) {
-        return '';
+    return checkedIn.map(r => r.checkinType);
+}
+
+// Perform checkin
+async function performCheckin() {
+    // Validate that we have a specific Praveshika ID selected
+    if (!currentCheckinParticipantUniqueId || typeof currentCheckinParticipantUniqueId !== 'string' || currentCheckinParticipantUniqueId.trim() === '') {
+        showNotification('Please search for a participant first', 'error');
+        return;
     }
     
-    // If it's a number that looks like a time in decimal format (e.g., 14.5 for 14:30)
-    if (!isNaN(num) && num >= 0 && num < 24 && num % 1 !== 0) {
-        const hours = Math.floor(num);
-        const minutes = Math.round((num - hours) * 60);
-        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    const uniqueIdToCheckIn = currentCheckinParticipantUniqueId.trim();
+    
+    if (!window.firebase || !firebase.auth || !firebase.firestore) {
+        showNotification('Firebase not initialized', 'error');
+        return;
     }
     
-    // If it matches time format (HH:MM or HH:MM:SS)
-    if (str.match(/^\d{1,2}:\d{2}(:\d{2})?$/)) {
-        return str;
+    const user = firebase.auth().currentUser;
+    if (!user) {
+        showNotification('Please log in to perform checkin', 'error');
+        return;
     }
     
-    // If it's a valid time string, try to parse it
-    const timeMatch = str.match(/(\d{1,2}):?(\d{2})?/);
-    if (timeMatch) {
-        const hours = parseInt(timeMatch[1]);
-        const minutes = timeMatch[2] ? parseInt(timeMatch[2]) : 0;
-        if (hours >= 0 && hours < 24 && minutes >= 0 && minutes < 60) {
-            return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    // Determine types to process (registration automatically includes shulk_paid and kit_collected)
+    let typesToProcess = [];
+    if (currentCheckinType === 'registration') {
+        typesToProcess = getSelectedRegistrationActions();
+        if (!typesToProcess.length) {
+            showNotification('Registration check-in is required', 'error');
+            return;
         }
+    } else {
+        typesToProcess = [currentCheckinType];
     }
     
-    // If it's an invalid number format, return empty
-    if (!isNaN(num) && (num < 0 || num >= 24)) {
-        return '';
+    const extraFields = getCheckinExtraFieldValues(currentCheckinType);
+    if (extraFields.missing.length) {
+        showNotification(`Please fill in: ${extraFields.missing.join(', ')}`, 'error');
+        return;
     }
     
-    return str;
-}
-
-// Display complex transportation view: sorted by location, date, time
-function displayComplexTransportationView(registrations) {
-    const tbody = document.getElementById('complexTransportationTableBody');
-    if (!tbody) return;
+    // Offline: record into the local queue, synced later by syncOfflineCheckinQueue()
+    if (isCheckinOffline()) {
+        queueOfflineCheckin(uniqueIdToCheckIn, typesToProcess, extraFields.values);
+        return;
+    }
     
-    // Filter registrations that have transportation details
-    // Look for various field name variations
-    const transportationData = registrations
-        .filter(reg => {
-            const pickup = reg.pickupLocation || reg['Pickup Location'] || reg['Place of Arrival'] || reg.placeOfArrival;
-            const arrivalDate = reg.arrivalDate || reg['Arrival Date'] || reg['Date of Arrival'] || reg.dateOfArrival;
-            const arrivalTime = reg.arrivalTime || reg['Arrival Time'] || reg['Time of Arrival'] || reg.timeOfArrival;
-            return pickup || arrivalDate || arrivalTime;
-        })
-        .map(reg => {
-            // Get raw values
-            const rawPickupLocation = reg.pickupLocation || reg['Pickup Location'] || reg['Place of Arrival'] || reg.placeOfArrival || '';
-            const rawArrivalDate = reg.arrivalDate || reg['Arrival Date'] || reg['Date of Arrival'] || reg.dateOfArrival || '';
-            const rawArrivalTime = reg.arrivalTime || reg['Arrival Time'] || reg['Time of Arrival'] || reg.timeOfArrival || '';
-            
-            // Clean up pickup location - if it's a number that looks like a date, it's probably wrong
-            let pickupLocation = rawPickupLocation;
-            const pickupNum = parseFloat(rawPickupLocation);
-            if (!isNaN(pickupNum) && pickupNum > 10000 && pickupNum < 100000) {
-                // This looks like a date serial number in the wrong field
-                pickupLocation = '';
-            }
-            
-            return {
-                name: reg.name || reg['Full Name'] || 'Unknown',
-                uniqueId: reg.uniqueId || '',
-                email: reg.email || reg['Email address'] || '',
-                pickupLocation: pickupLocation,
-                arrivalDate: formatDateValue(rawArrivalDate),
-                arrivalTime: formatTimeValue(rawArrivalTime),
-                flightTrainNumber: reg.flightTrainNumber || reg['Flight/Train Number'] || reg['Flight Number'] || reg['Train Number'] || '',
-                modeOfTravel: reg['Mode of Travel'] || reg.modeOfTravel || ''
-            };
+    try {
+        // Common form values
+        const notes = document.getElementById('checkinNotes')?.value.trim() || null;
+        const pickupLocationInput = document.getElementById('checkinPickupLocation')?.value.trim();
+        
+        // Permissions, prerequisites and duplicates are enforced by the API
+        const result = await submitCheckinToApi({
+            uniqueId: uniqueIdToCheckIn,
+            checkinTypes: typesToProcess,
+            notes: notes,
+            pickupLocation: pickupLocationInput || null,
+            fields: extraFields.values,
+            source: 'desk'
         });
-    
-    // Sort by: 1) Pickup Location (alphabetical), 2) Arrival Date, 3) Arrival Time
-    transportationData.sort((a, b) => {
-        // First by pickup location
-        const locationCompare = String(a.pickupLocation || '').localeCompare(String(b.pickupLocation || ''));
-        if (locationCompare !== 0) return locationCompare;
         
-        // Then by arrival date
-        const dateCompare = String(a.arrivalDate || '').localeCompare(String(b.arrivalDate || ''));
-        if (dateCompare !== 0) return dateCompare;
+        const successTypes = showCheckinApiResults(result);
         
-        // Finally by arrival time
-        return String(a.arrivalTime || '').localeCompare(String(b.arrivalTime || ''));
-    });
-    
-    let html = '';
-    if (transportationData.length === 0) {
-        html = '<tr><td colspan="8" style="text-align: center;">No transportation data available.</td></tr>';
-    } else {
-        transportationData.forEach(item => {
-            html += `
-                <tr>
-                    <td>${escapeHtml(item.pickupLocation)}</td>
-                    <td>${escapeHtml(item.arrivalDate)}</td>
-                    <td>${escapeHtml(item.arrivalTime)}</td>
-                    <td>${escapeHtml(item.modeOfTravel)}</td>
-                    <td>${escapeHtml(item.name)}</td>
-                    <td>${escapeHtml(item.uniqueId)}</td>
-                    <td>${escapeHtml(item.flightTrainNumber)}</td>
-                    <td>${escapeHtml(item.email)}</td>
-                </tr>
-            `;
-        });
+        // If registration type, refresh checkin status to freeze checkboxes
+        if (successTypes.length && currentCheckinType === 'registration' && currentCheckinParticipantUniqueId === uniqueIdToCheckIn) {
+            await checkCheckinStatus(uniqueIdToCheckIn);
+        }
+        
+        // Clear form and participant display only if not staying on same participant
+        if (currentCheckinType !== 'registration' || !successTypes.some(t => ['registration', 'shulk_paid', 'kit_collected'].includes(t))) {
+            clearCheckinForm();
+            clearParticipantInfo();
+        } else {
+            // For registration, just clear notes and other fields, but keep participant info
+            const notesInput = document.getElementById('checkinNotes');
+            if (notesInput) notesInput.value = '';
+        }
+        
+        // Reload recent checkins for current visible tab
+        await loadRecentCheckins(currentCheckinType);
+        await loadCheckinHistory();
+        
+    } catch (error) {
+        console.error('Error performing checkin:', error);
+        // Check-in service unreachable: fall back to the offline queue if the roster is cached
+        if (error.code === 'unavailable' && getOfflineRoster()) {
+            queueOfflineCheckin(uniqueIdToCheckIn, typesToProcess, extraFields.values);
+            return;
+        }
+        showNotification('Error performing checkin: ' + error.message, 'error');
     }
+}
+
+// Clear checkin form
+function clearCheckinForm() {
+    const form = document.getElementById('checkinFormElement');
+    if (form) form.reset();
+    
+    const notes = document.getElementById('checkinNotes');
+    if (notes) notes.value = '';
+    
+    clearCheckinExtraFields();
     
-    tbody.innerHTML = html;
+    // Reset registration checkboxes only if they're not frozen
+    const registrationCheckbox = document.getElementById('registrationCheckbox');
+    const shulkPaidCheckbox = document.getElementById('shulkPaidCheckbox');
+    const kitCollectedCheckbox = document.getElementById('kitCollectedCheckbox');
+    
+    if (registrationCheckbox && registrationCheckbox.dataset.frozen !== 'true') {
+        registrationCheckbox.checked = false;
+    }
+    if (shulkPaidCheckbox && shulkPaidCheckbox.dataset.frozen !== 'true') {
+        shulkPaidCheckbox.checked = false;
+    }
+    if (kitCollectedCheckbox && kitCollectedCheckbox.dataset.frozen !== 'true') {
+        kitCollectedCheckbox.checked = false;
+    }
 }
 
-// Badge Feature Functions
-// Helper function to convert image to data URL to avoid CORS issues
-function imageToDataURL(url) {
-    return new Promise((resolve, reject) => {
-        const img = new Image();
-        img.crossOrigin = 'anonymous'; // Enable CORS
-        img.onload = function() {
-            try {
-                const canvas = document.createElement('canvas');
-                canvas.width = img.width;
-                canvas.height = img.height;
-                const ctx = canvas.getContext('2d');
-                ctx.drawImage(img, 0, 0);
-                resolve(canvas.toDataURL('image/png'));
-            } catch (error) {
-                // If CORS fails, try without crossOrigin
-                const img2 = new Image();
-                img2.onload = function() {
-                    const canvas = document.createElement('canvas');
-                    canvas.width = img2.width;
-                    canvas.height = img2.height;
-                    const ctx = canvas.getContext('2d');
-                    ctx.drawImage(img2, 0, 0);
-                    resolve(canvas.toDataURL('image/png'));
-                };
-                img2.onerror = () => resolve(null); // Return null if image can't be loaded
-                img2.src = url;
-            }
-        };
-        img.onerror = () => {
-            // If CORS fails, try without crossOrigin
-            const img2 = new Image();
-            img2.onload = function() {
-                try {
-                    const canvas = document.createElement('canvas');
-                    canvas.width = img2.width;
-                    canvas.height = img2.height;
-                    const ctx = canvas.getContext('2d');
-                    ctx.drawImage(img2, 0, 0);
-                    resolve(canvas.toDataURL('image/png'));
-                } catch (error) {
-                    resolve(null); // Return null if conversion fails
-                }
-            };
-            img2.onerror = () => resolve(null); // Return null if image can't be loaded
-            img2.src = url;
-        };
-        img.src = url;
-    });
+// Perform Cloak Room checkout (all items still held, or the count entered for a partial return)
+async function performCloakRoomCheckout() {
+    if (!currentCheckinParticipantUniqueId || typeof currentCheckinParticipantUniqueId !== 'string' || currentCheckinParticipantUniqueId.trim() === '') {
+        showNotification('Please search for a participant first', 'error');
+        return;
+    }
+    
+    const uniqueId = currentCheckinParticipantUniqueId.trim();
+    const countRaw = document.getElementById('cloakReturnCount')?.value.trim();
+    
+    const result = await returnCloakRoomItems({ uniqueId: uniqueId, count: countRaw ? parseInt(countRaw, 10) : null });
+    if (result) {
+        const countInput = document.getElementById('cloakReturnCount');
+        if (countInput) countInput.value = '';
+        if (result.checkedOut) {
+            clearCheckinForm();
+            clearParticipantInfo();
+        }
+    }
 }
 
-function showBadge(name, country, shreni, barcode, uniqueId) {
-    // Create badge modal
-    const modal = document.createElement('div');
-    modal.id = 'badgeModal';
-    modal.className = 'modal badge-modal';
-    modal.style.display = 'block';
-    document.body.style.overflow = 'hidden';
+// ============================================
+// CLOAK ROOM TAG INVENTORY
+// ============================================
 
-    // Use uniqueId if barcode is empty or same as uniqueId
-    const barcodeValue = barcode && barcode !== 'N/A' && barcode !== uniqueId ? barcode : uniqueId;
+// Tags live in cloakTags/{tagNumber}: registered in advance (status 'available'), marked
+// 'issued' by /api/checkin when a deposit is made and released by /api/cloak-room when the
+// last item is collected. Lost and found entries are logged in lostAndFound.
 
-    // Load logo and convert to data URL to avoid CORS issues (from protected-resources)
-    // Use public resource URL since logo should be accessible without login
-    getPublicResourceUrl('logo.png').then(url => {
-        return imageToDataURL(url);
-    }).then(logoDataUrl => {
-        const logoSrc = logoDataUrl || '';
-        
-        modal.innerHTML = `
-            <div class="modal-content badge-modal-content">
-                <span class="close" onclick="closeBadge()">&times;</span>
-                <h2>VSS2025 Badge</h2>
-                <div id="badgeContainer" class="badge-container">
-                    <div class="badge-content">
-                        <img src="${logoSrc}" alt="VSS Logo" class="badge-logo" crossorigin="anonymous" onerror="this.style.display='none'">
-                        <h3 class="badge-name">${escapeHtml(name)}</h3>
-                        <div class="badge-details">
-                            <p><strong>Country:</strong> ${escapeHtml(country)}</p>
-                            <p><strong>Shreni:</strong> ${escapeHtml(shreni)}</p>
-                            <p><strong>Praveshika ID:</strong> ${escapeHtml(uniqueId)}</p>
-                        </div>
-                        <div class="badge-barcode-container">
-                            <svg id="badgeBarcode"></svg>
-                        </div>
-                    </div>
-                </div>
-                <div class="badge-actions">
-                    <button class="btn btn-primary" onclick="downloadBadgeAsPDF('${escapeHtml(name)}', '${escapeHtml(country)}', '${escapeHtml(shreni)}', '${escapeHtml(barcodeValue)}')">
-                        📄 Download PDF
-                    </button>
-                    <button class="btn btn-secondary" onclick="downloadBadgeAsJPG('${escapeHtml(name)}', '${escapeHtml(country)}', '${escapeHtml(shreni)}', '${escapeHtml(barcodeValue)}')">
-                        🖼️ Download JPG
-                    </button>
-                </div>
-            </div>
-        `;
+// Age filters (hours) for the items-held report
+const CLOAK_HELD_AGE_OPTIONS = [0, 2, 6, 12, 24, 48];
 
-        document.body.appendChild(modal);
+// Most tags one registration request may create
+const MAX_CLOAK_TAGS_PER_RANGE = 1000;
 
-        // Generate barcode using JsBarcode
-        setTimeout(() => {
-            if (typeof JsBarcode !== 'undefined' && barcodeValue && barcodeValue !== 'N/A') {
-                try {
-                    JsBarcode("#badgeBarcode", barcodeValue, {
-                        format: "CODE128",
-                        width: 2,
-                        height: 60,
-                        displayValue: true
-                    });
-                } catch (error) {
-                    console.error('Barcode generation error:', error);
-                    document.getElementById('badgeBarcode').innerHTML = `<text>${escapeHtml(barcodeValue)}</text>`;
-                }
-            } else {
-                document.getElementById('badgeBarcode').innerHTML = `<text>${escapeHtml(barcodeValue)}</text>`;
-            }
-        }, 100);
-    }).catch(error => {
-        console.error('Error loading logo:', error);
-        // Create modal without logo if image loading fails
-        modal.innerHTML = `
-            <div class="modal-content badge-modal-content">
-                <span class="close" onclick="closeBadge()">&times;</span>
-                <h2>VSS2025 Badge</h2>
-                <div id="badgeContainer" class="badge-container">
-                    <div class="badge-content">
-                        <h3 class="badge-name">${escapeHtml(name)}</h3>
-                        <div class="badge-details">
-                            <p><strong>Country:</strong> ${escapeHtml(country)}</p>
-                            <p><strong>Shreni:</strong> ${escapeHtml(shreni)}</p>
-                            <p><strong>Praveshika ID:</strong> ${escapeHtml(uniqueId)}</p>
-                        </div>
-                        <div class="badge-barcode-container">
-                            <svg id="badgeBarcode"></svg>
-                        </div>
-                    </div>
-                </div>
-                <div class="badge-actions">
-                    <button class="btn btn-primary" onclick="downloadBadgeAsPDF('${escapeHtml(name)}', '${escapeHtml(country)}', '${escapeHtml(shreni)}', '${escapeHtml(barcodeValue)}')">
-                        📄 Download PDF
-                    </button>
-                    <button class="btn btn-secondary" onclick="downloadBadgeAsJPG('${escapeHtml(name)}', '${escapeHtml(country)}', '${escapeHtml(shreni)}', '${escapeHtml(barcodeValue)}')">
-                        🖼️ Download JPG
-                    </button>
-                </div>
-            </div>
-        `;
-        document.body.appendChild(modal);
-        
-        // Generate barcode
-        setTimeout(() => {
-            if (typeof JsBarcode !== 'undefined' && barcodeValue && barcodeValue !== 'N/A') {
-                try {
-                    JsBarcode("#badgeBarcode", barcodeValue, {
-                        format: "CODE128",
-                        width: 2,
-                        height: 60,
-                        displayValue: true
-                    });
-                } catch (error) {
-                    document.getElementById('badgeBarcode').innerHTML = `<text>${escapeHtml(barcodeValue)}</text>`;
-                }
-            }
-        }, 100);
-    });
+let cloakItemsHeld = [];
+
+function normalizeCloakTagNumber(tagNumber) {
+    return (tagNumber || '').toString().toUpperCase().replace(/\s+/g, '');
 }
 
-function closeBadge() {
-    const modal = document.getElementById('badgeModal');
-    if (modal) {
-        modal.remove();
-        document.body.style.overflow = 'auto';
+async function callCloakRoomApi(payload) {
+    const user = firebase.auth().currentUser;
+    if (!user) {
+        throw new Error('Please log in first');
     }
-}
 
-function downloadBadgeAsPDF(name, country, shreni, barcode) {
-    const badgeContainer = document.getElementById('badgeContainer');
-    if (!badgeContainer) return;
+    const idToken = await user.getIdToken();
+    const response = await fetch('/api/cloak-room', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${idToken}`
+        },
+        body: JSON.stringify(payload)
+    });
 
-    if (typeof html2canvas === 'undefined' || typeof window.jspdf === 'undefined') {
-        showNotification('PDF library not loaded. Please refresh the page.', 'error');
-        return;
+    let result;
+    try {
+        result = await response.json();
+    } catch (jsonError) {
+        throw new Error(`Cloak room service returned an invalid response (${response.status})`);
     }
 
-    showNotification('Generating PDF...', 'info');
+    if (!response.ok) {
+        throw new Error(result.error || `Cloak room service error (${response.status})`);
+    }
+    return result;
+}
 
-    // Ensure logo is loaded before capturing
-    const logoImg = badgeContainer.querySelector('.badge-logo');
-    const logoLoaded = new Promise((resolve) => {
-        if (!logoImg || logoImg.complete) {
-            resolve();
-            return;
+// Hand back items by tag number or participant. Returns the API result, or null on error.
+async function returnCloakRoomItems(payload) {
+    try {
+        const result = await callCloakRoomApi(payload);
+        const tagLabel = result.tagNumber ? ` (tag ${result.tagNumber})` : '';
+        if (result.checkedOut) {
+            showNotification(`All items returned to ${result.uniqueId}${tagLabel}. Checkout complete.`, 'success');
+        } else {
+            showNotification(`${result.returned} item(s) returned to ${result.uniqueId}${tagLabel}; ${result.remaining} still held.`, 'success');
         }
-        logoImg.onload = () => resolve();
-        logoImg.onerror = () => resolve(); // Continue even if logo fails
-        // Timeout after 2 seconds
-        setTimeout(() => resolve(), 2000);
-    });
+        await loadRecentCheckins('cloak_room');
+        await loadCheckinHistory();
+        if (document.getElementById('cloakItemsHeldList')?.innerHTML) {
+            await loadCloakItemsHeld();
+        }
+        return result;
+    } catch (error) {
+        console.error('Error returning cloak room items:', error);
+        showNotification('Error returning items: ' + error.message, 'error');
+        return null;
+    }
+}
 
-    logoLoaded.then(() => {
-        // Small delay to ensure rendering is complete
-        setTimeout(() => {
-            html2canvas(badgeContainer, {
-                scale: 2,
-                backgroundColor: '#ffffff',
-                logging: false,
-                useCORS: true,
-                allowTaint: false,
-                imageTimeout: 15000,
-                onclone: (clonedDoc) => {
-                    // Ensure logo is visible in cloned document
-                    const clonedLogo = clonedDoc.querySelector('.badge-logo');
-                    if (clonedLogo && logoImg) {
-                        clonedLogo.src = logoImg.src;
-                        clonedLogo.style.display = 'block';
-                    }
-                }
-            }).then(canvas => {
-        const imgData = canvas.toDataURL('image/png');
-        const { jsPDF } = window.jspdf;
-        const pdf = new jsPDF('portrait', 'mm', 'a4');
-        const imgWidth = 210; // A4 width in mm
-        const pageHeight = 297; // A4 height in mm
-        const imgHeight = (canvas.height * imgWidth) / canvas.width;
-        let heightLeft = imgHeight;
-        let position = 0;
+// Show the cloak room desk tools under the check-in form when the Cloak Room tab is active
+async function updateCloakRoomDesk() {
+    const desk = document.getElementById('cloakRoomDesk');
+    if (!desk) return;
 
-        pdf.addImage(imgData, 'PNG', 0, position, imgWidth, imgHeight);
-        heightLeft -= pageHeight;
+    const isCloakRoom = currentCheckinType === 'cloak_room';
+    desk.style.display = isCloakRoom ? 'block' : 'none';
+    if (!isCloakRoom) return;
 
-        while (heightLeft >= 0) {
-            position = heightLeft - imgHeight;
-            pdf.addPage();
-            pdf.addImage(imgData, 'PNG', 0, position, imgWidth, imgHeight);
-            heightLeft -= pageHeight;
-        }
+    const user = firebase.auth().currentUser;
+    const isAdminUser = user ? await isAdmin(user) : false;
+    const inventoryAdmin = document.getElementById('cloakTagInventoryAdmin');
+    if (inventoryAdmin) inventoryAdmin.style.display = isAdminUser ? 'block' : 'none';
 
-                pdf.save(`VSS2025_Badge_${name.replace(/\s+/g, '_')}.pdf`);
-                showNotification('PDF downloaded successfully!', 'success');
-            }).catch(error => {
-                console.error('PDF generation error:', error);
-                showNotification('Error generating PDF. Please try again.', 'error');
-            });
-        }, 100);
-    });
-}
+    const ageSelect = document.getElementById('cloakHeldMinHours');
+    if (ageSelect && !ageSelect.options.length) {
+        ageSelect.innerHTML = CLOAK_HELD_AGE_OPTIONS.map(hours =>
+            `<option value="${hours}">${hours === 0 ? 'Any time' : `More than ${hours} hours`}</option>`).join('');
+    }
 
-function downloadBadgeAsJPG(name, country, shreni, barcode) {
-    const badgeContainer = document.getElementById('badgeContainer');
-    if (!badgeContainer) return;
+    await Promise.all([loadCloakTagSummary(), loadLostAndFound()]);
+}
 
-    if (typeof html2canvas === 'undefined') {
-        showNotification('Image library not loaded. Please refresh the page.', 'error');
+// Find who holds a tag
+async function lookupCloakTag() {
+    const input = document.getElementById('cloakTagLookup');
+    const resultDiv = document.getElementById('cloakTagLookupResult');
+    const tagNumber = normalizeCloakTagNumber(input?.value);
+    if (!resultDiv) return;
+    if (!tagNumber) {
+        showNotification('Enter a tag number', 'error');
         return;
     }
+    if (input) input.value = tagNumber;
 
-    showNotification('Generating image...', 'info');
+    try {
+        const db = firebase.firestore();
+        const [tagDoc, lostFoundSnapshot] = await Promise.all([
+            db.collection('cloakTags').doc(tagNumber).get(),
+            db.collection('lostAndFound').where('tagNumber', '==', tagNumber).get()
+        ]);
 
-    // Ensure logo is loaded before capturing
-    const logoImg = badgeContainer.querySelector('.badge-logo');
-    const logoLoaded = new Promise((resolve) => {
-        if (!logoImg || logoImg.complete) {
-            resolve();
+        const lostFoundNote = lostFoundSnapshot.empty ? '' :
+            `<p style="margin-top: 0.5rem;"><strong>Lost &amp; found:</strong> ${lostFoundSnapshot.size} entr${lostFoundSnapshot.size === 1 ? 'y' : 'ies'} for this tag (see the log below).</p>`;
+
+        if (!tagDoc.exists) {
+            resultDiv.innerHTML = `<p style="color: #c62828;">Tag ${escapeHtml(tagNumber)} is not registered.</p>${lostFoundNote}`;
             return;
         }
-        logoImg.onload = () => resolve();
-        logoImg.onerror = () => resolve(); // Continue even if logo fails
-        // Timeout after 2 seconds
-        setTimeout(() => resolve(), 2000);
-    });
 
-    logoLoaded.then(() => {
-        // Small delay to ensure rendering is complete
-        setTimeout(() => {
-            html2canvas(badgeContainer, {
-                scale: 2,
-                backgroundColor: '#ffffff',
-                logging: false,
-                useCORS: true,
-                allowTaint: false,
-                imageTimeout: 15000,
-                onclone: (clonedDoc) => {
-                    // Ensure logo is visible in cloned document
-                    const clonedLogo = clonedDoc.querySelector('.badge-logo');
-                    if (clonedLogo && logoImg) {
-                        clonedLogo.src = logoImg.src;
-                        clonedLogo.style.display = 'block';
-                    }
-                }
-            }).then(canvas => {
-                canvas.toBlob(blob => {
-                    const url = URL.createObjectURL(blob);
-                    const link = document.createElement('a');
-                    link.href = url;
-                    link.download = `VSS2025_Badge_${name.replace(/\s+/g, '_')}.jpg`;
-                    document.body.appendChild(link);
-                    link.click();
-                    document.body.removeChild(link);
-                    URL.revokeObjectURL(url);
-                    showNotification('Image downloaded successfully!', 'success');
-                }, 'image/jpeg', 0.95);
-            }).catch(error => {
-                console.error('Image generation error:', error);
-                showNotification('Error generating image. Please try again.', 'error');
-            });
-        }, 100);
-    });
-}
+        const tag = tagDoc.data();
+        if (tag.status !== 'issued') {
+            const lastUsed = tag.lastUniqueId
+                ? ` Last used by ${escapeHtml(tag.lastUniqueId)}${tag.lastReturnedAt ? ' until ' + escapeHtml(safeTimestampToDate(tag.lastReturnedAt)?.toLocaleString() || '') : ''}.`
+                : '';
+            resultDiv.innerHTML = `<p>Tag <strong>${escapeHtml(tagNumber)}</strong> is ${escapeHtml(tag.status)}.${lastUsed}</p>${lostFoundNote}`;
+            return;
+        }
 
-// Helper function to escape HTML
-function escapeHtml(text) {
-    if (text == null) return ''; // Handle null and undefined
-    // Convert to string to handle numbers, Date objects, and other types
-    const textStr = String(text);
-    const map = {
-        '&': '&amp;',
-        '<': '&lt;',
-        '>': '&gt;',
-        '"': '&quot;',
-        "'": '&#039;'
-    };
-    return textStr.replace(/[&<>"']/g, m => map[m]);
+        const issuedAt = safeTimestampToDate(tag.issuedAt);
+        const held = tag.itemCount ? tag.itemCount - (tag.itemsReturned || 0) : null;
+        resultDiv.innerHTML = `
+            <div class="cloak-tag-card">
+                <p><strong>Tag ${escapeHtml(tagNumber)}</strong> &middot; ${escapeHtml(tag.participantName || '')} (${escapeHtml(tag.uniqueId)})</p>
+                <p>Deposited ${issuedAt ? escapeHtml(issuedAt.toLocaleString()) : '-'} by ${escapeHtml(tag.issuedByName || '-')}</p>
+                <p>Items held: <strong>${held === null ? 'not recorded' : `${held} of ${tag.itemCount}`}</strong></p>
+                <div style="display: flex; gap: 0.5rem; align-items: center; margin-top: 0.5rem; flex-wrap: wrap;">
+                    ${held === null ? '' : `<input type="number" id="cloakTagReturnCount" class="form-input" min="1" max="${held}" placeholder="Items" style="width: 100px;">
+                    <button class="btn btn-secondary btn-sm" onclick="returnCloakTagItems('${escapeHtml(tagNumber)}', true)">Return Some</button>`}
+                    <button class="btn btn-warning btn-sm" onclick="returnCloakTagItems('${escapeHtml(tagNumber)}', false)">Return All</button>
+                </div>
+            </div>${lostFoundNote}`;
+    } catch (error) {
+        console.error('Error looking up tag:', error);
+        resultDiv.innerHTML = `<p style="color: #c62828;">Error looking up tag: ${escapeHtml(error.message)}</p>`;
+    }
 }
 
-// Close badge modal when clicking outside
-window.addEventListener('click', function(event) {
-    const badgeModal = document.getElementById('badgeModal');
-    if (event.target === badgeModal) {
-        closeBadge();
+async function returnCloakTagItems(tagNumber, partial) {
+    let count = null;
+    if (partial) {
+        count = parseInt(document.getElementById('cloakTagReturnCount')?.value, 10);
+        if (!count || count < 1) {
+            showNotification('Enter how many items are being returned', 'error');
+            return;
+        }
     }
-});
+    const result = await returnCloakRoomItems({ tagNumber: tagNumber, count: count });
+    if (result) await lookupCloakTag();
+}
 
-// ============================================
-// CHECKIN MODULE FUNCTIONS
-// ============================================
+// Items still held, optionally only those deposited more than N hours ago
+async function loadCloakItemsHeld() {
+    const listDiv = document.getElementById('cloakItemsHeldList');
+    if (!listDiv) return;
 
-// Global variables for checkin
-let currentCheckinType = 'pickup_location';
-let currentCheckinParticipantUniqueId = null;
-let checkinHistoryListener = null;
-let currentHistoryPage = 1;
-let historyPageSize = 50;
-let checkinNotificationSettings = {
-    enabled: true,
-    types: [],
-    soundEnabled: false,
-    duration: 5000
-};
+    const minHours = parseInt(document.getElementById('cloakHeldMinHours')?.value, 10) || 0;
+    listDiv.innerHTML = '<p>Loading...</p>';
 
-// Checkin type labels
-const CHECKIN_TYPE_LABELS = {
-    'pickup_location': 'Pickup Location',
-    'registration': 'Registration',
-    'shulk_paid': 'Shulk Paid',
-    'kit_collected': 'Kit Collected',
-    'ganvesh_collected': 'Ganvesh Collected',
-    'cloak_room': 'Cloak Room',
-    'post_tour': 'Post Tour'
-};
+    try {
+        const snapshot = await firebase.firestore().collection('cloakTags').where('status', '==', 'issued').get();
+        const now = Date.now();
+        cloakItemsHeld = snapshot.docs
+            .map(doc => {
+                const tag = doc.data();
+                const issuedAt = safeTimestampToDate(tag.issuedAt);
+                return {
+                    tagNumber: doc.id,
+                    uniqueId: tag.uniqueId,
+                    participantName: tag.participantName || '',
+                    itemsHeld: tag.itemCount ? tag.itemCount - (tag.itemsReturned || 0) : null,
+                    itemCount: tag.itemCount || null,
+                    issuedAt: issuedAt,
+                    hoursHeld: issuedAt ? (now - issuedAt.getTime()) / 3600000 : 0,
+                    issuedByName: tag.issuedByName || ''
+                };
+            })
+            .filter(item => item.hoursHeld >= minHours)
+            .sort((a, b) => b.hoursHeld - a.hoursHeld);
 
-// Load notification settings from localStorage
-function loadNotificationSettings() {
-    const saved = localStorage.getItem('checkinNotificationSettings');
-    if (saved) {
-        try {
-            checkinNotificationSettings = JSON.parse(saved);
-        } catch (e) {
-            console.error('Error loading notification settings:', e);
+        if (cloakItemsHeld.length === 0) {
+            listDiv.innerHTML = '<p style="color: #666;">No items held for that long.</p>';
+            return;
         }
+
+        const rows = cloakItemsHeld.map(item => `
+            <tr${item.hoursHeld >= 24 ? ' class="cloak-overdue"' : ''}>
+                <td>${escapeHtml(item.tagNumber)}</td>
+                <td>${escapeHtml(item.participantName)} (${escapeHtml(item.uniqueId)})</td>
+                <td>${item.itemsHeld === null ? '-' : `${item.itemsHeld} / ${item.itemCount}`}</td>
+                <td>${item.issuedAt ? escapeHtml(item.issuedAt.toLocaleString()) : '-'}</td>
+                <td>${item.hoursHeld.toFixed(1)}</td>
+                <td>${escapeHtml(item.issuedByName)}</td>
+            </tr>`).join('');
+
+        listDiv.innerHTML = `
+            <p>${cloakItemsHeld.length} tag(s) with items still held.</p>
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Tag</th>
+                        <th>Participant</th>
+                        <th>Items Held</th>
+                        <th>Deposited</th>
+                        <th>Hours</th>
+                        <th>By</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    } catch (error) {
+        console.error('Error loading items held:', error);
+        listDiv.innerHTML = `<p style="color: #c62828;">Error loading items held: ${escapeHtml(error.message)}</p>`;
     }
 }
 
-// Save notification settings to localStorage
-function saveNotificationSettings() {
-    localStorage.setItem('checkinNotificationSettings', JSON.stringify(checkinNotificationSettings));
+function exportCloakItemsHeld() {
+    if (cloakItemsHeld.length === 0) {
+        showNotification('Load the items held report first.', 'error');
+        return;
+    }
+    const headers = ['Tag', 'Praveshika ID', 'Name', 'Items Held', 'Items Deposited', 'Deposited At', 'Hours Held', 'Deposited By'];
+    const rows = cloakItemsHeld.map(item => [
+        item.tagNumber,
+        item.uniqueId,
+        item.participantName,
+        item.itemsHeld === null ? '' : item.itemsHeld,
+        item.itemCount || '',
+        item.issuedAt ? item.issuedAt.toLocaleString() : '',
+        item.hoursHeld.toFixed(1),
+        item.issuedByName
+    ]);
+    exportToCSV('cloak_room_items_held.csv', headers, rows);
 }
 
-// Initialize checkin interface
-async function initializeCheckinInterface() {
-    if (!window.firebase || !firebase.auth) return;
-    
-    const user = firebase.auth().currentUser;
-    if (!user) return;
-    
-    const canPerform = await canPerformCheckin(user);
-    if (!canPerform) return;
-    
-    // Check if user has access to checkin tab
-    const checkinTab = document.getElementById('checkin');
-    if (!checkinTab) return;
-    
-    // Load notification settings
-    loadNotificationSettings();
-    
-    // Initialize checkin interface
-    const checkinLoading = document.getElementById('checkinLoading');
-    const checkinData = document.getElementById('checkinData');
-    
-    if (checkinLoading && checkinData) {
-        try {
-            // Filter checkin type tabs based on user permissions
-            await filterCheckinTypeTabs(user);
-            
-            // Load recent checkins
-            await loadRecentCheckins(currentCheckinType);
-            
-            // Setup checkin form
-            setupCheckinForm();
-            
-            // Setup uppercase conversion for Praveshika ID inputs
-            setupPraveshikaIdInputs();
-            
-            // Setup real-time listeners
-            setupCheckinListeners();
-            
-            // Load checkin history
-            await loadCheckinHistory();
-            
-            checkinLoading.style.display = 'none';
-            checkinData.style.display = 'block';
-        } catch (error) {
-            console.error('Error initializing checkin interface:', error);
-            if (checkinLoading) {
-                checkinLoading.innerHTML = '<p>Error loading checkin interface. Please refresh the page.</p>';
+// Expand "C001-C250" (or a single tag) into tag numbers, keeping the zero padding
+function expandCloakTagRange(text) {
+    const tags = [];
+    const errors = [];
+    text.split(/[\s,]+/).map(normalizeCloakTagNumber).filter(Boolean).forEach(part => {
+        const range = part.match(/^([A-Z]*)(\d+)-\1?(\d+)$/);
+        if (range) {
+            const [, prefix, startText, endText] = range;
+            const start = parseInt(startText, 10);
+            const end = parseInt(endText, 10);
+            if (end < start || end - start + 1 > MAX_CLOAK_TAGS_PER_RANGE) {
+                errors.push(`${part}: ranges must run upwards and hold at most ${MAX_CLOAK_TAGS_PER_RANGE} tags`);
+                return;
             }
+            for (let n = start; n <= end; n++) {
+                tags.push(prefix + String(n).padStart(startText.length, '0'));
+            }
+        } else if (/^[A-Z0-9-]{1,20}$/.test(part)) {
+            tags.push(part);
+        } else {
+            errors.push(`${part}: not a valid tag number`);
         }
-    }
+    });
+    return { tags: Array.from(new Set(tags)), errors };
 }
 
-// Filter checkin type tabs based on user permissions
-async function filterCheckinTypeTabs(user) {
-    const tabs = document.querySelectorAll('.checkin-type-tab');
-    const isAdminUser = await isAdmin(user);
-    
-    if (isAdminUser) {
-        // Admins can see all tabs
-        tabs.forEach(tab => tab.style.display = '');
+// Register tags in advance; tags that already exist are left untouched
+async function registerCloakTags() {
+    const input = document.getElementById('cloakTagRange');
+    const { tags, errors } = expandCloakTagRange(input?.value || '');
+    if (errors.length) {
+        showNotification(errors.join('. '), 'error');
         return;
     }
-    
-    // Volunteers: show only tabs their teams allow
-    const teams = await getVolunteerTeams(user);
-    if (!Array.isArray(teams) || teams.length === 0) {
-        // No teams assigned: hide all checkin tabs
-        tabs.forEach(tab => tab.style.display = 'none');
+    if (tags.length === 0) {
+        showNotification('Enter tag numbers or a range such as C001-C250', 'error');
         return;
     }
-    
-    const teamMap = {
-        'pickup_location': 'transportation',
-        'registration': 'registration',
-        'ganvesh_collected': 'ganvesh_collected',
-        'cloak_room': 'cloak_room',
-        'post_tour': 'post_tour'
-    };
-    
-    let firstVisibleTabId = null;
-    
-    tabs.forEach(tab => {
-        const checkinType = tab.getAttribute('data-checkin-type');
-        const requiredTeam = teamMap[checkinType];
-        if (requiredTeam && teams.includes(requiredTeam)) {
-            tab.style.display = '';
-            if (!firstVisibleTabId) {
-                firstVisibleTabId = checkinType;
-            }
-        } else {
-            tab.style.display = 'none';
-        }
-    });
-    
-    // Ensure currentCheckinType is valid for this volunteer
-    if (firstVisibleTabId) {
-        currentCheckinType = firstVisibleTabId;
-        // For volunteers, automatically activate the first visible tab
-        // For registration volunteers, this will be 'registration'
-        // This ensures the tab is visually selected when the page loads
-        switchCheckinType(firstVisibleTabId);
-    }
-    
-    // Specifically ensure registration is selected if volunteer has registration access
-    if (!isAdminUser && teams.includes('registration')) {
-        currentCheckinType = 'registration';
-        switchCheckinType('registration');
-    }
-}
 
-// Switch checkin type
-function switchCheckinType(checkinType) {
-    currentCheckinType = checkinType;
-    
-    // Update tab active state
-    document.querySelectorAll('.checkin-type-tab').forEach(tab => {
-        tab.classList.remove('active');
-        if (tab.getAttribute('data-checkin-type') === checkinType) {
-            tab.classList.add('active');
+    try {
+        const db = firebase.firestore();
+        const user = firebase.auth().currentUser;
+        const existing = new Set();
+        const refs = tags.map(tag => db.collection('cloakTags').doc(tag));
+        for (let i = 0; i < refs.length; i += 100) {
+            const docs = await Promise.all(refs.slice(i, i + 100).map(ref => ref.get()));
+            docs.forEach(doc => { if (doc.exists) existing.add(doc.id); });
         }
-    });
-    
-    // Update form
-    updateCheckinFormForType();
-    
-    // Load recent checkins
-    loadRecentCheckins(checkinType);
-    
-    // Clear participant info
-    clearParticipantInfo();
-}
 
-// Update checkin form based on type
-function updateCheckinFormForType() {
-    const pickupLocationGroup = document.getElementById('pickupLocationGroup');
-    const registrationOptionsGroup = document.getElementById('registrationOptionsGroup');
-    const cloakRoomFields = document.getElementById('cloakRoomFields');
-    const cloakRoomCheckoutBtn = document.getElementById('cloakRoomCheckoutBtn');
-    const checkinTypeDisplay = document.getElementById('checkinTypeDisplay');
-    
-    if (checkinTypeDisplay) {
-        checkinTypeDisplay.textContent = CHECKIN_TYPE_LABELS[currentCheckinType] || currentCheckinType;
+        const newTags = tags.filter(tag => !existing.has(tag));
+        for (let i = 0; i < newTags.length; i += 400) {
+            const batch = db.batch();
+            newTags.slice(i, i + 400).forEach(tag => {
+                batch.set(db.collection('cloakTags').doc(tag), {
+                    tagNumber: tag,
+                    status: 'available',
+                    createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+                    createdBy: user.uid
+                });
+            });
+            await batch.commit();
+        }
+
+        showNotification(`Registered ${newTags.length} tag(s)` + (existing.size ? `; ${existing.size} already existed.` : '.'), 'success');
+        if (input) input.value = '';
+        await loadCloakTagSummary();
+    } catch (error) {
+        console.error('Error registering tags:', error);
+        showNotification('Error registering tags: ' + error.message, 'error');
     }
-    
-    if (pickupLocationGroup) {
-        pickupLocationGroup.style.display = currentCheckinType === 'pickup_location' ? 'block' : 'none';
+}
+
+// Take a tag out of use (lost or damaged) or put it back; issued tags must be returned first
+async function setCloakTagRetired(retire) {
+    const tagNumber = normalizeCloakTagNumber(document.getElementById('cloakTagRetireNumber')?.value);
+    if (!tagNumber) {
+        showNotification('Enter a tag number', 'error');
+        return;
     }
-    
-    if (registrationOptionsGroup) {
-        registrationOptionsGroup.style.display = currentCheckinType === 'registration' ? 'block' : 'none';
-        
-        // Setup checkbox event listeners for registration type
-        if (currentCheckinType === 'registration') {
-            setupRegistrationCheckboxes();
+    try {
+        const tagRef = firebase.firestore().collection('cloakTags').doc(tagNumber);
+        const tagDoc = await tagRef.get();
+        if (!tagDoc.exists) {
+            showNotification(`Tag ${tagNumber} is not registered`, 'error');
+            return;
         }
+        if (tagDoc.data().status === 'issued') {
+            showNotification(`Tag ${tagNumber} is issued to ${tagDoc.data().uniqueId}. Return the items first.`, 'error');
+            return;
+        }
+        await tagRef.update({
+            status: retire ? 'retired' : 'available',
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+            updatedBy: firebase.auth().currentUser.uid
+        });
+        showNotification(`Tag ${tagNumber} ${retire ? 'retired' : 'is available again'}.`, 'success');
+        await loadCloakTagSummary();
+    } catch (error) {
+        console.error('Error updating tag:', error);
+        showNotification('Error updating tag: ' + error.message, 'error');
     }
-    
-    if (cloakRoomFields) {
-        cloakRoomFields.style.display = currentCheckinType === 'cloak_room' ? 'block' : 'none';
-    }
-    
-    if (cloakRoomCheckoutBtn) {
-        cloakRoomCheckoutBtn.style.display = currentCheckinType === 'cloak_room' ? 'inline-block' : 'none';
+}
+
+async function loadCloakTagSummary() {
+    const summaryDiv = document.getElementById('cloakTagSummary');
+    if (!summaryDiv) return;
+    try {
+        const snapshot = await firebase.firestore().collection('cloakTags').get();
+        const counts = { available: 0, issued: 0, retired: 0 };
+        snapshot.forEach(doc => {
+            const status = doc.data().status;
+            counts[status] = (counts[status] || 0) + 1;
+        });
+        summaryDiv.textContent = snapshot.empty
+            ? 'No tags registered yet.'
+            : `${snapshot.size} tags: ${counts.available} available, ${counts.issued} issued, ${counts.retired} retired`;
+    } catch (error) {
+        console.error('Error loading tag summary:', error);
+        summaryDiv.textContent = '';
     }
 }
 
-// Setup registration checkboxes with event listeners
-function setupRegistrationCheckboxes() {
-    const registrationCheckbox = document.getElementById('registrationCheckbox');
-    const shulkPaidCheckbox = document.getElementById('shulkPaidCheckbox');
-    const kitCollectedCheckbox = document.getElementById('kitCollectedCheckbox');
-    
-    // Remove existing listeners if any
-    if (registrationCheckbox) {
-        registrationCheckbox.removeEventListener('change', handleRegistrationCheckboxChange);
-        registrationCheckbox.addEventListener('change', handleRegistrationCheckboxChange);
+// Log an item found at (or reported missing from) the cloak room, optionally against a tag
+async function addLostAndFoundEntry() {
+    const kind = document.getElementById('lostFoundKind')?.value || 'found';
+    const tagNumber = normalizeCloakTagNumber(document.getElementById('lostFoundTag')?.value);
+    const description = document.getElementById('lostFoundDescription')?.value.trim() || '';
+    const location = document.getElementById('lostFoundLocation')?.value.trim() || '';
+
+    if (!description) {
+        showNotification('Describe the item', 'error');
+        return;
     }
-    if (shulkPaidCheckbox) {
-        shulkPaidCheckbox.removeEventListener('change', handleRegistrationCheckboxChange);
-        shulkPaidCheckbox.addEventListener('change', handleRegistrationCheckboxChange);
+
+    try {
+        const db = firebase.firestore();
+        const user = firebase.auth().currentUser;
+        const userData = await getUserData(user);
+        let uniqueId = null;
+        if (tagNumber) {
+            const tagDoc = await db.collection('cloakTags').doc(tagNumber).get();
+            if (!tagDoc.exists) {
+                showNotification(`Tag ${tagNumber} is not registered`, 'error');
+                return;
+            }
+            uniqueId = tagDoc.data().uniqueId || tagDoc.data().lastUniqueId || null;
+        }
+
+        await db.collection('lostAndFound').add({
+            kind: kind,
+            tagNumber: tagNumber || null,
+            uniqueId: uniqueId,
+            description: description,
+            location: location || null,
+            status: 'open',
+            reportedAt: firebase.firestore.FieldValue.serverTimestamp(),
+            reportedBy: user.uid,
+            reportedByName: userData?.volunteerName || userData?.name || user.email || 'Unknown'
+        });
+
+        ['lostFoundTag', 'lostFoundDescription', 'lostFoundLocation'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.value = '';
+        });
+        showNotification('Lost and found entry logged.', 'success');
+        await loadLostAndFound();
+    } catch (error) {
+        console.error('Error logging lost and found entry:', error);
+        showNotification('Error logging entry: ' + error.message, 'error');
     }
-    if (kitCollectedCheckbox) {
-        kitCollectedCheckbox.removeEventListener('change', handleRegistrationCheckboxChange);
-        kitCollectedCheckbox.addEventListener('change', handleRegistrationCheckboxChange);
+}
+
+async function loadLostAndFound() {
+    const listDiv = document.getElementById('lostFoundList');
+    if (!listDiv) return;
+
+    const statusFilter = document.getElementById('lostFoundStatusFilter')?.value || 'open';
+    try {
+        let query = firebase.firestore().collection('lostAndFound');
+        if (statusFilter) query = query.where('status', '==', statusFilter);
+        const snapshot = await query.get();
+        const entries = snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .sort((a, b) => (safeTimestampToDate(b.reportedAt)?.getTime() || 0) - (safeTimestampToDate(a.reportedAt)?.getTime() || 0));
+
+        if (entries.length === 0) {
+            listDiv.innerHTML = '<p style="color: #666;">No entries.</p>';
+            return;
+        }
+
+        const rows = entries.map(entry => {
+            const reportedAt = safeTimestampToDate(entry.reportedAt);
+            return `
+                <tr>
+                    <td>${entry.kind === 'lost' ? 'Reported lost' : 'Found'}</td>
+                    <td>${escapeHtml(entry.tagNumber || '-')}</td>
+                    <td>${escapeHtml(entry.uniqueId || '-')}</td>
+                    <td>${escapeHtml(entry.description)}</td>
+                    <td>${escapeHtml(entry.location || '-')}</td>
+                    <td>${reportedAt ? escapeHtml(reportedAt.toLocaleString()) : '-'}<br><small>${escapeHtml(entry.reportedByName || '')}</small></td>
+                    <td>${entry.status === 'resolved'
+                        ? `Resolved${entry.resolution ? ': ' + escapeHtml(entry.resolution) : ''}`
+                        : `<button class="btn btn-secondary btn-sm" onclick="resolveLostAndFoundEntry('${escapeHtml(entry.id)}')">Resolve</button>`}</td>
+                </tr>`;
+        }).join('');
+
+        listDiv.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Type</th>
+                        <th>Tag</th>
+                        <th>Participant</th>
+                        <th>Item</th>
+                        <th>Location</th>
+                        <th>Logged</th>
+                        <th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    } catch (error) {
+        console.error('Error loading lost and found:', error);
+        listDiv.innerHTML = `<p style="color: #c62828;">Error loading lost and found: ${escapeHtml(error.message)}</p>`;
     }
 }
 
-// Handle registration checkbox changes
-function handleRegistrationCheckboxChange(event) {
-    const checkbox = event.target;
-    
-    // Don't allow unchecking frozen checkboxes
-    if (checkbox.dataset.frozen === 'true' && !checkbox.checked) {
-        checkbox.checked = true;
-        showNotification('This item is already checked in and cannot be unchecked', 'info');
-        return;
+async function resolveLostAndFoundEntry(entryId) {
+    const resolution = prompt('How was this resolved? (e.g. returned to owner)');
+    if (resolution === null) return;
+
+    try {
+        const user = firebase.auth().currentUser;
+        const userData = await getUserData(user);
+        await firebase.firestore().collection('lostAndFound').doc(entryId).update({
+            status: 'resolved',
+            resolution: resolution.trim(),
+            resolvedAt: firebase.firestore.FieldValue.serverTimestamp(),
+            resolvedBy: user.uid,
+            resolvedByName: userData?.volunteerName || userData?.name || user.email || 'Unknown'
+        });
+        showNotification('Entry resolved.', 'success');
+        await loadLostAndFound();
+    } catch (error) {
+        console.error('Error resolving entry:', error);
+        showNotification('Error resolving entry: ' + error.message, 'error');
     }
+}
+
+// Check checkin status
+async function checkCheckinStatus(uniqueId) {
+    if (!window.firebase || !firebase.firestore) return;
     
-    const registrationCheckbox = document.getElementById('registrationCheckbox');
-    const shulkPaidCheckbox = document.getElementById('shulkPaidCheckbox');
-    const kitCollectedCheckbox = document.getElementById('kitCollectedCheckbox');
-    
-    const regChecked = registrationCheckbox && registrationCheckbox.checked && registrationCheckbox.dataset.frozen !== 'true';
-    const shulkChecked = shulkPaidCheckbox && shulkPaidCheckbox.checked && shulkPaidCheckbox.dataset.frozen !== 'true';
-    const kitChecked = kitCollectedCheckbox && kitCollectedCheckbox.checked && kitCollectedCheckbox.dataset.frozen !== 'true';
-    
-    // Count how many are checked (excluding frozen ones)
-    const checkedCount = [regChecked, shulkChecked, kitChecked].filter(Boolean).length;
-    
-    // If 2 or more are selected, registration must be included
-    if (checkedCount >= 2 && registrationCheckbox && !registrationCheckbox.checked && registrationCheckbox.dataset.frozen !== 'true') {
-        registrationCheckbox.checked = true;
+    try {
+        const db = firebase.firestore();
+        const user = firebase.auth().currentUser;
+        const isAdminUser = user ? await isAdmin(user) : false;
+        
+        // For registration type, check all three types
+        if (currentCheckinType === 'registration') {
+            const registrationTypes = ['registration', 'shulk_paid', 'kit_collected'];
+            const checkinStatuses = {};
+            
+            // Check status for each type
+            for (const type of registrationTypes) {
+                const checkinsQuery = await db.collection('checkins')
+                    .where('uniqueId', '==', uniqueId)
+                    .where('checkinType', '==', type)
+                    .orderBy('timestamp', 'desc')
+                    .limit(1)
+                    .get();
+                
+                if (!checkinsQuery.empty) {
+                    const checkinDoc = checkinsQuery.docs[0];
+                    const checkinData = checkinDoc.data();
+                    checkinStatuses[type] = {
+                        exists: true,
+                        docId: checkinDoc.id,
+                        timestamp: checkinData.timestamp?.toDate(),
+                        checkedInBy: checkinData.checkedInBy || 'Unknown'
+                    };
+                } else {
+                    checkinStatuses[type] = { exists: false };
+                }
+            }
+            
+            // Update checkboxes based on status
+            updateRegistrationCheckboxes(checkinStatuses, isAdminUser);
+            
+            // Show status summary
+            const participantDetails = document.getElementById('participantDetails');
+            if (participantDetails) {
+                const existingStatus = participantDetails.querySelector('#checkinStatusDiv');
+                if (existingStatus) {
+                    existingStatus.remove();
+                }
+                
+                const checkedInCount = Object.values(checkinStatuses).filter(s => s.exists).length;
+                if (checkedInCount > 0) {
+                    const statusDiv = document.createElement('div');
+                    statusDiv.id = 'checkinStatusDiv';
+                    
+                    let statusText = '';
+                    let statusColor = '#28a745';
+                    let bgColor = '#d4edda';
+                    let borderColor = '#28a745';
+                    
+                    if (checkedInCount === 3) {
+                        statusText = '✅ Fully Checked In (Registration, Shulk, Kit)';
+                    } else if (checkedInCount === 2) {
+                        const checkedTypes = Object.entries(checkinStatuses)
+                            .filter(([_, s]) => s.exists)
+                            .map(([type, _]) => CHECKIN_TYPE_LABELS[type] || type);
+                        statusText = `⚠️ Partially Checked In (${checkedTypes.join(', ')})`;
+                        statusColor = '#ffc107';
+                        bgColor = '#fff3cd';
+                        borderColor = '#ffc107';
+                    } else {
+                        const checkedTypes = Object.entries(checkinStatuses)
+                            .filter(([_, s]) => s.exists)
+                            .map(([type, _]) => CHECKIN_TYPE_LABELS[type] || type);
+                        statusText = `⚠️ Partially Checked In (${checkedTypes.join(', ')})`;
+                        statusColor = '#ffc107';
+                        bgColor = '#fff3cd';
+                        borderColor = '#ffc107';
+                    }
+                    
+                    statusDiv.style.cssText = `background: ${bgColor}; padding: 0.75rem; border-radius: 4px; margin-top: 1rem; border-left: 4px solid ${borderColor};`;
+                    statusDiv.innerHTML = `
+                        <p style="margin: 0; color: ${statusColor}; font-weight: bold;">${statusText}</p>
+                        <p style="margin: 0.5rem 0 0 0; color: #666; font-size: 0.85em;">
+                            Checked items are frozen and cannot be unchecked.
+                        </p>
+                    `;
+                    participantDetails.appendChild(statusDiv);
+                }
+            }
+        } else {
+            // For other checkin types, use original logic
+            const checkinsQuery = await db.collection('checkins')
+                .where('uniqueId', '==', uniqueId)
+                .where('checkinType', '==', currentCheckinType)
+                .orderBy('timestamp', 'desc')
+                .limit(1)
+                .get();
+            
+            const checkinForm = document.getElementById('checkinForm');
+            const checkinFormElement = document.getElementById('checkinFormElement');
+            const submitButton = checkinFormElement?.querySelector('button[type="submit"]');
+            
+            if (!checkinsQuery.empty) {
+                const checkinDoc = checkinsQuery.docs[0];
+                const checkinDocId = checkinDoc.id;
+                const checkinData = checkinDoc.data();
+                const timestamp = checkinData.timestamp?.toDate();
+                const timeStr = timestamp ? timestamp.toLocaleString() : 'Unknown';
+                const typeLabel = CHECKIN_TYPE_LABELS[currentCheckinType] || currentCheckinType;
+                
+                // Get participant name for the undo function
+                const participantName = document.getElementById('participantDetails')?.querySelector('.checkin-item-name')?.textContent || uniqueId;
+                
+                // Show status in the form
+                const participantDetails = document.getElementById('participantDetails');
+                if (participantDetails) {
+                    const statusDiv = document.createElement('div');
+                    statusDiv.id = 'checkinStatusDiv';
+                    statusDiv.style.cssText = 'background: #f8d7da; padding: 0.75rem; border-radius: 4px; margin-top: 1rem; border-left: 4px solid #dc3545;';
+                    
+                    let undoButton = '';
+                    if (isAdminUser) {
+                        undoButton = `
+                            <button type="button" class="btn" style="background-color: #dc3545; color: white; padding: 0.5rem 1rem; border: none; border-radius: 4px; cursor: pointer;" 
+                                    onclick="undoCheckinFromStatus('${escapeHtml(checkinDocId)}', '${escapeHtml(uniqueId)}', '${escapeHtml(participantName.replace(/'/g, "\\'"))}')">
+                                Undo Check-in
+                            </button>
+                        `;
+                    }
+                    
+                    statusDiv.innerHTML = `
+                        <p style="margin: 0; color: #721c24; font-weight: bold;">⚠️ Already Checked In</p>
+                        <p style="margin: 0.5rem 0 0 0; color: #721c24; font-size: 0.9em;">
+                            This participant is already checked in for <strong>${escapeHtml(typeLabel)}</strong> at ${escapeHtml(timeStr)}.
+                        </p>
+                        <p style="margin: 0.5rem 0 0 0; color: #721c24; font-size: 0.85em;">
+                            Duplicate check-ins are not allowed for the same check-in type.
+                        </p>
+                        ${undoButton ? `<div style="margin-top: 1rem; display: flex; gap: 0.5rem;">${undoButton}
+                            <button type="button" class="btn btn-secondary" style="padding: 0.5rem 1rem; border-radius: 4px; cursor: pointer;" 
+                                    onclick="clearParticipantInfo()">
+                                Clear
+                            </button>
+                        </div>` : ''}
+                    `;
+                    
+                    // Remove existing status if any
+                    const existingStatus = participantDetails.querySelector('#checkinStatusDiv');
+                    if (existingStatus) {
+                        existingStatus.remove();
+                    }
+                    participantDetails.appendChild(statusDiv);
+                }
+                
+                // Disable the submit button
+                if (submitButton) {
+                    submitButton.disabled = true;
+                    submitButton.style.opacity = '0.6';
+                    submitButton.style.cursor = 'not-allowed';
+                    submitButton.textContent = 'Already Checked In';
+                }
+            } else {
+                // Remove status message if exists
+                const participantDetails = document.getElementById('participantDetails');
+                if (participantDetails) {
+                    const existingStatus = participantDetails.querySelector('#checkinStatusDiv');
+                    if (existingStatus) {
+                        existingStatus.remove();
+                    }
+                }
+                
+                // Enable the submit button
+                if (submitButton) {
+                    submitButton.disabled = false;
+                    submitButton.style.opacity = '1';
+                    submitButton.style.cursor = 'pointer';
+                    submitButton.textContent = 'Check In';
+                }
+            }
+        }
+    } catch (error) {
+        console.error('Error checking checkin status:', error);
     }
 }
 
-// Get selected registration actions from checkboxes
-function getSelectedRegistrationActions() {
-    const types = [];
-    
+// Update registration checkboxes based on checkin status
+function updateRegistrationCheckboxes(checkinStatuses, isAdminUser) {
     const registrationCheckbox = document.getElementById('registrationCheckbox');
     const shulkPaidCheckbox = document.getElementById('shulkPaidCheckbox');
     const kitCollectedCheckbox = document.getElementById('kitCollectedCheckbox');
     
-    const regChecked = registrationCheckbox && registrationCheckbox.checked;
-    const shulkChecked = shulkPaidCheckbox && shulkPaidCheckbox.checked;
-    const kitChecked = kitCollectedCheckbox && kitCollectedCheckbox.checked;
-    
-    // Count how many are checked
-    const checkedCount = [regChecked, shulkChecked, kitChecked].filter(Boolean).length;
-    
-    // If 2 or more are selected, registration must be included
-    if (checkedCount >= 2 && !regChecked) {
-        // Auto-check registration if not already frozen
-        if (registrationCheckbox && registrationCheckbox.dataset.frozen !== 'true') {
+    // Update registration checkbox
+    if (registrationCheckbox) {
+        if (checkinStatuses.registration?.exists) {
             registrationCheckbox.checked = true;
-            types.push('registration');
+            registrationCheckbox.disabled = true;
+            registrationCheckbox.dataset.frozen = 'true';
+            registrationCheckbox.title = 'Already checked in - frozen';
+        } else {
+            registrationCheckbox.disabled = false;
+            registrationCheckbox.dataset.frozen = 'false';
+            registrationCheckbox.title = '';
         }
     }
     
-    // Add checked types
-    if (regChecked) {
-        types.push('registration');
-    }
-    if (shulkChecked) {
-        types.push('shulk_paid');
-    }
-    if (kitChecked) {
-        types.push('kit_collected');
+    // Update shulk checkbox
+    if (shulkPaidCheckbox) {
+        if (checkinStatuses.shulk_paid?.exists) {
+            shulkPaidCheckbox.checked = true;
+            shulkPaidCheckbox.disabled = true;
+            shulkPaidCheckbox.dataset.frozen = 'true';
+            shulkPaidCheckbox.title = 'Already checked in - frozen';
+        } else {
+            shulkPaidCheckbox.disabled = false;
+            shulkPaidCheckbox.dataset.frozen = 'false';
+            shulkPaidCheckbox.title = '';
+        }
     }
     
-    return types;
+    // Update kit checkbox
+    if (kitCollectedCheckbox) {
+        if (checkinStatuses.kit_collected?.exists) {
+            kitCollectedCheckbox.checked = true;
+            kitCollectedCheckbox.disabled = true;
+            kitCollectedCheckbox.dataset.frozen = 'true';
+            kitCollectedCheckbox.title = 'Already checked in - frozen';
+        } else {
+            kitCollectedCheckbox.disabled = false;
+            kitCollectedCheckbox.dataset.frozen = 'false';
+            kitCollectedCheckbox.title = '';
+        }
+    }
 }
 
-// Switch search mode
-function switchSearchMode(mode) {
-    // Update button states
-    document.querySelectorAll('.search-tab-btn').forEach(btn => {
-        btn.classList.remove('active');
-    });
-    event?.target?.classList.add('active');
-    
-    // Show/hide search modes
-    document.querySelectorAll('.search-mode').forEach(div => {
-        div.classList.remove('active');
-    });
-    
-    const targetMode = document.getElementById(`searchMode-${mode}`);
-    if (targetMode) {
-        targetMode.classList.add('active');
-    }
+// Load recent checkins
+async function loadRecentCheckins(checkinType, limit = 5) {
+    if (!window.firebase || !firebase.firestore) return;
     
-    // Clear participant info when switching modes
-    clearParticipantInfo();
+    const recentCheckinsList = document.getElementById('recentCheckinsList');
+    if (!recentCheckinsList) return;
     
-    // Stop camera if active
-    if (barcodeScannerActive) {
-        stopBarcodeScan();
+    try {
+        const db = firebase.firestore();
+        const user = firebase.auth().currentUser;
+        if (!user) return;
+        
+        const isAdminUser = await isAdmin(user);
+        
+        let snapshot;
+        
+        if (isAdminUser) {
+            // Admins: show all recent checkins
+            snapshot = await db.collection('checkins')
+            .where('checkinType', '==', checkinType)
+            .orderBy('timestamp', 'desc')
+                .limit(limit)
+                .get();
+        } else {
+            // Volunteers: only show checkins they created
+            // Query by checkedInBy, filter by checkinType client-side, then sort by timestamp
+            const allUserCheckins = await db.collection('checkins')
+                .where('checkedInBy', '==', user.uid)
+                .get();
+            
+            // Filter by checkinType, sort by timestamp, then limit
+            const filteredDocs = allUserCheckins.docs
+                .filter(doc => {
+                    const data = doc.data();
+                    return data.checkinType === checkinType;
+                })
+                .sort((a, b) => {
+                    const aTime = a.data().timestamp?.toMillis() || 0;
+                    const bTime = b.data().timestamp?.toMillis() || 0;
+                    return bTime - aTime; // Descending order
+                })
+                .slice(0, limit);
+            
+            // Create a mock snapshot-like object
+            snapshot = {
+                docs: filteredDocs,
+                empty: filteredDocs.length === 0
+            };
+        }
+        
+        if (snapshot.empty) {
+            recentCheckinsList.innerHTML = '<p>No recent checkins</p>';
+            return;
+        }
+        
+        // Fetch participant names from registrations
+        const uniqueIds = snapshot.docs.map(doc => doc.data().uniqueId).filter(id => id);
+        const registrationsMap = new Map();
+        
+        if (uniqueIds.length > 0) {
+            const registrationPromises = uniqueIds.map(uniqueId => 
+                db.collection('registrations').doc(uniqueId).get()
+            );
+            const registrationDocs = await Promise.all(registrationPromises);
+            
+            registrationDocs.forEach(regDoc => {
+                if (regDoc.exists) {
+                    const regData = regDoc.data();
+                    const name = regData.name || regData['Full Name'] || 'Unknown';
+                    registrationsMap.set(regDoc.id, name);
+                }
+            });
+        }
+        
+        let html = '<ul class="recent-checkins-list">';
+        snapshot.docs.forEach(doc => {
+            const data = doc.data();
+            const docId = doc.id;
+            const timestamp = data.timestamp?.toDate();
+            const timeStr = timestamp ? timestamp.toLocaleString() : 'Unknown';
+            const participantName = registrationsMap.get(data.uniqueId) || 'Unknown';
+            
+            html += `
+                <li class="recent-checkin-item">
+                    <div class="checkin-item-name">${escapeHtml(participantName)}</div>
+                    <div class="checkin-item-id">${escapeHtml(data.uniqueId)}</div>
+                    <div class="checkin-item-time">${escapeHtml(timeStr)}</div>
+                    <div class="checkin-item-by">By: ${escapeHtml(data.checkedInByName)}</div>
+                </li>
+            `;
+        });
+        html += '</ul>';
+        
+        recentCheckinsList.innerHTML = html;
+    } catch (error) {
+        console.error('Error loading recent checkins:', error);
+        let errorMessage = 'Error loading recent checkins';
+        if (error.code === 'failed-precondition') {
+            errorMessage = 'Database index required. Please contact administrator.';
+        } else if (error.message) {
+            errorMessage = `Error: ${error.message}`;
+        }
+        recentCheckinsList.innerHTML = `<p style="color: #dc3545;">${errorMessage}</p>`;
     }
 }
 
-// Search participant by barcode/Praveshika ID
-async function searchParticipant() {
-    const barcodeInput = document.getElementById('barcodeInput');
-    if (!barcodeInput) return;
-    
-    let uniqueId = barcodeInput.value.trim().toUpperCase();
-    // Update the input field to uppercase
-    if (barcodeInput.value !== uniqueId) {
-        barcodeInput.value = uniqueId;
-    }
-    
-    if (!uniqueId) {
-        showNotification('Please enter a barcode or Praveshika ID', 'error');
+// Undo/Cancel a checkin (from recent checkins list)
+async function undoCheckin(checkinDocId, uniqueId, participantName) {
+    if (!window.firebase || !firebase.firestore) {
+        showNotification('Firebase not initialized', 'error');
         return;
     }
     
-    await searchByPraveshikaIdDirect(uniqueId);
-}
-
-// Search by Praveshika ID
-async function searchByPraveshikaId() {
-    const manualInput = document.getElementById('manualPraveshikaId');
-    if (!manualInput) return;
-    
-    let uniqueId = manualInput.value.trim().toUpperCase();
-    // Update the input field to uppercase
-    if (manualInput.value !== uniqueId) {
-        manualInput.value = uniqueId;
+    const user = firebase.auth().currentUser;
+    if (!user) {
+        showNotification('Please log in to undo checkin', 'error');
+        return;
     }
     
-    if (!uniqueId) {
-        showNotification('Please enter a Praveshika ID', 'error');
+    // Check if user is admin
+    const isAdminUser = await isAdmin(user);
+    if (!isAdminUser) {
+        showNotification('Only admin users can undo check-ins', 'error');
         return;
     }
     
-    await searchByPraveshikaIdDirect(uniqueId);
-}
-
-// Direct search by Praveshika ID
-async function searchByPraveshikaIdDirect(uniqueId) {
-    if (!window.firebase || !firebase.firestore) {
-        showNotification('Firebase not initialized', 'error');
+    // Confirm with user
+    const confirmed = confirm(`Are you sure you want to undo the check-in for ${participantName} (${uniqueId})?\n\nThis action cannot be undone.`);
+    if (!confirmed) {
         return;
     }
     
     try {
-        const db = firebase.firestore();
-        // Normalize: uppercase and trim the ID
-        const uppercasedId = uniqueId.toUpperCase().trim();
-        const normalizedId = normalizePraveshikaId(uniqueId);
+        // The API also releases a cloak room tag and returns ganvesh stock
+        await undoCheckinsViaApi([checkinDocId]);
         
-        // Search in registrations collection by normalized ID
-        const registrationsQuery = await db.collection('registrations')
-            .where('normalizedId', '==', normalizedId)
-            .limit(1)
-            .get();
+        showNotification(`Check-in undone for ${participantName} (${uniqueId})`, 'success');
         
-        if (registrationsQuery.empty) {
-            // Try direct document ID lookup with uppercased ID
-            let regDoc = await db.collection('registrations').doc(uppercasedId).get();
-            
-            // If not found, try original ID as fallback
-            if (!regDoc.exists) {
-                regDoc = await db.collection('registrations').doc(uniqueId).get();
-            }
-            
-            if (regDoc.exists) {
-                displayParticipantInfo(regDoc.data(), regDoc.id);
-            } else {
-                showNotification(`Participant with Praveshika ID "${uppercasedId}" not found`, 'error');
-            }
+        // Use the same reload mechanism as after check-in
+        clearCheckinForm();
+        clearParticipantInfo();
+        await loadRecentCheckins(currentCheckinType);
+        await loadCheckinHistory();
+        
+    } catch (error) {
+        console.error('Error undoing checkin:', error);
+        if (error.status === 403) {
+            showNotification('You do not have permission to undo this check-in', 'error');
         } else {
-            const regDoc = registrationsQuery.docs[0];
-            const regData = regDoc.data();
-            displayParticipantInfo(regData, regDoc.id);
+            showNotification('Error undoing check-in: ' + error.message, 'error');
         }
-    } catch (error) {
-        console.error('Error searching participant:', error);
-        showNotification('Error searching participant: ' + error.message, 'error');
     }
 }
 
-// Search by name for check-in
-async function searchByNameForCheckin() {
-    const nameInput = document.getElementById('searchByNameCheckin');
-    if (!nameInput) return;
+// Undo/Cancel a checkin (from participant status view)
+async function undoCheckinFromStatus(checkinDocId, uniqueId, participantName) {
+    if (!window.firebase || !firebase.firestore) {
+        showNotification('Firebase not initialized', 'error');
+        return;
+    }
     
-    const name = nameInput.value.trim();
-    if (!name) {
-        showNotification('Please enter a name to search', 'error');
+    const user = firebase.auth().currentUser;
+    if (!user) {
+        showNotification('Please log in to undo checkin', 'error');
         return;
     }
     
-    if (!window.firebase || !firebase.firestore) {
-        showNotification('Firebase not initialized', 'error');
+    // Check if user is admin
+    const isAdminUser = await isAdmin(user);
+    if (!isAdminUser) {
+        showNotification('Only admin users can undo check-ins', 'error');
         return;
     }
     
-    // Clear previous selections when new search is performed
-    clearParticipantInfo();
-    if (window.selectedUniqueIdsForCheckin) {
-        window.selectedUniqueIdsForCheckin.clear();
+    // Confirm with user
+    const confirmed = confirm(`Are you sure you want to undo the check-in for ${participantName} (${uniqueId})?\n\nThis action cannot be undone.`);
+    if (!confirmed) {
+        return;
     }
     
     try {
-        const db = firebase.firestore();
-        const nameLower = name.toLowerCase();
-        const results = [];
-        
-        // Fetch all registrations and filter client-side for case-insensitive partial name match
-        const allRegistrations = await db.collection('registrations').limit(2000).get();
+        // The API also releases a cloak room tag and returns ganvesh stock
+        await undoCheckinsViaApi([checkinDocId]);
         
-        allRegistrations.docs.forEach(doc => {
-            const data = doc.data();
-            const regName = (data.name || data['Full Name'] || '').toLowerCase();
-            if (regName.includes(nameLower)) {
-                results.push(doc);
-            }
-        });
+        showNotification(`Check-in undone for ${participantName} (${uniqueId})`, 'success');
         
-        if (results.length === 0) {
-            showNotification('No participants found with this name', 'info');
-            clearParticipantInfo();
-            return;
-        }
+        // Use the same reload mechanism as after check-in
+        clearCheckinForm();
+        clearParticipantInfo();
+        await loadRecentCheckins(currentCheckinType);
+        await loadCheckinHistory();
         
-        if (results.length === 1) {
-            const regData = results[0].data();
-            const uniqueId = regData.uniqueId || results[0].id;
-            displayParticipantInfo(regData, uniqueId);
+    } catch (error) {
+        console.error('Error undoing checkin:', error);
+        if (error.status === 403) {
+            showNotification('You do not have permission to undo this check-in', 'error');
         } else {
-            // Show list of results
-            displayParticipantSearchResults(results, 'name');
+            showNotification('Error undoing check-in: ' + error.message, 'error');
         }
-    } catch (error) {
-        console.error('Error searching by name:', error);
-        showNotification('Error searching: ' + error.message, 'error');
     }
 }
 
-// Search by email for checkin (email only, with multi-select)
-async function searchByEmailForCheckin() {
-    const emailInput = document.getElementById('searchByEmail');
-    if (!emailInput) return;
+// ============================================
+// BATCH CHECKIN FUNCTIONS
+// ============================================
+
+// Process batch checkin
+async function processBatchCheckin() {
+    const batchInput = document.getElementById('batchInput');
+    if (!batchInput) return;
     
-    const email = emailInput.value.trim();
-    if (!email) {
-        showNotification('Please enter an email address to search', 'error');
+    const inputText = batchInput.value.trim();
+    if (!inputText) {
+        showNotification('Please enter Praveshika IDs', 'error');
+        return;
+    }
+    
+    // Parse input (support both comma-separated and newline-separated)
+    const ids = inputText.split(/[,\n]/)
+        .map(id => id.trim())
+        .filter(id => id.length > 0);
+    
+    if (ids.length === 0) {
+        showNotification('No valid Praveshika IDs found', 'error');
         return;
     }
     
@@ -10607,2723 +16951,2814 @@ async function searchByEmailForCheckin() {
         return;
     }
     
-    // Clear previous selections when new search is performed
-    clearParticipantInfo();
-    if (window.selectedUniqueIdsForCheckin) {
-        window.selectedUniqueIdsForCheckin.clear();
+    const batchPreview = document.getElementById('batchPreview');
+    if (batchPreview) {
+        batchPreview.style.display = 'block';
+        batchPreview.innerHTML = '<p>Loading participant profiles...</p>';
     }
     
     try {
         const db = firebase.firestore();
-        const emailLower = email.toLowerCase().trim();
-        const allUids = new Set();
+        const participantData = [];
+        const alreadyCheckedIn = [];
+        const notFound = [];
         
-        // First, try exact match using emailToUids collection
-        const emailToUidsDoc = await db.collection('emailToUids').doc(emailLower).get();
+        // Fetch all participant data and check checkin status
+        for (const uniqueId of ids) {
+            try {
+                // Get registration data
+                const regDoc = await db.collection('registrations').doc(uniqueId).get();
+                if (!regDoc.exists) {
+                    notFound.push(uniqueId);
+                    continue;
+                }
+                
+                const regData = regDoc.data();
+                const name = regData.name || regData['Full Name'] || 'Unknown';
+                const email = regData.email || regData['Email address'] || 'N/A';
+                const country = regData.country || regData.Country || 'N/A';
+                const shreni = regData.shreni || regData.Shreni || 'N/A';
+                
+                // Check if already checked in for current checkin type
+                let isAlreadyCheckedIn = false;
+                let checkinTimestamp = null;
+                let checkedInTypes = [];
+                
+                if (currentCheckinType === 'registration') {
+                    // For registration, check all three types
+                    const typesToCheck = ['registration', 'shulk_paid', 'kit_collected'];
+                    for (const type of typesToCheck) {
+                        const existingCheckinQuery = await db.collection('checkins')
+                            .where('uniqueId', '==', uniqueId)
+                            .where('checkinType', '==', type)
+                            .limit(1)
+                            .get();
+                        
+                        if (!existingCheckinQuery.empty) {
+                            isAlreadyCheckedIn = true;
+                            checkedInTypes.push(type);
+                            const existingCheckin = existingCheckinQuery.docs[0].data();
+                            if (!checkinTimestamp) {
+                                checkinTimestamp = existingCheckin.timestamp?.toDate();
+                            }
+                        }
+                    }
+                } else if (currentCheckinType === 'cloak_room') {
+                    const existingCheckinQuery = await db.collection('checkins')
+                        .where('uniqueId', '==', uniqueId)
+                        .where('checkinType', '==', 'cloak_room')
+                        .orderBy('timestamp', 'desc')
+                        .limit(1)
+                        .get();
+                    
+                    if (!existingCheckinQuery.empty) {
+                        const existingCheckin = existingCheckinQuery.docs[0].data();
+                        if (!existingCheckin.checkedOutAt) {
+                            isAlreadyCheckedIn = true;
+                            checkinTimestamp = existingCheckin.timestamp?.toDate();
+                            checkedInTypes.push('cloak_room');
+                        }
+                    }
+                } else {
+                    const existingCheckinQuery = await db.collection('checkins')
+                        .where('uniqueId', '==', uniqueId)
+                        .where('checkinType', '==', currentCheckinType)
+                        .limit(1)
+                        .get();
+                    
+                    if (!existingCheckinQuery.empty) {
+                        isAlreadyCheckedIn = true;
+                        const existingCheckin = existingCheckinQuery.docs[0].data();
+                        checkinTimestamp = existingCheckin.timestamp?.toDate();
+                        checkedInTypes.push(currentCheckinType);
+                    }
+                }
+                
+                if (isAlreadyCheckedIn) {
+                    alreadyCheckedIn.push({
+                        uniqueId,
+                        name,
+                        email,
+                        country,
+                        shreni,
+                        timestamp: checkinTimestamp,
+                        checkedInTypes: checkedInTypes
+                    });
+                } else {
+                    participantData.push({
+                        uniqueId,
+                        name,
+                        email,
+                        country,
+                        shreni
+                    });
+                }
+            } catch (error) {
+                console.error(`Error processing ${uniqueId}:`, error);
+                notFound.push(uniqueId);
+            }
+        }
+        
+        // Store valid IDs globally
+        window.batchCheckinIds = participantData.map(p => p.uniqueId);
+        
+        // Build preview HTML
+        let html = `
+            <div class="batch-preview">
+                <h4>Batch Checkin Preview</h4>
+                <p>Found ${ids.length} participant(s) | Valid: ${participantData.length} | Already Checked In: ${alreadyCheckedIn.length} | Not Found: ${notFound.length}</p>
+        `;
         
-        if (emailToUidsDoc.exists) {
-            // Found exact match - get all UIDs for this email
-            const emailToUidsData = emailToUidsDoc.data();
-            const uids = emailToUidsData.uids || [];
-            uids.forEach(uid => allUids.add(uid));
-        } else {
-            // No exact match - try partial search in emailToUids collection
-            // Get all emailToUids documents and filter for emails containing the search term
-            const allEmailToUids = await db.collection('emailToUids').get();
+        // Show error for already checked-in participants
+        if (alreadyCheckedIn.length > 0) {
+            html += `
+                <div style="margin: 1rem 0; padding: 1rem; background: #f8d7da; border-left: 4px solid #dc3545; border-radius: 4px;">
+                    <p style="margin: 0 0 0.5rem 0; font-weight: bold; color: #721c24;">
+                        ⚠️ The following participants are already checked in. Please remove them before proceeding:
+                    </p>
+                    <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(250px, 1fr)); gap: 0.75rem; margin-top: 0.5rem;">
+            `;
             
-            allEmailToUids.docs.forEach(doc => {
-                const emailData = doc.data();
-                const docEmail = (emailData.email || doc.id).toLowerCase();
-                if (docEmail.includes(emailLower)) {
-                    const uids = emailData.uids || [];
-                    uids.forEach(uid => allUids.add(uid));
-                }
+            alreadyCheckedIn.forEach(participant => {
+                const timeStr = participant.timestamp ? participant.timestamp.toLocaleString() : 'Unknown';
+                const typesStr = participant.checkedInTypes && participant.checkedInTypes.length > 0 
+                    ? participant.checkedInTypes.map(t => CHECKIN_TYPE_LABELS[t] || t).join(', ')
+                    : CHECKIN_TYPE_LABELS[currentCheckinType] || currentCheckinType;
+                html += `
+                    <div style="background: white; padding: 0.75rem; border-radius: 4px; border: 2px solid #dc3545;">
+                        <p style="margin: 0 0 0.25rem 0; font-weight: bold; color: #dc3545;">${escapeHtml(participant.uniqueId)}</p>
+                        <p style="margin: 0 0 0.25rem 0; font-size: 0.9rem;">${escapeHtml(participant.name)}</p>
+                        <p style="margin: 0 0 0.25rem 0; font-size: 0.8rem; color: #666;">Types: ${escapeHtml(typesStr)}</p>
+                        <p style="margin: 0; font-size: 0.8rem; color: #666;">Checked in: ${escapeHtml(timeStr)}</p>
+                    </div>
+                `;
             });
+            
+            html += `
+                    </div>
+                </div>
+            `;
         }
         
-        if (allUids.size === 0) {
-            showNotification('No participants found with this email', 'info');
-            clearParticipantInfo();
-            return;
+        // Show not found participants
+        if (notFound.length > 0) {
+            html += `
+                <div style="margin: 1rem 0; padding: 0.75rem; background: #fff3cd; border-left: 4px solid #ffc107; border-radius: 4px;">
+                    <p style="margin: 0 0 0.5rem 0; font-weight: bold; color: #856404;">
+                        ⚠️ The following Praveshika IDs were not found:
+                    </p>
+                    <p style="margin: 0; font-size: 0.9rem;">${notFound.map(id => escapeHtml(id)).join(', ')}</p>
+                </div>
+            `;
         }
         
-        // Fetch all registration documents for these UIDs
-        const registrationPromises = Array.from(allUids).map(uid => 
-            db.collection('registrations').doc(uid).get()
-                .then(doc => doc.exists ? doc : null)
-                .catch(error => {
-                    console.error(`Error fetching registration for ${uid}:`, error);
-                    return null;
-                })
-        );
-        
-        const registrationDocs = await Promise.all(registrationPromises);
-        const results = registrationDocs.filter(doc => doc !== null);
-        
-        if (results.length === 0) {
-            showNotification('No participants found with this email', 'info');
-            clearParticipantInfo();
-            return;
+        // Show valid participants with profiles
+        if (participantData.length > 0) {
+            html += `
+                <div style="margin: 1rem 0;">
+                    <h5 style="margin-bottom: 0.75rem;">Participants to Check In (${participantData.length}):</h5>
+                    <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(250px, 1fr)); gap: 0.75rem;">
+            `;
+            
+            participantData.forEach(participant => {
+                html += `
+                    <div style="background: #e8f4f8; padding: 0.75rem; border-radius: 4px; border-left: 4px solid #007bff;">
+                        <p style="margin: 0 0 0.25rem 0; font-weight: bold; color: #007bff;">${escapeHtml(participant.uniqueId)}</p>
+                        <p style="margin: 0 0 0.25rem 0; font-size: 0.9rem;"><strong>Name:</strong> ${escapeHtml(participant.name)}</p>
+                        <p style="margin: 0 0 0.25rem 0; font-size: 0.85rem;"><strong>Email:</strong> ${escapeHtml(participant.email)}</p>
+                        <p style="margin: 0 0 0.25rem 0; font-size: 0.85rem;"><strong>Country:</strong> ${escapeHtml(participant.country)}</p>
+                        <p style="margin: 0; font-size: 0.85rem;"><strong>Shreni:</strong> ${escapeHtml(participant.shreni)}</p>
+                    </div>
+                `;
+            });
+            
+            html += `
+                    </div>
+                </div>
+            `;
+            
+            // Only show confirmation checkboxes and button if there are valid participants and no already checked-in
+            // Only show checkboxes for registration checkin type
+            if (alreadyCheckedIn.length === 0) {
+                if (currentCheckinType === 'registration') {
+                    html += `
+                        <div style="margin: 1rem 0; padding: 0.75rem; background: #fff3cd; border-left: 4px solid #ffc107; border-radius: 4px;">
+                            <p style="margin: 0 0 0.5rem 0; font-size: 0.9rem; color: #856404;">
+                                Please confirm the following for this batch:
+                            </p>
+                            <label style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.25rem; font-size: 0.9rem;">
+                                <input type="checkbox" id="batchAllRegistrationsDoneConfirm" onchange="updateBatchConfirmState()">
+                                <span>All Registrations Done</span>
+                            </label>
+                            <label style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.25rem; font-size: 0.9rem;">
+                                <input type="checkbox" id="batchShulkPaidConfirm" onchange="updateBatchConfirmState()">
+                                <span>All shulk paid</span>
+                            </label>
+                            <label style="display: flex; align-items: center; gap: 0.5rem; font-size: 0.9rem;">
+                                <input type="checkbox" id="batchKitCollectedConfirm" onchange="updateBatchConfirmState()">
+                                <span>All kits collected</span>
+                            </label>
+                        </div>
+                        <button id="batchConfirmButton" class="btn btn-primary" onclick="executeBatchCheckinFromPreview()" disabled style="opacity: 0.6; cursor: not-allowed;">
+                            Confirm Batch Checkin
+                        </button>
+                    `;
+                } else {
+                    html += `
+                        <button id="batchConfirmButton" class="btn btn-primary" onclick="executeBatchCheckinFromPreview()">
+                            Confirm Batch Checkin
+                        </button>
+                    `;
+                }
+            } else {
+                html += `
+                    <div style="margin: 1rem 0; padding: 0.75rem; background: #f8d7da; border-left: 4px solid #dc3545; border-radius: 4px;">
+                        <p style="margin: 0; font-weight: bold; color: #721c24;">
+                            Cannot proceed: Please remove already checked-in participants from the list above.
+                        </p>
+                    </div>
+                `;
+            }
+        } else {
+            html += `
+                <div style="margin: 1rem 0; padding: 0.75rem; background: #f8d7da; border-left: 4px solid #dc3545; border-radius: 4px;">
+                    <p style="margin: 0; font-weight: bold; color: #721c24;">
+                        No valid participants to check in. Please fix the errors above and try again.
+                    </p>
+                </div>
+            `;
         }
         
-        // Display results with multi-select capability
-        displayEmailSearchResultsForCheckin(results, email);
+        html += `
+                <button class="btn btn-secondary" onclick="cancelBatchCheckin()" style="margin-top: 1rem;">Cancel</button>
+            </div>
+        `;
         
+        if (batchPreview) {
+            batchPreview.innerHTML = html;
+            // Initialize confirm button state if applicable
+            if (participantData.length > 0 && alreadyCheckedIn.length === 0) {
+                setTimeout(updateBatchConfirmState, 0);
+            }
+        }
     } catch (error) {
-        console.error('Error searching by email:', error);
-        showNotification('Error searching by email: ' + error.message, 'error');
-    }
-}
-
-// Display email search results with multi-select for checkin
-function displayEmailSearchResultsForCheckin(docs, searchEmail) {
-    const participantInfo = document.getElementById('participantInfo');
-    const participantDetails = document.getElementById('participantDetails');
-    
-    if (!participantInfo || !participantDetails) return;
-    
-    // Store selected uniqueIds
-    window.selectedUniqueIdsForCheckin = new Set();
-    
-    let html = `<div class="participant-search-results">
-        <h4>${docs.length} participant(s) found with email "${escapeHtml(searchEmail)}". Select participants to check in:</h4>
-        <div style="margin-bottom: 1rem;">
-            <button type="button" class="btn btn-sm btn-secondary" onclick="selectAllEmailResults()" style="margin-right: 0.5rem;">Select All</button>
-            <button type="button" class="btn btn-sm btn-secondary" onclick="deselectAllEmailResults()">Deselect All</button>
-        </div>
-        <ul style="list-style: none; padding: 0; max-height: 400px; overflow-y: auto;">`;
-    
-    docs.forEach((doc, index) => {
-        const data = doc.data();
-        const name = data.name || data['Full Name'] || 'Unknown';
-        const uniqueId = data.uniqueId || doc.id;
-        const email = data.email || data['Email address'] || '';
-        
-        html += `
-            <li style="margin: 0.5rem 0; padding: 0.75rem; border: 1px solid #ddd; border-radius: 4px; background: #f9f9f9;">
-                <label style="display: flex; align-items: center; gap: 0.75rem; cursor: pointer;">
-                    <input type="checkbox" class="email-result-checkbox" data-unique-id="${escapeHtml(uniqueId)}" data-index="${index}" onchange="toggleEmailResultSelection('${escapeHtml(uniqueId)}')" style="width: 18px; height: 18px; cursor: pointer;">
-                    <div style="flex: 1;">
-                        <strong>${escapeHtml(name)}</strong><br>
-                        <small style="color: #666;">Praveshika ID: ${escapeHtml(uniqueId)}${email ? ' - ' + escapeHtml(email) : ''}</small>
-                    </div>
-                </label>
-            </li>`;
-    });
-    
-    html += `</ul>
-        <div style="margin-top: 1rem; padding-top: 1rem; border-top: 2px solid #007bff;">
-            <button class="btn btn-primary" onclick="proceedWithSelectedEmailResults()" id="proceedEmailCheckinBtn" disabled>
-                Check In Selected (0)
-            </button>
-            <button class="btn btn-secondary" onclick="clearParticipantInfo()" style="margin-left: 0.5rem;">
-                Cancel
-            </button>
-        </div>
-    </div>`;
-    
-    participantDetails.innerHTML = html;
-    participantInfo.style.display = 'block';
-}
-
-// Toggle email result selection
-function toggleEmailResultSelection(uniqueId) {
-    if (!window.selectedUniqueIdsForCheckin) {
-        window.selectedUniqueIdsForCheckin = new Set();
-    }
-    
-    const checkbox = document.querySelector(`.email-result-checkbox[data-unique-id="${escapeHtml(uniqueId)}"]`);
-    if (checkbox && checkbox.checked) {
-        window.selectedUniqueIdsForCheckin.add(uniqueId);
-    } else {
-        window.selectedUniqueIdsForCheckin.delete(uniqueId);
-    }
-    
-    updateProceedButton();
-}
-
-// Select all email results
-function selectAllEmailResults() {
-    if (!window.selectedUniqueIdsForCheckin) {
-        window.selectedUniqueIdsForCheckin = new Set();
+        console.error('Error processing batch checkin:', error);
+        showNotification('Error processing batch checkin: ' + error.message, 'error');
+        if (batchPreview) {
+            batchPreview.innerHTML = '<p style="color: #dc3545;">Error loading participant data. Please try again.</p>';
+        }
     }
-    
-    document.querySelectorAll('.email-result-checkbox').forEach(checkbox => {
-        checkbox.checked = true;
-        const uniqueId = checkbox.getAttribute('data-unique-id');
-        window.selectedUniqueIdsForCheckin.add(uniqueId);
-    });
-    
-    updateProceedButton();
 }
 
-// Deselect all email results
-function deselectAllEmailResults() {
-    if (window.selectedUniqueIdsForCheckin) {
-        window.selectedUniqueIdsForCheckin.clear();
+// Execute batch checkin from preview
+async function executeBatchCheckinFromPreview() {
+    // Ensure confirmation checkboxes are checked (only for registration type)
+    if (currentCheckinType === 'registration') {
+        const allRegistrationsDoneCheckbox = document.getElementById('batchAllRegistrationsDoneConfirm');
+        const shulkCheckbox = document.getElementById('batchShulkPaidConfirm');
+        const kitCheckbox = document.getElementById('batchKitCollectedConfirm');
+        if (allRegistrationsDoneCheckbox && shulkCheckbox && kitCheckbox) {
+            if (!allRegistrationsDoneCheckbox.checked || !shulkCheckbox.checked || !kitCheckbox.checked) {
+                showNotification('Please confirm all checkboxes before proceeding.', 'error');
+                return;
+            }
+        }
     }
     
-    document.querySelectorAll('.email-result-checkbox').forEach(checkbox => {
-        checkbox.checked = false;
-    });
-    
-    updateProceedButton();
-}
-
-// Update proceed button
-function updateProceedButton() {
-    const proceedBtn = document.getElementById('proceedEmailCheckinBtn');
-    if (proceedBtn) {
-        const count = window.selectedUniqueIdsForCheckin ? window.selectedUniqueIdsForCheckin.size : 0;
-        proceedBtn.textContent = `Check In Selected (${count})`;
-        proceedBtn.disabled = count === 0;
+    const ids = window.batchCheckinIds;
+    if (!ids || !Array.isArray(ids) || ids.length === 0) {
+        showNotification('No participants to check in', 'error');
+        return;
     }
+    await executeBatchCheckin(ids);
 }
 
-// Proceed with selected email results
-async function proceedWithSelectedEmailResults() {
-    if (!window.selectedUniqueIdsForCheckin || window.selectedUniqueIdsForCheckin.size === 0) {
-        showNotification('Please select at least one participant', 'error');
+// Execute batch checkin
+async function executeBatchCheckin(ids) {
+    if (!window.firebase || !firebase.auth || !firebase.firestore) {
+        showNotification('Firebase not initialized', 'error');
         return;
     }
     
-    const uniqueIds = Array.from(window.selectedUniqueIdsForCheckin);
-    
-    if (uniqueIds.length === 1) {
-        // Single selection - display participant info for checkin
-        const uniqueId = uniqueIds[0];
-        const db = firebase.firestore();
-        const regDoc = await db.collection('registrations').doc(uniqueId).get();
-        if (regDoc.exists) {
-            displayParticipantInfo(regDoc.data(), uniqueId);
-        }
-    } else {
-        // Multiple selections - use batch checkin
-        await executeBatchCheckin(uniqueIds);
-    }
-}
-
-// Advanced search by name or email
-async function advancedSearch() {
-    const nameInput = document.getElementById('searchByName');
-    const emailInput = document.getElementById('searchByEmail');
-    
-    if (!nameInput || !emailInput) return;
-    
-    const name = nameInput.value.trim();
-    const email = emailInput.value.trim();
-    
-    if (!name && !email) {
-        showNotification('Please enter a name or email to search', 'error');
+    const user = firebase.auth().currentUser;
+    if (!user) {
+        showNotification('Please log in to perform checkin', 'error');
         return;
     }
     
-    if (!window.firebase || !firebase.firestore) {
-        showNotification('Firebase not initialized', 'error');
+    // Check permissions
+    const hasAccess = await hasAccessToCheckinType(user, currentCheckinType);
+    if (!hasAccess) {
+        showNotification('You do not have permission to perform this checkin type', 'error');
         return;
     }
     
-    try {
-        const db = firebase.firestore();
-        let results = [];
-        let searchType = null;
+    // Determine types to process ONCE at the beginning (for registration, read checkboxes BEFORE updating DOM)
+    // IMPORTANT: Read checkboxes BEFORE setting innerHTML, otherwise they'll be removed from DOM
+    let baseTypesToProcess = [];
+    if (currentCheckinType === 'registration') {
+        // Get confirmation checkboxes from batch preview ONCE before updating the DOM
+        const shulkCheckbox = document.getElementById('batchShulkPaidConfirm');
+        const kitCheckbox = document.getElementById('batchKitCollectedConfirm');
         
-        if (email) {
-            // Email search: use emailToUids collection to find all Praveshika IDs linked to matching emails
-            searchType = 'email';
-            const emailLower = email.toLowerCase().trim();
-            const allUids = new Set();
-            
-            // First, try exact match using emailToUids collection
-            const emailToUidsDoc = await db.collection('emailToUids').doc(emailLower).get();
-            
-            if (emailToUidsDoc.exists) {
-                // Found exact match - get all UIDs for this email
-                const emailToUidsData = emailToUidsDoc.data();
-                const uids = emailToUidsData.uids || [];
-                uids.forEach(uid => allUids.add(uid));
-            } else {
-                // No exact match - try partial search in emailToUids collection
-                // Get all emailToUids documents and filter for emails containing the search term
-                const allEmailToUids = await db.collection('emailToUids').get();
-                
-                allEmailToUids.docs.forEach(doc => {
-                    const emailData = doc.data();
-                    const docEmail = (emailData.email || doc.id).toLowerCase();
-                    if (docEmail.includes(emailLower)) {
-                        const uids = emailData.uids || [];
-                        uids.forEach(uid => allUids.add(uid));
-                    }
-                });
-            }
-            
-            // Fetch all registration documents for these UIDs
-            const registrationPromises = Array.from(allUids).map(uid => 
-                db.collection('registrations').doc(uid).get()
-                    .then(doc => doc.exists ? doc : null)
-                    .catch(error => {
-                        console.error(`Error fetching registration for ${uid}:`, error);
-                        return null;
-                    })
-            );
-            
-            const registrationDocs = await Promise.all(registrationPromises);
-            registrationDocs.forEach(doc => {
-                if (doc) {
-                    results.push(doc);
-                }
-            });
-        } else if (name) {
-            // Name search: case-insensitive partial search
-            searchType = 'name';
-            const nameLower = name.toLowerCase();
-            
-            // Fetch all registrations in batches to avoid limit restrictions
-            let allRegistrations = [];
-            let lastDoc = null;
-            const batchSize = 1000;
-            
-            // Fetch registrations in batches until all are retrieved
-            while (true) {
-                let query = db.collection('registrations').limit(batchSize);
-                if (lastDoc) {
-                    query = query.startAfter(lastDoc);
-                }
-                
-                const batch = await query.get();
-                if (batch.empty) break;
-                
-                allRegistrations = allRegistrations.concat(batch.docs);
-                lastDoc = batch.docs[batch.docs.length - 1];
-                
-                // If we got fewer than batchSize, we've reached the end
-                if (batch.docs.length < batchSize) break;
-            }
-            
-            // Filter client-side for case-insensitive partial name match
-            allRegistrations.forEach(doc => {
-                const data = doc.data();
-                const regName = (data.name || data['Full Name'] || '').toLowerCase();
-                if (regName.includes(nameLower)) {
-                    results.push(doc);
-                }
-            });
-        }
+        // Always include registration if we're on registration tab
+        baseTypesToProcess.push('registration');
         
-        if (results.length === 0) {
-            showNotification('No participants found', 'info');
-            return;
+        // Include shulk_paid and kit_collected if checkboxes are checked
+        if (shulkCheckbox && shulkCheckbox.checked) {
+            baseTypesToProcess.push('shulk_paid');
         }
-        
-        if (results.length === 1) {
-            const regData = results[0].data();
-            const uniqueId = regData.uniqueId || results[0].id;
-            displayParticipantInfo(regData, uniqueId);
-        } else {
-            // Show list of results with appropriate options
-            displayParticipantSearchResults(results, searchType);
+        if (kitCheckbox && kitCheckbox.checked) {
+            baseTypesToProcess.push('kit_collected');
         }
-    } catch (error) {
-        console.error('Error in advanced search:', error);
-        showNotification('Error searching: ' + error.message, 'error');
+        
+        console.log('Batch checkin types to process:', baseTypesToProcess);
+        console.log('Shulk checkbox found:', !!shulkCheckbox, 'checked:', shulkCheckbox?.checked);
+        console.log('Kit checkbox found:', !!kitCheckbox, 'checked', kitCheckbox?.checked);
+    } else {
+        baseTypesToProcess = [currentCheckinType];
     }
-}
-
-// Display participant search results
-function displayParticipantSearchResults(docs, searchType) {
-    const participantInfo = document.getElementById('participantInfo');
-    const participantDetails = document.getElementById('participantDetails');
-    
-    if (!participantInfo || !participantDetails) return;
     
-    const isEmailSearch = searchType === 'email';
-    const uniqueIds = [];
-    
-    let html = `<div class="participant-search-results">
-        <h4>${docs.length} result(s) found${isEmailSearch ? ' with this email' : ''}. Please select:</h4>
-        <ul style="list-style: none; padding: 0;">`;
+    // Now update the preview (after reading checkbox values)
+    const batchPreview = document.getElementById('batchPreview');
+    if (batchPreview) {
+        batchPreview.innerHTML = '<p>Processing batch checkin...</p>';
+    }
     
-    docs.forEach(doc => {
-        const data = doc.data();
-        const name = data.name || data['Full Name'] || 'Unknown';
-        const uniqueId = data.uniqueId || doc.id;
-        const email = data.email || data['Email address'] || '';
-        uniqueIds.push(uniqueId);
-        
-        html += `
-            <li style="margin: 0.5rem 0; padding: 0.5rem; border: 1px solid #ddd; border-radius: 4px;">
-                <button class="btn btn-link" onclick="selectParticipantFromSearch('${escapeHtml(uniqueId)}')" style="text-align: left; width: 100%;">
-                    <strong>${escapeHtml(name)}</strong><br>
-                    <small>${escapeHtml(uniqueId)}${email ? ' - ' + escapeHtml(email) : ''}</small>
-                </button>
-            </li>`;
-    });
+    let successCount = 0;
+    let failCount = 0;
+    const results = [];
     
-    html += '</ul>';
+    for (const uniqueId of ids) {
+        try {
+            // Validate the uniqueId is a non-empty string
+            if (!uniqueId || typeof uniqueId !== 'string' || uniqueId.trim() === '') {
+                results.push({ uniqueId: uniqueId || 'Invalid', status: 'failed', error: 'Invalid Praveshika ID format' });
+                failCount++;
+                continue;
+            }
+            
+            const validatedUniqueId = uniqueId.trim();
+            
+            // Prerequisites and duplicate prevention are enforced transactionally by the API
+            const result = await submitCheckinToApi({
+                uniqueId: validatedUniqueId,
+                checkinTypes: baseTypesToProcess,
+                source: 'batch'
+            });
+            
+            const successTypes = result.results.filter(r => r.status === 'checked_in').map(r => r.checkinType);
+            const missingPrerequisite = result.results.find(r => r.status === 'prerequisite_missing');
+            const duplicate = result.results.find(r => r.status === 'duplicate');
+            
+            if (successTypes.length > 0) {
+                results.push({ uniqueId: validatedUniqueId, status: 'success', types: successTypes });
+                successCount++;
+            } else if (missingPrerequisite) {
+                results.push({ uniqueId: validatedUniqueId, status: 'failed', error: 'Registration check-in required first' });
+                failCount++;
+            } else {
+                const timeStr = duplicate?.existing?.timestamp ? new Date(duplicate.existing.timestamp).toLocaleString() : null;
+                results.push({
+                    uniqueId: validatedUniqueId,
+                    status: 'skipped',
+                    error: timeStr ? `Already checked in at ${timeStr}` : 'All types already checked in'
+                });
+                failCount++;
+            }
+        } catch (error) {
+            console.error(`Error checking in ${uniqueId}:`, error);
+            results.push({ uniqueId, status: 'failed', error: error.message });
+            failCount++;
+        }
+    }
     
-    // Show batch check-in button for email search with multiple results
-    if (isEmailSearch && docs.length > 1) {
+    // Show results
+    if (batchPreview) {
+        const skippedCount = results.filter(r => r.status === 'skipped').length;
+        const actualFailCount = results.filter(r => r.status === 'failed').length;
+        let html = `
+            <div class="batch-results">
+                <h4>Batch Checkin Results</h4>
+                <p><strong>Total:</strong> ${ids.length} | <strong>Success:</strong> ${successCount} | <strong>Skipped (Already Checked In):</strong> ${skippedCount} | <strong>Failed:</strong> ${actualFailCount}</p>
+                <div class="batch-results-list">
+        `;
+        
+        results.forEach(result => {
+            let statusClass = 'error';
+            let statusText = 'Failed';
+            if (result.status === 'success') {
+                statusClass = 'success';
+                statusText = 'Success';
+            } else if (result.status === 'skipped') {
+                statusClass = 'warning';
+                statusText = 'Skipped (Already Checked In)';
+            }
+            html += `
+                <div class="batch-result-item ${statusClass}">
+                    <span>${escapeHtml(result.uniqueId)}</span>
+                    <span>${statusText}</span>
+                    ${result.error ? `<span>${escapeHtml(result.error)}</span>` : ''}
+                </div>
+            `;
+        });
+        
         html += `
-            <div style="margin-top: 1rem; padding-top: 1rem; border-top: 2px solid #007bff;">
-                <p><strong>Batch Check-in:</strong> Check in all ${docs.length} participants with this email?</p>
-                <button class="btn btn-primary" onclick="batchCheckinFromEmail([${uniqueIds.map(id => `'${escapeHtml(id)}'`).join(',')}])">
-                    Check In All (${docs.length})
-                </button>
-            </div>`;
+                </div>
+                <button class="btn btn-secondary" onclick="cancelBatchCheckin()">Close</button>
+            </div>
+        `;
+        
+        batchPreview.innerHTML = html;
     }
     
-    html += '</div>';
-    participantDetails.innerHTML = html;
-    participantInfo.style.display = 'block';
+    // Reload recent checkins
+    await loadRecentCheckins(currentCheckinType);
+    await loadCheckinHistory();
+    
+    showNotification(`Batch checkin complete: ${successCount} successful, ${failCount} failed`, 
+        failCount === 0 ? 'success' : 'info');
 }
 
-// Select participant from search results
-async function selectParticipantFromSearch(uniqueId) {
-    const db = firebase.firestore();
-    const regDoc = await db.collection('registrations').doc(uniqueId).get();
-    if (regDoc.exists) {
-        displayParticipantInfo(regDoc.data(), uniqueId);
+// Update state of batch confirm button based on confirmation checkboxes
+function updateBatchConfirmState() {
+    const confirmButton = document.getElementById('batchConfirmButton');
+    if (!confirmButton) return;
+    
+    // For registration type, require all checkboxes to be checked
+    if (currentCheckinType === 'registration') {
+        const allRegistrationsDoneCheckbox = document.getElementById('batchAllRegistrationsDoneConfirm');
+        const shulkCheckbox = document.getElementById('batchShulkPaidConfirm');
+        const kitCheckbox = document.getElementById('batchKitCollectedConfirm');
+        
+        if (!allRegistrationsDoneCheckbox || !shulkCheckbox || !kitCheckbox) return;
+        
+        const enabled = allRegistrationsDoneCheckbox.checked && shulkCheckbox.checked && kitCheckbox.checked;
+        confirmButton.disabled = !enabled;
+        confirmButton.style.opacity = enabled ? '1' : '0.6';
+        confirmButton.style.cursor = enabled ? 'pointer' : 'not-allowed';
+    } else {
+        // For other types, button is always enabled
+        confirmButton.disabled = false;
+        confirmButton.style.opacity = '1';
+        confirmButton.style.cursor = 'pointer';
     }
 }
 
-// Batch check-in from email search results
-async function batchCheckinFromEmail(uniqueIds) {
-    if (!uniqueIds || !Array.isArray(uniqueIds) || uniqueIds.length === 0) {
-        showNotification('No participants selected for batch check-in', 'error');
-        return;
-    }
-    
-    // Validate all IDs are strings
-    const validIds = uniqueIds.filter(id => id && typeof id === 'string' && id.trim() !== '');
-    if (validIds.length === 0) {
-        showNotification('No valid Praveshika IDs provided for batch check-in', 'error');
-        return;
-    }
+// Cancel batch checkin
+function cancelBatchCheckin() {
+    const batchInput = document.getElementById('batchInput');
+    const batchPreview = document.getElementById('batchPreview');
     
-    // Confirm batch check-in with explicit list of IDs
-    const idsList = validIds.slice(0, 5).join(', ') + (validIds.length > 5 ? ` and ${validIds.length - 5} more` : '');
-    const confirmMessage = `Are you sure you want to check in ${validIds.length} participant(s) with these Praveshika IDs?\n\n${idsList}\n\nThis will check in ONLY these specific IDs, not all users with the same email.`;
-    if (!confirm(confirmMessage)) {
-        return;
+    if (batchInput) batchInput.value = '';
+    if (batchPreview) {
+        batchPreview.style.display = 'none';
+        batchPreview.innerHTML = '';
     }
-    
-    // Use existing batch check-in function with validated IDs
-    await executeBatchCheckin(validIds);
-    
-    // Clear participant info display
-    clearParticipantInfo();
 }
 
-// Display participant information
-function displayParticipantInfo(regData, uniqueId) {
-    const participantInfo = document.getElementById('participantInfo');
-    const participantDetails = document.getElementById('participantDetails');
-    const checkinForm = document.getElementById('checkinForm');
-    
-    if (!participantInfo || !participantDetails || !checkinForm) return;
-    
-    currentCheckinParticipantUniqueId = uniqueId;
-    
-    // Reset registration checkboxes before displaying new participant
-    // This ensures old checkbox states don't carry over to the new participant
-    resetRegistrationCheckboxes();
-    
-    const name = regData.name || regData['Full Name'] || 'Unknown';
-    const email = regData.email || regData['Email address'] || 'N/A';
-    const country = regData.country || regData.Country || 'N/A';
-    const shreni = regData.shreni || regData.Shreni || 'N/A';
+// ============================================
+// CHECKIN HISTORY FUNCTIONS
+// ============================================
+
+// Load checkin history
+async function loadCheckinHistory(page = 1) {
+    if (!window.firebase || !firebase.firestore) return;
     
-    participantDetails.innerHTML = `
-        <div class="participant-details">
-            <div style="background: #e8f4f8; padding: 1rem; border-radius: 8px; margin-bottom: 1rem; border-left: 4px solid #007bff;">
-                <p style="margin: 0; font-weight: bold; color: #007bff;">Ready to Check In</p>
-                <p style="margin: 0.5rem 0 0 0; font-size: 0.9em;">Praveshika ID: <strong>${escapeHtml(uniqueId)}</strong></p>
-            </div>
-            <p><strong>Name:</strong> ${escapeHtml(name)}</p>
-            <p><strong>Praveshika ID:</strong> <strong style="color: #007bff;">${escapeHtml(uniqueId)}</strong></p>
-            <p><strong>Email:</strong> ${escapeHtml(email)}</p>
-            <p><strong>Country:</strong> ${escapeHtml(country)}</p>
-            <p><strong>Shreni:</strong> ${escapeHtml(shreni)}</p>
-        </div>
-    `;
+    currentHistoryPage = page;
     
-    participantInfo.style.display = 'block';
-    checkinForm.style.display = 'block';
+    const historyList = document.getElementById('checkinHistoryList');
+    const resultsCount = document.getElementById('historyResultsCount');
     
-    // Display the Praveshika ID in the check-in form for clarity
-    const checkinTypeDisplay = document.getElementById('checkinTypeDisplay');
-    if (checkinTypeDisplay) {
-        const typeLabel = CHECKIN_TYPE_LABELS[currentCheckinType] || currentCheckinType;
-        checkinTypeDisplay.textContent = typeLabel;
-    }
+    if (!historyList) return;
     
-    // Add a clear indicator of which Praveshika ID will be checked in
-    const formHeader = checkinForm.querySelector('h3');
-    if (formHeader && !formHeader.dataset.praveshikaIdDisplayed) {
-        const idDisplay = document.createElement('div');
-        idDisplay.style.cssText = 'background: #fff3cd; padding: 0.75rem; border-radius: 4px; margin-bottom: 1rem; border-left: 4px solid #ffc107;';
-        idDisplay.innerHTML = `<strong>Checking in:</strong> <span style="color: #007bff; font-weight: bold;">${escapeHtml(uniqueId)}</span>`;
-        checkinForm.insertBefore(idDisplay, checkinForm.querySelector('form'));
-        formHeader.dataset.praveshikaIdDisplayed = 'true';
-    } else if (formHeader && formHeader.dataset.praveshikaIdDisplayed) {
-        // Update the ID display if it already exists
-        const existingDisplay = checkinForm.querySelector('div[style*="background: #fff3cd"]');
-        if (existingDisplay) {
-            existingDisplay.innerHTML = `<strong>Checking in:</strong> <span style="color: #007bff; font-weight: bold;">${escapeHtml(uniqueId)}</span>`;
+    try {
+        const db = firebase.firestore();
+        const user = firebase.auth().currentUser;
+        if (!user) return;
+        
+        const isAdminUser = await isAdmin(user);
+        
+        // Get filters
+        const filterType = document.getElementById('historyFilterType')?.value || '';
+        const filterSearch = document.getElementById('historyFilterSearch')?.value.trim() || '';
+        
+        let snapshot;
+        let totalCount;
+        
+        if (isAdminUser) {
+            // Admins: show all checkins
+        let query = db.collection('checkins');
+        
+        // Apply filters
+        if (filterType) {
+            query = query.where('checkinType', '==', filterType);
+        }
+        
+        // Order by timestamp
+        query = query.orderBy('timestamp', 'desc');
+        
+        // Get total count (for pagination)
+        const totalSnapshot = await query.get();
+            totalCount = totalSnapshot.size;
+        
+        // Apply pagination
+        const startAfter = (page - 1) * historyPageSize;
+        if (startAfter > 0) {
+            const startDoc = totalSnapshot.docs[startAfter - 1];
+            query = query.startAfter(startDoc);
+        }
+        query = query.limit(historyPageSize);
+        
+            snapshot = await query.get();
+        } else {
+            // Volunteers: only show checkins they created
+            // Query by checkedInBy, then filter client-side to avoid index requirements
+            const allUserCheckins = await db.collection('checkins')
+                .where('checkedInBy', '==', user.uid)
+                .get();
+            
+            // Filter by checkinType if provided, then sort by timestamp
+            let filteredDocs = Array.from(allUserCheckins.docs);
+            
+            if (filterType) {
+                filteredDocs = filteredDocs.filter(doc => doc.data().checkinType === filterType);
+            }
+            
+            // Sort by timestamp descending
+            filteredDocs.sort((a, b) => {
+                const aTime = a.data().timestamp?.toMillis() || 0;
+                const bTime = b.data().timestamp?.toMillis() || 0;
+                return bTime - aTime; // Descending order
+            });
+            
+            totalCount = filteredDocs.length;
+            
+            // Apply pagination
+            const startAfter = (page - 1) * historyPageSize;
+            const endAt = startAfter + historyPageSize;
+            filteredDocs = filteredDocs.slice(startAfter, endAt);
+            
+            // Create a mock snapshot-like object
+            snapshot = {
+                docs: filteredDocs,
+                empty: filteredDocs.length === 0
+            };
+        }
+        
+        // Fetch participant data from registrations for all checkins
+        const uniqueIds = snapshot.docs.map(doc => doc.data().uniqueId).filter(id => id);
+        const registrationsMap = new Map();
+        
+        if (uniqueIds.length > 0) {
+            const registrationPromises = uniqueIds.map(uniqueId => 
+                db.collection('registrations').doc(uniqueId).get()
+            );
+            const registrationDocs = await Promise.all(registrationPromises);
+            
+            registrationDocs.forEach(regDoc => {
+                if (regDoc.exists) {
+                    const regData = regDoc.data();
+                    const name = regData.name || regData['Full Name'] || 'Unknown';
+                    const email = regData.email || regData['Email address'] || '';
+                    registrationsMap.set(regDoc.id, { name, email });
+                }
+            });
+        }
+        
+        // Filter by search term if provided (client-side)
+        let filteredDocs = snapshot.docs;
+        if (filterSearch) {
+            const searchLower = filterSearch.toLowerCase();
+            filteredDocs = filteredDocs.filter(doc => {
+                const data = doc.data();
+                const regInfo = registrationsMap.get(data.uniqueId) || { name: '', email: '' };
+                const name = (regInfo.name || '').toLowerCase();
+                const email = (regInfo.email || '').toLowerCase();
+                const uniqueId = (data.uniqueId || '').toLowerCase();
+                return name.includes(searchLower) || email.includes(searchLower) || uniqueId.includes(searchLower);
+            });
+        }
+        
+        // Update results count
+        if (resultsCount) {
+            resultsCount.innerHTML = `<p><strong>Total Results:</strong> ${filterSearch ? filteredDocs.length : totalCount}</p>`;
+        }
+        
+        // Display results
+        if (filteredDocs.length === 0) {
+            historyList.innerHTML = '<p>No checkins found</p>';
+            return;
+        }
+        
+        let html = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Timestamp</th>
+                        <th>Participant</th>
+                        <th>Praveshika ID</th>
+                        <th>Checkin Type</th>
+                        <th>Location</th>
+                        <th>Checked In By</th>
+                        <th>Notes</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        
+        filteredDocs.forEach(doc => {
+            const data = doc.data();
+            const timestamp = data.timestamp?.toDate();
+            const timeStr = timestamp ? timestamp.toLocaleString() : 'Unknown';
+            const regInfo = registrationsMap.get(data.uniqueId) || { name: 'Unknown', email: '' };
+            
+            html += `
+                <tr>
+                    <td>${escapeHtml(timeStr)}</td>
+                    <td>${escapeHtml(regInfo.name)}</td>
+                    <td>${escapeHtml(data.uniqueId || 'N/A')}</td>
+                    <td>${escapeHtml(CHECKIN_TYPE_LABELS[data.checkinType] || data.checkinType)}</td>
+                    <td>${escapeHtml(data.pickupLocation || 'N/A')}</td>
+                    <td>${escapeHtml(data.checkedInByName || 'Unknown')}</td>
+                    <td>${escapeHtml(data.notes || '')}</td>
+                </tr>
+            `;
+        });
+        
+        html += `
+                </tbody>
+            </table>
+        `;
+        
+        historyList.innerHTML = html;
+        
+        // Update pagination
+        updateHistoryPagination(Math.ceil(totalCount / historyPageSize), page);
+        
+    } catch (error) {
+        console.error('Error loading checkin history:', error);
+        let errorMessage = 'Error loading checkin history';
+        if (error.code === 'failed-precondition') {
+            errorMessage = 'Database index required. Please contact administrator.';
+        } else if (error.message) {
+            errorMessage = `Error: ${error.message}`;
         }
+        historyList.innerHTML = `<p style="color: #dc3545;">${errorMessage}</p>`;
     }
-    
-    // Check if already checked in (this will update checkboxes based on new participant's status)
-    checkCheckinStatus(uniqueId);
 }
 
-// Reset registration checkboxes to default state
-function resetRegistrationCheckboxes() {
-    const registrationCheckbox = document.getElementById('registrationCheckbox');
-    const shulkPaidCheckbox = document.getElementById('shulkPaidCheckbox');
-    const kitCollectedCheckbox = document.getElementById('kitCollectedCheckbox');
-    
-    // Reset all checkboxes to unchecked and unfrozen
-    if (registrationCheckbox) {
-        registrationCheckbox.checked = false;
-        registrationCheckbox.disabled = false;
-        registrationCheckbox.dataset.frozen = 'false';
-        registrationCheckbox.title = '';
-    }
-    
-    if (shulkPaidCheckbox) {
-        shulkPaidCheckbox.checked = false;
-        shulkPaidCheckbox.disabled = false;
-        shulkPaidCheckbox.dataset.frozen = 'false';
-        shulkPaidCheckbox.title = '';
-    }
-    
-    if (kitCollectedCheckbox) {
-        kitCollectedCheckbox.checked = false;
-        kitCollectedCheckbox.disabled = false;
-        kitCollectedCheckbox.dataset.frozen = 'false';
-        kitCollectedCheckbox.title = '';
-    }
+// Apply history filters
+function applyHistoryFilters() {
+    loadCheckinHistory(1);
 }
 
-// Clear participant info
-function clearParticipantInfo() {
-    currentCheckinParticipantUniqueId = null;
-    const participantInfo = document.getElementById('participantInfo');
-    const checkinForm = document.getElementById('checkinForm');
+// Clear history filters
+function clearHistoryFilters() {
+    const filterType = document.getElementById('historyFilterType');
+    const filterSearch = document.getElementById('historyFilterSearch');
     
-    if (participantInfo) participantInfo.style.display = 'none';
-    if (checkinForm) {
-        checkinForm.style.display = 'none';
-        // Remove the Praveshika ID display indicator
-        const idDisplay = checkinForm.querySelector('div[style*="background: #fff3cd"]');
-        if (idDisplay) {
-            idDisplay.remove();
-        }
-        const formHeader = checkinForm.querySelector('h3');
-        if (formHeader) {
-            formHeader.dataset.praveshikaIdDisplayed = 'false';
-        }
-    }
+    if (filterType) filterType.value = '';
+    if (filterSearch) filterSearch.value = '';
     
-    // Clear inputs
-    const barcodeInput = document.getElementById('barcodeInput');
-    const manualInput = document.getElementById('manualPraveshikaId');
-    const nameSearchInput = document.getElementById('searchByNameCheckin');
-    if (barcodeInput) barcodeInput.value = '';
-    if (manualInput) manualInput.value = '';
-    if (nameSearchInput) nameSearchInput.value = '';
+    loadCheckinHistory(1);
 }
 
-// Setup checkin form
-function setupCheckinForm() {
-    const form = document.getElementById('checkinFormElement');
-    if (!form) return;
-    
-    // Prevent duplicate event listeners by checking if form already has listener
-    if (form.dataset.checkinFormSetup === 'true') {
-        return;
-    }
-    
-    // Mark form as set up
-    form.dataset.checkinFormSetup = 'true';
-    
-    form.addEventListener('submit', async (e) => {
-        e.preventDefault();
-        await performCheckin();
-    });
+// Toggle checkin history visibility
+function toggleCheckinHistory() {
+    const historyContent = document.getElementById('checkinHistoryContent');
+    const toggleIcon = document.getElementById('historyToggleIcon');
+    const toggleBtn = document.getElementById('toggleHistoryBtn');
     
-    // Setup automatic uppercase conversion for Praveshika ID inputs
-    setupPraveshikaIdInputs();
-}
-
-// Setup automatic uppercase conversion for Praveshika ID inputs
-function setupPraveshikaIdInputs() {
-    // Barcode input - convert to uppercase on input
-    const barcodeInput = document.getElementById('barcodeInput');
-    if (barcodeInput && !barcodeInput.dataset.uppercaseSetup) {
-        barcodeInput.dataset.uppercaseSetup = 'true';
-        barcodeInput.addEventListener('input', function(e) {
-            const cursorPos = this.selectionStart;
-            const originalLength = this.value.length;
-            this.value = this.value.toUpperCase();
-            // Restore cursor position after uppercase conversion
-            const newLength = this.value.length;
-            const newCursorPos = cursorPos + (newLength - originalLength);
-            this.setSelectionRange(newCursorPos, newCursorPos);
-        });
-        // Also convert on paste
-        barcodeInput.addEventListener('paste', function(e) {
-            setTimeout(() => {
-                const cursorPos = this.selectionStart;
-                const originalLength = this.value.length;
-                this.value = this.value.toUpperCase();
-                const newLength = this.value.length;
-                const newCursorPos = cursorPos + (newLength - originalLength);
-                this.setSelectionRange(newCursorPos, newCursorPos);
-            }, 0);
-        });
-    }
+    if (!historyContent || !toggleIcon) return;
     
-    // Manual Praveshika ID input - convert to uppercase on input
-    const manualInput = document.getElementById('manualPraveshikaId');
-    if (manualInput && !manualInput.dataset.uppercaseSetup) {
-        manualInput.dataset.uppercaseSetup = 'true';
-        manualInput.addEventListener('input', function(e) {
-            const cursorPos = this.selectionStart;
-            const originalLength = this.value.length;
-            this.value = this.value.toUpperCase();
-            // Restore cursor position after uppercase conversion
-            const newLength = this.value.length;
-            const newCursorPos = cursorPos + (newLength - originalLength);
-            this.setSelectionRange(newCursorPos, newCursorPos);
-        });
-        // Also convert on paste
-        manualInput.addEventListener('paste', function(e) {
-            setTimeout(() => {
-                const cursorPos = this.selectionStart;
-                const originalLength = this.value.length;
-                this.value = this.value.toUpperCase();
-                const newLength = this.value.length;
-                const newCursorPos = cursorPos + (newLength - originalLength);
-                this.setSelectionRange(newCursorPos, newCursorPos);
-            }, 0);
-        });
+    if (historyContent.style.display === 'none') {
+        historyContent.style.display = 'block';
+        toggleIcon.textContent = '▲';
+        toggleBtn.innerHTML = '<span id="historyToggleIcon">▲</span> Hide History';
+        // Load history if not already loaded
+        if (document.getElementById('checkinHistoryList')?.innerHTML === '') {
+            loadCheckinHistory(1);
+        }
+    } else {
+        historyContent.style.display = 'none';
+        toggleIcon.textContent = '▼';
+        toggleBtn.innerHTML = '<span id="historyToggleIcon">▼</span> Show History';
     }
 }
 
-// Perform checkin
-async function performCheckin() {
-    // Validate that we have a specific Praveshika ID selected
-    if (!currentCheckinParticipantUniqueId || typeof currentCheckinParticipantUniqueId !== 'string' || currentCheckinParticipantUniqueId.trim() === '') {
-        showNotification('Please search for a participant first', 'error');
+// Update history pagination
+function updateHistoryPagination(totalPages, currentPage) {
+    const pagination = document.getElementById('historyPagination');
+    if (!pagination) return;
+    
+    if (totalPages <= 1) {
+        pagination.innerHTML = '';
         return;
     }
     
-    const uniqueIdToCheckIn = currentCheckinParticipantUniqueId.trim();
+    let html = '<div class="pagination-controls">';
     
-    if (!window.firebase || !firebase.auth || !firebase.firestore) {
-        showNotification('Firebase not initialized', 'error');
-        return;
+    // Previous button
+    if (currentPage > 1) {
+        html += `<button class="btn btn-secondary" onclick="loadCheckinHistory(${currentPage - 1})">Previous</button>`;
     }
     
-    const user = firebase.auth().currentUser;
-    if (!user) {
-        showNotification('Please log in to perform checkin', 'error');
+    // Page numbers
+    for (let i = 1; i <= totalPages && i <= 10; i++) {
+        if (i === currentPage) {
+            html += `<button class="btn btn-primary" disabled>${i}</button>`;
+        } else {
+            html += `<button class="btn btn-secondary" onclick="loadCheckinHistory(${i})">${i}</button>`;
+        }
+    }
+    
+    // Next button
+    if (currentPage < totalPages) {
+        html += `<button class="btn btn-secondary" onclick="loadCheckinHistory(${currentPage + 1})">Next</button>`;
+    }
+    
+    html += '</div>';
+    pagination.innerHTML = html;
+}
+
+// ============================================
+// EXPORT FUNCTIONS
+// ============================================
+
+// Export checkin history
+async function exportCheckinHistory(format) {
+    if (!window.firebase || !firebase.firestore) {
+        showNotification('Firebase not initialized', 'error');
         return;
     }
     
     try {
         const db = firebase.firestore();
-        
-        // Verify the registration exists for this specific Praveshika ID
-        const regDoc = await db.collection('registrations').doc(uniqueIdToCheckIn).get();
-        if (!regDoc.exists) {
-            showNotification(`Participant with Praveshika ID "${uniqueIdToCheckIn}" not found`, 'error');
+        const user = firebase.auth().currentUser;
+        if (!user) {
+            showNotification('Please log in to export', 'error');
             return;
         }
-        const regData = regDoc.data();
         
-        // Determine types to process (registration automatically includes shulk_paid and kit_collected)
-        let typesToProcess = [];
-        if (currentCheckinType === 'registration') {
-            typesToProcess = getSelectedRegistrationActions();
-            if (!typesToProcess.length) {
-                showNotification('Registration check-in is required', 'error');
-                return;
-            }
-            // Registration now automatically includes shulk_paid and kit_collected
-            // No need for separate checks
-        } else {
-            typesToProcess = [currentCheckinType];
-        }
+        const isAdminUser = await isAdmin(user);
         
-        // Permission check per type
-        for (const type of typesToProcess) {
-            const hasAccess = await hasAccessToCheckinType(user, type);
-            if (!hasAccess) {
-                showNotification(`You do not have permission to perform ${CHECKIN_TYPE_LABELS[type] || type}`, 'error');
-                return;
-            }
+        // Get all filtered data (not paginated)
+        const filterType = document.getElementById('historyFilterType')?.value || '';
+        const filterSearch = document.getElementById('historyFilterSearch')?.value.trim() || '';
+        
+        let snapshot;
+        
+        if (isAdminUser) {
+            // Admins: export all checkins
+        let query = db.collection('checkins');
+        
+        if (filterType) {
+            query = query.where('checkinType', '==', filterType);
         }
         
-        // Common form values
-        const notes = document.getElementById('checkinNotes')?.value.trim() || null;
-        const pickupLocationInput = document.getElementById('checkinPickupLocation')?.value.trim();
-        const tagId = document.getElementById('checkinTagId')?.value.trim();
-        const itemCountRaw = document.getElementById('checkinItemCount')?.value;
-        const itemCount = itemCountRaw ? parseInt(itemCountRaw, 10) : null;
+        // Order by timestamp
+        query = query.orderBy('timestamp', 'desc');
         
-        const userDoc = await db.collection('users').doc(user.uid).get();
-        const userData = userDoc.exists ? userDoc.data() : {};
-        const checkedInByName = userData.volunteerName || userData.name || user.email || 'Unknown';
-        
-        const successTypes = [];
-        
-        for (const type of typesToProcess) {
-            // Enforce registration prerequisite for downstream types
-            // Note: shulk_paid and kit_collected are now part of registration, so they don't need this check
-            const typesRequiringRegistration = ['ganvesh_collected', 'cloak_room'];
-            if (type !== 'registration' && typesRequiringRegistration.includes(type)) {
-                const registrationCheckin = await db.collection('checkins')
-                    .where('uniqueId', '==', uniqueIdToCheckIn)
-                    .where('checkinType', '==', 'registration')
-                    .limit(1)
-                    .get();
-                
-                if (registrationCheckin.empty) {
-                    showNotification('Registration check-in must be completed before this action.', 'error');
-                    return;
-                }
-            }
+            snapshot = await query.get();
+        } else {
+            // Volunteers: only export checkins they created
+            const allUserCheckins = await db.collection('checkins')
+                .where('checkedInBy', '==', user.uid)
+                .get();
             
-            // Duplicate prevention
-            if (type === 'cloak_room') {
-                const existingCheckinQuery = await db.collection('checkins')
-                    .where('uniqueId', '==', uniqueIdToCheckIn)
-                    .where('checkinType', '==', 'cloak_room')
-                    .orderBy('timestamp', 'desc')
-                    .limit(1)
-                    .get();
-                
-                if (!existingCheckinQuery.empty) {
-                    const existingCheckin = existingCheckinQuery.docs[0].data();
-                    if (!existingCheckin.checkedOutAt) {
-                        const timestamp = existingCheckin.timestamp?.toDate();
-                        const timeStr = timestamp ? timestamp.toLocaleString() : 'Unknown';
-                        showNotification(`Already checked in for Cloak Room at ${timeStr}. Please checkout first.`, 'error');
-                        return;
-                    }
-                }
-            } else if (type !== 'pickup_location') {
-                const existingCheckinQuery = await db.collection('checkins')
-                    .where('uniqueId', '==', uniqueIdToCheckIn)
-                    .where('checkinType', '==', type)
-                    .limit(1)
-                    .get();
-                
-                if (!existingCheckinQuery.empty) {
-                    const existingCheckin = existingCheckinQuery.docs[0].data();
-                    const timestamp = existingCheckin.timestamp?.toDate();
-                    const timeStr = timestamp ? timestamp.toLocaleString() : 'Unknown';
-                    const typeLabel = CHECKIN_TYPE_LABELS[type] || type;
-                    showNotification(`Already checked in for ${typeLabel} at ${timeStr}.`, 'info');
-                    continue; // Skip duplicates but continue other actions
-                }
-            }
-            
-            const checkinData = {
-                uniqueId: uniqueIdToCheckIn,
-                checkinType: type,
-                timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-                checkedInBy: user.uid,
-                checkedInByName: checkedInByName,
-                notes: notes || null
-            };
+            // Filter by checkinType if provided, then sort by timestamp
+            let filteredDocs = Array.from(allUserCheckins.docs);
             
-            // Type specific fields
-            if (type === 'pickup_location') {
-                if (pickupLocationInput) {
-                    checkinData.pickupLocation = pickupLocationInput;
-                } else {
-                    checkinData.pickupLocation = regData.normalizedPickupLocation ||
-                        regData.pickupLocation || regData['Pickup Location'] || null;
-                }
+            if (filterType) {
+                filteredDocs = filteredDocs.filter(doc => doc.data().checkinType === filterType);
             }
             
-            if (type === 'cloak_room') {
-                if (itemCount) checkinData.itemCount = itemCount;
-                if (tagId) checkinData.tagId = tagId;
-            }
+            // Sort by timestamp descending
+            filteredDocs.sort((a, b) => {
+                const aTime = a.data().timestamp?.toMillis() || 0;
+                const bTime = b.data().timestamp?.toMillis() || 0;
+                return bTime - aTime; // Descending order
+            });
             
-            const checkinId = `${uniqueIdToCheckIn}_${type}_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
-            await db.collection('checkins').doc(checkinId).set(checkinData);
-            successTypes.push(type);
+            // Create a mock snapshot-like object
+            snapshot = {
+                docs: filteredDocs,
+                empty: filteredDocs.length === 0
+            };
         }
         
-        if (successTypes.length) {
-            const participantName = regData.name || regData['Full Name'] || uniqueIdToCheckIn;
-            const labels = successTypes.map(t => CHECKIN_TYPE_LABELS[t] || t).join(', ');
-            showNotification(`Check-in successful for ${participantName} (${uniqueIdToCheckIn}): ${labels}`, 'success');
+        // Fetch participant data from registrations
+        const uniqueIds = snapshot.docs.map(doc => doc.data().uniqueId).filter(id => id);
+        const registrationsMap = new Map();
+        
+        if (uniqueIds.length > 0) {
+            const registrationPromises = uniqueIds.map(uniqueId => 
+                db.collection('registrations').doc(uniqueId).get()
+            );
+            const registrationDocs = await Promise.all(registrationPromises);
             
-            // If registration type, refresh checkin status to freeze checkboxes
-            if (currentCheckinType === 'registration' && currentCheckinParticipantUniqueId === uniqueIdToCheckIn) {
-                await checkCheckinStatus(uniqueIdToCheckIn);
-            }
+            registrationDocs.forEach(regDoc => {
+                if (regDoc.exists) {
+                    const regData = regDoc.data();
+                    const name = regData.name || regData['Full Name'] || 'Unknown';
+                    const email = regData.email || regData['Email address'] || '';
+                    registrationsMap.set(regDoc.id, { name, email });
+                }
+            });
         }
         
-        // Clear form and participant display only if not staying on same participant
-        if (currentCheckinType !== 'registration' || !successTypes.some(t => ['registration', 'shulk_paid', 'kit_collected'].includes(t))) {
-            clearCheckinForm();
-            clearParticipantInfo();
-        } else {
-            // For registration, just clear notes and other fields, but keep participant info
-            const notes = document.getElementById('checkinNotes');
-            if (notes) notes.value = '';
+        // Filter by search term
+        let docs = snapshot.docs;
+        if (filterSearch) {
+            const searchLower = filterSearch.toLowerCase();
+            docs = docs.filter(doc => {
+                const data = doc.data();
+                const regInfo = registrationsMap.get(data.uniqueId) || { name: '', email: '' };
+                const name = (regInfo.name || '').toLowerCase();
+                const email = (regInfo.email || '').toLowerCase();
+                const uniqueId = (data.uniqueId || '').toLowerCase();
+                return name.includes(searchLower) || email.includes(searchLower) || uniqueId.includes(searchLower);
+            });
         }
         
-        // Reload recent checkins for current visible tab
-        await loadRecentCheckins(currentCheckinType);
-        await loadCheckinHistory();
+        if (format === 'csv') {
+            exportCheckinHistoryToCSV(docs, registrationsMap);
+        } else if (format === 'pdf') {
+            exportToPDF(docs, registrationsMap);
+        }
         
     } catch (error) {
-        console.error('Error performing checkin:', error);
-        showNotification('Error performing checkin: ' + error.message, 'error');
+        console.error('Error exporting checkin history:', error);
+        showNotification('Error exporting: ' + error.message, 'error');
     }
 }
 
-// Clear checkin form
-function clearCheckinForm() {
-    const form = document.getElementById('checkinFormElement');
-    if (form) form.reset();
+// Export checkin history to CSV
+function exportCheckinHistoryToCSV(docs, registrationsMap) {
+    const headers = ['Timestamp', 'Participant Name', 'Praveshika ID', 'Email', 'Checkin Type', 'Location', 'Bag Count', 'Locker ID', 'Checked In By', 'Notes'];
     
-    const notes = document.getElementById('checkinNotes');
-    if (notes) notes.value = '';
+    let csv = headers.join(',') + '\n';
     
-    const itemCount = document.getElementById('checkinItemCount');
-    const tagId = document.getElementById('checkinTagId');
-    if (itemCount) itemCount.value = '';
-    if (tagId) tagId.value = '';
+    docs.forEach(doc => {
+        const data = doc.data();
+        const timestamp = data.timestamp?.toDate();
+        const timeStr = timestamp ? timestamp.toLocaleString() : 'Unknown';
+        const regInfo = registrationsMap?.get(data.uniqueId) || { name: '', email: '' };
+        
+        const row = [
+            timeStr,
+            regInfo.name || '',
+            data.uniqueId || '',
+            regInfo.email || '',
+            CHECKIN_TYPE_LABELS[data.checkinType] || data.checkinType || '',
+            data.pickupLocation || '',
+            data.paymentMethod || '',
+            data.itemCount || '',
+            data.tagId || '',
+            data.checkedOutAt ? data.checkedOutAt.toDate().toLocaleString() : '',
+            data.checkedInByName || '',
+            (data.notes || '').replace(/"/g, '""') // Escape quotes in CSV
+        ];
+        
+        csv += row.map(cell => `"${cell}"`).join(',') + '\n';
+    });
     
-    // Reset registration checkboxes only if they're not frozen
-    const registrationCheckbox = document.getElementById('registrationCheckbox');
-    const shulkPaidCheckbox = document.getElementById('shulkPaidCheckbox');
-    const kitCollectedCheckbox = document.getElementById('kitCollectedCheckbox');
+    // Download
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    const link = document.createElement('a');
+    const url = URL.createObjectURL(blob);
+    link.setAttribute('href', url);
+    link.setAttribute('download', `checkin_history_${new Date().toISOString().split('T')[0]}.csv`);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
     
-    if (registrationCheckbox && registrationCheckbox.dataset.frozen !== 'true') {
-        registrationCheckbox.checked = false;
-    }
-    if (shulkPaidCheckbox && shulkPaidCheckbox.dataset.frozen !== 'true') {
-        shulkPaidCheckbox.checked = false;
-    }
-    if (kitCollectedCheckbox && kitCollectedCheckbox.dataset.frozen !== 'true') {
-        kitCollectedCheckbox.checked = false;
-    }
+    showNotification('CSV exported successfully', 'success');
 }
 
-// Perform Cloak Room checkout
-async function performCloakRoomCheckout() {
-    if (!currentCheckinParticipantUniqueId || typeof currentCheckinParticipantUniqueId !== 'string' || currentCheckinParticipantUniqueId.trim() === '') {
-        showNotification('Please search for a participant first', 'error');
+// Export to PDF
+function exportToPDF(docs, registrationsMap) {
+    if (typeof window.jspdf === 'undefined') {
+        showNotification('PDF library not loaded', 'error');
         return;
     }
     
-    const uniqueId = currentCheckinParticipantUniqueId.trim();
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF();
     
-    if (!window.firebase || !firebase.auth || !firebase.firestore) {
-        showNotification('Firebase not initialized', 'error');
-        return;
-    }
+    // Add header
+    doc.setFontSize(16);
+    doc.text('Checkin History Report', 14, 22);
+    doc.setFontSize(10);
+    doc.text(`Generated: ${new Date().toLocaleString()}`, 14, 30);
+    doc.text(`Total Records: ${docs.length}`, 14, 36);
     
-    const user = firebase.auth().currentUser;
-    if (!user) {
-        showNotification('Please log in to perform checkout', 'error');
-        return;
-    }
+    // Add table
+    let y = 45;
+    const pageHeight = doc.internal.pageSize.height;
+    const margin = 14;
+    
+    // Headers
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'bold');
+    doc.text('Timestamp', margin, y);
+    doc.text('Participant', margin + 40, y);
+    doc.text('ID', margin + 80, y);
+    doc.text('Type', margin + 110, y);
+    doc.text('By', margin + 140, y);
     
-    // Check permissions
-    const hasAccess = await hasAccessToCheckinType(user, 'cloak_room');
-    if (!hasAccess) {
-        showNotification('You do not have permission to perform cloak room checkout', 'error');
-        return;
-    }
+    y += 8;
+    doc.setFont(undefined, 'normal');
     
-    try {
-        const db = firebase.firestore();
-        
-        // Find the most recent cloak room check-in for this participant
-        const checkinQuery = await db.collection('checkins')
-            .where('uniqueId', '==', uniqueId)
-            .where('checkinType', '==', 'cloak_room')
-            .orderBy('timestamp', 'desc')
-            .limit(1)
-            .get();
-        
-        if (checkinQuery.empty) {
-            showNotification('No cloak room check-in found for this participant. Please check in first.', 'error');
-            return;
-        }
-        
-        const checkinDoc = checkinQuery.docs[0];
-        const checkinData = checkinDoc.data();
-        
-        // Check if already checked out
-        if (checkinData.checkedOutAt) {
-            const checkoutTime = checkinData.checkedOutAt.toDate();
-            showNotification(`Already checked out at ${checkoutTime.toLocaleString()}`, 'error');
-            return;
+    docs.forEach((docItem, index) => {
+        if (y > pageHeight - 20) {
+            doc.addPage();
+            y = 20;
         }
         
-        // Get user data for checkedOutByName
-        const userDoc = await db.collection('users').doc(user.uid).get();
-        const userData = userDoc.exists ? userDoc.data() : {};
-        const checkedOutByName = userData.volunteerName || userData.name || user.email || 'Unknown';
-        
-        // Update check-in with checkout information
-        await checkinDoc.ref.update({
-            checkedOutAt: firebase.firestore.FieldValue.serverTimestamp(),
-            checkedOutBy: user.uid,
-            checkedOutByName: checkedOutByName
-        });
-        
-        // Get participant name for notification
-        const regDoc = await db.collection('registrations').doc(uniqueId).get();
-        const regData = regDoc.exists ? regDoc.data() : {};
-        const participantName = regData.name || regData['Full Name'] || uniqueId;
-        
-        showNotification(`Checkout successful for ${participantName} (${uniqueId})!`, 'success');
-        
-        // Reload recent checkins
-        await loadRecentCheckins('cloak_room');
+        const data = docItem.data();
+        const timestamp = data.timestamp?.toDate();
+        const timeStr = timestamp ? timestamp.toLocaleString() : 'Unknown';
+        const regInfo = registrationsMap?.get(data.uniqueId) || { name: '', email: '' };
         
-        // Reload history if on history view
-        await loadCheckinHistory();
+        doc.setFontSize(8);
+        doc.text(timeStr.substring(0, 16), margin, y);
+        doc.text((regInfo.name || '').substring(0, 20), margin + 40, y);
+        doc.text((data.uniqueId || '').substring(0, 15), margin + 80, y);
+        doc.text((CHECKIN_TYPE_LABELS[data.checkinType] || '').substring(0, 15), margin + 110, y);
+        doc.text((data.checkedInByName || '').substring(0, 20), margin + 140, y);
         
-    } catch (error) {
-        console.error('Error performing checkout:', error);
-        showNotification('Error performing checkout: ' + error.message, 'error');
-    }
+        y += 6;
+    });
+    
+    // Save
+    doc.save(`checkin_history_${new Date().toISOString().split('T')[0]}.pdf`);
+    showNotification('PDF exported successfully', 'success');
 }
 
-// Check checkin status
-async function checkCheckinStatus(uniqueId) {
+// ============================================
+// REAL-TIME NOTIFICATIONS
+// ============================================
+
+// Setup checkin listeners
+function setupCheckinListeners() {
     if (!window.firebase || !firebase.firestore) return;
     
-    try {
-        const db = firebase.firestore();
-        const user = firebase.auth().currentUser;
-        const isAdminUser = user ? await isAdmin(user) : false;
-        
-        // For registration type, check all three types
-        if (currentCheckinType === 'registration') {
-            const registrationTypes = ['registration', 'shulk_paid', 'kit_collected'];
-            const checkinStatuses = {};
-            
-            // Check status for each type
-            for (const type of registrationTypes) {
-                const checkinsQuery = await db.collection('checkins')
-                    .where('uniqueId', '==', uniqueId)
-                    .where('checkinType', '==', type)
-                    .orderBy('timestamp', 'desc')
-                    .limit(1)
-                    .get();
-                
-                if (!checkinsQuery.empty) {
-                    const checkinDoc = checkinsQuery.docs[0];
-                    const checkinData = checkinDoc.data();
-                    checkinStatuses[type] = {
-                        exists: true,
-                        docId: checkinDoc.id,
-                        timestamp: checkinData.timestamp?.toDate(),
-                        checkedInBy: checkinData.checkedInBy || 'Unknown'
-                    };
-                } else {
-                    checkinStatuses[type] = { exists: false };
-                }
-            }
-            
-            // Update checkboxes based on status
-            updateRegistrationCheckboxes(checkinStatuses, isAdminUser);
-            
-            // Show status summary
-            const participantDetails = document.getElementById('participantDetails');
-            if (participantDetails) {
-                const existingStatus = participantDetails.querySelector('#checkinStatusDiv');
-                if (existingStatus) {
-                    existingStatus.remove();
-                }
-                
-                const checkedInCount = Object.values(checkinStatuses).filter(s => s.exists).length;
-                if (checkedInCount > 0) {
-                    const statusDiv = document.createElement('div');
-                    statusDiv.id = 'checkinStatusDiv';
-                    
-                    let statusText = '';
-                    let statusColor = '#28a745';
-                    let bgColor = '#d4edda';
-                    let borderColor = '#28a745';
-                    
-                    if (checkedInCount === 3) {
-                        statusText = '✅ Fully Checked In (Registration, Shulk, Kit)';
-                    } else if (checkedInCount === 2) {
-                        const checkedTypes = Object.entries(checkinStatuses)
-                            .filter(([_, s]) => s.exists)
-                            .map(([type, _]) => CHECKIN_TYPE_LABELS[type] || type);
-                        statusText = `⚠️ Partially Checked In (${checkedTypes.join(', ')})`;
-                        statusColor = '#ffc107';
-                        bgColor = '#fff3cd';
-                        borderColor = '#ffc107';
-                    } else {
-                        const checkedTypes = Object.entries(checkinStatuses)
-                            .filter(([_, s]) => s.exists)
-                            .map(([type, _]) => CHECKIN_TYPE_LABELS[type] || type);
-                        statusText = `⚠️ Partially Checked In (${checkedTypes.join(', ')})`;
-                        statusColor = '#ffc107';
-                        bgColor = '#fff3cd';
-                        borderColor = '#ffc107';
-                    }
-                    
-                    statusDiv.style.cssText = `background: ${bgColor}; padding: 0.75rem; border-radius: 4px; margin-top: 1rem; border-left: 4px solid ${borderColor};`;
-                    statusDiv.innerHTML = `
-                        <p style="margin: 0; color: ${statusColor}; font-weight: bold;">${statusText}</p>
-                        <p style="margin: 0.5rem 0 0 0; color: #666; font-size: 0.85em;">
-                            Checked items are frozen and cannot be unchecked.
-                        </p>
-                    `;
-                    participantDetails.appendChild(statusDiv);
-                }
-            }
-        } else {
-            // For other checkin types, use original logic
-            const checkinsQuery = await db.collection('checkins')
-                .where('uniqueId', '==', uniqueId)
-                .where('checkinType', '==', currentCheckinType)
-                .orderBy('timestamp', 'desc')
-                .limit(1)
-                .get();
-            
-            const checkinForm = document.getElementById('checkinForm');
-            const checkinFormElement = document.getElementById('checkinFormElement');
-            const submitButton = checkinFormElement?.querySelector('button[type="submit"]');
+    // Remove existing listener if any
+    if (checkinHistoryListener) {
+        checkinHistoryListener();
+    }
+    
+    const db = firebase.firestore();
+    const user = firebase.auth().currentUser;
+    if (!user) return;
+    
+    // Limit listener scope to last 24 hours to reduce read costs
+    const last24Hours = new Date();
+    last24Hours.setHours(last24Hours.getHours() - 24);
+    const last24HoursTimestamp = firebase.firestore.Timestamp.fromDate(last24Hours);
+    
+    // Listen for new checkins (limited to last 24 hours)
+    // Note: This requires a Firestore index on checkins collection with timestamp field
+    checkinHistoryListener = db.collection('checkins')
+        .where('timestamp', '>=', last24HoursTimestamp)
+        .orderBy('timestamp', 'desc')
+        .limit(50)
+        .onSnapshot((snapshot) => {
+            if (!checkinNotificationSettings.enabled) return;
             
-            if (!checkinsQuery.empty) {
-                const checkinDoc = checkinsQuery.docs[0];
-                const checkinDocId = checkinDoc.id;
-                const checkinData = checkinDoc.data();
-                const timestamp = checkinData.timestamp?.toDate();
-                const timeStr = timestamp ? timestamp.toLocaleString() : 'Unknown';
-                const typeLabel = CHECKIN_TYPE_LABELS[currentCheckinType] || currentCheckinType;
-                
-                // Get participant name for the undo function
-                const participantName = document.getElementById('participantDetails')?.querySelector('.checkin-item-name')?.textContent || uniqueId;
-                
-                // Show status in the form
-                const participantDetails = document.getElementById('participantDetails');
-                if (participantDetails) {
-                    const statusDiv = document.createElement('div');
-                    statusDiv.id = 'checkinStatusDiv';
-                    statusDiv.style.cssText = 'background: #f8d7da; padding: 0.75rem; border-radius: 4px; margin-top: 1rem; border-left: 4px solid #dc3545;';
+            snapshot.docChanges().forEach(change => {
+                if (change.type === 'added') {
+                    const data = change.doc.data();
                     
-                    let undoButton = '';
-                    if (isAdminUser) {
-                        undoButton = `
-                            <button type="button" class="btn" style="background-color: #dc3545; color: white; padding: 0.5rem 1rem; border: none; border-radius: 4px; cursor: pointer;" 
-                                    onclick="undoCheckinFromStatus('${escapeHtml(checkinDocId)}', '${escapeHtml(uniqueId)}', '${escapeHtml(participantName.replace(/'/g, "\\'"))}')">
-                                Undo Check-in
-                            </button>
-                        `;
+                    // Check if notification should be shown for this type
+                    if (checkinNotificationSettings.types.length > 0 && 
+                        !checkinNotificationSettings.types.includes(data.checkinType)) {
+                        return;
                     }
                     
-                    statusDiv.innerHTML = `
-                        <p style="margin: 0; color: #721c24; font-weight: bold;">⚠️ Already Checked In</p>
-                        <p style="margin: 0.5rem 0 0 0; color: #721c24; font-size: 0.9em;">
-                            This participant is already checked in for <strong>${escapeHtml(typeLabel)}</strong> at ${escapeHtml(timeStr)}.
-                        </p>
-                        <p style="margin: 0.5rem 0 0 0; color: #721c24; font-size: 0.85em;">
-                            Duplicate check-ins are not allowed for the same check-in type.
-                        </p>
-                        ${undoButton ? `<div style="margin-top: 1rem; display: flex; gap: 0.5rem;">${undoButton}
-                            <button type="button" class="btn btn-secondary" style="padding: 0.5rem 1rem; border-radius: 4px; cursor: pointer;" 
-                                    onclick="clearParticipantInfo()">
-                                Clear
-                            </button>
-                        </div>` : ''}
-                    `;
+                    // Show notification
+                    showCheckinNotification(data);
                     
-                    // Remove existing status if any
-                    const existingStatus = participantDetails.querySelector('#checkinStatusDiv');
-                    if (existingStatus) {
-                        existingStatus.remove();
-                    }
-                    participantDetails.appendChild(statusDiv);
-                }
-                
-                // Disable the submit button
-                if (submitButton) {
-                    submitButton.disabled = true;
-                    submitButton.style.opacity = '0.6';
-                    submitButton.style.cursor = 'not-allowed';
-                    submitButton.textContent = 'Already Checked In';
-                }
-            } else {
-                // Remove status message if exists
-                const participantDetails = document.getElementById('participantDetails');
-                if (participantDetails) {
-                    const existingStatus = participantDetails.querySelector('#checkinStatusDiv');
-                    if (existingStatus) {
-                        existingStatus.remove();
+                    // Play sound if enabled
+                    if (checkinNotificationSettings.soundEnabled) {
+                        playNotificationSound();
                     }
+                    
+                    // Reload recent checkins
+                    loadRecentCheckins(currentCheckinType);
                 }
-                
-                // Enable the submit button
-                if (submitButton) {
-                    submitButton.disabled = false;
-                    submitButton.style.opacity = '1';
-                    submitButton.style.cursor = 'pointer';
-                    submitButton.textContent = 'Check In';
-                }
-            }
-        }
-    } catch (error) {
-        console.error('Error checking checkin status:', error);
-    }
+            });
+        }, (error) => {
+            console.error('Error in checkin listener:', error);
+        });
 }
 
-// Update registration checkboxes based on checkin status
-function updateRegistrationCheckboxes(checkinStatuses, isAdminUser) {
-    const registrationCheckbox = document.getElementById('registrationCheckbox');
-    const shulkPaidCheckbox = document.getElementById('shulkPaidCheckbox');
-    const kitCollectedCheckbox = document.getElementById('kitCollectedCheckbox');
+// Show checkin notification
+async function showCheckinNotification(data) {
+    const timestamp = data.timestamp?.toDate();
+    const timeStr = timestamp ? timestamp.toLocaleString() : 'Unknown';
     
-    // Update registration checkbox
-    if (registrationCheckbox) {
-        if (checkinStatuses.registration?.exists) {
-            registrationCheckbox.checked = true;
-            registrationCheckbox.disabled = true;
-            registrationCheckbox.dataset.frozen = 'true';
-            registrationCheckbox.title = 'Already checked in - frozen';
-        } else {
-            registrationCheckbox.disabled = false;
-            registrationCheckbox.dataset.frozen = 'false';
-            registrationCheckbox.title = '';
+    // Fetch participant name from registrations
+    let participantName = 'Unknown';
+    if (data.uniqueId && window.firebase && firebase.firestore) {
+        try {
+            const db = firebase.firestore();
+            const regDoc = await db.collection('registrations').doc(data.uniqueId).get();
+            if (regDoc.exists) {
+                const regData = regDoc.data();
+                participantName = regData.name || regData['Full Name'] || 'Unknown';
+            }
+        } catch (error) {
+            console.error('Error fetching participant name for notification:', error);
         }
     }
     
-    // Update shulk checkbox
-    if (shulkPaidCheckbox) {
-        if (checkinStatuses.shulk_paid?.exists) {
-            shulkPaidCheckbox.checked = true;
-            shulkPaidCheckbox.disabled = true;
-            shulkPaidCheckbox.dataset.frozen = 'true';
-            shulkPaidCheckbox.title = 'Already checked in - frozen';
-        } else {
-            shulkPaidCheckbox.disabled = false;
-            shulkPaidCheckbox.dataset.frozen = 'false';
-            shulkPaidCheckbox.title = '';
-        }
-    }
+    const notification = document.createElement('div');
+    notification.className = 'checkin-notification';
+    notification.style.cssText = `
+        position: fixed;
+        top: 80px;
+        right: 20px;
+        padding: 1rem 1.5rem;
+        background: #4CAF50;
+        color: white;
+        border-radius: 8px;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+        z-index: 10001;
+        max-width: 350px;
+        animation: slideInRight 0.3s ease;
+    `;
     
-    // Update kit checkbox
-    if (kitCollectedCheckbox) {
-        if (checkinStatuses.kit_collected?.exists) {
-            kitCollectedCheckbox.checked = true;
-            kitCollectedCheckbox.disabled = true;
-            kitCollectedCheckbox.dataset.frozen = 'true';
-            kitCollectedCheckbox.title = 'Already checked in - frozen';
-        } else {
-            kitCollectedCheckbox.disabled = false;
-            kitCollectedCheckbox.dataset.frozen = 'false';
-            kitCollectedCheckbox.title = '';
+    notification.innerHTML = `
+        <div style="font-weight: bold; margin-bottom: 0.5rem;">New Checkin</div>
+        <div>${escapeHtml(participantName)}</div>
+        <div style="font-size: 0.85em; opacity: 0.9;">${escapeHtml(CHECKIN_TYPE_LABELS[data.checkinType] || data.checkinType)}</div>
+        <div style="font-size: 0.75em; opacity: 0.8; margin-top: 0.25rem;">${escapeHtml(timeStr)}</div>
+        <button onclick="this.parentElement.remove()" style="position: absolute; top: 5px; right: 5px; background: rgba(255,255,255,0.2); border: none; color: white; cursor: pointer; padding: 2px 6px; border-radius: 3px;">×</button>
+    `;
+    
+    document.body.appendChild(notification);
+    
+    // Auto remove
+    setTimeout(() => {
+        if (notification.parentNode) {
+            notification.style.animation = 'slideOutRight 0.3s ease';
+            setTimeout(() => {
+                if (notification.parentNode) {
+                    notification.parentNode.removeChild(notification);
+                }
+            }, 300);
         }
-    }
+    }, checkinNotificationSettings.duration || 5000);
 }
 
-// Load recent checkins
-async function loadRecentCheckins(checkinType, limit = 5) {
-    if (!window.firebase || !firebase.firestore) return;
+// Play notification sound
+function playNotificationSound() {
+    // Create a simple beep sound
+    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    const oscillator = audioContext.createOscillator();
+    const gainNode = audioContext.createGain();
     
-    const recentCheckinsList = document.getElementById('recentCheckinsList');
-    if (!recentCheckinsList) return;
+    oscillator.connect(gainNode);
+    gainNode.connect(audioContext.destination);
     
-    try {
-        const db = firebase.firestore();
-        const user = firebase.auth().currentUser;
-        if (!user) return;
-        
-        const isAdminUser = await isAdmin(user);
-        
-        let snapshot;
-        
-        if (isAdminUser) {
-            // Admins: show all recent checkins
-            snapshot = await db.collection('checkins')
-            .where('checkinType', '==', checkinType)
-            .orderBy('timestamp', 'desc')
-                .limit(limit)
-                .get();
-        } else {
-            // Volunteers: only show checkins they created
-            // Query by checkedInBy, filter by checkinType client-side, then sort by timestamp
-            const allUserCheckins = await db.collection('checkins')
-                .where('checkedInBy', '==', user.uid)
-                .get();
-            
-            // Filter by checkinType, sort by timestamp, then limit
-            const filteredDocs = allUserCheckins.docs
-                .filter(doc => {
-                    const data = doc.data();
-                    return data.checkinType === checkinType;
-                })
-                .sort((a, b) => {
-                    const aTime = a.data().timestamp?.toMillis() || 0;
-                    const bTime = b.data().timestamp?.toMillis() || 0;
-                    return bTime - aTime; // Descending order
-                })
-                .slice(0, limit);
-            
-            // Create a mock snapshot-like object
-            snapshot = {
-                docs: filteredDocs,
-                empty: filteredDocs.length === 0
-            };
-        }
-        
-        if (snapshot.empty) {
-            recentCheckinsList.innerHTML = '<p>No recent checkins</p>';
-            return;
-        }
-        
-        // Fetch participant names from registrations
-        const uniqueIds = snapshot.docs.map(doc => doc.data().uniqueId).filter(id => id);
-        const registrationsMap = new Map();
-        
-        if (uniqueIds.length > 0) {
-            const registrationPromises = uniqueIds.map(uniqueId => 
-                db.collection('registrations').doc(uniqueId).get()
-            );
-            const registrationDocs = await Promise.all(registrationPromises);
-            
-            registrationDocs.forEach(regDoc => {
-                if (regDoc.exists) {
-                    const regData = regDoc.data();
-                    const name = regData.name || regData['Full Name'] || 'Unknown';
-                    registrationsMap.set(regDoc.id, name);
-                }
-            });
+    oscillator.frequency.value = 800;
+    oscillator.type = 'sine';
+    
+    gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
+    gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.5);
+    
+    oscillator.start(audioContext.currentTime);
+    oscillator.stop(audioContext.currentTime + 0.5);
+}
+
+// ============================================
+// SIGNED BADGE QR CODES
+// ============================================
+
+// Badges printed before signed QR codes carry a bare Code128 Praveshika ID. The desks keep
+// accepting them until an admin sets a cutoff in config/badges (unsignedAcceptedUntil, an ISO
+// date-time set with `node firestore-utils.js set-unsigned-badge-cutoff`); after it only QR badges are accepted.
+const BADGE_CONFIG_CACHE_KEY = 'badgeConfig';
+let badgeConfigPromise = null;
+
+// Load config/badges once per page load, falling back to the copy cached on this device when offline
+async function loadBadgeConfig(forceRefresh = false) {
+    if (badgeConfigPromise && !forceRefresh) return badgeConfigPromise;
+
+    badgeConfigPromise = (async () => {
+        try {
+            const doc = await firebase.firestore().collection('config').doc('badges').get();
+            const config = { unsignedAcceptedUntil: doc.exists ? (doc.data().unsignedAcceptedUntil || null) : null };
+            localStorage.setItem(BADGE_CONFIG_CACHE_KEY, JSON.stringify(config));
+            return config;
+        } catch (error) {
+            console.warn('Could not load badge configuration, using cached copy:', error.message);
+            try {
+                return JSON.parse(localStorage.getItem(BADGE_CONFIG_CACHE_KEY) || 'null') || { unsignedAcceptedUntil: null };
+            } catch (e) {
+                return { unsignedAcceptedUntil: null };
+            }
         }
-        
-        let html = '<ul class="recent-checkins-list">';
-        snapshot.docs.forEach(doc => {
-            const data = doc.data();
-            const docId = doc.id;
-            const timestamp = data.timestamp?.toDate();
-            const timeStr = timestamp ? timestamp.toLocaleString() : 'Unknown';
-            const participantName = registrationsMap.get(data.uniqueId) || 'Unknown';
-            
-            html += `
-                <li class="recent-checkin-item">
-                    <div class="checkin-item-name">${escapeHtml(participantName)}</div>
-                    <div class="checkin-item-id">${escapeHtml(data.uniqueId)}</div>
-                    <div class="checkin-item-time">${escapeHtml(timeStr)}</div>
-                    <div class="checkin-item-by">By: ${escapeHtml(data.checkedInByName)}</div>
-                </li>
-            `;
-        });
-        html += '</ul>';
-        
-        recentCheckinsList.innerHTML = html;
+    })();
+    return badgeConfigPromise;
+}
+
+async function acceptsUnsignedBadges() {
+    if (!window.firebase || !firebase.firestore) return false;
+    const config = await loadBadgeConfig();
+    return isBeforeUnsignedBadgeCutoff(config.unsignedAcceptedUntil, Date.now());
+}
+
+// No cutoff set yet means the transition is still running; a cutoff that cannot be read is treated as passed
+function isBeforeUnsignedBadgeCutoff(cutoff, now) {
+    if (cutoff === null || cutoff === undefined || cutoff === '') return true;
+    const until = Date.parse(cutoff);
+    if (isNaN(until)) {
+        console.warn(`config/badges.unsignedAcceptedUntil "${cutoff}" is not a date; barcode-only badges are refused`);
+        return false;
+    }
+    return now < until;
+}
+
+// Signed payload format: VSS1:<Praveshika ID>:<badge version>:<signature> (see api/badge-token)
+const SIGNED_BADGE_PREFIX = 'VSS1:';
+
+function isSignedBadgePayload(code) {
+    return (code || '').toString().trim().toUpperCase().startsWith(SIGNED_BADGE_PREFIX);
+}
+
+async function callBadgeApi(endpoint, payload) {
+    const user = firebase.auth().currentUser;
+    if (!user) {
+        throw new Error('Please log in first');
+    }
+
+    const idToken = await user.getIdToken();
+    const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${idToken}`
+        },
+        body: JSON.stringify(payload)
+    });
+
+    let result;
+    try {
+        result = await response.json();
+    } catch (jsonError) {
+        throw new Error(`Badge service returned an invalid response (${response.status})`);
+    }
+
+    if (!response.ok) {
+        throw new Error(result.error || `Badge service error (${response.status})`);
+    }
+    return result;
+}
+
+// Signed QR payload for a badge, or null when it cannot be issued (the badge then falls back to Code128)
+async function fetchSignedBadgePayload(uniqueId) {
+    if (!uniqueId || !window.firebase || !firebase.auth || !firebase.auth().currentUser) return null;
+    try {
+        const result = await callBadgeApi('/api/badge-token', { uniqueId });
+        return result.payload || null;
     } catch (error) {
-        console.error('Error loading recent checkins:', error);
-        let errorMessage = 'Error loading recent checkins';
-        if (error.code === 'failed-precondition') {
-            errorMessage = 'Database index required. Please contact administrator.';
-        } else if (error.message) {
-            errorMessage = `Error: ${error.message}`;
-        }
-        recentCheckinsList.innerHTML = `<p style="color: #dc3545;">${errorMessage}</p>`;
+        console.warn('Could not issue signed badge, using barcode instead:', error.message);
+        return null;
     }
 }
 
-// Undo/Cancel a checkin (from recent checkins list)
-async function undoCheckin(checkinDocId, uniqueId, participantName) {
-    if (!window.firebase || !firebase.firestore) {
-        showNotification('Firebase not initialized', 'error');
+// Draw the badge code: a signed QR code when available, otherwise the legacy Code128 barcode
+async function renderBadgeCode(barcodeValue, uniqueId) {
+    const payload = typeof qrcode !== 'undefined' ? await fetchSignedBadgePayload(uniqueId) : null;
+    const qrContainer = document.getElementById('badgeQr');
+    const barcodeSvg = document.getElementById('badgeBarcode');
+
+    if (payload && qrContainer) {
+        const qr = qrcode(0, 'M');
+        qr.addData(payload, 'Alphanumeric');
+        qr.make();
+        qrContainer.innerHTML = qr.createImgTag(4, 8, `Praveshika ID ${uniqueId}`) +
+            `<p class="badge-qr-id">${escapeHtml(uniqueId)}</p>`;
+        if (barcodeSvg) barcodeSvg.style.display = 'none';
         return;
     }
-    
-    const user = firebase.auth().currentUser;
-    if (!user) {
-        showNotification('Please log in to undo checkin', 'error');
-        return;
+
+    // No signed QR code (offline or the badge service failed): fall back to the Code128 barcode so a
+    // printed badge can still be scanned, and tell the user whether the desks still accept it
+    if (qrContainer) qrContainer.innerHTML = '';
+    if (await acceptsUnsignedBadges()) {
+        showNotification('Could not create the signed QR code; this badge has a barcode only and may be refused at check-in.', 'warning');
+    } else {
+        showNotification('Could not create the signed QR code. Barcode-only badges are no longer accepted at check-in; please try again when online.', 'error');
     }
-    
-    // Check if user is admin
-    const isAdminUser = await isAdmin(user);
-    if (!isAdminUser) {
-        showNotification('Only admin users can undo check-ins', 'error');
-        return;
+
+    if (!barcodeSvg) return;
+    barcodeSvg.style.display = '';
+    if (typeof JsBarcode !== 'undefined' && barcodeValue && barcodeValue !== 'N/A') {
+        try {
+            JsBarcode("#badgeBarcode", barcodeValue, {
+                format: "CODE128",
+                width: 2,
+                height: 60,
+                displayValue: true
+            });
+            return;
+        } catch (error) {
+            console.error('Barcode generation error:', error);
+        }
     }
-    
-    // Confirm with user
-    const confirmed = confirm(`Are you sure you want to undo the check-in for ${participantName} (${uniqueId})?\n\nThis action cannot be undone.`);
-    if (!confirmed) {
-        return;
+    barcodeSvg.innerHTML = `<text>${escapeHtml(barcodeValue)}</text>`;
+}
+
+function showBadgeVerificationWarning(message) {
+    const warning = document.getElementById('badgeVerificationWarning');
+    if (warning) {
+        warning.innerHTML = `<strong>⚠️ Badge rejected</strong><p>${escapeHtml(message)}</p>`;
+        warning.style.display = 'block';
     }
-    
-    try {
-        const db = firebase.firestore();
-        
-        // Delete the checkin document
-        await db.collection('checkins').doc(checkinDocId).delete();
-        
-        showNotification(`Check-in undone for ${participantName} (${uniqueId})`, 'success');
-        
-        // Use the same reload mechanism as after check-in
-        clearCheckinForm();
-        clearParticipantInfo();
-        await loadRecentCheckins(currentCheckinType);
-        await loadCheckinHistory();
-        
-    } catch (error) {
-        console.error('Error undoing checkin:', error);
-        if (error.code === 'permission-denied') {
-            showNotification('You do not have permission to undo this check-in', 'error');
-        } else {
-            showNotification('Error undoing check-in: ' + error.message, 'error');
-        }
+    showNotification(message, 'error');
+}
+
+// Barcode-only badges carry just the ID, so the volunteer has to check the person instead
+function showUnsignedBadgeWarning(uniqueId) {
+    const message = `Barcode-only badge for ${uniqueId} cannot be verified. Please check the participant's photo ID.`;
+    const warning = document.getElementById('badgeVerificationWarning');
+    if (warning) {
+        warning.innerHTML = `<strong>⚠️ Unverified badge</strong><p>${escapeHtml(message)}</p>`;
+        warning.style.display = 'block';
     }
+    showNotification(message, 'warning');
 }
 
-// Undo/Cancel a checkin (from participant status view)
-async function undoCheckinFromStatus(checkinDocId, uniqueId, participantName) {
-    if (!window.firebase || !firebase.firestore) {
-        showNotification('Firebase not initialized', 'error');
-        return;
+function hideBadgeVerificationWarning() {
+    const warning = document.getElementById('badgeVerificationWarning');
+    if (warning) {
+        warning.innerHTML = '';
+        warning.style.display = 'none';
     }
-    
-    const user = firebase.auth().currentUser;
-    if (!user) {
-        showNotification('Please log in to undo checkin', 'error');
-        return;
+}
+
+const SIGNED_BADGE_PATTERN = /^VSS1:([A-Z0-9-]+):(\d+):([0-9A-F]{32})$/;
+
+async function sha256Hex(text) {
+    const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// The signing key never leaves the server, so offline desks compare the scanned badge with the
+// fingerprints (hashes of every current badge) downloaded with the roster
+async function verifySignedBadgeOffline(payload) {
+    const normalizedPayload = payload.trim().toUpperCase();
+    const match = normalizedPayload.match(SIGNED_BADGE_PATTERN);
+    if (!match) {
+        showBadgeVerificationWarning('This QR code is not a VSS2025 badge.');
+        return null;
     }
-    
-    // Check if user is admin
-    const isAdminUser = await isAdmin(user);
-    if (!isAdminUser) {
-        showNotification('Only admin users can undo check-ins', 'error');
-        return;
+
+    const uniqueId = match[1];
+    const fingerprints = getOfflineRoster()?.badgeFingerprints;
+    if (!fingerprints || !window.crypto || !window.crypto.subtle) {
+        showBadgeVerificationWarning('Badges cannot be verified offline on this device. Download the roster again while online.');
+        return null;
     }
-    
-    // Confirm with user
-    const confirmed = confirm(`Are you sure you want to undo the check-in for ${participantName} (${uniqueId})?\n\nThis action cannot be undone.`);
-    if (!confirmed) {
-        return;
+    if (!fingerprints[uniqueId]) {
+        showBadgeVerificationWarning(`Participant with Praveshika ID "${uniqueId}" is not in the offline roster.`);
+        return null;
     }
-    
+
+    const fingerprint = (await sha256Hex(normalizedPayload)).substring(0, 32);
+    if (fingerprint !== fingerprints[uniqueId]) {
+        showBadgeVerificationWarning('This badge could not be verified: it has been revoked or was not issued by VSS2025.');
+        return null;
+    }
+    return uniqueId;
+}
+
+// Check a scanned QR payload with the server. Returns the Praveshika ID when the badge is genuine.
+async function verifySignedBadge(payload) {
+    if (isCheckinOffline()) {
+        return verifySignedBadgeOffline(payload);
+    }
+
     try {
-        const db = firebase.firestore();
-        
-        // Delete the checkin document
-        await db.collection('checkins').doc(checkinDocId).delete();
-        
-        showNotification(`Check-in undone for ${participantName} (${uniqueId})`, 'success');
-        
-        // Use the same reload mechanism as after check-in
-        clearCheckinForm();
-        clearParticipantInfo();
-        await loadRecentCheckins(currentCheckinType);
-        await loadCheckinHistory();
-        
-    } catch (error) {
-        console.error('Error undoing checkin:', error);
-        if (error.code === 'permission-denied') {
-            showNotification('You do not have permission to undo this check-in', 'error');
-        } else {
-            showNotification('Error undoing check-in: ' + error.message, 'error');
+        const result = await callBadgeApi('/api/verify-badge', { payload });
+        if (result.valid) {
+            return result.uniqueId;
         }
+        console.warn(`Badge rejected (${result.status}):`, result.uniqueId || payload);
+        showBadgeVerificationWarning(result.reason || 'This badge could not be verified.');
+        return null;
+    } catch (error) {
+        console.error('Error verifying badge:', error);
+        showBadgeVerificationWarning('Could not verify badge: ' + error.message);
+        return null;
     }
 }
 
-// ============================================
-// BATCH CHECKIN FUNCTIONS
-// ============================================
+// Handle a code read by the camera or typed by a handheld scanner
+async function handleScannedBadgeCode(code) {
+    const barcodeInput = document.getElementById('barcodeInput');
+    const scannedCode = (code || '').toString().trim().toUpperCase();
+    if (!scannedCode) return;
 
-// Process batch checkin
-async function processBatchCheckin() {
-    const batchInput = document.getElementById('batchInput');
-    if (!batchInput) return;
-    
-    const inputText = batchInput.value.trim();
-    if (!inputText) {
-        showNotification('Please enter Praveshika IDs', 'error');
-        return;
-    }
-    
-    // Parse input (support both comma-separated and newline-separated)
-    const ids = inputText.split(/[,\n]/)
-        .map(id => id.trim())
-        .filter(id => id.length > 0);
-    
-    if (ids.length === 0) {
-        showNotification('No valid Praveshika IDs found', 'error');
+    hideBadgeVerificationWarning();
+
+    if (isSignedBadgePayload(scannedCode)) {
+        if (barcodeInput) barcodeInput.value = '';
+        const uniqueId = await verifySignedBadge(scannedCode);
+        if (!uniqueId) {
+            clearParticipantInfo();
+            return;
+        }
+        if (barcodeInput) barcodeInput.value = uniqueId;
+        showNotification('Badge verified: ' + uniqueId, 'success');
+        await searchByPraveshikaIdDirect(uniqueId);
         return;
     }
-    
-    if (!window.firebase || !firebase.firestore) {
-        showNotification('Firebase not initialized', 'error');
+
+    if (!(await acceptsUnsignedBadges())) {
+        showBadgeVerificationWarning('Barcode-only badges are no longer accepted. Please ask for the QR code badge.');
         return;
-    }
-    
-    const batchPreview = document.getElementById('batchPreview');
-    if (batchPreview) {
-        batchPreview.style.display = 'block';
-        batchPreview.innerHTML = '<p>Loading participant profiles...</p>';
-    }
-    
-    try {
-        const db = firebase.firestore();
-        const participantData = [];
-        const alreadyCheckedIn = [];
-        const notFound = [];
-        
-        // Fetch all participant data and check checkin status
-        for (const uniqueId of ids) {
-            try {
-                // Get registration data
-                const regDoc = await db.collection('registrations').doc(uniqueId).get();
-                if (!regDoc.exists) {
-                    notFound.push(uniqueId);
-                    continue;
-                }
-                
-                const regData = regDoc.data();
-                const name = regData.name || regData['Full Name'] || 'Unknown';
-                const email = regData.email || regData['Email address'] || 'N/A';
-                const country = regData.country || regData.Country || 'N/A';
-                const shreni = regData.shreni || regData.Shreni || 'N/A';
-                
-                // Check if already checked in for current checkin type
-                let isAlreadyCheckedIn = false;
-                let checkinTimestamp = null;
-                let checkedInTypes = [];
-                
-                if (currentCheckinType === 'registration') {
-                    // For registration, check all three types
-                    const typesToCheck = ['registration', 'shulk_paid', 'kit_collected'];
-                    for (const type of typesToCheck) {
-                        const existingCheckinQuery = await db.collection('checkins')
-                            .where('uniqueId', '==', uniqueId)
-                            .where('checkinType', '==', type)
-                            .limit(1)
-                            .get();
-                        
-                        if (!existingCheckinQuery.empty) {
-                            isAlreadyCheckedIn = true;
-                            checkedInTypes.push(type);
-                            const existingCheckin = existingCheckinQuery.docs[0].data();
-                            if (!checkinTimestamp) {
-                                checkinTimestamp = existingCheckin.timestamp?.toDate();
-                            }
-                        }
-                    }
-                } else if (currentCheckinType === 'cloak_room') {
-                    const existingCheckinQuery = await db.collection('checkins')
-                        .where('uniqueId', '==', uniqueId)
-                        .where('checkinType', '==', 'cloak_room')
-                        .orderBy('timestamp', 'desc')
-                        .limit(1)
-                        .get();
-                    
-                    if (!existingCheckinQuery.empty) {
-                        const existingCheckin = existingCheckinQuery.docs[0].data();
-                        if (!existingCheckin.checkedOutAt) {
-                            isAlreadyCheckedIn = true;
-                            checkinTimestamp = existingCheckin.timestamp?.toDate();
-                            checkedInTypes.push('cloak_room');
-                        }
-                    }
-                } else {
-                    const existingCheckinQuery = await db.collection('checkins')
-                        .where('uniqueId', '==', uniqueId)
-                        .where('checkinType', '==', currentCheckinType)
-                        .limit(1)
-                        .get();
-                    
-                    if (!existingCheckinQuery.empty) {
-                        isAlreadyCheckedIn = true;
-                        const existingCheckin = existingCheckinQuery.docs[0].data();
-                        checkinTimestamp = existingCheckin.timestamp?.toDate();
-                        checkedInTypes.push(currentCheckinType);
-                    }
-                }
-                
-                if (isAlreadyCheckedIn) {
-                    alreadyCheckedIn.push({
-                        uniqueId,
-                        name,
-                        email,
-                        country,
-                        shreni,
-                        timestamp: checkinTimestamp,
-                        checkedInTypes: checkedInTypes
-                    });
-                } else {
-                    participantData.push({
-                        uniqueId,
-                        name,
-                        email,
-                        country,
-                        shreni
-                    });
-                }
-            } catch (error) {
-                console.error(`Error processing ${uniqueId}:`, error);
-                notFound.push(uniqueId);
+    }
+
+    // Legacy Code128 badge: the barcode is the Praveshika ID
+    if (barcodeInput) barcodeInput.value = scannedCode;
+    showUnsignedBadgeWarning(scannedCode);
+    setTimeout(() => {
+        searchByPraveshikaIdDirect(scannedCode);
+    }, 500);
+}
+
+// Admins: invalidate every badge printed so far for a participant
+async function revokeParticipantBadge(uniqueId) {
+    if (!confirm(`Revoke all badges issued for ${uniqueId}? Printed badges will be rejected at check-in and the participant must download a new badge.`)) {
+        return;
+    }
+
+    try {
+        const result = await callBadgeApi('/api/badge-token', { uniqueId, action: 'revoke' });
+        showNotification(`Badges for ${result.uniqueId} revoked. New badges will use version ${result.badgeVersion}.`, 'success');
+    } catch (error) {
+        console.error('Error revoking badge:', error);
+        showNotification('Error revoking badge: ' + error.message, 'error');
+    }
+}
+
+// Send a code read by the camera to whichever screen is scanning
+function dispatchScannedCode(code) {
+    if (rapidScanEnabled) {
+        // Rapid scan keeps the camera running between badges
+        handleRapidScan(code);
+        return;
+    }
+    // Stop scanning immediately
+    stopBarcodeScan();
+    if (isKioskMode()) {
+        handleKioskScan(code);
+    } else {
+        handleScannedBadgeCode(code);
+    }
+}
+
+// Barcode scanning state
+let barcodeScannerActive = false;
+let barcodeScanningStream = null;
+let qrScanInterval = null;
+
+// Start barcode scan (camera)
+async function startBarcodeScan() {
+    if (typeof Quagga === 'undefined') {
+        showNotification('Barcode scanning library not loaded. Please refresh the page.', 'error');
+        return;
+    }
+    
+    if (barcodeScannerActive) {
+        showNotification('Camera is already active', 'info');
+        return;
+    }
+    
+    try {
+        // Request camera access
+        const stream = await navigator.mediaDevices.getUserMedia({
+            video: {
+                facingMode: 'environment' // Use back camera on mobile devices
             }
-        }
+        });
         
-        // Store valid IDs globally
-        window.batchCheckinIds = participantData.map(p => p.uniqueId);
+        barcodeScanningStream = stream;
+        barcodeScannerActive = true;
         
-        // Build preview HTML
-        let html = `
-            <div class="batch-preview">
-                <h4>Batch Checkin Preview</h4>
-                <p>Found ${ids.length} participant(s) | Valid: ${participantData.length} | Already Checked In: ${alreadyCheckedIn.length} | Not Found: ${notFound.length}</p>
-        `;
+        // Show camera UI
+        const container = document.getElementById('barcodeScannerContainer');
+        const video = document.getElementById('barcodeVideo');
+        const startBtn = document.getElementById('startCameraBtn');
+        const stopBtn = document.getElementById('stopCameraBtn');
         
-        // Show error for already checked-in participants
-        if (alreadyCheckedIn.length > 0) {
-            html += `
-                <div style="margin: 1rem 0; padding: 1rem; background: #f8d7da; border-left: 4px solid #dc3545; border-radius: 4px;">
-                    <p style="margin: 0 0 0.5rem 0; font-weight: bold; color: #721c24;">
-                        ⚠️ The following participants are already checked in. Please remove them before proceeding:
-                    </p>
-                    <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(250px, 1fr)); gap: 0.75rem; margin-top: 0.5rem;">
-            `;
-            
-            alreadyCheckedIn.forEach(participant => {
-                const timeStr = participant.timestamp ? participant.timestamp.toLocaleString() : 'Unknown';
-                const typesStr = participant.checkedInTypes && participant.checkedInTypes.length > 0 
-                    ? participant.checkedInTypes.map(t => CHECKIN_TYPE_LABELS[t] || t).join(', ')
-                    : CHECKIN_TYPE_LABELS[currentCheckinType] || currentCheckinType;
-                html += `
-                    <div style="background: white; padding: 0.75rem; border-radius: 4px; border: 2px solid #dc3545;">
-                        <p style="margin: 0 0 0.25rem 0; font-weight: bold; color: #dc3545;">${escapeHtml(participant.uniqueId)}</p>
-                        <p style="margin: 0 0 0.25rem 0; font-size: 0.9rem;">${escapeHtml(participant.name)}</p>
-                        <p style="margin: 0 0 0.25rem 0; font-size: 0.8rem; color: #666;">Types: ${escapeHtml(typesStr)}</p>
-                        <p style="margin: 0; font-size: 0.8rem; color: #666;">Checked in: ${escapeHtml(timeStr)}</p>
-                    </div>
-                `;
-            });
-            
-            html += `
-                    </div>
-                </div>
-            `;
-        }
+        if (container) container.style.display = 'block';
+        if (startBtn) startBtn.style.display = 'none';
+        if (stopBtn) stopBtn.style.display = 'inline-block';
         
-        // Show not found participants
-        if (notFound.length > 0) {
-            html += `
-                <div style="margin: 1rem 0; padding: 0.75rem; background: #fff3cd; border-left: 4px solid #ffc107; border-radius: 4px;">
-                    <p style="margin: 0 0 0.5rem 0; font-weight: bold; color: #856404;">
-                        ⚠️ The following Praveshika IDs were not found:
-                    </p>
-                    <p style="margin: 0; font-size: 0.9rem;">${notFound.map(id => escapeHtml(id)).join(', ')}</p>
-                </div>
-            `;
+        // Set up video stream
+        if (video) {
+            video.srcObject = stream;
+            video.play();
         }
         
-        // Show valid participants with profiles
-        if (participantData.length > 0) {
-            html += `
-                <div style="margin: 1rem 0;">
-                    <h5 style="margin-bottom: 0.75rem;">Participants to Check In (${participantData.length}):</h5>
-                    <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(250px, 1fr)); gap: 0.75rem;">
-            `;
-            
-            participantData.forEach(participant => {
-                html += `
-                    <div style="background: #e8f4f8; padding: 0.75rem; border-radius: 4px; border-left: 4px solid #007bff;">
-                        <p style="margin: 0 0 0.25rem 0; font-weight: bold; color: #007bff;">${escapeHtml(participant.uniqueId)}</p>
-                        <p style="margin: 0 0 0.25rem 0; font-size: 0.9rem;"><strong>Name:</strong> ${escapeHtml(participant.name)}</p>
-                        <p style="margin: 0 0 0.25rem 0; font-size: 0.85rem;"><strong>Email:</strong> ${escapeHtml(participant.email)}</p>
-                        <p style="margin: 0 0 0.25rem 0; font-size: 0.85rem;"><strong>Country:</strong> ${escapeHtml(participant.country)}</p>
-                        <p style="margin: 0; font-size: 0.85rem;"><strong>Shreni:</strong> ${escapeHtml(participant.shreni)}</p>
-                    </div>
-                `;
-            });
-            
-            html += `
-                    </div>
-                </div>
-            `;
-            
-            // Only show confirmation checkboxes and button if there are valid participants and no already checked-in
-            // Only show checkboxes for registration checkin type
-            if (alreadyCheckedIn.length === 0) {
-                if (currentCheckinType === 'registration') {
-                    html += `
-                        <div style="margin: 1rem 0; padding: 0.75rem; background: #fff3cd; border-left: 4px solid #ffc107; border-radius: 4px;">
-                            <p style="margin: 0 0 0.5rem 0; font-size: 0.9rem; color: #856404;">
-                                Please confirm the following for this batch:
-                            </p>
-                            <label style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.25rem; font-size: 0.9rem;">
-                                <input type="checkbox" id="batchAllRegistrationsDoneConfirm" onchange="updateBatchConfirmState()">
-                                <span>All Registrations Done</span>
-                            </label>
-                            <label style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.25rem; font-size: 0.9rem;">
-                                <input type="checkbox" id="batchShulkPaidConfirm" onchange="updateBatchConfirmState()">
-                                <span>All shulk paid</span>
-                            </label>
-                            <label style="display: flex; align-items: center; gap: 0.5rem; font-size: 0.9rem;">
-                                <input type="checkbox" id="batchKitCollectedConfirm" onchange="updateBatchConfirmState()">
-                                <span>All kits collected</span>
-                            </label>
-                        </div>
-                        <button id="batchConfirmButton" class="btn btn-primary" onclick="executeBatchCheckinFromPreview()" disabled style="opacity: 0.6; cursor: not-allowed;">
-                            Confirm Batch Checkin
-                        </button>
-                    `;
-                } else {
-                    html += `
-                        <button id="batchConfirmButton" class="btn btn-primary" onclick="executeBatchCheckinFromPreview()">
-                            Confirm Batch Checkin
-                        </button>
-                    `;
+        // Initialize QuaggaJS
+        Quagga.init({
+            inputStream: {
+                name: "Live",
+                type: "LiveStream",
+                target: video,
+                constraints: {
+                    width: { min: 640 },
+                    height: { min: 480 },
+                    facingMode: "environment"
                 }
-            } else {
-                html += `
-                    <div style="margin: 1rem 0; padding: 0.75rem; background: #f8d7da; border-left: 4px solid #dc3545; border-radius: 4px;">
-                        <p style="margin: 0; font-weight: bold; color: #721c24;">
-                            Cannot proceed: Please remove already checked-in participants from the list above.
-                        </p>
-                    </div>
-                `;
+            },
+            decoder: {
+                readers: [
+                    "code_128_reader",
+                    "ean_reader",
+                    "ean_8_reader",
+                    "code_39_reader",
+                    "code_39_vin_reader",
+                    "codabar_reader",
+                    "upc_reader",
+                    "upc_e_reader",
+                    "i2of5_reader"
+                ]
+            },
+            locate: true
+        }, function(err) {
+            if (err) {
+                console.error('Quagga initialization error:', err);
+                stopBarcodeScan();
+                showNotification('Failed to initialize barcode scanner: ' + err.message, 'error');
+                return;
             }
-        } else {
-            html += `
-                <div style="margin: 1rem 0; padding: 0.75rem; background: #f8d7da; border-left: 4px solid #dc3545; border-radius: 4px;">
-                    <p style="margin: 0; font-weight: bold; color: #721c24;">
-                        No valid participants to check in. Please fix the errors above and try again.
-                    </p>
-                </div>
-            `;
-        }
-        
-        html += `
-                <button class="btn btn-secondary" onclick="cancelBatchCheckin()" style="margin-top: 1rem;">Cancel</button>
-            </div>
-        `;
+            
+            Quagga.start();
+        });
         
-        if (batchPreview) {
-            batchPreview.innerHTML = html;
-            // Initialize confirm button state if applicable
-            if (participantData.length > 0 && alreadyCheckedIn.length === 0) {
-                setTimeout(updateBatchConfirmState, 0);
+        // Listen for barcode detection (legacy Code128 badges)
+        Quagga.onDetected(function(result) {
+            if (!barcodeScannerActive) return;
+            
+            const code = result.codeResult.code;
+            if (code) {
+                dispatchScannedCode(code);
             }
+        });
+        
+        // QuaggaJS only reads 1D barcodes; look for signed QR badges in the same video feed
+        if (typeof jsQR !== 'undefined' && video) {
+            const canvas = document.getElementById('barcodeCanvas') || document.createElement('canvas');
+            const context = canvas.getContext('2d', { willReadFrequently: true });
+            qrScanInterval = setInterval(() => {
+                if (!barcodeScannerActive || !video.videoWidth) return;
+                canvas.width = video.videoWidth;
+                canvas.height = video.videoHeight;
+                context.drawImage(video, 0, 0, canvas.width, canvas.height);
+                const frame = context.getImageData(0, 0, canvas.width, canvas.height);
+                const qr = jsQR(frame.data, frame.width, frame.height, { inversionAttempts: 'dontInvert' });
+                if (qr && qr.data) {
+                    dispatchScannedCode(qr.data);
+                }
+            }, 250);
         }
+        
     } catch (error) {
-        console.error('Error processing batch checkin:', error);
-        showNotification('Error processing batch checkin: ' + error.message, 'error');
-        if (batchPreview) {
-            batchPreview.innerHTML = '<p style="color: #dc3545;">Error loading participant data. Please try again.</p>';
-        }
-    }
-}
-
-// Execute batch checkin from preview
-async function executeBatchCheckinFromPreview() {
-    // Ensure confirmation checkboxes are checked (only for registration type)
-    if (currentCheckinType === 'registration') {
-        const allRegistrationsDoneCheckbox = document.getElementById('batchAllRegistrationsDoneConfirm');
-        const shulkCheckbox = document.getElementById('batchShulkPaidConfirm');
-        const kitCheckbox = document.getElementById('batchKitCollectedConfirm');
-        if (allRegistrationsDoneCheckbox && shulkCheckbox && kitCheckbox) {
-            if (!allRegistrationsDoneCheckbox.checked || !shulkCheckbox.checked || !kitCheckbox.checked) {
-                showNotification('Please confirm all checkboxes before proceeding.', 'error');
-                return;
-            }
+        console.error('Error starting barcode scan:', error);
+        stopBarcodeScan();
+        if (error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError') {
+            showNotification('Camera access denied. Please allow camera access and try again.', 'error');
+        } else if (error.name === 'NotFoundError' || error.name === 'DevicesNotFoundError') {
+            showNotification('No camera found. Please connect a camera and try again.', 'error');
+        } else {
+            showNotification('Error accessing camera: ' + error.message, 'error');
         }
     }
-    
-    const ids = window.batchCheckinIds;
-    if (!ids || !Array.isArray(ids) || ids.length === 0) {
-        showNotification('No participants to check in', 'error');
-        return;
-    }
-    await executeBatchCheckin(ids);
 }
 
-// Execute batch checkin
-async function executeBatchCheckin(ids) {
-    if (!window.firebase || !firebase.auth || !firebase.firestore) {
-        showNotification('Firebase not initialized', 'error');
-        return;
-    }
+// Stop barcode scan
+function stopBarcodeScan() {
+    if (!barcodeScannerActive) return;
     
-    const user = firebase.auth().currentUser;
-    if (!user) {
-        showNotification('Please log in to perform checkin', 'error');
-        return;
-    }
+    barcodeScannerActive = false;
     
-    // Check permissions
-    const hasAccess = await hasAccessToCheckinType(user, currentCheckinType);
-    if (!hasAccess) {
-        showNotification('You do not have permission to perform this checkin type', 'error');
-        return;
+    if (qrScanInterval) {
+        clearInterval(qrScanInterval);
+        qrScanInterval = null;
     }
     
-    const db = firebase.firestore();
-    const userDoc = await db.collection('users').doc(user.uid).get();
-    const userData = userDoc.exists ? userDoc.data() : {};
-    const checkedInByName = userData.volunteerName || userData.name || user.email || 'Unknown';
-    
-    // Determine types to process ONCE at the beginning (for registration, read checkboxes BEFORE updating DOM)
-    // IMPORTANT: Read checkboxes BEFORE setting innerHTML, otherwise they'll be removed from DOM
-    let baseTypesToProcess = [];
-    if (currentCheckinType === 'registration') {
-        // Get confirmation checkboxes from batch preview ONCE before updating the DOM
-        const shulkCheckbox = document.getElementById('batchShulkPaidConfirm');
-        const kitCheckbox = document.getElementById('batchKitCollectedConfirm');
-        
-        // Always include registration if we're on registration tab
-        baseTypesToProcess.push('registration');
-        
-        // Include shulk_paid and kit_collected if checkboxes are checked
-        if (shulkCheckbox && shulkCheckbox.checked) {
-            baseTypesToProcess.push('shulk_paid');
-        }
-        if (kitCheckbox && kitCheckbox.checked) {
-            baseTypesToProcess.push('kit_collected');
+    // Stop Quagga
+    try {
+        if (typeof Quagga !== 'undefined') {
+            Quagga.stop();
         }
-        
-        console.log('Batch checkin types to process:', baseTypesToProcess);
-        console.log('Shulk checkbox found:', !!shulkCheckbox, 'checked:', shulkCheckbox?.checked);
-        console.log('Kit checkbox found:', !!kitCheckbox, 'checked', kitCheckbox?.checked);
-    } else {
-        baseTypesToProcess = [currentCheckinType];
+    } catch (e) {
+        console.error('Error stopping Quagga:', e);
     }
     
-    // Now update the preview (after reading checkbox values)
-    const batchPreview = document.getElementById('batchPreview');
-    if (batchPreview) {
-        batchPreview.innerHTML = '<p>Processing batch checkin...</p>';
+    // Stop video stream
+    if (barcodeScanningStream) {
+        barcodeScanningStream.getTracks().forEach(track => track.stop());
+        barcodeScanningStream = null;
     }
     
-    let successCount = 0;
-    let failCount = 0;
-    const results = [];
+    // Hide camera UI
+    const container = document.getElementById('barcodeScannerContainer');
+    const video = document.getElementById('barcodeVideo');
+    const startBtn = document.getElementById('startCameraBtn');
+    const stopBtn = document.getElementById('stopCameraBtn');
     
-    for (const uniqueId of ids) {
-        try {
-            // Validate the uniqueId is a non-empty string
-            if (!uniqueId || typeof uniqueId !== 'string' || uniqueId.trim() === '') {
-                results.push({ uniqueId: uniqueId || 'Invalid', status: 'failed', error: 'Invalid Praveshika ID format' });
-                failCount++;
-                continue;
-            }
-            
-            const validatedUniqueId = uniqueId.trim();
-            
-            // Get participant data - verify this specific Praveshika ID exists
-            const regDoc = await db.collection('registrations').doc(validatedUniqueId).get();
-            if (!regDoc.exists) {
-                results.push({ uniqueId: validatedUniqueId, status: 'failed', error: 'Participant not found' });
-                failCount++;
-                continue;
-            }
-            
-            // For registration type, we'll check duplicates per type later
-            // For other types, check if already checked in
-            if (currentCheckinType !== 'registration') {
-                if (currentCheckinType === 'cloak_room') {
-                    // Get the most recent cloak room check-in
-                    const existingCheckinQuery = await db.collection('checkins')
-                        .where('uniqueId', '==', validatedUniqueId)
-                        .where('checkinType', '==', 'cloak_room')
-                        .orderBy('timestamp', 'desc')
-                        .limit(1)
-                        .get();
-                    
-                    if (!existingCheckinQuery.empty) {
-                        const existingCheckin = existingCheckinQuery.docs[0].data();
-                        // If not checked out, prevent duplicate check-in
-                        if (!existingCheckin.checkedOutAt) {
-                            const timestamp = existingCheckin.timestamp?.toDate();
-                            const timeStr = timestamp ? timestamp.toLocaleString() : 'Unknown';
-                            results.push({ uniqueId: validatedUniqueId, status: 'skipped', error: `Already checked in at ${timeStr}. Checkout required first.` });
-                            failCount++;
-                            continue;
-                        }
-                        // If checked out, allow new check-in (continue below)
-                    }
-                } else {
-                    // For other check-in types, prevent duplicates
-                    const existingCheckinQuery = await db.collection('checkins')
-                        .where('uniqueId', '==', validatedUniqueId)
-                        .where('checkinType', '==', currentCheckinType)
-                        .limit(1)
-                        .get();
-                    
-                    if (!existingCheckinQuery.empty) {
-                        const existingCheckin = existingCheckinQuery.docs[0].data();
-                        const timestamp = existingCheckin.timestamp?.toDate();
-                        const timeStr = timestamp ? timestamp.toLocaleString() : 'Unknown';
-                        results.push({ uniqueId: validatedUniqueId, status: 'skipped', error: `Already checked in at ${timeStr}` });
-                        failCount++;
-                        continue;
-                    }
-                }
-            }
-            
-            const regData = regDoc.data();
-            
-            // Use the types determined at the beginning of the function
-            const typesToProcess = [...baseTypesToProcess];
-            
-            // Check if Registration check-in is required for certain types
-            const typesRequiringRegistration = ['ganvesh_collected', 'cloak_room'];
-            if (typesRequiringRegistration.includes(currentCheckinType)) {
-                const registrationCheckin = await db.collection('checkins')
-                    .where('uniqueId', '==', validatedUniqueId)
-                    .where('checkinType', '==', 'registration')
-                    .limit(1)
-                    .get();
-                
-                if (registrationCheckin.empty) {
-                    results.push({ uniqueId: validatedUniqueId, status: 'failed', error: 'Registration check-in required first' });
-                    failCount++;
-                    continue;
-                }
-            }
-            
-            // Process each type
-            const successTypes = [];
-            for (const type of typesToProcess) {
-                // Check for duplicates for each type
-                if (type === 'cloak_room') {
-                    const existingCheckinQuery = await db.collection('checkins')
-                        .where('uniqueId', '==', validatedUniqueId)
-                        .where('checkinType', '==', 'cloak_room')
-                        .orderBy('timestamp', 'desc')
-                        .limit(1)
-                        .get();
-                    
-                    if (!existingCheckinQuery.empty) {
-                        const existingCheckin = existingCheckinQuery.docs[0].data();
-                        if (!existingCheckin.checkedOutAt) {
-                            continue; // Skip this type
-                        }
-                    }
-                } else {
-                    const existingCheckinQuery = await db.collection('checkins')
-                        .where('uniqueId', '==', validatedUniqueId)
-                        .where('checkinType', '==', type)
-                        .limit(1)
-                        .get();
-                    
-                    if (!existingCheckinQuery.empty) {
-                        continue; // Skip this type (already checked in)
-                    }
-                }
-                
-                // Build checkin data
-                const checkinData = {
-                    uniqueId: validatedUniqueId,
-                    checkinType: type,
-                    timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-                    checkedInBy: user.uid,
-                    checkedInByName: checkedInByName,
-                    notes: null
-                };
-                
-                // Add type-specific fields
-                if (type === 'pickup_location') {
-                    checkinData.pickupLocation = regData.pickupLocation || regData['Pickup Location'] || null;
-                }
-                
-                // Create checkin document
-                const checkinId = `${validatedUniqueId}_${type}_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
-                await db.collection('checkins').doc(checkinId).set(checkinData);
-                successTypes.push(type);
-            }
-            
-            if (successTypes.length > 0) {
-                results.push({ uniqueId: validatedUniqueId, status: 'success', types: successTypes });
-                successCount++;
-            } else {
-                results.push({ uniqueId: validatedUniqueId, status: 'skipped', error: 'All types already checked in' });
-                failCount++;
-            }
-        } catch (error) {
-            console.error(`Error checking in ${uniqueId}:`, error);
-            results.push({ uniqueId, status: 'failed', error: error.message });
-            failCount++;
-        }
+    if (container) container.style.display = 'none';
+    if (video) {
+        video.srcObject = null;
     }
-    
-    // Show results
-    if (batchPreview) {
-        const skippedCount = results.filter(r => r.status === 'skipped').length;
-        const actualFailCount = results.filter(r => r.status === 'failed').length;
-        let html = `
-            <div class="batch-results">
-                <h4>Batch Checkin Results</h4>
-                <p><strong>Total:</strong> ${ids.length} | <strong>Success:</strong> ${successCount} | <strong>Skipped (Already Checked In):</strong> ${skippedCount} | <strong>Failed:</strong> ${actualFailCount}</p>
-                <div class="batch-results-list">
-        `;
-        
-        results.forEach(result => {
-            let statusClass = 'error';
-            let statusText = 'Failed';
-            if (result.status === 'success') {
-                statusClass = 'success';
-                statusText = 'Success';
-            } else if (result.status === 'skipped') {
-                statusClass = 'warning';
-                statusText = 'Skipped (Already Checked In)';
-            }
-            html += `
-                <div class="batch-result-item ${statusClass}">
-                    <span>${escapeHtml(result.uniqueId)}</span>
-                    <span>${statusText}</span>
-                    ${result.error ? `<span>${escapeHtml(result.error)}</span>` : ''}
-                </div>
-            `;
+    if (startBtn) startBtn.style.display = 'inline-block';
+    if (stopBtn) stopBtn.style.display = 'none';
+}
+
+// ============================================
+// RAPID SCAN MODE
+// ============================================
+
+// In rapid scan mode every badge read by the camera or a handheld scanner is checked in
+// straight away for the selected type. The camera keeps running, each result is shown with
+// its own colour and sound, and the last few results stay on screen so a mistaken scan can
+// be undone.
+const RAPID_SCAN_DEBOUNCE_MS = 5000;
+const RAPID_SCAN_HISTORY_SIZE = 10;
+
+let rapidScanEnabled = false;
+let rapidScanTypes = [];
+let rapidScanBusy = false;
+let rapidScanLastCode = '';
+let rapidScanLastCodeAt = 0;
+let rapidScanResults = [];
+let rapidScanAudioContext = null;
+
+// Tones per outcome: [frequency Hz, duration ms] played one after the other
+const RAPID_SCAN_TONES = {
+    success: [[880, 120]],
+    duplicate: [[520, 100], [520, 100]],
+    error: [[200, 450]]
+};
+
+function playRapidScanTone(outcome) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    try {
+        if (!rapidScanAudioContext) rapidScanAudioContext = new AudioContextClass();
+        let start = rapidScanAudioContext.currentTime;
+        (RAPID_SCAN_TONES[outcome] || RAPID_SCAN_TONES.error).forEach(([frequency, duration]) => {
+            const oscillator = rapidScanAudioContext.createOscillator();
+            const gain = rapidScanAudioContext.createGain();
+            oscillator.type = outcome === 'error' ? 'square' : 'sine';
+            oscillator.frequency.value = frequency;
+            gain.gain.value = 0.2;
+            oscillator.connect(gain);
+            gain.connect(rapidScanAudioContext.destination);
+            oscillator.start(start);
+            oscillator.stop(start + duration / 1000);
+            start += (duration + 60) / 1000;
         });
-        
-        html += `
-                </div>
-                <button class="btn btn-secondary" onclick="cancelBatchCheckin()">Close</button>
-            </div>
-        `;
-        
-        batchPreview.innerHTML = html;
+    } catch (error) {
+        console.warn('Could not play scan tone:', error);
     }
-    
-    // Reload recent checkins
-    await loadRecentCheckins(currentCheckinType);
-    await loadCheckinHistory();
-    
-    showNotification(`Batch checkin complete: ${successCount} successful, ${failCount} failed`, 
-        failCount === 0 ? 'success' : 'info');
 }
 
-// Update state of batch confirm button based on confirmation checkboxes
-function updateBatchConfirmState() {
-    const confirmButton = document.getElementById('batchConfirmButton');
-    if (!confirmButton) return;
-    
-    // For registration type, require all checkboxes to be checked
-    if (currentCheckinType === 'registration') {
-        const allRegistrationsDoneCheckbox = document.getElementById('batchAllRegistrationsDoneConfirm');
-        const shulkCheckbox = document.getElementById('batchShulkPaidConfirm');
-        const kitCheckbox = document.getElementById('batchKitCollectedConfirm');
-        
-        if (!allRegistrationsDoneCheckbox || !shulkCheckbox || !kitCheckbox) return;
-        
-        const enabled = allRegistrationsDoneCheckbox.checked && shulkCheckbox.checked && kitCheckbox.checked;
-        confirmButton.disabled = !enabled;
-        confirmButton.style.opacity = enabled ? '1' : '0.6';
-        confirmButton.style.cursor = enabled ? 'pointer' : 'not-allowed';
+// Types that need details typed in for each participant and so cannot be rapid scanned
+function getRapidScanBlockedTypes(types) {
+    return types.filter(type => (getCheckinTypeConfig(type)?.fields || []).some(field => field.required));
+}
+
+// Turn rapid scan on for the check-in type currently selected (registration uses the ticked actions)
+function toggleRapidScanMode(enabled) {
+    const toggle = document.getElementById('rapidScanToggle');
+
+    if (enabled) {
+        const types = currentCheckinType === 'registration' ? getSelectedRegistrationActions() : [currentCheckinType];
+        if (!types.length) {
+            showNotification('Tick the registration actions to record before starting rapid scan.', 'error');
+            if (toggle) toggle.checked = false;
+            return;
+        }
+        // Per-participant details such as a cloak room tag cannot be entered between scans
+        const needsInput = getRapidScanBlockedTypes(types);
+        if (needsInput.length) {
+            showNotification(`Rapid scan is not available for ${needsInput.map(t => CHECKIN_TYPE_LABELS[t] || t).join(', ')} because it needs details for each participant.`, 'error');
+            if (toggle) toggle.checked = false;
+            return;
+        }
+        rapidScanTypes = types;
+        // Audio can only start after a user gesture, so create it while handling the toggle
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (AudioContextClass && !rapidScanAudioContext) rapidScanAudioContext = new AudioContextClass();
     } else {
-        // For other types, button is always enabled
-        confirmButton.disabled = false;
-        confirmButton.style.opacity = '1';
-        confirmButton.style.cursor = 'pointer';
+        rapidScanTypes = [];
+    }
+
+    rapidScanEnabled = enabled;
+    rapidScanLastCode = '';
+    if (toggle) toggle.checked = enabled;
+
+    const panel = document.getElementById('rapidScanPanel');
+    if (panel) panel.style.display = enabled ? 'block' : 'none';
+    // Extra fields are not sent with rapid scans, so hide them while it is on
+    const extraFields = document.getElementById('checkinExtraFields');
+    if (enabled && extraFields) {
+        extraFields.style.display = 'none';
+    } else {
+        renderCheckinExtraFields();
+    }
+    const typesLabel = document.getElementById('rapidScanTypesLabel');
+    if (typesLabel) typesLabel.textContent = rapidScanTypes.map(t => CHECKIN_TYPE_LABELS[t] || t).join(', ');
+
+    if (enabled) {
+        clearCheckinForm();
+        clearParticipantInfo();
+        setRapidScanStatus('ready', 'Ready - scan a badge');
+        document.getElementById('barcodeInput')?.focus();
     }
 }
 
-// Cancel batch checkin
-function cancelBatchCheckin() {
-    const batchInput = document.getElementById('batchInput');
-    const batchPreview = document.getElementById('batchPreview');
-    
-    if (batchInput) batchInput.value = '';
-    if (batchPreview) {
-        batchPreview.style.display = 'none';
-        batchPreview.innerHTML = '';
-    }
+function setRapidScanStatus(outcome, title, detail = '') {
+    const status = document.getElementById('rapidScanStatus');
+    if (!status) return;
+    status.className = `rapid-scan-status rapid-scan-${outcome}`;
+    status.innerHTML = `<div class="rapid-scan-title">${escapeHtml(title)}</div>${detail ? `<div>${escapeHtml(detail)}</div>` : ''}`;
 }
 
-// ============================================
-// CHECKIN HISTORY FUNCTIONS
-// ============================================
+// Entry point for every code read while rapid scan is on
+async function handleRapidScan(code) {
+    const scannedCode = (code || '').toString().trim().toUpperCase();
+    if (!scannedCode || rapidScanBusy) return;
 
-// Load checkin history
-async function loadCheckinHistory(page = 1) {
-    if (!window.firebase || !firebase.firestore) return;
-    
-    currentHistoryPage = page;
-    
-    const historyList = document.getElementById('checkinHistoryList');
-    const resultsCount = document.getElementById('historyResultsCount');
-    
-    if (!historyList) return;
-    
+    // The camera reads the same badge many times a second while it is in view
+    const now = Date.now();
+    if (scannedCode === rapidScanLastCode && now - rapidScanLastCodeAt < RAPID_SCAN_DEBOUNCE_MS) return;
+    rapidScanLastCode = scannedCode;
+    rapidScanLastCodeAt = now;
+
+    rapidScanBusy = true;
+    setRapidScanStatus('working', 'Checking in...');
     try {
-        const db = firebase.firestore();
-        const user = firebase.auth().currentUser;
-        if (!user) return;
-        
-        const isAdminUser = await isAdmin(user);
-        
-        // Get filters
-        const filterType = document.getElementById('historyFilterType')?.value || '';
-        const filterSearch = document.getElementById('historyFilterSearch')?.value.trim() || '';
-        
-        let snapshot;
-        let totalCount;
-        
-        if (isAdminUser) {
-            // Admins: show all checkins
-        let query = db.collection('checkins');
-        
-        // Apply filters
-        if (filterType) {
-            query = query.where('checkinType', '==', filterType);
+        await processRapidScan(scannedCode);
+    } finally {
+        rapidScanBusy = false;
+        const barcodeInput = document.getElementById('barcodeInput');
+        if (barcodeInput) {
+            barcodeInput.value = '';
+            barcodeInput.focus();
         }
-        
-        // Order by timestamp
-        query = query.orderBy('timestamp', 'desc');
-        
-        // Get total count (for pagination)
-        const totalSnapshot = await query.get();
-            totalCount = totalSnapshot.size;
-        
-        // Apply pagination
-        const startAfter = (page - 1) * historyPageSize;
-        if (startAfter > 0) {
-            const startDoc = totalSnapshot.docs[startAfter - 1];
-            query = query.startAfter(startDoc);
+    }
+}
+
+async function processRapidScan(scannedCode) {
+    hideBadgeVerificationWarning();
+
+    let uniqueId = scannedCode;
+    if (isSignedBadgePayload(scannedCode)) {
+        uniqueId = await verifySignedBadge(scannedCode);
+        if (!uniqueId) {
+            recordRapidScanResult({ outcome: 'error', uniqueId: '', name: '', message: 'Badge could not be verified' });
+            return;
         }
-        query = query.limit(historyPageSize);
-        
-            snapshot = await query.get();
-        } else {
-            // Volunteers: only show checkins they created
-            // Query by checkedInBy, then filter client-side to avoid index requirements
-            const allUserCheckins = await db.collection('checkins')
-                .where('checkedInBy', '==', user.uid)
-                .get();
-            
-            // Filter by checkinType if provided, then sort by timestamp
-            let filteredDocs = Array.from(allUserCheckins.docs);
-            
-            if (filterType) {
-                filteredDocs = filteredDocs.filter(doc => doc.data().checkinType === filterType);
-            }
-            
-            // Sort by timestamp descending
-            filteredDocs.sort((a, b) => {
-                const aTime = a.data().timestamp?.toMillis() || 0;
-                const bTime = b.data().timestamp?.toMillis() || 0;
-                return bTime - aTime; // Descending order
-            });
-            
-            totalCount = filteredDocs.length;
-            
-            // Apply pagination
-            const startAfter = (page - 1) * historyPageSize;
-            const endAt = startAfter + historyPageSize;
-            filteredDocs = filteredDocs.slice(startAfter, endAt);
-            
-            // Create a mock snapshot-like object
-            snapshot = {
-                docs: filteredDocs,
-                empty: filteredDocs.length === 0
-            };
+    } else if (!(await acceptsUnsignedBadges())) {
+        recordRapidScanResult({ outcome: 'error', uniqueId: scannedCode, name: '', message: 'Barcode-only badges are no longer accepted' });
+        return;
+    } else {
+        showUnsignedBadgeWarning(scannedCode);
+    }
+
+    // The type registry may have changed since rapid scan was turned on
+    const blockedTypes = getRapidScanBlockedTypes(rapidScanTypes);
+    if (blockedTypes.length) {
+        recordRapidScanResult({ outcome: 'error', uniqueId, name: '', message: 'Not recorded: details are now required for each participant' });
+        showNotification(`Rapid scan stopped: ${blockedTypes.map(t => CHECKIN_TYPE_LABELS[t] || t).join(', ')} now needs details for each participant.`, 'error');
+        toggleRapidScanMode(false);
+        return;
+    }
+    // Optional extra fields describe one participant, so they are never copied onto every scan
+    const fieldValues = {};
+
+    if (isCheckinOffline()) {
+        const entry = getOfflineRoster()?.participants.find(p => p.uniqueId === uniqueId);
+        if (!entry) {
+            recordRapidScanResult({ outcome: 'error', uniqueId, name: '', message: 'Not found in the offline roster' });
+            return;
         }
-        
-        // Fetch participant data from registrations for all checkins
-        const uniqueIds = snapshot.docs.map(doc => doc.data().uniqueId).filter(id => id);
-        const registrationsMap = new Map();
-        
-        if (uniqueIds.length > 0) {
-            const registrationPromises = uniqueIds.map(uniqueId => 
-                db.collection('registrations').doc(uniqueId).get()
-            );
-            const registrationDocs = await Promise.all(registrationPromises);
-            
-            registrationDocs.forEach(regDoc => {
-                if (regDoc.exists) {
-                    const regData = regDoc.data();
-                    const name = regData.name || regData['Full Name'] || 'Unknown';
-                    const email = regData.email || regData['Email address'] || '';
-                    registrationsMap.set(regDoc.id, { name, email });
-                }
-            });
+        const queuedAt = Date.now();
+        const queuedTypes = queueOfflineCheckin(uniqueId, rapidScanTypes, fieldValues) || [];
+        recordRapidScanResult({
+            outcome: queuedTypes.length ? 'success' : 'duplicate',
+            uniqueId,
+            name: entry.name || '',
+            message: queuedTypes.length ? 'Saved offline' : 'Already queued on this device',
+            offline: { types: queuedTypes, queuedAt }
+        });
+        return;
+    }
+
+    try {
+        const result = await submitCheckinToApi({
+            uniqueId: uniqueId,
+            checkinTypes: rapidScanTypes,
+            notes: document.getElementById('checkinNotes')?.value.trim() || null,
+            fields: fieldValues,
+            source: 'desk'
+        });
+
+        const checkedIn = result.results.filter(r => r.status === 'checked_in');
+        const duplicates = result.results.filter(r => r.status === 'duplicate');
+        const failed = result.results.filter(r => !['checked_in', 'duplicate'].includes(r.status));
+
+        let outcome = 'success';
+        let message = `Checked in: ${checkedIn.map(r => CHECKIN_TYPE_LABELS[r.checkinType] || r.checkinType).join(', ')}`;
+        if (!checkedIn.length && failed.length) {
+            outcome = 'error';
+            message = failed.map(r => r.message).join(' ');
+        } else if (!checkedIn.length) {
+            outcome = 'duplicate';
+            const first = duplicates[0]?.existing || {};
+            const when = first.timestamp ? new Date(first.timestamp).toLocaleTimeString() : '';
+            message = `Already checked in${when ? ' at ' + when : ''}${first.checkedInByName ? ' by ' + first.checkedInByName : ''}`;
+        } else if (failed.length || duplicates.length) {
+            message += ` (${[...failed, ...duplicates].map(r => `${CHECKIN_TYPE_LABELS[r.checkinType] || r.checkinType}: ${r.message}`).join('; ')})`;
         }
-        
-        // Filter by search term if provided (client-side)
-        let filteredDocs = snapshot.docs;
-        if (filterSearch) {
-            const searchLower = filterSearch.toLowerCase();
-            filteredDocs = filteredDocs.filter(doc => {
-                const data = doc.data();
-                const regInfo = registrationsMap.get(data.uniqueId) || { name: '', email: '' };
-                const name = (regInfo.name || '').toLowerCase();
-                const email = (regInfo.email || '').toLowerCase();
-                const uniqueId = (data.uniqueId || '').toLowerCase();
-                return name.includes(searchLower) || email.includes(searchLower) || uniqueId.includes(searchLower);
+
+        recordRapidScanResult({
+            outcome,
+            uniqueId: result.uniqueId || uniqueId,
+            name: result.participant?.name || '',
+            message,
+            checkinIds: checkedIn.map(r => r.checkinId).filter(Boolean)
+        });
+    } catch (error) {
+        console.error('Rapid scan check-in failed:', error);
+        // Network dropped mid-scan: queue it like the normal desk flow when the roster is cached
+        if (error.code === 'unavailable' && getOfflineRoster()) {
+            const queuedAt = Date.now();
+            const queuedTypes = queueOfflineCheckin(uniqueId, rapidScanTypes, fieldValues) || [];
+            recordRapidScanResult({
+                outcome: queuedTypes.length ? 'success' : 'error',
+                uniqueId,
+                name: '',
+                message: queuedTypes.length ? 'Service unreachable - saved offline' : 'Service unreachable',
+                offline: { types: queuedTypes, queuedAt }
             });
-        }
-        
-        // Update results count
-        if (resultsCount) {
-            resultsCount.innerHTML = `<p><strong>Total Results:</strong> ${filterSearch ? filteredDocs.length : totalCount}</p>`;
-        }
-        
-        // Display results
-        if (filteredDocs.length === 0) {
-            historyList.innerHTML = '<p>No checkins found</p>';
             return;
         }
-        
-        let html = `
-            <table class="data-table">
-                <thead>
-                    <tr>
-                        <th>Timestamp</th>
-                        <th>Participant</th>
-                        <th>Praveshika ID</th>
-                        <th>Checkin Type</th>
-                        <th>Location</th>
-                        <th>Checked In By</th>
-                        <th>Notes</th>
-                    </tr>
-                </thead>
-                <tbody>
-        `;
-        
-        filteredDocs.forEach(doc => {
-            const data = doc.data();
-            const timestamp = data.timestamp?.toDate();
-            const timeStr = timestamp ? timestamp.toLocaleString() : 'Unknown';
-            const regInfo = registrationsMap.get(data.uniqueId) || { name: 'Unknown', email: '' };
-            
-            html += `
-                <tr>
-                    <td>${escapeHtml(timeStr)}</td>
-                    <td>${escapeHtml(regInfo.name)}</td>
-                    <td>${escapeHtml(data.uniqueId || 'N/A')}</td>
-                    <td>${escapeHtml(CHECKIN_TYPE_LABELS[data.checkinType] || data.checkinType)}</td>
-                    <td>${escapeHtml(data.pickupLocation || 'N/A')}</td>
-                    <td>${escapeHtml(data.checkedInByName || 'Unknown')}</td>
-                    <td>${escapeHtml(data.notes || '')}</td>
-                </tr>
-            `;
+        recordRapidScanResult({
+            outcome: 'error',
+            uniqueId,
+            name: '',
+            message: error.status === 404 ? 'Praveshika ID not found' : error.message
         });
-        
-        html += `
-                </tbody>
-            </table>
-        `;
-        
-        historyList.innerHTML = html;
-        
-        // Update pagination
-        updateHistoryPagination(Math.ceil(totalCount / historyPageSize), page);
-        
+    }
+}
+
+function recordRapidScanResult(result) {
+    result.id = `${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+    result.at = new Date();
+    rapidScanResults.unshift(result);
+    rapidScanResults = rapidScanResults.slice(0, RAPID_SCAN_HISTORY_SIZE);
+
+    const titles = { success: 'OK', duplicate: 'ALREADY CHECKED IN', error: 'NOT CHECKED IN' };
+    setRapidScanStatus(result.outcome, `${titles[result.outcome]} - ${result.name || result.uniqueId || 'Unknown badge'}`,
+        `${result.uniqueId ? result.uniqueId + ': ' : ''}${result.message}`);
+    playRapidScanTone(result.outcome);
+    renderRapidScanResults();
+}
+
+function renderRapidScanResults() {
+    const list = document.getElementById('rapidScanResults');
+    if (!list) return;
+
+    if (rapidScanResults.length === 0) {
+        list.innerHTML = '';
+        return;
+    }
+
+    list.innerHTML = rapidScanResults.map(r => {
+        const canUndo = r.outcome === 'success' && !r.undone &&
+            ((r.checkinIds && r.checkinIds.length) || (r.offline && r.offline.types.length));
+        return `
+            <li class="rapid-scan-result rapid-scan-${r.undone ? 'undone' : r.outcome}">
+                <span class="rapid-scan-time">${escapeHtml(r.at.toLocaleTimeString())}</span>
+                <span><strong>${escapeHtml(r.uniqueId || '-')}</strong> ${escapeHtml(r.name)} - ${escapeHtml(r.undone ? 'Undone' : r.message)}</span>
+                ${canUndo ? `<button class="btn btn-secondary btn-sm" onclick="undoRapidScanResult('${r.id}')">Undo</button>` : ''}
+            </li>`;
+    }).join('');
+}
+
+// Remove the check-ins recorded by one scan (or drop them from the offline queue)
+async function undoRapidScanResult(resultId) {
+    const result = rapidScanResults.find(r => r.id === resultId);
+    if (!result || result.undone) return;
+    if (!confirm(`Undo the check-in for ${result.uniqueId}?`)) return;
+
+    try {
+        if (result.offline) {
+            const queue = getOfflineCheckinQueue().filter(q => !(q.uniqueId === result.uniqueId &&
+                result.offline.types.includes(q.checkinType) && q.queuedAt >= result.offline.queuedAt));
+            saveOfflineCheckinQueue(queue);
+            updateOfflineCheckinStatus();
+        } else {
+            await undoCheckinsViaApi(result.checkinIds);
+        }
+        result.undone = true;
+        renderRapidScanResults();
+        showNotification(`Check-in for ${result.uniqueId} undone.`, 'success');
+        // Allow the same badge to be scanned again straight away
+        rapidScanLastCode = '';
+        loadRecentCheckins(currentCheckinType).catch(error => console.error('Error reloading recent checkins:', error));
     } catch (error) {
-        console.error('Error loading checkin history:', error);
-        let errorMessage = 'Error loading checkin history';
-        if (error.code === 'failed-precondition') {
-            errorMessage = 'Database index required. Please contact administrator.';
-        } else if (error.message) {
-            errorMessage = `Error: ${error.message}`;
+        console.error('Error undoing rapid scan check-in:', error);
+        showNotification('Error undoing check-in: ' + error.message, 'error');
+    }
+}
+
+// ============================================
+// SELF-SERVICE KIOSK
+// ============================================
+
+// Entrance tablets open the site with ?kiosk and show only the kiosk screen. The tablet
+// signs in with its device token (exchanged for a Firebase custom token by /api/kiosk),
+// participants scan the signed QR code on their badge, see their first name and confirm,
+// and /api/kiosk records a registration check-in with source 'kiosk' and returns the next
+// steps. The kiosk never reads registrations itself. The screen resets after each person.
+const KIOSK_TOKEN_KEY = 'kioskDeviceToken';
+const KIOSK_RESULT_RESET_MS = 10000;
+const KIOSK_CONFIRM_RESET_MS = 30000;
+
+let kioskSessionStarting = false;
+let kioskSignedInUid = null;
+let kioskResetTimer = null;
+let kioskParticipant = null;
+
+function isKioskMode() {
+    return new URLSearchParams(window.location.search).has('kiosk');
+}
+
+function showKioskScreen(screen) {
+    ['kioskSetup', 'kioskWelcome', 'kioskConfirm', 'kioskResult'].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) element.style.display = id === screen ? 'block' : 'none';
+    });
+}
+
+function scheduleKioskReset(delay) {
+    clearTimeout(kioskResetTimer);
+    kioskResetTimer = setTimeout(resetKiosk, delay);
+}
+
+// Back to the welcome screen, ready for the next person
+function resetKiosk() {
+    clearTimeout(kioskResetTimer);
+    kioskParticipant = null;
+    const input = document.getElementById('kioskIdInput');
+    if (input) input.value = '';
+    showKioskScreen('kioskWelcome');
+    startKioskScanner();
+}
+
+// The desk scanner's video lives in the check-in tab; move it onto the kiosk screen
+function startKioskScanner() {
+    const scannerContainer = document.getElementById('barcodeScannerContainer');
+    const kioskScanner = document.getElementById('kioskScanner');
+    if (scannerContainer && kioskScanner && scannerContainer.parentElement !== kioskScanner) {
+        kioskScanner.appendChild(scannerContainer);
+    }
+    if (!barcodeScannerActive) {
+        startBarcodeScan();
+    }
+    document.getElementById('kioskIdInput')?.focus();
+}
+
+// Kiosk replacement for the normal auth UI: keep the tablet signed in as the kiosk device
+async function handleKioskAuthState(user) {
+    document.body.classList.add('kiosk-mode');
+    activateTab('kiosk', true);
+
+    if (user) {
+        const tokenResult = await user.getIdTokenResult();
+        if (tokenResult.claims.kiosk) {
+            // Auth state can be reported twice on load; only start the screen once
+            if (kioskSignedInUid === user.uid) return;
+            kioskSignedInUid = user.uid;
+            kioskSessionStarting = false;
+            const label = document.getElementById('kioskDeviceLabel');
+            if (label) label.textContent = localStorage.getItem(KIOSK_TOKEN_KEY + 'Label') || '';
+            resetKiosk();
+            return;
         }
-        historyList.innerHTML = `<p style="color: #dc3545;">${errorMessage}</p>`;
+        // Someone's own account is signed in on this browser; the kiosk must not use it
+        await firebase.auth().signOut();
+        return;
+    }
+
+    kioskSignedInUid = null;
+    const deviceToken = localStorage.getItem(KIOSK_TOKEN_KEY);
+    if (deviceToken) {
+        await startKioskSession(deviceToken);
+    } else {
+        showKioskScreen('kioskSetup');
     }
 }
 
-// Apply history filters
-function applyHistoryFilters() {
-    loadCheckinHistory(1);
+async function startKioskSession(deviceToken) {
+    if (kioskSessionStarting) return;
+    kioskSessionStarting = true;
+
+    try {
+        const response = await fetch('/api/kiosk', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ action: 'session', deviceToken })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `Kiosk service error (${response.status})`);
+        }
+        localStorage.setItem(KIOSK_TOKEN_KEY, deviceToken);
+        localStorage.setItem(KIOSK_TOKEN_KEY + 'Label', result.label || '');
+        // handleAuthStateChange picks up the new session
+        await firebase.auth().signInWithCustomToken(result.customToken);
+    } catch (error) {
+        console.error('Error starting kiosk session:', error);
+        kioskSessionStarting = false;
+        localStorage.removeItem(KIOSK_TOKEN_KEY);
+        showKioskScreen('kioskSetup');
+        const message = document.getElementById('kioskSetupMessage');
+        if (message) message.textContent = error.message;
+    }
 }
 
-// Clear history filters
-function clearHistoryFilters() {
-    const filterType = document.getElementById('historyFilterType');
-    const filterSearch = document.getElementById('historyFilterSearch');
-    
-    if (filterType) filterType.value = '';
-    if (filterSearch) filterSearch.value = '';
-    
-    loadCheckinHistory(1);
+function submitKioskToken() {
+    const deviceToken = document.getElementById('kioskTokenInput')?.value.trim();
+    if (!deviceToken) return;
+    startKioskSession(deviceToken);
 }
 
-// Toggle checkin history visibility
-function toggleCheckinHistory() {
-    const historyContent = document.getElementById('checkinHistoryContent');
-    const toggleIcon = document.getElementById('historyToggleIcon');
-    const toggleBtn = document.getElementById('toggleHistoryBtn');
-    
-    if (!historyContent || !toggleIcon) return;
-    
-    if (historyContent.style.display === 'none') {
-        historyContent.style.display = 'block';
-        toggleIcon.textContent = '▲';
-        toggleBtn.innerHTML = '<span id="historyToggleIcon">▲</span> Hide History';
-        // Load history if not already loaded
-        if (document.getElementById('checkinHistoryList')?.innerHTML === '') {
-            loadCheckinHistory(1);
-        }
-    } else {
-        historyContent.style.display = 'none';
-        toggleIcon.textContent = '▼';
-        toggleBtn.innerHTML = '<span id="historyToggleIcon">▼</span> Show History';
+// Called with each code from the camera or the scanner input on the welcome screen
+async function handleKioskScan(code) {
+    const scannedCode = (code || '').toString().trim().toUpperCase();
+    if (!scannedCode) return;
+
+    // Only a signed badge is accepted; /api/kiosk checks the signature and version
+    if (!isSignedBadgePayload(scannedCode)) {
+        showKioskResult('error', 'Please scan the QR code on your badge.', 'If your badge has no QR code, please go to the registration desk.');
+        return;
+    }
+
+    try {
+        const result = await callKioskApi({ action: 'lookup', badge: scannedCode });
+        kioskParticipant = { badge: scannedCode, firstName: result.firstName };
+        document.getElementById('kioskConfirmName').textContent = result.firstName;
+        showKioskScreen('kioskConfirm');
+        scheduleKioskReset(KIOSK_CONFIRM_RESET_MS);
+    } catch (error) {
+        console.error('Kiosk lookup failed:', error);
+        showKioskResult('error', 'We could not read this badge.', 'Please go to the registration desk for help.');
     }
 }
 
-// Update history pagination
-function updateHistoryPagination(totalPages, currentPage) {
-    const pagination = document.getElementById('historyPagination');
-    if (!pagination) return;
-    
-    if (totalPages <= 1) {
-        pagination.innerHTML = '';
+function submitKioskId() {
+    const input = document.getElementById('kioskIdInput');
+    if (!input || !input.value.trim()) return;
+    stopBarcodeScan();
+    handleKioskScan(input.value);
+}
+
+async function confirmKioskCheckin() {
+    if (!kioskParticipant) {
+        resetKiosk();
         return;
     }
-    
-    let html = '<div class="pagination-controls">';
-    
-    // Previous button
-    if (currentPage > 1) {
-        html += `<button class="btn btn-secondary" onclick="loadCheckinHistory(${currentPage - 1})">Previous</button>`;
-    }
-    
-    // Page numbers
-    for (let i = 1; i <= totalPages && i <= 10; i++) {
-        if (i === currentPage) {
-            html += `<button class="btn btn-primary" disabled>${i}</button>`;
+    clearTimeout(kioskResetTimer);
+    const button = document.getElementById('kioskConfirmBtn');
+    if (button) button.disabled = true;
+
+    try {
+        const result = await callKioskApi({ action: 'checkin', badge: kioskParticipant.badge });
+        if (result.status === 'checked_in') {
+            showKioskResult('success', 'You are checked in. Welcome!', '', result.nextSteps || []);
         } else {
-            html += `<button class="btn btn-secondary" onclick="loadCheckinHistory(${i})">${i}</button>`;
+            showKioskResult('duplicate', 'You are already checked in.', '', result.nextSteps || []);
         }
+    } catch (error) {
+        console.error('Kiosk check-in failed:', error);
+        showKioskResult('error', 'We could not check you in.', 'Please go to the registration desk for help.');
+    } finally {
+        if (button) button.disabled = false;
     }
-    
-    // Next button
-    if (currentPage < totalPages) {
-        html += `<button class="btn btn-secondary" onclick="loadCheckinHistory(${currentPage + 1})">Next</button>`;
-    }
-    
-    html += '</div>';
-    pagination.innerHTML = html;
 }
 
-// ============================================
-// EXPORT FUNCTIONS
-// ============================================
+function showKioskResult(outcome, title, detail, steps = []) {
+    const result = document.getElementById('kioskResult');
+    if (!result) return;
+    result.className = `kiosk-screen kiosk-result kiosk-result-${outcome}`;
+    result.innerHTML = `
+        <h2>${escapeHtml(title)}</h2>
+        ${detail ? `<p>${escapeHtml(detail)}</p>` : ''}
+        ${steps.length ? `<h3>Next steps</h3><ol>${steps.map(step => `<li>${escapeHtml(step)}</li>`).join('')}</ol>` : ''}
+        <button class="btn btn-primary" onclick="resetKiosk()">Done</button>`;
+    showKioskScreen('kioskResult');
+    scheduleKioskReset(KIOSK_RESULT_RESET_MS);
+}
 
-// Export checkin history
-async function exportCheckinHistory(format) {
-    if (!window.firebase || !firebase.firestore) {
-        showNotification('Firebase not initialized', 'error');
+// Kiosk lookups and check-ins (with the kiosk's own token) and, for admins, kiosk devices
+// in User Management
+async function callKioskApi(payload) {
+    const user = firebase.auth().currentUser;
+    if (!user) {
+        throw new Error('Please log in first');
+    }
+
+    const idToken = await user.getIdToken();
+    const response = await fetch('/api/kiosk', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${idToken}`
+        },
+        body: JSON.stringify(payload)
+    });
+
+    let result;
+    try {
+        result = await response.json();
+    } catch (jsonError) {
+        throw new Error(`Kiosk service returned an invalid response (${response.status})`);
+    }
+
+    if (!response.ok) {
+        throw new Error(result.error || `Kiosk service error (${response.status})`);
+    }
+    return result;
+}
+
+async function createKioskDevice() {
+    const labelInput = document.getElementById('kioskDeviceLabelInput');
+    const label = labelInput?.value.trim();
+    if (!label) {
+        showNotification('Please enter a name for the kiosk.', 'error');
         return;
     }
-    
+
     try {
-        const db = firebase.firestore();
-        const user = firebase.auth().currentUser;
-        if (!user) {
-            showNotification('Please log in to export', 'error');
-            return;
-        }
-        
-        const isAdminUser = await isAdmin(user);
-        
-        // Get all filtered data (not paginated)
-        const filterType = document.getElementById('historyFilterType')?.value || '';
-        const filterSearch = document.getElementById('historyFilterSearch')?.value.trim() || '';
-        
-        let snapshot;
-        
-        if (isAdminUser) {
-            // Admins: export all checkins
-        let query = db.collection('checkins');
-        
-        if (filterType) {
-            query = query.where('checkinType', '==', filterType);
-        }
-        
-        // Order by timestamp
-        query = query.orderBy('timestamp', 'desc');
-        
-            snapshot = await query.get();
-        } else {
-            // Volunteers: only export checkins they created
-            const allUserCheckins = await db.collection('checkins')
-                .where('checkedInBy', '==', user.uid)
-                .get();
-            
-            // Filter by checkinType if provided, then sort by timestamp
-            let filteredDocs = Array.from(allUserCheckins.docs);
-            
-            if (filterType) {
-                filteredDocs = filteredDocs.filter(doc => doc.data().checkinType === filterType);
-            }
-            
-            // Sort by timestamp descending
-            filteredDocs.sort((a, b) => {
-                const aTime = a.data().timestamp?.toMillis() || 0;
-                const bTime = b.data().timestamp?.toMillis() || 0;
-                return bTime - aTime; // Descending order
-            });
-            
-            // Create a mock snapshot-like object
-            snapshot = {
-                docs: filteredDocs,
-                empty: filteredDocs.length === 0
-            };
-        }
-        
-        // Fetch participant data from registrations
-        const uniqueIds = snapshot.docs.map(doc => doc.data().uniqueId).filter(id => id);
-        const registrationsMap = new Map();
-        
-        if (uniqueIds.length > 0) {
-            const registrationPromises = uniqueIds.map(uniqueId => 
-                db.collection('registrations').doc(uniqueId).get()
-            );
-            const registrationDocs = await Promise.all(registrationPromises);
-            
-            registrationDocs.forEach(regDoc => {
-                if (regDoc.exists) {
-                    const regData = regDoc.data();
-                    const name = regData.name || regData['Full Name'] || 'Unknown';
-                    const email = regData.email || regData['Email address'] || '';
-                    registrationsMap.set(regDoc.id, { name, email });
-                }
-            });
-        }
-        
-        // Filter by search term
-        let docs = snapshot.docs;
-        if (filterSearch) {
-            const searchLower = filterSearch.toLowerCase();
-            docs = docs.filter(doc => {
-                const data = doc.data();
-                const regInfo = registrationsMap.get(data.uniqueId) || { name: '', email: '' };
-                const name = (regInfo.name || '').toLowerCase();
-                const email = (regInfo.email || '').toLowerCase();
-                const uniqueId = (data.uniqueId || '').toLowerCase();
-                return name.includes(searchLower) || email.includes(searchLower) || uniqueId.includes(searchLower);
-            });
+        const result = await callKioskApi({ action: 'create', label });
+        const kioskUrl = `${window.location.origin}/?kiosk`;
+        const tokenDiv = document.getElementById('kioskNewToken');
+        if (tokenDiv) {
+            tokenDiv.style.display = 'block';
+            tokenDiv.innerHTML = `
+                <p><strong>${escapeHtml(result.label)}</strong> created. Open <code>${escapeHtml(kioskUrl)}</code> on the tablet and enter this token.
+                It is shown only once:</p>
+                <p><code class="kiosk-token">${escapeHtml(result.deviceToken)}</code></p>`;
         }
-        
-        if (format === 'csv') {
-            exportToCSV(docs, registrationsMap);
-        } else if (format === 'pdf') {
-            exportToPDF(docs, registrationsMap);
+        if (labelInput) labelInput.value = '';
+        await loadKioskDevices();
+    } catch (error) {
+        console.error('Error creating kiosk:', error);
+        showNotification('Error creating kiosk: ' + error.message, 'error');
+    }
+}
+
+async function revokeKioskDevice(deviceId, label) {
+    if (!confirm(`Deactivate kiosk "${label}"? The tablet will stop checking people in.`)) return;
+
+    try {
+        await callKioskApi({ action: 'revoke', deviceId });
+        showNotification(`Kiosk "${label}" deactivated.`, 'success');
+        await loadKioskDevices();
+    } catch (error) {
+        console.error('Error revoking kiosk:', error);
+        showNotification('Error deactivating kiosk: ' + error.message, 'error');
+    }
+}
+
+async function loadKioskDevices() {
+    const listDiv = document.getElementById('kioskDeviceList');
+    if (!listDiv) return;
+
+    try {
+        const snapshot = await firebase.firestore().collection('kioskDevices').get();
+        if (snapshot.empty) {
+            listDiv.innerHTML = '<p style="color: #666;">No kiosks yet.</p>';
+            return;
         }
-        
+
+        const rows = snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .sort((a, b) => (a.label || '').localeCompare(b.label || ''))
+            .map(device => {
+                const lastSession = safeTimestampToDate(device.lastSessionAt);
+                return `
+                    <tr>
+                        <td>${escapeHtml(device.label)}</td>
+                        <td>${device.active ? 'Active' : 'Deactivated'}</td>
+                        <td>${lastSession ? escapeHtml(lastSession.toLocaleString()) : '-'}</td>
+                        <td>${escapeHtml(device.createdByName || '-')}</td>
+                        <td>${device.active ? `<button class="btn btn-secondary btn-sm" onclick="revokeKioskDevice('${device.id}', '${escapeHtml(device.label).replace(/'/g, '&#39;')}')">Deactivate</button>` : ''}</td>
+                    </tr>`;
+            }).join('');
+
+        listDiv.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Kiosk</th>
+                        <th>Status</th>
+                        <th>Last Signed In</th>
+                        <th>Created By</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>`;
     } catch (error) {
-        console.error('Error exporting checkin history:', error);
-        showNotification('Error exporting: ' + error.message, 'error');
+        console.error('Error loading kiosks:', error);
+        listDiv.innerHTML = '<p style="color: red;">Error loading kiosks.</p>';
     }
 }
 
-// Export to CSV
-function exportToCSV(docs, registrationsMap) {
-    const headers = ['Timestamp', 'Participant Name', 'Praveshika ID', 'Email', 'Checkin Type', 'Location', 'Bag Count', 'Locker ID', 'Checked In By', 'Notes'];
-    
-    let csv = headers.join(',') + '\n';
-    
-    docs.forEach(doc => {
-        const data = doc.data();
-        const timestamp = data.timestamp?.toDate();
-        const timeStr = timestamp ? timestamp.toLocaleString() : 'Unknown';
-        const regInfo = registrationsMap?.get(data.uniqueId) || { name: '', email: '' };
-        
-        const row = [
-            timeStr,
-            regInfo.name || '',
-            data.uniqueId || '',
-            regInfo.email || '',
-            CHECKIN_TYPE_LABELS[data.checkinType] || data.checkinType || '',
-            data.pickupLocation || '',
-            data.paymentMethod || '',
-            data.itemCount || '',
-            data.tagId || '',
-            data.checkedOutAt ? data.checkedOutAt.toDate().toLocaleString() : '',
-            data.checkedInByName || '',
-            (data.notes || '').replace(/"/g, '""') // Escape quotes in CSV
-        ];
-        
-        csv += row.map(cell => `"${cell}"`).join(',') + '\n';
-    });
-    
-    // Download
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    const url = URL.createObjectURL(blob);
-    link.setAttribute('href', url);
-    link.setAttribute('download', `checkin_history_${new Date().toISOString().split('T')[0]}.csv`);
-    link.style.visibility = 'hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    
-    showNotification('CSV exported successfully', 'success');
+// ============================================
+// OFFLINE CHECKIN MODE
+// ============================================
+
+// Offline mode keeps a local copy of the approved roster so volunteers can keep
+// searching and recording check-ins while the venue network is down. Check-ins
+// recorded offline go into a localStorage queue and are sent to /api/checkin
+// by syncOfflineCheckinQueue() once we are back online.
+const OFFLINE_ROSTER_KEY = 'offlineCheckinRoster';
+const OFFLINE_QUEUE_KEY = 'offlineCheckinQueue';
+const OFFLINE_CONFLICTS_KEY = 'offlineCheckinConflicts';
+const OFFLINE_FORCED_KEY = 'offlineCheckinForced';
+const OFFLINE_ROSTER_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+let offlineCheckinSyncInProgress = false;
+let offlineCheckinListenersSetup = false;
+
+// Whether check-ins should go to the local queue instead of Firestore
+function isCheckinOffline() {
+    if (localStorage.getItem(OFFLINE_FORCED_KEY) === 'true') return true;
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
 }
 
-// Export to PDF
-function exportToPDF(docs, registrationsMap) {
-    if (typeof window.jspdf === 'undefined') {
-        showNotification('PDF library not loaded', 'error');
-        return;
+// Read the cached roster ({ participants, volunteer, downloadedAt }) or null
+function getOfflineRoster() {
+    return getCachedData(OFFLINE_ROSTER_KEY, OFFLINE_ROSTER_MAX_AGE_MS);
+}
+
+function getOfflineCheckinQueue() {
+    try {
+        return JSON.parse(localStorage.getItem(OFFLINE_QUEUE_KEY) || '[]');
+    } catch (e) {
+        console.error('Error reading offline checkin queue:', e);
+        return [];
     }
-    
-    const { jsPDF } = window.jspdf;
-    const doc = new jsPDF();
-    
-    // Add header
-    doc.setFontSize(16);
-    doc.text('Checkin History Report', 14, 22);
-    doc.setFontSize(10);
-    doc.text(`Generated: ${new Date().toLocaleString()}`, 14, 30);
-    doc.text(`Total Records: ${docs.length}`, 14, 36);
-    
-    // Add table
-    let y = 45;
-    const pageHeight = doc.internal.pageSize.height;
-    const margin = 14;
-    
-    // Headers
-    doc.setFontSize(10);
-    doc.setFont(undefined, 'bold');
-    doc.text('Timestamp', margin, y);
-    doc.text('Participant', margin + 40, y);
-    doc.text('ID', margin + 80, y);
-    doc.text('Type', margin + 110, y);
-    doc.text('By', margin + 140, y);
-    
-    y += 8;
-    doc.setFont(undefined, 'normal');
-    
-    docs.forEach((docItem, index) => {
-        if (y > pageHeight - 20) {
-            doc.addPage();
-            y = 20;
+}
+
+function saveOfflineCheckinQueue(queue) {
+    localStorage.setItem(OFFLINE_QUEUE_KEY, JSON.stringify(queue));
+}
+
+function getOfflineCheckinConflicts() {
+    try {
+        return JSON.parse(localStorage.getItem(OFFLINE_CONFLICTS_KEY) || '[]');
+    } catch (e) {
+        console.error('Error reading offline checkin conflicts:', e);
+        return [];
+    }
+}
+
+function saveOfflineCheckinConflicts(conflicts) {
+    localStorage.setItem(OFFLINE_CONFLICTS_KEY, JSON.stringify(conflicts));
+}
+
+// Setup offline indicators and connectivity listeners (called from initializeCheckinInterface)
+function setupOfflineCheckinMode() {
+    const toggle = document.getElementById('offlineModeToggle');
+    if (toggle) {
+        toggle.checked = localStorage.getItem(OFFLINE_FORCED_KEY) === 'true';
+    }
+
+    if (!offlineCheckinListenersSetup) {
+        offlineCheckinListenersSetup = true;
+        window.addEventListener('online', () => {
+            updateOfflineCheckinStatus();
+            if (localStorage.getItem(OFFLINE_FORCED_KEY) !== 'true' && getOfflineCheckinQueue().length > 0) {
+                showNotification('Connection restored. Syncing offline check-ins...', 'info');
+                syncOfflineCheckinQueue();
+            }
+        });
+        window.addEventListener('offline', () => {
+            updateOfflineCheckinStatus();
+            showNotification('Connection lost. Check-ins will be queued on this device.', 'info');
+        });
+    }
+
+    updateOfflineCheckinStatus();
+    renderOfflineCheckinConflicts();
+
+    // Pick up anything left in the queue from a previous session
+    if (!isCheckinOffline() && getOfflineCheckinQueue().length > 0) {
+        syncOfflineCheckinQueue();
+    }
+}
+
+// Manually switch offline mode on/off (useful when the network is flaky but not fully down)
+function toggleOfflineCheckinMode(enabled) {
+    if (enabled) {
+        if (!getOfflineRoster()) {
+            showNotification('Download the roster before working offline, otherwise search will not work.', 'error');
         }
-        
-        const data = docItem.data();
-        const timestamp = data.timestamp?.toDate();
-        const timeStr = timestamp ? timestamp.toLocaleString() : 'Unknown';
-        const regInfo = registrationsMap?.get(data.uniqueId) || { name: '', email: '' };
-        
-        doc.setFontSize(8);
-        doc.text(timeStr.substring(0, 16), margin, y);
-        doc.text((regInfo.name || '').substring(0, 20), margin + 40, y);
-        doc.text((data.uniqueId || '').substring(0, 15), margin + 80, y);
-        doc.text((CHECKIN_TYPE_LABELS[data.checkinType] || '').substring(0, 15), margin + 110, y);
-        doc.text((data.checkedInByName || '').substring(0, 20), margin + 140, y);
-        
-        y += 6;
-    });
-    
-    // Save
-    doc.save(`checkin_history_${new Date().toISOString().split('T')[0]}.pdf`);
-    showNotification('PDF exported successfully', 'success');
+        localStorage.setItem(OFFLINE_FORCED_KEY, 'true');
+    } else {
+        localStorage.removeItem(OFFLINE_FORCED_KEY);
+    }
+
+    updateOfflineCheckinStatus();
+
+    if (!enabled && !isCheckinOffline() && getOfflineCheckinQueue().length > 0) {
+        syncOfflineCheckinQueue();
+    }
 }
 
-// ============================================
-// REAL-TIME NOTIFICATIONS
-// ============================================
+// Refresh the offline status bar (badge, roster info, queue count)
+function updateOfflineCheckinStatus() {
+    const badge = document.getElementById('offlineStatusBadge');
+    const rosterInfo = document.getElementById('offlineRosterInfo');
+    const queueCount = document.getElementById('offlineQueueCount');
+    const syncBtn = document.getElementById('syncOfflineQueueBtn');
 
-// Setup checkin listeners
-function setupCheckinListeners() {
-    if (!window.firebase || !firebase.firestore) return;
-    
-    // Remove existing listener if any
-    if (checkinHistoryListener) {
-        checkinHistoryListener();
+    const offline = isCheckinOffline();
+    if (badge) {
+        badge.textContent = offline ? 'Offline' : 'Online';
+        badge.className = `offline-status-badge ${offline ? 'offline' : 'online'}`;
     }
-    
-    const db = firebase.firestore();
+
+    if (rosterInfo) {
+        const roster = getOfflineRoster();
+        if (roster && roster.participants) {
+            const downloadedAt = new Date(roster.downloadedAt).toLocaleString();
+            rosterInfo.textContent = `Roster: ${roster.participants.length} participants (downloaded ${downloadedAt})`;
+        } else {
+            rosterInfo.textContent = 'Roster not downloaded';
+        }
+    }
+
+    const queue = getOfflineCheckinQueue();
+    if (queueCount) {
+        queueCount.textContent = `${queue.length} queued`;
+    }
+    if (syncBtn) {
+        syncBtn.disabled = offline || queue.length === 0 || offlineCheckinSyncInProgress;
+    }
+}
+
+// Download the approved registrations roster plus the volunteer's own permissions
+async function downloadOfflineRoster() {
+    if (!window.firebase || !firebase.auth || !firebase.firestore) {
+        showNotification('Firebase not initialized', 'error');
+        return;
+    }
+
     const user = firebase.auth().currentUser;
-    if (!user) return;
-    
-    // Limit listener scope to last 24 hours to reduce read costs
-    const last24Hours = new Date();
-    last24Hours.setHours(last24Hours.getHours() - 24);
-    const last24HoursTimestamp = firebase.firestore.Timestamp.fromDate(last24Hours);
-    
-    // Listen for new checkins (limited to last 24 hours)
-    // Note: This requires a Firestore index on checkins collection with timestamp field
-    checkinHistoryListener = db.collection('checkins')
-        .where('timestamp', '>=', last24HoursTimestamp)
-        .orderBy('timestamp', 'desc')
-        .limit(50)
-        .onSnapshot((snapshot) => {
-            if (!checkinNotificationSettings.enabled) return;
-            
-            snapshot.docChanges().forEach(change => {
-                if (change.type === 'added') {
-                    const data = change.doc.data();
-                    
-                    // Check if notification should be shown for this type
-                    if (checkinNotificationSettings.types.length > 0 && 
-                        !checkinNotificationSettings.types.includes(data.checkinType)) {
-                        return;
-                    }
-                    
-                    // Show notification
-                    showCheckinNotification(data);
-                    
-                    // Play sound if enabled
-                    if (checkinNotificationSettings.soundEnabled) {
-                        playNotificationSound();
-                    }
-                    
-                    // Reload recent checkins
-                    loadRecentCheckins(currentCheckinType);
-                }
+    if (!user) {
+        showNotification('Please log in to download the roster', 'error');
+        return;
+    }
+
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        showNotification('You are offline. Connect to the network to download the roster.', 'error');
+        return;
+    }
+
+    try {
+        showNotification('Downloading roster...', 'info');
+        const db = firebase.firestore();
+        const snapshot = await db.collection('registrations').get();
+
+        const participants = [];
+        snapshot.forEach(doc => {
+            const data = doc.data();
+            // Registrations collection should only hold Approved records, but be defensive
+            if (data.status && data.status !== 'Approved') return;
+            participants.push({
+                uniqueId: data.uniqueId || doc.id,
+                normalizedId: data.normalizedId || normalizePraveshikaId(data.uniqueId || doc.id),
+                name: data.name || data['Full Name'] || '',
+                email: data.email || data['Email address'] || '',
+                country: data.country || data.Country || '',
+                shreni: data.shreni || data.Shreni || '',
+                pickupLocation: data.normalizedPickupLocation || data.pickupLocation || null
             });
-        }, (error) => {
-            console.error('Error in checkin listener:', error);
         });
-}
 
-// Show checkin notification
-async function showCheckinNotification(data) {
-    const timestamp = data.timestamp?.toDate();
-    const timeStr = timestamp ? timestamp.toLocaleString() : 'Unknown';
-    
-    // Fetch participant name from registrations
-    let participantName = 'Unknown';
-    if (data.uniqueId && window.firebase && firebase.firestore) {
+        // Cache the volunteer's role and teams so permissions can be checked offline
+        const userData = await getUserData(user) || {};
+
+        // Without fingerprints, signed badges cannot be checked offline and are refused
+        let badgeFingerprints = null;
         try {
-            const db = firebase.firestore();
-            const regDoc = await db.collection('registrations').doc(data.uniqueId).get();
-            if (regDoc.exists) {
-                const regData = regDoc.data();
-                participantName = regData.name || regData['Full Name'] || 'Unknown';
-            }
+            badgeFingerprints = (await callBadgeApi('/api/badge-token', { action: 'fingerprints' })).fingerprints || null;
         } catch (error) {
-            console.error('Error fetching participant name for notification:', error);
+            console.warn('Could not download badge fingerprints:', error.message);
+            showNotification('Badge fingerprints could not be downloaded; QR badges cannot be verified offline.', 'warning');
         }
+
+        setCachedData(OFFLINE_ROSTER_KEY, {
+            participants: participants,
+            badgeFingerprints: badgeFingerprints,
+            volunteer: {
+                uid: user.uid,
+                role: userData.role || null,
+                volunteerTeams: userData.volunteerTeams || [],
+                name: userData.volunteerName || userData.name || user.email || 'Unknown'
+            },
+            downloadedAt: Date.now()
+        });
+
+        updateOfflineCheckinStatus();
+        showNotification(`Roster downloaded: ${participants.length} participants available offline`, 'success');
+    } catch (error) {
+        console.error('Error downloading offline roster:', error);
+        showNotification('Error downloading roster: ' + error.message, 'error');
     }
-    
-    const notification = document.createElement('div');
-    notification.className = 'checkin-notification';
-    notification.style.cssText = `
-        position: fixed;
-        top: 80px;
-        right: 20px;
-        padding: 1rem 1.5rem;
-        background: #4CAF50;
-        color: white;
-        border-radius: 8px;
-        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
-        z-index: 10001;
-        max-width: 350px;
-        animation: slideInRight 0.3s ease;
-    `;
-    
-    notification.innerHTML = `
-        <div style="font-weight: bold; margin-bottom: 0.5rem;">New Checkin</div>
-        <div>${escapeHtml(participantName)}</div>
-        <div style="font-size: 0.85em; opacity: 0.9;">${escapeHtml(CHECKIN_TYPE_LABELS[data.checkinType] || data.checkinType)}</div>
-        <div style="font-size: 0.75em; opacity: 0.8; margin-top: 0.25rem;">${escapeHtml(timeStr)}</div>
-        <button onclick="this.parentElement.remove()" style="position: absolute; top: 5px; right: 5px; background: rgba(255,255,255,0.2); border: none; color: white; cursor: pointer; padding: 2px 6px; border-radius: 3px;">×</button>
-    `;
-    
-    document.body.appendChild(notification);
-    
-    // Auto remove
-    setTimeout(() => {
-        if (notification.parentNode) {
-            notification.style.animation = 'slideOutRight 0.3s ease';
-            setTimeout(() => {
-                if (notification.parentNode) {
-                    notification.parentNode.removeChild(notification);
-                }
-            }, 300);
-        }
-    }, checkinNotificationSettings.duration || 5000);
 }
 
-// Play notification sound
-function playNotificationSound() {
-    // Create a simple beep sound
-    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    const oscillator = audioContext.createOscillator();
-    const gainNode = audioContext.createGain();
-    
-    oscillator.connect(gainNode);
-    gainNode.connect(audioContext.destination);
-    
-    oscillator.frequency.value = 800;
-    oscillator.type = 'sine';
-    
-    gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
-    gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.5);
-    
-    oscillator.start(audioContext.currentTime);
-    oscillator.stop(audioContext.currentTime + 0.5);
+// Wrap a roster entry so it can be passed to displayParticipantSearchResults()
+function offlineRosterEntryToDoc(entry) {
+    return {
+        id: entry.uniqueId,
+        data: () => entry
+    };
+}
+
+// Search the cached roster by Praveshika ID
+function searchOfflineRosterById(uniqueId) {
+    const roster = getOfflineRoster();
+    if (!roster || !roster.participants) {
+        showNotification('Offline roster not available. Download it while online.', 'error');
+        return;
+    }
+
+    const normalizedId = normalizePraveshikaId(uniqueId);
+    const entry = roster.participants.find(p => p.normalizedId === normalizedId);
+    if (entry) {
+        displayParticipantInfo(entry, entry.uniqueId);
+    } else {
+        showNotification(`Participant with Praveshika ID "${uniqueId.toUpperCase().trim()}" not found in offline roster`, 'error');
+    }
 }
 
-// Barcode scanning state
-let barcodeScannerActive = false;
-let barcodeScanningStream = null;
+// Search the cached roster by (partial) name
+function searchOfflineRosterByName(name) {
+    const roster = getOfflineRoster();
+    if (!roster || !roster.participants) {
+        showNotification('Offline roster not available. Download it while online.', 'error');
+        return;
+    }
+
+    const nameLower = name.toLowerCase();
+    const results = roster.participants.filter(p => (p.name || '').toLowerCase().includes(nameLower));
 
-// Start barcode scan (camera)
-async function startBarcodeScan() {
-    if (typeof Quagga === 'undefined') {
-        showNotification('Barcode scanning library not loaded. Please refresh the page.', 'error');
+    if (results.length === 0) {
+        showNotification('No participants found with this name', 'info');
+        clearParticipantInfo();
         return;
     }
-    
-    if (barcodeScannerActive) {
-        showNotification('Camera is already active', 'info');
+
+    if (results.length === 1) {
+        displayParticipantInfo(results[0], results[0].uniqueId);
+    } else {
+        displayParticipantSearchResults(results.map(offlineRosterEntryToDoc), 'name');
+    }
+}
+
+// Select a participant from offline search results
+function selectOfflineRosterParticipant(uniqueId) {
+    const roster = getOfflineRoster();
+    const entry = roster?.participants?.find(p => p.uniqueId === uniqueId);
+    if (entry) {
+        displayParticipantInfo(entry, entry.uniqueId);
+    }
+}
+
+// Check the cached volunteer permissions for a checkin type (offline counterpart of hasAccessToCheckinType)
+function offlineVolunteerHasAccess(volunteer, checkinType) {
+    if (!volunteer) return false;
+    if (volunteer.role === 'superadmin' || volunteer.role === 'admin') return true;
+    if (volunteer.role !== 'volunteer') return false;
+
+    const requiredTeam = getCheckinTypeTeam(checkinType);
+    return !!requiredTeam && Array.isArray(volunteer.volunteerTeams) && volunteer.volunteerTeams.includes(requiredTeam);
+}
+
+// Record a check-in into the local queue (offline counterpart of performCheckin)
+function queueOfflineCheckin(uniqueId, typesToProcess, fieldValues = {}) {
+    const roster = getOfflineRoster();
+    const user = firebase.auth().currentUser;
+    const volunteer = roster?.volunteer;
+
+    if (!volunteer || !user || volunteer.uid !== user.uid) {
+        showNotification('Offline roster was downloaded by a different user. Download it again while online.', 'error');
         return;
     }
-    
-    try {
-        // Request camera access
-        const stream = await navigator.mediaDevices.getUserMedia({
-            video: {
-                facingMode: 'environment' // Use back camera on mobile devices
-            }
-        });
-        
-        barcodeScanningStream = stream;
-        barcodeScannerActive = true;
-        
-        // Show camera UI
-        const container = document.getElementById('barcodeScannerContainer');
-        const video = document.getElementById('barcodeVideo');
-        const startBtn = document.getElementById('startCameraBtn');
-        const stopBtn = document.getElementById('stopCameraBtn');
-        
-        if (container) container.style.display = 'block';
-        if (startBtn) startBtn.style.display = 'none';
-        if (stopBtn) stopBtn.style.display = 'inline-block';
-        
-        // Set up video stream
-        if (video) {
-            video.srcObject = stream;
-            video.play();
+
+    for (const type of typesToProcess) {
+        if (!offlineVolunteerHasAccess(volunteer, type)) {
+            showNotification(`You do not have permission to perform ${CHECKIN_TYPE_LABELS[type] || type}`, 'error');
+            return;
         }
-        
-        // Initialize QuaggaJS
-        Quagga.init({
-            inputStream: {
-                name: "Live",
-                type: "LiveStream",
-                target: video,
-                constraints: {
-                    width: { min: 640 },
-                    height: { min: 480 },
-                    facingMode: "environment"
-                }
-            },
-            decoder: {
-                readers: [
-                    "code_128_reader",
-                    "ean_reader",
-                    "ean_8_reader",
-                    "code_39_reader",
-                    "code_39_vin_reader",
-                    "codabar_reader",
-                    "upc_reader",
-                    "upc_e_reader",
-                    "i2of5_reader"
-                ]
-            },
-            locate: true
-        }, function(err) {
-            if (err) {
-                console.error('Quagga initialization error:', err);
-                stopBarcodeScan();
-                showNotification('Failed to initialize barcode scanner: ' + err.message, 'error');
-                return;
-            }
-            
-            Quagga.start();
-        });
-        
-        // Listen for barcode detection
-        Quagga.onDetected(function(result) {
-            if (!barcodeScannerActive) return;
-            
-            const code = result.codeResult.code;
-            if (code) {
-                // Stop scanning immediately
-                stopBarcodeScan();
-                
-                // Set the barcode input value (convert to uppercase)
-                const barcodeInput = document.getElementById('barcodeInput');
-                // Convert scanned code to uppercase to match backend format
-                const uppercasedCode = code.toUpperCase();
-                if (barcodeInput) {
-                    barcodeInput.value = uppercasedCode;
-                }
-                
-                // Automatically search for the participant (use uppercase code)
-                showNotification('Barcode detected: ' + uppercasedCode, 'success');
-                setTimeout(() => {
-                    searchByPraveshikaIdDirect(uppercasedCode);
-                }, 500);
+    }
+
+    const entry = roster.participants.find(p => p.uniqueId === uniqueId);
+    const participantName = entry?.name || uniqueId;
+
+    const notes = document.getElementById('checkinNotes')?.value.trim() || null;
+
+    const queue = getOfflineCheckinQueue();
+    const queuedTypes = [];
+
+    for (const type of typesToProcess) {
+        // Local duplicate prevention: the same check-in is already waiting in the queue
+        const alreadyQueued = !isRepeatableCheckinType(type) && queue.some(q => q.uniqueId === uniqueId && q.checkinType === type);
+        if (alreadyQueued) {
+            showNotification(`${CHECKIN_TYPE_LABELS[type] || type} for ${uniqueId} is already queued on this device.`, 'info');
+            continue;
+        }
+
+        // Local prerequisite check; the server-side state is verified again at sync time
+        getCheckinTypePrerequisites(type).forEach(prerequisite => {
+            if (!typesToProcess.includes(prerequisite) &&
+                !queue.some(q => q.uniqueId === uniqueId && q.checkinType === prerequisite)) {
+                showNotification(`${CHECKIN_TYPE_LABELS[prerequisite] || prerequisite} not found in the offline queue. This check-in will be verified when syncing.`, 'info');
             }
         });
-        
-    } catch (error) {
-        console.error('Error starting barcode scan:', error);
-        stopBarcodeScan();
-        if (error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError') {
-            showNotification('Camera access denied. Please allow camera access and try again.', 'error');
-        } else if (error.name === 'NotFoundError' || error.name === 'DevicesNotFoundError') {
-            showNotification('No camera found. Please connect a camera and try again.', 'error');
-        } else {
-            showNotification('Error accessing camera: ' + error.message, 'error');
+
+        const queuedAt = Date.now();
+        const queued = {
+            queueId: `${uniqueId}_${type}_${queuedAt}_offline`,
+            uniqueId: uniqueId,
+            participantName: participantName,
+            checkinType: type,
+            notes: notes,
+            checkedInBy: user.uid,
+            checkedInByName: volunteer.name,
+            queuedAt: queuedAt
+        };
+
+        if (type === 'pickup_location') {
+            queued.pickupLocation = entry?.pickupLocation || null;
+        }
+        if (Object.keys(fieldValues).length) {
+            queued.fields = fieldValues;
         }
+
+        queue.push(queued);
+        queuedTypes.push(type);
+    }
+
+    saveOfflineCheckinQueue(queue);
+    updateOfflineCheckinStatus();
+
+    if (queuedTypes.length) {
+        const labels = queuedTypes.map(t => CHECKIN_TYPE_LABELS[t] || t).join(', ');
+        showNotification(`Saved offline for ${participantName} (${uniqueId}): ${labels}. Will sync when online.`, 'success');
+        clearCheckinForm();
+        clearParticipantInfo();
     }
+    return queuedTypes;
 }
 
-// Stop barcode scan
-function stopBarcodeScan() {
-    if (!barcodeScannerActive) return;
-    
-    barcodeScannerActive = false;
-    
-    // Stop Quagga
-    try {
-        if (typeof Quagga !== 'undefined') {
-            Quagga.stop();
+// Send queued offline check-ins through /api/checkin, recording duplicates and
+// prerequisite failures as conflicts for the volunteer to review
+async function syncOfflineCheckinQueue() {
+    if (offlineCheckinSyncInProgress) return;
+
+    if (isCheckinOffline()) {
+        showNotification('Still offline. Check-ins will sync once the connection returns.', 'info');
+        return;
+    }
+
+    if (!window.firebase || !firebase.auth) return;
+    const user = firebase.auth().currentUser;
+    if (!user) return;
+
+    const queue = getOfflineCheckinQueue();
+    if (queue.length === 0) {
+        updateOfflineCheckinStatus();
+        return;
+    }
+
+    offlineCheckinSyncInProgress = true;
+    updateOfflineCheckinStatus();
+
+    const conflicts = getOfflineCheckinConflicts();
+    const remaining = [];
+    let syncedCount = 0;
+    let conflictCount = 0;
+
+    // Process in the order the volunteer recorded them so registration lands before downstream types
+    queue.sort((a, b) => a.queuedAt - b.queuedAt);
+
+    for (const item of queue) {
+        try {
+            // Same server-side checks as the desk, keeping the time the volunteer actually checked the person in
+            const result = await submitCheckinToApi({
+                uniqueId: item.uniqueId,
+                checkinTypes: [item.checkinType],
+                notes: item.notes || null,
+                pickupLocation: item.pickupLocation || null,
+                tagId: item.tagId || null,
+                itemCount: item.itemCount || null,
+                fields: item.fields || {},
+                recordedAt: item.queuedAt,
+                source: 'offline',
+                // Retries of the same queue entry map to the same check-in document
+                clientCheckinId: item.queueId
+            });
+            
+            const outcome = result.results[0];
+            if (outcome.status === 'checked_in') {
+                syncedCount++;
+            } else if (outcome.status === 'duplicate') {
+                const existingTime = outcome.existing?.timestamp ? new Date(outcome.existing.timestamp) : null;
+                conflicts.push({
+                    ...item,
+                    reason: 'duplicate',
+                    message: `Already checked in by ${outcome.existing?.checkedInByName || 'another volunteer'}` +
+                        (existingTime ? ` at ${existingTime.toLocaleString()}` : ''),
+                    existingCheckinId: outcome.existing?.checkinId || null
+                });
+                conflictCount++;
+            } else {
+                conflicts.push({
+                    ...item,
+                    reason: outcome.status === 'prerequisite_missing' ? 'missing_registration' : outcome.status,
+                    message: outcome.message
+                });
+                conflictCount++;
+            }
+        } catch (error) {
+            console.error(`Error syncing offline checkin ${item.queueId}:`, error);
+            if (error.status && error.status < 500) {
+                // Rejected by the server (not found, no permission): retrying will not help
+                conflicts.push({ ...item, reason: 'rejected', message: error.message });
+                conflictCount++;
+            } else {
+                // Keep it queued and try again on the next sync
+                remaining.push(item);
+            }
         }
-    } catch (e) {
-        console.error('Error stopping Quagga:', e);
     }
-    
-    // Stop video stream
-    if (barcodeScanningStream) {
-        barcodeScanningStream.getTracks().forEach(track => track.stop());
-        barcodeScanningStream = null;
+
+    saveOfflineCheckinQueue(remaining);
+    saveOfflineCheckinConflicts(conflicts);
+    offlineCheckinSyncInProgress = false;
+
+    updateOfflineCheckinStatus();
+    renderOfflineCheckinConflicts();
+
+    if (syncedCount > 0 || conflictCount > 0) {
+        let message = `Synced ${syncedCount} offline check-in(s)`;
+        if (conflictCount > 0) message += `, ${conflictCount} need attention`;
+        if (remaining.length > 0) message += `, ${remaining.length} still pending`;
+        showNotification(message, conflictCount > 0 ? 'error' : 'success');
+
+        await loadRecentCheckins(currentCheckinType);
+        await loadCheckinHistory();
+    } else if (remaining.length > 0) {
+        showNotification(`Could not sync ${remaining.length} offline check-in(s). Will retry.`, 'error');
     }
-    
-    // Hide camera UI
-    const container = document.getElementById('barcodeScannerContainer');
-    const video = document.getElementById('barcodeVideo');
-    const startBtn = document.getElementById('startCameraBtn');
-    const stopBtn = document.getElementById('stopCameraBtn');
-    
-    if (container) container.style.display = 'none';
-    if (video) {
-        video.srcObject = null;
+}
+
+// Render the list of sync conflicts for the volunteer to review
+function renderOfflineCheckinConflicts() {
+    const panel = document.getElementById('offlineConflictsPanel');
+    if (!panel) return;
+
+    const conflicts = getOfflineCheckinConflicts();
+    if (conflicts.length === 0) {
+        panel.style.display = 'none';
+        panel.innerHTML = '';
+        return;
     }
-    if (startBtn) startBtn.style.display = 'inline-block';
-    if (stopBtn) stopBtn.style.display = 'none';
+
+    let html = `<h4>Offline Check-ins Needing Attention (${conflicts.length})</h4>
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Praveshika ID</th>
+                    <th>Name</th>
+                    <th>Type</th>
+                    <th>Recorded At</th>
+                    <th>Problem</th>
+                    <th>Action</th>
+                </tr>
+            </thead>
+            <tbody>`;
+
+    conflicts.forEach(conflict => {
+        const retryButton = conflict.reason === 'missing_registration'
+            ? `<button class="btn btn-primary btn-sm" onclick="retryOfflineCheckinConflict('${escapeHtml(conflict.queueId)}')">Retry</button>`
+            : '';
+        html += `
+            <tr>
+                <td>${escapeHtml(conflict.uniqueId)}</td>
+                <td>${escapeHtml(conflict.participantName || '')}</td>
+                <td>${escapeHtml(CHECKIN_TYPE_LABELS[conflict.checkinType] || conflict.checkinType)}</td>
+                <td>${escapeHtml(new Date(conflict.queuedAt).toLocaleString())}</td>
+                <td>${escapeHtml(conflict.message || conflict.reason)}</td>
+                <td>
+                    ${retryButton}
+                    <button class="btn btn-secondary btn-sm" onclick="dismissOfflineCheckinConflict('${escapeHtml(conflict.queueId)}')">Dismiss</button>
+                </td>
+            </tr>`;
+    });
+
+    html += '</tbody></table>';
+    panel.innerHTML = html;
+    panel.style.display = 'block';
+}
+
+// Put a conflicted check-in back into the queue (e.g. after registration has been done)
+function retryOfflineCheckinConflict(queueId) {
+    const conflicts = getOfflineCheckinConflicts();
+    const conflict = conflicts.find(c => c.queueId === queueId);
+    if (!conflict) return;
+
+    const { reason, message, existingCheckinId, ...item } = conflict;
+    const queue = getOfflineCheckinQueue();
+    queue.push(item);
+    saveOfflineCheckinQueue(queue);
+    saveOfflineCheckinConflicts(conflicts.filter(c => c.queueId !== queueId));
+
+    renderOfflineCheckinConflicts();
+    updateOfflineCheckinStatus();
+    syncOfflineCheckinQueue();
+}
+
+// Remove a conflict once the volunteer has dealt with it
+function dismissOfflineCheckinConflict(queueId) {
+    const conflicts = getOfflineCheckinConflicts().filter(c => c.queueId !== queueId);
+    saveOfflineCheckinConflicts(conflicts);
+    renderOfflineCheckinConflicts();
 }
 
 // ============================================
 // CHECKIN STATUS FOR PROFILE
 // ============================================
 
+// ============================================
+// LIVE OCCUPANCY
+// ============================================
+
+// People on campus = registration check-ins minus departure check-outs, kept live with
+// onSnapshot while the admin dashboard is open. The on-site list doubles as the roll
+// for an emergency muster.
+const OCCUPANCY_CHECKIN_TYPES = ['registration', 'departure'];
+
+let occupancyListener = null;
+// Latest on-site list, kept for the muster export
+let occupancyOnSite = [];
+
+function stopOccupancyListener() {
+    if (occupancyListener) {
+        occupancyListener();
+        occupancyListener = null;
+    }
+}
+
+function startOccupancyListener() {
+    if (!window.firebase || !firebase.firestore) return;
+    stopOccupancyListener();
+
+    occupancyListener = firebase.firestore().collection('checkins')
+        .where('checkinType', 'in', OCCUPANCY_CHECKIN_TYPES)
+        .onSnapshot((snapshot) => {
+            const arrivals = new Map();
+            const departed = new Set();
+            snapshot.forEach(doc => {
+                const checkin = doc.data();
+                const key = normalizePraveshikaId(checkin.uniqueId || '');
+                if (!key) return;
+                if (checkin.checkinType === 'departure') {
+                    departed.add(key);
+                } else {
+                    arrivals.set(key, checkin);
+                }
+            });
+            renderOccupancy(arrivals, departed);
+        }, (error) => {
+            console.error('Error listening for occupancy:', error);
+            const panel = document.getElementById('occupancyPanel');
+            if (panel) panel.innerHTML = '<p style="color: red;">Live occupancy is unavailable. Please reload the dashboard.</p>';
+        });
+}
+
+function countOccupancyBy(people, getValue) {
+    const counts = {};
+    people.forEach(person => {
+        const value = getValue(person) || 'Not Specified';
+        counts[value] = (counts[value] || 0) + 1;
+    });
+    return Object.entries(counts).sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+function renderOccupancy(arrivals, departed) {
+    const panel = document.getElementById('occupancyPanel');
+    if (!panel) return;
+
+    const registrationsById = new Map();
+    (window.dashboardRegistrations || []).forEach(reg => {
+        registrationsById.set(normalizePraveshikaId(reg.uniqueId || ''), reg);
+    });
+
+    occupancyOnSite = [];
+    arrivals.forEach((checkin, key) => {
+        if (departed.has(key)) return;
+        const reg = registrationsById.get(key) || {};
+        occupancyOnSite.push({
+            uniqueId: reg.uniqueId || checkin.uniqueId,
+            name: reg.name || reg['Full Name'] || '',
+            zone: reg.zone || reg.Zone || '',
+            shreni: reg.shreni || reg.Shreni || '',
+            gender: getRegistrationGender(reg),
+            phone: reg.phone || reg.Phone || '',
+            room: formatRoomLabel(reg.roomBuilding, reg.roomNumber),
+            arrivedAt: safeTimestampToDate(checkin.timestamp)
+        });
+    });
+    occupancyOnSite.sort((a, b) => a.zone.localeCompare(b.zone) || a.name.localeCompare(b.name));
+
+    const breakdownTable = (title, rows) => `
+        <div>
+            <h4>${title}</h4>
+            <table class="data-table">
+                <tbody>
+                    ${rows.map(([label, count]) => `<tr><td>${escapeHtml(label)}</td><td>${count}</td></tr>`).join('') || '<tr><td colspan="2">Nobody on campus</td></tr>'}
+                </tbody>
+            </table>
+        </div>`;
+
+    panel.innerHTML = `
+        <div class="metrics-cards" style="margin-bottom: 1rem;">
+            <div class="metric-card">
+                <h3 style="color: white;">On Campus Now</h3>
+                <p class="metric-value" style="color: white;">${occupancyOnSite.length}</p>
+            </div>
+            <div class="metric-card">
+                <h3 style="color: white;">Arrived</h3>
+                <p class="metric-value" style="color: white;">${arrivals.size}</p>
+            </div>
+            <div class="metric-card">
+                <h3 style="color: white;">Departed</h3>
+                <p class="metric-value" style="color: white;">${departed.size}</p>
+            </div>
+        </div>
+        <div class="occupancy-breakdown">
+            ${breakdownTable('By Zone', countOccupancyBy(occupancyOnSite, person => person.zone))}
+            ${breakdownTable('By Shreni', countOccupancyBy(occupancyOnSite, person => person.shreni))}
+            ${breakdownTable('By Gender', countOccupancyBy(occupancyOnSite, person => person.gender))}
+        </div>
+        <p style="color: #666; font-size: 0.85rem;">Updated ${escapeHtml(new Date().toLocaleTimeString())}</p>`;
+}
+
+// Muster roll: everyone still on site, with a blank column to tick off at the assembly point
+function exportMusterList() {
+    if (!occupancyListener) {
+        showNotification('Live occupancy is not loaded yet.', 'error');
+        return;
+    }
+
+    const headers = ['Praveshika ID', 'Name', 'Zone', 'Shreni', 'Gender', 'Phone', 'Room', 'Arrived At', 'Present'];
+    const rows = occupancyOnSite.map(person => [
+        person.uniqueId,
+        person.name,
+        person.zone,
+        person.shreni,
+        person.gender,
+        person.phone,
+        person.room,
+        person.arrivedAt ? person.arrivedAt.toLocaleString() : '',
+        ''
+    ]);
+    exportToCSV(`muster_${new Date().toISOString().split('T')[0]}.csv`, headers, rows);
+}
+
 // ============================================
 // CHECKIN ANALYTICS FOR ADMIN DASHBOARD
 // ============================================
@@ -13364,6 +19799,7 @@ function safeTimestampToDate(timestamp) {
 
 // Load checkin analytics
 async function loadCheckinAnalytics() {
+    await loadCheckinConfig();
     if (!window.firebase || !firebase.firestore) return;
     
     const CACHE_KEY = 'checkinAnalyticsCache';
@@ -13563,6 +19999,7 @@ async function loadCheckinAnalytics() {
 // Load checkin status for profile
 async function loadCheckinStatusForProfile(uniqueIds) {
     if (!window.firebase || !firebase.firestore) return;
+    await loadCheckinConfig();
     
     const checkinStatusContent = document.getElementById('checkinStatusContent');
     if (!checkinStatusContent) return;
@@ -4,8 +4,9 @@
  * Usage:
  *   node set-superadmin.js <user-email>
  * 
- * This script will find the user by email in Firebase Authentication
- * and update their Firestore user document to add role: 'superadmin'
+ * This script will find the user by email in Firebase Authentication,
+ * update their Firestore user document to add role: 'superadmin' and set the
+ * role custom claim that firestore.rules and the app read
  */
 
 const admin = require('firebase-admin');
@@ -36,6 +37,13 @@ async function setSuperadmin(email) {
             roleUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
         });
         
+        // Mirror the role into the custom claims, keeping any linked Praveshika IDs
+        await auth.setCustomUserClaims(uid, {
+            ...(userRecord.customClaims || {}),
+            role: 'superadmin',
+            teams: []
+        });
+        
         console.log(`✓ Successfully set ${email} as superadmin!`);
         console.log(`User must log out and log back in for changes to take effect.`);
         
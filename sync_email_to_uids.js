@@ -1,9 +1,13 @@
 // Script to rebuild the emailToUids collection from existing registrations
+// Each email document keeps the uids array plus one emailToUids/{email}/links/{normalizedId}
+// document per linked Praveshika ID, which firestore.rules uses for exact membership checks.
+// Emails that no longer have any registration lose their mapping and links.
 // Run with: node sync_email_to_uids.js
 // Requires: npm install firebase-admin
 
 const admin = require('firebase-admin');
 const path = require('path');
+const { syncEmailLinks } = require('./email-links');
 
 const serviceAccountPath = process.env.SERVICE_ACCOUNT_PATH || './serviceAccountKey.json';
 
@@ -97,6 +101,7 @@ async function syncEmailToUids() {
 
     let successCount = 0;
     let errorCount = 0;
+    let linkWrites = 0;
 
     for (const [normalizedEmail, uidSet] of emailMap.entries()) {
         const uids = Array.from(uidSet).sort();
@@ -107,6 +112,7 @@ async function syncEmailToUids() {
                 count: uids.length,
                 updatedAt: admin.firestore.FieldValue.serverTimestamp(),
             });
+            linkWrites += await syncEmailLinks(db, normalizedEmail, uids);
             successCount++;
             if (successCount % 200 === 0) {
                 console.log(`Processed ${successCount} email mappings so far...`);
@@ -117,8 +123,27 @@ async function syncEmailToUids() {
         }
     }
 
+    // Remove mappings for emails whose registrations were all cancelled or moved
+    let removedCount = 0;
+    const existingSnapshot = await db.collection('emailToUids').get();
+    for (const emailDoc of existingSnapshot.docs) {
+        if (emailMap.has(emailDoc.id)) {
+            continue;
+        }
+        try {
+            linkWrites += await syncEmailLinks(db, emailDoc.id, []);
+            await emailDoc.ref.delete();
+            removedCount++;
+        } catch (error) {
+            console.error(`Error removing ${emailDoc.id}:`, error.message);
+            errorCount++;
+        }
+    }
+
     console.log('\nSync complete');
     console.log(`Email mappings written: ${successCount}`);
+    console.log(`Email mappings removed: ${removedCount}`);
+    console.log(`Link documents added or removed: ${linkWrites}`);
     console.log(`Errors: ${errorCount}`);
 }
 
@@ -1,4 +1,7 @@
 // Script to sync associatedRegistrations in users collection based on emailToUids
+// The linked IDs are read from the emailToUids/{email}/links documents (the same ones
+// firestore.rules checks), so run sync_email_to_uids.js first. Every linked ID is copied,
+// however many there are, and IDs that are no longer linked to that email are dropped.
 // Run with: node sync_user_associated_registrations.js
 // Requires: npm install firebase-admin
 
@@ -27,9 +30,20 @@ admin.initializeApp({
 const db = admin.firestore();
 
 async function syncUserAssociatedRegistrations() {
-    console.log('Fetching emailToUids collection...');
-    const emailToUidsSnapshot = await db.collection('emailToUids').get();
-    console.log(`Found ${emailToUidsSnapshot.size} email mappings`);
+    console.log('Fetching emailToUids links...');
+    const linksSnapshot = await db.collectionGroup('links').get();
+    const idsByEmail = new Map();
+    linksSnapshot.forEach(linkDoc => {
+        const emailDoc = linkDoc.ref.parent.parent;
+        if (!emailDoc || emailDoc.parent.id !== 'emailToUids') {
+            return;
+        }
+        if (!idsByEmail.has(emailDoc.id)) {
+            idsByEmail.set(emailDoc.id, []);
+        }
+        idsByEmail.get(emailDoc.id).push(linkDoc.data().uniqueId || linkDoc.id);
+    });
+    console.log(`Found ${linksSnapshot.size} links for ${idsByEmail.size} emails`);
 
     let totalUsersUpdated = 0;
     let totalUsersSkipped = 0;
@@ -37,18 +51,12 @@ async function syncUserAssociatedRegistrations() {
     let processedEmails = 0;
 
     // Process each email mapping
-    for (const emailDoc of emailToUidsSnapshot.docs) {
-        const normalizedEmail = emailDoc.id;
-        const emailData = emailDoc.data();
-        const praveshikaIds = emailData.uids || [];
-
-        if (praveshikaIds.length === 0) {
-            continue;
-        }
+    for (const [normalizedEmail, linkedIds] of idsByEmail.entries()) {
+        const praveshikaIds = [...new Set(linkedIds)].sort();
 
         processedEmails++;
         if (processedEmails % 100 === 0) {
-            console.log(`Processing email ${processedEmails}/${emailToUidsSnapshot.size}...`);
+            console.log(`Processing email ${processedEmails}/${idsByEmail.size}...`);
         }
 
         // Find all users with this email (normalized)